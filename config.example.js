@@ -8,7 +8,8 @@ module.exports = {
         clientSecret: 'your_google_client_secret_here',
         scopes: [
             'https://www.googleapis.com/auth/spreadsheets',
-            'https://www.googleapis.com/auth/userinfo.email'
+            'https://www.googleapis.com/auth/userinfo.email',
+            'https://www.googleapis.com/auth/userinfo.profile'
         ]
     },
 
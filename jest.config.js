@@ -29,8 +29,10 @@ module.exports = {
     },
 
     // Transform configuration
+    // Tests run on Node, so compile for it: the Chrome targets in .babelrc pull in core-js
+    // polyfills (e.g. for Uint8Array) that Node does not need
     transform: {
-        '^.+\\.js$': 'babel-jest'
+        '^.+\\.js$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }]
     },
 
     // Test timeout
@@ -0,0 +1,54 @@
+// Manifest Builder for Archizer
+// Fills the storefront match patterns into manifest.json from the marketplace registry in
+// src/utils/marketplaces.js, so a storefront added there gets the content scripts, web
+// accessible resources and host permissions too. Used by the manifest copy in webpack.config.js.
+
+const path = require('path');
+const vm = require('vm');
+const babel = require('@babel/core');
+
+const MARKETPLACES_FILE = path.resolve(__dirname, '../src/utils/marketplaces.js');
+
+/**
+ * Load the marketplace registry, an ES module without imports, from CommonJS
+ * @returns {Object} Exports of src/utils/marketplaces.js
+ */
+function loadMarketplaceRegistry() {
+    // Compiled for this Node without .babelrc, which targets the extension
+    const { code } = babel.transformFileSync(MARKETPLACES_FILE, {
+        babelrc: false,
+        configFile: false,
+        presets: [['@babel/preset-env', { targets: { node: 'current' }, modules: 'commonjs' }]]
+    });
+
+    const registryModule = { exports: {} };
+    vm.runInNewContext(code, { module: registryModule, exports: registryModule.exports });
+    return registryModule.exports;
+}
+
+/**
+ * Add the storefront match patterns to a manifest
+ * @param {Object} manifest - Parsed manifest.json, which lists no storefronts itself
+ * @param {Array<string>} matchPatterns - Patterns from getMarketplaceMatchPatterns
+ * @returns {Object} Manifest for the build
+ */
+function buildManifest(manifest, matchPatterns) {
+    return {
+        ...manifest,
+        host_permissions: [...matchPatterns, ...(manifest.host_permissions || [])],
+        content_scripts: manifest.content_scripts.map(contentScript => ({ ...contentScript, matches: matchPatterns })),
+        web_accessible_resources: manifest.web_accessible_resources.map(resource => ({ ...resource, matches: matchPatterns }))
+    };
+}
+
+/**
+ * Copy transform for manifest.json
+ * @param {Buffer} content - Source manifest
+ * @returns {string} Built manifest
+ */
+function transformManifest(content) {
+    const matchPatterns = loadMarketplaceRegistry().getMarketplaceMatchPatterns();
+    return JSON.stringify(buildManifest(JSON.parse(content.toString()), matchPatterns), null, 4);
+}
+
+module.exports = { loadMarketplaceRegistry, buildManifest, transformManifest };
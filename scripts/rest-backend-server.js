@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+// Reference REST Backend Server for Archizer
+// Speaks the protocol in src/backends/rest/protocol.js and keeps the data in a JSON file,
+// for trying the "rest" storage backend locally or as a starting point for a real server.
+//
+// Usage: node scripts/rest-backend-server.js [--port=8787] [--data=archizer-data.json] [--api-key=secret]
+// Then set the rest_backend config to { "baseUrl": "http://localhost:8787" }.
+
+const http = require('http');
+const fs = require('fs');
+
+const PROTOCOL_VERSION = 1;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Create an empty store
+ * @returns {Object} { hiddenOrders: { 'orderId_type': row }, auditLog: [row], users: [[username, lastModified]], config: {} }
+ */
+function createStore() {
+    return { hiddenOrders: {}, auditLog: [], users: [], config: {} };
+}
+
+/**
+ * Handle one protocol request against a store, without any HTTP
+ * @param {Object} store - Store from createStore, changed in place
+ * @param {Object} request - { method, path, headers, body }
+ * @param {Object} options - { apiKey } (optional)
+ * @returns {Object} { status, body, changed } where changed tells whether the store was written
+ */
+function handleRequest(store, request, options = {}) {
+    const { method, path, headers = {}, body } = request;
+
+    if (options.apiKey && headers.authorization !== `Bearer ${options.apiKey}`) {
+        return errorResponse(401, 'Missing or wrong API key');
+    }
+
+    const segments = path.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+    const route = `${method} /${segments[0] || ''}`;
+
+    if (route === 'GET /hidden-orders' && segments.length === 1) {
+        return { status: 200, body: { rows: Object.values(store.hiddenOrders) }, changed: false };
+    }
+
+    if (route === 'PUT /hidden-orders' && segments.length === 3) {
+        const [, orderId, type] = segments;
+        const row = body && body.row;
+        if (!Array.isArray(row) || row.length < 10 || row[0] !== orderId || row[5] !== type) {
+            return errorResponse(400, 'Body must be { row } with a HiddenOrders row for this order ID and hidden type');
+        }
+        store.hiddenOrders[`${orderId}_${type}`] = row;
+        rememberUser(store, row[3], row[8]);
+        return { status: 200, body: { row }, changed: true };
+    }
+
+    if (route === 'DELETE /hidden-orders' && segments.length === 3) {
+        const key = `${segments[1]}_${segments[2]}`;
+        if (!store.hiddenOrders[key]) {
+            return errorResponse(404, `Order ${segments[1]} (${segments[2]}) is not hidden`);
+        }
+        delete store.hiddenOrders[key];
+        return { status: 204, body: null, changed: true };
+    }
+
+    if (route === 'POST /audit-log' && segments.length === 1) {
+        const row = body && body.row;
+        if (!Array.isArray(row) || row.length < 8) {
+            return errorResponse(400, 'Body must be { row } with an ActionLog row');
+        }
+        store.auditLog.push(row);
+        return { status: 201, body: { row }, changed: true };
+    }
+
+    if (route === 'GET /settings' && segments.length === 1) {
+        return { status: 200, body: { version: PROTOCOL_VERSION, users: store.users, config: store.config }, changed: false };
+    }
+
+    return errorResponse(404, `No endpoint for ${method} ${path}`);
+}
+
+/**
+ * Create an HTTP server for the protocol
+ * @param {Object} options - { dataFile, apiKey } (optional); without a data file the store is kept in memory
+ * @returns {http.Server} Server, not listening yet
+ */
+function createServer(options = {}) {
+    const store = loadStore(options.dataFile);
+
+    return http.createServer((req, res) => {
+        readBody(req)
+            .then(body => {
+                const response = handleRequest(store, { method: req.method, path: req.url, headers: req.headers, body }, options);
+                if (response.changed && options.dataFile) {
+                    fs.writeFileSync(options.dataFile, JSON.stringify(store, null, 2));
+                }
+                return response;
+            }, error => errorResponse(400, error.message))
+            .then(response => {
+                // No CORS headers: the extension calls from its service worker with a host permission,
+                // and web pages have no business reading the data
+                const headers = {};
+                if (response.body !== null) {
+                    headers['Content-Type'] = 'application/json';
+                }
+                res.writeHead(response.status, headers);
+                res.end(response.body === null ? undefined : JSON.stringify(response.body));
+            });
+    });
+}
+
+function errorResponse(status, message) {
+    return { status, body: { error: message }, changed: false };
+}
+
+// Users are listed in /settings with the time they last hid an order
+function rememberUser(store, username, lastModified) {
+    if (!username) {
+        return;
+    }
+    const user = store.users.find(([name]) => name === username);
+    if (user) {
+        user[1] = lastModified || user[1];
+    } else {
+        store.users.push([username, lastModified || new Date().toISOString()]);
+    }
+}
+
+function loadStore(dataFile) {
+    if (!dataFile || !fs.existsSync(dataFile)) {
+        return createStore();
+    }
+    return { ...createStore(), ...JSON.parse(fs.readFileSync(dataFile, 'utf8')) };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            text += chunk;
+            if (text.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(text ? JSON.parse(text) : null);
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const option = (name, fallback) => {
+        const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : fallback;
+    };
+    const port = Number(option('port', 8787));
+    const dataFile = option('data', 'archizer-data.json');
+    const apiKey = option('api-key', process.env.ARCHIZER_API_KEY || null);
+
+    createServer({ dataFile, apiKey }).listen(port, () => {
+        console.log(`🗄️  Archizer REST backend on http://localhost:${port}, data in ${dataFile}${apiKey ? ', API key required' : ''}`);
+    });
+}
+
+module.exports = { PROTOCOL_VERSION, createStore, handleRequest, createServer };
@@ -0,0 +1,118 @@
+/**
+ * Storage Backend Interface
+ * The operations the content script and popup use to read and change hidden orders, so they
+ * work the same whichever backend the 'storage_backend' config selects. See registry.js for
+ * the available backends.
+ *
+ * A hidden order record looks like:
+ * {
+ *     orderId: '112-8383531-6014102',
+ *     type: 'details',                         // 'details' or 'order'
+ *     orderData: { orderNumber: '112-8383531-6014102', tags: ['gifts'], notes: '' },
+ *     username: 'alice',
+ *     marketplace: 'amazon.com',
+ *     timestamp: '2024-01-15T10:30:00.000Z',
+ *     lastModified: '2024-01-15T10:30:00.000Z'
+ * }
+ *
+ * Watchers are called with the hidden orders and tags that changed, from any tab:
+ *   [{ kind: 'hiddenOrder', oldValue: {...}, newValue: undefined }]
+ */
+
+// Backend used when the 'storage_backend' config is not set
+export const DEFAULT_BACKEND_ID = 'google-sheets';
+
+// Methods every backend implements
+export const BACKEND_METHODS = ['getHiddenOrders', 'hide', 'unhide', 'getTags', 'getAllTags', 'setTags', 'appendAudit', 'watch'];
+
+/**
+ * Validate a backend ID (ConfigManager validator for 'storage_backend')
+ * Unknown IDs are allowed here and fall back to the default when the backend is created,
+ * so a config written by a build with more backends still loads
+ * @param {string} backendId - Backend ID
+ * @returns {Object} { valid, errors }
+ */
+export function validateBackendId(backendId) {
+    if (typeof backendId !== 'string' || !/^[a-z][a-z0-9-]*$/.test(backendId)) {
+        return { valid: false, errors: ['storage_backend must be a backend ID such as "local" or "google-sheets"'] };
+    }
+    return { valid: true, errors: [] };
+}
+
+export class StorageBackend {
+    /**
+     * Get every hidden order
+     * @returns {Promise<Array>} Hidden order records
+     */
+    async getHiddenOrders() {
+        throw this._notImplemented('getHiddenOrders');
+    }
+
+    /**
+     * Hide an order and record it in the audit log
+     * @param {string} _orderId - Order ID
+     * @param {string} _type - Type of hiding ('details' or 'order')
+     * @param {Object} _orderData - Order data, with tags and notes; performedBy is credited in the audit log instead of the user
+     * @returns {Promise<Object>} The stored hidden order record
+     */
+    async hide(_orderId, _type, _orderData) {
+        throw this._notImplemented('hide');
+    }
+
+    /**
+     * Unhide an order and record it in the audit log
+     * @param {string} _orderId - Order ID
+     * @param {string} _type - Type of hiding ('details' or 'order')
+     * @returns {Promise<Object|null>} The removed hidden order record, or null if it was not hidden
+     */
+    async unhide(_orderId, _type) {
+        throw this._notImplemented('unhide');
+    }
+
+    /**
+     * Get the tags saved for an order in the tagging dialog
+     * @param {string} _orderId - Order ID
+     * @returns {Promise<Object|null>} Tag data ({ tags, notes, ... }) or null
+     */
+    async getTags(_orderId) {
+        throw this._notImplemented('getTags');
+    }
+
+    /**
+     * Get the tags saved for every order
+     * @returns {Promise<Array>} Order tag records ({ orderId, tagData, timestamp })
+     */
+    async getAllTags() {
+        throw this._notImplemented('getAllTags');
+    }
+
+    /**
+     * Save the tags for an order
+     * @param {string} _orderId - Order ID
+     * @param {Object} _tagData - Tag data from the tagging dialog
+     */
+    async setTags(_orderId, _tagData) {
+        throw this._notImplemented('setTags');
+    }
+
+    /**
+     * Append an entry to the audit log
+     * @param {Object} _entry - { timestamp, orderId, action, actionType, performedBy, tags, notes, browserInfo }
+     */
+    async appendAudit(_entry) {
+        throw this._notImplemented('appendAudit');
+    }
+
+    /**
+     * Call a listener whenever hidden orders or tags change
+     * @param {Function} _listener - Called with an array of changes, see the top of this file
+     * @returns {Function} Stops calling the listener
+     */
+    watch(_listener) {
+        throw this._notImplemented('watch');
+    }
+
+    _notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}`);
+    }
+}
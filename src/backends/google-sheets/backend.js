@@ -0,0 +1,44 @@
+/**
+ * Google Sheets Backend
+ * Keeps hidden orders in chrome.storage.local and writes every change through to Google Sheets
+ * via the background script, which queues writes it cannot deliver. This is the default backend.
+ *
+ * Unhides leave a sync tombstone so incremental sync removes the row even if the write is lost.
+ */
+
+import { LocalStorageBackend } from '../local-storage/backend.js';
+import { specializedLogger as log } from '../../utils/logger.js';
+
+export class GoogleSheetsBackend extends LocalStorageBackend {
+    async hide(orderId, type, orderData) {
+        const hiddenOrderData = await this.storage.buildHiddenOrderRecord(orderId, type, orderData);
+        await this.storage.putHiddenOrderRecord(hiddenOrderData);
+        // Hiding again supersedes an earlier unhide that has not been synced yet
+        await this.storage.removeSyncTombstone(orderId, type);
+        log.info(`Stored hidden order ${orderId} (${type}):`, orderData);
+
+        await this.storage.syncHiddenOrderToGoogleSheets(hiddenOrderData);
+        await this.appendAudit(this.storage.buildAuditLogEntry('hide', orderId, type, hiddenOrderData.username, orderData));
+        return hiddenOrderData;
+    }
+
+    async unhide(orderId, type) {
+        const hiddenOrderData = await this.storage.getHiddenOrder(orderId, type);
+        await this.storage.deleteHiddenOrderRecord(orderId, type);
+        log.info(`Removed hidden order ${orderId} (${type})`);
+
+        if (hiddenOrderData) {
+            await this.storage.putSyncTombstone(orderId, type);
+            await this.storage.syncUnhideOrderToGoogleSheets(hiddenOrderData);
+            await this.appendAudit(this.storage.buildAuditLogEntry(
+                'unhide', orderId, type, hiddenOrderData.username, hiddenOrderData.orderData
+            ));
+        }
+        return hiddenOrderData;
+    }
+
+    // The background script keeps the local copy of entries sent to the sheet
+    async appendAudit(entry) {
+        await this.storage.syncAuditLogEntryToGoogleSheets(entry);
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the Google Sheets backend
+ * Tests that hides, unhides and audit log entries are written through to the background script
+ */
+
+import { GoogleSheetsBackend } from './backend.js';
+import { StorageManager } from '../local-storage/storage.js';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const orderData = { orderNumber: '112-8383531-6014102', tags: ['gifts'], notes: '', marketplace: 'amazon.com' };
+
+describe('GoogleSheetsBackend', () => {
+    let store;
+    let backend;
+
+    const sentMessages = (type) => chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.type === type);
+
+    beforeEach(() => {
+        store = { amazon_archiver_username: 'alice', amazon_archiver_schema_version: 3 };
+        global.chrome = {
+            runtime: { id: 'test-extension-id', sendMessage: jest.fn().mockResolvedValue({ success: true }) },
+            storage: {
+                local: {
+                    get: jest.fn(async (key) => {
+                        const data = JSON.parse(JSON.stringify(store));
+                        return key === null ? data : { [key]: data[key] };
+                    }),
+                    set: jest.fn(async (items) => Object.assign(store, JSON.parse(JSON.stringify(items)))),
+                    remove: jest.fn(async (keys) => [].concat(keys).forEach(key => delete store[key]))
+                }
+            }
+        };
+        backend = new GoogleSheetsBackend(new StorageManager());
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    it('should store a hidden order and send it to the sheet with an audit log entry', async () => {
+        store['amazon_archiver_sync_tombstone_112-8383531-6014102_details'] = { orderId: '112-8383531-6014102' };
+
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toEqual(record);
+        expect(store['amazon_archiver_sync_tombstone_112-8383531-6014102_details']).toBeUndefined();
+        expect(sentMessages('SYNC_HIDDEN_ORDER_TO_SHEETS')).toEqual([{ type: 'SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrderData: record }]);
+        expect(sentMessages('ADD_AUDIT_LOG_ENTRY')).toEqual([{
+            type: 'ADD_AUDIT_LOG_ENTRY',
+            auditLogData: expect.objectContaining({ orderId: '112-8383531-6014102', action: 'hide', actionType: 'details', performedBy: 'alice', tags: 'gifts' })
+        }]);
+    });
+
+    it('should remove an unhidden order from the sheet and leave a tombstone for sync', async () => {
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+        chrome.runtime.sendMessage.mockClear();
+
+        await expect(backend.unhide('112-8383531-6014102', 'details')).resolves.toEqual(record);
+
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toBeUndefined();
+        expect(store['amazon_archiver_sync_tombstone_112-8383531-6014102_details']).toEqual({
+            orderId: '112-8383531-6014102',
+            type: 'details',
+            deletedAt: expect.any(String)
+        });
+        expect(sentMessages('REMOVE_HIDDEN_ORDER_FROM_SHEETS')).toEqual([{ type: 'REMOVE_HIDDEN_ORDER_FROM_SHEETS', hiddenOrderData: record }]);
+        expect(sentMessages('ADD_AUDIT_LOG_ENTRY')[0].auditLogData).toMatchObject({ action: 'unhide', performedBy: 'alice' });
+    });
+
+    it('should leave the sheet alone when unhiding an order that is not hidden', async () => {
+        await expect(backend.unhide('1', 'details')).resolves.toBeNull();
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        expect(Object.keys(store).some(key => key.startsWith('amazon_archiver_sync_tombstone_'))).toBe(false);
+    });
+
+    it('should keep the hidden order when the sheet cannot be reached', async () => {
+        chrome.runtime.sendMessage.mockRejectedValue(new Error('Could not establish connection'));
+
+        const record = await backend.hide('1', 'order', orderData);
+
+        expect(store['amazon_archiver_hidden_order_1_order']).toEqual(record);
+    });
+});
@@ -6,16 +6,54 @@
 import { specializedLogger as log } from '../../utils/logger.js';
 import { googleOAuth } from './oauth.js';
 
+// How long queued row writes wait for others to join the same batch
+const BATCH_DELAY_MS = 200;
+
+// Queued writes beyond this many are committed without waiting for the delay
+const MAX_BATCH_SIZE = 500;
+
+// Row indexes are re-read after this long, since other users may edit the sheet
+const ROW_INDEX_TTL_MS = 60 * 1000;
+
+/**
+ * Parse the sheet name and first row out of an A1 range (e.g. 'HiddenOrders!A5:J7')
+ * @param {string} range - A1 range
+ * @returns {Object|null} { sheetName, startRow }, or null for whole-column ranges
+ */
+function parseRangeStart(range) {
+    const match = /^'?([^'!]+)'?!\$?[A-Z]+\$?(\d+)/.exec(range || '');
+    if (!match) {
+        return null;
+    }
+    return { sheetName: match[1], startRow: parseInt(match[2], 10) };
+}
+
 export class GoogleSheetsClient {
     constructor() {
         this.sheetId = null;
         this.baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets';
+
+        // Sheet name -> numeric sheet ID, needed for row deletion
+        this.sheetIdCache = new Map();
+
+        // Sheet name -> { range, keyOf, byKey, byRow, loadedAt }
+        this.rowIndexes = new Map();
+
+        // Writes waiting to be committed together, and the commit chain they run on
+        this.pendingBatch = null;
+        this.batchTimer = null;
+        this.commitChain = Promise.resolve();
     }
 
     /**
      * Configure the client with sheet ID
      */
     configure(sheetId) {
+        if (sheetId !== this.sheetId) {
+            // Cached sheet IDs and row numbers belong to the previous spreadsheet
+            this.sheetIdCache.clear();
+            this.rowIndexes.forEach(index => this._resetRowIndex(index));
+        }
         this.sheetId = sheetId;
         log.info('Google Sheets client configured with sheet ID:', sheetId);
     }
@@ -119,6 +157,7 @@ export class GoogleSheetsClient {
 
             const data = await response.json();
             log.info(`Wrote to range ${range}:`, data.updatedRows, 'rows updated');
+            this._indexWrittenRange(range, [values]);
             return data;
         } catch (error) {
             log.error(`Error writing to range ${range}:`, error);
@@ -165,6 +204,7 @@ export class GoogleSheetsClient {
 
             const data = await response.json();
             log.info(`Appended data to ${sheetName}:`, data.updates.updatedRows, 'rows added');
+            this._indexAppendedRows(sheetName, data.updates, [values]);
             return data;
         } catch (error) {
             log.error(`Error appending data to ${sheetName}:`, error);
@@ -196,6 +236,7 @@ export class GoogleSheetsClient {
 
             const data = await response.json();
             log.info(`Cleared range ${range}`);
+            this.invalidateRowIndex(range.split('!')[0].replace(/'/g, ''));
             return data;
         } catch (error) {
             log.error(`Error clearing range ${range}:`, error);
@@ -255,6 +296,7 @@ export class GoogleSheetsClient {
 
             const data = await response.json();
             log.info(`Sheet "${sheetName}" created successfully`);
+            this.sheetIdCache.clear();
             return data;
         } catch (error) {
             log.error(`Error creating sheet "${sheetName}":`, error);
@@ -264,8 +306,10 @@ export class GoogleSheetsClient {
 
     /**
      * Format the header row (make it bold)
+     * @param {string} sheetName - Name of the sheet
+     * @param {number} columnCount - Number of header columns, from the sheet's schema
      */
-    async formatHeaderRow(sheetName) {
+    async formatHeaderRow(sheetName, columnCount) {
         if (!this.isConfigured()) {
             throw new Error('Google Sheets client not configured. Please set sheet ID.');
         }
@@ -282,7 +326,7 @@ export class GoogleSheetsClient {
                             startRowIndex: 0,
                             endRowIndex: 1,
                             startColumnIndex: 0,
-                            endColumnIndex: 8 // Assuming 8 columns max
+                            endColumnIndex: columnCount
                         },
                         cell: {
                             userEnteredFormat: {
@@ -392,12 +436,558 @@ export class GoogleSheetsClient {
             }
 
             log.info(`Deleted row ${rowIndex} from sheet "${sheetName}"`);
+            this._shiftRowIndex(sheetName, [rowIndex]);
         } catch (error) {
             log.error(`Error deleting row ${rowIndex} from sheet "${sheetName}":`, error);
             throw error;
         }
     }
 
+    /**
+     * Write several ranges in a single values:batchUpdate request
+     * @param {Array} data - Array of { range, values } where values is an array of rows
+     * @returns {Object} Response data, or null if there was nothing to write
+     */
+    async batchWriteRanges(data) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Sheets client not configured. Please set sheet ID.');
+        }
+
+        if (!data || data.length === 0) {
+            return null;
+        }
+
+        try {
+            const accessToken = await googleOAuth.getAccessToken();
+            const url = `${this.baseUrl}/${this.sheetId}/values:batchUpdate`;
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify({
+                    valueInputOption: 'RAW',
+                    data
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to batch write ranges: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            log.info(`Batch wrote ${data.length} ranges:`, result.totalUpdatedRows, 'rows updated');
+            data.forEach(entry => this._indexWrittenRange(entry.range, entry.values));
+            return result;
+        } catch (error) {
+            log.error(`Error batch writing ${data.length} ranges:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply spreadsheet changes (insert or move columns, edit cells, ...) in a single
+     * spreadsheets:batchUpdate request; Google applies all of them or none
+     * @param {Array} requests - Sheets API batchUpdate requests
+     * @returns {Object} Response data, or null if there was nothing to apply
+     */
+    async batchUpdate(requests) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Sheets client not configured. Please set sheet ID.');
+        }
+
+        if (!requests || requests.length === 0) {
+            return null;
+        }
+
+        try {
+            const accessToken = await googleOAuth.getAccessToken();
+            const url = `${this.baseUrl}/${this.sheetId}:batchUpdate`;
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify({ requests })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to update spreadsheet: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            log.info(`Applied ${requests.length} spreadsheet updates`);
+            return result;
+        } catch (error) {
+            log.error(`Error applying ${requests.length} spreadsheet updates:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Append several rows to the end of a sheet in a single request
+     * @param {string} sheetName - Name of the sheet
+     * @param {Array} rows - Array of row value arrays
+     * @returns {Object} Response data, or null if there was nothing to append
+     */
+    async appendRows(sheetName, rows) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Sheets client not configured. Please set sheet ID.');
+        }
+
+        if (!rows || rows.length === 0) {
+            return null;
+        }
+
+        try {
+            const accessToken = await googleOAuth.getAccessToken();
+            const range = `${sheetName}!A:A`; // Append to column A
+            const url = `${this.baseUrl}/${this.sheetId}/values/${range}:append?valueInputOption=RAW`;
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify({ values: rows })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to append rows: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const data = await response.json();
+            log.info(`Appended ${rows.length} rows to ${sheetName}`);
+            this._indexAppendedRows(sheetName, data.updates, rows);
+            return data;
+        } catch (error) {
+            log.error(`Error appending ${rows.length} rows to ${sheetName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete several rows from a sheet in a single spreadsheets:batchUpdate request
+     * Rows are deleted bottom-up so the given indexes all refer to the sheet before deletion
+     * @param {string} sheetName - Name of the sheet
+     * @param {Array<number>} rowIndexes - Row indexes to delete (1-based)
+     */
+    async deleteRows(sheetName, rowIndexes) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Sheets client not configured. Please set sheet ID.');
+        }
+
+        const rowsToDelete = Array.from(new Set(rowIndexes || [])).sort((a, b) => b - a);
+        if (rowsToDelete.length === 0) {
+            return;
+        }
+
+        try {
+            const sheetId = await this.getSheetIdByName(sheetName);
+            const accessToken = await googleOAuth.getAccessToken();
+            const url = `${this.baseUrl}/${this.sheetId}:batchUpdate`;
+
+            const requestBody = {
+                requests: rowsToDelete.map(rowIndex => ({
+                    deleteDimension: {
+                        range: {
+                            sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowIndex - 1, // Convert to 0-based
+                            endIndex: rowIndex
+                        }
+                    }
+                }))
+            };
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to delete rows: ${response.status} ${response.statusText}`);
+            }
+
+            log.info(`Deleted ${rowsToDelete.length} rows from sheet "${sheetName}"`);
+            this._shiftRowIndex(sheetName, rowsToDelete);
+        } catch (error) {
+            log.error(`Error deleting ${rowsToDelete.length} rows from sheet "${sheetName}":`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a sheet exists, using the cached sheet IDs when possible
+     * @param {string} sheetName - Name of the sheet
+     * @returns {boolean} True if the sheet exists
+     */
+    async hasSheet(sheetName) {
+        if (!this.sheetIdCache.has(sheetName)) {
+            const sheetInfo = await this.getSheetInfo();
+            sheetInfo.sheets.forEach(s => this.sheetIdCache.set(s.properties.title, s.properties.sheetId));
+        }
+        return this.sheetIdCache.has(sheetName);
+    }
+
+    /**
+     * Register how rows of a sheet are keyed so they can be found without re-reading the sheet
+     * Row 1 is treated as the header and never indexed
+     * @param {string} sheetName - Name of the sheet
+     * @param {Object} options - Index options
+     * @param {string} options.range - Range holding the key columns (e.g. 'HiddenOrders!A:F')
+     * @param {Function} options.keyOf - Returns the key for a row's values, or null to skip the row
+     */
+    registerRowIndex(sheetName, { range, keyOf }) {
+        const index = { range, keyOf };
+        this._resetRowIndex(index);
+        this.rowIndexes.set(sheetName, index);
+    }
+
+    /**
+     * Get the row index of a sheet, reading the sheet if the index is missing or stale
+     * @param {string} sheetName - Name of a sheet registered with registerRowIndex
+     * @returns {Map} Key -> 1-based row number
+     */
+    async getRowIndex(sheetName) {
+        const index = this.rowIndexes.get(sheetName);
+        if (!index) {
+            throw new Error(`No row index registered for sheet "${sheetName}"`);
+        }
+
+        if (!index.loadedAt || Date.now() - index.loadedAt > ROW_INDEX_TTL_MS) {
+            const rows = await this.readRange(index.range);
+            this._resetRowIndex(index);
+            // Skip the header row; row numbers are 1-based
+            rows.slice(1).forEach((row, i) => this._setIndexedRow(index, i + 2, row));
+            index.loadedAt = Date.now();
+            log.info(`Indexed ${index.byKey.size} rows of sheet "${sheetName}"`);
+        }
+
+        return index.byKey;
+    }
+
+    /**
+     * Drop the row index of a sheet so the next lookup re-reads it
+     * @param {string} sheetName - Name of the sheet
+     */
+    invalidateRowIndex(sheetName) {
+        const index = this.rowIndexes.get(sheetName);
+        if (index) {
+            this._resetRowIndex(index);
+        }
+    }
+
+    /**
+     * Queue an insert-or-update of the row with the given key
+     * Queued writes are coalesced and committed together; see flushQueuedWrites
+     * @param {string} sheetName - Name of a sheet registered with registerRowIndex
+     * @param {string} key - Row key
+     * @param {Array} values - Row values
+     * @returns {Promise} Resolves once the row is written, rejects if it was not
+     */
+    queueUpsertRow(sheetName, key, values) {
+        return this._queueWrite(sheetName, key, ops => {
+            ops.removals.delete(key);
+            ops.upserts.set(key, values);
+        });
+    }
+
+    /**
+     * Queue deletion of the row with the given key (a no-op if no such row exists)
+     * @param {string} sheetName - Name of a sheet registered with registerRowIndex
+     * @param {string} key - Row key
+     * @returns {Promise} Resolves once the row is deleted, rejects if it was not
+     */
+    queueRemoveRow(sheetName, key) {
+        return this._queueWrite(sheetName, key, ops => {
+            // A row written earlier in this batch may also exist in the sheet already
+            ops.upserts.delete(key);
+            ops.removals.add(key);
+        });
+    }
+
+    /**
+     * Queue a row to be appended without any key lookup (e.g. log entries)
+     * @param {string} sheetName - Name of the sheet
+     * @param {Array} values - Row values
+     * @returns {Promise} Resolves once the row is appended, rejects if it was not
+     */
+    queueAppendRow(sheetName, values) {
+        return this._queueWrite(sheetName, null, ops => {
+            ops.appends.push(values);
+        });
+    }
+
+    /**
+     * Commit all queued writes now instead of waiting for the batch delay
+     * @returns {Promise} Resolves once the queued writes are committed, rejects if any of them failed
+     */
+    flushQueuedWrites() {
+        if (this.batchTimer) {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+        }
+
+        const batch = this.pendingBatch;
+        this.pendingBatch = null;
+        if (!batch) {
+            return this.commitChain;
+        }
+
+        // Batches commit one at a time so each sees the row numbers left by the previous one
+        const commit = this.commitChain.then(() => this._commitBatch(batch));
+        this.commitChain = commit.catch(() => { });
+        // _commitBatch settles each write itself; this only catches writes it never reached
+        commit.catch(error => batch.waiters.forEach(waiter => waiter.reject(error)));
+        return commit;
+    }
+
+    /**
+     * Add a write to the pending batch and schedule its commit
+     * @param {string} sheetName - Name of the sheet
+     * @param {string|null} key - Row key, or null for appends
+     * @param {Function} apply - Applies the write to the sheet's pending operations
+     * @returns {Promise} Settles with the outcome of this write
+     */
+    _queueWrite(sheetName, key, apply) {
+        if (!this.pendingBatch) {
+            this.pendingBatch = { sheets: new Map(), waiters: [] };
+        }
+
+        const batch = this.pendingBatch;
+        if (!batch.sheets.has(sheetName)) {
+            batch.sheets.set(sheetName, { upserts: new Map(), removals: new Set(), appends: [] });
+        }
+        apply(batch.sheets.get(sheetName));
+
+        const promise = new Promise((resolve, reject) => {
+            batch.waiters.push({ sheetName, key, resolve, reject });
+        });
+
+        if (batch.waiters.length >= MAX_BATCH_SIZE) {
+            this.flushQueuedWrites().catch(() => { });
+        } else if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => {
+                this.batchTimer = null;
+                this.flushQueuedWrites().catch(() => { });
+            }, BATCH_DELAY_MS);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Commit a batch of queued writes
+     * Updates go in one values:batchUpdate, then deletions per sheet, then appends per sheet.
+     * Each write is settled by the request that carried it, so a failed request only rejects
+     * its own writes and writes that landed are never retried.
+     * @param {Object} batch - Pending batch
+     * @throws {Error} The first failure, once every write has been settled
+     */
+    async _commitBatch(batch) {
+        const updates = [];
+        let updateError = null;
+        // Sheet name -> { updated, deleted, rowsToDelete, rowsToAppend, errors: { index, delete, append } }
+        const plans = new Map();
+
+        for (const [sheetName, ops] of batch.sheets) {
+            const plan = { updated: new Set(), deleted: new Set(), rowsToDelete: [], rowsToAppend: [], errors: {} };
+            plans.set(sheetName, plan);
+
+            if (ops.upserts.size > 0 || ops.removals.size > 0) {
+                try {
+                    // Other users may have moved rows since the index was read, and writing or deleting
+                    // by a stale row number would hit someone else's row, so re-read first
+                    this.invalidateRowIndex(sheetName);
+                    const rowIndex = await this.getRowIndex(sheetName);
+
+                    for (const [key, values] of ops.upserts) {
+                        const row = rowIndex.get(key);
+                        if (row) {
+                            updates.push({ range: `${sheetName}!A${row}`, values: [values] });
+                            plan.updated.add(key);
+                        } else {
+                            plan.rowsToAppend.push(values);
+                        }
+                    }
+
+                    for (const key of ops.removals) {
+                        const row = rowIndex.get(key);
+                        if (row) {
+                            plan.rowsToDelete.push(row);
+                            plan.deleted.add(key);
+                        } else {
+                            log.info(`Row "${key}" not found in sheet "${sheetName}", nothing to delete`);
+                        }
+                    }
+                } catch (error) {
+                    plan.errors.index = error;
+                }
+            }
+
+            plan.rowsToAppend.push(...ops.appends);
+        }
+
+        // Updates use row numbers from before any deletion, so they go first
+        try {
+            await this.batchWriteRanges(updates);
+        } catch (error) {
+            updateError = error;
+        }
+        for (const [sheetName, plan] of plans) {
+            try {
+                await this.deleteRows(sheetName, plan.rowsToDelete);
+            } catch (error) {
+                plan.errors.delete = error;
+            }
+        }
+        for (const [sheetName, plan] of plans) {
+            try {
+                await this.appendRows(sheetName, plan.rowsToAppend);
+            } catch (error) {
+                plan.errors.append = error;
+            }
+        }
+
+        let firstError = null;
+        for (const waiter of batch.waiters) {
+            const plan = plans.get(waiter.sheetName);
+            let error;
+            if (waiter.key === null) {
+                error = plan.errors.append;
+            } else if (plan.errors.index) {
+                error = plan.errors.index;
+            } else if (batch.sheets.get(waiter.sheetName).removals.has(waiter.key)) {
+                error = plan.deleted.has(waiter.key) ? plan.errors.delete : null;
+            } else {
+                error = plan.updated.has(waiter.key) ? updateError : plan.errors.append;
+            }
+
+            if (error) {
+                firstError = firstError || error;
+                waiter.reject(error);
+            } else {
+                waiter.resolve();
+            }
+        }
+
+        if (firstError) {
+            // Part of the batch may have landed, so the cached row numbers can no longer be trusted
+            batch.sheets.forEach((ops, sheetName) => this.invalidateRowIndex(sheetName));
+            throw firstError;
+        }
+        log.info(`Committed ${batch.waiters.length} queued writes`);
+    }
+
+    /**
+     * Clear a row index so it is re-read on next use
+     * @param {Object} index - Row index
+     */
+    _resetRowIndex(index) {
+        index.byKey = new Map();
+        index.byRow = new Map();
+        index.loadedAt = null;
+    }
+
+    /**
+     * Record the key of a row in an index, replacing whatever the row held before
+     * The first row with a given key wins, matching a top-down scan of the sheet
+     * @param {Object} index - Row index
+     * @param {number} row - 1-based row number
+     * @param {Array} values - Row values
+     */
+    _setIndexedRow(index, row, values) {
+        // Row 1 is the header
+        if (row < 2) {
+            return;
+        }
+
+        const previousKey = index.byRow.get(row);
+        if (previousKey !== undefined) {
+            index.byRow.delete(row);
+            if (index.byKey.get(previousKey) === row) {
+                index.byKey.delete(previousKey);
+            }
+        }
+
+        const key = index.keyOf(values);
+        if (key && !index.byKey.has(key)) {
+            index.byKey.set(key, row);
+            index.byRow.set(row, key);
+        }
+    }
+
+    /**
+     * Keep a loaded row index in step with rows written at a known position
+     * @param {string} range - A1 range that was written
+     * @param {Array} rows - Row values that were written
+     */
+    _indexWrittenRange(range, rows) {
+        const start = parseRangeStart(range);
+        const index = start && this.rowIndexes.get(start.sheetName);
+        if (!index || !index.loadedAt) {
+            if (!start && range) {
+                this.invalidateRowIndex(range.split('!')[0].replace(/'/g, ''));
+            }
+            return;
+        }
+        rows.forEach((values, i) => this._setIndexedRow(index, start.startRow + i, values));
+    }
+
+    /**
+     * Keep a loaded row index in step with appended rows
+     * @param {string} sheetName - Name of the sheet
+     * @param {Object} updates - 'updates' section of the append response
+     * @param {Array} rows - Row values that were appended
+     */
+    _indexAppendedRows(sheetName, updates, rows) {
+        const index = this.rowIndexes.get(sheetName);
+        if (!index || !index.loadedAt) {
+            return;
+        }
+
+        const start = parseRangeStart(updates && updates.updatedRange);
+        if (!start) {
+            this._resetRowIndex(index);
+            return;
+        }
+        rows.forEach((values, i) => this._setIndexedRow(index, start.startRow + i, values));
+    }
+
+    /**
+     * Keep a loaded row index in step with deleted rows, moving later rows up
+     * @param {string} sheetName - Name of the sheet
+     * @param {Array<number>} deletedRows - 1-based row numbers that were deleted
+     */
+    _shiftRowIndex(sheetName, deletedRows) {
+        const index = this.rowIndexes.get(sheetName);
+        if (!index || !index.loadedAt) {
+            return;
+        }
+
+        const deleted = new Set(deletedRows);
+        const byKey = new Map();
+        const byRow = new Map();
+        for (const [key, row] of index.byKey) {
+            if (deleted.has(row)) {
+                continue;
+            }
+            const shift = deletedRows.filter(deletedRow => deletedRow < row).length;
+            byKey.set(key, row - shift);
+            byRow.set(row - shift, key);
+        }
+        index.byKey = byKey;
+        index.byRow = byRow;
+    }
+
     /**
      * Get sheet ID by sheet name
      */
@@ -406,8 +996,13 @@ export class GoogleSheetsClient {
             throw new Error('Google Sheets client not configured. Please set sheet ID.');
         }
 
+        if (this.sheetIdCache.has(sheetName)) {
+            return this.sheetIdCache.get(sheetName);
+        }
+
         try {
             const sheetInfo = await this.getSheetInfo();
+            sheetInfo.sheets.forEach(s => this.sheetIdCache.set(s.properties.title, s.properties.sheetId));
             const sheet = sheetInfo.sheets.find(s => s.properties.title === sheetName);
             if (!sheet) {
                 throw new Error(`Sheet "${sheetName}" not found`);
@@ -248,6 +248,61 @@ describe('GoogleSheetsClient', () => {
         });
     });
 
+    describe('formatHeaderRow', () => {
+        it('should make every header column bold', async () => {
+            client.configure('test_sheet_id');
+            client.sheetIdCache.set('HiddenOrders', 3);
+            global.fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({}) });
+
+            await client.formatHeaderRow('HiddenOrders', 10);
+
+            const { requests } = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(requests[0].repeatCell.range).toEqual({
+                sheetId: 3,
+                startRowIndex: 0,
+                endRowIndex: 1,
+                startColumnIndex: 0,
+                endColumnIndex: 10
+            });
+        });
+    });
+
+    describe('batchUpdate', () => {
+        it('should skip the request when there is nothing to apply', async () => {
+            client.configure('test_sheet_id');
+
+            await expect(client.batchUpdate([])).resolves.toBeNull();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should send all requests in one spreadsheet batchUpdate', async () => {
+            client.configure('test_sheet_id');
+            global.fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ replies: [{}, {}] }) });
+            const requests = [
+                { insertDimension: { range: { sheetId: 1, dimension: 'COLUMNS', startIndex: 9, endIndex: 10 }, inheritFromBefore: true } },
+                { updateCells: { range: { sheetId: 1, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 9, endColumnIndex: 10 } } }
+            ];
+
+            const result = await client.batchUpdate(requests);
+
+            expect(global.fetch).toHaveBeenCalledWith(
+                'https://sheets.googleapis.com/v4/spreadsheets/test_sheet_id:batchUpdate',
+                expect.objectContaining({
+                    method: 'POST',
+                    body: JSON.stringify({ requests })
+                })
+            );
+            expect(result.replies).toHaveLength(2);
+        });
+
+        it('should throw when the update is rejected', async () => {
+            client.configure('test_sheet_id');
+            global.fetch.mockResolvedValue({ ok: false, status: 400, statusText: 'Bad Request' });
+
+            await expect(client.batchUpdate([{ moveDimension: {} }])).rejects.toThrow('Failed to update spreadsheet: 400 Bad Request');
+        });
+    });
+
     describe('getSheetNames', () => {
         it('should get sheet names from sheet info', async () => {
             client.configure('test_sheet_id');
@@ -269,4 +324,237 @@ describe('GoogleSheetsClient', () => {
             expect(result).toEqual(['Sheet1', 'Sheet2']);
         });
     });
+
+    describe('batching and row index', () => {
+        const BASE = 'https://sheets.googleapis.com/v4/spreadsheets/test_sheet_id';
+        let sheetRows;
+
+        // Minimal in-memory stand-in for the Sheets API, holding a single 'Orders' sheet
+        const respond = (data) => ({ ok: true, json: jest.fn().mockResolvedValue(data) });
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            client.configure('test_sheet_id');
+            client.registerRowIndex('Orders', {
+                range: 'Orders!A:B',
+                keyOf: row => (row[0] ? `${row[0]}_${row[1] || 'details'}` : null)
+            });
+            sheetRows = [
+                ['Order ID', 'Type'],
+                ['A', 'details'],
+                ['B', 'details'],
+                ['C', 'order']
+            ];
+
+            global.fetch.mockImplementation(async (url, options = {}) => {
+                const body = options.body ? JSON.parse(options.body) : null;
+                if (url === BASE) {
+                    return respond({ properties: { title: 'Test' }, sheets: [{ properties: { title: 'Orders', sheetId: 7 } }] });
+                }
+                if (url === `${BASE}/values/Orders!A:B`) {
+                    return respond({ values: sheetRows.map(row => row.slice(0, 2)) });
+                }
+                if (url === `${BASE}/values:batchUpdate`) {
+                    body.data.forEach(({ range, values }) => {
+                        const row = parseInt(/!A(\d+)/.exec(range)[1], 10);
+                        sheetRows[row - 1] = values[0];
+                    });
+                    return respond({ totalUpdatedRows: body.data.length });
+                }
+                if (url === `${BASE}/values/Orders!A:A:append?valueInputOption=RAW`) {
+                    const start = sheetRows.length + 1;
+                    sheetRows.push(...body.values);
+                    return respond({ updates: { updatedRange: `Orders!A${start}:B${sheetRows.length}`, updatedRows: body.values.length } });
+                }
+                if (url === `${BASE}:batchUpdate`) {
+                    body.requests.forEach(({ deleteDimension }) => {
+                        sheetRows.splice(deleteDimension.range.startIndex, 1);
+                    });
+                    return respond({});
+                }
+                throw new Error(`Unexpected request: ${url}`);
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should index rows by key, skipping the header', async () => {
+            const index = await client.getRowIndex('Orders');
+
+            expect(Array.from(index.entries())).toEqual([['A_details', 2], ['B_details', 3], ['C_order', 4]]);
+        });
+
+        it('should reuse the row index until it expires', async () => {
+            await client.getRowIndex('Orders');
+            await client.getRowIndex('Orders');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(61 * 1000);
+            await client.getRowIndex('Orders');
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should delete rows bottom-up in a single request', async () => {
+            await client.deleteRows('Orders', [2, 4]);
+
+            const deleteCall = global.fetch.mock.calls.find(([url]) => url === `${BASE}:batchUpdate`);
+            const { requests } = JSON.parse(deleteCall[1].body);
+            expect(requests.map(request => request.deleteDimension.range)).toEqual([
+                { sheetId: 7, dimension: 'ROWS', startIndex: 3, endIndex: 4 },
+                { sheetId: 7, dimension: 'ROWS', startIndex: 1, endIndex: 2 }
+            ]);
+            expect(sheetRows).toEqual([['Order ID', 'Type'], ['B', 'details']]);
+        });
+
+        it('should cache sheet IDs between deletions', async () => {
+            await client.deleteRows('Orders', [4]);
+            await client.deleteRows('Orders', [3]);
+
+            expect(global.fetch.mock.calls.filter(([url]) => url === BASE)).toHaveLength(1);
+        });
+
+        it('should keep the row index in step with deletions and appends', async () => {
+            await client.getRowIndex('Orders');
+
+            await client.deleteRows('Orders', [2]);
+            await client.appendRows('Orders', [['D', 'details']]);
+            const index = await client.getRowIndex('Orders');
+
+            expect(Array.from(index.entries()).sort()).toEqual([['B_details', 2], ['C_order', 3], ['D_details', 4]]);
+            // Only the initial read hit the values endpoint
+            expect(global.fetch.mock.calls.filter(([url]) => url === `${BASE}/values/Orders!A:B`)).toHaveLength(1);
+        });
+
+        it('should commit many queued writes in a handful of requests', async () => {
+            const writes = [];
+            for (let i = 0; i < 300; i++) {
+                writes.push(client.queueUpsertRow('Orders', `N${i}_details`, [`N${i}`, 'details']));
+            }
+            writes.push(client.queueUpsertRow('Orders', 'A_details', ['A', 'details', 'updated']));
+            writes.push(client.queueRemoveRow('Orders', 'B_details'));
+
+            jest.advanceTimersByTime(200);
+            await Promise.all(writes);
+
+            // Index read, sheet info, one update, one delete and one append
+            expect(global.fetch).toHaveBeenCalledTimes(5);
+            expect(sheetRows).toHaveLength(303);
+            expect(sheetRows[1]).toEqual(['A', 'details', 'updated']);
+            expect(sheetRows.some(row => row[0] === 'B')).toBe(false);
+        });
+
+        it('should re-read the row index before deleting rows', async () => {
+            await client.getRowIndex('Orders');
+            // Someone else inserts a row above, so the cached row of C_order now holds B
+            sheetRows.splice(1, 0, ['Z', 'details']);
+
+            const removal = client.queueRemoveRow('Orders', 'C_order');
+            await client.flushQueuedWrites();
+            await removal;
+
+            expect(sheetRows).toEqual([
+                ['Order ID', 'Type'],
+                ['Z', 'details'],
+                ['A', 'details'],
+                ['B', 'details']
+            ]);
+            expect(global.fetch.mock.calls.filter(([url]) => url === `${BASE}/values/Orders!A:B`)).toHaveLength(2);
+        });
+
+        it('should re-read the row index before updating rows', async () => {
+            const first = client.queueUpsertRow('Orders', 'A_details', ['A', 'details', 'first']);
+            await client.flushQueuedWrites();
+            await first;
+            // Someone else deletes a row between flushes, so the cached row of C_order now lies past the end
+            sheetRows.splice(2, 1);
+
+            const second = client.queueUpsertRow('Orders', 'C_order', ['C', 'order', 'second']);
+            await client.flushQueuedWrites();
+            await second;
+
+            expect(sheetRows).toEqual([
+                ['Order ID', 'Type'],
+                ['A', 'details', 'first'],
+                ['C', 'order', 'second']
+            ]);
+        });
+
+        it('should coalesce writes to the same key within a batch', async () => {
+            const writes = [
+                client.queueUpsertRow('Orders', 'D_details', ['D', 'details']),
+                client.queueRemoveRow('Orders', 'D_details'),
+                client.queueRemoveRow('Orders', 'C_order'),
+                client.queueUpsertRow('Orders', 'C_order', ['C', 'order', 'again'])
+            ];
+
+            await client.flushQueuedWrites();
+            await Promise.all(writes);
+
+            expect(sheetRows).toEqual([
+                ['Order ID', 'Type'],
+                ['A', 'details'],
+                ['B', 'details'],
+                ['C', 'order', 'again']
+            ]);
+        });
+
+        it('should find rows appended by an earlier batch', async () => {
+            const first = client.queueUpsertRow('Orders', 'D_details', ['D', 'details']);
+            await client.flushQueuedWrites();
+            await first;
+
+            const second = client.queueUpsertRow('Orders', 'D_details', ['D', 'details', 'edited']);
+            await client.flushQueuedWrites();
+            await second;
+
+            expect(sheetRows).toHaveLength(5);
+            expect(sheetRows[4]).toEqual(['D', 'details', 'edited']);
+        });
+
+        it('should only reject the writes whose request failed', async () => {
+            const logRows = [];
+            const sheetsApi = global.fetch.getMockImplementation();
+            global.fetch.mockImplementation(async (url, options) => {
+                if (url === `${BASE}:batchUpdate`) {
+                    return { ok: false, status: 500, statusText: 'Internal Server Error', text: jest.fn().mockResolvedValue('') };
+                }
+                if (url === `${BASE}/values/Log!A:A:append?valueInputOption=RAW`) {
+                    logRows.push(...JSON.parse(options.body).values);
+                    return respond({ updates: { updatedRange: `Log!A1:B${logRows.length}`, updatedRows: 1 } });
+                }
+                return sheetsApi(url, options);
+            });
+
+            const writes = [
+                client.queueRemoveRow('Orders', 'B_details'),
+                client.queueUpsertRow('Orders', 'A_details', ['A', 'details', 'x']),
+                client.queueAppendRow('Log', ['removed', 'B'])
+            ];
+            const settled = Promise.allSettled(writes);
+            await expect(client.flushQueuedWrites()).rejects.toThrow();
+
+            // The log entry landed, so retrying it would duplicate it
+            expect((await settled).map(result => result.status)).toEqual(['rejected', 'fulfilled', 'fulfilled']);
+            expect(logRows).toEqual([['removed', 'B']]);
+            expect(sheetRows[1]).toEqual(['A', 'details', 'x']);
+            expect(client.rowIndexes.get('Orders').loadedAt).toBeNull();
+        });
+
+        it('should reject every write in a failed batch and drop the row index', async () => {
+            await client.getRowIndex('Orders');
+            global.fetch.mockResolvedValue({ ok: false, status: 429, statusText: 'Too Many Requests', text: jest.fn().mockResolvedValue('') });
+
+            const writes = [
+                client.queueUpsertRow('Orders', 'A_details', ['A', 'details', 'x']),
+                client.queueAppendRow('Orders', ['E', 'details'])
+            ];
+            const settled = Promise.allSettled(writes);
+            await client.flushQueuedWrites().catch(() => { });
+
+            expect((await settled).map(result => result.status)).toEqual(['rejected', 'rejected']);
+            expect(client.rowIndexes.get('Orders').loadedAt).toBeNull();
+        });
+    });
 });
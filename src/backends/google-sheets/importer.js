@@ -9,10 +9,25 @@
 import { defaultSchema } from './schema.js';
 import { defaultValidator } from './validation.js';
 import { specializedLogger as log } from '../../utils/logger.js';
+import { resolveTagPolicy, sanitizeTags } from '../../utils/tag-policy.js';
+import { normalizeTeamRole, parseActiveFlag } from '../../utils/team-roles.js';
 
 export class GoogleSheetsImporter {
     constructor() {
         this.schema = defaultSchema;
+        this.tagPolicy = resolveTagPolicy();
+    }
+
+    /**
+     * Apply the tag policy from the 'tag_policy' config to imported tags
+     * Also passed to the validator so both clean up tags the same way
+     * @param {Object} policy - Tag policy, missing settings use the defaults
+     */
+    setTagPolicy(policy) {
+        this.tagPolicy = resolveTagPolicy(policy);
+        if (typeof defaultValidator.setTagPolicy === 'function') {
+            defaultValidator.setTagPolicy(this.tagPolicy);
+        }
     }
 
     /**
@@ -321,7 +336,9 @@ export class GoogleSheetsImporter {
                 username: row[0] || '',
                 createdAt: row[1] || new Date().toISOString(),
                 lastActive: row[2] || new Date().toISOString(),
-                isActive: row[3] === true || row[3] === 'true' || row[3] === 1
+                isActive: parseActiveFlag(row[3]),
+                role: normalizeTeamRole(row[4]),
+                displayName: row[5] ? String(row[5]).trim() : null
             };
 
             // Validate the parsed data
@@ -385,11 +402,12 @@ export class GoogleSheetsImporter {
         try {
             if (!tagsString || typeof tagsString !== 'string') return [];
 
-            // Split by comma and clean up each tag
-            return tagsString
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0);
+            // Split by comma and apply the tag policy to each tag
+            const { tags, warnings } = sanitizeTags(tagsString.split(','), this.tagPolicy);
+            if (warnings.length > 0) {
+                log.warning('Tags from sheets do not match the tag policy:', warnings.map(warning => warning.message));
+            }
+            return tags;
         } catch (error) {
             log.warning('Error parsing tags from sheets:', error);
             return [];
@@ -487,7 +505,7 @@ export class GoogleSheetsImporter {
             const jsonData = sheetData.rows.map(row => {
                 const obj = {};
                 sheetData.headers.forEach((header, index) => {
-                    obj[header] = row[index] || '';
+                    obj[header] = row[index] ?? '';
                 });
                 return obj;
             });
@@ -24,7 +24,8 @@ jest.mock('./validation.js', () => ({
         validateHiddenOrders: jest.fn(),
         validateActionLog: jest.fn(),
         validateUserSettings: jest.fn(),
-        getValidationStats: jest.fn()
+        getValidationStats: jest.fn(),
+        setTagPolicy: jest.fn()
     }
 }));
 
@@ -440,6 +441,22 @@ describe('GoogleSheetsImporter', () => {
         });
     });
 
+    describe('parseTagsFromSheets', () => {
+        it('should split and trim tags', () => {
+            expect(importer.parseTagsFromSheets(' gifts, books ,, work/reimbursable ')).toEqual(['gifts', 'books', 'work/reimbursable']);
+            expect(importer.parseTagsFromSheets('')).toEqual([]);
+            expect(importer.parseTagsFromSheets(null)).toEqual([]);
+        });
+
+        it('should apply the tag policy and pass it to the validator', () => {
+            importer.setTagPolicy({ caseNormalization: 'lowercase', blocklist: ['misc'] });
+
+            expect(importer.parseTagsFromSheets('Gifts, misc, GIFTS, Home/Misc, Books')).toEqual(['gifts', 'books']);
+            expect(mockLogger.warning).toHaveBeenCalledWith('Tags from sheets do not match the tag policy:', expect.any(Array));
+            expect(mockValidator.setTagPolicy).toHaveBeenCalledWith(expect.objectContaining({ caseNormalization: 'lowercase', maxLength: 50 }));
+        });
+    });
+
     describe('getHeaders methods', () => {
         it('should return correct headers for HiddenOrders', () => {
             const headers = importer.getHiddenOrdersHeaders();
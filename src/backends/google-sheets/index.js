@@ -10,14 +10,7 @@ export { defaultValidator, GoogleSheetsValidator } from './validation.js';
 export { defaultTransformer, GoogleSheetsTransformer } from './transformer.js';
 export { GoogleSheetsClient, googleSheetsClient } from './client.js';
 export { GoogleSheetsConfig, googleSheetsConfig } from './config.js';
-export { GoogleOAuth, googleOAuth } from './oauth.js';
-// Convenience exports
-export const GoogleSheetsBackend = {
-    schema: defaultSchema,
-    importer: defaultImporter,
-    sync: defaultSync,
-    validator: defaultValidator,
-    transformer: defaultTransformer,
-    client: googleSheetsClient,
-    config: googleSheetsConfig
-};
+export { GoogleOAuth, googleOAuth, createCodeVerifier, createCodeChallenge, oauthTokensKey } from './oauth.js';
+export { TokenEncryption, tokenEncryption } from './token-encryption.js';
+export { SheetsMigrator, sheetsMigrator } from './migrations.js';
+export { GoogleSheetsBackend } from './backend.js';
@@ -0,0 +1,405 @@
+/**
+ * Google Sheets Schema Migrations
+ * Brings spreadsheets set up by older versions of Archizer to the current column layout,
+ * editing the existing sheets in place so rows and anything else in the sheet are kept.
+ *
+ * The layout version a spreadsheet uses is stored in its Metadata sheet:
+ *   Key            | Value
+ *   schemaVersion  | 2
+ *   updatedAt      | 2024-01-20T14:30:00.000Z
+ * Spreadsheets from before the Metadata sheet existed have their version detected from the headers.
+ *
+ * Each migration moves a spreadsheet from version - 1 to version with column operations:
+ * - addColumn: { sheet, header, after }     Insert an empty column after the named one (null for first)
+ * - renameColumn: { sheet, from, to }       Change a header, keeping the column's values
+ * - moveColumn: { sheet, header, after }    Move a column with its values after the named one
+ *
+ * planMigrations() is the dry run: it reports every change, and whether it can be made,
+ * without touching the spreadsheet. SheetsMigrator.apply() makes the changes.
+ */
+
+import { specializedLogger as log } from '../../utils/logger.js';
+import { googleSheetsClient } from './client.js';
+import { defaultSchema, SCHEMA_VERSION } from './schema.js';
+
+export const MIGRATION_OPERATIONS = ['addColumn', 'renameColumn', 'moveColumn'];
+
+export const METADATA_SHEET = defaultSchema.sheets.metadata.name;
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Headers of each sheet at version 1, the first layout written to team spreadsheets
+export const BASE_LAYOUT = {
+    HiddenOrders: ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified'],
+    ActionLog: ['Timestamp', 'Order ID', 'Action', 'Action Type', 'Performed By', 'Tags', 'Notes', 'Browser Info'],
+    UserSettings: ['Username', 'Created At', 'Last Active', 'Is Active']
+};
+
+// Ordered by version; the last one must match SCHEMA_VERSION and the columns in schema.js
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Record the Amazon storefront of each hidden order',
+        operations: [
+            { type: 'addColumn', sheet: 'HiddenOrders', header: 'Marketplace', after: 'Last Modified' }
+        ]
+    },
+    {
+        version: 3,
+        description: 'Give each team member a role',
+        operations: [
+            { type: 'addColumn', sheet: 'UserSettings', header: 'Role', after: 'Is Active' }
+        ]
+    },
+    {
+        version: 4,
+        description: 'Record the Google account name of each user',
+        operations: [
+            { type: 'addColumn', sheet: 'UserSettings', header: 'Display Name', after: 'Role' }
+        ]
+    }
+];
+
+/**
+ * Get the headers of each sheet at a layout version
+ * @param {number} version - Layout version
+ * @returns {Object} Sheet name -> headers
+ */
+export function getLayout(version) {
+    const layout = Object.fromEntries(Object.entries(BASE_LAYOUT).map(([sheet, headers]) => [sheet, [...headers]]));
+    MIGRATIONS
+        .filter(migration => migration.version <= version)
+        .forEach(migration => migration.operations.forEach(operation => {
+            const change = planOperation(layout[operation.sheet] || [], operation);
+            if (change.status === 'pending') {
+                layout[operation.sheet] = change.headers;
+            }
+        }));
+    return layout;
+}
+
+/**
+ * Read the layout version from the rows of the Metadata sheet
+ * @param {Array} rows - Metadata sheet values, header row included
+ * @returns {number|null} Layout version, or null if none is recorded
+ */
+export function readSchemaVersion(rows) {
+    const row = (rows || []).find(cells => cells && cells[0] === SCHEMA_VERSION_KEY);
+    const version = row ? Number(row[1]) : NaN;
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Work out the layout version of a spreadsheet that has none recorded, from its headers
+ * Extra columns to the right of ours are allowed, since teams add their own
+ * @param {Object} headersBySheet - Sheet name -> header row ([] for a missing or empty sheet)
+ * @returns {number|null} Newest matching version, or null if the headers match none
+ */
+export function detectSchemaVersion(headersBySheet) {
+    const present = Object.keys(BASE_LAYOUT).filter(sheet => (headersBySheet[sheet] || []).length > 0);
+    if (present.length === 0) {
+        // Nothing written yet, so setup will use the current layout
+        return SCHEMA_VERSION;
+    }
+
+    for (let version = SCHEMA_VERSION; version >= 1; version--) {
+        const layout = getLayout(version);
+        const matches = present.every(sheet => layout[sheet].every((header, index) => cleanHeader(headersBySheet[sheet][index]) === header));
+        if (matches) {
+            return version;
+        }
+    }
+    return null;
+}
+
+/**
+ * Plan the migrations a spreadsheet needs (the dry run)
+ * Operations are checked against the actual headers, so columns that are already in place
+ * are skipped and columns that cannot be found stop the migration
+ * @param {Object} state - { storedVersion, headersBySheet } from SheetsMigrator.inspect()
+ * @param {number} targetVersion - Version to migrate to
+ * @returns {Object} { storedVersion, fromVersion, toVersion, detected, upToDate, steps, errors }
+ */
+export function planMigrations({ storedVersion = null, headersBySheet = {} }, targetVersion = SCHEMA_VERSION) {
+    const fromVersion = storedVersion !== null ? storedVersion : detectSchemaVersion(headersBySheet);
+    const report = {
+        storedVersion,
+        fromVersion,
+        toVersion: targetVersion,
+        detected: storedVersion === null,
+        upToDate: false,
+        steps: [],
+        errors: []
+    };
+
+    if (fromVersion === null) {
+        report.errors.push('The sheet headers do not match any known Archizer layout, so the layout version cannot be detected');
+        return report;
+    }
+    if (fromVersion > targetVersion) {
+        report.errors.push(`The spreadsheet uses layout version ${fromVersion}, newer than this extension supports (${targetVersion}). Update Archizer.`);
+        return report;
+    }
+
+    const headers = Object.fromEntries(Object.entries(headersBySheet).map(([sheet, row]) => [sheet, (row || []).map(cleanHeader)]));
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.version <= targetVersion)
+        .forEach(migration => {
+            const changes = migration.operations.map(operation => {
+                const sheetHeaders = headers[operation.sheet] || [];
+                if (sheetHeaders.length === 0) {
+                    return { ...describeOperation(operation), status: 'skipped', reason: `${operation.sheet} has no headers yet; setup writes the current layout` };
+                }
+
+                const { headers: nextHeaders, ...change } = planOperation(sheetHeaders, operation);
+                if (change.status === 'pending') {
+                    headers[operation.sheet] = nextHeaders;
+                }
+                if (change.status === 'blocked') {
+                    report.errors.push(`Version ${migration.version}: ${change.reason}`);
+                }
+                return change;
+            });
+            report.steps.push({ version: migration.version, description: migration.description, changes });
+        });
+
+    report.upToDate = storedVersion === targetVersion && report.steps.length === 0;
+    return report;
+}
+
+/**
+ * Build the spreadsheets:batchUpdate requests for the pending changes of a migration step
+ * @param {Object} step - Step from planMigrations
+ * @param {Object} sheetIds - Sheet name -> numeric sheet ID
+ * @returns {Array} batchUpdate requests, applied in order
+ */
+export function buildMigrationRequests(step, sheetIds) {
+    const requests = [];
+    step.changes.filter(change => change.status === 'pending').forEach(change => {
+        const sheetId = sheetIds[change.sheet];
+        switch (change.type) {
+            case 'addColumn':
+                requests.push({
+                    insertDimension: {
+                        range: { sheetId, dimension: 'COLUMNS', startIndex: change.toIndex, endIndex: change.toIndex + 1 },
+                        inheritFromBefore: change.toIndex > 0
+                    }
+                });
+                requests.push(headerCellRequest(sheetId, change.toIndex, change.header));
+                break;
+            case 'renameColumn':
+                requests.push(headerCellRequest(sheetId, change.toIndex, change.header));
+                break;
+            case 'moveColumn':
+                requests.push({
+                    moveDimension: {
+                        source: { sheetId, dimension: 'COLUMNS', startIndex: change.fromIndex, endIndex: change.fromIndex + 1 },
+                        // The destination counts columns before the moved one is taken out
+                        destinationIndex: change.toIndex > change.fromIndex ? change.toIndex + 1 : change.toIndex
+                    }
+                });
+                break;
+        }
+    });
+    return requests;
+}
+
+export class SheetsMigrator {
+    constructor(client = googleSheetsClient) {
+        this.client = client;
+    }
+
+    /**
+     * Read the recorded layout version and the header row of each sheet
+     * @returns {Object} { storedVersion, headersBySheet }
+     */
+    async inspect() {
+        const sheetNames = await this.client.getSheetNames();
+
+        const headersBySheet = {};
+        for (const sheet of Object.keys(BASE_LAYOUT)) {
+            if (sheetNames.includes(sheet)) {
+                const response = await this.client.getRange(`${sheet}!1:1`);
+                headersBySheet[sheet] = (response && response.values && response.values[0]) || [];
+            } else {
+                headersBySheet[sheet] = [];
+            }
+        }
+
+        let storedVersion = null;
+        if (sheetNames.includes(METADATA_SHEET)) {
+            const response = await this.client.getRange(`${METADATA_SHEET}!A:B`);
+            storedVersion = readSchemaVersion(response && response.values);
+        }
+
+        return { storedVersion, headersBySheet };
+    }
+
+    /**
+     * Report what migrating the spreadsheet would change, without changing it
+     * @returns {Object} Migration report, see planMigrations
+     */
+    async plan() {
+        return planMigrations(await this.inspect());
+    }
+
+    /**
+     * Migrate the spreadsheet to the current layout
+     * Each step is applied in one atomic request and recorded before the next, so a failed
+     * migration can simply be run again
+     * @returns {Object} The migration report that was applied
+     */
+    async apply() {
+        const report = await this.plan();
+        if (report.errors.length > 0) {
+            throw new Error(report.errors.join('; '));
+        }
+
+        for (const step of report.steps) {
+            const sheets = [...new Set(step.changes.filter(change => change.status === 'pending').map(change => change.sheet))];
+            const sheetIds = {};
+            for (const sheet of sheets) {
+                sheetIds[sheet] = await this.client.getSheetIdByName(sheet);
+            }
+
+            log.info(`Migrating spreadsheet to layout version ${step.version}: ${step.description}`);
+            await this.client.batchUpdate(buildMigrationRequests(step, sheetIds));
+            sheets.forEach(sheet => this.client.invalidateRowIndex(sheet));
+            await this.recordVersion(step.version);
+        }
+
+        if (report.storedVersion !== report.toVersion) {
+            await this.recordVersion(report.toVersion);
+        }
+
+        log.success(`Spreadsheet uses layout version ${report.toVersion}`);
+        return report;
+    }
+
+    /**
+     * Write the layout version to the Metadata sheet, creating the sheet if needed
+     * @param {number} version - Layout version
+     */
+    async recordVersion(version) {
+        if (!await this.client.hasSheet(METADATA_SHEET)) {
+            await this.client.createSheet(METADATA_SHEET);
+        }
+
+        const headers = defaultSchema.sheets.metadata.columns.map(column => column.displayName);
+        await this.client.batchWriteRanges([{
+            range: `${METADATA_SHEET}!A1:B3`,
+            values: [
+                headers,
+                [SCHEMA_VERSION_KEY, String(version)],
+                ['updatedAt', new Date().toISOString()]
+            ]
+        }]);
+    }
+}
+
+/**
+ * Check one column operation against a sheet's headers
+ * @param {Array} headers - Current headers of the sheet
+ * @param {Object} operation - Column operation
+ * @returns {Object} Described change with status 'pending', 'skipped' or 'blocked', and the headers after it
+ */
+function planOperation(headers, operation) {
+    const change = { ...describeOperation(operation), headers };
+    const afterIndex = (name) => (name === null || name === undefined ? -1 : headers.indexOf(name));
+
+    switch (operation.type) {
+        case 'addColumn': {
+            if (headers.includes(operation.header)) {
+                return { ...change, status: 'skipped', reason: `${operation.sheet} already has a "${operation.header}" column` };
+            }
+            const after = afterIndex(operation.after);
+            if (operation.after && after === -1) {
+                return { ...change, status: 'blocked', reason: `${operation.sheet} has no "${operation.after}" column to add "${operation.header}" after` };
+            }
+            const next = [...headers];
+            next.splice(after + 1, 0, operation.header);
+            return { ...change, status: 'pending', toIndex: after + 1, headers: next };
+        }
+        case 'renameColumn': {
+            const index = headers.indexOf(operation.from);
+            if (index === -1 && headers.includes(operation.to)) {
+                return { ...change, status: 'skipped', reason: `${operation.sheet} already has a "${operation.to}" column` };
+            }
+            if (index === -1) {
+                return { ...change, status: 'blocked', reason: `${operation.sheet} has no "${operation.from}" column to rename` };
+            }
+            if (headers.includes(operation.to)) {
+                return { ...change, status: 'blocked', reason: `${operation.sheet} already has both "${operation.from}" and "${operation.to}" columns` };
+            }
+            const next = [...headers];
+            next[index] = operation.to;
+            return { ...change, status: 'pending', toIndex: index, headers: next };
+        }
+        case 'moveColumn': {
+            const fromIndex = headers.indexOf(operation.header);
+            if (fromIndex === -1) {
+                return { ...change, status: 'blocked', reason: `${operation.sheet} has no "${operation.header}" column to move` };
+            }
+            const rest = headers.filter((_, index) => index !== fromIndex);
+            const after = operation.after === null || operation.after === undefined ? -1 : rest.indexOf(operation.after);
+            if (operation.after && after === -1) {
+                return { ...change, status: 'blocked', reason: `${operation.sheet} has no "${operation.after}" column to move "${operation.header}" after` };
+            }
+            if (after + 1 === fromIndex) {
+                return { ...change, status: 'skipped', reason: `"${operation.header}" is already in place` };
+            }
+            const next = [...rest];
+            next.splice(after + 1, 0, operation.header);
+            return { ...change, status: 'pending', fromIndex, toIndex: after + 1, headers: next };
+        }
+        default:
+            return { ...change, status: 'blocked', reason: `Unknown migration operation: ${operation.type}. Allowed values: ${MIGRATION_OPERATIONS.join(', ')}.` };
+    }
+}
+
+/**
+ * Describe a column operation for the dry-run report
+ * @param {Object} operation - Column operation
+ * @returns {Object} { sheet, type, header, description }
+ */
+function describeOperation(operation) {
+    const position = operation.after ? `after "${operation.after}"` : 'as the first column';
+    switch (operation.type) {
+        case 'addColumn':
+            return { sheet: operation.sheet, type: operation.type, header: operation.header, description: `Add column "${operation.header}" to ${operation.sheet} ${position}` };
+        case 'renameColumn':
+            return { sheet: operation.sheet, type: operation.type, header: operation.to, description: `Rename column "${operation.from}" to "${operation.to}" in ${operation.sheet}` };
+        case 'moveColumn':
+            return { sheet: operation.sheet, type: operation.type, header: operation.header, description: `Move column "${operation.header}" in ${operation.sheet} ${position}` };
+        default:
+            return { sheet: operation.sheet, type: operation.type, header: null, description: `Unknown operation on ${operation.sheet}` };
+    }
+}
+
+/**
+ * Request writing a header cell in row 1
+ * @param {number} sheetId - Numeric sheet ID
+ * @param {number} columnIndex - 0-based column
+ * @param {string} header - Header text
+ * @returns {Object} updateCells request
+ */
+function headerCellRequest(sheetId, columnIndex, header) {
+    return {
+        updateCells: {
+            range: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: columnIndex, endColumnIndex: columnIndex + 1 },
+            rows: [{ values: [{ userEnteredValue: { stringValue: header } }] }],
+            fields: 'userEnteredValue'
+        }
+    };
+}
+
+/**
+ * Headers typed or edited in the sheet may carry stray spaces
+ * @param {*} header - Header cell value
+ * @returns {string} Trimmed header
+ */
+function cleanHeader(header) {
+    return String(header === null || header === undefined ? '' : header).trim();
+}
+
+// Export a default instance
+export const sheetsMigrator = new SheetsMigrator();
@@ -0,0 +1,311 @@
+/**
+ * Unit tests for Google Sheets schema migrations
+ * Tests version detection, the dry-run plan, batchUpdate requests and applying migrations
+ */
+
+import {
+    BASE_LAYOUT,
+    MIGRATIONS,
+    SheetsMigrator,
+    getLayout,
+    readSchemaVersion,
+    detectSchemaVersion,
+    planMigrations,
+    buildMigrationRequests
+} from './migrations.js';
+import { defaultSchema, SCHEMA_VERSION } from './schema.js';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+// Mock the client so no requests are made
+jest.mock('./client.js', () => ({
+    googleSheetsClient: {}
+}));
+
+const currentLayout = () => getLayout(SCHEMA_VERSION);
+
+describe('layouts', () => {
+    it('should end at the columns defined in the schema', () => {
+        const { sheets } = defaultSchema;
+        const displayNames = (sheet) => sheet.columns.map(column => column.displayName);
+
+        expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(SCHEMA_VERSION);
+        expect(currentLayout()).toEqual({
+            HiddenOrders: displayNames(sheets.hiddenOrders),
+            ActionLog: displayNames(sheets.actionLog),
+            UserSettings: displayNames(sheets.userSettings)
+        });
+    });
+
+    it('should start at the base layout', () => {
+        expect(getLayout(1)).toEqual(BASE_LAYOUT);
+    });
+});
+
+describe('readSchemaVersion', () => {
+    it('should read the schemaVersion row of the Metadata sheet', () => {
+        expect(readSchemaVersion([['Key', 'Value'], ['schemaVersion', '2']])).toBe(2);
+    });
+
+    it('should ignore missing or broken versions', () => {
+        expect(readSchemaVersion(undefined)).toBeNull();
+        expect(readSchemaVersion([['Key', 'Value']])).toBeNull();
+        expect(readSchemaVersion([['schemaVersion', 'two']])).toBeNull();
+    });
+});
+
+describe('detectSchemaVersion', () => {
+    it('should detect the layout from the headers', () => {
+        expect(detectSchemaVersion(BASE_LAYOUT)).toBe(1);
+        expect(detectSchemaVersion(currentLayout())).toBe(SCHEMA_VERSION);
+    });
+
+    it('should allow extra columns and stray spaces', () => {
+        expect(detectSchemaVersion({ HiddenOrders: [...BASE_LAYOUT.HiddenOrders.slice(0, -1), ' Last Modified ', 'Reviewed'] })).toBe(1);
+    });
+
+    it('should treat a spreadsheet without headers as current', () => {
+        expect(detectSchemaVersion({ HiddenOrders: [], ActionLog: [] })).toBe(SCHEMA_VERSION);
+    });
+
+    it('should give up on headers it does not know', () => {
+        expect(detectSchemaVersion({ HiddenOrders: ['Order', 'Date'] })).toBeNull();
+    });
+});
+
+describe('planMigrations', () => {
+    it('should plan adding the Marketplace and Role columns to a version 1 spreadsheet', () => {
+        const report = planMigrations({ storedVersion: null, headersBySheet: BASE_LAYOUT });
+
+        expect(report).toMatchObject({ storedVersion: null, fromVersion: 1, toVersion: SCHEMA_VERSION, detected: true, upToDate: false, errors: [] });
+        expect(report.steps).toEqual([{
+            version: 2,
+            description: 'Record the Amazon storefront of each hidden order',
+            changes: [{
+                sheet: 'HiddenOrders',
+                type: 'addColumn',
+                header: 'Marketplace',
+                description: 'Add column "Marketplace" to HiddenOrders after "Last Modified"',
+                status: 'pending',
+                toIndex: 9
+            }]
+        }, {
+            version: 3,
+            description: 'Give each team member a role',
+            changes: [{
+                sheet: 'UserSettings',
+                type: 'addColumn',
+                header: 'Role',
+                description: 'Add column "Role" to UserSettings after "Is Active"',
+                status: 'pending',
+                toIndex: 4
+            }]
+        }, {
+            version: 4,
+            description: 'Record the Google account name of each user',
+            changes: [{
+                sheet: 'UserSettings',
+                type: 'addColumn',
+                header: 'Display Name',
+                description: 'Add column "Display Name" to UserSettings after "Role"',
+                status: 'pending',
+                toIndex: 5
+            }]
+        }]);
+    });
+
+    it('should report a recorded current version as up to date', () => {
+        const report = planMigrations({ storedVersion: SCHEMA_VERSION, headersBySheet: currentLayout() });
+
+        expect(report.upToDate).toBe(true);
+        expect(report.steps).toEqual([]);
+    });
+
+    it('should skip columns that are already in place', () => {
+        const report = planMigrations({ storedVersion: 1, headersBySheet: currentLayout() });
+
+        expect(report.errors).toEqual([]);
+        expect(report.steps[0].changes[0]).toMatchObject({ status: 'skipped', reason: 'HiddenOrders already has a "Marketplace" column' });
+    });
+
+    it('should refuse spreadsheets newer than the extension', () => {
+        const report = planMigrations({ storedVersion: SCHEMA_VERSION + 1, headersBySheet: currentLayout() });
+
+        expect(report.errors).toEqual([
+            `The spreadsheet uses layout version ${SCHEMA_VERSION + 1}, newer than this extension supports (${SCHEMA_VERSION}). Update Archizer.`
+        ]);
+    });
+
+    it('should refuse spreadsheets whose layout cannot be detected', () => {
+        const report = planMigrations({ storedVersion: null, headersBySheet: { HiddenOrders: ['Something else'] } });
+
+        expect(report.fromVersion).toBeNull();
+        expect(report.errors).toHaveLength(1);
+    });
+
+    it('should block changes whose columns are missing', () => {
+        const headersBySheet = { HiddenOrders: ['Order ID', 'Order Date'] };
+
+        const report = planMigrations({ storedVersion: 1, headersBySheet });
+
+        expect(report.errors).toEqual(['Version 2: HiddenOrders has no "Last Modified" column to add "Marketplace" after']);
+        expect(report.steps[0].changes[0].status).toBe('blocked');
+    });
+
+    it('should plan renames and moves against the headers left by earlier operations', () => {
+        MIGRATIONS.push({
+            version: SCHEMA_VERSION + 1,
+            description: 'Test layout',
+            operations: [
+                { type: 'renameColumn', sheet: 'UserSettings', from: 'Is Active', to: 'Active' },
+                { type: 'moveColumn', sheet: 'UserSettings', header: 'Username', after: 'Last Active' },
+                { type: 'moveColumn', sheet: 'UserSettings', header: 'Active', after: null },
+                { type: 'dropColumn', sheet: 'UserSettings', header: 'Created At' }
+            ]
+        });
+
+        try {
+            const report = planMigrations({ storedVersion: SCHEMA_VERSION, headersBySheet: currentLayout() }, SCHEMA_VERSION + 1);
+
+            expect(report.steps[0].changes.map(({ status, fromIndex, toIndex }) => ({ status, fromIndex, toIndex }))).toEqual([
+                { status: 'pending', fromIndex: undefined, toIndex: 3 },
+                { status: 'pending', fromIndex: 0, toIndex: 2 },
+                { status: 'pending', fromIndex: 3, toIndex: 0 },
+                { status: 'blocked', fromIndex: undefined, toIndex: undefined }
+            ]);
+            expect(report.errors).toEqual([
+                `Version ${SCHEMA_VERSION + 1}: Unknown migration operation: dropColumn. Allowed values: addColumn, renameColumn, moveColumn.`
+            ]);
+            expect(getLayout(SCHEMA_VERSION + 1).UserSettings).toEqual(['Active', 'Created At', 'Last Active', 'Username', 'Role', 'Display Name']);
+        } finally {
+            MIGRATIONS.pop();
+        }
+    });
+});
+
+describe('buildMigrationRequests', () => {
+    it('should insert the column and write its header', () => {
+        const [step] = planMigrations({ storedVersion: 1, headersBySheet: BASE_LAYOUT }).steps;
+
+        expect(buildMigrationRequests(step, { HiddenOrders: 7 })).toEqual([
+            {
+                insertDimension: {
+                    range: { sheetId: 7, dimension: 'COLUMNS', startIndex: 9, endIndex: 10 },
+                    inheritFromBefore: true
+                }
+            },
+            {
+                updateCells: {
+                    range: { sheetId: 7, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 9, endColumnIndex: 10 },
+                    rows: [{ values: [{ userEnteredValue: { stringValue: 'Marketplace' } }] }],
+                    fields: 'userEnteredValue'
+                }
+            }
+        ]);
+    });
+
+    it('should move columns using positions from before the move', () => {
+        const step = {
+            changes: [
+                { sheet: 'UserSettings', type: 'moveColumn', status: 'pending', fromIndex: 0, toIndex: 2 },
+                { sheet: 'UserSettings', type: 'moveColumn', status: 'pending', fromIndex: 3, toIndex: 0 },
+                { sheet: 'UserSettings', type: 'renameColumn', status: 'skipped', toIndex: 1 }
+            ]
+        };
+
+        expect(buildMigrationRequests(step, { UserSettings: 3 }).map(request => request.moveDimension.destinationIndex)).toEqual([3, 0]);
+    });
+});
+
+describe('SheetsMigrator', () => {
+    let client;
+    let migrator;
+
+    const mockSpreadsheet = ({ sheets, metadata }) => {
+        client.getSheetNames.mockResolvedValue([...Object.keys(sheets), ...(metadata ? ['Metadata'] : [])]);
+        client.getRange.mockImplementation(async (range) => {
+            if (range === 'Metadata!A:B') {
+                return { values: metadata };
+            }
+            return { values: [sheets[range.split('!')[0]]] };
+        });
+    };
+
+    beforeEach(() => {
+        client = {
+            getSheetNames: jest.fn(),
+            getRange: jest.fn(),
+            getSheetIdByName: jest.fn().mockResolvedValue(7),
+            batchUpdate: jest.fn().mockResolvedValue({ replies: [] }),
+            batchWriteRanges: jest.fn().mockResolvedValue({}),
+            hasSheet: jest.fn().mockResolvedValue(false),
+            createSheet: jest.fn().mockResolvedValue({}),
+            invalidateRowIndex: jest.fn()
+        };
+        migrator = new SheetsMigrator(client);
+    });
+
+    it('should read the headers and recorded version', async () => {
+        mockSpreadsheet({ sheets: { HiddenOrders: BASE_LAYOUT.HiddenOrders }, metadata: [['Key', 'Value'], ['schemaVersion', '1']] });
+
+        await expect(migrator.inspect()).resolves.toEqual({
+            storedVersion: 1,
+            headersBySheet: { HiddenOrders: BASE_LAYOUT.HiddenOrders, ActionLog: [], UserSettings: [] }
+        });
+        expect(client.getRange).toHaveBeenCalledWith('HiddenOrders!1:1');
+    });
+
+    it('should not change anything on a dry run', async () => {
+        mockSpreadsheet({ sheets: BASE_LAYOUT });
+
+        const report = await migrator.plan();
+
+        expect(report.steps).toHaveLength(3);
+        expect(client.batchUpdate).not.toHaveBeenCalled();
+        expect(client.batchWriteRanges).not.toHaveBeenCalled();
+    });
+
+    it('should apply each step and record the new version', async () => {
+        mockSpreadsheet({ sheets: BASE_LAYOUT });
+
+        const report = await migrator.apply();
+
+        expect(report.toVersion).toBe(SCHEMA_VERSION);
+        expect(client.batchUpdate).toHaveBeenCalledWith(buildMigrationRequests(report.steps[0], { HiddenOrders: 7 }));
+        expect(client.batchUpdate).toHaveBeenCalledWith(buildMigrationRequests(report.steps[1], { UserSettings: 7 }));
+        expect(client.batchUpdate).toHaveBeenCalledWith(buildMigrationRequests(report.steps[2], { UserSettings: 7 }));
+        expect(client.invalidateRowIndex).toHaveBeenCalledWith('HiddenOrders');
+        expect(client.invalidateRowIndex).toHaveBeenCalledWith('UserSettings');
+        expect(client.createSheet).toHaveBeenCalledWith('Metadata');
+        // The version is recorded after every step, ending at the current one
+        const [[{ range, values }]] = client.batchWriteRanges.mock.calls[client.batchWriteRanges.mock.calls.length - 1];
+        expect(range).toBe('Metadata!A1:B3');
+        expect(values.slice(0, 2)).toEqual([['Key', 'Value'], ['schemaVersion', String(SCHEMA_VERSION)]]);
+    });
+
+    it('should only record the version when no columns change', async () => {
+        mockSpreadsheet({ sheets: currentLayout() });
+
+        await migrator.apply();
+
+        expect(client.batchUpdate).not.toHaveBeenCalled();
+        expect(client.batchWriteRanges).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not touch the spreadsheet when the plan has errors', async () => {
+        mockSpreadsheet({ sheets: { HiddenOrders: ['Something else'] } });
+
+        await expect(migrator.apply()).rejects.toThrow('do not match any known Archizer layout');
+        expect(client.batchUpdate).not.toHaveBeenCalled();
+        expect(client.batchWriteRanges).not.toHaveBeenCalled();
+    });
+});
@@ -1,31 +1,119 @@
 /**
  * Google OAuth2 Client for Web Applications
- * Handles authentication with Google Sheets API using web application OAuth flow
+ * Handles authentication with Google Sheets API using the authorization code flow with
+ * PKCE, so no client secret is needed. Without a configured client ID, falls back to
+ * chrome.identity.getAuthToken when the manifest declares an oauth2 client.
+ *
+ * Tokens are encrypted before they are saved, see token-encryption.js. Each profile
+ * (see utils/profiles.js) keeps its own tokens, so profiles can sign in to different
+ * Google accounts.
+ *
+ * Besides the sheets, the sign-in covers the account's email and name, which
+ * utils/google-identity.js turns into a username.
  */
 
 import { specializedLogger as log } from '../../utils/logger.js';
+import { DEFAULT_PROFILE_ID } from '../../utils/profiles.js';
+import { tokenEncryption, isEncryptedPayload, bytesToBase64 } from './token-encryption.js';
+
+const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+const OAUTH_SCOPES = [
+    SHEETS_SCOPE,
+    'https://www.googleapis.com/auth/userinfo.email',
+    'https://www.googleapis.com/auth/userinfo.profile'
+];
+const TOKENS_STORAGE_KEY = 'google_oauth_tokens';
+
+/**
+ * Create a PKCE code verifier (RFC 7636): 43 characters of random base64url
+ * @returns {string} Code verifier
+ */
+export function createCodeVerifier() {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Create the S256 PKCE code challenge for a code verifier
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} base64url SHA-256 of the verifier
+ */
+export async function createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Storage key of a profile's OAuth tokens
+ * The default profile keeps the key tokens were stored under before profiles existed
+ * @param {string} profileId - Profile ID
+ * @returns {string} chrome.storage.local key
+ */
+export function oauthTokensKey(profileId) {
+    return !profileId || profileId === DEFAULT_PROFILE_ID ? TOKENS_STORAGE_KEY : `${TOKENS_STORAGE_KEY}_${profileId}`;
+}
 
 export class GoogleOAuth {
-    constructor() {
+    constructor(encryption = tokenEncryption) {
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
         this.clientId = null;
         this.clientSecret = null;
-        this.storageKey = 'google_oauth_tokens';
+        this.storageKey = TOKENS_STORAGE_KEY;
+        this.encryption = encryption;
+    }
+
+    /**
+     * Use the tokens of a profile, see oauthTokensKey
+     * @param {string} profileId - Profile ID
+     */
+    useProfile(profileId) {
+        const storageKey = oauthTokensKey(profileId);
+        if (storageKey === this.storageKey) {
+            return;
+        }
+
+        this.storageKey = storageKey;
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.tokenExpiry = null;
+        log.info(`OAuth2 tokens switched to profile ${profileId}`);
     }
 
     /**
      * Configure OAuth2 credentials
+     * @param {string} clientId - OAuth client ID, or null to use the manifest oauth2 client
+     * @param {string} clientSecret - Only for client types whose token endpoint requires one (optional)
      */
-    configure(clientId, clientSecret) {
-        this.clientId = clientId;
-        this.clientSecret = clientSecret;
+    configure(clientId, clientSecret = null) {
+        this.clientId = clientId || null;
+        this.clientSecret = clientSecret || null;
         log.info('OAuth2 client configured');
     }
 
     /**
-     * Save tokens to Chrome storage
+     * Check whether the manifest declares an oauth2 client for chrome.identity.getAuthToken
+     * @returns {boolean} True if getAuthToken can be used
+     */
+    hasManifestClient() {
+        const manifest = chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+        return !!(manifest && manifest.oauth2 && manifest.oauth2.client_id);
+    }
+
+    /**
+     * Check whether there is a client to authorize with
+     * @param {string} clientId - Configured client ID (optional)
+     * @returns {boolean} True if a client ID is set or the manifest declares a client
+     */
+    canAuthorize(clientId) {
+        return !!clientId || this.hasManifestClient();
+    }
+
+    /**
+     * Save tokens to Chrome storage, encrypted
      */
     async saveTokens() {
         try {
@@ -35,7 +123,7 @@ export class GoogleOAuth {
                 tokenExpiry: this.tokenExpiry
             };
 
-            await chrome.storage.local.set({ [this.storageKey]: tokenData });
+            await chrome.storage.local.set({ [this.storageKey]: await this.encryption.encrypt(tokenData) });
             log.info('OAuth tokens saved to storage');
         } catch (error) {
             log.error('Error saving OAuth tokens:', error);
@@ -48,13 +136,20 @@ export class GoogleOAuth {
     async loadTokens() {
         try {
             const result = await chrome.storage.local.get([this.storageKey]);
-            const tokenData = result[this.storageKey];
+            const storedData = result[this.storageKey];
 
-            if (tokenData) {
+            if (storedData) {
+                const encrypted = isEncryptedPayload(storedData);
+                const tokenData = encrypted ? await this.encryption.decrypt(storedData) : storedData;
                 this.accessToken = tokenData.accessToken;
                 this.refreshToken = tokenData.refreshToken;
                 this.tokenExpiry = tokenData.tokenExpiry;
                 log.info('OAuth tokens loaded from storage');
+
+                // Tokens saved by earlier versions are stored in plain text
+                if (!encrypted) {
+                    await this.saveTokens();
+                }
                 return true;
             }
 
@@ -71,6 +166,11 @@ export class GoogleOAuth {
      */
     async getAccessToken() {
         try {
+            // Chrome caches and refreshes tokens for the manifest client itself
+            if (!this.clientId && this.hasManifestClient()) {
+                return await this.getIdentityToken(true);
+            }
+
             // First, try to load tokens from storage if we don't have them in memory
             if (!this.accessToken && !this.refreshToken) {
                 await this.loadTokens();
@@ -97,24 +197,53 @@ export class GoogleOAuth {
         }
     }
 
+    /**
+     * Get a token for the manifest oauth2 client from chrome.identity
+     * @param {boolean} interactive - Whether Chrome may show the sign-in prompt
+     * @returns {Promise<string>} Access token
+     */
+    getIdentityToken(interactive) {
+        return new Promise((resolve, reject) => {
+            chrome.identity.getAuthToken({ interactive, scopes: OAUTH_SCOPES }, (token) => {
+                if (chrome.runtime.lastError || !token) {
+                    const message = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No token received';
+                    log.error('Chrome identity error:', message);
+                    reject(new Error(message));
+                    return;
+                }
+                this.accessToken = typeof token === 'string' ? token : token.token;
+                resolve(this.accessToken);
+            });
+        });
+    }
+
     /**
      * Start OAuth2 authorization flow
      */
     async authorize() {
         if (!this.clientId) {
-            throw new Error('OAuth2 client not configured. Please set client ID and secret.');
+            if (this.hasManifestClient()) {
+                return await this.getIdentityToken(true);
+            }
+            throw new Error('OAuth2 client not configured. Please set a client ID.');
         }
 
         const redirectUri = chrome.identity.getRedirectURL();
-        const scope = 'https://www.googleapis.com/auth/spreadsheets';
-
-        const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-            `client_id=${this.clientId}&` +
-            `redirect_uri=${encodeURIComponent(redirectUri)}&` +
-            `response_type=code&` +
-            `scope=${encodeURIComponent(scope)}&` +
-            `access_type=offline&` +
-            `prompt=consent`;
+        const codeVerifier = createCodeVerifier();
+        const state = createCodeVerifier();
+
+        const authUrl = `${AUTH_URL}?` + new URLSearchParams({
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: OAUTH_SCOPES.join(' '),
+            access_type: 'offline',
+            // Let each profile pick its own Google account
+            prompt: 'consent select_account',
+            code_challenge: await createCodeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+            state
+        });
 
         log.info('Starting OAuth2 authorization flow...');
 
@@ -149,9 +278,15 @@ export class GoogleOAuth {
                         return;
                     }
 
+                    if (url.searchParams.get('state') !== state) {
+                        log.error('OAuth2 state does not match the request');
+                        reject(new Error('OAuth2 state mismatch'));
+                        return;
+                    }
+
                     log.info('Authorization code received, exchanging for tokens...');
                     // Exchange code for tokens
-                    const tokens = await this.exchangeCodeForTokens(code, redirectUri);
+                    const tokens = await this.exchangeCodeForTokens(code, redirectUri, codeVerifier);
                     this.accessToken = tokens.access_token;
                     this.refreshToken = tokens.refresh_token;
                     this.tokenExpiry = Date.now() + (tokens.expires_in * 1000);
@@ -171,19 +306,19 @@ export class GoogleOAuth {
 
     /**
      * Exchange authorization code for tokens
+     * @param {string} code - Authorization code
+     * @param {string} redirectUri - Redirect URI used for the authorization request
+     * @param {string} codeVerifier - PKCE code verifier of the authorization request
      */
-    async exchangeCodeForTokens(code, redirectUri) {
-        const tokenUrl = 'https://oauth2.googleapis.com/token';
-
-        const response = await fetch(tokenUrl, {
+    async exchangeCodeForTokens(code, redirectUri, codeVerifier) {
+        const response = await fetch(TOKEN_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
             },
-            body: new URLSearchParams({
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
+            body: this._tokenRequestBody({
                 code: code,
+                code_verifier: codeVerifier,
                 grant_type: 'authorization_code',
                 redirect_uri: redirectUri
             })
@@ -205,16 +340,12 @@ export class GoogleOAuth {
             throw new Error('No refresh token available');
         }
 
-        const tokenUrl = 'https://oauth2.googleapis.com/token';
-
-        const response = await fetch(tokenUrl, {
+        const response = await fetch(TOKEN_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
             },
-            body: new URLSearchParams({
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
+            body: this._tokenRequestBody({
                 refresh_token: this.refreshToken,
                 grant_type: 'refresh_token'
             })
@@ -236,10 +367,36 @@ export class GoogleOAuth {
         return this.accessToken;
     }
 
+    /**
+     * Get the signed-in Google account from the userinfo endpoint
+     * @returns {Promise<Object>} Userinfo, e.g. { email, email_verified, name }
+     */
+    async getUserInfo() {
+        const accessToken = await this.getAccessToken();
+        const response = await fetch(USERINFO_URL, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+
+        // Tokens from before the email scope was requested cannot read the account
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('The Google sign-in does not include your email address. Sign in to Google again.');
+        }
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`User info request failed: ${response.status} ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
     /**
      * Clear stored tokens
      */
     async clearTokens() {
+        // Tokens for the manifest client are cached by Chrome
+        if (this.accessToken && !this.clientId && this.hasManifestClient()) {
+            chrome.identity.removeCachedAuthToken({ token: this.accessToken }, () => {});
+        }
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
@@ -267,6 +424,23 @@ export class GoogleOAuth {
             return false;
         }
     }
+
+    /**
+     * Build a token endpoint request body, with the client secret only when one is configured
+     * @param {Object} params - Grant parameters
+     * @returns {URLSearchParams} Form body
+     */
+    _tokenRequestBody(params) {
+        const body = new URLSearchParams({ client_id: this.clientId, ...params });
+        if (this.clientSecret) {
+            body.set('client_secret', this.clientSecret);
+        }
+        return body;
+    }
+}
+
+function toBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
 // Export singleton instance
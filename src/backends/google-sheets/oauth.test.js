@@ -0,0 +1,289 @@
+/**
+ * Unit tests for the Google OAuth client
+ * Tests the PKCE authorization flow, the chrome.identity fallback and encrypted token storage
+ */
+
+import { GoogleOAuth, createCodeVerifier, createCodeChallenge, oauthTokensKey } from './oauth.js';
+import { TokenEncryption, isEncryptedPayload } from './token-encryption.js';
+
+const nodeCrypto = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const REDIRECT_URI = 'https://abcdefgh.chromiumapp.org/';
+
+describe('PKCE', () => {
+    beforeAll(() => {
+        Object.defineProperty(global.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle, configurable: true });
+        global.TextEncoder = TextEncoder;
+    });
+
+    it('should create random base64url code verifiers', () => {
+        const verifier = createCodeVerifier();
+
+        expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(createCodeVerifier()).not.toBe(verifier);
+    });
+
+    it('should create the S256 code challenge', async () => {
+        const verifier = createCodeVerifier();
+
+        await expect(createCodeChallenge(verifier)).resolves.toBe(
+            nodeCrypto.createHash('sha256').update(verifier).digest('base64url')
+        );
+    });
+});
+
+describe('GoogleOAuth', () => {
+    let store;
+    let oauth;
+    let manifest;
+
+    // Answer the next launchWebAuthFlow with the given query, echoing the request state by default
+    const respondToAuthFlow = (params) => {
+        chrome.identity.launchWebAuthFlow.mockImplementationOnce(({ url }, callback) => {
+            const state = new URL(url).searchParams.get('state');
+            callback(`${REDIRECT_URI}?${new URLSearchParams({ state, ...params })}`);
+        });
+    };
+
+    beforeAll(() => {
+        Object.defineProperty(global.crypto, 'subtle', { value: nodeCrypto.webcrypto.subtle, configurable: true });
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+    });
+
+    beforeEach(() => {
+        store = {};
+        manifest = { version: '1.0.0' };
+        global.chrome = {
+            runtime: { getManifest: jest.fn(() => manifest), lastError: null },
+            identity: {
+                getRedirectURL: jest.fn(() => REDIRECT_URI),
+                launchWebAuthFlow: jest.fn(),
+                getAuthToken: jest.fn((details, callback) => callback('identity-token')),
+                removeCachedAuthToken: jest.fn((details, callback) => callback())
+            },
+            storage: {
+                local: {
+                    get: jest.fn(async (keys) => ({ [keys[0]]: store[keys[0]] })),
+                    set: jest.fn(async (items) => Object.assign(store, items)),
+                    remove: jest.fn(async (keys) => keys.forEach(key => delete store[key]))
+                }
+            }
+        };
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            json: async () => ({ access_token: 'ya29.access', refresh_token: '1//refresh', expires_in: 3600 })
+        }));
+
+        const encryption = new TokenEncryption(() => nodeCrypto.webcrypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        ));
+        oauth = new GoogleOAuth(encryption);
+        oauth.configure('client-id.apps.googleusercontent.com');
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    it('should authorize with PKCE and no client secret', async () => {
+        respondToAuthFlow({ code: 'auth-code' });
+
+        await expect(oauth.getAccessToken()).resolves.toBe('ya29.access');
+
+        const authUrl = new URL(chrome.identity.launchWebAuthFlow.mock.calls[0][0].url);
+        expect(authUrl.searchParams.get('client_id')).toBe('client-id.apps.googleusercontent.com');
+        expect(authUrl.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(authUrl.searchParams.get('scope')).toBe(
+            'https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/userinfo.profile'
+        );
+
+        const [tokenUrl, { body }] = global.fetch.mock.calls[0];
+        expect(tokenUrl).toBe('https://oauth2.googleapis.com/token');
+        expect(body.get('code')).toBe('auth-code');
+        expect(body.has('client_secret')).toBe(false);
+        expect(nodeCrypto.createHash('sha256').update(body.get('code_verifier')).digest('base64url'))
+            .toBe(authUrl.searchParams.get('code_challenge'));
+    });
+
+    it('should send the client secret when one is configured', async () => {
+        oauth.configure('client-id.apps.googleusercontent.com', 'client-secret');
+        respondToAuthFlow({ code: 'auth-code' });
+
+        await oauth.getAccessToken();
+
+        expect(global.fetch.mock.calls[0][1].body.get('client_secret')).toBe('client-secret');
+    });
+
+    it('should reject a response with another state', async () => {
+        respondToAuthFlow({ code: 'auth-code', state: 'forged' });
+
+        await expect(oauth.authorize()).rejects.toThrow('OAuth2 state mismatch');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should report errors from Google', async () => {
+        respondToAuthFlow({ error: 'access_denied', error_description: 'User denied access' });
+
+        await expect(oauth.authorize()).rejects.toThrow('OAuth2 error: access_denied - User denied access');
+    });
+
+    it('should store the tokens encrypted and read them back', async () => {
+        respondToAuthFlow({ code: 'auth-code' });
+        await oauth.getAccessToken();
+
+        expect(isEncryptedPayload(store.google_oauth_tokens)).toBe(true);
+        expect(JSON.stringify(store)).not.toContain('1//refresh');
+
+        const restarted = new GoogleOAuth(oauth.encryption);
+        await expect(restarted.loadTokens()).resolves.toBe(true);
+        expect(restarted.refreshToken).toBe('1//refresh');
+    });
+
+    it('should encrypt tokens stored in plain text by earlier versions', async () => {
+        store.google_oauth_tokens = { accessToken: 'ya29.old', refreshToken: '1//old', tokenExpiry: Date.now() + 60000 };
+
+        await expect(oauth.getAccessToken()).resolves.toBe('ya29.old');
+
+        expect(isEncryptedPayload(store.google_oauth_tokens)).toBe(true);
+        await expect(oauth.encryption.decrypt(store.google_oauth_tokens)).resolves.toMatchObject({ refreshToken: '1//old' });
+    });
+
+    it('should sign in again when the stored tokens cannot be decrypted', async () => {
+        store.google_oauth_tokens = await new TokenEncryption(() => nodeCrypto.webcrypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        )).encrypt({ accessToken: 'ya29.lost', refreshToken: '1//lost', tokenExpiry: Date.now() + 60000 });
+        respondToAuthFlow({ code: 'auth-code' });
+
+        await expect(oauth.getAccessToken()).resolves.toBe('ya29.access');
+        expect(chrome.identity.launchWebAuthFlow).toHaveBeenCalled();
+    });
+
+    it('should keep the tokens of each profile apart', async () => {
+        respondToAuthFlow({ code: 'auth-code' });
+        await oauth.getAccessToken();
+
+        oauth.useProfile('sam');
+        expect(oauth.accessToken).toBeNull();
+        respondToAuthFlow({ code: 'sam-code' });
+        await oauth.getAccessToken();
+
+        const authUrl = new URL(chrome.identity.launchWebAuthFlow.mock.calls[1][0].url);
+        expect(authUrl.searchParams.get('prompt')).toBe('consent select_account');
+        expect(Object.keys(store).sort()).toEqual(['google_oauth_tokens', 'google_oauth_tokens_sam']);
+
+        oauth.useProfile('default');
+        await expect(oauth.loadTokens()).resolves.toBe(true);
+        expect(oauth.storageKey).toBe(oauthTokensKey('default'));
+    });
+
+    it('should refresh without a client secret', async () => {
+        store.google_oauth_tokens = await oauth.encryption.encrypt({ accessToken: 'ya29.expired', refreshToken: '1//refresh', tokenExpiry: Date.now() - 1 });
+
+        await expect(oauth.getAccessToken()).resolves.toBe('ya29.access');
+
+        const { body } = global.fetch.mock.calls[0][1];
+        expect(body.get('grant_type')).toBe('refresh_token');
+        expect(body.has('client_secret')).toBe(false);
+    });
+
+    describe('getUserInfo', () => {
+        beforeEach(async () => {
+            store.google_oauth_tokens = await oauth.encryption.encrypt({ accessToken: 'ya29.cached', refreshToken: '1//refresh', tokenExpiry: Date.now() + 60000 });
+        });
+
+        it('should read the signed-in account with the access token', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ email: 'sam@example.com', name: 'Sam' }) });
+
+            await expect(oauth.getUserInfo()).resolves.toEqual({ email: 'sam@example.com', name: 'Sam' });
+            expect(global.fetch).toHaveBeenCalledWith('https://www.googleapis.com/oauth2/v3/userinfo', {
+                headers: { 'Authorization': 'Bearer ya29.cached' }
+            });
+        });
+
+        it('should ask to sign in again when the token lacks the email scope', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: false, status: 403, text: async () => 'insufficient scope' });
+
+            await expect(oauth.getUserInfo()).rejects.toThrow('The Google sign-in does not include your email address. Sign in to Google again.');
+        });
+
+        it('should report other failures', async () => {
+            global.fetch.mockResolvedValueOnce({ ok: false, status: 500, text: async () => 'Backend Error' });
+
+            await expect(oauth.getUserInfo()).rejects.toThrow('User info request failed: 500 Backend Error');
+        });
+    });
+
+    describe('manifest client', () => {
+        beforeEach(() => {
+            manifest.oauth2 = { client_id: 'manifest-client.apps.googleusercontent.com', scopes: [] };
+            oauth.configure(null);
+        });
+
+        it('should use chrome.identity.getAuthToken without a configured client ID', async () => {
+            await expect(oauth.getAccessToken()).resolves.toBe('identity-token');
+
+            expect(chrome.identity.getAuthToken).toHaveBeenCalledWith(
+                {
+                    interactive: true,
+                    scopes: [
+                        'https://www.googleapis.com/auth/spreadsheets',
+                        'https://www.googleapis.com/auth/userinfo.email',
+                        'https://www.googleapis.com/auth/userinfo.profile'
+                    ]
+                },
+                expect.any(Function)
+            );
+            expect(chrome.identity.launchWebAuthFlow).not.toHaveBeenCalled();
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        it('should prefer a configured client ID', async () => {
+            oauth.configure('client-id.apps.googleusercontent.com');
+            respondToAuthFlow({ code: 'auth-code' });
+
+            await expect(oauth.getAccessToken()).resolves.toBe('ya29.access');
+            expect(chrome.identity.getAuthToken).not.toHaveBeenCalled();
+        });
+
+        it('should remove the token from the Chrome cache when clearing tokens', async () => {
+            await oauth.getAccessToken();
+
+            await oauth.clearTokens();
+
+            expect(chrome.identity.removeCachedAuthToken).toHaveBeenCalledWith({ token: 'identity-token' }, expect.any(Function));
+        });
+
+        it('should report identity errors', async () => {
+            chrome.identity.getAuthToken.mockImplementationOnce((details, callback) => {
+                chrome.runtime.lastError = { message: 'The user did not approve access.' };
+                callback(undefined);
+            });
+
+            await expect(oauth.getAccessToken()).rejects.toThrow('The user did not approve access.');
+        });
+    });
+
+    it('should need a client ID or manifest client to authorize', async () => {
+        oauth.configure(null);
+
+        expect(oauth.canAuthorize(null)).toBe(false);
+        expect(oauth.canAuthorize('client-id')).toBe(true);
+        await expect(oauth.authorize()).rejects.toThrow('OAuth2 client not configured. Please set a client ID.');
+
+        manifest.oauth2 = { client_id: 'manifest-client' };
+        expect(oauth.canAuthorize(null)).toBe(true);
+    });
+});
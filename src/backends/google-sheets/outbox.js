@@ -0,0 +1,259 @@
+/**
+ * Google Sheets Outbox
+ * Persistent queue of Sheets writes that could not be delivered (expired token,
+ * network down, quota exceeded). Entries live in chrome.storage so they survive
+ * service worker restarts, and are retried with exponential backoff via chrome.alarms.
+ *
+ * Writes for the same order ID are always delivered in the order they were made:
+ * once an entry for an order fails, later entries for that order wait behind it.
+ */
+
+import { specializedLogger as log } from '../../utils/logger.js';
+
+export const OUTBOX_ALARM_NAME = 'archizer-sheets-outbox';
+
+const OUTBOX_KEY = 'amazon_archiver_sheets_outbox';
+
+// Retry after 1 minute, doubling up to 1 hour
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+export class SheetsOutbox {
+    constructor() {
+        // Serializes read-modify-write cycles on the stored queue
+        this.lock = Promise.resolve();
+        this.isFlushing = false;
+    }
+
+    /**
+     * Run a function while holding the outbox lock
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    _withLock(fn) {
+        const run = this.lock.then(fn, fn);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Load the outbox state from storage
+     * @returns {Object} Outbox state
+     */
+    async _load() {
+        const result = await chrome.storage.local.get(OUTBOX_KEY);
+        const state = result && result[OUTBOX_KEY];
+        return {
+            entries: [],
+            lastError: null,
+            lastErrorAt: null,
+            ...(state || {})
+        };
+    }
+
+    /**
+     * Save the outbox state to storage
+     * @param {Object} state - Outbox state
+     */
+    async _save(state) {
+        await chrome.storage.local.set({ [OUTBOX_KEY]: state });
+    }
+
+    /**
+     * Get the backoff delay before the next attempt
+     * @param {number} attempts - Number of failed attempts so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+    }
+
+    /**
+     * Get the earliest time any entry can be retried
+     * Only the oldest entry per order counts, since later ones wait behind it
+     * @param {Array} entries - Pending entries
+     * @returns {number|null} Timestamp in milliseconds, or null when empty
+     */
+    getNextAttemptTime(entries) {
+        const seenOrders = new Set();
+        let earliest = null;
+
+        for (const entry of entries) {
+            const orderKey = entry.orderId || entry.id;
+            if (seenOrders.has(orderKey)) {
+                continue;
+            }
+            seenOrders.add(orderKey);
+            if (earliest === null || entry.nextAttemptAt < earliest) {
+                earliest = entry.nextAttemptAt;
+            }
+        }
+
+        return earliest;
+    }
+
+    /**
+     * Add a Sheets write to the outbox
+     * @param {string} type - Message type of the write (e.g. 'SYNC_HIDDEN_ORDER_TO_SHEETS')
+     * @param {Object} payload - Data needed to replay the write
+     * @param {string|null} error - Error from the failed attempt, or null if queued behind earlier entries
+     * @returns {Object} The queued entry
+     */
+    async enqueue(type, payload, error = null) {
+        const entry = await this._withLock(async () => {
+            const state = await this._load();
+            const now = Date.now();
+
+            const queued = {
+                id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+                type,
+                orderId: payload && payload.orderId ? payload.orderId : null,
+                payload,
+                attempts: error ? 1 : 0,
+                createdAt: new Date(now).toISOString(),
+                nextAttemptAt: error ? now + this.getRetryDelay(1) : now,
+                lastError: error
+            };
+
+            state.entries.push(queued);
+            if (error) {
+                state.lastError = error;
+                state.lastErrorAt = queued.createdAt;
+            }
+
+            await this._save(state);
+            await this.scheduleAlarm(state.entries);
+            return queued;
+        });
+
+        log.info(`📮 Queued ${type} for order ${entry.orderId} (${entry.attempts ? 'after failure' : 'behind pending writes'})`);
+        return entry;
+    }
+
+    /**
+     * Check if an order has writes waiting in the outbox
+     * New writes for that order must be queued behind them to keep ordering
+     * @param {string} orderId - Order ID
+     * @returns {boolean} True if writes are pending
+     */
+    async hasPending(orderId) {
+        const state = await this._load();
+        return state.entries.some(entry => entry.orderId === orderId);
+    }
+
+    /**
+     * Get a summary of the outbox for display
+     * @returns {Object} Pending count, last error and next retry time
+     */
+    async getStatus() {
+        const state = await this._load();
+        const nextAttemptAt = this.getNextAttemptTime(state.entries);
+
+        return {
+            pendingCount: state.entries.length,
+            lastError: state.lastError,
+            lastErrorAt: state.lastErrorAt,
+            nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Retry every entry that is due
+     * Entries are sent oldest first; a failure blocks later entries for the same order
+     * @param {Function} execute - Async function that performs the write for an entry and throws on failure
+     * @returns {Object} Counts of sent, failed and remaining entries
+     */
+    async flush(execute) {
+        if (this.isFlushing) {
+            log.info('📮 Outbox flush already in progress');
+            return { sent: 0, failed: 0, remaining: null };
+        }
+
+        this.isFlushing = true;
+        try {
+            const { entries } = await this._load();
+            const now = Date.now();
+            const blockedOrders = new Set();
+            const sentIds = new Set();
+            const failures = new Map();
+
+            for (const entry of entries) {
+                const orderKey = entry.orderId || entry.id;
+                if (blockedOrders.has(orderKey)) {
+                    continue;
+                }
+
+                if (entry.nextAttemptAt > now) {
+                    blockedOrders.add(orderKey);
+                    continue;
+                }
+
+                try {
+                    await execute(entry);
+                    sentIds.add(entry.id);
+                    log.info(`📮 Delivered queued ${entry.type} for order ${entry.orderId}`);
+                } catch (error) {
+                    blockedOrders.add(orderKey);
+                    failures.set(entry.id, error.message);
+                    log.warning(`⚠️ Queued ${entry.type} for order ${entry.orderId} failed again:`, error.message);
+                }
+            }
+
+            // Apply results under the lock; entries queued meanwhile are kept as-is
+            return await this._withLock(async () => {
+                const state = await this._load();
+                state.entries = state.entries
+                    .filter(entry => !sentIds.has(entry.id))
+                    .map(entry => {
+                        if (!failures.has(entry.id)) {
+                            return entry;
+                        }
+                        const attempts = entry.attempts + 1;
+                        return {
+                            ...entry,
+                            attempts,
+                            nextAttemptAt: Date.now() + this.getRetryDelay(attempts),
+                            lastError: failures.get(entry.id)
+                        };
+                    });
+
+                if (failures.size > 0) {
+                    state.lastError = Array.from(failures.values()).pop();
+                    state.lastErrorAt = new Date().toISOString();
+                } else if (state.entries.length === 0) {
+                    state.lastError = null;
+                    state.lastErrorAt = null;
+                }
+
+                await this._save(state);
+                await this.scheduleAlarm(state.entries);
+
+                return { sent: sentIds.size, failed: failures.size, remaining: state.entries.length };
+            });
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Point the outbox alarm at the earliest pending retry, or clear it when empty
+     * @param {Array} entries - Pending entries
+     */
+    async scheduleAlarm(entries) {
+        if (!chrome.alarms) {
+            return;
+        }
+
+        const earliest = this.getNextAttemptTime(entries);
+        if (earliest === null) {
+            await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+            return;
+        }
+
+        // Alarms cannot fire immediately; give newly queued entries a moment
+        chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(earliest, Date.now() + 1000) });
+    }
+}
+
+// Export a default instance
+export const sheetsOutbox = new SheetsOutbox();
@@ -0,0 +1,193 @@
+/**
+ * SheetsOutbox Unit Tests
+ * Tests queuing, ordering and retry backoff of failed Google Sheets writes
+ */
+
+import { SheetsOutbox, sheetsOutbox, OUTBOX_ALARM_NAME } from './outbox.js';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+describe('SheetsOutbox', () => {
+    let outbox;
+    let store;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+
+        global.chrome = {
+            storage: {
+                local: {
+                    get: jest.fn(async (key) => ({ [key]: store[key] })),
+                    set: jest.fn(async (items) => {
+                        Object.assign(store, JSON.parse(JSON.stringify(items)));
+                    })
+                }
+            },
+            alarms: {
+                create: jest.fn(),
+                clear: jest.fn().mockResolvedValue(true)
+            }
+        };
+
+        outbox = new SheetsOutbox();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.chrome;
+    });
+
+    describe('getRetryDelay', () => {
+        it('should back off exponentially up to one hour', () => {
+            expect(outbox.getRetryDelay(1)).toBe(60 * 1000);
+            expect(outbox.getRetryDelay(2)).toBe(2 * 60 * 1000);
+            expect(outbox.getRetryDelay(3)).toBe(4 * 60 * 1000);
+            expect(outbox.getRetryDelay(20)).toBe(60 * 60 * 1000);
+        });
+    });
+
+    describe('enqueue', () => {
+        it('should persist failed writes and schedule a retry alarm', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+            const entry = await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '123' }, 'Network error');
+
+            expect(entry).toEqual(expect.objectContaining({
+                type: 'SYNC_HIDDEN_ORDER_TO_SHEETS',
+                orderId: '123',
+                attempts: 1,
+                nextAttemptAt: 1000000 + 60 * 1000,
+                lastError: 'Network error'
+            }));
+            expect(store.amazon_archiver_sheets_outbox.entries).toHaveLength(1);
+            expect(store.amazon_archiver_sheets_outbox.lastError).toBe('Network error');
+            expect(chrome.alarms.create).toHaveBeenCalledWith(OUTBOX_ALARM_NAME, { when: 1000000 + 60 * 1000 });
+        });
+
+        it('should track pending orders', async () => {
+            await outbox.enqueue('ADD_AUDIT_LOG_ENTRY', { orderId: '123' }, 'Quota exceeded');
+
+            expect(await outbox.hasPending('123')).toBe(true);
+            expect(await outbox.hasPending('456')).toBe(false);
+        });
+
+        it('should not lose entries queued concurrently', async () => {
+            await Promise.all([
+                outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '1' }, 'error'),
+                outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '2' }, 'error'),
+                outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '3' }, 'error')
+            ]);
+
+            expect(store.amazon_archiver_sheets_outbox.entries.map(entry => entry.orderId)).toEqual(['1', '2', '3']);
+        });
+    });
+
+    describe('getStatus', () => {
+        it('should report the pending count and last error', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-15T10:00:00Z'));
+            await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '123' }, 'Token expired');
+            await outbox.enqueue('ADD_AUDIT_LOG_ENTRY', { orderId: '123' });
+
+            const status = await outbox.getStatus();
+
+            expect(status).toEqual({
+                pendingCount: 2,
+                lastError: 'Token expired',
+                lastErrorAt: '2024-01-15T10:00:00.000Z',
+                nextAttemptAt: '2024-01-15T10:01:00.000Z'
+            });
+        });
+
+        it('should report an empty outbox', async () => {
+            const status = await outbox.getStatus();
+
+            expect(status.pendingCount).toBe(0);
+            expect(status.nextAttemptAt).toBeNull();
+        });
+    });
+
+    describe('flush', () => {
+        it('should deliver due entries and clear the alarm when empty', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '123' }, 'Network error');
+            Date.now.mockReturnValue(now + 2 * 60 * 1000);
+            const execute = jest.fn().mockResolvedValue();
+
+            const result = await outbox.flush(execute);
+
+            expect(execute).toHaveBeenCalledWith(expect.objectContaining({ orderId: '123' }));
+            expect(result).toEqual({ sent: 1, failed: 0, remaining: 0 });
+            expect(store.amazon_archiver_sheets_outbox.entries).toEqual([]);
+            expect(store.amazon_archiver_sheets_outbox.lastError).toBeNull();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(OUTBOX_ALARM_NAME);
+        });
+
+        it('should skip entries whose backoff has not expired', async () => {
+            await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '123' }, 'Network error');
+            const execute = jest.fn();
+
+            const result = await outbox.flush(execute);
+
+            expect(execute).not.toHaveBeenCalled();
+            expect(result.remaining).toBe(1);
+        });
+
+        it('should keep writes for the same order in order', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '123' }, 'Network error');
+            await outbox.enqueue('REMOVE_HIDDEN_ORDER_FROM_SHEETS', { orderId: '123' });
+            await outbox.enqueue('SYNC_HIDDEN_ORDER_TO_SHEETS', { orderId: '456' }, 'Network error');
+            Date.now.mockReturnValue(now + 2 * 60 * 1000);
+
+            const delivered = [];
+            const execute = jest.fn(async (entry) => {
+                if (entry.orderId === '123' && entry.type === 'SYNC_HIDDEN_ORDER_TO_SHEETS') {
+                    throw new Error('Still offline');
+                }
+                delivered.push(`${entry.type}:${entry.orderId}`);
+            });
+
+            const result = await outbox.flush(execute);
+
+            // The removal for 123 must wait behind the failed write; 456 is unaffected
+            expect(delivered).toEqual(['SYNC_HIDDEN_ORDER_TO_SHEETS:456']);
+            expect(result).toEqual({ sent: 1, failed: 1, remaining: 2 });
+
+            const entries = store.amazon_archiver_sheets_outbox.entries;
+            expect(entries.map(entry => entry.type)).toEqual(['SYNC_HIDDEN_ORDER_TO_SHEETS', 'REMOVE_HIDDEN_ORDER_FROM_SHEETS']);
+            expect(entries[0].attempts).toBe(2);
+            expect(entries[0].nextAttemptAt).toBe(now + 2 * 60 * 1000 + outbox.getRetryDelay(2));
+            expect(store.amazon_archiver_sheets_outbox.lastError).toBe('Still offline');
+            // The alarm targets the failed head entry, not the removal waiting behind it
+            expect(chrome.alarms.create).toHaveBeenLastCalledWith(OUTBOX_ALARM_NAME, { when: entries[0].nextAttemptAt });
+        });
+
+        it('should not run two flushes at once', async () => {
+            outbox.isFlushing = true;
+            const execute = jest.fn();
+
+            const result = await outbox.flush(execute);
+
+            expect(execute).not.toHaveBeenCalled();
+            expect(result.sent).toBe(0);
+        });
+    });
+
+    describe('sheetsOutbox', () => {
+        it('should be an instance of SheetsOutbox', () => {
+            expect(sheetsOutbox).toBeInstanceOf(SheetsOutbox);
+        });
+    });
+});
@@ -4,10 +4,37 @@
  * 
  * This schema supports three main sheets:
  * 1. HiddenOrders - Currently hidden orders with metadata
- * 2. ActionLog - Audit trail of all hide/unhide actions
+ * 2. ActionLog - Audit trail of all hide/unhide and tag actions
  * 3. UserSettings - User configuration and preferences
+ *
+ * A Metadata sheet records which version of this layout the spreadsheet uses;
+ * see migrations.js for how older spreadsheets are brought up to date.
  */
 
+import { getMarketplace, getAllMarketplaces } from '../../utils/marketplaces.js';
+import { TEAM_ROLES } from '../../utils/team-roles.js';
+
+/**
+ * Supported hide types
+ * - details: collapse the card's product details but keep it in the list
+ * - order: remove the whole card from the order-history list
+ */
+export const HIDDEN_TYPES = ['details', 'order'];
+
+/**
+ * ActionLog "Action" values
+ * - hide, unhide: an order was hidden or unhidden
+ * - rename_tag, merge_tag, delete_tag: a tag manager change updated the order's tags
+ * - recolor_tag: a tag on the order was given a new color
+ */
+export const ACTION_LOG_ACTIONS = ['hide', 'unhide', 'rename_tag', 'merge_tag', 'delete_tag', 'recolor_tag'];
+
+/**
+ * Version of the sheet layout defined here
+ * Bump it together with a new entry in MIGRATIONS (migrations.js) whenever columns change
+ */
+export const SCHEMA_VERSION = 4;
+
 export class GoogleSheetsSchema {
     constructor() {
         // Define the three main sheets and their column structures
@@ -15,7 +42,8 @@ export class GoogleSheetsSchema {
             hiddenOrders: this.getHiddenOrdersSchema(),
             actionLog: this.getActionLogSchema(),
             userSettings: this.getUserSettingsSchema(),
-            testConnection: this.getTestConnectionSchema()
+            testConnection: this.getTestConnectionSchema(),
+            metadata: this.getMetadataSchema()
         };
 
         // Define data relationships and constraints
@@ -30,7 +58,7 @@ export class GoogleSheetsSchema {
         return {
             sheets: this.sheets,
             constraints: this.constraints,
-            version: '1.0.0',
+            version: SCHEMA_VERSION,
             description: 'Archizer Google Sheets Schema'
         };
     }
@@ -89,19 +117,19 @@ export class GoogleSheetsSchema {
                 {
                     name: 'hiddenType',
                     displayName: 'Hidden Type',
-                    description: 'Type of hiding (always "details" for order details)',
+                    description: 'Type of hiding ("details" collapses the card, "order" removes the whole card)',
                     type: 'string',
                     required: true,
-                    allowedValues: ['details'],
+                    allowedValues: HIDDEN_TYPES,
                     example: 'details'
                 },
                 {
                     name: 'tags',
                     displayName: 'Tags',
-                    description: 'Comma-separated list of tags associated with the order',
+                    description: 'Comma-separated list of tags associated with the order; hierarchical tags keep their full path (gifts/birthday)',
                     type: 'array',
                     required: false,
-                    example: 'electronics, gift, expensive'
+                    example: 'electronics, gifts/birthday, expensive'
                 },
                 {
                     name: 'notes',
@@ -118,6 +146,15 @@ export class GoogleSheetsSchema {
                     type: 'datetime',
                     required: true,
                     example: '2024-01-20T14:30:00Z'
+                },
+                {
+                    name: 'marketplace',
+                    displayName: 'Marketplace',
+                    description: 'Amazon storefront the order was placed on (e.g., amazon.co.uk)',
+                    type: 'string',
+                    required: false,
+                    allowedValues: getAllMarketplaces().map(marketplace => marketplace.id),
+                    example: 'amazon.com'
                 }
             ]
         };
@@ -125,13 +162,13 @@ export class GoogleSheetsSchema {
 
     /**
      * Action Log Sheet Schema
-     * Audit trail of all hide/unhide actions with complete tag history
+     * Audit trail of all hide/unhide and tag actions with complete tag history
      * @returns {Object} Schema definition
      */
     getActionLogSchema() {
         return {
             name: 'ActionLog',
-            description: 'Complete audit trail of hide/unhide actions',
+            description: 'Complete audit trail of hide/unhide and tag actions',
             columns: [
                 {
                     name: 'timestamp',
@@ -152,19 +189,19 @@ export class GoogleSheetsSchema {
                 {
                     name: 'action',
                     displayName: 'Action',
-                    description: 'Type of action performed (hide, unhide)',
+                    description: 'Type of action performed (hide, unhide, rename_tag, merge_tag, delete_tag, recolor_tag)',
                     type: 'string',
                     required: true,
-                    allowedValues: ['hide', 'unhide'],
+                    allowedValues: ACTION_LOG_ACTIONS,
                     example: 'hide'
                 },
                 {
                     name: 'actionType',
                     displayName: 'Action Type',
-                    description: 'Type of hiding/unhiding (always "details" for order details)',
+                    description: 'Type of hiding/unhiding ("details" or "order")',
                     type: 'string',
                     required: true,
-                    allowedValues: ['details'],
+                    allowedValues: HIDDEN_TYPES,
                     example: 'details'
                 },
                 {
@@ -245,6 +282,23 @@ export class GoogleSheetsSchema {
                     type: 'boolean',
                     required: true,
                     example: true
+                },
+                {
+                    name: 'role',
+                    displayName: 'Role',
+                    description: 'What the user may do in team mode (owner, editor, viewer); see utils/team-roles.js',
+                    type: 'string',
+                    required: false,
+                    allowedValues: TEAM_ROLES,
+                    example: 'editor'
+                },
+                {
+                    name: 'displayName',
+                    displayName: 'Display Name',
+                    description: 'Name of the Google account, for usernames taken from the account email; see utils/google-identity.js',
+                    type: 'string',
+                    required: false,
+                    example: 'Sam Hawalli'
                 }
             ]
         };
@@ -262,6 +316,37 @@ export class GoogleSheetsSchema {
         };
     }
 
+    /**
+     * Metadata Sheet Schema
+     * Key/value settings of the spreadsheet itself, such as the layout version
+     * @returns {Object} Schema definition
+     */
+    getMetadataSchema() {
+        return {
+            name: 'Metadata',
+            description: 'Spreadsheet settings written by Archizer, such as the layout version',
+            columns: [
+                {
+                    name: 'key',
+                    displayName: 'Key',
+                    description: 'Setting name (e.g., schemaVersion)',
+                    type: 'string',
+                    required: true,
+                    unique: true,
+                    example: 'schemaVersion'
+                },
+                {
+                    name: 'value',
+                    displayName: 'Value',
+                    description: 'Setting value',
+                    type: 'string',
+                    required: true,
+                    example: '2'
+                }
+            ]
+        };
+    }
+
     /**
      * Get schema constraints and relationships
      * @returns {Object} Constraints definition
@@ -284,7 +369,7 @@ export class GoogleSheetsSchema {
             },
             ActionLog: {
                 actionType: {
-                    allowedValues: ['hide', 'unhide']
+                    allowedValues: ACTION_LOG_ACTIONS
                 }
             },
             UserSettings: {
@@ -299,8 +384,8 @@ export class GoogleSheetsSchema {
                 // Order ID format validation (Amazon order format: XXX-XXXXXXX-XXXXXXX)
                 orderIdFormat: /^\d{3}-\d{7}-\d{7}$/,
 
-                // Username format (alphanumeric, underscores, hyphens)
-                usernameFormat: /^[a-zA-Z0-9_-]+$/,
+                // Username format (alphanumeric, underscores, hyphens), or a Google account email
+                usernameFormat: /^([a-zA-Z0-9_-]+|[^\s@]+@[^\s@]+\.[^\s@]+)$/,
 
                 // Maximum field lengths
                 maxLengths: {
@@ -346,8 +431,8 @@ export class GoogleSheetsSchema {
                 // Tags are cumulative across all actions for an order
                 tagCumulation: 'All tags from previous actions should be included in subsequent actions',
 
-                // Hidden type is always "details" for order details
-                hiddenTypeConstraint: 'Hidden type is always "details" for order details hiding'
+                // Hidden type selects how much of the order card is hidden
+                hiddenTypeConstraint: 'Hidden type is either "details" (collapse card contents) or "order" (remove the whole card)'
             }
         };
     }
@@ -367,7 +452,8 @@ export class GoogleSheetsSchema {
                     hiddenType: 'details',
                     tags: 'electronics, gift, expensive',
                     notes: 'Birthday gift for spouse',
-                    lastModified: '2024-01-20T14:30:00Z'
+                    lastModified: '2024-01-20T14:30:00Z',
+                    marketplace: 'amazon.com'
                 }
             ],
             actionLog: [
@@ -436,17 +522,22 @@ export class GoogleSheetsSchema {
         }
 
         // Validate hidden type constraints
-        if (data.hiddenType && data.hiddenType !== 'details') {
-            errors.push(`Invalid hidden type: ${data.hiddenType}. Only 'details' is supported.`);
+        if (data.hiddenType && !HIDDEN_TYPES.includes(data.hiddenType)) {
+            errors.push(`Invalid hidden type: ${data.hiddenType}. Allowed values: ${HIDDEN_TYPES.join(', ')}`);
+        }
+
+        // Validate marketplace against the storefront registry
+        if (data.marketplace && !getMarketplace(data.marketplace)) {
+            errors.push(`Invalid marketplace: ${data.marketplace}. Allowed values: ${getAllMarketplaces().map(marketplace => marketplace.id).join(', ')}`);
         }
 
         // Validate action constraints for ActionLog
-        if (data.action && !['hide', 'unhide'].includes(data.action)) {
-            errors.push(`Invalid action: ${data.action}. Allowed values: hide, unhide`);
+        if (data.action && !ACTION_LOG_ACTIONS.includes(data.action)) {
+            errors.push(`Invalid action: ${data.action}. Allowed values: ${ACTION_LOG_ACTIONS.join(', ')}`);
         }
 
-        if (data.actionType && data.actionType !== 'details') {
-            errors.push(`Invalid action type: ${data.actionType}. Only 'details' is supported.`);
+        if (data.actionType && !HIDDEN_TYPES.includes(data.actionType)) {
+            errors.push(`Invalid action type: ${data.actionType}. Allowed values: ${HIDDEN_TYPES.join(', ')}`);
         }
 
         // Validate field lengths
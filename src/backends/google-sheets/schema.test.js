@@ -357,7 +357,7 @@ describe('GoogleSheetsSchema', () => {
                 orderDate: 'invalid-date',
                 hiddenBy: 'a'.repeat(150), // Too long username
                 tags: 'electronics',
-                hiddenType: 'order', // Invalid hidden type
+                hiddenType: 'summary', // Invalid hidden type
                 hiddenAt: '2024-01-15T10:30:00Z',
                 lastModified: '2024-01-15T10:30:00Z'
             };
@@ -367,6 +367,41 @@ describe('GoogleSheetsSchema', () => {
             expect(result.errors.length).toBeGreaterThan(0);
         });
 
+        it('should accept full-order archives in HiddenOrders data', () => {
+            const archivedData = {
+                orderId: '123-4567890-1234567',
+                orderDate: '2024-01-15',
+                hiddenBy: 'john_doe',
+                tags: 'electronics',
+                hiddenType: 'order',
+                hiddenAt: '2024-01-15T10:30:00Z',
+                lastModified: '2024-01-15T10:30:00Z'
+            };
+
+            const result = schema.validateData('HiddenOrders', archivedData);
+            expect(result.valid).toBe(true);
+
+            const hiddenTypeColumn = schema.getHiddenOrdersSchema().columns.find(col => col.name === 'hiddenType');
+            expect(hiddenTypeColumn.allowedValues).toEqual(['details', 'order']);
+        });
+
+        it('should validate HiddenOrders marketplace against the registry', () => {
+            const data = {
+                orderId: '123-4567890-1234567',
+                orderDate: '2024-01-15',
+                hiddenBy: 'john_doe',
+                hiddenType: 'details',
+                hiddenAt: '2024-01-15T10:30:00Z',
+                lastModified: '2024-01-15T10:30:00Z'
+            };
+
+            expect(schema.validateData('HiddenOrders', { ...data, marketplace: 'amazon.co.uk' }).valid).toBe(true);
+
+            const result = schema.validateData('HiddenOrders', { ...data, marketplace: 'amazon.fr' });
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toContain('Invalid marketplace: amazon.fr');
+        });
+
         it('should validate ActionLog data correctly', () => {
             const validData = {
                 timestamp: '2024-01-15T10:30:00Z',
@@ -4,16 +4,280 @@
  * 
  * This module coordinates the resync process when users click the resync button,
  * ensuring Google Sheets remains the source of truth.
+ *
+ * It also provides an incremental sync (pull → merge → push) that reconciles
+ * chrome.storage and the HiddenOrders sheet using the Last Modified column,
+ * resolving concurrent edits with last-writer-wins.
  */
 
 import { defaultImporter } from './importer.js';
 import { StorageManager } from '../local-storage/storage.js';
+import { STORAGE_VERSION_KEY } from '../local-storage/migrations.js';
 import { specializedLogger as log } from '../../utils/logger.js';
+import { DEFAULT_MARKETPLACE_ID } from '../../utils/marketplaces.js';
+import { configManager } from '../../utils/config-manager.js';
+import { backupManager } from '../../utils/backup.js';
+import { isInactiveUser, parseTeamUserRow } from '../../utils/team-roles.js';
+
+// HiddenOrders sheet range covering columns A (Order ID) through J (Marketplace)
+const HIDDEN_ORDERS_RANGE = 'HiddenOrders!A:J';
+
+// UserSettings sheet range covering columns A (Username) through F (Display Name)
+const USER_SETTINGS_RANGE = 'UserSettings!A:F';
+
+// Order IDs look like 123-4567890-1234567
+const ORDER_ID_PATTERN = /^[A-Z0-9]{3}-[A-Z0-9]{7}-[A-Z0-9]{7}$/;
+
+/**
+ * Build the key that identifies a hidden order on both sides of the sync
+ * @param {string} orderId - Order ID
+ * @param {string} type - Hidden type ('details' or 'order')
+ * @returns {string} Sync key
+ */
+export function makeSyncKey(orderId, type) {
+    return `${orderId}_${type || 'details'}`;
+}
+
+/**
+ * Convert an ISO timestamp into milliseconds, treating missing or invalid values as 0
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number} Milliseconds since epoch
+ */
+function toTime(timestamp) {
+    const time = Date.parse(timestamp);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Get the last modification time of a locally stored hidden order
+ * Records stored before change tracking fall back to their hide timestamp
+ * @param {Object} hiddenOrder - Hidden order record from storage
+ * @returns {string} ISO timestamp
+ */
+function getLocalModified(hiddenOrder) {
+    return hiddenOrder.lastModified || hiddenOrder.timestamp || '';
+}
+
+/**
+ * Reduce a hidden order to the fields that are synced, so both sides can be compared
+ * @param {Object} hiddenOrder - Hidden order record in storage format
+ * @returns {string} Comparable fingerprint
+ */
+function fingerprint(hiddenOrder) {
+    const orderData = hiddenOrder.orderData || {};
+    const tags = Array.isArray(orderData.tags) ? [...orderData.tags].sort().join(',') : '';
+    return JSON.stringify([
+        orderData.orderDate || '',
+        orderData.orderTotal || '',
+        hiddenOrder.username || '',
+        tags,
+        orderData.notes || '',
+        hiddenOrder.marketplace || DEFAULT_MARKETPLACE_ID
+    ]);
+}
+
+/**
+ * Convert a hidden order from storage format into a HiddenOrders sheet row
+ * @param {Object} hiddenOrder - Hidden order record from storage
+ * @returns {Array} Row values for columns A through J
+ */
+export function hiddenOrderToSheetRow(hiddenOrder) {
+    const orderData = hiddenOrder.orderData || {};
+    return [
+        hiddenOrder.orderId,                                // Order ID
+        orderData.orderDate || '',                          // Order Date
+        orderData.orderTotal || '',                         // Order Total
+        hiddenOrder.username,                               // Hidden By
+        hiddenOrder.timestamp,                              // Hidden At
+        hiddenOrder.type,                                   // Hidden Type
+        orderData.tags ? orderData.tags.join(',') : '',     // Tags
+        orderData.notes || '',                              // Notes
+        getLocalModified(hiddenOrder),                      // Last Modified
+        hiddenOrder.marketplace || orderData.marketplace || DEFAULT_MARKETPLACE_ID // Marketplace
+    ];
+}
+
+/**
+ * Convert a HiddenOrders sheet row into storage format
+ * @param {Array} row - Row values for columns A through J
+ * @returns {Object|null} Hidden order record, or null if the row has no valid order ID
+ */
+export function sheetRowToHiddenOrder(row) {
+    if (!row || !row[0]) {
+        return null;
+    }
+
+    const orderId = row[0].toString().trim();
+    if (!ORDER_ID_PATTERN.test(orderId)) {
+        return null;
+    }
+
+    const hiddenAt = row[4] || '';
+    return {
+        orderId,
+        type: row[5] || 'details',
+        orderData: {
+            orderNumber: orderId,
+            orderDate: row[1] || '',
+            orderTotal: row[2] || '',
+            orderItems: [],
+            tags: row[6] ? row[6].split(',').map(tag => tag.trim()).filter(Boolean) : [],
+            notes: row[7] || ''
+        },
+        username: row[3] || 'Unknown User',
+        marketplace: row[9] || DEFAULT_MARKETPLACE_ID,
+        timestamp: hiddenAt,
+        lastModified: row[8] || hiddenAt
+    };
+}
+
+/**
+ * Work out which changes need to be applied to each side of the sync
+ *
+ * A side counts as changed when its Last Modified is newer than the previous sync.
+ * Rows edited by hand in the sheet often keep their old Last Modified, so a remote
+ * row that differs from an unchanged local record is treated as a remote edit.
+ * When both sides changed, the newer Last Modified wins and a conflict is recorded.
+ *
+ * @param {Object} params - Merge inputs
+ * @param {Array} params.local - Hidden orders from storage
+ * @param {Array} params.remote - Hidden orders parsed from the sheet, each with a 1-based rowIndex
+ * @param {Array} params.tombstones - Locally unhidden orders ({ orderId, type, deletedAt })
+ * @param {string|null} params.lastSyncAt - Timestamp of the previous successful sync
+ * @param {string} params.now - Timestamp used for conflict records
+ * @returns {Object} Plan with pull/push changes and conflict records
+ */
+export function mergeHiddenOrders({ local = [], remote = [], tombstones = [], lastSyncAt = null, now = new Date().toISOString() }) {
+    const plan = {
+        pull: { added: [], updated: [], removed: [] },
+        push: { added: [], updated: [], removed: [] },
+        conflicts: []
+    };
+
+    const lastSyncTime = toTime(lastSyncAt);
+    const changedSinceSync = (timestamp) => !lastSyncAt || toTime(timestamp) > lastSyncTime;
+
+    const localByKey = new Map(local.map(order => [makeSyncKey(order.orderId, order.type), order]));
+    const tombstonesByKey = new Map(tombstones.map(tombstone => [makeSyncKey(tombstone.orderId, tombstone.type), tombstone]));
+    const remoteByKey = new Map();
+    for (const order of remote) {
+        const key = makeSyncKey(order.orderId, order.type);
+        // Duplicate rows for the same order are left alone; the first one is authoritative
+        if (!remoteByKey.has(key)) {
+            remoteByKey.set(key, order);
+        }
+    }
+
+    const recordConflict = (order, reason, winner, localModified, remoteModified) => {
+        plan.conflicts.push({
+            orderId: order.orderId,
+            type: order.type,
+            reason,
+            winner,
+            localModified,
+            remoteModified,
+            resolvedAt: now
+        });
+    };
+
+    for (const [key, localOrder] of localByKey) {
+        const remoteOrder = remoteByKey.get(key);
+        const localModified = getLocalModified(localOrder);
+        const localChanged = changedSinceSync(localModified);
+
+        if (!remoteOrder) {
+            if (localChanged) {
+                plan.push.added.push(localOrder);
+            } else {
+                // Synced before and no longer in the sheet, so it was unhidden remotely
+                plan.pull.removed.push({ orderId: localOrder.orderId, type: localOrder.type });
+            }
+            continue;
+        }
+
+        if (fingerprint(localOrder) === fingerprint(remoteOrder)) {
+            continue;
+        }
+
+        const remoteChanged = changedSinceSync(remoteOrder.lastModified) || !localChanged;
+        if (localChanged && remoteChanged) {
+            const localWins = toTime(localModified) > toTime(remoteOrder.lastModified);
+            recordConflict(localOrder, 'modified-on-both-sides', localWins ? 'local' : 'remote', localModified, remoteOrder.lastModified);
+            if (localWins) {
+                plan.push.updated.push({ ...localOrder, rowIndex: remoteOrder.rowIndex });
+            } else {
+                plan.pull.updated.push(remoteOrder);
+            }
+        } else if (localChanged) {
+            plan.push.updated.push({ ...localOrder, rowIndex: remoteOrder.rowIndex });
+        } else {
+            plan.pull.updated.push(remoteOrder);
+        }
+    }
+
+    for (const [key, remoteOrder] of remoteByKey) {
+        if (localByKey.has(key)) {
+            continue;
+        }
+
+        const tombstone = tombstonesByKey.get(key);
+        if (!tombstone) {
+            plan.pull.added.push(remoteOrder);
+        } else if (toTime(tombstone.deletedAt) >= toTime(remoteOrder.lastModified)) {
+            plan.push.removed.push({ orderId: remoteOrder.orderId, type: remoteOrder.type, rowIndex: remoteOrder.rowIndex });
+        } else {
+            // The row was edited in the sheet after it was unhidden locally; the edit wins
+            recordConflict(remoteOrder, 'modified-after-unhide', 'remote', tombstone.deletedAt, remoteOrder.lastModified);
+            plan.pull.added.push(remoteOrder);
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Turn the push side of a sync plan around, so the sheet's version of every
+ * locally changed order is restored instead of being overwritten
+ * Used when the user whose changes would be pushed is inactive in team mode
+ * @param {Object} plan - Plan from mergeHiddenOrders
+ * @param {Array} remote - Hidden orders parsed from the sheet, each with a 1-based rowIndex
+ * @returns {Object} { plan, rejected } with the rejected changes ({ orderId, type, change })
+ */
+export function rejectLocalChanges(plan, remote) {
+    const remoteByKey = new Map();
+    for (const order of remote) {
+        const key = makeSyncKey(order.orderId, order.type);
+        if (!remoteByKey.has(key)) {
+            remoteByKey.set(key, order);
+        }
+    }
+    const remoteVersion = (order) => remoteByKey.get(makeSyncKey(order.orderId, order.type));
+
+    const rejected = [
+        ...plan.push.added.map(order => ({ orderId: order.orderId, type: order.type, change: 'added' })),
+        ...plan.push.updated.map(order => ({ orderId: order.orderId, type: order.type, change: 'updated' })),
+        ...plan.push.removed.map(order => ({ orderId: order.orderId, type: order.type, change: 'removed' }))
+    ];
+
+    return {
+        plan: {
+            ...plan,
+            pull: {
+                added: [...plan.pull.added, ...plan.push.removed.map(remoteVersion)],
+                updated: [...plan.pull.updated, ...plan.push.updated.map(remoteVersion)],
+                removed: [...plan.pull.removed, ...plan.push.added.map(order => ({ orderId: order.orderId, type: order.type }))]
+            },
+            push: { added: [], updated: [], removed: [] }
+        },
+        rejected
+    };
+}
 
 export class GoogleSheetsSync {
     constructor() {
         this.importer = defaultImporter;
         this.storage = new StorageManager();
+        this.backups = backupManager;
         this.isSyncing = false;
     }
 
@@ -49,26 +313,31 @@ export class GoogleSheetsSync {
             result.statistics.actionLog.before = beforeStats.actionLog;
             result.statistics.userSettings.before = beforeStats.userSettings;
 
-            // Step 2: Clear existing cache
+            // Step 2: Snapshot the cache so the resync can be undone; no snapshot, no resync
+            result.steps.push('Taking a backup snapshot...');
+            const snapshot = await this.backups.createSnapshot('resync', await configManager.get('backup_snapshot_limit'));
+            result.snapshotCreatedAt = snapshot.manifest.createdAt;
+
+            // Step 3: Clear existing cache
             result.steps.push('Clearing existing cache...');
             await this.clearCache();
 
-            // Step 3: Import data from Google Sheets
+            // Step 4: Import data from Google Sheets
             result.steps.push('Importing data from Google Sheets...');
             const importedData = await this.importFromSheets(sheetsData);
 
-            // Step 4: Rebuild cache with imported data
+            // Step 5: Rebuild cache with imported data
             result.steps.push('Rebuilding cache with imported data...');
             await this.rebuildCache(importedData);
 
-            // Step 5: Get final cache statistics
+            // Step 6: Get final cache statistics
             result.steps.push('Getting final cache statistics...');
             const afterStats = await this.getCacheStatistics();
             result.statistics.hiddenOrders.after = afterStats.hiddenOrders;
             result.statistics.actionLog.after = afterStats.actionLog;
             result.statistics.userSettings.after = afterStats.userSettings;
 
-            // Step 6: Validate sync integrity
+            // Step 7: Validate sync integrity
             result.steps.push('Validating sync integrity...');
             const validationResult = await this.validateSyncIntegrity(importedData);
             result.validation = validationResult;
@@ -119,10 +388,10 @@ export class GoogleSheetsSync {
             const allData = await chrome.storage.local.get(null);
             const keysToRemove = [];
 
-            // Find all keys that belong to our extension
+            // Find all keys that belong to our extension, keeping the storage schema version
             if (allData && typeof allData === 'object') {
                 for (const key of Object.keys(allData)) {
-                    if (key.startsWith('amazon_archiver_')) {
+                    if (key.startsWith('amazon_archiver_') && key !== STORAGE_VERSION_KEY) {
                         keysToRemove.push(key);
                     }
                 }
@@ -150,7 +419,9 @@ export class GoogleSheetsSync {
         try {
             log.info('Importing data from Google Sheets...');
 
-            // Use the importer to convert sheets data to browser storage format
+            // Use the importer to convert sheets data to browser storage format,
+            // cleaning up tags with the same policy the tagging dialog enforces
+            this.importer.setTagPolicy(await configManager.get('tag_policy'));
             const importedData = this.importer.importAllData(sheetsData);
 
             // Log validation summary if available
@@ -207,18 +478,19 @@ export class GoogleSheetsSync {
 
     /**
      * Rebuild hidden orders cache
-     * @param {Array} hiddenOrders - Hidden orders data
+     * Records are written as they are in the sheet, keeping who hid each order and when,
+     * so the next incremental sync finds nothing to push back
+     * @param {Array} hiddenOrders - Hidden orders data in storage format
      */
     async rebuildHiddenOrdersCache(hiddenOrders) {
         try {
             log.info(`Rebuilding hidden orders cache with ${hiddenOrders.length} orders...`);
 
             for (const order of hiddenOrders) {
-                await this.storage.storeHiddenOrder(
-                    order.orderId,
-                    order.type,
-                    order.orderData
-                );
+                await this.storage.putHiddenOrderRecord({
+                    ...order,
+                    lastModified: getLocalModified(order)
+                });
             }
 
             log.success(`Hidden orders cache rebuilt with ${hiddenOrders.length} orders`);
@@ -330,6 +602,135 @@ export class GoogleSheetsSync {
         }
     }
 
+    /**
+     * Perform an incremental two-way sync between chrome.storage and the HiddenOrders sheet
+     * Pulls the sheet, merges it with local changes and pushes the result back,
+     * leaving everything that is already in agreement untouched
+     * In team mode the UserSettings sheet is read too, refreshing the cached team users, and
+     * the local changes of a user the sheet lists as inactive are rejected rather than pushed
+     * @param {GoogleSheetsClient} client - Configured Google Sheets client
+     * @param {Object} options - Sync options
+     * @param {string} options.username - User whose local changes are pushed
+     * @returns {Object} Sync report listing what changed on each side, conflicts and rejected changes
+     */
+    async performIncrementalSync(client, { username = null } = {}) {
+        if (this.isSyncing) {
+            throw new Error('Sync already in progress');
+        }
+
+        this.isSyncing = true;
+        const startedAt = new Date().toISOString();
+        log.info('🔄 Starting incremental Google Sheets sync...');
+
+        try {
+            // Pull: read the sheet and the local state
+            const response = await client.getRange(HIDDEN_ORDERS_RANGE);
+            const rows = response && response.values ? response.values : [];
+            const remote = [];
+            // Skip the header row; rowIndex is the 1-based sheet row
+            rows.slice(1).forEach((row, index) => {
+                const hiddenOrder = sheetRowToHiddenOrder(row);
+                if (hiddenOrder) {
+                    remote.push({ ...hiddenOrder, rowIndex: index + 2 });
+                }
+            });
+
+            const local = await this.storage.getAllHiddenOrders();
+            const tombstones = await this.storage.getAllSyncTombstones();
+            const syncState = await this.storage.getSyncState();
+            const lastSyncAt = syncState ? syncState.lastSyncAt : null;
+
+            // Merge
+            let plan = mergeHiddenOrders({ local, remote, tombstones, lastSyncAt, now: startedAt });
+
+            let rejected = [];
+            if (await configManager.get('team_mode')) {
+                const users = await this.pullTeamUsers(client);
+                if (isInactiveUser(users, username)) {
+                    ({ plan, rejected } = rejectLocalChanges(plan, remote));
+                    log.warning(`⚠️ ${username} is inactive in the team spreadsheet, rejected ${rejected.length} local changes`);
+                }
+            }
+            log.info(`📊 Sync plan: pull +${plan.pull.added.length} ~${plan.pull.updated.length} -${plan.pull.removed.length}, ` +
+                `push +${plan.push.added.length} ~${plan.push.updated.length} -${plan.push.removed.length}, ` +
+                `${plan.conflicts.length} conflicts`);
+
+            // Push: update rows in place first, then delete (bottom-up, so row indexes stay valid), then append,
+            // each as a single batched request however many orders changed
+            await client.batchWriteRanges(plan.push.updated.map(hiddenOrder => ({
+                range: `HiddenOrders!A${hiddenOrder.rowIndex}:J${hiddenOrder.rowIndex}`,
+                values: [hiddenOrderToSheetRow(hiddenOrder)]
+            })));
+            await client.deleteRows('HiddenOrders', plan.push.removed.map(removed => removed.rowIndex));
+            await client.appendRows('HiddenOrders', plan.push.added.map(hiddenOrderToSheetRow));
+
+            // Apply remote changes locally
+            for (const hiddenOrder of [...plan.pull.added, ...plan.pull.updated]) {
+                // rowIndex only locates the sheet row and is not stored
+                const record = { ...hiddenOrder };
+                delete record.rowIndex;
+                await this.storage.putHiddenOrderRecord(record);
+            }
+            for (const removed of plan.pull.removed) {
+                await this.storage.deleteHiddenOrderRecord(removed.orderId, removed.type);
+            }
+
+            // Every tombstone has now been reconciled with the sheet
+            for (const tombstone of tombstones) {
+                await this.storage.removeSyncTombstone(tombstone.orderId, tombstone.type);
+            }
+
+            if (plan.conflicts.length > 0) {
+                await this.storage.addSyncConflicts(plan.conflicts);
+            }
+
+            const toIds = (orders) => orders.map(order => ({ orderId: order.orderId, type: order.type }));
+            const report = {
+                timestamp: startedAt,
+                success: true,
+                local: {
+                    added: toIds(plan.pull.added),
+                    updated: toIds(plan.pull.updated),
+                    removed: toIds(plan.pull.removed)
+                },
+                remote: {
+                    added: toIds(plan.push.added),
+                    updated: toIds(plan.push.updated),
+                    removed: toIds(plan.push.removed)
+                },
+                conflicts: plan.conflicts,
+                rejected
+            };
+
+            // Changes made while syncing are newer than startedAt, so they are picked up next time
+            await this.storage.setSyncState({ lastSyncAt: startedAt, lastReport: report });
+            this.lastSyncTimestamp = startedAt;
+
+            log.success('Incremental Google Sheets sync completed successfully');
+            return report;
+        } catch (error) {
+            log.error('Incremental Google Sheets sync failed:', error);
+            throw error;
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    /**
+     * Read the UserSettings sheet and refresh the cached team users
+     * @param {GoogleSheetsClient} client - Configured Google Sheets client
+     * @returns {Array} Team users, see utils/team-roles.js
+     */
+    async pullTeamUsers(client) {
+        const response = await client.getRange(USER_SETTINGS_RANGE);
+        const rows = response && response.values ? response.values : [];
+        // Skip the header row
+        const users = rows.slice(1).map(parseTeamUserRow).filter(Boolean);
+
+        await this.rebuildUserSettingsCache(users);
+        return users;
+    }
+
     /**
      * Check if a resync is currently in progress
      * @returns {boolean} True if syncing is in progress
@@ -3,7 +3,14 @@
  * Tests resync orchestration functionality
  */
 
-import { GoogleSheetsSync, defaultSync } from './sync.js';
+import {
+    GoogleSheetsSync,
+    defaultSync,
+    mergeHiddenOrders,
+    rejectLocalChanges,
+    hiddenOrderToSheetRow,
+    sheetRowToHiddenOrder
+} from './sync.js';
 import { defaultImporter } from './importer.js';
 import { StorageManager } from '../local-storage/storage.js';
 
@@ -21,7 +28,8 @@ jest.mock('../../utils/logger.js', () => ({
 // Mock the importer
 jest.mock('./importer.js', () => ({
     defaultImporter: {
-        importAllData: jest.fn()
+        importAllData: jest.fn(),
+        setTagPolicy: jest.fn()
     }
 }));
 
@@ -48,6 +56,7 @@ describe('GoogleSheetsSync', () => {
     let sync;
     let mockStorage;
     let mockImporter;
+    let mockBackups;
     let mockLogger;
 
     beforeEach(() => {
@@ -60,6 +69,7 @@ describe('GoogleSheetsSync', () => {
             getAllActionLog: jest.fn(),
             getAllUserSettings: jest.fn(),
             storeHiddenOrder: jest.fn(),
+            putHiddenOrderRecord: jest.fn(),
             storeActionLog: jest.fn(),
             storeUserSettings: jest.fn(),
             clear: jest.fn()
@@ -67,7 +77,13 @@ describe('GoogleSheetsSync', () => {
 
         // Setup mock importer
         mockImporter = {
-            importAllData: jest.fn()
+            importAllData: jest.fn(),
+            setTagPolicy: jest.fn()
+        };
+
+        // Setup mock backups
+        mockBackups = {
+            createSnapshot: jest.fn().mockResolvedValue({ manifest: { createdAt: '2024-01-15T10:29:00.000Z' } })
         };
 
         // Setup mock logger
@@ -77,6 +93,7 @@ describe('GoogleSheetsSync', () => {
         sync = new GoogleSheetsSync();
         sync.storage = mockStorage;
         sync.importer = mockImporter;
+        sync.backups = mockBackups;
     });
 
     describe('Constructor', () => {
@@ -143,7 +160,7 @@ describe('GoogleSheetsSync', () => {
             expect(sync.isSyncing).toBe(false);
             expect(result.success).toBe(true);
             expect(result.timestamp).toBeDefined();
-            expect(result.steps).toHaveLength(6);
+            expect(result.steps).toHaveLength(7);
 
             // Verify cache statistics were collected
             expect(mockStorage.getAllHiddenOrders).toHaveBeenCalled();
@@ -160,6 +177,37 @@ describe('GoogleSheetsSync', () => {
             expect(mockLogger.success).toHaveBeenCalledWith('Google Sheets resync completed successfully');
         });
 
+        it('should take a backup snapshot before clearing the cache', async () => {
+            mockStorage.getAllHiddenOrders.mockResolvedValue([]);
+            mockStorage.getAllActionLog.mockResolvedValue([]);
+            mockStorage.getAllUserSettings.mockResolvedValue([]);
+            mockImporter.importAllData.mockResolvedValue(mockImportedData);
+            mockChrome.storage.local.get.mockImplementation(async (key) => (
+                key === 'amazon_archiver_config_backup_snapshot_limit' ? { [key]: 5 } : {}
+            ));
+            const clearCache = jest.spyOn(sync, 'clearCache');
+
+            const result = await sync.performResync(mockSheetsData);
+
+            expect(mockBackups.createSnapshot).toHaveBeenCalledWith('resync', 5);
+            expect(mockBackups.createSnapshot.mock.invocationCallOrder[0]).toBeLessThan(clearCache.mock.invocationCallOrder[0]);
+            expect(result.snapshotCreatedAt).toBe('2024-01-15T10:29:00.000Z');
+        });
+
+        it('should not clear the cache when the snapshot fails', async () => {
+            mockStorage.getAllHiddenOrders.mockResolvedValue([]);
+            mockStorage.getAllActionLog.mockResolvedValue([]);
+            mockStorage.getAllUserSettings.mockResolvedValue([]);
+            mockBackups.createSnapshot.mockRejectedValue(new Error('Quota exceeded'));
+            const clearCache = jest.spyOn(sync, 'clearCache');
+
+            await expect(sync.performResync(mockSheetsData)).rejects.toThrow('Quota exceeded');
+
+            expect(clearCache).not.toHaveBeenCalled();
+            expect(mockImporter.importAllData).not.toHaveBeenCalled();
+            expect(sync.isSyncing).toBe(false);
+        });
+
         it('should prevent concurrent resyncs', async () => {
             sync.isSyncing = true;
 
@@ -248,7 +296,8 @@ describe('GoogleSheetsSync', () => {
             mockChrome.storage.local.get.mockResolvedValue({
                 'amazon_archiver_hidden_orders': [],
                 'amazon_archiver_action_log': [],
-                'amazon_archiver_user_settings': []
+                'amazon_archiver_user_settings': [],
+                'amazon_archiver_schema_version': 3
             });
             mockChrome.storage.local.remove.mockResolvedValue();
 
@@ -284,6 +333,17 @@ describe('GoogleSheetsSync', () => {
             expect(mockLogger.success).toHaveBeenCalledWith('Data imported from Google Sheets successfully');
         });
 
+        it('should apply the configured tag policy before importing', async () => {
+            const tagPolicy = { minLength: 3, caseNormalization: 'lowercase' };
+            mockChrome.storage.local.get.mockResolvedValue({ amazon_archiver_config_tag_policy: tagPolicy });
+            mockImporter.importAllData.mockReturnValue({ imported: {} });
+
+            await sync.importFromSheets({ hiddenOrders: [] });
+
+            expect(mockChrome.storage.local.get).toHaveBeenCalledWith('amazon_archiver_config_tag_policy');
+            expect(mockImporter.setTagPolicy).toHaveBeenCalledWith(tagPolicy);
+        });
+
         it('should log validation summary when available', async () => {
             const mockSheetsData = { hiddenOrders: [] };
             const mockImportedData = {
@@ -373,34 +433,77 @@ describe('GoogleSheetsSync', () => {
     describe('rebuildHiddenOrdersCache', () => {
         it('should rebuild hidden orders cache', async () => {
             const hiddenOrders = [
-                { orderId: '123-4567890-1234567', type: 'details', orderData: { username: 'john_doe' } },
-                { orderId: '987-6543210-7654321', type: 'details', orderData: { username: 'jane_doe' } }
+                { orderId: '123-4567890-1234567', type: 'details', orderData: { tags: [] }, username: 'john_doe', timestamp: '2024-01-15T10:30:00Z', lastModified: '2024-01-16T08:00:00Z' },
+                { orderId: '987-6543210-7654321', type: 'details', orderData: { tags: [] }, username: 'jane_doe', timestamp: '2024-01-10T09:00:00Z' }
             ];
 
             await sync.rebuildHiddenOrdersCache(hiddenOrders);
 
-            expect(mockStorage.storeHiddenOrder).toHaveBeenCalledTimes(2);
-            expect(mockStorage.storeHiddenOrder).toHaveBeenCalledWith(
-                '123-4567890-1234567',
-                'details',
-                { username: 'john_doe' }
-            );
-            expect(mockStorage.storeHiddenOrder).toHaveBeenCalledWith(
-                '987-6543210-7654321',
-                'details',
-                { username: 'jane_doe' }
-            );
+            // Records keep the sheet's attribution and timestamps instead of being re-hidden locally
+            expect(mockStorage.storeHiddenOrder).not.toHaveBeenCalled();
+            expect(mockStorage.putHiddenOrderRecord).toHaveBeenCalledTimes(2);
+            expect(mockStorage.putHiddenOrderRecord).toHaveBeenCalledWith(hiddenOrders[0]);
+            expect(mockStorage.putHiddenOrderRecord).toHaveBeenCalledWith({
+                ...hiddenOrders[1],
+                lastModified: '2024-01-10T09:00:00Z'
+            });
 
             expect(mockLogger.success).toHaveBeenCalledWith('Hidden orders cache rebuilt with 2 orders');
         });
 
         it('should handle storage errors during rebuild', async () => {
             const hiddenOrders = [{ orderId: '123-4567890-1234567', type: 'details', orderData: {} }];
-            mockStorage.storeHiddenOrder.mockRejectedValue(new Error('Storage error'));
+            mockStorage.putHiddenOrderRecord.mockRejectedValue(new Error('Storage error'));
 
             await expect(sync.rebuildHiddenOrdersCache(hiddenOrders)).rejects.toThrow('Storage error');
             expect(mockLogger.error).toHaveBeenCalledWith('Error rebuilding hidden orders cache:', expect.any(Error));
         });
+
+        it('should leave nothing to push on the next incremental sync', async () => {
+            const rows = [
+                ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified', 'Marketplace'],
+                ['123-4567890-1234567', '2024-01-15', '$12.99', 'john_doe', '2024-01-15T10:30:00Z', 'details', 'gift,books', 'for mom', '2024-01-16T08:00:00Z', 'amazon.com'],
+                ['987-6543210-7654321', '', '', 'jane_doe', '2024-01-10T09:00:00Z', 'transactions', '', '', '', 'amazon.co.uk']
+            ];
+            const records = rows.map(sheetRowToHiddenOrder).filter(Boolean);
+            mockStorage.getAllHiddenOrders.mockResolvedValue([]);
+            mockStorage.getAllActionLog.mockResolvedValue([]);
+            mockStorage.getAllUserSettings.mockResolvedValue([]);
+            mockImporter.importAllData.mockResolvedValue({
+                imported: { hiddenOrders: { data: records, validation: { isValid: true, errors: [], warnings: [] } } }
+            });
+
+            await sync.performResync({ hiddenOrders: rows });
+
+            // The cleared cache now holds what the resync wrote
+            const stored = mockStorage.putHiddenOrderRecord.mock.calls.map(([record]) => record);
+            expect(stored.map(record => record.username)).toEqual(['john_doe', 'jane_doe']);
+            Object.assign(mockStorage, {
+                getAllHiddenOrders: jest.fn().mockResolvedValue(stored),
+                getAllSyncTombstones: jest.fn().mockResolvedValue([]),
+                getSyncState: jest.fn().mockResolvedValue({ lastSyncAt: null }),
+                setSyncState: jest.fn(),
+                deleteHiddenOrderRecord: jest.fn(),
+                removeSyncTombstone: jest.fn(),
+                addSyncConflicts: jest.fn()
+            });
+            mockStorage.putHiddenOrderRecord.mockClear();
+            const mockClient = {
+                getRange: jest.fn().mockResolvedValue({ values: rows }),
+                batchWriteRanges: jest.fn().mockResolvedValue({}),
+                appendRows: jest.fn().mockResolvedValue({}),
+                deleteRows: jest.fn().mockResolvedValue()
+            };
+
+            const report = await sync.performIncrementalSync(mockClient);
+
+            expect(report.success).toBe(true);
+            expect(report.remote).toEqual({ added: [], updated: [], removed: [] });
+            expect(mockClient.batchWriteRanges).toHaveBeenCalledWith([]);
+            expect(mockClient.deleteRows).toHaveBeenCalledWith('HiddenOrders', []);
+            expect(mockClient.appendRows).toHaveBeenCalledWith('HiddenOrders', []);
+            expect(mockStorage.putHiddenOrderRecord).not.toHaveBeenCalled();
+        });
     });
 
     describe('rebuildActionLogCache', () => {
@@ -497,6 +600,373 @@ describe('GoogleSheetsSync', () => {
         });
     });
 
+    describe('Sheet row conversion', () => {
+        it('should round-trip a hidden order through a sheet row', () => {
+            const hiddenOrder = {
+                orderId: '123-4567890-1234567',
+                type: 'order',
+                orderData: {
+                    orderNumber: '123-4567890-1234567',
+                    orderDate: '2024-01-15',
+                    orderTotal: '$29.99',
+                    orderItems: [],
+                    tags: ['gift', 'electronics'],
+                    notes: 'For Sam'
+                },
+                username: 'john_doe',
+                marketplace: 'amazon.de',
+                timestamp: '2024-01-15T10:30:00Z',
+                lastModified: '2024-01-16T08:00:00Z'
+            };
+
+            const row = hiddenOrderToSheetRow(hiddenOrder);
+
+            expect(row).toEqual([
+                '123-4567890-1234567', '2024-01-15', '$29.99', 'john_doe', '2024-01-15T10:30:00Z',
+                'order', 'gift,electronics', 'For Sam', '2024-01-16T08:00:00Z', 'amazon.de'
+            ]);
+            expect(sheetRowToHiddenOrder(row)).toEqual(hiddenOrder);
+        });
+
+        it('should fall back to the hide time when a row has no Last Modified', () => {
+            const record = sheetRowToHiddenOrder(['123-4567890-1234567', '', '', 'john_doe', '2024-01-15T10:30:00Z']);
+
+            expect(record.type).toBe('details');
+            expect(record.lastModified).toBe('2024-01-15T10:30:00Z');
+            expect(record.marketplace).toBe('amazon.com');
+        });
+
+        it('should ignore rows without a valid order ID', () => {
+            expect(sheetRowToHiddenOrder(['Order ID', 'Order Date'])).toBeNull();
+            expect(sheetRowToHiddenOrder([])).toBeNull();
+        });
+    });
+
+    describe('mergeHiddenOrders', () => {
+        const LAST_SYNC = '2024-02-01T00:00:00.000Z';
+        const BEFORE = '2024-01-15T00:00:00.000Z';
+        const AFTER = '2024-02-10T00:00:00.000Z';
+        const LATER = '2024-02-20T00:00:00.000Z';
+
+        const makeOrder = (orderId, lastModified, overrides = {}) => ({
+            orderId,
+            type: 'details',
+            orderData: { orderDate: '2024-01-01', orderTotal: '$10.00', tags: ['gift'], notes: '' },
+            username: 'john_doe',
+            marketplace: 'amazon.com',
+            timestamp: BEFORE,
+            lastModified,
+            ...overrides
+        });
+
+        it('should leave matching records alone', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', BEFORE)],
+                remote: [{ ...makeOrder('111-1111111-1111111', BEFORE), rowIndex: 2 }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.pull).toEqual({ added: [], updated: [], removed: [] });
+            expect(plan.push).toEqual({ added: [], updated: [], removed: [] });
+            expect(plan.conflicts).toEqual([]);
+        });
+
+        it('should push new local orders and pull new remote orders', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', AFTER)],
+                remote: [{ ...makeOrder('222-2222222-2222222', AFTER), rowIndex: 2 }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.push.added.map(order => order.orderId)).toEqual(['111-1111111-1111111']);
+            expect(plan.pull.added.map(order => order.orderId)).toEqual(['222-2222222-2222222']);
+        });
+
+        it('should pull removals of previously synced orders', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', BEFORE)],
+                remote: [],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.pull.removed).toEqual([{ orderId: '111-1111111-1111111', type: 'details' }]);
+            expect(plan.push.added).toEqual([]);
+        });
+
+        it('should push local unhides using tombstones', () => {
+            const plan = mergeHiddenOrders({
+                local: [],
+                remote: [{ ...makeOrder('111-1111111-1111111', BEFORE), rowIndex: 5 }],
+                tombstones: [{ orderId: '111-1111111-1111111', type: 'details', deletedAt: AFTER }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.push.removed).toEqual([{ orderId: '111-1111111-1111111', type: 'details', rowIndex: 5 }]);
+            expect(plan.pull.added).toEqual([]);
+        });
+
+        it('should push local edits to the existing row', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', AFTER, { orderData: { tags: ['work'] } })],
+                remote: [{ ...makeOrder('111-1111111-1111111', BEFORE), rowIndex: 3 }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.push.updated).toHaveLength(1);
+            expect(plan.push.updated[0].rowIndex).toBe(3);
+            expect(plan.conflicts).toEqual([]);
+        });
+
+        it('should pull edits made directly in the sheet without a new Last Modified', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', BEFORE)],
+                remote: [{ ...makeOrder('111-1111111-1111111', BEFORE, { orderData: { tags: ['edited'] } }), rowIndex: 3 }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.pull.updated).toHaveLength(1);
+            expect(plan.pull.updated[0].orderData.tags).toEqual(['edited']);
+        });
+
+        it('should resolve edits on both sides with last-writer-wins and record a conflict', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', LATER, { orderData: { tags: ['local'] } })],
+                remote: [{ ...makeOrder('111-1111111-1111111', AFTER, { orderData: { tags: ['remote'] } }), rowIndex: 2 }],
+                lastSyncAt: LAST_SYNC,
+                now: '2024-03-01T00:00:00.000Z'
+            });
+
+            expect(plan.push.updated).toHaveLength(1);
+            expect(plan.pull.updated).toHaveLength(0);
+            expect(plan.conflicts).toEqual([{
+                orderId: '111-1111111-1111111',
+                type: 'details',
+                reason: 'modified-on-both-sides',
+                winner: 'local',
+                localModified: LATER,
+                remoteModified: AFTER,
+                resolvedAt: '2024-03-01T00:00:00.000Z'
+            }]);
+        });
+
+        it('should keep remote edits made after a local unhide', () => {
+            const plan = mergeHiddenOrders({
+                local: [],
+                remote: [{ ...makeOrder('111-1111111-1111111', LATER), rowIndex: 2 }],
+                tombstones: [{ orderId: '111-1111111-1111111', type: 'details', deletedAt: AFTER }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.pull.added).toHaveLength(1);
+            expect(plan.push.removed).toEqual([]);
+            expect(plan.conflicts[0]).toEqual(expect.objectContaining({ reason: 'modified-after-unhide', winner: 'remote' }));
+        });
+
+        it('should treat the same order hidden in two ways as separate records', () => {
+            const plan = mergeHiddenOrders({
+                local: [makeOrder('111-1111111-1111111', BEFORE), makeOrder('111-1111111-1111111', AFTER, { type: 'order' })],
+                remote: [{ ...makeOrder('111-1111111-1111111', BEFORE), rowIndex: 2 }],
+                lastSyncAt: LAST_SYNC
+            });
+
+            expect(plan.push.added).toHaveLength(1);
+            expect(plan.push.added[0].type).toBe('order');
+            expect(plan.pull.removed).toEqual([]);
+        });
+    });
+
+    describe('performIncrementalSync', () => {
+        let mockClient;
+
+        beforeEach(() => {
+            mockClient = {
+                getRange: jest.fn(),
+                batchWriteRanges: jest.fn().mockResolvedValue({}),
+                appendRows: jest.fn().mockResolvedValue({}),
+                deleteRows: jest.fn().mockResolvedValue()
+            };
+            Object.assign(mockStorage, {
+                getAllSyncTombstones: jest.fn().mockResolvedValue([]),
+                getSyncState: jest.fn().mockResolvedValue({ lastSyncAt: '2024-02-01T00:00:00.000Z' }),
+                setSyncState: jest.fn(),
+                putHiddenOrderRecord: jest.fn(),
+                deleteHiddenOrderRecord: jest.fn(),
+                removeSyncTombstone: jest.fn(),
+                addSyncConflicts: jest.fn()
+            });
+        });
+
+        it('should apply the merge plan to both sides and save a report', async () => {
+            mockClient.getRange.mockResolvedValue({
+                values: [
+                    ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified', 'Marketplace'],
+                    ['222-2222222-2222222', '', '', 'jane', '2024-02-05T00:00:00Z', 'details', 'gift', '', '2024-02-05T00:00:00Z', 'amazon.com'],
+                    ['333-3333333-3333333', '', '', 'jane', '2024-01-05T00:00:00Z', 'details', '', '', '2024-01-05T00:00:00Z', 'amazon.com'],
+                    ['444-4444444-4444444', '', '', 'jane', '2024-01-05T00:00:00Z', 'details', '', '', '2024-01-05T00:00:00Z', 'amazon.com']
+                ]
+            });
+            mockStorage.getAllHiddenOrders.mockResolvedValue([{
+                orderId: '111-1111111-1111111',
+                type: 'details',
+                orderData: { tags: [] },
+                username: 'john_doe',
+                timestamp: '2024-02-10T00:00:00Z',
+                lastModified: '2024-02-10T00:00:00Z'
+            }]);
+            mockStorage.getAllSyncTombstones.mockResolvedValue([
+                { orderId: '333-3333333-3333333', type: 'details', deletedAt: '2024-02-10T00:00:00Z' },
+                { orderId: '444-4444444-4444444', type: 'details', deletedAt: '2024-02-11T00:00:00Z' }
+            ]);
+
+            const report = await sync.performIncrementalSync(mockClient);
+
+            expect(mockClient.getRange).toHaveBeenCalledWith('HiddenOrders!A:J');
+            // Each side of the push is a single batched request
+            expect(mockClient.appendRows).toHaveBeenCalledTimes(1);
+            expect(mockClient.appendRows).toHaveBeenCalledWith('HiddenOrders', [expect.arrayContaining(['111-1111111-1111111'])]);
+            expect(mockClient.deleteRows).toHaveBeenCalledTimes(1);
+            expect(mockClient.deleteRows.mock.calls[0][0]).toBe('HiddenOrders');
+            expect(mockClient.deleteRows.mock.calls[0][1].sort()).toEqual([3, 4]);
+            expect(mockClient.batchWriteRanges).toHaveBeenCalledWith([]);
+            expect(mockStorage.putHiddenOrderRecord).toHaveBeenCalledWith(expect.objectContaining({ orderId: '222-2222222-2222222' }));
+            expect(mockStorage.putHiddenOrderRecord.mock.calls[0][0]).not.toHaveProperty('rowIndex');
+            expect(mockStorage.removeSyncTombstone).toHaveBeenCalledTimes(2);
+
+            expect(report.success).toBe(true);
+            expect(report.local.added).toEqual([{ orderId: '222-2222222-2222222', type: 'details' }]);
+            expect(report.remote.added).toEqual([{ orderId: '111-1111111-1111111', type: 'details' }]);
+            expect(report.remote.removed).toHaveLength(2);
+            expect(mockStorage.setSyncState).toHaveBeenCalledWith({ lastSyncAt: report.timestamp, lastReport: report });
+            expect(sync.isSyncing).toBe(false);
+        });
+
+        it('should record conflicts', async () => {
+            mockClient.getRange.mockResolvedValue({
+                values: [
+                    ['Order ID'],
+                    ['111-1111111-1111111', '', '', 'jane', '2024-01-05T00:00:00Z', 'details', 'remote', '', '2024-02-05T00:00:00Z', 'amazon.com']
+                ]
+            });
+            mockStorage.getAllHiddenOrders.mockResolvedValue([{
+                orderId: '111-1111111-1111111',
+                type: 'details',
+                orderData: { tags: ['local'] },
+                username: 'jane',
+                timestamp: '2024-01-05T00:00:00Z',
+                lastModified: '2024-02-10T00:00:00Z'
+            }]);
+
+            const report = await sync.performIncrementalSync(mockClient);
+
+            expect(mockClient.batchWriteRanges).toHaveBeenCalledWith([{
+                range: 'HiddenOrders!A2:J2',
+                values: [expect.arrayContaining(['local'])]
+            }]);
+            expect(report.conflicts).toHaveLength(1);
+            expect(mockStorage.addSyncConflicts).toHaveBeenCalledWith(report.conflicts);
+        });
+
+        it('should not save sync state when the sheet cannot be read', async () => {
+            mockClient.getRange.mockRejectedValue(new Error('Network error'));
+
+            await expect(sync.performIncrementalSync(mockClient)).rejects.toThrow('Network error');
+            expect(mockStorage.setSyncState).not.toHaveBeenCalled();
+            expect(sync.isSyncing).toBe(false);
+        });
+
+        it('should prevent concurrent syncs', async () => {
+            sync.isSyncing = true;
+
+            await expect(sync.performIncrementalSync(mockClient)).rejects.toThrow('Sync already in progress');
+        });
+
+        describe('team mode', () => {
+            const header = ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified', 'Marketplace'];
+
+            beforeEach(() => {
+                mockChrome.storage.local.get.mockImplementation(async (keys) =>
+                    (keys === 'amazon_archiver_config_team_mode' ? { amazon_archiver_config_team_mode: true } : {}));
+                mockClient.getRange.mockImplementation(async (range) => (range === 'UserSettings!A:F'
+                    ? { values: [['Username', 'Created At', 'Last Active', 'Is Active', 'Role'], ['jo', '', '', 'FALSE', 'editor'], ['sam', '', '', 'TRUE', 'owner']] }
+                    : { values: [header, ['333-3333333-3333333', '', '', 'sam', '2024-01-05T00:00:00Z', 'details', '', '', '2024-01-05T00:00:00Z', 'amazon.com']] }));
+                mockStorage.getAllHiddenOrders.mockResolvedValue([{
+                    orderId: '111-1111111-1111111',
+                    type: 'details',
+                    orderData: { tags: [] },
+                    username: 'jo',
+                    timestamp: '2024-02-10T00:00:00Z',
+                    lastModified: '2024-02-10T00:00:00Z'
+                }]);
+                mockStorage.getAllSyncTombstones.mockResolvedValue([
+                    { orderId: '333-3333333-3333333', type: 'details', deletedAt: '2024-02-10T00:00:00Z' }
+                ]);
+            });
+
+            afterEach(() => {
+                mockChrome.storage.local.get.mockReset();
+            });
+
+            it('should reject the local changes of an inactive user and restore the sheet\'s version', async () => {
+                const report = await sync.performIncrementalSync(mockClient, { username: 'JO' });
+
+                expect(mockStorage.storeUserSettings).toHaveBeenCalledWith(expect.objectContaining({ username: 'jo', isActive: false, role: 'editor' }));
+                expect(mockClient.appendRows).toHaveBeenCalledWith('HiddenOrders', []);
+                expect(mockClient.deleteRows).toHaveBeenCalledWith('HiddenOrders', []);
+                expect(mockStorage.deleteHiddenOrderRecord).toHaveBeenCalledWith('111-1111111-1111111', 'details');
+                expect(mockStorage.putHiddenOrderRecord).toHaveBeenCalledWith(expect.objectContaining({ orderId: '333-3333333-3333333' }));
+                expect(report.rejected).toEqual([
+                    { orderId: '111-1111111-1111111', type: 'details', change: 'added' },
+                    { orderId: '333-3333333-3333333', type: 'details', change: 'removed' }
+                ]);
+                expect(report.remote).toEqual({ added: [], updated: [], removed: [] });
+            });
+
+            it('should push the changes of active users', async () => {
+                const report = await sync.performIncrementalSync(mockClient, { username: 'sam' });
+
+                expect(report.rejected).toEqual([]);
+                expect(report.remote.added).toEqual([{ orderId: '111-1111111-1111111', type: 'details' }]);
+                expect(mockClient.deleteRows).toHaveBeenCalledWith('HiddenOrders', [2]);
+            });
+        });
+
+        it('should not read the UserSettings sheet outside team mode', async () => {
+            mockClient.getRange.mockResolvedValue({ values: [] });
+            mockStorage.getAllHiddenOrders.mockResolvedValue([]);
+
+            const report = await sync.performIncrementalSync(mockClient, { username: 'jo' });
+
+            expect(mockClient.getRange).toHaveBeenCalledTimes(1);
+            expect(report.rejected).toEqual([]);
+        });
+    });
+
+    describe('rejectLocalChanges', () => {
+        it('should turn every push into a pull of the sheet\'s version', () => {
+            const remoteOrder = { orderId: '222-2222222-2222222', type: 'order', username: 'sam', rowIndex: 3 };
+            const removedOrder = { orderId: '333-3333333-3333333', type: 'details', username: 'sam', rowIndex: 4 };
+            const plan = {
+                pull: { added: [], updated: [], removed: [] },
+                push: {
+                    added: [{ orderId: '111-1111111-1111111', type: 'details' }],
+                    updated: [{ ...remoteOrder, username: 'jo' }],
+                    removed: [{ orderId: removedOrder.orderId, type: removedOrder.type, rowIndex: 4 }]
+                },
+                conflicts: []
+            };
+
+            const result = rejectLocalChanges(plan, [remoteOrder, removedOrder]);
+
+            expect(result.plan.push).toEqual({ added: [], updated: [], removed: [] });
+            expect(result.plan.pull).toEqual({
+                added: [removedOrder],
+                updated: [remoteOrder],
+                removed: [{ orderId: '111-1111111-1111111', type: 'details' }]
+            });
+            expect(result.rejected.map(change => change.change)).toEqual(['added', 'updated', 'removed']);
+        });
+    });
+
     describe('Utility methods', () => {
         it('should check if resync is in progress', () => {
             sync.isSyncing = true;
@@ -0,0 +1,160 @@
+/**
+ * OAuth Token Encryption
+ * Encrypts the OAuth tokens kept in chrome.storage.local with AES-GCM. The key is generated
+ * on first use and kept in IndexedDB as a non-extractable CryptoKey, so extension code can
+ * use it but not read it, and storage dumps or copied storage data do not reveal the tokens.
+ *
+ * Encrypted payload, as stored:
+ * {
+ *     encrypted: true,
+ *     version: 1,                 // See TOKEN_ENCRYPTION_VERSION
+ *     iv: 'base64',               // 12 random bytes, new for every write
+ *     data: 'base64'              // AES-GCM ciphertext of the JSON value
+ * }
+ */
+
+import { specializedLogger as log } from '../../utils/logger.js';
+
+export const TOKEN_ENCRYPTION_VERSION = 1;
+
+const KEY_DATABASE = 'archizer-keys';
+const KEY_STORE = 'keys';
+const TOKEN_KEY_ID = 'oauth-tokens';
+
+/**
+ * Check whether a stored value is an encrypted payload
+ * @param {*} value - Stored value
+ * @returns {boolean} True for payloads written by TokenEncryption.encrypt
+ */
+export function isEncryptedPayload(value) {
+    return !!value && value.encrypted === true && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export class TokenEncryption {
+    /**
+     * @param {Function} loadKey - Resolves to the AES-GCM CryptoKey, defaults to the IndexedDB key
+     */
+    constructor(loadKey = loadStoredKey) {
+        this.loadKey = loadKey;
+        this.keyPromise = null;
+    }
+
+    /**
+     * Encrypt a JSON value
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} Encrypted payload
+     */
+    async encrypt(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getKey(), plaintext);
+
+        return {
+            encrypted: true,
+            version: TOKEN_ENCRYPTION_VERSION,
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Decrypt a payload written by encrypt
+     * Throws if the payload was written with another key or has been changed
+     * @param {Object} payload - Encrypted payload
+     * @returns {Promise<*>} Decrypted value
+     */
+    async decrypt(payload) {
+        if (!isEncryptedPayload(payload)) {
+            throw new Error('Not an encrypted payload');
+        }
+        if (payload.version > TOKEN_ENCRYPTION_VERSION) {
+            throw new Error(`Encrypted payload version ${payload.version} is newer than this extension supports`);
+        }
+
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+            await this.getKey(),
+            base64ToBytes(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Get the encryption key, loading it once
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadKey().catch(error => {
+                // Try again on the next call rather than failing for the rest of the session
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return await this.keyPromise;
+    }
+}
+
+/**
+ * Load the token key from IndexedDB, generating it on first use
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function loadStoredKey() {
+    const db = await openKeyDatabase();
+    try {
+        const storedKey = await requestResult(db.transaction(KEY_STORE).objectStore(KEY_STORE).get(TOKEN_KEY_ID));
+        if (storedKey) {
+            return storedKey;
+        }
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        try {
+            // add() rather than put() so a key generated at the same time in another context is kept
+            await requestResult(db.transaction(KEY_STORE, 'readwrite').objectStore(KEY_STORE).add(key, TOKEN_KEY_ID));
+            log.info('🔑 Generated OAuth token encryption key');
+            return key;
+        } catch (error) {
+            return await requestResult(db.transaction(KEY_STORE).objectStore(KEY_STORE).get(TOKEN_KEY_ID));
+        }
+    } finally {
+        db.close();
+    }
+}
+
+function openKeyDatabase() {
+    const request = indexedDB.open(KEY_DATABASE, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    return requestResult(request);
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Export a default instance
+export const tokenEncryption = new TokenEncryption();
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for OAuth token encryption
+ * Tests encrypting and decrypting tokens, tamper detection and key loading
+ */
+
+import { TokenEncryption, isEncryptedPayload, bytesToBase64, base64ToBytes } from './token-encryption.js';
+
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const generateKey = () => webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describe('TokenEncryption', () => {
+    const tokens = { accessToken: 'ya29.access', refreshToken: '1//refresh', tokenExpiry: 1700000000000 };
+    let encryption;
+
+    beforeAll(() => {
+        Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+    });
+
+    beforeEach(() => {
+        encryption = new TokenEncryption(jest.fn(generateKey));
+    });
+
+    it('should encrypt tokens so they can be read back', async () => {
+        const payload = await encryption.encrypt(tokens);
+
+        expect(payload).toEqual({ encrypted: true, version: 1, iv: expect.any(String), data: expect.any(String) });
+        expect(JSON.stringify(payload)).not.toContain('ya29.access');
+        expect(base64ToBytes(payload.iv)).toHaveLength(12);
+        await expect(encryption.decrypt(payload)).resolves.toEqual(tokens);
+    });
+
+    it('should use a new IV for every write', async () => {
+        const first = await encryption.encrypt(tokens);
+        const second = await encryption.encrypt(tokens);
+
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.data).not.toBe(second.data);
+    });
+
+    it('should load the key once', async () => {
+        await encryption.encrypt(tokens);
+        await encryption.encrypt(tokens);
+
+        expect(encryption.loadKey).toHaveBeenCalledTimes(1);
+    });
+
+    it('should try loading the key again after a failure', async () => {
+        encryption.loadKey.mockRejectedValueOnce(new Error('IndexedDB unavailable'));
+
+        await expect(encryption.encrypt(tokens)).rejects.toThrow('IndexedDB unavailable');
+        await expect(encryption.encrypt(tokens)).resolves.toMatchObject({ encrypted: true });
+        expect(encryption.loadKey).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not decrypt with another key', async () => {
+        const payload = await encryption.encrypt(tokens);
+
+        await expect(new TokenEncryption(generateKey).decrypt(payload)).rejects.toThrow();
+    });
+
+    it('should not decrypt a changed payload', async () => {
+        const payload = await encryption.encrypt(tokens);
+        const data = base64ToBytes(payload.data);
+        data[0] ^= 1;
+
+        await expect(encryption.decrypt({ ...payload, data: bytesToBase64(data) })).rejects.toThrow();
+    });
+
+    it('should reject values that are not encrypted payloads', async () => {
+        await expect(encryption.decrypt(tokens)).rejects.toThrow('Not an encrypted payload');
+        await expect(encryption.decrypt({ ...(await encryption.encrypt(tokens)), version: 2 }))
+            .rejects.toThrow('Encrypted payload version 2 is newer than this extension supports');
+    });
+});
+
+describe('isEncryptedPayload', () => {
+    it('should tell encrypted payloads from plain tokens', () => {
+        expect(isEncryptedPayload({ encrypted: true, version: 1, iv: 'aXY=', data: 'ZGF0YQ==' })).toBe(true);
+        expect(isEncryptedPayload({ accessToken: 'ya29.access' })).toBe(false);
+        expect(isEncryptedPayload(null)).toBe(false);
+    });
+});
+
+describe('base64', () => {
+    it('should round trip bytes', () => {
+        const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+
+        expect(bytesToBase64(bytes)).toBe('AAF/gP8=');
+        expect(Array.from(base64ToBytes('AAF/gP8='))).toEqual(Array.from(bytes));
+    });
+});
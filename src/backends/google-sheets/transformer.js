@@ -5,6 +5,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { HIDDEN_TYPES, ACTION_LOG_ACTIONS } from './schema.js';
 
 /**
  * Data Transformer for converting between Google Sheets and Local Storage formats
@@ -400,7 +401,7 @@ export class GoogleSheetsTransformer {
             return false;
         }
 
-        if (order.hiddenType && !['details'].includes(order.hiddenType)) {
+        if (order.hiddenType && !HIDDEN_TYPES.includes(order.hiddenType)) {
             this.transformErrors.push(`Row ${index + 1}: Invalid hidden type: ${order.hiddenType}`);
             return false;
         }
@@ -415,7 +416,7 @@ export class GoogleSheetsTransformer {
      * @returns {boolean} Whether the action is valid
      */
     validateTransformedActionLog(action, index) {
-        if (!['hide', 'unhide'].includes(action.action)) {
+        if (!ACTION_LOG_ACTIONS.includes(action.action)) {
             this.transformErrors.push(`Row ${index + 1}: Invalid action: ${action.action}`);
             return false;
         }
@@ -620,7 +621,7 @@ export class GoogleSheetsTransformer {
                     }
 
                     return {
-                        action: ['hide', 'unhide'].includes(action) ? action : 'hide', // Default to safe value
+                        action: ACTION_LOG_ACTIONS.includes(action) ? action : 'hide', // Default to safe value
                         orderId: String(orderId || '').trim(),
                         performedBy: String(performedBy || '').trim(),
                         timestamp: String(timestamp || new Date().toISOString()).trim(),
@@ -4,12 +4,15 @@
  */
 
 import { specializedLogger as log } from '../../utils/logger.js';
+import { HIDDEN_TYPES, ACTION_LOG_ACTIONS } from './schema.js';
+import { resolveTagPolicy, sanitizeTags } from '../../utils/tag-policy.js';
 
 export class GoogleSheetsValidator {
     constructor() {
         this.maxTextLength = 1000; // Maximum text field length
-        this.maxTagsCount = 20; // Maximum number of tags per order
-        this.maxTagLength = 50; // Maximum individual tag length
+        this.tagPolicy = resolveTagPolicy(); // Tag rules from the 'tag_policy' config, see utils/tag-policy.js
+        this.maxTagsCount = this.tagPolicy.maxTagsPerOrder; // Maximum number of tags per order
+        this.maxTagLength = this.tagPolicy.maxLength; // Maximum individual tag length
         this.maxUsernameLength = 100; // Maximum username length
         this.maxOrderIdLength = 50; // Maximum order ID length
         this.maxActionTypeLength = 20; // Maximum action type length
@@ -26,7 +29,8 @@ export class GoogleSheetsValidator {
             isValid: true,
             sanitizedData: [],
             errors: [],
-            warnings: []
+            warnings: [],
+            rows: [] // Result of each row, in order, for previews that report per row
         };
 
         if (!Array.isArray(sheetRows)) {
@@ -37,6 +41,7 @@ export class GoogleSheetsValidator {
 
         sheetRows.forEach((row, index) => {
             const rowValidation = this.validateHiddenOrderRow(row, index);
+            result.rows.push(rowValidation);
 
             if (!rowValidation.isValid) {
                 result.isValid = false;
@@ -121,6 +126,10 @@ export class GoogleSheetsValidator {
                 result.errors.push(...timestampValidation.errors);
             }
 
+            // Keep what each field cleaned up, such as truncated values and dropped tags
+            [orderIdValidation, orderDateValidation, usernameValidation, tagsValidation, hiddenTypeValidation, timestampValidation]
+                .forEach(validation => result.warnings.push(...validation.warnings));
+
             // If all validations pass, create sanitized data
             if (result.isValid) {
                 result.sanitizedData = {
@@ -504,29 +513,27 @@ export class GoogleSheetsValidator {
             return result;
         }
 
-        // Split by comma and clean up each tag
-        const tagArray = trimmed.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-
-        if (tagArray.length > this.maxTagsCount) {
-            result.warnings.push(`Row ${index + 1}: Too many tags (${tagArray.length}), limiting to ${this.maxTagsCount}`);
-            tagArray.splice(this.maxTagsCount);
-        }
-
-        // Validate individual tags
-        const sanitizedTags = [];
-        tagArray.forEach((tag, tagIndex) => {
-            if (tag.length > this.maxTagLength) {
-                result.warnings.push(`Row ${index + 1}, Tag ${tagIndex + 1}: Tag exceeds maximum length (${this.maxTagLength}), truncating`);
-                sanitizedTags.push(tag.substring(0, this.maxTagLength));
-            } else {
-                sanitizedTags.push(tag);
-            }
+        // Split by comma and apply the tag policy to each tag
+        const { tags: sanitizedTags, warnings } = sanitizeTags(trimmed.split(','), this.tagPolicy);
+        warnings.forEach(({ position, message }) => {
+            const tagLabel = position === null ? '' : `, Tag ${position + 1}`;
+            result.warnings.push(`Row ${index + 1}${tagLabel}: ${message}`);
         });
 
         result.sanitizedValue = sanitizedTags;
         return result;
     }
 
+    /**
+     * Apply the tag policy from the 'tag_policy' config to imported tags
+     * @param {Object} policy - Tag policy, missing settings use the defaults
+     */
+    setTagPolicy(policy) {
+        this.tagPolicy = resolveTagPolicy(policy);
+        this.maxTagsCount = this.tagPolicy.maxTagsPerOrder;
+        this.maxTagLength = this.tagPolicy.maxLength;
+    }
+
     /**
      * Validate and sanitize hidden type
      * @param {string} hiddenType - Hidden type to validate
@@ -554,10 +561,10 @@ export class GoogleSheetsValidator {
             return result;
         }
 
-        // Only allow 'details' as per the simplified schema
-        if (trimmed !== 'details') {
+        // Only allow the hide types defined by the schema
+        if (!HIDDEN_TYPES.includes(trimmed)) {
             result.isValid = false;
-            result.errors.push(`Row ${index + 1}: Invalid hidden type '${trimmed}'. Only 'details' is allowed.`);
+            result.errors.push(`Row ${index + 1}: Invalid hidden type '${trimmed}'. Allowed values: ${HIDDEN_TYPES.join(', ')}.`);
             return result;
         }
 
@@ -593,10 +600,9 @@ export class GoogleSheetsValidator {
         }
 
         // Validate against allowed action types
-        const allowedActions = ['hide', 'unhide'];
-        if (!allowedActions.includes(trimmed)) {
+        if (!ACTION_LOG_ACTIONS.includes(trimmed)) {
             result.isValid = false;
-            result.errors.push(`Row ${index + 1}: Invalid action type '${trimmed}'. Allowed values: ${allowedActions.join(', ')}`);
+            result.errors.push(`Row ${index + 1}: Invalid action type '${trimmed}'. Allowed values: ${ACTION_LOG_ACTIONS.join(', ')}`);
             return result;
         }
 
@@ -187,6 +187,35 @@ describe('GoogleSheetsValidator', () => {
             expect(result.isValid).toBe(true);
             expect(result.sanitizedValue).toEqual([]);
         });
+
+        it('should keep the full path of hierarchical tags', () => {
+            const result = validator.validateTags('gifts/birthday, work/reimbursable/travel', 0);
+            expect(result.sanitizedValue).toEqual(['gifts/birthday', 'work/reimbursable/travel']);
+            expect(result.warnings).toEqual([]);
+        });
+
+        it('should normalize hierarchical tag paths with warning', () => {
+            const result = validator.validateTags('gifts / birthday/, /', 0);
+            expect(result.isValid).toBe(true);
+            expect(result.sanitizedValue).toEqual(['gifts/birthday']);
+            expect(result.warnings).toEqual([
+                'Row 1, Tag 1: Tag path "gifts / birthday/" normalized to "gifts/birthday"',
+                'Row 1, Tag 2: Tag has no name, skipping'
+            ]);
+        });
+
+        it('should apply a custom tag policy', () => {
+            validator.setTagPolicy({ minLength: 3, maxTagsPerOrder: 5, caseNormalization: 'lowercase' });
+
+            const result = validator.validateTags('Gifts, tv, Order, gifts, Books', 0);
+            expect(validator.maxTagsCount).toBe(5);
+            expect(result.sanitizedValue).toEqual(['gifts', 'books']);
+            expect(result.warnings).toEqual([
+                'Row 1, Tag 2: Tags must be at least 3 characters long, skipping',
+                'Row 1, Tag 3: "order" is too generic. Please use a more specific tag, skipping',
+                'Row 1, Tag 4: Duplicate tag "gifts", skipping'
+            ]);
+        });
     });
 
     describe('validateHiddenType', () => {
@@ -202,10 +231,16 @@ describe('GoogleSheetsValidator', () => {
             expect(result.sanitizedValue).toBe('details');
         });
 
+        it('should validate full-order hidden type', () => {
+            const result = validator.validateHiddenType('Order', 0);
+            expect(result.isValid).toBe(true);
+            expect(result.sanitizedValue).toBe('order');
+        });
+
         it('should reject invalid hidden type', () => {
-            const result = validator.validateHiddenType('order', 0);
+            const result = validator.validateHiddenType('summary', 0);
             expect(result.isValid).toBe(false);
-            expect(result.errors).toContain("Row 1: Invalid hidden type 'order'. Only 'details' is allowed.");
+            expect(result.errors).toContain("Row 1: Invalid hidden type 'summary'. Allowed values: details, order.");
         });
 
         it('should reject empty hidden type', () => {
@@ -217,7 +252,7 @@ describe('GoogleSheetsValidator', () => {
 
     describe('validateActionType', () => {
         it('should validate valid action types', () => {
-            const validActions = ['hide', 'unhide'];
+            const validActions = ['hide', 'unhide', 'rename_tag', 'merge_tag', 'delete_tag', 'recolor_tag'];
             validActions.forEach(action => {
                 const result = validator.validateActionType(action, 0);
                 expect(result.isValid).toBe(true);
@@ -228,14 +263,14 @@ describe('GoogleSheetsValidator', () => {
         it('should reject invalid action type', () => {
             const result = validator.validateActionType('invalid', 0);
             expect(result.isValid).toBe(false);
-            expect(result.errors).toContain("Row 1: Invalid action type 'invalid'. Allowed values: hide, unhide");
+            expect(result.errors).toContain("Row 1: Invalid action type 'invalid'. Allowed values: hide, unhide, rename_tag, merge_tag, delete_tag, recolor_tag");
         });
 
         it('should truncate overly long action type with warning', () => {
             const longAction = 'hide' + 'A'.repeat(validator.maxActionTypeLength + 10);
             const result = validator.validateActionType(longAction, 0);
             expect(result.isValid).toBe(false); // Invalid action type after truncation
-            expect(result.errors).toContain(`Row 1: Invalid action type 'hideaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'. Allowed values: hide, unhide`);
+            expect(result.errors).toContain(`Row 1: Invalid action type 'hideaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'. Allowed values: hide, unhide, rename_tag, merge_tag, delete_tag, recolor_tag`);
         });
     });
 
@@ -359,6 +394,19 @@ describe('GoogleSheetsValidator', () => {
             expect(result.errors).toHaveLength(1);
         });
 
+        it('should report the result of each row', () => {
+            const rows = [
+                [null, '2024-01-16', 'jane_doe', 'books', 'details', '2024-01-16T11:30:00Z'],
+                ['123-4567890-1234567', '2024-01-15', 'john_doe', 'gifts / kids', 'details', '2024-01-15T10:30:00Z']
+            ];
+            const result = validator.validateHiddenOrders(rows);
+
+            expect(result.rows).toHaveLength(2);
+            expect(result.rows[0]).toMatchObject({ isValid: false, sanitizedData: null, errors: ['Row 1: Order ID must be a non-empty string'] });
+            expect(result.rows[1]).toMatchObject({ isValid: true, warnings: ['Row 2, Tag 1: Tag path "gifts / kids" normalized to "gifts/kids"'] });
+            expect(result.rows[1].sanitizedData.tags).toEqual(['gifts/kids']);
+        });
+
         it('should reject non-array input', () => {
             const result = validator.validateHiddenOrders('not-an-array');
             expect(result.isValid).toBe(false);
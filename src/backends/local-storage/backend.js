@@ -0,0 +1,97 @@
+/**
+ * Local Storage Backend
+ * Keeps hidden orders, tags and the audit log in chrome.storage.local only, without Google Sheets.
+ * Selected with the 'storage_backend' config set to 'local'.
+ */
+
+import { StorageBackend } from '../backend.js';
+import { StorageManager } from './storage.js';
+import { KEY_PREFIXES, isRecordKey, stripProfileNamespace } from './keys.js';
+import { specializedLogger as log } from '../../utils/logger.js';
+
+// Watched record kinds, by storage key prefix
+const WATCHED_KINDS = [
+    { kind: 'hiddenOrder', prefix: KEY_PREFIXES.hiddenOrder },
+    { kind: 'tags', prefix: KEY_PREFIXES.orderTags }
+];
+
+export class LocalStorageBackend extends StorageBackend {
+    /**
+     * @param {StorageManager} storage - Storage manager the records are kept in
+     */
+    constructor(storage = new StorageManager()) {
+        super();
+        this.storage = storage;
+    }
+
+    async getHiddenOrders() {
+        return await this.storage.getAllHiddenOrders();
+    }
+
+    async hide(orderId, type, orderData) {
+        const hiddenOrderData = await this.storage.buildHiddenOrderRecord(orderId, type, orderData);
+        await this.storage.putHiddenOrderRecord(hiddenOrderData);
+        log.info(`Stored hidden order ${orderId} (${type}):`, orderData);
+
+        await this.appendAudit(this.storage.buildAuditLogEntry('hide', orderId, type, this.storage.getHidePerformer(hiddenOrderData), orderData));
+        return hiddenOrderData;
+    }
+
+    async unhide(orderId, type) {
+        const hiddenOrderData = await this.storage.getHiddenOrder(orderId, type);
+        await this.storage.deleteHiddenOrderRecord(orderId, type);
+        log.info(`Removed hidden order ${orderId} (${type})`);
+
+        if (hiddenOrderData) {
+            await this.appendAudit(this.storage.buildAuditLogEntry(
+                'unhide', orderId, type, hiddenOrderData.username, hiddenOrderData.orderData
+            ));
+        }
+        return hiddenOrderData;
+    }
+
+    async getTags(orderId) {
+        return await this.storage.getOrderTags(orderId);
+    }
+
+    async getAllTags() {
+        return await this.storage.getAllOrderTags();
+    }
+
+    async setTags(orderId, tagData) {
+        await this.storage.storeOrderTags(orderId, tagData);
+    }
+
+    async appendAudit(entry) {
+        await this.storage.storeAuditLogEntry(entry);
+    }
+
+    watch(listener) {
+        // Not every extension page can see storage changes (e.g. tests)
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+            return () => {};
+        }
+
+        const handleChanged = (changes, areaName) => {
+            if (areaName !== 'local') {
+                return;
+            }
+
+            const watched = [];
+            for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+                // Hidden orders and tags of any profile
+                const match = WATCHED_KINDS.find(({ prefix }) => isRecordKey(stripProfileNamespace(key), prefix));
+                if (match) {
+                    watched.push({ kind: match.kind, oldValue, newValue });
+                }
+            }
+
+            if (watched.length > 0) {
+                listener(watched);
+            }
+        };
+
+        chrome.storage.onChanged.addListener(handleChanged);
+        return () => chrome.storage.onChanged.removeListener(handleChanged);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the local storage backend
+ * Tests hiding, unhiding, tags, the audit log and watching for changes
+ */
+
+import { LocalStorageBackend } from './backend.js';
+import { StorageManager } from './storage.js';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const orderData = { orderNumber: '112-8383531-6014102', tags: ['gifts', 'birthday'], notes: 'For Sam', marketplace: 'amazon.co.uk' };
+
+describe('LocalStorageBackend', () => {
+    let store;
+    let backend;
+
+    beforeEach(() => {
+        store = { amazon_archiver_username: 'alice', amazon_archiver_schema_version: 3 };
+        global.chrome = {
+            runtime: { id: 'test-extension-id', sendMessage: jest.fn() },
+            storage: {
+                local: {
+                    get: jest.fn(async (key) => {
+                        const data = JSON.parse(JSON.stringify(store));
+                        return key === null ? data : { [key]: data[key] };
+                    }),
+                    set: jest.fn(async (items) => Object.assign(store, JSON.parse(JSON.stringify(items)))),
+                    remove: jest.fn(async (keys) => [].concat(keys).forEach(key => delete store[key]))
+                },
+                onChanged: { addListener: jest.fn(), removeListener: jest.fn() }
+            }
+        };
+        backend = new LocalStorageBackend(new StorageManager());
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    it('should hide an order and keep the audit log locally', async () => {
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        expect(record).toMatchObject({ orderId: '112-8383531-6014102', type: 'details', username: 'alice', marketplace: 'amazon.co.uk' });
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toEqual(record);
+        expect(await backend.getHiddenOrders()).toEqual([record]);
+
+        const [actionLog] = Object.entries(store).filter(([key]) => key.startsWith('amazon_archiver_action_log_'));
+        expect(actionLog[1]).toMatchObject({
+            orderId: '112-8383531-6014102',
+            action: 'hide',
+            type: 'details',
+            username: 'alice',
+            orderData: { tags: ['gifts', 'birthday'], notes: 'For Sam' }
+        });
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should credit the rule that hid an order in the audit log only', async () => {
+        const record = await backend.hide('1', 'order', { ...orderData, performedBy: 'rule:gifts' });
+
+        expect(record.username).toBe('alice');
+        const [actionLog] = Object.entries(store).filter(([key]) => key.startsWith('amazon_archiver_action_log_'));
+        expect(actionLog[1]).toMatchObject({ orderId: '1', action: 'hide', username: 'rule:gifts' });
+    });
+
+    it('should unhide an order and return its record', async () => {
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        await expect(backend.unhide('112-8383531-6014102', 'details')).resolves.toEqual(record);
+        expect(await backend.getHiddenOrders()).toEqual([]);
+        expect(Object.values(store).filter(entry => entry && entry.action === 'unhide')).toHaveLength(1);
+        expect(Object.keys(store).some(key => key.startsWith('amazon_archiver_sync_tombstone_'))).toBe(false);
+    });
+
+    it('should return null when unhiding an order that is not hidden', async () => {
+        await expect(backend.unhide('1', 'details')).resolves.toBeNull();
+        expect(Object.keys(store).some(key => key.startsWith('amazon_archiver_action_log_'))).toBe(false);
+    });
+
+    it('should store and read order tags', async () => {
+        await backend.setTags('1', { tags: ['gifts'], notes: '' });
+
+        await expect(backend.getTags('1')).resolves.toEqual({ tags: ['gifts'], notes: '' });
+        await expect(backend.getAllTags()).resolves.toEqual([
+            expect.objectContaining({ orderId: '1', tagData: { tags: ['gifts'], notes: '' } })
+        ]);
+        await expect(backend.getTags('2')).resolves.toBeNull();
+    });
+
+    it('should report hidden order and tag changes to watchers', () => {
+        const listener = jest.fn();
+        const unwatch = backend.watch(listener);
+        const handleChanged = chrome.storage.onChanged.addListener.mock.calls[0][0];
+
+        handleChanged({ 'amazon_archiver_hidden_order_1_details': { newValue: { orderId: '1' } } }, 'local');
+        handleChanged({ 'amazon_archiver_order_tags_1': { oldValue: { orderId: '1' } }, amazon_archiver_username: { newValue: 'bob' } }, 'local');
+        handleChanged({ amazon_archiver_username: { newValue: 'bob' } }, 'local');
+        handleChanged({ 'amazon_archiver_hidden_order_1_details': { newValue: { orderId: '1' } } }, 'sync');
+
+        expect(listener.mock.calls).toEqual([
+            [[{ kind: 'hiddenOrder', oldValue: undefined, newValue: { orderId: '1' } }]],
+            [[{ kind: 'tags', oldValue: { orderId: '1' }, newValue: undefined }]]
+        ]);
+
+        unwatch();
+        expect(chrome.storage.onChanged.removeListener).toHaveBeenCalledWith(handleChanged);
+    });
+
+    it('should report hidden order changes of other profiles to watchers', () => {
+        const listener = jest.fn();
+        backend.watch(listener);
+        const handleChanged = chrome.storage.onChanged.addListener.mock.calls[0][0];
+
+        handleChanged({ 'amazon_archiver_profile_sam_hidden_order_1_details': { newValue: { orderId: '1' } } }, 'local');
+        handleChanged({ amazon_archiver_profile_sam_sync_state: { newValue: {} } }, 'local');
+
+        expect(listener.mock.calls).toEqual([
+            [[{ kind: 'hiddenOrder', oldValue: undefined, newValue: { orderId: '1' } }]]
+        ]);
+    });
+
+    describe('profiles', () => {
+        beforeEach(() => {
+            store.amazon_archiver_config_profiles = {
+                activeProfileId: 'sam',
+                profiles: [
+                    { id: 'default', name: 'Default', amazonAccount: null, username: null, sheetUrl: null },
+                    { id: 'sam', name: 'Sam', amazonAccount: 'Sam', username: 'sam', sheetUrl: null }
+                ]
+            };
+        });
+
+        it('should keep the hidden orders of each profile apart', async () => {
+            store['amazon_archiver_hidden_order_111-0000000-0000000_details'] = { orderId: '111-0000000-0000000', type: 'details' };
+
+            const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+            expect(record.username).toBe('sam');
+            expect(store['amazon_archiver_profile_sam_hidden_order_112-8383531-6014102_details']).toEqual(record);
+            expect(await backend.getHiddenOrders()).toEqual([record]);
+
+            store.amazon_archiver_config_profiles.activeProfileId = 'default';
+            expect(await backend.getHiddenOrders()).toEqual([{ orderId: '111-0000000-0000000', type: 'details' }]);
+        });
+
+        it('should unhide only in the active profile', async () => {
+            store['amazon_archiver_hidden_order_112-8383531-6014102_details'] = { orderId: '112-8383531-6014102', type: 'details' };
+            await backend.hide('112-8383531-6014102', 'details', orderData);
+
+            await backend.unhide('112-8383531-6014102', 'details');
+
+            expect(store['amazon_archiver_profile_sam_hidden_order_112-8383531-6014102_details']).toBeUndefined();
+            expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toBeDefined();
+        });
+
+        it('should use the stored username for profiles without one', async () => {
+            store.amazon_archiver_config_profiles.profiles[1].username = null;
+
+            await expect(backend.storage.getUsername()).resolves.toBe('alice');
+        });
+    });
+
+    it('should not fail to watch where storage changes are not available', () => {
+        delete chrome.storage.onChanged;
+
+        const unwatch = backend.watch(jest.fn());
+
+        expect(() => unwatch()).not.toThrow();
+    });
+});
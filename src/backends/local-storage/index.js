@@ -4,8 +4,16 @@
  */
 
 export { StorageManager } from './storage.js';
-
-// Convenience exports
-export const LocalStorageBackend = {
-    StorageManager
-};
+export { LocalStorageBackend } from './backend.js';
+export { StorageMigrator, storageMigrator } from './migrations.js';
+export {
+    STORAGE_PREFIX,
+    KEY_PREFIXES,
+    storageKey,
+    isRecordKey,
+    hiddenOrderKey,
+    orderTagsKey,
+    syncTombstoneKey,
+    actionLogKey,
+    userSettingsKey
+} from './keys.js';
@@ -0,0 +1,120 @@
+/**
+ * Local Storage Keys
+ * Builds the chrome.storage.local keys the extension stores its records under,
+ * so no caller has to assemble them by hand.
+ *
+ * Every key starts with STORAGE_PREFIX, followed by a record prefix:
+ *   amazon_archiver_hidden_order_112-8383531-6014102_details
+ *   amazon_archiver_order_tags_112-8383531-6014102
+ *   amazon_archiver_sync_tombstone_112-8383531-6014102_order
+ *   amazon_archiver_action_log_112-8383531-6014102_1705314600000
+ *   amazon_archiver_user_settings_alice
+ *
+ * The *Key() builders return the part after STORAGE_PREFIX, which is what
+ * StorageManager.get/set/remove take; storageKey() adds the prefix for direct
+ * chrome.storage.local calls.
+ *
+ * Hidden orders, sync tombstones, sync state and user settings of profiles other than
+ * the default profile go under a profile namespace (see profileNamespace):
+ *   amazon_archiver_profile_sam_hidden_order_112-8383531-6014102_details
+ */
+
+import { DEFAULT_PROFILE_ID } from '../../utils/profiles.js';
+
+export const STORAGE_PREFIX = 'amazon_archiver_';
+
+// Record prefixes, after STORAGE_PREFIX
+export const KEY_PREFIXES = {
+    hiddenOrder: 'hidden_order_',
+    orderTags: 'order_tags_',
+    syncTombstone: 'sync_tombstone_',
+    actionLog: 'action_log_',
+    userSettings: 'user_settings_',
+    config: 'config_',
+    profile: 'profile_'
+};
+
+// Profile IDs are lowercase letters, digits and dashes, so the namespace ends at the next underscore
+const PROFILE_NAMESPACE_PATTERN = new RegExp(`^${STORAGE_PREFIX}${KEY_PREFIXES.profile}[a-z0-9-]+_`);
+
+/**
+ * Add the storage prefix to a key
+ * @param {string} key - Key after STORAGE_PREFIX
+ * @returns {string} Full chrome.storage.local key
+ */
+export function storageKey(key) {
+    return STORAGE_PREFIX + key;
+}
+
+/**
+ * Key namespace of a profile's records, placed between STORAGE_PREFIX and the record prefix
+ * The default profile has none, so records stored before profiles existed belong to it
+ * @param {string} profileId - Profile ID
+ * @returns {string} '' for the default profile, otherwise 'profile_<id>_'
+ */
+export function profileNamespace(profileId) {
+    return !profileId || profileId === DEFAULT_PROFILE_ID ? '' : `${KEY_PREFIXES.profile}${profileId}_`;
+}
+
+/**
+ * Remove the profile namespace from a full storage key, so isRecordKey matches the
+ * records of every profile
+ * @param {string} key - Full chrome.storage.local key
+ * @returns {string} Key as the default profile would store the record
+ */
+export function stripProfileNamespace(key) {
+    return key.replace(PROFILE_NAMESPACE_PATTERN, STORAGE_PREFIX);
+}
+
+/**
+ * Check whether a full storage key holds a kind of record
+ * @param {string} key - Full chrome.storage.local key
+ * @param {string} keyPrefix - One of KEY_PREFIXES
+ * @returns {boolean} True if the key starts with the prefixed record prefix
+ */
+export function isRecordKey(key, keyPrefix) {
+    return key.startsWith(STORAGE_PREFIX + keyPrefix);
+}
+
+/**
+ * @param {string} orderId - Order ID
+ * @param {string} type - Type of hiding ('details' or 'order')
+ * @returns {string} Hidden order key
+ */
+export function hiddenOrderKey(orderId, type) {
+    return `${KEY_PREFIXES.hiddenOrder}${orderId}_${type}`;
+}
+
+/**
+ * @param {string} orderId - Order ID
+ * @returns {string} Order tags key
+ */
+export function orderTagsKey(orderId) {
+    return `${KEY_PREFIXES.orderTags}${orderId}`;
+}
+
+/**
+ * @param {string} orderId - Order ID
+ * @param {string} type - Type of hiding ('details' or 'order')
+ * @returns {string} Sync tombstone key
+ */
+export function syncTombstoneKey(orderId, type) {
+    return `${KEY_PREFIXES.syncTombstone}${orderId}_${type}`;
+}
+
+/**
+ * @param {string} orderId - Order ID
+ * @param {number} time - Epoch milliseconds of the entry
+ * @returns {string} Action log key
+ */
+export function actionLogKey(orderId, time) {
+    return `${KEY_PREFIXES.actionLog}${orderId}_${time}`;
+}
+
+/**
+ * @param {string} username - Username
+ * @returns {string} User settings key
+ */
+export function userSettingsKey(username) {
+    return `${KEY_PREFIXES.userSettings}${username}`;
+}
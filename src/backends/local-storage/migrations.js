@@ -0,0 +1,213 @@
+/**
+ * Local Storage Schema Migrations
+ * Upgrades the keys and records older builds left in chrome.storage.local to the layout this build reads.
+ *
+ * The schema version is stored under amazon_archiver_schema_version. Storage with extension data
+ * but no version was written before the version existed, and is version 1.
+ *
+ * Each migration moves storage from version - 1 to version. It gets everything in storage and
+ * returns the changes to make, without touching storage itself:
+ *   { set: { 'amazon_archiver_action_log_112-8383531-6014102_1705314600000': {...} },
+ *     remove: ['amazon_archiver_amazon_archiver_action_log_112-8383531-6014102_1705314600000'] }
+ * Migrations must leave data they have already migrated alone, so a run that was cut short
+ * can simply be repeated.
+ *
+ * Storage written by a newer build is never migrated, and StorageManager and the popup refuse to write to it.
+ */
+
+import { specializedLogger as log } from '../../utils/logger.js';
+import { DEFAULT_MARKETPLACE_ID } from '../../utils/marketplaces.js';
+import { STORAGE_PREFIX, KEY_PREFIXES, storageKey, isRecordKey } from './keys.js';
+
+export const STORAGE_SCHEMA_VERSION = 3;
+
+export const STORAGE_VERSION_KEY = storageKey('schema_version');
+
+// Ordered by version; the last one must match STORAGE_SCHEMA_VERSION
+export const STORAGE_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Move action log entries and user settings out of keys with a doubled prefix',
+        migrate: migrateDoublePrefixedKeys
+    },
+    {
+        version: 3,
+        description: 'Fill in the marketplace, last modified time and tag list of older hidden orders',
+        migrate: migrateHiddenOrderRecords
+    }
+];
+
+/**
+ * Work out the schema version of everything in storage
+ * @param {Object} allData - Everything in storage, from chrome.storage.local.get(null)
+ * @returns {number} Recorded version; 1 for unversioned extension data; the current version for empty storage
+ */
+export function getStoredVersion(allData) {
+    const data = allData || {};
+    const recorded = data[STORAGE_VERSION_KEY];
+    if (Number.isInteger(recorded) && recorded >= 1) {
+        return recorded;
+    }
+
+    const hasData = Object.keys(data).some(key => key.startsWith(STORAGE_PREFIX) && key !== STORAGE_VERSION_KEY);
+    return hasData ? 1 : STORAGE_SCHEMA_VERSION;
+}
+
+/**
+ * Check whether this build can read and write storage at a schema version
+ * @param {*} version - Stored schema version; anything but a whole number counts as an older build's
+ * @returns {boolean} False only for versions newer than STORAGE_SCHEMA_VERSION
+ */
+export function isStorageVersionSupported(version) {
+    return !(Number.isInteger(version) && version > STORAGE_SCHEMA_VERSION);
+}
+
+/**
+ * Explain why storage from a newer build is left alone
+ * @param {number} version - Stored schema version
+ * @returns {string} Error message
+ */
+export function describeUnsupportedVersion(version) {
+    return `Stored data uses schema version ${version}, newer than this build of Archizer supports (${STORAGE_SCHEMA_VERSION}). Update Archizer.`;
+}
+
+/**
+ * Check the stored schema version before writing to storage
+ * @returns {Promise<string|null>} Why this build must not write to storage, or null if it may
+ */
+export async function checkStorageWritable() {
+    const result = await chrome.storage.local.get(STORAGE_VERSION_KEY);
+    const version = result && result[STORAGE_VERSION_KEY];
+    return isStorageVersionSupported(version) ? null : describeUnsupportedVersion(version);
+}
+
+/**
+ * Get the migrations that move storage from a version to the current one
+ * @param {number} fromVersion - Stored schema version
+ * @returns {Array} Migrations in the order to run them
+ */
+export function getPendingMigrations(fromVersion) {
+    return STORAGE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+export class StorageMigrator {
+    /**
+     * Report the stored schema version and what a run would do, without changing anything
+     * @returns {Object} { storedVersion, currentVersion, supported, pending: [{ version, description }] }
+     */
+    async getStatus() {
+        const storedVersion = getStoredVersion(await chrome.storage.local.get(null));
+        const supported = isStorageVersionSupported(storedVersion);
+
+        return {
+            storedVersion,
+            currentVersion: STORAGE_SCHEMA_VERSION,
+            supported,
+            pending: supported
+                ? getPendingMigrations(storedVersion).map(({ version, description }) => ({ version, description }))
+                : []
+        };
+    }
+
+    /**
+     * Run every pending migration and record the current schema version
+     * Each migration's changes are written before its version is recorded, so an interrupted run
+     * repeats the unfinished migration next time
+     * @returns {Object} { fromVersion, toVersion, steps: [{ version, description, updated, removed }] }
+     * @throws {Error} If storage was written by a newer build
+     */
+    async run() {
+        let data = await chrome.storage.local.get(null) || {};
+        const fromVersion = getStoredVersion(data);
+        if (!isStorageVersionSupported(fromVersion)) {
+            throw new Error(describeUnsupportedVersion(fromVersion));
+        }
+
+        const steps = [];
+        for (const { version, description, migrate } of getPendingMigrations(fromVersion)) {
+            const { set = {}, remove = [] } = migrate(data);
+            const updated = Object.keys(set).length;
+
+            if (updated > 0) {
+                await chrome.storage.local.set(set);
+            }
+            if (remove.length > 0) {
+                await chrome.storage.local.remove(remove);
+            }
+            await chrome.storage.local.set({ [STORAGE_VERSION_KEY]: version });
+
+            log.info(`🔧 Storage migrated to version ${version}: ${description} (${updated} updated, ${remove.length} removed)`);
+            steps.push({ version, description, updated, removed: remove.length });
+
+            data = { ...data, ...set };
+            remove.forEach(key => delete data[key]);
+        }
+
+        if (data[STORAGE_VERSION_KEY] !== STORAGE_SCHEMA_VERSION) {
+            await chrome.storage.local.set({ [STORAGE_VERSION_KEY]: STORAGE_SCHEMA_VERSION });
+        }
+
+        return { fromVersion, toVersion: STORAGE_SCHEMA_VERSION, steps };
+    }
+}
+
+/**
+ * Version 2: StorageManager used to prefix action log and user settings keys twice, which
+ * hid those records from every reader
+ */
+function migrateDoublePrefixedKeys(allData) {
+    const set = {};
+    const remove = [];
+
+    Object.keys(allData).forEach(key => {
+        if (!key.startsWith(STORAGE_PREFIX + STORAGE_PREFIX)) {
+            return;
+        }
+        const fixedKey = key.slice(STORAGE_PREFIX.length);
+        // A record already under the right key is newer than the one that was never read
+        if (!(fixedKey in allData)) {
+            set[fixedKey] = allData[key];
+        }
+        remove.push(key);
+    });
+
+    return { set, remove };
+}
+
+/**
+ * Version 3: hidden orders from before marketplaces and incremental sync have no marketplace
+ * or last modified time, and some stored their tags as one comma-separated string
+ */
+function migrateHiddenOrderRecords(allData) {
+    const set = {};
+
+    Object.entries(allData).forEach(([key, record]) => {
+        if (!isRecordKey(key, KEY_PREFIXES.hiddenOrder) || !record || typeof record !== 'object') {
+            return;
+        }
+
+        const orderData = record.orderData || {};
+        const updated = { ...record };
+        if (!record.marketplace) {
+            updated.marketplace = orderData.marketplace || DEFAULT_MARKETPLACE_ID;
+        }
+        if (!record.lastModified && record.timestamp) {
+            updated.lastModified = record.timestamp;
+        }
+        if (typeof orderData.tags === 'string') {
+            updated.orderData = {
+                ...orderData,
+                tags: orderData.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+            };
+        }
+
+        if (Object.keys(updated).some(field => updated[field] !== record[field])) {
+            set[key] = updated;
+        }
+    });
+
+    return { set, remove: [] };
+}
+
+// Export a default instance
+export const storageMigrator = new StorageMigrator();
@@ -0,0 +1,223 @@
+/**
+ * Unit tests for local storage schema migrations
+ * Tests version detection, each migration and the runner
+ */
+
+import {
+    STORAGE_SCHEMA_VERSION,
+    STORAGE_VERSION_KEY,
+    STORAGE_MIGRATIONS,
+    StorageMigrator,
+    getStoredVersion,
+    isStorageVersionSupported,
+    getPendingMigrations
+} from './migrations.js';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+// Storage as left by the first release
+const legacyStorage = {
+    'amazon_archiver_hidden_order_112-8383531-6014102_details': {
+        orderId: '112-8383531-6014102',
+        type: 'details',
+        orderData: { orderNumber: '112-8383531-6014102', tags: 'gifts, birthday', notes: '' },
+        username: 'alice',
+        timestamp: '2024-01-15T10:30:00.000Z'
+    },
+    'amazon_archiver_order_tags_112-8383531-6014102': { orderId: '112-8383531-6014102', tagData: { tags: ['gifts'] } },
+    'amazon_archiver_amazon_archiver_action_log_112-8383531-6014102_1705314600000': { orderId: '112-8383531-6014102', action: 'hide' },
+    'amazon_archiver_amazon_archiver_user_settings_alice': { username: 'alice' },
+    'amazon_archiver_config_username': 'alice',
+    'unrelated_key': 'not ours'
+};
+
+const migration = (version) => STORAGE_MIGRATIONS.find(m => m.version === version);
+
+describe('STORAGE_MIGRATIONS', () => {
+    it('should end at the current schema version', () => {
+        expect(STORAGE_MIGRATIONS.map(m => m.version)).toEqual([2, 3]);
+        expect(STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version).toBe(STORAGE_SCHEMA_VERSION);
+    });
+});
+
+describe('getStoredVersion', () => {
+    it('should read the recorded version', () => {
+        expect(getStoredVersion({ [STORAGE_VERSION_KEY]: 2 })).toBe(2);
+    });
+
+    it('should treat unversioned extension data as version 1', () => {
+        expect(getStoredVersion(legacyStorage)).toBe(1);
+        expect(getStoredVersion({ ...legacyStorage, [STORAGE_VERSION_KEY]: 'two' })).toBe(1);
+    });
+
+    it('should treat storage without extension data as current', () => {
+        expect(getStoredVersion({})).toBe(STORAGE_SCHEMA_VERSION);
+        expect(getStoredVersion({ unrelated_key: 'x', archizer_backup_snapshots: [] })).toBe(STORAGE_SCHEMA_VERSION);
+        expect(getStoredVersion(undefined)).toBe(STORAGE_SCHEMA_VERSION);
+    });
+});
+
+describe('isStorageVersionSupported', () => {
+    it('should only refuse versions newer than this build', () => {
+        expect(isStorageVersionSupported(1)).toBe(true);
+        expect(isStorageVersionSupported(STORAGE_SCHEMA_VERSION)).toBe(true);
+        expect(isStorageVersionSupported(undefined)).toBe(true);
+        expect(isStorageVersionSupported(STORAGE_SCHEMA_VERSION + 1)).toBe(false);
+    });
+});
+
+describe('getPendingMigrations', () => {
+    it('should return the migrations after the stored version', () => {
+        expect(getPendingMigrations(1).map(m => m.version)).toEqual([2, 3]);
+        expect(getPendingMigrations(2).map(m => m.version)).toEqual([3]);
+        expect(getPendingMigrations(STORAGE_SCHEMA_VERSION)).toEqual([]);
+    });
+});
+
+describe('version 2 migration', () => {
+    it('should move records out of double-prefixed keys', () => {
+        expect(migration(2).migrate(legacyStorage)).toEqual({
+            set: {
+                'amazon_archiver_action_log_112-8383531-6014102_1705314600000': { orderId: '112-8383531-6014102', action: 'hide' },
+                'amazon_archiver_user_settings_alice': { username: 'alice' }
+            },
+            remove: [
+                'amazon_archiver_amazon_archiver_action_log_112-8383531-6014102_1705314600000',
+                'amazon_archiver_amazon_archiver_user_settings_alice'
+            ]
+        });
+    });
+
+    it('should keep a record already under the right key', () => {
+        const changes = migration(2).migrate({
+            'amazon_archiver_amazon_archiver_user_settings_alice': { username: 'alice', isActive: false },
+            'amazon_archiver_user_settings_alice': { username: 'alice', isActive: true }
+        });
+
+        expect(changes).toEqual({ set: {}, remove: ['amazon_archiver_amazon_archiver_user_settings_alice'] });
+    });
+});
+
+describe('version 3 migration', () => {
+    it('should fill in missing hidden order fields', () => {
+        const { set, remove } = migration(3).migrate(legacyStorage);
+
+        expect(remove).toEqual([]);
+        expect(set).toEqual({
+            'amazon_archiver_hidden_order_112-8383531-6014102_details': {
+                ...legacyStorage['amazon_archiver_hidden_order_112-8383531-6014102_details'],
+                orderData: { orderNumber: '112-8383531-6014102', tags: ['gifts', 'birthday'], notes: '' },
+                marketplace: 'amazon.com',
+                lastModified: '2024-01-15T10:30:00.000Z'
+            }
+        });
+    });
+
+    it('should keep the marketplace recorded in the order data', () => {
+        const { set } = migration(3).migrate({
+            'amazon_archiver_hidden_order_1_order': { orderId: '1', type: 'order', orderData: { marketplace: 'amazon.co.uk' }, lastModified: 'x' }
+        });
+
+        expect(set['amazon_archiver_hidden_order_1_order'].marketplace).toBe('amazon.co.uk');
+    });
+
+    it('should leave current records alone', () => {
+        const current = {
+            'amazon_archiver_hidden_order_1_order': {
+                orderId: '1',
+                type: 'order',
+                orderData: { tags: ['gifts'] },
+                marketplace: 'amazon.de',
+                timestamp: 'a',
+                lastModified: 'b'
+            }
+        };
+
+        expect(migration(3).migrate(current)).toEqual({ set: {}, remove: [] });
+    });
+});
+
+describe('StorageMigrator', () => {
+    let store;
+    let migrator;
+
+    beforeEach(() => {
+        store = JSON.parse(JSON.stringify(legacyStorage));
+        global.chrome = {
+            storage: {
+                local: {
+                    get: jest.fn(async () => JSON.parse(JSON.stringify(store))),
+                    set: jest.fn(async (items) => Object.assign(store, JSON.parse(JSON.stringify(items)))),
+                    remove: jest.fn(async (keys) => [].concat(keys).forEach(key => delete store[key]))
+                }
+            }
+        };
+        migrator = new StorageMigrator();
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    it('should report pending migrations without changing anything', async () => {
+        await expect(migrator.getStatus()).resolves.toEqual({
+            storedVersion: 1,
+            currentVersion: STORAGE_SCHEMA_VERSION,
+            supported: true,
+            pending: STORAGE_MIGRATIONS.map(({ version, description }) => ({ version, description }))
+        });
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should run each migration in order and record the version', async () => {
+        const report = await migrator.run();
+
+        expect(report).toEqual({
+            fromVersion: 1,
+            toVersion: STORAGE_SCHEMA_VERSION,
+            steps: [
+                { version: 2, description: migration(2).description, updated: 2, removed: 2 },
+                { version: 3, description: migration(3).description, updated: 1, removed: 0 }
+            ]
+        });
+        expect(store[STORAGE_VERSION_KEY]).toBe(STORAGE_SCHEMA_VERSION);
+        expect(Object.keys(store).filter(key => key.startsWith('amazon_archiver_amazon_archiver_'))).toEqual([]);
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details'].marketplace).toBe('amazon.com');
+        expect(store.unrelated_key).toBe('not ours');
+    });
+
+    it('should do nothing more on a second run', async () => {
+        await migrator.run();
+        chrome.storage.local.set.mockClear();
+
+        await expect(migrator.run()).resolves.toMatchObject({ fromVersion: STORAGE_SCHEMA_VERSION, steps: [] });
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should only record the version on a fresh install', async () => {
+        store = {};
+
+        await expect(migrator.run()).resolves.toMatchObject({ steps: [] });
+        expect(store).toEqual({ [STORAGE_VERSION_KEY]: STORAGE_SCHEMA_VERSION });
+    });
+
+    it('should refuse storage written by a newer build', async () => {
+        store[STORAGE_VERSION_KEY] = STORAGE_SCHEMA_VERSION + 1;
+
+        await expect(migrator.run()).rejects.toThrow(
+            `Stored data uses schema version ${STORAGE_SCHEMA_VERSION + 1}, newer than this build of Archizer supports (${STORAGE_SCHEMA_VERSION}).`
+        );
+        await expect(migrator.getStatus()).resolves.toMatchObject({ supported: false, pending: [] });
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+    });
+});
@@ -2,12 +2,34 @@
 // Local storage for user preferences and caching
 
 import { specializedLogger as log } from '../../utils/logger.js';
+import { getCurrentMarketplace } from '../../utils/marketplaces.js';
+import { changeTags } from '../../utils/tag-manager.js';
+import { configManager } from '../../utils/config-manager.js';
+import { getActiveProfile } from '../../utils/profiles.js';
+import { getProfileUsername } from '../../utils/google-identity.js';
+import {
+    STORAGE_PREFIX,
+    KEY_PREFIXES,
+    storageKey,
+    isRecordKey,
+    profileNamespace,
+    hiddenOrderKey,
+    orderTagsKey,
+    syncTombstoneKey,
+    actionLogKey,
+    userSettingsKey
+} from './keys.js';
+import { checkStorageWritable } from './migrations.js';
 
 log.info('Storage utilities loaded');
 
+// Number of sync conflict records kept in storage
+const MAX_SYNC_CONFLICTS = 100;
+
 export class StorageManager {
     constructor() {
-        this.prefix = 'amazon_archiver_';
+        this.prefix = STORAGE_PREFIX;
+        this.schemaError = undefined; // Checked on the first write
     }
 
     /**
@@ -16,17 +38,56 @@ export class StorageManager {
      * @returns {string} The full storage key
      */
     _makeKey(key) {
-        return this.prefix + key;
+        return storageKey(key);
+    }
+
+    /**
+     * Get the active profile, see utils/profiles.js
+     * @returns {Promise<Object>} Profile
+     */
+    async getActiveProfile() {
+        return getActiveProfile(await configManager.get('profiles'));
+    }
+
+    /**
+     * Get the key namespace of the active profile's hidden orders
+     * @returns {Promise<string>} Namespace, '' for the default profile
+     */
+    async getProfileNamespace() {
+        return profileNamespace((await this.getActiveProfile()).id);
     }
 
     /**
-     * Generate a hidden order key suffix
+     * Get the username of the active profile, see getProfileUsername in utils/google-identity.js
+     * The default profile, and profiles without a username, use the 'username' config, or the
+     * username stored by versions from before the config existed
+     * @returns {Promise<string|null>} Username
+     */
+    async getUsername() {
+        const profile = await this.getActiveProfile();
+        const configUsername = await configManager.get('username') || await this.get('username');
+        return getProfileUsername(profile, await configManager.get('username_source'), configUsername);
+    }
+
+    /**
+     * Generate a hidden order key suffix in the active profile
      * @param {string} orderId - Order ID
      * @param {string} type - Type of hiding
-     * @returns {string} The key suffix
+     * @returns {Promise<string>} The key suffix
      */
-    _makeHiddenOrderKey(orderId, type) {
-        return `hidden_order_${orderId}_${type}`;
+    async _makeHiddenOrderKey(orderId, type) {
+        return await this.getProfileNamespace() + hiddenOrderKey(orderId, type);
+    }
+
+    /**
+     * Generate a sync tombstone key suffix in the active profile
+     * Tombstones remember locally unhidden orders until the next sync removes them from the sheet
+     * @param {string} orderId - Order ID
+     * @param {string} type - Type of hiding
+     * @returns {Promise<string>} The key suffix
+     */
+    async _makeSyncTombstoneKey(orderId, type) {
+        return await this.getProfileNamespace() + syncTombstoneKey(orderId, type);
     }
 
     /**
@@ -35,7 +96,7 @@ export class StorageManager {
      * @returns {string} The key suffix
      */
     _makeOrderTagsKey(orderId) {
-        return `order_tags_${orderId}`;
+        return orderTagsKey(orderId);
     }
 
     /**
@@ -52,6 +113,27 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Check that storage was not written by a newer build before writing to it
+     * The result is remembered, since the schema version only changes when the extension updates
+     * @returns {boolean} True if this build may write to storage
+     */
+    async _isSchemaSupported() {
+        if (this.schemaError === undefined) {
+            try {
+                this.schemaError = await checkStorageWritable();
+                if (this.schemaError) {
+                    log.error(`❌ ${this.schemaError} Nothing will be saved.`);
+                }
+            } catch (error) {
+                // Let the write itself report the storage error, and check again next time
+                log.warning('⚠️ Could not read the storage schema version:', error);
+                return true;
+            }
+        }
+        return !this.schemaError;
+    }
+
     /**
      * Get a value from storage with context validation
      * @param {string} key - Storage key
@@ -85,6 +167,9 @@ export class StorageManager {
         }
 
         try {
+            if (!await this._isSchemaSupported()) {
+                return;
+            }
             const fullKey = this._makeKey(key);
             await chrome.storage.local.set({ [fullKey]: value });
         } catch (error) {
@@ -103,6 +188,9 @@ export class StorageManager {
         }
 
         try {
+            if (!await this._isSchemaSupported()) {
+                return;
+            }
             const fullKey = this._makeKey(key);
             await chrome.storage.local.remove(fullKey);
         } catch (error) {
@@ -131,31 +219,57 @@ export class StorageManager {
      */
     async storeHiddenOrder(orderId, type, orderData) {
         try {
-            // Get username from storage
-            const username = await this.get('username') || 'Unknown User';
-
-            const key = this._makeHiddenOrderKey(orderId, type);
-            const hiddenOrderData = {
-                orderId,
-                type,
-                orderData,
-                username,
-                timestamp: new Date().toISOString()
-            };
+            const hiddenOrderData = await this.buildHiddenOrderRecord(orderId, type, orderData);
 
-            await this.set(key, hiddenOrderData);
+            await this.putHiddenOrderRecord(hiddenOrderData);
+            // Hiding again supersedes an earlier unhide that has not been synced yet
+            await this.removeSyncTombstone(orderId, type);
             log.info(`Stored hidden order ${orderId} (${type}):`, orderData);
 
             // Sync to Google Sheets
             await this.syncHiddenOrderToGoogleSheets(hiddenOrderData);
 
             // Add audit log entry for hide action
-            await this.addAuditLogEntry('hide', orderId, type, username, orderData);
+            await this.addAuditLogEntry('hide', orderId, type, this.getHidePerformer(hiddenOrderData), orderData);
         } catch (error) {
             log.error(`Error storing hidden order ${orderId}:`, error);
         }
     }
 
+    /**
+     * Build the record stored for a newly hidden order
+     * @param {string} orderId - Order ID
+     * @param {string} type - Type of hiding (e.g., 'details', 'order')
+     * @param {Object} orderData - Order data to store
+     * @returns {Object} Hidden order record in storage format
+     */
+    async buildHiddenOrderRecord(orderId, type, orderData) {
+        // Hidden By is always the acting user, rule-driven hides included; see getHidePerformer
+        const username = await this.getUsername() || 'Unknown User';
+        const timestamp = new Date().toISOString();
+
+        return {
+            orderId,
+            type,
+            orderData,
+            username,
+            marketplace: (orderData && orderData.marketplace) || getCurrentMarketplace().id,
+            timestamp,
+            lastModified: timestamp
+        };
+    }
+
+    /**
+     * Get who the ActionLog credits with a hide
+     * Rule-driven hides pass the rule ('rule:<name>') as orderData.performedBy
+     * @param {Object} hiddenOrderData - Hidden order record, see buildHiddenOrderRecord
+     * @returns {string} Performer for the ActionLog entry
+     */
+    getHidePerformer(hiddenOrderData) {
+        const orderData = hiddenOrderData.orderData;
+        return (orderData && orderData.performedBy) || hiddenOrderData.username;
+    }
+
     /**
      * Remove hidden order data
      * @param {string} orderId - Order ID
@@ -164,7 +278,7 @@ export class StorageManager {
     async removeHiddenOrder(orderId, type) {
         try {
             console.log(`🔧 removeHiddenOrder called for order ${orderId} (${type})`);
-            const key = this._makeHiddenOrderKey(orderId, type);
+            const key = await this._makeHiddenOrderKey(orderId, type);
 
             // Get the hidden order data before removing it (for audit logging)
             const hiddenOrderData = await this.get(key);
@@ -175,6 +289,9 @@ export class StorageManager {
 
             // Sync unhide operation to Google Sheets and add audit log
             if (hiddenOrderData) {
+                // Remember the unhide so incremental sync can remove the row from the sheet
+                await this.putSyncTombstone(orderId, type);
+
                 console.log(`🔧 Syncing unhide operation to Google Sheets...`);
                 await this.syncUnhideOrderToGoogleSheets(hiddenOrderData);
                 await this.addAuditLogEntry('unhide', orderId, type, hiddenOrderData.username, hiddenOrderData.orderData);
@@ -245,7 +362,7 @@ export class StorageManager {
             const orderTags = [];
 
             for (const [key, value] of Object.entries(allData)) {
-                if (key.startsWith(this._makeKey('order_tags_')) && value) {
+                if (isRecordKey(key, KEY_PREFIXES.orderTags) && value) {
                     orderTags.push(value);
                 }
             }
@@ -257,6 +374,46 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Rename, merge or delete a tag on every hidden order and stored tag list
+     * Changed hidden orders get a new Last Modified so incremental sync treats them as local edits
+     * @param {Object} change - Tag change ({ action, from, to }), see utils/tag-manager.js
+     * @returns {Array} Hidden order records whose tags changed
+     */
+    async applyTagChange(change) {
+        const lastModified = new Date().toISOString();
+        const updatedOrders = [];
+
+        for (const hiddenOrder of await this.getAllHiddenOrders()) {
+            const tags = hiddenOrder.orderData && hiddenOrder.orderData.tags;
+            if (!Array.isArray(tags) || !tags.includes(change.from)) {
+                continue;
+            }
+
+            const updatedOrder = {
+                ...hiddenOrder,
+                orderData: { ...hiddenOrder.orderData, tags: changeTags(tags, change) },
+                lastModified
+            };
+            await this.putHiddenOrderRecord(updatedOrder);
+            updatedOrders.push(updatedOrder);
+        }
+
+        // Keep the tags the tagging dialog and page restore read from in step
+        for (const storedTags of await this.getAllOrderTags()) {
+            const tags = storedTags.tagData && storedTags.tagData.tags;
+            if (Array.isArray(tags) && tags.includes(change.from)) {
+                await this.set(this._makeOrderTagsKey(storedTags.orderId), {
+                    ...storedTags,
+                    tagData: { ...storedTags.tagData, tags: changeTags(tags, change) }
+                });
+            }
+        }
+
+        log.info(`Applied tag change (${change.action} "${change.from}") to ${updatedOrders.length} hidden orders`);
+        return updatedOrders;
+    }
+
     /**
      * Clear all storage data for a specific order
      * This is more thorough than removeHiddenOrder and clears any related data
@@ -301,7 +458,7 @@ export class StorageManager {
      */
     async getHiddenOrder(orderId, type) {
         try {
-            const key = this._makeHiddenOrderKey(orderId, type);
+            const key = await this._makeHiddenOrderKey(orderId, type);
             const data = await this.get(key);
             return data;
         } catch (error) {
@@ -316,11 +473,12 @@ export class StorageManager {
      */
     async getAllHiddenOrders() {
         try {
+            const namespace = await this.getProfileNamespace();
             const allData = await chrome.storage.local.get(null);
             const hiddenOrders = [];
 
             for (const [key, value] of Object.entries(allData)) {
-                if (key.startsWith(this._makeKey('hidden_order_')) && value) {
+                if (isRecordKey(key, namespace + KEY_PREFIXES.hiddenOrder) && value) {
                     hiddenOrders.push(value);
                 }
             }
@@ -332,16 +490,144 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Write a hidden order record exactly as given, without syncing or audit logging
+     * Used by incremental sync to apply changes pulled from Google Sheets
+     * @param {Object} hiddenOrderData - Hidden order record in storage format
+     */
+    async putHiddenOrderRecord(hiddenOrderData) {
+        const key = await this._makeHiddenOrderKey(hiddenOrderData.orderId, hiddenOrderData.type);
+        await this.set(key, hiddenOrderData);
+    }
+
+    /**
+     * Delete a hidden order record without syncing, audit logging or leaving a tombstone
+     * Used by incremental sync to apply removals pulled from Google Sheets
+     * @param {string} orderId - Order ID
+     * @param {string} type - Type of hiding (e.g., 'details', 'order')
+     */
+    async deleteHiddenOrderRecord(orderId, type) {
+        await this.remove(await this._makeHiddenOrderKey(orderId, type));
+    }
+
+    /**
+     * Apply a file import: store the imported hidden orders and delete the ones a replace import drops
+     * Records are written as given, without syncing or audit logging; the caller decides what to push
+     * @param {Object} plan - { upsert, remove } hidden order records
+     */
+    async applyHiddenOrdersImport({ upsert = [], remove = [] }) {
+        for (const hiddenOrder of upsert) {
+            await this.putHiddenOrderRecord(hiddenOrder);
+            // Importing an order supersedes an earlier unhide that has not been synced yet
+            await this.remove(await this._makeSyncTombstoneKey(hiddenOrder.orderId, hiddenOrder.type));
+
+            // Keep the tags the tagging dialog and page restore read from in step
+            const storedTags = await this.get(this._makeOrderTagsKey(hiddenOrder.orderId));
+            if (storedTags) {
+                const { tags, notes } = hiddenOrder.orderData;
+                await this.set(this._makeOrderTagsKey(hiddenOrder.orderId), {
+                    ...storedTags,
+                    tagData: { ...storedTags.tagData, tags, notes }
+                });
+            }
+        }
+
+        for (const hiddenOrder of remove) {
+            await this.deleteHiddenOrderRecord(hiddenOrder.orderId, hiddenOrder.type);
+        }
+
+        log.info(`Imported ${upsert.length} hidden orders, removed ${remove.length}`);
+    }
+
+    /**
+     * Get all sync tombstones (orders unhidden locally since the last sync)
+     * @returns {Array} Array of tombstones ({ orderId, type, deletedAt })
+     */
+    async getAllSyncTombstones() {
+        try {
+            const namespace = await this.getProfileNamespace();
+            const allData = await chrome.storage.local.get(null);
+            const tombstones = [];
+
+            for (const [key, value] of Object.entries(allData)) {
+                if (isRecordKey(key, namespace + KEY_PREFIXES.syncTombstone) && value) {
+                    tombstones.push(value);
+                }
+            }
+
+            return tombstones;
+        } catch (error) {
+            log.error('Error getting sync tombstones:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remember that an order was unhidden locally, until the next sync removes it from the sheet
+     * @param {string} orderId - Order ID
+     * @param {string} type - Type of hiding
+     */
+    async putSyncTombstone(orderId, type) {
+        await this.set(await this._makeSyncTombstoneKey(orderId, type), {
+            orderId,
+            type,
+            deletedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Remove a sync tombstone once the unhide has been synced
+     * @param {string} orderId - Order ID
+     * @param {string} type - Type of hiding
+     */
+    async removeSyncTombstone(orderId, type) {
+        await this.remove(await this._makeSyncTombstoneKey(orderId, type));
+    }
+
+    /**
+     * Get incremental sync state of the active profile
+     * @returns {Object|null} Sync state ({ lastSyncAt, lastReport }) or null if never synced
+     */
+    async getSyncState() {
+        return await this.get(await this.getProfileNamespace() + 'sync_state');
+    }
+
+    /**
+     * Store incremental sync state of the active profile
+     * @param {Object} syncState - Sync state ({ lastSyncAt, lastReport })
+     */
+    async setSyncState(syncState) {
+        await this.set(await this.getProfileNamespace() + 'sync_state', syncState);
+    }
+
+    /**
+     * Get recorded sync conflicts, newest last
+     * @returns {Array} Array of conflict records
+     */
+    async getSyncConflicts() {
+        return await this.get('sync_conflicts') || [];
+    }
+
+    /**
+     * Record sync conflicts, keeping only the most recent ones
+     * @param {Array} conflicts - Conflict records from a sync run
+     */
+    async addSyncConflicts(conflicts) {
+        const existing = await this.getSyncConflicts();
+        const combined = [...existing, ...conflicts].slice(-MAX_SYNC_CONFLICTS);
+        await this.set('sync_conflicts', combined);
+    }
+
     /**
      * Store action log entry
      * @param {Object} actionData - Action log data to store
      */
     async storeActionLog(actionData) {
         try {
-            const key = this._makeKey(`action_log_${actionData.orderId}_${Date.now()}`);
+            const key = actionLogKey(actionData.orderId, Date.now());
             await this.set(key, {
                 ...actionData,
-                timestamp: new Date().toISOString()
+                timestamp: actionData.timestamp || new Date().toISOString()
             });
             log.info(`Stored action log entry for order ${actionData.orderId}`);
         } catch (error) {
@@ -349,6 +635,26 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Keep a local copy of an audit log entry, in the format a resync caches, so the
+     * audit log can be exported from the popup without Google Sheets
+     * @param {Object} auditLogData - Audit log entry, see buildAuditLogEntry
+     */
+    async storeAuditLogEntry(auditLogData) {
+        await this.storeActionLog({
+            timestamp: auditLogData.timestamp,
+            orderId: auditLogData.orderId,
+            action: auditLogData.action,
+            type: auditLogData.actionType,
+            username: auditLogData.performedBy,
+            orderData: {
+                tags: (auditLogData.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+                notes: auditLogData.notes || ''
+            },
+            browserInfo: auditLogData.browserInfo || ''
+        });
+    }
+
     /**
      * Get all action log entries from storage
      * @returns {Array} Array of all action log entries
@@ -359,7 +665,7 @@ export class StorageManager {
             const actionLog = [];
 
             for (const [key, value] of Object.entries(allData)) {
-                if (key.startsWith(this._makeKey('action_log_')) && value) {
+                if (isRecordKey(key, KEY_PREFIXES.actionLog) && value) {
                     actionLog.push(value);
                 }
             }
@@ -372,12 +678,12 @@ export class StorageManager {
     }
 
     /**
-     * Store user settings
+     * Store user settings in the active profile
      * @param {Object} userData - User settings data to store
      */
     async storeUserSettings(userData) {
         try {
-            const key = this._makeKey(`user_settings_${userData.username}`);
+            const key = await this.getProfileNamespace() + userSettingsKey(userData.username);
             await this.set(key, {
                 ...userData,
                 timestamp: new Date().toISOString()
@@ -389,16 +695,17 @@ export class StorageManager {
     }
 
     /**
-     * Get all user settings from storage
+     * Get all user settings of the active profile's spreadsheet from storage
      * @returns {Array} Array of all user settings
      */
     async getAllUserSettings() {
         try {
+            const namespace = await this.getProfileNamespace();
             const allData = await chrome.storage.local.get(null);
             const userSettings = [];
 
             for (const [key, value] of Object.entries(allData)) {
-                if (key.startsWith(this._makeKey('user_settings_')) && value) {
+                if (isRecordKey(key, namespace + KEY_PREFIXES.userSettings) && value) {
                     userSettings.push(value);
                 }
             }
@@ -431,6 +738,8 @@ export class StorageManager {
 
             if (response && response.success) {
                 log.info(`✅ Successfully synced hidden order ${hiddenOrderData.orderId} to Google Sheets`);
+            } else if (response && response.queued) {
+                log.info(`📮 Hidden order ${hiddenOrderData.orderId} queued for retry:`, response.error);
             } else {
                 log.warning(`⚠️ Failed to sync hidden order ${hiddenOrderData.orderId} to Google Sheets:`, response?.error);
             }
@@ -461,6 +770,8 @@ export class StorageManager {
 
             if (response && response.success) {
                 log.info(`✅ Successfully removed hidden order ${hiddenOrderData.orderId} from Google Sheets`);
+            } else if (response && response.queued) {
+                log.info(`📮 Removal of hidden order ${hiddenOrderData.orderId} queued for retry:`, response.error);
             } else {
                 log.warning(`⚠️ Failed to remove hidden order ${hiddenOrderData.orderId} from Google Sheets:`, response?.error);
             }
@@ -479,6 +790,37 @@ export class StorageManager {
      * @param {Object} orderData - Order data containing tags and notes (optional)
      */
     async addAuditLogEntry(action, orderId, actionType, performedBy, orderData = null) {
+        await this.syncAuditLogEntryToGoogleSheets(this.buildAuditLogEntry(action, orderId, actionType, performedBy, orderData));
+    }
+
+    /**
+     * Build an audit log entry in the Audit Log sheet format
+     * @param {string} action - Action performed ('hide' or 'unhide')
+     * @param {string} orderId - Order ID
+     * @param {string} actionType - Type of action ('details')
+     * @param {string} performedBy - Username who performed the action
+     * @param {Object} orderData - Order data containing tags and notes (optional)
+     * @returns {Object} { timestamp, orderId, action, actionType, performedBy, tags, notes, browserInfo }
+     */
+    buildAuditLogEntry(action, orderId, actionType, performedBy, orderData = null) {
+        return {
+            timestamp: new Date().toISOString(),
+            orderId: orderId,
+            action: action,
+            actionType: actionType,
+            performedBy: performedBy,
+            tags: orderData && Array.isArray(orderData.tags) ? orderData.tags.join(', ') : '',
+            notes: orderData && orderData.notes ? orderData.notes : '',
+            browserInfo: this._getBrowserInfo()
+        };
+    }
+
+    /**
+     * Send an audit log entry to Google Sheets; the background script also keeps a local copy
+     * @param {Object} auditLogData - Audit log entry, see buildAuditLogEntry
+     */
+    async syncAuditLogEntryToGoogleSheets(auditLogData) {
+        const { action, orderId, performedBy } = auditLogData;
         try {
             if (!this._isContextValid()) {
                 console.warn('⚠️ Extension context invalidated, cannot add audit log');
@@ -487,24 +829,6 @@ export class StorageManager {
 
             log.info(`📝 Adding audit log entry: ${action} for order ${orderId} by ${performedBy}`);
 
-            // Get browser info
-            const browserInfo = this._getBrowserInfo();
-
-            // Extract tags and notes from orderData
-            const tags = orderData && orderData.tags ? orderData.tags.join(', ') : '';
-            const notes = orderData && orderData.notes ? orderData.notes : '';
-
-            const auditLogData = {
-                timestamp: new Date().toISOString(),
-                orderId: orderId,
-                action: action,
-                actionType: actionType,
-                performedBy: performedBy,
-                tags: tags,
-                notes: notes,
-                browserInfo: browserInfo
-            };
-
             // Send message to background script to add audit log entry
             const response = await chrome.runtime.sendMessage({
                 type: 'ADD_AUDIT_LOG_ENTRY',
@@ -513,6 +837,8 @@ export class StorageManager {
 
             if (response && response.success) {
                 log.info(`✅ Successfully added audit log entry for ${action} operation on order ${orderId}`);
+            } else if (response && response.queued) {
+                log.info(`📮 Audit log entry for ${action} operation on order ${orderId} queued for retry:`, response.error);
             } else {
                 log.warning(`⚠️ Failed to add audit log entry for ${action} operation on order ${orderId}:`, response?.error);
             }
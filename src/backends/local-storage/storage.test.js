@@ -85,6 +85,78 @@ describe('StorageManager', () => {
         });
     });
 
+    describe('storage schema version', () => {
+        it('should not write to storage from a newer build', async () => {
+            mockChrome.storage.local.get.mockResolvedValue({ amazon_archiver_schema_version: 99 });
+
+            await storageManager.set('test-key', { key: 'value' });
+            await storageManager.remove('test-key');
+
+            expect(mockChrome.storage.local.get).toHaveBeenCalledTimes(1);
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+            expect(mockChrome.storage.local.remove).not.toHaveBeenCalled();
+        });
+
+        it('should write to storage from this or an older build', async () => {
+            mockChrome.storage.local.get.mockResolvedValue({ amazon_archiver_schema_version: 1 });
+            mockChrome.storage.local.set.mockResolvedValue();
+
+            await storageManager.set('test-key', { key: 'value' });
+
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({ 'amazon_archiver_test-key': { key: 'value' } });
+        });
+    });
+
+    describe('action log and user settings', () => {
+        it('should store records under a single key prefix', async () => {
+            mockChrome.storage.local.get.mockResolvedValue({});
+            mockChrome.storage.local.set.mockResolvedValue();
+            jest.spyOn(Date, 'now').mockReturnValue(1705314600000);
+
+            await storageManager.storeActionLog({ orderId: '123', action: 'hide' });
+            await storageManager.storeUserSettings({ username: 'alice' });
+
+            expect(Object.keys(mockChrome.storage.local.set.mock.calls[0][0])).toEqual(['amazon_archiver_action_log_123_1705314600000']);
+            expect(Object.keys(mockChrome.storage.local.set.mock.calls[1][0])).toEqual(['amazon_archiver_user_settings_alice']);
+            Date.now.mockRestore();
+        });
+    });
+
+    describe('getUsername', () => {
+        const mockStore = (store) => {
+            mockChrome.storage.local.get.mockImplementation(async (key) => ({ [key]: store[key] }));
+        };
+
+        afterEach(() => {
+            mockChrome.storage.local.get.mockReset();
+        });
+
+        it('should use the username saved in Settings', async () => {
+            mockStore({ amazon_archiver_config_username: 'sam', amazon_archiver_username: 'old' });
+
+            await expect(storageManager.getUsername()).resolves.toBe('sam');
+        });
+
+        it('should fall back to the username stored by earlier versions', async () => {
+            mockStore({ amazon_archiver_username: 'old' });
+
+            await expect(storageManager.getUsername()).resolves.toBe('old');
+        });
+
+        it('should use the Google account email when the username comes from Google', async () => {
+            mockStore({
+                amazon_archiver_config_username: 'sam',
+                amazon_archiver_config_username_source: 'google',
+                amazon_archiver_config_profiles: {
+                    activeProfileId: 'default',
+                    profiles: [{ id: 'default', name: 'Default', email: 'sam@example.com', displayName: 'Sam' }]
+                }
+            });
+
+            await expect(storageManager.getUsername()).resolves.toBe('sam@example.com');
+        });
+    });
+
     describe('remove', () => {
         it('should remove data from Chrome storage', async () => {
             mockChrome.storage.local.remove.mockImplementation((key) => {
@@ -146,11 +218,37 @@ describe('StorageManager', () => {
                     type: 'details',
                     orderData: mockOrderData,
                     username: mockUsername,
-                    timestamp: expect.any(String)
+                    marketplace: 'amazon.com',
+                    timestamp: expect.any(String),
+                    lastModified: expect.any(String)
                 }
             });
         });
 
+        it('should record the marketplace the order was parsed from', async () => {
+            const mockOrderData = { orderId: '123', type: 'details', marketplace: 'amazon.de' };
+
+            jest.spyOn(storageManager, 'get').mockResolvedValue('TestUser');
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+
+            await storageManager.storeHiddenOrder('123', 'details', mockOrderData);
+
+            const stored = mockChrome.storage.local.set.mock.calls[0][0]['amazon_archiver_hidden_order_123_details'];
+            expect(stored.marketplace).toBe('amazon.de');
+        });
+
+        it('should track the last modification time and clear pending unhides', async () => {
+            jest.spyOn(storageManager, 'get').mockResolvedValue('TestUser');
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+            mockChrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+
+            await storageManager.storeHiddenOrder('123', 'details', { orderId: '123' });
+
+            const stored = mockChrome.storage.local.set.mock.calls[0][0]['amazon_archiver_hidden_order_123_details'];
+            expect(stored.lastModified).toBe(stored.timestamp);
+            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith('amazon_archiver_sync_tombstone_123_details');
+        });
+
         it('should use default username when no username is stored', async () => {
             const mockOrderData = { orderId: '123', type: 'details' };
 
@@ -168,11 +266,41 @@ describe('StorageManager', () => {
                     type: 'details',
                     orderData: mockOrderData,
                     username: 'Unknown User',
-                    timestamp: expect.any(String)
+                    marketplace: 'amazon.com',
+                    timestamp: expect.any(String),
+                    lastModified: expect.any(String)
                 }
             });
         });
 
+        it('should credit an auto-archive rule in the audit log only', async () => {
+            const mockOrderData = { orderId: '123', performedBy: 'rule:old-orders' };
+            jest.spyOn(storageManager, 'get').mockResolvedValue('TestUser');
+            jest.spyOn(storageManager, 'addAuditLogEntry').mockResolvedValue();
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+
+            await storageManager.storeHiddenOrder('123', 'order', mockOrderData);
+
+            const stored = mockChrome.storage.local.set.mock.calls[0][0]['amazon_archiver_hidden_order_123_order'];
+            expect(stored.username).toBe('TestUser');
+            expect(storageManager.addAuditLogEntry).toHaveBeenCalledWith('hide', '123', 'order', 'rule:old-orders', mockOrderData);
+        });
+
+        it('should pass notes on to Google Sheets and the audit log', async () => {
+            const mockOrderData = { orderId: '123', tags: ['gifts'], notes: 'Birthday present' };
+            jest.spyOn(storageManager, 'get').mockResolvedValue('TestUser');
+            jest.spyOn(storageManager, 'syncHiddenOrderToGoogleSheets').mockResolvedValue();
+            jest.spyOn(storageManager, 'addAuditLogEntry').mockResolvedValue();
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+
+            await storageManager.storeHiddenOrder('123', 'details', mockOrderData);
+
+            expect(storageManager.syncHiddenOrderToGoogleSheets).toHaveBeenCalledWith(expect.objectContaining({
+                orderData: expect.objectContaining({ notes: 'Birthday present' })
+            }));
+            expect(storageManager.addAuditLogEntry).toHaveBeenCalledWith('hide', '123', 'details', 'TestUser', mockOrderData);
+        });
+
         it('should handle storage errors gracefully', async () => {
             const mockOrderData = { orderId: '123', type: 'details' };
             jest.spyOn(storageManager, 'get').mockResolvedValue('TestUser');
@@ -196,6 +324,31 @@ describe('StorageManager', () => {
             expect(mockChrome.storage.local.remove).toHaveBeenCalledWith('amazon_archiver_hidden_order_123_details');
         });
 
+        it('should leave a tombstone for incremental sync', async () => {
+            jest.spyOn(storageManager, 'get').mockResolvedValue({ orderId: '123', type: 'details', username: 'TestUser' });
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+            mockChrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+
+            await storageManager.removeHiddenOrder('123', 'details');
+
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({
+                'amazon_archiver_sync_tombstone_123_details': {
+                    orderId: '123',
+                    type: 'details',
+                    deletedAt: expect.any(String)
+                }
+            });
+        });
+
+        it('should not leave a tombstone for orders that were not hidden', async () => {
+            jest.spyOn(storageManager, 'get').mockResolvedValue(null);
+            mockChrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+
+            await storageManager.removeHiddenOrder('123', 'details');
+
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
         it('should handle storage errors gracefully', async () => {
             mockChrome.storage.local.remove.mockImplementation(() => {
                 return Promise.reject(new Error('Storage error'));
@@ -206,6 +359,48 @@ describe('StorageManager', () => {
         });
     });
 
+    describe('incremental sync state', () => {
+        it('should write and delete hidden order records without side effects', async () => {
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+            mockChrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+            const syncSpy = jest.spyOn(storageManager, 'syncHiddenOrderToGoogleSheets');
+            const record = { orderId: '123', type: 'order', lastModified: '2024-01-15T10:30:00Z' };
+
+            await storageManager.putHiddenOrderRecord(record);
+            await storageManager.deleteHiddenOrderRecord('123', 'order');
+
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({ 'amazon_archiver_hidden_order_123_order': record });
+            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith('amazon_archiver_hidden_order_123_order');
+            expect(mockChrome.storage.local.set).toHaveBeenCalledTimes(1);
+            expect(syncSpy).not.toHaveBeenCalled();
+        });
+
+        it('should list sync tombstones', async () => {
+            const tombstone = { orderId: '123', type: 'details', deletedAt: '2024-01-15T10:30:00Z' };
+            mockChrome.storage.local.get.mockResolvedValue({
+                'amazon_archiver_sync_tombstone_123_details': tombstone,
+                'amazon_archiver_hidden_order_456_details': { orderId: '456' }
+            });
+
+            const tombstones = await storageManager.getAllSyncTombstones();
+
+            expect(tombstones).toEqual([tombstone]);
+        });
+
+        it('should keep only the most recent sync conflicts', async () => {
+            const existing = Array.from({ length: 99 }, (_, i) => ({ orderId: `old-${i}` }));
+            jest.spyOn(storageManager, 'get').mockResolvedValue(existing);
+            mockChrome.storage.local.set.mockImplementation(() => Promise.resolve());
+
+            await storageManager.addSyncConflicts([{ orderId: 'new-1' }, { orderId: 'new-2' }]);
+
+            const stored = mockChrome.storage.local.set.mock.calls[0][0]['amazon_archiver_sync_conflicts'];
+            expect(stored).toHaveLength(100);
+            expect(stored[0].orderId).toBe('old-1');
+            expect(stored[99].orderId).toBe('new-2');
+        });
+    });
+
     describe('getHiddenOrder', () => {
         it('should retrieve hidden order data', async () => {
             const mockHiddenOrder = {
@@ -423,6 +618,66 @@ describe('StorageManager', () => {
         });
     });
 
+    describe('applyTagChange', () => {
+        const storedData = {
+            'amazon_archiver_hidden_order_123_details': {
+                orderId: '123',
+                type: 'details',
+                orderData: { tags: ['gift', 'books'], notes: 'Test' },
+                username: 'TestUser',
+                timestamp: '2025-01-01T00:00:00.000Z',
+                lastModified: '2025-01-01T00:00:00.000Z'
+            },
+            'amazon_archiver_hidden_order_456_order': {
+                orderId: '456',
+                type: 'order',
+                orderData: { tags: ['books'] },
+                username: 'TestUser',
+                timestamp: '2025-01-02T00:00:00.000Z'
+            },
+            'amazon_archiver_order_tags_123': {
+                orderId: '123',
+                tagData: { tags: ['gift', 'books'], notes: 'Test' },
+                timestamp: '2025-01-01T00:00:00.000Z'
+            }
+        };
+
+        beforeEach(() => {
+            mockChrome.storage.local.get.mockResolvedValue(storedData);
+            mockChrome.storage.local.set.mockResolvedValue();
+        });
+
+        it('should rename the tag on hidden orders and stored tags', async () => {
+            const updatedOrders = await storageManager.applyTagChange({ action: 'rename', from: 'gift', to: 'gifts' });
+
+            expect(updatedOrders).toHaveLength(1);
+            expect(updatedOrders[0].orderData).toEqual({ tags: ['gifts', 'books'], notes: 'Test' });
+            expect(updatedOrders[0].lastModified).not.toBe('2025-01-01T00:00:00.000Z');
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({
+                'amazon_archiver_hidden_order_123_details': updatedOrders[0]
+            });
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({
+                'amazon_archiver_order_tags_123': {
+                    orderId: '123',
+                    tagData: { tags: ['gifts', 'books'], notes: 'Test' },
+                    timestamp: '2025-01-01T00:00:00.000Z'
+                }
+            });
+        });
+
+        it('should delete the tag everywhere it is used', async () => {
+            const updatedOrders = await storageManager.applyTagChange({ action: 'delete', from: 'books' });
+
+            expect(updatedOrders.map(order => order.orderData.tags)).toEqual([['gift'], []]);
+            expect(mockChrome.storage.local.set).toHaveBeenCalledTimes(3);
+        });
+
+        it('should leave storage alone when no order uses the tag', async () => {
+            expect(await storageManager.applyTagChange({ action: 'delete', from: 'unused' })).toEqual([]);
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getAllOrderTags', () => {
         it('should retrieve all order tags from storage', async () => {
             const mockOrderTags = {
@@ -0,0 +1,51 @@
+/**
+ * Storage Backend Registry
+ * Creates the backend the 'storage_backend' config selects. A new backend implements
+ * StorageBackend (see backend.js) and is registered here; the content script and popup
+ * pick it up without changes.
+ */
+
+import { DEFAULT_BACKEND_ID } from './backend.js';
+import { LocalStorageBackend } from './local-storage/backend.js';
+import { GoogleSheetsBackend } from './google-sheets/backend.js';
+import { RestBackend } from './rest/backend.js';
+import { StorageManager } from './local-storage/storage.js';
+import { specializedLogger as log } from '../utils/logger.js';
+
+// Backend ID to a factory taking the StorageManager the backend keeps its local copy in
+const backendFactories = new Map([
+    ['local', storage => new LocalStorageBackend(storage)],
+    ['google-sheets', storage => new GoogleSheetsBackend(storage)],
+    ['rest', storage => new RestBackend(storage)]
+]);
+
+/**
+ * Make a backend available to the 'storage_backend' config
+ * @param {string} backendId - Backend ID
+ * @param {Function} factory - Called with a StorageManager, returns a StorageBackend
+ */
+export function registerBackend(backendId, factory) {
+    backendFactories.set(backendId, factory);
+}
+
+/**
+ * @returns {Array<string>} IDs of the registered backends
+ */
+export function getBackendIds() {
+    return [...backendFactories.keys()];
+}
+
+/**
+ * Create a backend by ID, falling back to the default for unknown IDs
+ * @param {string} backendId - Backend ID, usually the 'storage_backend' config
+ * @param {StorageManager} storage - Storage manager to share with the caller (optional)
+ * @returns {StorageBackend} Backend instance
+ */
+export function createBackend(backendId, storage = new StorageManager()) {
+    let factory = backendFactories.get(backendId || DEFAULT_BACKEND_ID);
+    if (!factory) {
+        log.warning(`⚠️ Unknown storage backend "${backendId}", using ${DEFAULT_BACKEND_ID}`);
+        factory = backendFactories.get(DEFAULT_BACKEND_ID);
+    }
+    return factory(storage);
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the storage backend interface and registry
+ * Tests backend selection, the config validator and the base class
+ */
+
+import { StorageBackend, BACKEND_METHODS, DEFAULT_BACKEND_ID, validateBackendId } from './backend.js';
+import { createBackend, registerBackend, getBackendIds } from './registry.js';
+import { LocalStorageBackend } from './local-storage/backend.js';
+import { GoogleSheetsBackend } from './google-sheets/backend.js';
+import { StorageManager } from './local-storage/storage.js';
+
+// Mock the logger
+jest.mock('../utils/logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const { specializedLogger } = require('../utils/logger.js');
+
+describe('createBackend', () => {
+    it('should create the selected backend', () => {
+        expect(createBackend('local')).toBeInstanceOf(LocalStorageBackend);
+        expect(createBackend('local')).not.toBeInstanceOf(GoogleSheetsBackend);
+        expect(createBackend('google-sheets')).toBeInstanceOf(GoogleSheetsBackend);
+    });
+
+    it('should use the default backend when none is selected', () => {
+        expect(DEFAULT_BACKEND_ID).toBe('google-sheets');
+        expect(createBackend(null)).toBeInstanceOf(GoogleSheetsBackend);
+        expect(specializedLogger.warning).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the default backend for unknown IDs', () => {
+        expect(createBackend('dropbox')).toBeInstanceOf(GoogleSheetsBackend);
+        expect(specializedLogger.warning).toHaveBeenCalledWith('⚠️ Unknown storage backend "dropbox", using google-sheets');
+    });
+
+    it('should share the storage manager it is given', () => {
+        const storage = new StorageManager();
+
+        expect(createBackend('local', storage).storage).toBe(storage);
+    });
+
+    it('should create registered backends', () => {
+        class MemoryBackend extends StorageBackend {}
+        const factory = jest.fn(() => new MemoryBackend());
+        registerBackend('memory', factory);
+
+        expect(getBackendIds()).toEqual(['local', 'google-sheets', 'rest', 'memory']);
+        expect(createBackend('memory')).toBeInstanceOf(MemoryBackend);
+        expect(factory).toHaveBeenCalledWith(expect.any(StorageManager));
+    });
+});
+
+describe('validateBackendId', () => {
+    it('should accept backend IDs', () => {
+        expect(validateBackendId('local')).toEqual({ valid: true, errors: [] });
+        expect(validateBackendId('google-sheets')).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject anything else', () => {
+        expect(validateBackendId('').valid).toBe(false);
+        expect(validateBackendId('Google Sheets').valid).toBe(false);
+        expect(validateBackendId(null).valid).toBe(false);
+    });
+});
+
+describe('StorageBackend', () => {
+    it('should name the backend and method that is missing', async () => {
+        class PartialBackend extends StorageBackend {}
+        const backend = new PartialBackend();
+
+        await expect(backend.hide('1', 'details', {})).rejects.toThrow('PartialBackend does not implement hide');
+        expect(() => backend.watch(jest.fn())).toThrow('PartialBackend does not implement watch');
+    });
+
+    it('should be implemented in full by the built-in backends', () => {
+        BACKEND_METHODS.forEach(method => {
+            expect(LocalStorageBackend.prototype[method]).not.toBe(StorageBackend.prototype[method]);
+        });
+    });
+});
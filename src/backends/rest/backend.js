@@ -0,0 +1,117 @@
+/**
+ * REST Backend
+ * Keeps hidden orders on an HTTP server that speaks the protocol in protocol.js, such as
+ * scripts/rest-backend-server.js. Selected with the 'storage_backend' config set to 'rest',
+ * and pointed at the server with the 'rest_backend' config. Requests go through the background
+ * script, see client.js.
+ *
+ * The server is the source of truth: hides and unhides are written to it before the local
+ * copy in chrome.storage.local, and fail if it cannot be reached. Listing hidden orders
+ * refreshes the local copy, which is used as is while the server is down. Tags stay local.
+ */
+
+import { LocalStorageBackend } from '../local-storage/backend.js';
+import {
+    REST_ENDPOINTS,
+    hiddenOrderToRow,
+    auditEntryToRow,
+    parseHiddenOrderRows,
+    parseSettings
+} from './protocol.js';
+import { specializedLogger as log } from '../../utils/logger.js';
+
+export class RestBackend extends LocalStorageBackend {
+    async getHiddenOrders() {
+        const localOrders = await this.storage.getAllHiddenOrders();
+
+        let body;
+        try {
+            body = await this._request('GET', [REST_ENDPOINTS.hiddenOrders]);
+        } catch (error) {
+            log.warning(`⚠️ Could not load hidden orders from the REST backend, using the local copy: ${error.message}`);
+            return localOrders;
+        }
+
+        const { hiddenOrders, keys, errors } = parseHiddenOrderRows(body && body.rows);
+        if (errors.length > 0) {
+            log.warning(`⚠️ Skipped ${errors.length} invalid hidden order rows from the REST backend:`, errors);
+        }
+
+        // Only write records that changed, so watchers are not woken by every refresh
+        const localByKey = new Map(localOrders.map(order => [`${order.orderId}_${order.type}`, order]));
+        for (const hiddenOrder of hiddenOrders) {
+            const localOrder = localByKey.get(`${hiddenOrder.orderId}_${hiddenOrder.type}`);
+            if (JSON.stringify(localOrder) !== JSON.stringify(hiddenOrder)) {
+                await this.storage.putHiddenOrderRecord(hiddenOrder);
+            }
+        }
+
+        // Invalid rows are still on the server, so their local copies are kept
+        const remoteKeys = new Set(keys);
+        for (const [key, order] of localByKey) {
+            if (!remoteKeys.has(key)) {
+                await this.storage.deleteHiddenOrderRecord(order.orderId, order.type);
+            }
+        }
+
+        return await this.storage.getAllHiddenOrders();
+    }
+
+    async hide(orderId, type, orderData) {
+        const hiddenOrderData = await this.storage.buildHiddenOrderRecord(orderId, type, orderData);
+        await this._request('PUT', [REST_ENDPOINTS.hiddenOrders, orderId, type], { row: hiddenOrderToRow(hiddenOrderData) });
+        await this.storage.putHiddenOrderRecord(hiddenOrderData);
+        log.info(`Stored hidden order ${orderId} (${type}):`, orderData);
+
+        await this.appendAudit(this.storage.buildAuditLogEntry('hide', orderId, type, this.storage.getHidePerformer(hiddenOrderData), orderData));
+        return hiddenOrderData;
+    }
+
+    async unhide(orderId, type) {
+        const hiddenOrderData = await this.storage.getHiddenOrder(orderId, type);
+        await this._request('DELETE', [REST_ENDPOINTS.hiddenOrders, orderId, type]);
+        await this.storage.deleteHiddenOrderRecord(orderId, type);
+        log.info(`Removed hidden order ${orderId} (${type})`);
+
+        if (hiddenOrderData) {
+            await this.appendAudit(this.storage.buildAuditLogEntry(
+                'unhide', orderId, type, hiddenOrderData.username, hiddenOrderData.orderData
+            ));
+        }
+        return hiddenOrderData;
+    }
+
+    // The local copy is kept even when the server misses an entry
+    async appendAudit(entry) {
+        await this.storage.storeAuditLogEntry(entry);
+        try {
+            await this._request('POST', [REST_ENDPOINTS.auditLog], { row: auditEntryToRow(entry) });
+        } catch (error) {
+            log.warning(`⚠️ Could not send audit log entry for ${entry.orderId} to the REST backend: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the users and shared config from the server
+     * @returns {Promise<Object>} { version, users: [{ username, lastModified }], config }
+     */
+    async getSettings() {
+        return parseSettings(await this._request('GET', [REST_ENDPOINTS.settings]));
+    }
+
+    /**
+     * Send a request to the server configured in 'rest_backend' through the background script
+     * See client.js for why the request is not made from here
+     * @param {string} method - HTTP method
+     * @param {Array<string>} segments - Endpoint path segments
+     * @param {Object} body - JSON request body (optional)
+     * @returns {Promise<Object|null>} Response body, null when there is none
+     */
+    async _request(method, segments, body) {
+        const response = await chrome.runtime.sendMessage({ type: 'REST_BACKEND_REQUEST', method, segments, body });
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'No response from the background script');
+        }
+        return response.body;
+    }
+}
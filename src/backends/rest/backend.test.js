@@ -0,0 +1,264 @@
+/**
+ * Unit tests for the REST backend and the reference server
+ * Replays the protocol fixtures against the server, then runs the backend against it, with
+ * messages to the background script routed to the REST client and fetch routed straight into
+ * the server's request handler
+ */
+
+import { RestBackend } from './backend.js';
+import { sendRestRequest } from './client.js';
+import { createBackend } from '../registry.js';
+import { StorageManager } from '../local-storage/storage.js';
+import protocolExchanges from './fixtures/protocol-exchanges.json';
+import hiddenOrderRows from './fixtures/hidden-order-rows.json';
+
+const { createStore, handleRequest } = require('../../../scripts/rest-backend-server.js');
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+const { specializedLogger } = require('../../utils/logger.js');
+
+const orderData = { orderNumber: '112-8383531-6014102', orderDate: 'March 3, 2024', orderTotal: '$42.10', tags: ['gifts'], notes: '', marketplace: 'amazon.com' };
+
+describe('reference server', () => {
+    const store = createStore();
+
+    it.each(protocolExchanges.map(exchange => [exchange.name, exchange]))('%s', (name, { request, response }) => {
+        const result = handleRequest(store, { headers: {}, ...request });
+
+        expect({ status: result.status, body: result.body }).toEqual(response);
+    });
+
+    it('should require the API key when it has one', () => {
+        const request = { method: 'GET', path: '/settings', headers: {} };
+
+        expect(handleRequest(createStore(), request, { apiKey: 'secret' }).status).toBe(401);
+        expect(handleRequest(createStore(), { ...request, headers: { authorization: 'Bearer secret' } }, { apiKey: 'secret' }).status).toBe(200);
+    });
+});
+
+describe('RestBackend', () => {
+    let store;
+    let server;
+    let backend;
+
+    const serverRequests = () => global.fetch.mock.calls.map(([url, init]) => `${init.method} ${url}`);
+
+    beforeEach(() => {
+        store = {
+            amazon_archiver_username: 'alice',
+            amazon_archiver_schema_version: 3,
+            amazon_archiver_config_rest_backend: { baseUrl: 'http://localhost:8787/', apiKey: 'secret' }
+        };
+        global.chrome = {
+            runtime: {
+                id: 'test-extension-id',
+                // Stands in for handleRestBackendRequest in the background script
+                sendMessage: jest.fn(message => sendRestRequest(message.method, message.segments, message.body).then(
+                    body => ({ success: true, body }),
+                    error => ({ success: false, error: error.message })
+                ))
+            },
+            storage: {
+                local: {
+                    get: jest.fn(async (key) => {
+                        const data = JSON.parse(JSON.stringify(store));
+                        return key === null ? data : { [key]: data[key] };
+                    }),
+                    set: jest.fn(async (items) => Object.assign(store, JSON.parse(JSON.stringify(items)))),
+                    remove: jest.fn(async (keys) => [].concat(keys).forEach(key => delete store[key]))
+                }
+            }
+        };
+
+        server = createStore();
+        global.fetch = jest.fn(async (url, init) => {
+            const result = handleRequest(server, {
+                method: init.method,
+                path: new URL(url).pathname,
+                headers: { authorization: init.headers.Authorization },
+                body: init.body ? JSON.parse(init.body) : null
+            }, { apiKey: 'secret' });
+            return {
+                ok: result.status < 400,
+                status: result.status,
+                statusText: '',
+                json: async () => result.body
+            };
+        });
+        backend = new RestBackend(new StorageManager());
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+        delete global.fetch;
+    });
+
+    it('should be selected with the "rest" storage backend', () => {
+        expect(createBackend('rest')).toBeInstanceOf(RestBackend);
+    });
+
+    it('should send a hidden order and its audit log entry to the server', async () => {
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        expect(serverRequests()).toEqual([
+            'PUT http://localhost:8787/hidden-orders/112-8383531-6014102/details',
+            'POST http://localhost:8787/audit-log'
+        ]);
+        expect(global.fetch.mock.calls[0][1].headers).toEqual({
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            Authorization: 'Bearer secret'
+        });
+        expect(Object.values(server.hiddenOrders)).toEqual([[
+            '112-8383531-6014102', 'March 3, 2024', '$42.10', 'alice', record.timestamp,
+            'details', 'gifts', '', record.lastModified, 'amazon.com'
+        ]]);
+        expect(server.auditLog).toEqual([[expect.any(String), '112-8383531-6014102', 'hide', 'details', 'alice', 'gifts', '', expect.any(String)]]);
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toEqual(record);
+        expect(Object.keys(store).some(key => key.startsWith('amazon_archiver_action_log_'))).toBe(true);
+    });
+
+    it('should send requests through the background script, which holds the API key', async () => {
+        await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+            type: 'REST_BACKEND_REQUEST',
+            method: 'PUT',
+            segments: ['hidden-orders', '112-8383531-6014102', 'details'],
+            body: { row: expect.any(Array) }
+        });
+        expect(JSON.stringify(chrome.runtime.sendMessage.mock.calls)).not.toContain('secret');
+    });
+
+    it('should fail when the background script does not answer', async () => {
+        chrome.runtime.sendMessage.mockResolvedValue(undefined);
+
+        await expect(backend.hide('112-8383531-6014102', 'details', orderData)).rejects.toThrow('No response from the background script');
+    });
+
+    it('should not hide an order the server did not take', async () => {
+        global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+
+        await expect(backend.hide('112-8383531-6014102', 'details', orderData)).rejects.toThrow('Failed to fetch');
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toBeUndefined();
+    });
+
+    it('should fail without a base URL', async () => {
+        store.amazon_archiver_config_rest_backend = { baseUrl: null, apiKey: null };
+
+        await expect(backend.hide('112-8383531-6014102', 'details', orderData)).rejects.toThrow('REST backend has no base URL');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should report the server error message', async () => {
+        store.amazon_archiver_config_rest_backend.apiKey = 'wrong';
+
+        await expect(backend.hide('112-8383531-6014102', 'details', orderData))
+            .rejects.toThrow('PUT http://localhost:8787/hidden-orders/112-8383531-6014102/details failed: 401 Missing or wrong API key');
+    });
+
+    it('should unhide an order on the server and locally', async () => {
+        const record = await backend.hide('112-8383531-6014102', 'details', orderData);
+
+        await expect(backend.unhide('112-8383531-6014102', 'details')).resolves.toEqual(record);
+
+        expect(server.hiddenOrders).toEqual({});
+        expect(server.auditLog.map(row => row[2])).toEqual(['hide', 'unhide']);
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toBeUndefined();
+    });
+
+    it('should unhide an order the server no longer has', async () => {
+        await backend.hide('112-8383531-6014102', 'details', orderData);
+        server.hiddenOrders = {};
+
+        await backend.unhide('112-8383531-6014102', 'details');
+
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details']).toBeUndefined();
+    });
+
+    it('should refresh the local copy from the server when listing hidden orders', async () => {
+        await backend.hide('112-8383531-6014102', 'details', orderData);
+        store['amazon_archiver_hidden_order_113-0000000-0000000_order'] = { orderId: '113-0000000-0000000', type: 'order' };
+        server.hiddenOrders = {
+            '112-8383531-6014102_details': hiddenOrderRows.valid[0],
+            '114-1234567-7654321_order': hiddenOrderRows.valid[1]
+        };
+
+        const hiddenOrders = await backend.getHiddenOrders();
+
+        expect(hiddenOrders.map(order => `${order.orderId}_${order.type}`).sort()).toEqual([
+            '112-8383531-6014102_details',
+            '114-1234567-7654321_order'
+        ]);
+        expect(store['amazon_archiver_hidden_order_112-8383531-6014102_details'].orderData.notes).toBe('For Sam');
+        expect(store['amazon_archiver_hidden_order_113-0000000-0000000_order']).toBeUndefined();
+    });
+
+    it('should only write hidden orders that changed on the server', async () => {
+        server.hiddenOrders = { '112-8383531-6014102_details': hiddenOrderRows.valid[0] };
+        await backend.getHiddenOrders();
+        chrome.storage.local.set.mockClear();
+
+        await backend.getHiddenOrders();
+
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should keep the local copy of rows that fail validation', async () => {
+        store['amazon_archiver_hidden_order_113-3333333-4444444_details'] = { orderId: '113-3333333-4444444', type: 'details' };
+        const invalidRow = hiddenOrderRows.invalid.find(({ error }) => error === 'Order date').row;
+        server.hiddenOrders = { '113-3333333-4444444_details': invalidRow };
+
+        await expect(backend.getHiddenOrders()).resolves.toEqual([{ orderId: '113-3333333-4444444', type: 'details' }]);
+        expect(specializedLogger.warning).toHaveBeenCalledWith(
+            '⚠️ Skipped 1 invalid hidden order rows from the REST backend:',
+            [expect.stringContaining('Order date')]
+        );
+    });
+
+    it('should use the local copy while the server is down', async () => {
+        await backend.hide('112-8383531-6014102', 'details', orderData);
+        global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+
+        await expect(backend.getHiddenOrders()).resolves.toEqual([
+            expect.objectContaining({ orderId: '112-8383531-6014102', type: 'details' })
+        ]);
+        expect(specializedLogger.warning).toHaveBeenCalledWith(
+            '⚠️ Could not load hidden orders from the REST backend, using the local copy: Failed to fetch'
+        );
+    });
+
+    it('should keep audit log entries locally when the server misses them', async () => {
+        global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+
+        await backend.appendAudit(backend.storage.buildAuditLogEntry('hide', '1', 'details', 'alice', orderData));
+
+        expect(Object.keys(store).some(key => key.startsWith('amazon_archiver_action_log_'))).toBe(true);
+    });
+
+    it('should fetch the users and shared config', async () => {
+        await backend.hide('112-8383531-6014102', 'details', orderData);
+        server.config = { tag_policy: { maxTagsPerOrder: 5 } };
+
+        await expect(backend.getSettings()).resolves.toEqual({
+            version: 1,
+            users: [{ username: 'alice', lastModified: expect.any(String) }],
+            config: { tag_policy: { maxTagsPerOrder: 5 } }
+        });
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * REST Backend Client
+ * Sends protocol requests to the server configured in 'rest_backend'. Runs in the background
+ * service worker, which RestBackend reaches with REST_BACKEND_REQUEST messages: the API key
+ * stays out of Amazon pages, and plain http servers on the local network are not blocked as
+ * mixed content. The server's origin is an optional host permission granted from the popup.
+ */
+
+import { buildEndpointUrl } from './protocol.js';
+import { configManager } from '../../utils/config-manager.js';
+
+/**
+ * Send a request to the server configured in 'rest_backend'
+ * @param {string} method - HTTP method
+ * @param {Array<string>} segments - Endpoint path segments
+ * @param {Object} body - JSON request body (optional)
+ * @returns {Promise<Object|null>} Response body, null when there is none
+ */
+export async function sendRestRequest(method, segments, body) {
+    const { baseUrl, apiKey } = await configManager.get('rest_backend') || {};
+    if (!baseUrl) {
+        throw new Error('REST backend has no base URL, set rest_backend.baseUrl');
+    }
+
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const url = buildEndpointUrl(baseUrl, ...segments);
+    const response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    // Deleting an order the server does not have leaves it just as intended
+    if (method === 'DELETE' && response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => null);
+        throw new Error(`${method} ${url} failed: ${response.status} ${(errorBody && errorBody.error) || response.statusText}`);
+    }
+    return response.status === 204 ? null : await response.json();
+}
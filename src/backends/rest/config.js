@@ -0,0 +1,56 @@
+/**
+ * REST Backend Configuration
+ * Where the REST backend finds its server, as the 'rest_backend' config:
+ * {
+ *     baseUrl: 'http://localhost:8787',  // Protocol endpoints are relative to this
+ *     apiKey: 'team-secret'             // Sent as "Authorization: Bearer <apiKey>" (optional)
+ * }
+ */
+
+export const DEFAULT_REST_BACKEND_CONFIG = {
+    baseUrl: null,
+    apiKey: null
+};
+
+/**
+ * Validate the REST backend settings (ConfigManager validator for 'rest_backend')
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Object} { valid, errors }
+ */
+export function validateRestBackendConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return { valid: false, errors: ['rest_backend must be an object'] };
+    }
+
+    if (config.baseUrl !== null && config.baseUrl !== undefined) {
+        let url = null;
+        try {
+            url = new URL(config.baseUrl);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push('rest_backend.baseUrl must be an http:// or https:// URL');
+        }
+    }
+
+    if (config.apiKey !== null && config.apiKey !== undefined && typeof config.apiKey !== 'string') {
+        errors.push('rest_backend.apiKey must be a string');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Host permission pattern for the server in the REST backend settings
+ * The extension only asks for access to this origin, when rest_backend is saved
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {string|null} Match pattern such as 'http://192.168.1.20:8787/*', null without a valid base URL
+ */
+export function getRestBackendOriginPattern(config) {
+    if (!config || !validateRestBackendConfig(config).valid || !config.baseUrl) {
+        return null;
+    }
+    return `${new URL(config.baseUrl).origin}/*`;
+}
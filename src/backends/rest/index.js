@@ -0,0 +1,17 @@
+/**
+ * REST Backend Package
+ * Exports the REST backend, its background client, protocol helpers and config
+ */
+
+export { RestBackend } from './backend.js';
+export { sendRestRequest } from './client.js';
+export {
+    REST_PROTOCOL_VERSION,
+    REST_ENDPOINTS,
+    buildEndpointUrl,
+    hiddenOrderToRow,
+    auditEntryToRow,
+    parseHiddenOrderRows,
+    parseSettings
+} from './protocol.js';
+export { DEFAULT_REST_BACKEND_CONFIG, validateRestBackendConfig, getRestBackendOriginPattern } from './config.js';
@@ -0,0 +1,114 @@
+/**
+ * REST Backend Protocol
+ * A small JSON protocol that any HTTP server can speak in place of Google Sheets.
+ * scripts/rest-backend-server.js is a reference server that keeps the data in a JSON file.
+ *
+ * Endpoints, relative to the 'rest_backend' base URL. Rows use the Google Sheets column
+ * order, so the same validator and transformer apply to both backends:
+ *
+ *   GET    /hidden-orders               → 200 { rows: [HiddenOrders row, ...] }
+ *   PUT    /hidden-orders/:orderId/:type  { row: HiddenOrders row } → 200 { row }
+ *   DELETE /hidden-orders/:orderId/:type  → 204 (404 when the order is not hidden)
+ *   POST   /audit-log                   { row: ActionLog row } → 201 { row }
+ *   GET    /settings                    → 200 { version: 1, users: [[username, lastModified], ...], config: {...} }
+ *
+ * HiddenOrders row (columns A-J):
+ *   [orderId, orderDate, orderTotal, hiddenBy, hiddenAt, hiddenType, tags (comma separated), notes, lastModified, marketplace]
+ * ActionLog row (columns A-H):
+ *   [timestamp, orderId, action, actionType, performedBy, tags, notes, browserInfo]
+ *
+ * Errors are returned as { error: 'message' } with a 4xx or 5xx status. Requests carry
+ * "Authorization: Bearer <apiKey>" when the config has an API key.
+ */
+
+import { hiddenOrderToSheetRow } from '../google-sheets/sync.js';
+import { defaultTransformer } from '../google-sheets/transformer.js';
+import { validateHiddenOrderRows } from '../../utils/data-import.js';
+
+export const REST_PROTOCOL_VERSION = 1;
+
+// Endpoint paths, relative to the base URL
+export const REST_ENDPOINTS = {
+    hiddenOrders: 'hidden-orders',
+    auditLog: 'audit-log',
+    settings: 'settings'
+};
+
+/**
+ * Build an endpoint URL from the base URL and path segments, which are URL encoded
+ * @param {string} baseUrl - 'rest_backend' base URL
+ * @param {...string} segments - Path segments
+ * @returns {string} Endpoint URL
+ */
+export function buildEndpointUrl(baseUrl, ...segments) {
+    return [baseUrl.replace(/\/+$/, ''), ...segments.map(segment => encodeURIComponent(segment))].join('/');
+}
+
+/**
+ * Convert a hidden order record into a HiddenOrders row
+ * @param {Object} hiddenOrder - Hidden order record from storage
+ * @returns {Array} Row values for columns A through J
+ */
+export function hiddenOrderToRow(hiddenOrder) {
+    return hiddenOrderToSheetRow(hiddenOrder).map(toCell);
+}
+
+/**
+ * Convert an audit log entry into an ActionLog row
+ * @param {Object} entry - Audit log entry, see StorageManager.buildAuditLogEntry
+ * @returns {Array} Row values for columns A through H
+ */
+export function auditEntryToRow(entry) {
+    return [
+        entry.timestamp,
+        entry.orderId,
+        entry.action,
+        entry.actionType,
+        entry.performedBy,
+        entry.tags,
+        entry.notes,
+        entry.browserInfo
+    ].map(toCell);
+}
+
+/**
+ * Validate the rows of a GET /hidden-orders response and convert the valid ones
+ * @param {Array} rows - HiddenOrders rows from the server
+ * @returns {Object} { hiddenOrders, keys, errors, warnings } where keys lists the
+ *                   'orderId_type' of every row, including the invalid ones
+ */
+export function parseHiddenOrderRows(rows) {
+    const sheetRows = (Array.isArray(rows) ? rows : [])
+        .filter(Array.isArray)
+        .map(row => row.map(toCell));
+
+    const result = { hiddenOrders: [], keys: [], errors: [], warnings: [] };
+    validateHiddenOrderRows(sheetRows).forEach(({ errors, warnings, hiddenOrder }, index) => {
+        result.keys.push(`${sheetRows[index][0].trim()}_${sheetRows[index][5].trim() || 'details'}`);
+        result.errors.push(...errors);
+        result.warnings.push(...warnings);
+        if (hiddenOrder) {
+            result.hiddenOrders.push(hiddenOrder);
+        }
+    });
+    return result;
+}
+
+/**
+ * Parse a GET /settings response
+ * @param {Object} body - Response body
+ * @returns {Object} { version, users: [{ username, lastModified }], config }
+ */
+export function parseSettings(body) {
+    const settings = body && typeof body === 'object' ? body : {};
+    return {
+        version: settings.version || REST_PROTOCOL_VERSION,
+        users: defaultTransformer.transformUserSettingsFromSheets(Array.isArray(settings.users) ? settings.users : []),
+        config: settings.config && typeof settings.config === 'object' ? settings.config : {}
+    };
+}
+
+// Rows are exchanged as strings, like the values the Sheets API returns
+function toCell(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the REST backend protocol helpers and config
+ * Tests row conversion, row validation against the fixtures and the settings response
+ */
+
+import {
+    buildEndpointUrl,
+    hiddenOrderToRow,
+    auditEntryToRow,
+    parseHiddenOrderRows,
+    parseSettings
+} from './protocol.js';
+import { validateRestBackendConfig } from './config.js';
+import hiddenOrderRows from './fixtures/hidden-order-rows.json';
+
+// Mock the logger
+jest.mock('../../utils/logger.js', () => ({
+    logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    },
+    specializedLogger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        success: jest.fn(),
+        warning: jest.fn()
+    }
+}));
+
+describe('buildEndpointUrl', () => {
+    it('should join the base URL and encoded segments', () => {
+        expect(buildEndpointUrl('http://localhost:8787', 'hidden-orders')).toBe('http://localhost:8787/hidden-orders');
+        expect(buildEndpointUrl('https://example.com/archizer/', 'hidden-orders', '112-8383531-6014102', 'details'))
+            .toBe('https://example.com/archizer/hidden-orders/112-8383531-6014102/details');
+        expect(buildEndpointUrl('http://localhost:8787', 'hidden-orders', 'a/b')).toBe('http://localhost:8787/hidden-orders/a%2Fb');
+    });
+});
+
+describe('hiddenOrderToRow', () => {
+    it('should convert a hidden order into a HiddenOrders row of strings', () => {
+        const row = hiddenOrderToRow({
+            orderId: '112-8383531-6014102',
+            type: 'details',
+            orderData: { orderDate: 'March 3, 2024', orderTotal: 42.1, tags: ['gifts', 'birthday'], notes: 'For Sam' },
+            username: 'alice',
+            marketplace: 'amazon.com',
+            timestamp: '2024-03-05T10:00:00.000Z',
+            lastModified: '2024-03-05T10:00:00.000Z'
+        });
+
+        expect(row).toEqual([
+            '112-8383531-6014102', 'March 3, 2024', '42.1', 'alice', '2024-03-05T10:00:00.000Z',
+            'details', 'gifts,birthday', 'For Sam', '2024-03-05T10:00:00.000Z', 'amazon.com'
+        ]);
+    });
+
+    it('should round trip through parseHiddenOrderRows', () => {
+        const { hiddenOrders } = parseHiddenOrderRows(hiddenOrderRows.valid);
+
+        expect(hiddenOrders.map(hiddenOrderToRow)).toEqual(hiddenOrderRows.valid);
+    });
+});
+
+describe('auditEntryToRow', () => {
+    it('should convert an audit log entry into an ActionLog row', () => {
+        expect(auditEntryToRow({
+            timestamp: '2024-03-05T10:00:00.000Z',
+            orderId: '112-8383531-6014102',
+            action: 'hide',
+            actionType: 'details',
+            performedBy: 'alice',
+            tags: 'gifts, birthday',
+            notes: '',
+            browserInfo: undefined
+        })).toEqual(['2024-03-05T10:00:00.000Z', '112-8383531-6014102', 'hide', 'details', 'alice', 'gifts, birthday', '', '']);
+    });
+});
+
+describe('parseHiddenOrderRows', () => {
+    it('should convert valid rows into hidden orders', () => {
+        const result = parseHiddenOrderRows(hiddenOrderRows.valid);
+
+        expect(result.errors).toEqual([]);
+        expect(result.keys).toEqual(['112-8383531-6014102_details', '114-1234567-7654321_order']);
+        expect(result.hiddenOrders[0]).toMatchObject({
+            orderId: '112-8383531-6014102',
+            type: 'details',
+            username: 'alice',
+            marketplace: 'amazon.com',
+            orderData: { orderDate: 'March 3, 2024', orderTotal: '$42.10', tags: ['gifts', 'birthday'], notes: 'For Sam' }
+        });
+        expect(result.hiddenOrders[1]).toMatchObject({ type: 'order', marketplace: 'amazon.co.uk', lastModified: '2024-01-11T09:00:00.000Z' });
+    });
+
+    it.each(hiddenOrderRows.invalid)('should skip an invalid row but keep its key: $error', ({ row, error }) => {
+        const result = parseHiddenOrderRows([...hiddenOrderRows.valid, row]);
+
+        expect(result.hiddenOrders).toHaveLength(hiddenOrderRows.valid.length);
+        expect(result.keys).toHaveLength(hiddenOrderRows.valid.length + 1);
+        expect(result.errors).toEqual([expect.stringContaining(error)]);
+    });
+
+    it('should treat a missing list as empty and cells as strings', () => {
+        expect(parseHiddenOrderRows(undefined)).toEqual({ hiddenOrders: [], keys: [], errors: [], warnings: [] });
+
+        const row = [...hiddenOrderRows.valid[0]];
+        row[2] = 42.1;
+        expect(parseHiddenOrderRows([row]).hiddenOrders[0].orderData.orderTotal).toBe('42.1');
+    });
+});
+
+describe('parseSettings', () => {
+    it('should convert users with the Google Sheets transformer', () => {
+        expect(parseSettings({
+            version: 1,
+            users: [['alice', '2024-03-05T10:00:00.000Z'], ['']],
+            config: { tag_policy: { maxTagsPerOrder: 5 } }
+        })).toEqual({
+            version: 1,
+            users: [{ username: 'alice', lastModified: '2024-03-05T10:00:00.000Z' }],
+            config: { tag_policy: { maxTagsPerOrder: 5 } }
+        });
+    });
+
+    it('should default a partial response', () => {
+        expect(parseSettings(null)).toEqual({ version: 1, users: [], config: {} });
+    });
+});
+
+describe('validateRestBackendConfig', () => {
+    it('should accept a base URL with or without an API key', () => {
+        expect(validateRestBackendConfig({ baseUrl: 'http://localhost:8787', apiKey: null })).toEqual({ valid: true, errors: [] });
+        expect(validateRestBackendConfig({ baseUrl: 'https://example.com/archizer', apiKey: 'secret' }).valid).toBe(true);
+        expect(validateRestBackendConfig({ baseUrl: null, apiKey: null }).valid).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+        expect(validateRestBackendConfig('http://localhost:8787').errors).toEqual(['rest_backend must be an object']);
+        expect(validateRestBackendConfig({ baseUrl: 'ftp://example.com' }).errors).toEqual(['rest_backend.baseUrl must be an http:// or https:// URL']);
+        expect(validateRestBackendConfig({ baseUrl: 'localhost' }).valid).toBe(false);
+        expect(validateRestBackendConfig({ baseUrl: 'http://localhost', apiKey: 42 }).errors).toEqual(['rest_backend.apiKey must be a string']);
+    });
+});
@@ -2,14 +2,39 @@
 // Handles Google Sheets API calls
 
 import { StorageManager } from '../backends/local-storage/storage.js';
+import { storageMigrator } from '../backends/local-storage/migrations.js';
 import { configManager } from '../utils/config-manager.js';
 import { googleSheetsClient } from '../backends/google-sheets/client.js';
 import { googleOAuth } from '../backends/google-sheets/oauth.js';
 import { GoogleSheetsSchema } from '../backends/google-sheets/schema.js';
+import { defaultSync, hiddenOrderToSheetRow, makeSyncKey } from '../backends/google-sheets/sync.js';
+import { sheetsOutbox, OUTBOX_ALARM_NAME } from '../backends/google-sheets/outbox.js';
+import { sheetsMigrator } from '../backends/google-sheets/migrations.js';
+import { sendRestRequest } from '../backends/rest/client.js';
 import { specializedLogger as log } from '../utils/logger.js';
+import { DEFAULT_MARKETPLACE_ID } from '../utils/marketplaces.js';
+import { DEFAULT_PROFILES_CONFIG, getActiveProfile, resolveGoogleSheetsConfig, updateProfile } from '../utils/profiles.js';
+import { TAG_CHANGE_LOG_ACTIONS, describeTagChange, validateTagChange } from '../utils/tag-manager.js';
+import { isInactiveUser, planTeamUserActivity, teamUserToSheetRow } from '../utils/team-roles.js';
+import { getProfileUsername, getTeamIdentity, parseGoogleUserInfo } from '../utils/google-identity.js';
 
 log.info('Archizer background script loaded');
 
+// Column layout of the HiddenOrders sheet (columns A through J)
+const HIDDEN_ORDERS_HEADERS = ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified', 'Marketplace'];
+
+// Find HiddenOrders rows by order ID (column A) and hidden type (column F) without re-reading the sheet
+googleSheetsClient.registerRowIndex('HiddenOrders', {
+    range: 'HiddenOrders!A:F',
+    keyOf: row => (row[0] ? makeSyncKey(row[0], row[5]) : null)
+});
+
+// Find UserSettings rows by username (column A), ignoring case
+googleSheetsClient.registerRowIndex('UserSettings', {
+    range: 'UserSettings!A:A',
+    keyOf: row => (row[0] ? String(row[0]).trim().toLowerCase() : null)
+});
+
 // Initialize storage manager
 let storageManager;
 
@@ -23,10 +48,107 @@ async function initializeStorage() {
     }
 }
 
+/**
+ * Bring stored data up to this build's storage schema
+ * Storage written by a newer build is left alone, and StorageManager will not write to it
+ */
+async function migrateStorage() {
+    try {
+        const report = await storageMigrator.run();
+        if (report.steps.length > 0) {
+            log.success(`✅ Storage migrated from version ${report.fromVersion} to ${report.toVersion}`);
+        }
+    } catch (error) {
+        log.error('❌ Error migrating storage:', error);
+    }
+}
+
+/**
+ * Switch the OAuth client to the active profile's Google tokens
+ * @returns {Object} Active profile, see utils/profiles.js
+ */
+async function useActiveProfile() {
+    const profile = getActiveProfile(await configManager.get('profiles'));
+    googleOAuth.useProfile(profile.id);
+    return profile;
+}
+
+/**
+ * Get the Google Sheets settings of the active profile, switching to its Google tokens
+ * @returns {Object|null} Google Sheets config
+ */
+async function getGoogleSheetsConfig() {
+    const profile = await useActiveProfile();
+    return resolveGoogleSheetsConfig(await configManager.get('google_sheets'), profile);
+}
+
+/**
+ * Get the username changes made in this browser are attributed to
+ * @returns {string|null} See getProfileUsername in utils/google-identity.js
+ */
+async function getActingUsername() {
+    const profile = await useActiveProfile();
+    return getProfileUsername(profile, await configManager.get('username_source'), await configManager.get('username'));
+}
+
+/**
+ * Add the acting user to the UserSettings sheet on their first change, and keep their Last
+ * Active current; see planTeamUserActivity. Failures are logged, the change itself stands.
+ * Only runs in team mode or when usernames come from Google sign-in.
+ */
+async function recordTeamActivity() {
+    try {
+        if (!await configManager.get('team_mode') && await configManager.get('username_source') !== 'google') {
+            return;
+        }
+
+        const profile = await useActiveProfile();
+        const identity = getTeamIdentity(profile, await getActingUsername());
+        const storage = storageManager || new StorageManager();
+        const plan = planTeamUserActivity(await storage.getAllUserSettings(), identity);
+        if (!plan || !await googleSheetsClient.hasSheet('UserSettings')) {
+            return;
+        }
+
+        const rowNumber = (await googleSheetsClient.getRowIndex('UserSettings')).get(identity.username.trim().toLowerCase());
+        if (!rowNumber) {
+            await googleSheetsClient.queueUpsertRow('UserSettings', identity.username.trim().toLowerCase(), teamUserToSheetRow(plan.user));
+            log.info(`👤 Added ${identity.username} to UserSettings`);
+        } else {
+            // Only touch the columns Archizer maintains; the team sets Is Active and Role
+            const row = teamUserToSheetRow(plan.user);
+            await googleSheetsClient.batchWriteRanges([
+                { range: `UserSettings!C${rowNumber}`, values: [[row[2]]] },
+                ...(plan.user.displayName ? [{ range: `UserSettings!F${rowNumber}`, values: [[row[5]]] }] : [])
+            ]);
+        }
+
+        // A user listed in the sheet but not cached yet keeps the defaults until the next
+        // sync caches the team's settings; caching now stops every change re-planning them
+        await storage.storeUserSettings(plan.user);
+    } catch (error) {
+        log.warning('⚠️ Could not record user activity in UserSettings:', error.message);
+    }
+}
+
+/**
+ * In team mode, reject Sheets writes from a user the UserSettings sheet lists as inactive
+ * Uses the team users cached by the last incremental sync
+ * @returns {string|null} Error message, or null if the write may go ahead
+ */
+async function getTeamWriteError() {
+    if (!await configManager.get('team_mode')) {
+        return null;
+    }
+    const username = await getActingUsername();
+    const users = await (storageManager || new StorageManager()).getAllUserSettings();
+    return isInactiveUser(users, username) ? `${username} is inactive in the team spreadsheet` : null;
+}
+
 // Initialize Google Sheets
 async function initializeGoogleSheets() {
     try {
-        const config = await configManager.get('google_sheets');
+        const config = await getGoogleSheetsConfig();
         if (config && config.sheetUrl) {
             const sheetId = configManager.extractSheetId(config.sheetUrl);
             if (sheetId) {
@@ -110,6 +232,34 @@ async function handleMessage(message, sender, sendResponse) {
             await handleFetchHiddenOrdersFromSheets(message, sendResponse);
             break;
 
+        case 'INCREMENTAL_SYNC':
+            await handleIncrementalSync(message, sendResponse);
+            break;
+
+        case 'GET_SHEETS_OUTBOX_STATUS':
+            await handleGetSheetsOutboxStatus(message, sendResponse);
+            break;
+
+        case 'APPLY_TAG_CHANGE':
+            await handleApplyTagChange(message, sendResponse);
+            break;
+
+        case 'IMPORT_HIDDEN_ORDERS':
+            await handleImportHiddenOrders(message, sendResponse);
+            break;
+
+        case 'MIGRATE_SHEETS_SCHEMA':
+            await handleMigrateSheetsSchema(message, sendResponse);
+            break;
+
+        case 'DISCOVER_GOOGLE_IDENTITY':
+            await handleDiscoverGoogleIdentity(message, sendResponse);
+            break;
+
+        case 'REST_BACKEND_REQUEST':
+            await handleRestBackendRequest(message, sendResponse);
+            break;
+
         default:
             log.warning('Unknown message type:', message.type);
             sendResponse({ success: false, error: 'Unknown message type' });
@@ -147,7 +297,8 @@ async function getExtensionStatus() {
             googleSheets: {
                 isConfigured: googleSheetsStatus,
                 lastSync: googleSheetsConfig?.lastSync || null
-            }
+            },
+            storageSchema: await storageMigrator.getStatus()
         };
     } catch (error) {
         log.error('Error getting extension status:', error);
@@ -185,7 +336,7 @@ async function reloadExtension() {
 async function handleGoogleSheetsConfigGet(sendResponse) {
     try {
         log.info('📥 Received GOOGLE_SHEETS_CONFIG_GET request');
-        const config = await configManager.get('google_sheets');
+        const config = await getGoogleSheetsConfig();
         log.info('📤 Sending config response');
         sendResponse({ success: true, config });
     } catch (error) {
@@ -222,7 +373,7 @@ async function handleGoogleSheetsConfigSet(config, sendResponse) {
 
 async function handleGoogleSheetsConfigValidate(sendResponse) {
     try {
-        const config = await configManager.get('google_sheets');
+        const config = await getGoogleSheetsConfig();
         const validation = configManager.validate('google_sheets', config);
         sendResponse({ success: true, validation });
     } catch (error) {
@@ -256,7 +407,7 @@ async function setupGoogleSheets(sheetId, schema) {
             {
                 name: 'HiddenOrders',
                 schema: schema.sheets.hiddenOrders,
-                headers: ['Order ID', 'Order Date', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified']
+                headers: HIDDEN_ORDERS_HEADERS
             },
             {
                 name: 'ActionLog',
@@ -266,7 +417,7 @@ async function setupGoogleSheets(sheetId, schema) {
             {
                 name: 'UserSettings',
                 schema: schema.sheets.userSettings,
-                headers: ['Username', 'Created At', 'Last Active', 'Is Active']
+                headers: schema.sheets.userSettings.columns.map(column => column.displayName)
             },
             {
                 name: 'TestConnection',
@@ -306,7 +457,7 @@ async function setupGoogleSheets(sheetId, schema) {
                         await googleSheetsClient.writeRange(rangeToWrite, sheet.headers);
 
                         // Format the header row (bold)
-                        await googleSheetsClient.formatHeaderRow(sheet.name);
+                        await googleSheetsClient.formatHeaderRow(sheet.name, sheet.headers.length);
                     }
 
                     log.success(`✅ Sheet "${sheet.name}" created successfully`);
@@ -327,6 +478,26 @@ async function setupGoogleSheets(sheetId, schema) {
             }
         }
 
+        // Record the layout version of new spreadsheets; older layouts wait for the user to apply
+        // the update from Settings after reviewing the dry run
+        try {
+            const report = await sheetsMigrator.plan();
+            if (report.steps.length === 0 && report.errors.length === 0) {
+                if (!report.upToDate) {
+                    await sheetsMigrator.recordVersion(report.toVersion);
+                }
+            } else {
+                log.warning(`⚠️ Sheet layout update pending (version ${report.fromVersion} to ${report.toVersion})`);
+                setupResult.migrationPending = true;
+            }
+        } catch (error) {
+            log.error('❌ Error checking the sheet layout version:', error);
+            setupResult.errors.push({
+                sheet: 'Metadata',
+                error: error.message
+            });
+        }
+
         log.info('🎉 Google Sheets setup completed:', setupResult);
         return setupResult;
 
@@ -413,15 +584,16 @@ async function handleGoogleSheetsTestConnection(message, sendResponse) {
         // Use test config if provided, otherwise use saved config
         let config;
         if (message.testConfig) {
+            await useActiveProfile();
             config = message.testConfig;
         } else {
-            config = await configManager.get('google_sheets');
+            config = await getGoogleSheetsConfig();
         }
 
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
+        if (!config || !googleOAuth.canAuthorize(config.oauthClientId) || !config.sheetUrl) {
             sendResponse({
                 success: false,
-                error: 'Configuration incomplete. Please set OAuth Client ID, Client Secret, and Sheet URL.'
+                error: 'Configuration incomplete. Please set OAuth Client ID and Sheet URL.'
             });
             return;
         }
@@ -510,11 +682,12 @@ async function handleGoogleSheetsSetup(message, sendResponse) {
     try {
         log.info('🔧 Handling Google Sheets setup request...');
 
+        await useActiveProfile();
         const config = message.config;
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
+        if (!config || !googleOAuth.canAuthorize(config.oauthClientId) || !config.sheetUrl) {
             sendResponse({
                 success: false,
-                error: 'Configuration incomplete. Please provide OAuth Client ID, Client Secret, and Sheet URL.'
+                error: 'Configuration incomplete. Please provide OAuth Client ID and Sheet URL.'
             });
             return;
         }
@@ -575,6 +748,161 @@ async function handleGoogleSheetsSetup(message, sendResponse) {
     }
 }
 
+/**
+ * Configure the OAuth2 and Sheets clients from the stored Google Sheets settings
+ * @returns {string|null} Error message if Google Sheets cannot be used, otherwise null
+ */
+async function configureSheetsClient() {
+    const config = await getGoogleSheetsConfig();
+    if (!config || !googleOAuth.canAuthorize(config.oauthClientId) || !config.sheetUrl) {
+        return 'Google Sheets not configured';
+    }
+
+    const sheetId = configManager.extractSheetId(config.sheetUrl);
+    if (!sheetId) {
+        return 'Invalid Google Sheets URL format';
+    }
+
+    googleOAuth.configure(config.oauthClientId, config.oauthClientSecret);
+    googleSheetsClient.configure(sheetId);
+    return null;
+}
+
+/**
+ * Insert or update a hidden order row in the HiddenOrders sheet
+ * The write joins the client's pending batch, so concurrent hides share requests
+ * @param {Object} hiddenOrderData - Hidden order record from storage
+ */
+async function writeHiddenOrderToSheets(hiddenOrderData) {
+    const key = makeSyncKey(hiddenOrderData.orderId, hiddenOrderData.type);
+    await googleSheetsClient.queueUpsertRow('HiddenOrders', key, hiddenOrderToSheetRow(hiddenOrderData));
+
+    log.info(`✅ Successfully synced hidden order ${hiddenOrderData.orderId} to Google Sheets`);
+}
+
+/**
+ * Delete a hidden order row from the HiddenOrders sheet
+ * @param {Object} hiddenOrderData - Hidden order record that was removed from storage
+ */
+async function deleteHiddenOrderFromSheets(hiddenOrderData) {
+    if (!await googleSheetsClient.hasSheet('HiddenOrders')) {
+        // Nothing to remove, and retrying would not change that
+        log.warning('⚠️ HiddenOrders sheet not found');
+        return;
+    }
+
+    const key = makeSyncKey(hiddenOrderData.orderId, hiddenOrderData.type);
+    await googleSheetsClient.queueRemoveRow('HiddenOrders', key);
+
+    log.info(`✅ Successfully removed hidden order ${hiddenOrderData.orderId} from Google Sheets`);
+}
+
+/**
+ * Append an entry to the ActionLog sheet
+ * @param {Object} auditLogData - Audit log entry
+ */
+async function appendAuditLogToSheets(auditLogData) {
+    // Prepare audit log data for Google Sheets
+    const auditLogRow = [
+        auditLogData.timestamp,     // Timestamp
+        auditLogData.orderId,       // Order ID
+        auditLogData.action,        // Action (hide/unhide)
+        auditLogData.actionType,    // Action Type (details)
+        auditLogData.performedBy,   // Performed By (username)
+        auditLogData.tags || '',    // Tags (comma-separated)
+        auditLogData.notes || '',   // Notes
+        auditLogData.browserInfo || '' // Browser Info
+    ];
+
+    // Append to ActionLog sheet
+    await googleSheetsClient.queueAppendRow('ActionLog', auditLogRow);
+
+    log.info(`✅ Successfully added audit log entry for ${auditLogData.action} operation on order ${auditLogData.orderId}`);
+}
+
+// Sheets writes that can be queued in the outbox, keyed by message type
+const OUTBOX_WRITERS = {
+    SYNC_HIDDEN_ORDER_TO_SHEETS: writeHiddenOrderToSheets,
+    REMOVE_HIDDEN_ORDER_FROM_SHEETS: deleteHiddenOrderFromSheets,
+    ADD_AUDIT_LOG_ENTRY: appendAuditLogToSheets
+};
+
+/**
+ * Write to Google Sheets now, or queue the write in the outbox if it fails
+ * Writes for an order that already has queued writes are queued behind them to keep ordering;
+ * in team mode, writes from an inactive user are rejected
+ * @param {string} type - Message type of the write
+ * @param {Object} payload - Data for the write
+ * @param {Function} sendResponse - Response callback
+ */
+async function deliverOrQueueSheetsWrite(type, payload, sendResponse) {
+    const configError = await configureSheetsClient();
+    if (configError) {
+        log.warning(`⚠️ ${configError}, skipping ${type}`);
+        sendResponse({
+            success: false,
+            error: configError
+        });
+        return;
+    }
+
+    const teamError = await getTeamWriteError();
+    if (teamError) {
+        log.warning(`⚠️ ${teamError}, rejecting ${type}`);
+        sendResponse({
+            success: false,
+            rejected: true,
+            error: teamError
+        });
+        return;
+    }
+
+    if (payload.orderId && await sheetsOutbox.hasPending(payload.orderId)) {
+        await sheetsOutbox.enqueue(type, payload);
+        sendResponse({
+            success: false,
+            queued: true,
+            error: 'Queued behind pending changes for this order'
+        });
+        return;
+    }
+
+    try {
+        await OUTBOX_WRITERS[type](payload);
+    } catch (error) {
+        log.error(`❌ ${type} failed, queuing for retry:`, error);
+        await sheetsOutbox.enqueue(type, payload, error.message);
+        sendResponse({
+            success: false,
+            queued: true,
+            error: error.message
+        });
+        return;
+    }
+
+    sendResponse({ success: true });
+    // Not awaited: the change is already saved, recording who made it must not hold up the reply
+    recordTeamActivity();
+}
+
+/**
+ * Retry queued Sheets writes that are due
+ */
+async function flushSheetsOutbox() {
+    try {
+        const configError = await configureSheetsClient();
+        if (configError) {
+            log.warning(`⚠️ ${configError}, leaving outbox for later`);
+            return;
+        }
+
+        const result = await sheetsOutbox.flush(entry => OUTBOX_WRITERS[entry.type](entry.payload));
+        log.info(`📮 Outbox flush: ${result.sent} sent, ${result.failed} failed, ${result.remaining} remaining`);
+    } catch (error) {
+        log.error('❌ Error flushing Sheets outbox:', error);
+    }
+}
+
 async function handleSyncHiddenOrderToSheets(message, sendResponse) {
     try {
         log.info('📤 Syncing hidden order to Google Sheets...');
@@ -588,77 +916,7 @@ async function handleSyncHiddenOrderToSheets(message, sendResponse) {
             return;
         }
 
-        // Get Google Sheets configuration
-        const config = await configManager.get('google_sheets');
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
-            log.warning('⚠️ Google Sheets not configured, skipping sync');
-            sendResponse({
-                success: false,
-                error: 'Google Sheets not configured'
-            });
-            return;
-        }
-
-        // Extract Sheet ID from URL
-        const sheetId = configManager.extractSheetId(config.sheetUrl);
-        if (!sheetId) {
-            sendResponse({
-                success: false,
-                error: 'Invalid Google Sheets URL format'
-            });
-            return;
-        }
-
-        // Configure OAuth2 client
-        googleOAuth.configure(config.oauthClientId, config.oauthClientSecret);
-        googleSheetsClient.configure(sheetId, null);
-
-        // Prepare data for Google Sheets
-        const orderData = hiddenOrderData.orderData || {};
-        const sheetRow = [
-            hiddenOrderData.orderId,                    // Order ID
-            orderData.orderDate || '',                  // Order Date
-            orderData.orderTotal || '',                 // Order Total
-            hiddenOrderData.username,                   // Hidden By
-            hiddenOrderData.timestamp,                  // Hidden At
-            hiddenOrderData.type,                       // Hidden Type
-            orderData.tags ? orderData.tags.join(',') : '', // Tags
-            orderData.notes || '',                      // Notes
-            hiddenOrderData.timestamp                   // Last Modified
-        ];
-
-        // Check if order already exists in HiddenOrders sheet
-        const existingRange = 'HiddenOrders!A:I';
-        const existingData = await googleSheetsClient.getRange(existingRange);
-
-        let orderExists = false;
-        let existingRowIndex = -1;
-
-        if (existingData && existingData.values && existingData.values.length > 1) {
-            // Skip header row, check data rows
-            const dataRows = existingData.values.slice(1);
-            for (let i = 0; i < dataRows.length; i++) {
-                if (dataRows[i][0] === hiddenOrderData.orderId) {
-                    orderExists = true;
-                    existingRowIndex = i + 2; // +2 because we skipped header and arrays are 0-based
-                    break;
-                }
-            }
-        }
-
-        if (orderExists) {
-            // Update existing row
-            log.info(`📝 Updating existing hidden order ${hiddenOrderData.orderId} in Google Sheets (row ${existingRowIndex})`);
-            const updateRange = `HiddenOrders!A${existingRowIndex}:H${existingRowIndex}`;
-            await googleSheetsClient.writeRange(updateRange, sheetRow);
-        } else {
-            // Append new row
-            log.info(`➕ Adding new hidden order ${hiddenOrderData.orderId} to Google Sheets`);
-            await googleSheetsClient.appendData('HiddenOrders', sheetRow);
-        }
-
-        log.info(`✅ Successfully synced hidden order ${hiddenOrderData.orderId} to Google Sheets`);
-        sendResponse({ success: true });
+        await deliverOrQueueSheetsWrite('SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrderData, sendResponse);
 
     } catch (error) {
         log.error('❌ Error syncing hidden order to Google Sheets:', error);
@@ -686,71 +944,129 @@ async function handleRemoveHiddenOrderFromSheets(message, sendResponse) {
             return;
         }
 
-        // Get Google Sheets configuration
-        const config = await configManager.get('google_sheets');
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
-            log.warning('⚠️ Google Sheets not configured, skipping removal');
+        await deliverOrQueueSheetsWrite('REMOVE_HIDDEN_ORDER_FROM_SHEETS', hiddenOrderData, sendResponse);
+
+    } catch (error) {
+        log.error('❌ Error removing hidden order from Google Sheets:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Handle adding audit log entry to Google Sheets
+ */
+async function handleAddAuditLogEntry(message, sendResponse) {
+    try {
+        log.info('📝 Adding audit log entry to Google Sheets...');
+
+        const auditLogData = message.auditLogData;
+        if (!auditLogData) {
             sendResponse({
                 success: false,
-                error: 'Google Sheets not configured'
+                error: 'No audit log data provided'
             });
             return;
         }
 
-        // Extract Sheet ID from URL
-        const sheetId = configManager.extractSheetId(config.sheetUrl);
-        if (!sheetId) {
+        await (storageManager || new StorageManager()).storeAuditLogEntry(auditLogData);
+        await deliverOrQueueSheetsWrite('ADD_AUDIT_LOG_ENTRY', auditLogData, sendResponse);
+
+    } catch (error) {
+        log.error('❌ Error adding audit log entry to Google Sheets:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Handle a sheet layout check or update from the popup
+ * With dryRun set, only reports the migrations the spreadsheet needs
+ */
+async function handleMigrateSheetsSchema(message, sendResponse) {
+    try {
+        const configError = await configureSheetsClient();
+        if (configError) {
             sendResponse({
                 success: false,
-                error: 'Invalid Google Sheets URL format'
+                error: configError
             });
             return;
         }
 
-        // Configure OAuth2 client
-        googleOAuth.configure(config.oauthClientId, config.oauthClientSecret);
-        googleSheetsClient.configure(sheetId);
+        if (message.dryRun) {
+            log.info('🔍 Checking the sheet layout...');
+            sendResponse({ success: true, report: await sheetsMigrator.plan() });
+            return;
+        }
 
-        // Find and remove the order from HiddenOrders sheet
-        // We need to find the row with the matching order ID and delete it
-        const sheetInfo = await googleSheetsClient.getSheetInfo();
-        const hiddenOrdersSheet = sheetInfo.sheets.find(sheet => sheet.properties.title === 'HiddenOrders');
+        log.info('🔧 Updating the sheet layout...');
+        const report = await sheetsMigrator.apply();
+        log.success(`✅ Sheet layout updated to version ${report.toVersion}`);
+        sendResponse({ success: true, report });
+
+    } catch (error) {
+        log.error('❌ Error migrating the sheet layout:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
 
-        if (!hiddenOrdersSheet) {
-            log.warning('⚠️ HiddenOrders sheet not found');
+/**
+ * Handle reading the active profile's Google account from the popup
+ * Records its email and name on the profile, where getProfileUsername finds them;
+ * see utils/google-identity.js
+ */
+async function handleDiscoverGoogleIdentity(message, sendResponse) {
+    try {
+        const config = await getGoogleSheetsConfig();
+        const clientId = config ? config.oauthClientId : null;
+        if (!googleOAuth.canAuthorize(clientId)) {
             sendResponse({
                 success: false,
-                error: 'HiddenOrders sheet not found'
+                error: 'Google sign-in not configured'
             });
             return;
         }
 
-        // Get all data from HiddenOrders sheet to find the row to delete
-        const range = `HiddenOrders!A:A`; // Get all order IDs from column A
-        const response = await googleSheetsClient.getRange(range);
+        googleOAuth.configure(clientId, config ? config.oauthClientSecret : null);
+        const identity = parseGoogleUserInfo(await googleOAuth.getUserInfo());
 
-        if (response && response.values) {
-            let rowToDelete = -1;
-            for (let i = 0; i < response.values.length; i++) {
-                if (response.values[i][0] === hiddenOrderData.orderId) {
-                    rowToDelete = i + 1; // Google Sheets is 1-indexed
-                    break;
-                }
-            }
+        const profile = await useActiveProfile();
+        const profiles = await configManager.get('profiles') || DEFAULT_PROFILES_CONFIG;
+        await configManager.set('profiles', updateProfile(profiles, profile.id, {
+            email: identity.email,
+            displayName: identity.displayName
+        }));
 
-            if (rowToDelete > 0) {
-                // Delete the row
-                await googleSheetsClient.deleteRow('HiddenOrders', rowToDelete);
-                log.info(`✅ Successfully removed hidden order ${hiddenOrderData.orderId} from Google Sheets`);
-            } else {
-                log.warning(`⚠️ Order ${hiddenOrderData.orderId} not found in HiddenOrders sheet`);
-            }
-        }
+        log.success(`👤 Profile ${profile.id} is signed in to Google account ${identity.email}`);
+        sendResponse({ success: true, identity });
 
-        sendResponse({ success: true });
+    } catch (error) {
+        log.error('❌ Error reading the Google account:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
 
+/**
+ * Handle a REST backend request from RestBackend in a content script or the popup
+ * Sent from here so the API key never reaches Amazon pages; see backends/rest/client.js
+ */
+async function handleRestBackendRequest(message, sendResponse) {
+    try {
+        const body = await sendRestRequest(message.method, message.segments, message.body);
+        sendResponse({ success: true, body });
     } catch (error) {
-        log.error('❌ Error removing hidden order from Google Sheets:', error);
+        log.error(`❌ REST backend ${message.method} request failed:`, error);
         sendResponse({
             success: false,
             error: error.message
@@ -759,66 +1075,139 @@ async function handleRemoveHiddenOrderFromSheets(message, sendResponse) {
 }
 
 /**
- * Handle adding audit log entry to Google Sheets
+ * Handle a hidden orders import from the popup
+ * Applies the import plan locally, then optionally writes each imported and removed order to
+ * Google Sheets, queuing the writes in the outbox if Sheets cannot be reached
  */
-async function handleAddAuditLogEntry(message, sendResponse) {
+async function handleImportHiddenOrders(message, sendResponse) {
     try {
-        log.info('📝 Adding audit log entry to Google Sheets...');
+        const { upsert = [], remove = [] } = message.plan || {};
+        log.info(`📥 Importing ${upsert.length} hidden orders, removing ${remove.length}...`);
+
+        const storage = storageManager || new StorageManager();
+        await storage.applyHiddenOrdersImport({ upsert, remove });
+
+        let queuedCount = 0;
+        let sheetsError = null;
+        if (message.pushToSheets) {
+            const countQueued = (response) => {
+                if (response && response.queued) {
+                    queuedCount++;
+                } else if (response && !response.success) {
+                    sheetsError = response.error;
+                }
+            };
 
-        const auditLogData = message.auditLogData;
-        if (!auditLogData) {
-            sendResponse({
-                success: false,
-                error: 'No audit log data provided'
-            });
-            return;
+            // Start every write at once so they share Sheets batches instead of one batch per order
+            await Promise.all([
+                ...upsert.map(hiddenOrder => deliverOrQueueSheetsWrite('SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrder, countQueued)),
+                ...remove.map(hiddenOrder => deliverOrQueueSheetsWrite('REMOVE_HIDDEN_ORDER_FROM_SHEETS', hiddenOrder, countQueued))
+            ]);
         }
 
-        // Get Google Sheets configuration
-        const config = await configManager.get('google_sheets');
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
-            log.warning('⚠️ Google Sheets not configured, skipping audit log');
-            sendResponse({
-                success: false,
-                error: 'Google Sheets not configured'
-            });
-            return;
-        }
+        log.info(`✅ Imported ${upsert.length} hidden orders, removed ${remove.length} (${queuedCount} Sheets writes queued)`);
+        sendResponse({
+            success: true,
+            importedCount: upsert.length,
+            removedCount: remove.length,
+            queuedCount,
+            sheetsError
+        });
 
-        // Extract Sheet ID from URL
-        const sheetId = configManager.extractSheetId(config.sheetUrl);
-        if (!sheetId) {
+    } catch (error) {
+        log.error('❌ Error importing hidden orders:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Handle a tag manager rename, merge or delete
+ * Updates every hidden order locally, then writes each changed order and an ActionLog entry
+ * for it to Google Sheets, queuing the writes in the outbox if Sheets cannot be reached
+ */
+async function handleApplyTagChange(message, sendResponse) {
+    try {
+        const change = message.change;
+        const errors = validateTagChange(change, await configManager.get('tag_policy'));
+        if (errors.length > 0) {
             sendResponse({
                 success: false,
-                error: 'Invalid Google Sheets URL format'
+                error: errors.join(', ')
             });
             return;
         }
 
-        // Configure OAuth2 client
-        googleOAuth.configure(config.oauthClientId, config.oauthClientSecret);
-        googleSheetsClient.configure(sheetId);
+        const notes = describeTagChange(change);
+        log.info(`🏷️ ${notes}...`);
+
+        const storage = storageManager || new StorageManager();
+        // A recolor only changes the 'tag_colors' config, so the orders using the tag are logged but not rewritten
+        const updatedOrders = change.action === 'recolor'
+            ? (await storage.getAllHiddenOrders()).filter(order => Array.isArray(order.orderData?.tags) && order.orderData.tags.includes(change.from))
+            : await storage.applyTagChange(change);
+
+        const performedBy = await getActingUsername() || 'Unknown User';
+        const timestamp = new Date().toISOString();
+        let queuedCount = 0;
+        const countQueued = (response) => {
+            if (response && response.queued) {
+                queuedCount++;
+            }
+        };
 
-        // Prepare audit log data for Google Sheets
-        const auditLogRow = [
-            auditLogData.timestamp,     // Timestamp
-            auditLogData.orderId,       // Order ID
-            auditLogData.action,        // Action (hide/unhide)
-            auditLogData.actionType,    // Action Type (details)
-            auditLogData.performedBy,   // Performed By (username)
-            auditLogData.tags || '',    // Tags (comma-separated)
-            auditLogData.notes || '',   // Notes
-            auditLogData.browserInfo || '' // Browser Info
-        ];
+        const auditEntries = [];
+        for (const hiddenOrder of updatedOrders) {
+            const auditLogData = {
+                timestamp,
+                orderId: hiddenOrder.orderId,
+                action: TAG_CHANGE_LOG_ACTIONS[change.action],
+                actionType: hiddenOrder.type,
+                performedBy,
+                tags: hiddenOrder.orderData.tags.join(', '),
+                notes,
+                browserInfo: storage._getBrowserInfo()
+            };
+            await storage.storeAuditLogEntry(auditLogData);
+            auditEntries.push(auditLogData);
+        }
 
-        // Append to ActionLog sheet
-        await googleSheetsClient.appendData('ActionLog', auditLogRow);
+        // Start every order's writes at once so they share Sheets batches; within an order the
+        // audit entry follows the row, so it queues behind a row write that failed
+        await Promise.all(updatedOrders.map(async (hiddenOrder, i) => {
+            if (change.action !== 'recolor') {
+                await deliverOrQueueSheetsWrite('SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrder, countQueued);
+            }
+            await deliverOrQueueSheetsWrite('ADD_AUDIT_LOG_ENTRY', auditEntries[i], countQueued);
+        }));
 
-        log.info(`✅ Successfully added audit log entry for ${auditLogData.action} operation on order ${auditLogData.orderId}`);
-        sendResponse({ success: true });
+        log.info(`✅ ${notes} on ${updatedOrders.length} hidden orders (${queuedCount} Sheets writes queued)`);
+        sendResponse({
+            success: true,
+            updatedCount: updatedOrders.length,
+            queuedCount
+        });
 
     } catch (error) {
-        log.error('❌ Error adding audit log entry to Google Sheets:', error);
+        log.error('❌ Error applying tag change:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Handle reporting the Sheets outbox status to the popup
+ */
+async function handleGetSheetsOutboxStatus(message, sendResponse) {
+    try {
+        const status = await sheetsOutbox.getStatus();
+        sendResponse({ success: true, status });
+    } catch (error) {
+        log.error('❌ Error getting Sheets outbox status:', error);
         sendResponse({
             success: false,
             error: error.message
@@ -857,24 +1246,20 @@ async function ensureSheetHeaders(sheetName, expectedHeaders) {
             log.info(`📝 Writing headers to range: ${rangeToWrite}`);
             log.info(`📝 Headers data:`, expectedHeaders);
             await googleSheetsClient.writeRange(rangeToWrite, expectedHeaders);
-            await googleSheetsClient.formatHeaderRow(sheetName);
+            await googleSheetsClient.formatHeaderRow(sheetName, expectedHeaders.length);
             log.info(`✅ Headers added to sheet "${sheetName}"`);
         } else {
             const existingHeaders = headerResponse.values[0];
             log.info(`📊 Existing headers in "${sheetName}":`, existingHeaders);
 
             // Check if headers match expected format
-            const hasValidHeaders = existingHeaders.length >= expectedHeaders.length &&
-                existingHeaders[0] && existingHeaders[0].toLowerCase().includes('order');
+            const hasValidHeaders = expectedHeaders.every((header, index) =>
+                String(existingHeaders[index] || '').trim() === header);
 
             if (!hasValidHeaders) {
-                log.info(`📝 Headers don't match expected format, adding proper headers...`);
-                const rangeToWrite = `${sheetName}!A1:${String.fromCharCode(65 + expectedHeaders.length - 1)}1`;
-                log.info(`📝 Writing headers to range: ${rangeToWrite}`);
-                log.info(`📝 Headers data:`, expectedHeaders);
-                await googleSheetsClient.writeRange(rangeToWrite, expectedHeaders);
-                await googleSheetsClient.formatHeaderRow(sheetName);
-                log.info(`✅ Headers updated in sheet "${sheetName}"`);
+                // Overwriting the headers would mislabel the existing rows, so leave the
+                // columns to the migrations applied from Settings
+                log.warning(`⚠️ Headers in "${sheetName}" don't match the current layout, apply the sheet layout update in Settings`);
             } else {
                 log.info(`✅ Sheet "${sheetName}" already has proper headers`);
             }
@@ -899,8 +1284,8 @@ async function handleFetchHiddenOrdersFromSheets(message, sendResponse) {
         log.info('📥 Fetching hidden orders from Google Sheets...');
 
         // Get Google Sheets configuration
-        const config = await configManager.get('google_sheets');
-        if (!config || !config.oauthClientId || !config.oauthClientSecret || !config.sheetUrl) {
+        const config = await getGoogleSheetsConfig();
+        if (!config || !googleOAuth.canAuthorize(config.oauthClientId) || !config.sheetUrl) {
             log.warning('⚠️ Google Sheets not configured, cannot fetch hidden orders');
             sendResponse({
                 success: false,
@@ -924,10 +1309,10 @@ async function handleFetchHiddenOrdersFromSheets(message, sendResponse) {
         googleSheetsClient.configure(sheetId);
 
         // Ensure HiddenOrders sheet has proper headers
-        await ensureSheetHeaders('HiddenOrders', ['Order ID', 'Order Date', 'Order Total', 'Hidden By', 'Hidden At', 'Hidden Type', 'Tags', 'Notes', 'Last Modified']);
+        await ensureSheetHeaders('HiddenOrders', HIDDEN_ORDERS_HEADERS);
 
         // Get all data from HiddenOrders sheet
-        const range = 'HiddenOrders!A:I'; // Get all columns (assuming 9 columns based on schema)
+        const range = 'HiddenOrders!A:J'; // Get all columns (10 columns based on schema)
         const response = await googleSheetsClient.getRange(range);
 
         log.info('📊 Raw Google Sheets response:', response);
@@ -970,7 +1355,8 @@ async function handleFetchHiddenOrdersFromSheets(message, sendResponse) {
                         type: row[5] || 'details', // Hidden Type
                         tags: row[6] || '',        // Tags
                         notes: row[7] || '',       // Notes
-                        lastModified: row[8] || '' // Last Modified
+                        lastModified: row[8] || '', // Last Modified
+                        marketplace: row[9] || DEFAULT_MARKETPLACE_ID // Marketplace (rows written before it existed are amazon.com)
                     };
 
                     log.info(`✅ Converted row ${i + 1} to hidden order:`, hiddenOrder);
@@ -1000,17 +1386,69 @@ async function handleFetchHiddenOrdersFromSheets(message, sendResponse) {
     }
 }
 
+/**
+ * Handle an incremental two-way sync between browser storage and Google Sheets
+ */
+async function handleIncrementalSync(message, sendResponse) {
+    try {
+        log.info('🔄 Running incremental sync with Google Sheets...');
+
+        const configError = await configureSheetsClient();
+        if (configError) {
+            log.warning(`⚠️ ${configError}, cannot sync`);
+            sendResponse({
+                success: false,
+                error: configError
+            });
+            return;
+        }
+
+        // Ensure HiddenOrders sheet has proper headers
+        await ensureSheetHeaders('HiddenOrders', HIDDEN_ORDERS_HEADERS);
+
+        const report = await defaultSync.performIncrementalSync(googleSheetsClient, { username: await getActingUsername() });
+
+        log.info(`✅ Incremental sync finished with ${report.conflicts.length} conflicts, ${report.rejected.length} changes rejected`);
+        sendResponse({
+            success: true,
+            report: report
+        });
+
+    } catch (error) {
+        log.error('❌ Error running incremental sync:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// Retry queued Sheets writes when their backoff expires
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === OUTBOX_ALARM_NAME) {
+        await flushSheetsOutbox();
+    }
+});
+
 // Extension startup handler
 chrome.runtime.onStartup.addListener(async () => {
     log.info('Extension starting up...');
     await initializeStorage();
     await initializeGoogleSheets();
+
+    // Deliver anything left in the outbox from the previous session
+    await flushSheetsOutbox();
 });
 
 // Extension installation handler
 chrome.runtime.onInstalled.addListener(async (details) => {
     log.info('Extension installed:', details.reason);
 
+    // Migrate storage left by the previous version before anything reads it
+    if (details.reason === 'install' || details.reason === 'update') {
+        await migrateStorage();
+    }
+
     // Initialize storage and handle migration
     await initializeStorage();
     await initializeGoogleSheets();
@@ -1,18 +1,28 @@
 // Order-Specific Tagging Interface Component
 // Each instance handles one order's tagging needs
 
+import { rankTagSuggestions, getRecentTags, suggestTagsFromItems, findExistingTag } from '../utils/tag-suggestions.js';
+import { resolveTagPolicy, normalizeTag, validateTag, validateTagCount } from '../utils/tag-policy.js';
+
 export class TaggingDialog {
     constructor(orderId) {
         this.orderId = orderId;
         this.isOpen = false;
         this.currentOrder = null;
         this.tags = [];
-        this.maxTags = 20; // Maximum number of tags allowed
-        this.maxTagLength = 50; // Maximum length per tag
+        this.notes = '';
+        this.tagPolicy = resolveTagPolicy(); // Tag rules from the 'tag_policy' config, see utils/tag-policy.js
+        this.maxTags = this.tagPolicy.maxTagsPerOrder; // Maximum number of tags allowed
+        this.maxTagLength = this.tagPolicy.maxLength; // Maximum length per tag
+        this.maxNotesLength = 1000; // Matches the Notes column limit in Google Sheets
         this.currentOrderCard = null; // Reference to the order card being tagged
         this.originalOrderContent = null; // Store the original order content
         this.eventListeners = new Map(); // Track event listeners for this instance
         this.dialogElement = null; // Reference to the cloned dialog element
+        this.tagIndex = []; // Existing tags with usage counts, see utils/tag-suggestions.js
+        this.orderItems = []; // Items of the order, used for "From this order" suggestions
+        this.suggestions = []; // Type-ahead suggestions currently shown
+        this.activeSuggestionIndex = -1; // Suggestion highlighted with the arrow keys
         this.init();
     }
 
@@ -78,18 +88,49 @@ export class TaggingDialog {
             // New tag input handling
             const newTagInput = dialogElement.querySelector('#new-tag-input');
             if (newTagInput) {
+                newTagInput.setAttribute('maxlength', String(this.maxTagLength));
+
                 const keydownListener = (e) => {
-                    if (e.key === 'Enter') {
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        if (this.suggestions.length > 0) {
+                            e.preventDefault();
+                            this.moveActiveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                        }
+                    } else if (e.key === 'Escape') {
+                        this.hideSuggestions();
+                    } else if (e.key === 'Enter') {
                         e.preventDefault();
-                        this.addNewTag();
+                        if (this.activeSuggestionIndex > -1) {
+                            this.addSuggestedTag(this.suggestions[this.activeSuggestionIndex]);
+                        } else {
+                            this.addNewTag();
+                        }
                     }
                 };
                 newTagInput.addEventListener('keydown', keydownListener);
                 this.eventListeners.set('new-tag-input-keydown', { element: newTagInput, listener: keydownListener, event: 'keydown' });
 
-                const inputListener = () => this.validateNewTagInput();
+                const inputListener = () => {
+                    this.validateNewTagInput();
+                    this.updateSuggestions();
+                };
                 newTagInput.addEventListener('input', inputListener);
                 this.eventListeners.set('new-tag-input-input', { element: newTagInput, listener: inputListener, event: 'input' });
+
+                const blurListener = () => this.hideSuggestions();
+                newTagInput.addEventListener('blur', blurListener);
+                this.eventListeners.set('new-tag-input-blur', { element: newTagInput, listener: blurListener, event: 'blur' });
+            }
+
+            // Notes input handling
+            const notesInput = dialogElement.querySelector('#notes-input');
+            if (notesInput) {
+                notesInput.value = this.notes;
+                const notesListener = () => {
+                    this.notes = notesInput.value;
+                };
+                notesInput.addEventListener('input', notesListener);
+                this.eventListeners.set('notes-input', { element: notesInput, listener: notesListener, event: 'input' });
             }
 
             // Tag input handling for tests (using tag-input ID)
@@ -144,8 +185,15 @@ export class TaggingDialog {
         const newTagInput = this.dialogElement.querySelector('#new-tag-input');
         if (!newTagInput) return;
 
-        const tagText = newTagInput.value.trim();
-        if (!tagText) return;
+        const typedText = normalizeTag(newTagInput.value, this.tagPolicy);
+        if (!typedText) return;
+
+        // Reuse the spelling of an existing tag so "Gift" and "gift" don't both end up in use,
+        // unless the policy normalizes the case anyway
+        const existingTag = this.tagPolicy.caseNormalization === 'none'
+            ? findExistingTag([...this.tags, ...this.tagIndex.map(entry => entry.tag)], typedText)
+            : null;
+        const tagText = existingTag || typedText;
 
         // Validate tag before adding
         const validationResult = this.validateTag(tagText);
@@ -169,6 +217,7 @@ export class TaggingDialog {
 
         // Clear input and re-render
         newTagInput.value = '';
+        this.hideSuggestions();
         this.renderTags();
 
         // Update delivery status tags if details are hidden
@@ -182,6 +231,8 @@ export class TaggingDialog {
     }
 
     addTag(tagText) {
+        tagText = normalizeTag(tagText, this.tagPolicy);
+
         // Validate tag before adding
         const validationResult = this.validateTag(tagText);
         if (!validationResult.isValid) {
@@ -208,44 +259,24 @@ export class TaggingDialog {
         return true;
     }
 
+    /**
+     * Check a tag against the tag policy
+     * @param {string} tagText - Tag to check
+     * @returns {Object} { isValid, error }
+     */
     validateTag(tagText) {
-        // Check if tag is empty
-        if (!tagText || tagText.trim().length === 0) {
-            return { isValid: false, error: 'Tag cannot be empty' };
-        }
-
-        // Check tag length
-        if (tagText.length < 2) {
-            return { isValid: false, error: 'Tags must be at least 2 characters long' };
-        }
-
-        if (tagText.length > this.maxTagLength) {
-            return { isValid: false, error: `Tags cannot exceed ${this.maxTagLength} characters` };
-        }
-
-        // Check for invalid characters
-        const invalidChars = /[<>:"\\|?*]/;
-        if (invalidChars.test(tagText)) {
-            return { isValid: false, error: 'Tags cannot contain invalid characters (< > : " \\ | ? *)' };
-        }
-
-        // Check for excessive whitespace
-        if (tagText !== tagText.trim()) {
-            return { isValid: false, error: 'Tags cannot start or end with spaces' };
-        }
-
-        // Check for duplicate spaces
-        if (/\s{2,}/.test(tagText)) {
-            return { isValid: false, error: 'Tags cannot contain multiple consecutive spaces' };
-        }
-
-        // Check if tag is too generic
-        const genericTags = ['tag', 'order', 'amazon', 'item', 'product', 'purchase'];
-        if (genericTags.includes(tagText.toLowerCase())) {
-            return { isValid: false, error: `"${tagText}" is too generic. Please use a more specific tag.` };
-        }
+        const error = validateTag(tagText, this.tagPolicy);
+        return { isValid: !error, error };
+    }
 
-        return { isValid: true, error: null };
+    /**
+     * Apply the tag policy from the 'tag_policy' config
+     * @param {Object} policy - Tag policy, missing settings use the defaults
+     */
+    setTagPolicy(policy) {
+        this.tagPolicy = resolveTagPolicy(policy);
+        this.maxTags = this.tagPolicy.maxTagsPerOrder;
+        this.maxTagLength = this.tagPolicy.maxLength;
     }
 
     removeTag(tagText) {
@@ -271,6 +302,9 @@ export class TaggingDialog {
             return;
         }
 
+        // Quick-pick rows leave out tags the order already has
+        this.renderQuickPicks();
+
         existingTagsContainer.innerHTML = '';
 
         if (this.tags.length === 0) {
@@ -343,8 +377,11 @@ export class TaggingDialog {
 
             this.currentOrder = orderData;
             this.currentOrderCard = orderCard;
+            this.setTagPolicy(orderData.tagPolicy);
             this.tags = orderData.tags || [];
             this.notes = orderData.notes || '';
+            this.tagIndex = orderData.tagIndex || [];
+            this.orderItems = orderData.orderItems || [];
 
             // For testing purposes, handle case where orderCard might be undefined
             if (!orderCard) {
@@ -478,6 +515,160 @@ export class TaggingDialog {
 
     resetForm() {
         this.tags = [];
+        this.notes = '';
+        this.tagIndex = [];
+        this.orderItems = [];
+        this.suggestions = [];
+        this.activeSuggestionIndex = -1;
+    }
+
+    /**
+     * Show existing tags matching the new tag input, ranked by match, frequency and recency
+     */
+    updateSuggestions() {
+        if (!this.dialogElement) return;
+
+        const newTagInput = this.dialogElement.querySelector('#new-tag-input');
+        if (!newTagInput) return;
+
+        this.suggestions = rankTagSuggestions(this.tagIndex, newTagInput.value, { exclude: this.tags });
+        this.activeSuggestionIndex = -1;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        if (!this.dialogElement) return;
+
+        const suggestionList = this.dialogElement.querySelector('#tag-suggestions');
+        const newTagInput = this.dialogElement.querySelector('#new-tag-input');
+        if (!suggestionList) return;
+
+        suggestionList.innerHTML = '';
+        this.suggestions.forEach((tag, index) => {
+            const entry = this.tagIndex.find(indexEntry => indexEntry.tag === tag);
+            const option = document.createElement('li');
+            option.className = `archizer-tag-suggestion${index === this.activeSuggestionIndex ? ' active' : ''}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.activeSuggestionIndex));
+
+            const label = document.createElement('span');
+            label.textContent = tag;
+            option.appendChild(label);
+
+            if (entry) {
+                const count = document.createElement('span');
+                count.className = 'archizer-tag-suggestion-count';
+                count.textContent = String(entry.count);
+                option.appendChild(count);
+            }
+
+            // mousedown instead of click so the input's blur doesn't hide the list first
+            const optionListener = (e) => {
+                e.preventDefault();
+                this.addSuggestedTag(tag);
+            };
+            option.addEventListener('mousedown', optionListener);
+            this.eventListeners.set(`tag-suggestion-${index}`, { element: option, listener: optionListener, event: 'mousedown' });
+
+            suggestionList.appendChild(option);
+        });
+
+        const isVisible = this.suggestions.length > 0;
+        suggestionList.style.display = isVisible ? 'block' : 'none';
+        if (newTagInput) {
+            newTagInput.setAttribute('aria-expanded', String(isVisible));
+        }
+    }
+
+    /**
+     * Move the highlighted suggestion with the arrow keys, wrapping around at either end
+     * @param {number} step - 1 for down, -1 for up
+     */
+    moveActiveSuggestion(step) {
+        const count = this.suggestions.length;
+        if (count === 0) return;
+
+        // -1 means no suggestion is highlighted and Enter adds the typed text
+        let next = this.activeSuggestionIndex + step;
+        if (next >= count) {
+            next = -1;
+        } else if (next < -1) {
+            next = count - 1;
+        }
+        this.activeSuggestionIndex = next;
+        this.renderSuggestions();
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestionIndex = -1;
+        this.renderSuggestions();
+    }
+
+    /**
+     * Add a tag picked from the suggestions or a quick-pick row
+     * @param {string} tagText - Tag to add
+     */
+    addSuggestedTag(tagText) {
+        tagText = normalizeTag(tagText, this.tagPolicy);
+        if (!this.addTag(tagText)) return;
+
+        const newTagInput = this.dialogElement && this.dialogElement.querySelector('#new-tag-input');
+        if (newTagInput) {
+            newTagInput.value = '';
+            newTagInput.focus();
+        }
+        this.hideSuggestions();
+        this.showSuccess(`Tag "${tagText}" added successfully`);
+    }
+
+    /**
+     * Replace the existing tags offered as suggestions
+     * @param {Array} tagIndex - Tag index, see utils/tag-suggestions.js
+     */
+    setTagIndex(tagIndex) {
+        this.tagIndex = tagIndex || [];
+        this.renderQuickPicks();
+    }
+
+    /**
+     * Render the "Recently used" and "From this order" quick-pick rows
+     */
+    renderQuickPicks() {
+        if (!this.dialogElement) return;
+
+        const recentTags = getRecentTags(this.tagIndex, { exclude: this.tags });
+        this.renderQuickPickRow('#recent-tags', 'recent-tag', recentTags);
+
+        // Item keywords that aren't valid tags (too generic, bad characters) aren't offered
+        const itemTags = suggestTagsFromItems(this.orderItems, this.tagIndex, { exclude: [...this.tags, ...recentTags] })
+            .filter(tag => this.validateTag(tag).isValid);
+        this.renderQuickPickRow('#item-tag-suggestions', 'item-tag', itemTags);
+    }
+
+    renderQuickPickRow(selector, listenerPrefix, tags) {
+        const row = this.dialogElement.querySelector(selector);
+        if (!row) return;
+
+        const list = row.querySelector('.archizer-quick-tags-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        tags.forEach(tag => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'archizer-quick-tag';
+            button.textContent = tag;
+            button.setAttribute('aria-label', `Add tag ${tag}`);
+
+            const quickPickListener = () => this.addSuggestedTag(tag);
+            button.addEventListener('click', quickPickListener);
+            this.eventListeners.set(`${listenerPrefix}-${tag}`, { element: button, listener: quickPickListener, event: 'click' });
+
+            list.appendChild(button);
+        });
+
+        row.style.display = tags.length > 0 ? '' : 'none';
     }
 
     validateNewTagInput() {
@@ -503,6 +694,13 @@ export class TaggingDialog {
     }
 
     saveTags() {
+        // Tags loaded from storage may predate a stricter policy
+        const countError = validateTagCount(this.tags, this.tagPolicy);
+        if (countError) {
+            this.showError(countError);
+            return;
+        }
+
         // Validate individual tags
         for (const tag of this.tags) {
             const validationResult = this.validateTag(tag);
@@ -512,11 +710,18 @@ export class TaggingDialog {
             }
         }
 
+        const notes = (this.notes || '').trim();
+        if (notes.length > this.maxNotesLength) {
+            this.showError(`Notes cannot exceed ${this.maxNotesLength} characters`);
+            return;
+        }
+
         // Prepare data for saving
         const tagData = {
             orderNumber: this.currentOrder.orderNumber,
             orderDate: this.currentOrder.orderDate,
             tags: this.tags,
+            notes,
             timestamp: new Date().toISOString()
         };
 
@@ -607,6 +812,11 @@ export class TaggingDialog {
         return [...this.tags];
     }
 
+    // Public method to get current notes
+    getCurrentNotes() {
+        return this.notes;
+    }
+
     // Public method to get validation status
     getValidationStatus() {
         return {
@@ -748,6 +958,18 @@ export class TaggingDialogManager {
         }
     }
 
+    /**
+     * Update the tag suggestions of an open dialog
+     * @param {string} orderId - The order ID
+     * @param {Array} tagIndex - Tag index, see utils/tag-suggestions.js
+     */
+    setTagIndex(orderId, tagIndex) {
+        const dialog = this.dialogs.get(orderId);
+        if (dialog && dialog.isDialogOpen()) {
+            dialog.setTagIndex(tagIndex);
+        }
+    }
+
     /**
      * Close a specific dialog or all dialogs
      * @param {string} orderId - Optional order ID to close specific dialog
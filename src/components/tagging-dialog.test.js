@@ -350,6 +350,31 @@ describe('TaggingDialog', () => {
                 expect(taggingDialog.validateTag(tag).isValid).toBe(true);
             });
         });
+
+        test('should accept hierarchical tags', () => {
+            expect(taggingDialog.validateTag('gifts/birthday').isValid).toBe(true);
+            expect(taggingDialog.validateTag('work/reimbursable/travel').isValid).toBe(true);
+        });
+
+        test('should reject hierarchical tags with empty or padded levels', () => {
+            expect(taggingDialog.validateTag('gifts/').error).toBe('Tags cannot start or end with "/"');
+            expect(taggingDialog.validateTag('gifts//birthday').error).toBe('Tags cannot contain empty levels ("//")');
+            expect(taggingDialog.validateTag('gifts / birthday').error).toBe('Tag levels cannot start or end with spaces');
+        });
+
+        test('should follow a custom tag policy', () => {
+            taggingDialog.setTagPolicy({ minLength: 4, maxTagsPerOrder: 2, caseNormalization: 'lowercase', blocklist: ['misc'] });
+
+            expect(taggingDialog.maxTags).toBe(2);
+            expect(taggingDialog.validateTag('toy').error).toBe('Tags must be at least 4 characters long');
+            expect(taggingDialog.validateTag('home/misc').error).toBe('"home/misc" is too generic. Please use a more specific tag.');
+
+            expect(taggingDialog.addTag('Gifts')).toBe(true);
+            expect(taggingDialog.addTag('GIFTS')).toBe(false);
+            expect(taggingDialog.addTag('Books')).toBe(true);
+            expect(taggingDialog.addTag('Games')).toBe(false);
+            expect(taggingDialog.tags).toEqual(['gifts', 'books']);
+        });
     });
 
     describe('Input Processing', () => {
@@ -617,6 +642,33 @@ describe('TaggingDialog', () => {
             expect(dispatchedEvent.detail.tags).toEqual(['electronics']);
         });
 
+        test('should include trimmed notes when saving', () => {
+            taggingDialog.tags = ['electronics'];
+            taggingDialog.notes = '  Return before March  ';
+            taggingDialog.currentOrder = {
+                orderNumber: '123-4567890-1234567',
+                orderDate: '2024-01-15'
+            };
+
+            taggingDialog.saveTags();
+
+            const dispatchedEvent = mockDispatchEvent.mock.calls[0][0];
+            expect(dispatchedEvent.detail.notes).toBe('Return before March');
+        });
+
+        test('should not save notes that are too long', () => {
+            taggingDialog.tags = ['electronics'];
+            taggingDialog.notes = 'a'.repeat(1001);
+            taggingDialog.currentOrder = {
+                orderNumber: '123-4567890-1234567',
+                orderDate: '2024-01-15'
+            };
+
+            taggingDialog.saveTags();
+
+            expect(mockDispatchEvent).not.toHaveBeenCalled();
+        });
+
         test('should handle escape key to close dialog', () => {
             // Open the dialog first
             const orderData = {
@@ -670,4 +722,132 @@ describe('TaggingDialog', () => {
             taggingDialog.close = originalClose;
         });
     });
+
+    describe('Tag Suggestions', () => {
+        const tagIndex = [
+            { tag: 'gifts', count: 5, lastUsed: '2024-01-10T00:00:00.000Z' },
+            { tag: 'Gadgets', count: 2, lastUsed: '2024-03-01T00:00:00.000Z' },
+            { tag: 'books', count: 1, lastUsed: '2024-02-01T00:00:00.000Z' }
+        ];
+        let dialogElement;
+        let newTagInput;
+
+        const openWithSuggestions = (orderData = {}) => {
+            dialogElement = document.createElement('div');
+            dialogElement.innerHTML = `
+                <div id="existing-tags"></div>
+                <input type="text" id="new-tag-input" />
+                <ul id="tag-suggestions" style="display: none;"></ul>
+                <div id="recent-tags" style="display: none;"><span class="archizer-quick-tags-list"></span></div>
+                <div id="item-tag-suggestions" style="display: none;"><span class="archizer-quick-tags-list"></span></div>
+            `;
+            document.body.appendChild(dialogElement);
+
+            taggingDialog.open({ orderNumber: '123-4567890-1234567', tags: [], tagIndex, ...orderData });
+            taggingDialog.bindEventsToDialog(dialogElement);
+            taggingDialog.renderTags();
+            newTagInput = dialogElement.querySelector('#new-tag-input');
+        };
+
+        const type = (text) => {
+            newTagInput.value = text;
+            newTagInput.dispatchEvent(new Event('input'));
+        };
+
+        const press = (key) => newTagInput.dispatchEvent(new KeyboardEvent('keydown', { key }));
+
+        const suggestionTexts = () => Array.from(dialogElement.querySelectorAll('#tag-suggestions li'))
+            .map(option => option.firstChild.textContent);
+
+        const quickPickTexts = (selector) => Array.from(dialogElement.querySelectorAll(`${selector} .archizer-quick-tag`))
+            .map(button => button.textContent);
+
+        test('should suggest existing tags while typing', () => {
+            openWithSuggestions({ tags: ['books'] });
+
+            type('g');
+
+            expect(suggestionTexts()).toEqual(['gifts', 'Gadgets']);
+            expect(dialogElement.querySelector('#tag-suggestions').style.display).toBe('block');
+            expect(newTagInput.getAttribute('aria-expanded')).toBe('true');
+        });
+
+        test('should hide suggestions when nothing matches', () => {
+            openWithSuggestions();
+
+            type('kettle');
+
+            expect(suggestionTexts()).toEqual([]);
+            expect(dialogElement.querySelector('#tag-suggestions').style.display).toBe('none');
+        });
+
+        test('should add the suggestion picked with the arrow keys', () => {
+            openWithSuggestions();
+            type('g');
+
+            press('ArrowDown');
+            press('ArrowDown');
+            expect(dialogElement.querySelector('#tag-suggestions li.active').firstChild.textContent).toBe('Gadgets');
+            press('Enter');
+
+            expect(taggingDialog.tags).toEqual(['Gadgets']);
+            expect(newTagInput.value).toBe('');
+            expect(suggestionTexts()).toEqual([]);
+        });
+
+        test('should add the typed text when no suggestion is highlighted', () => {
+            openWithSuggestions();
+            type('gi');
+
+            press('ArrowDown');
+            press('ArrowUp');
+            press('Enter');
+
+            expect(taggingDialog.tags).toEqual(['gi']);
+        });
+
+        test('should add a suggestion when it is clicked', () => {
+            openWithSuggestions();
+            type('boo');
+
+            dialogElement.querySelector('#tag-suggestions li').dispatchEvent(new MouseEvent('mousedown'));
+
+            expect(taggingDialog.tags).toEqual(['books']);
+        });
+
+        test('should reuse the spelling of an existing tag', () => {
+            openWithSuggestions();
+
+            newTagInput.value = 'gadgets';
+            taggingDialog.addNewTag();
+
+            expect(taggingDialog.tags).toEqual(['Gadgets']);
+        });
+
+        test('should show recently used tags and tags from the order items', () => {
+            openWithSuggestions({ tags: ['books'], orderItems: [{ name: 'Birthday Gift Box' }, { name: 'Amazon Tag Holder' }] });
+
+            expect(quickPickTexts('#recent-tags')).toEqual(['Gadgets', 'gifts']);
+            expect(quickPickTexts('#item-tag-suggestions')).toEqual(['birthday', 'holder']);
+            expect(dialogElement.querySelector('#recent-tags').style.display).toBe('');
+        });
+
+        test('should add a quick-pick tag and remove it from the row', () => {
+            openWithSuggestions();
+
+            dialogElement.querySelector('#recent-tags .archizer-quick-tag').click();
+
+            expect(taggingDialog.tags).toEqual(['Gadgets']);
+            expect(quickPickTexts('#recent-tags')).toEqual(['books', 'gifts']);
+        });
+
+        test('should update quick picks when the tag index arrives later', () => {
+            openWithSuggestions({ tagIndex: undefined });
+            expect(dialogElement.querySelector('#recent-tags').style.display).toBe('none');
+
+            taggingDialog.setTagIndex(tagIndex);
+
+            expect(quickPickTexts('#recent-tags')).toEqual(['Gadgets', 'books', 'gifts']);
+        });
+    });
 });
@@ -4,13 +4,22 @@
 import { globalExtensionLoader } from '../utils/extension-loader.js';
 import { globalErrorHandler } from '../utils/error-handler.js';
 import { StorageManager } from '../backends/local-storage/storage.js';
+import { createBackend } from '../backends/registry.js';
 import { OrderParser } from '../utils/order-parser.js';
 import { DOMManipulator } from '../utils/dom-manipulator.js';
+import { BulkSelectionManager } from '../utils/bulk-selection.js';
+import { AutoArchiver } from '../utils/auto-archive-rules.js';
+import { configManager } from '../utils/config-manager.js';
+import { detectAmazonAccount, findProfileByAmazonAccount, getActiveProfile, setActiveProfile } from '../utils/profiles.js';
+import { describeUnhideConfirmation, getUnhidePermission } from '../utils/team-roles.js';
 import { TaggingDialog } from '../components/tagging-dialog.js';
 import { specializedLogger as log } from '../utils/logger.js';
 
 log.info('🔧 Archizer content script loaded');
 
+// Auto-archive rules for cards that appear after the initial page load
+let autoArchiver = null;
+
 // Initialize the extension when the content script loads
 (async () => {
     try {
@@ -47,23 +56,45 @@ async function initializeContentScript() {
         // Set up integration between DOM manipulator and OrderParser
         domManipulator.setOrderParser(orderParser);
 
-        // Set up storage instance for DOM manipulator
+        // Switch to the profile bound to the signed-in Amazon account before loading hidden orders
+        await activateAmazonAccountProfile(storage);
+
+        // Hidden orders and tags go through the backend the 'storage_backend' config selects
+        const backend = createBackend(await loadBackendId(), storage);
+
+        // Set up storage and backend instances for DOM manipulator
         domManipulator.setStorage(storage);
+        domManipulator.setBackend(backend);
+
+        // Set up selection checkboxes and the bulk hide/unhide toolbar
+        const bulkSelection = new BulkSelectionManager(domManipulator);
+        domManipulator.setBulkSelection(bulkSelection);
+
+        // In team mode, confirm before unhiding someone else's order without editor rights
+        domManipulator.setUnhideGuard((orderId, type, hiddenBy) => confirmTeamUnhide(storage, orderId, hiddenBy));
 
         // Set up callbacks for order state changes
         domManipulator.setCallbacks(
             async (orderId, type, orderData) => {
                 console.log(`🔧 CALLBACK: Order ${orderId} ${type} hidden:`, orderData);
 
-                // Store hidden order data in storage
+                // Store hidden order data in the backend
                 console.log(`🔧 CALLBACK: About to store hidden order data for order ${orderId}`);
-                await storage.storeHiddenOrder(orderId, type, orderData);
-                console.log(`🔧 CALLBACK: Hidden order data stored for order ${orderId}`);
+                try {
+                    await backend.hide(orderId, type, orderData);
+                    console.log(`🔧 CALLBACK: Hidden order data stored for order ${orderId}`);
+                } catch (error) {
+                    log.error(`Error storing hidden order ${orderId}:`, error);
+                    domManipulator.revertUnsavedChange(orderId, type, true, orderData);
+                }
             },
             (orderId, type, orderData) => {
                 console.log(`Order ${orderId} ${type} shown:`, orderData);
-                // Remove hidden order data from storage
-                storage.removeHiddenOrder(orderId, type);
+                // Remove hidden order data from the backend
+                backend.unhide(orderId, type).catch(error => {
+                    log.error(`Error removing hidden order ${orderId}:`, error);
+                    domManipulator.revertUnsavedChange(orderId, type, false, orderData);
+                });
             }
         );
 
@@ -73,10 +104,11 @@ async function initializeContentScript() {
         // Debug: Check if TaggingDialogManager is now available
         console.log('🔍 After initialization - TaggingDialogManager imported:', typeof TaggingDialogManager !== 'undefined');
 
-        console.log('✅ Dependencies initialized:', { storage, orderParser, domManipulator });
+        console.log('✅ Dependencies initialized:', { storage, backend, orderParser, domManipulator });
 
         // Start the order detection and button injection system
-        await startOrderArchivingSystem(orderParser, domManipulator, storage);
+        await startOrderArchivingSystem(orderParser, domManipulator, storage, backend);
+        bulkSelection.injectToolbar();
 
         console.log('✅ Content script functionality initialized');
 
@@ -115,6 +147,22 @@ async function initializeContentScript() {
                     sendResponse({ success: false, error: error.message });
                 }
                 return true; // Keep message channel open for async response
+            } else if (message.type === 'SET_TAG_COLORS') {
+                console.log('🔄 Received tag colors from popup');
+                domManipulator.setTagColors(message.tagColors);
+                sendResponse({ success: true });
+                return true; // Keep message channel open for async response
+            } else if (message.type === 'UPDATE_ORDER_NOTES') {
+                console.log('🔄 Received update order notes request from popup');
+                try {
+                    const success = domManipulator.updateDeliveryStatusNotes(message.orderId, message.notes);
+                    sendResponse({ success: success });
+                    console.log(`✅ Order ${message.orderId} notes updated`);
+                } catch (error) {
+                    console.error('❌ Error updating order notes:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+                return true; // Keep message channel open for async response
             }
         });
 
@@ -254,8 +302,9 @@ async function initializeTaggingDialog() {
  * @param {OrderParser} orderParser - The order parser instance
  * @param {DOMManipulator} domManipulator - The DOM manipulator instance
  * @param {StorageManager} storage - The storage manager instance
+ * @param {StorageBackend} backend - The backend hidden orders are kept in
  */
-async function startOrderArchivingSystem(orderParser, domManipulator, storage) {
+async function startOrderArchivingSystem(orderParser, domManipulator, storage, backend) {
     try {
         console.log('🚀 Starting order archiving system...');
 
@@ -349,8 +398,15 @@ async function startOrderArchivingSystem(orderParser, domManipulator, storage) {
         // Process existing orders on the page
         await processExistingOrders(orderParser, domManipulator);
 
-        // Restore hidden orders from storage
-        await domManipulator.restoreHiddenOrdersFromStorage(storage);
+        // Load tag colors before restored orders render their tags
+        await loadTagColors(domManipulator);
+        await loadTagPolicy(domManipulator);
+
+        // Restore hidden orders from the backend
+        await domManipulator.restoreHiddenOrdersFromStorage(backend);
+
+        // Apply auto-archive rules to the orders that are still visible
+        await startAutoArchiving(orderParser, domManipulator, storage);
 
         console.log('✅ Order archiving system started successfully');
 
@@ -360,6 +416,114 @@ async function startOrderArchivingSystem(orderParser, domManipulator, storage) {
     }
 }
 
+/**
+ * Remember the signed-in Amazon account for the popup, and make the profile bound to it active
+ * A failure here keeps the active profile
+ * @param {StorageManager} storage - The storage manager instance
+ */
+async function activateAmazonAccountProfile(storage) {
+    try {
+        const amazonAccount = detectAmazonAccount(document);
+        if (!amazonAccount) {
+            return;
+        }
+        await storage.set('detected_amazon_account', amazonAccount);
+
+        const profiles = await configManager.get('profiles');
+        const profile = findProfileByAmazonAccount(profiles, amazonAccount);
+        if (profile && profile.id !== getActiveProfile(profiles).id) {
+            await configManager.set('profiles', setActiveProfile(profiles, profile.id));
+            log.info(`👤 Switched to profile ${profile.name} for Amazon account ${amazonAccount}`);
+        }
+    } catch (error) {
+        console.error('❌ Error detecting the Amazon account profile:', error);
+    }
+}
+
+/**
+ * Ask before unhiding someone else's order without editor rights, when team mode is on
+ * Roles come from the team users cached by the last sync; a failure here allows the unhide
+ * @param {StorageManager} storage - The storage manager instance
+ * @param {string} orderId - Order being unhidden
+ * @param {string|null} hiddenBy - User who hid the order
+ * @returns {Promise<boolean>} True if the order may be unhidden
+ */
+async function confirmTeamUnhide(storage, orderId, hiddenBy) {
+    try {
+        if (!await configManager.get('team_mode')) {
+            return true;
+        }
+        const users = await storage.getAllUserSettings();
+        if (getUnhidePermission(users, await storage.getUsername(), hiddenBy) === 'allowed') {
+            return true;
+        }
+        return window.confirm(describeUnhideConfirmation(orderId, hiddenBy));
+    } catch (error) {
+        console.error('❌ Error checking team permissions:', error);
+        return true;
+    }
+}
+
+/**
+ * Load the backend selected in the 'storage_backend' config
+ * A failure here uses the default backend
+ * @returns {string|null} Backend ID, see backends/registry.js
+ */
+async function loadBackendId() {
+    try {
+        return await configManager.get('storage_backend');
+    } catch (error) {
+        console.error('❌ Error loading storage backend setting:', error);
+        return null;
+    }
+}
+
+/**
+ * Load the tag colors set in the popup tag manager
+ * A failure here leaves tags in the default color
+ * @param {DOMManipulator} domManipulator - The DOM manipulator instance
+ */
+async function loadTagColors(domManipulator) {
+    try {
+        domManipulator.setTagColors(await configManager.get('tag_colors'));
+    } catch (error) {
+        console.error('❌ Error loading tag colors:', error);
+    }
+}
+
+/**
+ * Load the tag policy enforced by tagging dialogs
+ * A failure here leaves dialogs on the default policy
+ * @param {DOMManipulator} domManipulator - The DOM manipulator instance
+ */
+async function loadTagPolicy(domManipulator) {
+    try {
+        domManipulator.setTagPolicy(await configManager.get('tag_policy'));
+    } catch (error) {
+        console.error('❌ Error loading tag policy:', error);
+    }
+}
+
+/**
+ * Load auto-archive rules and apply them to the orders already on the page
+ * A failure here leaves manual archiving working
+ * @param {OrderParser} orderParser - The order parser instance
+ * @param {DOMManipulator} domManipulator - The DOM manipulator instance
+ * @param {StorageManager} storage - The storage manager instance
+ */
+async function startAutoArchiving(orderParser, domManipulator, storage) {
+    try {
+        const archiver = new AutoArchiver(domManipulator, orderParser, storage);
+        archiver.setRules(await configManager.get('auto_archive_rules'));
+        await archiver.applyToAllOrders();
+
+        // Cards processed from now on are checked as they are injected
+        autoArchiver = archiver;
+    } catch (error) {
+        console.error('❌ Error applying auto-archive rules:', error);
+    }
+}
+
 /**
  * Process an individual order card
  * @param {Element} orderCard - The order card element
@@ -401,6 +565,10 @@ function processOrderCard(orderCard, orderParser, domManipulator) {
 
         if (success) {
             console.log(`✅ Successfully injected buttons for order ${orderId}`);
+
+            if (autoArchiver) {
+                autoArchiver.applyToOrder(orderCard, orderId);
+            }
         } else {
             console.error(`❌ Failed to inject buttons for order ${orderId}`);
         }
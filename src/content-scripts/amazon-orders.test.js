@@ -4,8 +4,12 @@ describe('Amazon Orders Content Script', () => {
     let originalChrome;
     let originalWindow;
     let mockStorageManager;
+    let mockBackend;
     let mockOrderParser;
     let mockDOMManipulator;
+    let mockBulkSelection;
+    let mockAutoArchiver;
+    let mockAutoArchiveRules;
     let mockTaggingDialog;
 
     beforeEach(() => {
@@ -113,8 +117,13 @@ describe('Amazon Orders Content Script', () => {
 
         // Mock dependencies
         mockStorageManager = {
-            storeHiddenOrder: jest.fn().mockResolvedValue(undefined),
-            removeHiddenOrder: jest.fn()
+            get: jest.fn().mockResolvedValue(null)
+        };
+
+        mockBackend = {
+            getHiddenOrders: jest.fn().mockResolvedValue([]),
+            hide: jest.fn().mockResolvedValue({}),
+            unhide: jest.fn().mockResolvedValue(null)
         };
 
         mockOrderParser = {
@@ -126,6 +135,9 @@ describe('Amazon Orders Content Script', () => {
         mockDOMManipulator = {
             setOrderParser: jest.fn(),
             setStorage: jest.fn(),
+            setBackend: jest.fn(),
+            setBulkSelection: jest.fn(),
+            setUnhideGuard: jest.fn(),
             setCallbacks: jest.fn(),
             startObserving: jest.fn(),
             getOrderIdFromElement: jest.fn().mockReturnValue('test-order-123'),
@@ -133,7 +145,9 @@ describe('Amazon Orders Content Script', () => {
             injectButtons: jest.fn().mockReturnValue(true),
             removeButtons: jest.fn(),
             restoreHiddenOrdersFromStorage: jest.fn().mockResolvedValue(undefined),
-            restoreAllHiddenOrders: jest.fn().mockReturnValue(5)
+            restoreAllHiddenOrders: jest.fn().mockReturnValue(5),
+            setTagColors: jest.fn(),
+            setTagPolicy: jest.fn()
         };
 
         mockTaggingDialog = {
@@ -158,6 +172,10 @@ describe('Amazon Orders Content Script', () => {
             StorageManager: jest.fn(() => mockStorageManager)
         }));
 
+        jest.doMock('../backends/registry.js', () => ({
+            createBackend: jest.fn(() => mockBackend)
+        }));
+
         jest.doMock('../utils/order-parser.js', () => ({
             OrderParser: jest.fn(() => mockOrderParser)
         }));
@@ -166,6 +184,31 @@ describe('Amazon Orders Content Script', () => {
             DOMManipulator: jest.fn(() => mockDOMManipulator)
         }));
 
+        mockBulkSelection = {
+            injectToolbar: jest.fn()
+        };
+
+        jest.doMock('../utils/bulk-selection.js', () => ({
+            BulkSelectionManager: jest.fn(() => mockBulkSelection)
+        }));
+
+        mockAutoArchiver = {
+            setRules: jest.fn(),
+            applyToAllOrders: jest.fn().mockResolvedValue(0),
+            applyToOrder: jest.fn().mockResolvedValue(null)
+        };
+        mockAutoArchiveRules = [{ name: 'old-orders', conditions: { olderThan: { amount: 2, unit: 'years' } } }];
+
+        jest.doMock('../utils/auto-archive-rules.js', () => ({
+            AutoArchiver: jest.fn(() => mockAutoArchiver)
+        }));
+
+        jest.doMock('../utils/config-manager.js', () => ({
+            configManager: {
+                get: jest.fn().mockResolvedValue(mockAutoArchiveRules)
+            }
+        }));
+
         jest.doMock('../components/tagging-dialog.js', () => ({
             TaggingDialog: mockTaggingDialog
         }));
@@ -276,6 +319,63 @@ describe('Amazon Orders Content Script', () => {
             expect(mockDOMManipulator.setStorage).toHaveBeenCalledWith(mockStorageManager);
         });
 
+        it('should set up the configured storage backend for DOM manipulator', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            const { createBackend } = require('../backends/registry.js');
+            configManager.get.mockImplementation(async (key) => (key === 'storage_backend' ? 'local' : mockAutoArchiveRules));
+
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(createBackend).toHaveBeenCalledWith('local', mockStorageManager);
+            expect(mockDOMManipulator.setBackend).toHaveBeenCalledWith(mockBackend);
+        });
+
+        it('should hide and unhide orders through the backend', async () => {
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const [onHidden, onShown] = mockDOMManipulator.setCallbacks.mock.calls[0];
+            await onHidden('111', 'details', { tags: ['gifts'] });
+            onShown('111', 'details', {});
+
+            expect(mockBackend.hide).toHaveBeenCalledWith('111', 'details', { tags: ['gifts'] });
+            expect(mockBackend.unhide).toHaveBeenCalledWith('111', 'details');
+        });
+
+        it('should set up bulk selection for DOM manipulator', async () => {
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockDOMManipulator.setBulkSelection).toHaveBeenCalledWith(mockBulkSelection);
+        });
+
+        it('should confirm unhiding someone else\'s order without editor rights in team mode', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockImplementation(async (key) => (key === 'team_mode' ? true : mockAutoArchiveRules));
+            mockStorageManager.getUsername = jest.fn().mockResolvedValue('alex');
+            mockStorageManager.getAllUserSettings = jest.fn().mockResolvedValue([
+                { username: 'alex', isActive: true, role: 'viewer' },
+                { username: 'sam', isActive: true, role: 'owner' }
+            ]);
+            global.window.confirm = jest.fn().mockReturnValue(false);
+            require('./amazon-orders.js');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const [guard] = mockDOMManipulator.setUnhideGuard.mock.calls[0];
+
+            await expect(guard('111-1111111-1111111', 'details', 'alex')).resolves.toBe(true);
+            await expect(guard('111-1111111-1111111', 'details', 'sam')).resolves.toBe(false);
+            expect(global.window.confirm).toHaveBeenCalledTimes(1);
+            expect(global.window.confirm.mock.calls[0][0]).toContain('hidden by @sam');
+        });
+
         it('should set up callbacks for order state changes', async () => {
             require('./amazon-orders.js');
 
@@ -378,7 +478,47 @@ describe('Amazon Orders Content Script', () => {
             // Wait for async operations
             await new Promise(resolve => setTimeout(resolve, 0));
 
-            expect(mockDOMManipulator.restoreHiddenOrdersFromStorage).toHaveBeenCalledWith(mockStorageManager);
+            expect(mockDOMManipulator.restoreHiddenOrdersFromStorage).toHaveBeenCalledWith(mockBackend);
+        });
+
+        it('should apply auto-archive rules from config after restoring hidden orders', async () => {
+            const { AutoArchiver } = require('../utils/auto-archive-rules.js');
+            const { configManager } = require('../utils/config-manager.js');
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(configManager.get).toHaveBeenCalledWith('auto_archive_rules');
+            expect(AutoArchiver).toHaveBeenCalledWith(mockDOMManipulator, mockOrderParser, mockStorageManager);
+            expect(mockAutoArchiver.setRules).toHaveBeenCalledWith(mockAutoArchiveRules);
+            expect(mockAutoArchiver.applyToAllOrders).toHaveBeenCalled();
+        });
+
+        it('should load tag colors from config before restoring hidden orders', async () => {
+            const tagColors = { gifts: '#ff0000' };
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockImplementation(async (key) => (key === 'tag_colors' ? tagColors : mockAutoArchiveRules));
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockDOMManipulator.setTagColors).toHaveBeenCalledWith(tagColors);
+            expect(mockDOMManipulator.setTagColors.mock.invocationCallOrder[0])
+                .toBeLessThan(mockDOMManipulator.restoreHiddenOrdersFromStorage.mock.invocationCallOrder[0]);
+        });
+
+        it('should pass the tag policy from config to the DOM manipulator', async () => {
+            const tagPolicy = { minLength: 3, caseNormalization: 'lowercase' };
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockImplementation(async (key) => (key === 'tag_policy' ? tagPolicy : mockAutoArchiveRules));
+            require('./amazon-orders.js');
+
+            // Wait for async operations
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockDOMManipulator.setTagPolicy).toHaveBeenCalledWith(tagPolicy);
         });
     });
 
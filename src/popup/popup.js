@@ -2,20 +2,95 @@
 // Handles popup interface logic, navigation, and settings management
 
 import { configManager } from '../utils/config-manager.js';
+import {
+    parseSearchQuery,
+    matchesSearchQuery,
+    isEmptySearchQuery,
+    getHighlightTerms,
+    highlightMatches,
+    escapeHtml,
+    findHiddenFieldMatches,
+    matchesDateRanges,
+    sortOrders,
+    DEFAULT_ORDER_LIST_VIEW
+} from '../utils/order-search.js';
+
+// Popup list view controls and the setting each one edits
+const LIST_VIEW_CONTROLS = {
+    'sort-by': 'sortBy',
+    'sort-direction': 'sortDirection',
+    'order-date-from': 'orderDateFrom',
+    'order-date-to': 'orderDateTo',
+    'hidden-from': 'hiddenFrom',
+    'hidden-to': 'hiddenTo'
+};
+
+// Matches the Notes column limit in Google Sheets
+const MAX_NOTES_LENGTH = 1000;
+
+// How each backup reason is shown in the snapshot list
+const BACKUP_REASON_LABELS = {
+    manual: 'Manual backup',
+    resync: 'Before resync',
+    restore: 'Before restore'
+};
 import { specializedLogger as log } from '../utils/logger.js';
+import { getMarketplaceForUrl } from '../utils/marketplaces.js';
+import {
+    collectTagUsage,
+    createRenameChange,
+    validateTagChange,
+    changeTagColors,
+    describeTagChange,
+    getTagTextColor
+} from '../utils/tag-manager.js';
+import { buildTagTree, matchesTagFilter } from '../utils/tag-hierarchy.js';
+import { resolveTagPolicy, normalizeTag } from '../utils/tag-policy.js';
+import { buildExportFiles, filterActionLogForOrders } from '../utils/data-export.js';
+import { parseImportFile, previewHiddenOrdersImport, planHiddenOrdersImport } from '../utils/data-import.js';
+import { backupManager, parseBackupFile, validateBackup, buildBackupFile, describeBackup } from '../utils/backup.js';
+import { getTeamRole, getUnhidePermission, isInactiveUser } from '../utils/team-roles.js';
+import { getProfileUsername } from '../utils/google-identity.js';
+import {
+    STORAGE_PREFIX,
+    KEY_PREFIXES,
+    storageKey,
+    isRecordKey,
+    profileNamespace,
+    stripProfileNamespace,
+    hiddenOrderKey,
+    orderTagsKey
+} from '../backends/local-storage/keys.js';
+import { checkStorageWritable } from '../backends/local-storage/migrations.js';
+import { DEFAULT_BACKEND_ID } from '../backends/backend.js';
+import { createBackend } from '../backends/registry.js';
+import { oauthTokensKey } from '../backends/google-sheets/oauth.js';
+import { getRestBackendOriginPattern } from '../backends/rest/config.js';
+import {
+    DEFAULT_PROFILE_ID,
+    DEFAULT_PROFILES_CONFIG,
+    validateProfilesConfig,
+    getActiveProfile,
+    addProfile,
+    updateProfile,
+    removeProfile,
+    setActiveProfile,
+    resolveGoogleSheetsConfig
+} from '../utils/profiles.js';
 
 log.info('Archizer popup script loaded');
 
 // Simple storage manager for popup (for non-config data)
 export class PopupStorageManager {
     constructor() {
-        this.prefix = 'amazon_archiver_';
+        this.prefix = STORAGE_PREFIX;
+        this.schemaError = undefined; // Checked on the first write
     }
 
     async get(key) {
         try {
-            const result = await chrome.storage.local.get(this.prefix + key);
-            return result[this.prefix + key] || null;
+            const result = await chrome.storage.local.get(storageKey(key));
+            return result[storageKey(key)] || null;
         } catch (error) {
             log.error('Error getting from storage:', error);
             return null;
@@ -24,7 +99,8 @@ export class PopupStorageManager {
 
     async set(key, value) {
         try {
-            await chrome.storage.local.set({ [this.prefix + key]: value });
+            await this.assertWritable();
+            await chrome.storage.local.set({ [storageKey(key)]: value });
         } catch (error) {
             log.error('Error setting storage:', error);
             throw error;
@@ -33,16 +109,38 @@ export class PopupStorageManager {
 
     async remove(key) {
         try {
-            await chrome.storage.local.remove(this.prefix + key);
+            await this.assertWritable();
+            await chrome.storage.local.remove(storageKey(key));
         } catch (error) {
             log.error('Error removing from storage:', error);
         }
     }
+
+    /**
+     * Refuse to write to storage left by a newer build of the extension
+     * @throws {Error} If the stored schema version is newer than this build's
+     */
+    async assertWritable() {
+        if (this.schemaError === undefined) {
+            try {
+                this.schemaError = await checkStorageWritable();
+            } catch (error) {
+                // Let the write itself report the storage error, and check again next time
+                log.warning('Could not read the storage schema version:', error);
+                return;
+            }
+        }
+        if (this.schemaError) {
+            throw new Error(this.schemaError);
+        }
+    }
 }
 
 export class PopupManager {
     constructor() {
         this.storage = new PopupStorageManager();
+        this.backend = createBackend(DEFAULT_BACKEND_ID); // Hidden orders, replaced by the configured backend on load
+        this.unwatchBackend = null;
         this.currentView = 'main';
         this.lastToastTime = 0; // Track last toast time to prevent duplicates
 
@@ -55,6 +153,40 @@ export class PopupManager {
         // Filter state
         this.selectedTags = new Set();
         this.selectedUser = null;
+        this.expandedTagPaths = new Set(); // Parent tags whose children are shown in the tag tree
+        this.searchQuery = parseSearchQuery('');
+
+        // Sort order and date ranges, persisted as the 'popup_list_view' config
+        this.listView = { ...DEFAULT_ORDER_LIST_VIEW };
+
+        // Auto-archive rules state
+        this.autoArchiveRules = [];
+        this.editingRuleName = null;
+
+        // Hidden order whose notes are being edited inline ({ orderId, type })
+        this.editingNotes = null;
+
+        // Tag manager state
+        this.tagColors = {};
+        this.tagPolicy = resolveTagPolicy(); // Rules new tag names must follow, from the 'tag_policy' config
+        this.pendingTagDelete = null; // Tag whose delete button is waiting for confirmation
+
+        // Preview of the file chosen for import, see utils/data-import.js
+        this.importPreview = null;
+
+        // Named profiles, the 'profiles' config, see utils/profiles.js
+        this.profiles = DEFAULT_PROFILES_CONFIG;
+        this.pendingProfileDelete = null; // Profile whose delete button is waiting for confirmation
+
+        // Team mode, the 'team_mode' config, with users cached from the UserSettings sheet, see utils/team-roles.js
+        this.teamMode = false;
+        this.teamUsers = [];
+        this.pendingUnhide = null; // Order ({ orderId, type }) whose unhide button is waiting for confirmation
+
+        // Backup state, see utils/backup.js
+        this.pendingRestore = null; // Checked backup file waiting for the Restore button
+        this.backupSnapshots = [];
+        this.sheetsMigrationReport = null; // Dry run of the sheet layout update
 
         this.init();
     }
@@ -62,9 +194,26 @@ export class PopupManager {
     async init() {
         this.setupEventListeners();
         this.setupConfigCallbacks();
+        await this.reloadState();
+        this.showView('main');
+    }
+
+    /**
+     * Load everything the popup shows from storage, on open and after a backup is restored
+     */
+    async reloadState() {
+        await this.loadProfiles();
+        await this.loadBackend();
         await this.loadUserSettings();
+        await this.loadAutoArchiveRules();
+        await this.loadListView();
+        await this.loadTagColors();
+        await this.loadTagPolicy();
+        await this.loadTeam();
         await this.loadHiddenOrders();
-        this.showView('main');
+        await this.loadSyncReport();
+        await this.loadOutboxStatus();
+        await this.loadBackupSnapshots();
     }
 
     setupConfigCallbacks() {
@@ -89,10 +238,41 @@ export class PopupManager {
             }
         });
 
+        // The REST backend server is only reachable once its origin is granted
+        configManager.onAutoSave('rest_backend', (value) => {
+            log.info('📢 REST backend config updated');
+            this.requestRestBackendPermission(value);
+        });
+
         log.info('✅ Config callbacks registered');
         log.info('📊 Total callbacks registered:', configManager.autoSaveCallbacks.size);
     }
 
+    /**
+     * Ask for access to the REST backend server's origin
+     * The background script makes the requests, under the optional host permissions in the manifest
+     * @param {Object} config - Saved 'rest_backend' config
+     * @returns {Promise<boolean>} Whether access was granted
+     */
+    async requestRestBackendPermission(config) {
+        const origin = getRestBackendOriginPattern(config);
+        if (!origin) {
+            return false;
+        }
+
+        try {
+            const granted = await chrome.permissions.request({ origins: [origin] });
+            if (!granted) {
+                this.showMessage(`Archizer cannot reach the REST backend without access to ${origin}`, 'error');
+            }
+            return granted;
+        } catch (error) {
+            log.error('❌ Error requesting access to the REST backend:', error);
+            this.showMessage(`Error requesting access to the REST backend: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
     setupEventListeners() {
         log.info('🔧 Setting up event listeners...');
 
@@ -111,6 +291,72 @@ export class PopupManager {
             backBtn.addEventListener('click', () => this.showView('main'));
         }
 
+        // Tag manager navigation
+        const tagsBtn = document.getElementById('tags-btn');
+        if (tagsBtn) {
+            tagsBtn.addEventListener('click', () => this.showView('tags'));
+        }
+
+        const tagsBackBtn = document.getElementById('tags-back-btn');
+        if (tagsBackBtn) {
+            tagsBackBtn.addEventListener('click', () => this.showView('main'));
+        }
+
+        const tagRenameBtn = document.getElementById('tag-rename-btn');
+        if (tagRenameBtn) {
+            tagRenameBtn.addEventListener('click', () => {
+                const from = document.getElementById('tag-rename-from');
+                const to = document.getElementById('tag-rename-to');
+                this.renameTag(from ? from.value : '', to ? to.value.trim() : '');
+            });
+        }
+
+        // Profile switchers in the header and settings
+        ['profile-switcher', 'profile-select'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.addEventListener('change', () => this.switchProfile(select.value));
+            }
+        });
+
+        ['profile-name', 'profile-amazon-account'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('change', () => this.saveProfileFields());
+            }
+        });
+
+        const detectAccountBtn = document.getElementById('profile-detect-account-btn');
+        if (detectAccountBtn) {
+            detectAccountBtn.addEventListener('click', () => this.useDetectedAmazonAccount());
+        }
+
+        const addProfileBtn = document.getElementById('profile-add-btn');
+        if (addProfileBtn) {
+            addProfileBtn.addEventListener('click', () => this.createProfile());
+        }
+
+        const deleteProfileBtn = document.getElementById('profile-delete-btn');
+        if (deleteProfileBtn) {
+            deleteProfileBtn.addEventListener('click', () => this.deleteActiveProfile());
+        }
+
+        const usernameFromGoogleCheckbox = document.getElementById('username-from-google');
+        if (usernameFromGoogleCheckbox) {
+            usernameFromGoogleCheckbox.addEventListener('change', (e) => this.setUsernameFromGoogle(e.target.checked));
+        }
+
+        const teamModeCheckbox = document.getElementById('team-mode');
+        if (teamModeCheckbox) {
+            teamModeCheckbox.addEventListener('change', (e) => this.setTeamMode(e.target.checked));
+        }
+
+        // Sync now button click
+        const syncNowBtn = document.getElementById('sync-now-btn');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', () => this.executeIncrementalSync());
+        }
+
         // Resync button click
         const resyncBtn = document.getElementById('resync-btn');
         if (resyncBtn) {
@@ -159,6 +405,23 @@ export class PopupManager {
 
         // Filter controls - event listeners will be added when pills are created
 
+        const searchInput = document.getElementById('order-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.setSearchText(searchInput.value);
+            });
+        }
+
+        // Sort and date range controls
+        Object.entries(LIST_VIEW_CONTROLS).forEach(([id, setting]) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.updateListView({ [setting]: control.value || null });
+                });
+            }
+        });
+
         const clearFiltersBtn = document.getElementById('clear-filters');
         if (clearFiltersBtn) {
             clearFiltersBtn.addEventListener('click', () => {
@@ -189,31 +452,126 @@ export class PopupManager {
             });
         }
 
+        // Export menu
+        document.querySelectorAll('.export-option').forEach(option => {
+            option.addEventListener('click', () => this.exportData(option.dataset.exportFormat));
+        });
+
+        // Import from a file
+        const importFile = document.getElementById('import-file');
+        if (importFile) {
+            importFile.addEventListener('change', () => {
+                if (importFile.files && importFile.files[0]) {
+                    this.previewImportFile(importFile.files[0]);
+                }
+            });
+        }
+
+        const importMode = document.getElementById('import-mode');
+        if (importMode) {
+            importMode.addEventListener('change', () => this.renderImportPreview());
+        }
+
+        const importApplyBtn = document.getElementById('import-apply-btn');
+        if (importApplyBtn) {
+            importApplyBtn.addEventListener('click', () => this.applyImport());
+        }
+
+        const importClearBtn = document.getElementById('import-clear-btn');
+        if (importClearBtn) {
+            importClearBtn.addEventListener('click', () => this.clearImport());
+        }
+
+        // Backup and restore
+        const backupDownloadBtn = document.getElementById('backup-download-btn');
+        if (backupDownloadBtn) {
+            backupDownloadBtn.addEventListener('click', () => this.downloadBackup());
+        }
+
+        const backupFile = document.getElementById('backup-file');
+        if (backupFile) {
+            backupFile.addEventListener('change', () => {
+                if (backupFile.files && backupFile.files[0]) {
+                    this.previewBackupFile(backupFile.files[0]);
+                }
+            });
+        }
+
+        const backupRestoreBtn = document.getElementById('backup-restore-btn');
+        if (backupRestoreBtn) {
+            backupRestoreBtn.addEventListener('click', () => {
+                if (this.pendingRestore) {
+                    this.restoreBackup(this.pendingRestore);
+                }
+            });
+        }
+
+        const backupClearBtn = document.getElementById('backup-clear-btn');
+        if (backupClearBtn) {
+            backupClearBtn.addEventListener('click', () => this.clearBackupFile());
+        }
+
+        // Sheet layout migrations
+        const sheetsMigrationCheckBtn = document.getElementById('sheets-migration-check-btn');
+        if (sheetsMigrationCheckBtn) {
+            sheetsMigrationCheckBtn.addEventListener('click', () => this.checkSheetsMigration());
+        }
+
+        const sheetsMigrationApplyBtn = document.getElementById('sheets-migration-apply-btn');
+        if (sheetsMigrationApplyBtn) {
+            sheetsMigrationApplyBtn.addEventListener('click', () => this.applySheetsMigration());
+        }
+
+        // Auto-archive rule form
+        const saveRuleBtn = document.getElementById('save-rule-btn');
+        if (saveRuleBtn) {
+            saveRuleBtn.addEventListener('click', () => this.saveAutoArchiveRule());
+        }
+
+        const clearRuleBtn = document.getElementById('clear-rule-btn');
+        if (clearRuleBtn) {
+            clearRuleBtn.addEventListener('click', () => this.clearRuleForm());
+        }
+
     }
 
     showView(viewName) {
-        const mainView = document.getElementById('main-view');
-        const settingsView = document.getElementById('settings-view');
+        const views = {
+            main: document.getElementById('main-view'),
+            settings: document.getElementById('settings-view'),
+            tags: document.getElementById('tags-view')
+        };
+
+        if (!views[viewName]) {
+            return;
+        }
+
+        Object.entries(views).forEach(([name, view]) => {
+            if (view) {
+                view.classList.toggle('hidden', name !== viewName);
+            }
+        });
+        this.currentView = viewName;
 
-        if (viewName === 'main') {
-            mainView.classList.remove('hidden');
-            settingsView.classList.add('hidden');
-            this.currentView = 'main';
-        } else if (viewName === 'settings') {
-            mainView.classList.add('hidden');
-            settingsView.classList.remove('hidden');
-            this.currentView = 'settings';
+        if (viewName === 'tags') {
+            this.renderTagManager();
         }
     }
 
     async loadUserSettings() {
         try {
-            // Load username from unified config
-            const username = await configManager.get('username');
+            // Load username from unified config, or from the active profile
+            const profile = this.getActiveProfile();
+            const usernameSource = await configManager.get('username_source');
+            const configUsername = profile.id === DEFAULT_PROFILE_ID ? await configManager.get('username') : null;
+            const username = getProfileUsername(profile, usernameSource, configUsername);
             const usernameInput = document.getElementById('username');
-            if (usernameInput && username) {
-                usernameInput.value = username;
+            if (usernameInput) {
+                usernameInput.value = username || '';
+                // The Google account decides the username until the option is turned off
+                usernameInput.readOnly = usernameSource === 'google';
             }
+            this.renderGoogleIdentity(profile, usernameSource);
 
             // Load Google Sheets configuration from unified config
             await this.loadGoogleSheetsConfig();
@@ -222,6 +580,229 @@ export class PopupManager {
         }
     }
 
+    /**
+     * Load the profiles config and show it in the profile controls
+     */
+    async loadProfiles() {
+        try {
+            // A stored config that does not validate leaves only the default profile
+            const profiles = await configManager.get('profiles');
+            this.profiles = validateProfilesConfig(profiles).valid ? profiles : DEFAULT_PROFILES_CONFIG;
+        } catch (error) {
+            log.error('Error loading profiles:', error);
+            this.profiles = DEFAULT_PROFILES_CONFIG;
+        }
+        this.renderProfiles();
+    }
+
+    /**
+     * @returns {Object} Active profile
+     */
+    getActiveProfile() {
+        return getActiveProfile(this.profiles);
+    }
+
+    /**
+     * @returns {string} Key namespace of the active profile's records, see profileNamespace
+     */
+    getProfileNamespace() {
+        return profileNamespace(this.getActiveProfile().id);
+    }
+
+    renderProfiles() {
+        const activeProfile = this.getActiveProfile();
+        const options = this.profiles.profiles
+            .map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+            .join('');
+
+        ['profile-switcher', 'profile-select'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.innerHTML = options;
+                select.value = activeProfile.id;
+            }
+        });
+
+        // The header switcher only shows once there is another profile to switch to
+        const switcher = document.getElementById('profile-switcher');
+        if (switcher) {
+            switcher.classList.toggle('hidden', this.profiles.profiles.length < 2);
+        }
+
+        const nameInput = document.getElementById('profile-name');
+        if (nameInput) {
+            nameInput.value = activeProfile.name;
+        }
+        const accountInput = document.getElementById('profile-amazon-account');
+        if (accountInput) {
+            accountInput.value = activeProfile.amazonAccount || '';
+        }
+
+        const deleteBtn = document.getElementById('profile-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = activeProfile.id === DEFAULT_PROFILE_ID;
+            deleteBtn.textContent = this.pendingProfileDelete === activeProfile.id ? 'Confirm Delete' : 'Delete Profile';
+            deleteBtn.classList.toggle('confirming', this.pendingProfileDelete === activeProfile.id);
+        }
+    }
+
+    /**
+     * Save the profiles config and show it
+     * @param {Object} profiles - Profiles config
+     */
+    async saveProfiles(profiles) {
+        await configManager.set('profiles', profiles);
+        this.profiles = profiles;
+        this.renderProfiles();
+    }
+
+    /**
+     * Make a profile active and reload everything the popup shows for it
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} True if the profile was switched to
+     */
+    async switchProfile(profileId) {
+        if (profileId === this.getActiveProfile().id) {
+            return false;
+        }
+
+        try {
+            // Edits waiting for auto-save belong to the profile being left
+            if (this.autoSaveTimer) {
+                clearTimeout(this.autoSaveTimer);
+                await this.autoSaveConfig();
+            }
+
+            this.pendingProfileDelete = null;
+            await this.saveProfiles(setActiveProfile(this.profiles, profileId));
+            this.lastSavedConfig = null;
+            await this.reloadState();
+            this.showMessage(`Switched to profile ${this.getActiveProfile().name}`, 'success');
+            return true;
+        } catch (error) {
+            log.error('Error switching profile:', error);
+            this.showMessage(`Could not switch profile: ${error.message}`, 'error');
+            this.renderProfiles();
+            return false;
+        }
+    }
+
+    /**
+     * Save the name and Amazon account of the active profile from the settings view
+     */
+    async saveProfileFields() {
+        const nameInput = document.getElementById('profile-name');
+        const accountInput = document.getElementById('profile-amazon-account');
+
+        try {
+            await this.saveProfiles(updateProfile(this.profiles, this.getActiveProfile().id, {
+                name: nameInput ? nameInput.value.trim() : undefined,
+                amazonAccount: accountInput ? accountInput.value.trim() || null : undefined
+            }));
+            this.showMessage('Profile saved', 'success');
+        } catch (error) {
+            log.error('Error saving profile:', error);
+            this.showMessage(`Could not save profile: ${error.message}`, 'error');
+            this.renderProfiles();
+        }
+    }
+
+    /**
+     * Bind the active profile to the Amazon account an Amazon tab last detected
+     */
+    async useDetectedAmazonAccount() {
+        const amazonAccount = await this.storage.get('detected_amazon_account');
+        if (!amazonAccount) {
+            this.showMessage('Open an Amazon page while signed in to detect the account', 'error');
+            return;
+        }
+
+        const accountInput = document.getElementById('profile-amazon-account');
+        if (accountInput) {
+            accountInput.value = amazonAccount;
+        }
+        await this.saveProfileFields();
+    }
+
+    async createProfile() {
+        const nameInput = document.getElementById('new-profile-name');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!name) {
+            this.showMessage('Enter a name for the new profile', 'error');
+            return false;
+        }
+
+        try {
+            const { config, profile } = addProfile(this.profiles, name);
+            await this.saveProfiles(config);
+            nameInput.value = '';
+            return await this.switchProfile(profile.id);
+        } catch (error) {
+            log.error('Error adding profile:', error);
+            this.showMessage(`Could not add profile: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Delete the active profile with its hidden orders and Google sign-in, then switch to the default profile
+     * @returns {boolean} True if the profile was deleted
+     */
+    async deleteActiveProfile() {
+        const profile = this.getActiveProfile();
+        if (profile.id === DEFAULT_PROFILE_ID) {
+            return false;
+        }
+
+        // The first click asks for confirmation, the second deletes
+        if (this.pendingProfileDelete !== profile.id) {
+            this.pendingProfileDelete = profile.id;
+            this.renderProfiles();
+            return false;
+        }
+        this.pendingProfileDelete = null;
+
+        try {
+            const namespace = storageKey(this.getProfileNamespace());
+            const allData = await chrome.storage.local.get(null);
+            const keysToRemove = Object.keys(allData).filter(key => key.startsWith(namespace));
+
+            if (this.autoSaveTimer) {
+                clearTimeout(this.autoSaveTimer);
+            }
+            await this.saveProfiles(removeProfile(this.profiles, profile.id));
+            await chrome.storage.local.remove([...keysToRemove, oauthTokensKey(profile.id)]);
+            log.info(`🗑️ Deleted profile ${profile.id} and ${keysToRemove.length} of its storage entries`);
+
+            this.lastSavedConfig = null;
+            await this.reloadState();
+            this.showMessage(`Deleted profile ${profile.name}`, 'success');
+            return true;
+        } catch (error) {
+            log.error('Error deleting profile:', error);
+            this.showMessage(`Could not delete profile: ${error.message}`, 'error');
+            this.renderProfiles();
+            return false;
+        }
+    }
+
+    /**
+     * Switch to the backend selected in the 'storage_backend' config and reload the hidden
+     * orders list whenever they change, including from an Amazon tab
+     */
+    async loadBackend() {
+        try {
+            this.backend = createBackend(await configManager.get('storage_backend'));
+        } catch (error) {
+            log.error('Error loading storage backend:', error);
+        }
+
+        if (this.unwatchBackend) {
+            this.unwatchBackend();
+        }
+        this.unwatchBackend = this.backend.watch(() => this.loadHiddenOrders());
+    }
+
     async loadHiddenOrders() {
         try {
             const hiddenOrders = await this.getAllHiddenOrders();
@@ -237,24 +818,124 @@ export class PopupManager {
         }
     }
 
-    async getAllHiddenOrders() {
+    /**
+     * Load the 'team_mode' config and the team users cached by the last sync
+     */
+    async loadTeam() {
         try {
-            const allData = await chrome.storage.local.get(null);
-            const hiddenOrders = [];
+            this.teamMode = await configManager.get('team_mode') === true;
+            this.teamUsers = await this.getStoredRecords(this.getProfileNamespace() + KEY_PREFIXES.userSettings);
+        } catch (error) {
+            log.error('Error loading team settings:', error);
+            this.teamMode = false;
+            this.teamUsers = [];
+        }
+
+        const teamModeCheckbox = document.getElementById('team-mode');
+        if (teamModeCheckbox) {
+            teamModeCheckbox.checked = this.teamMode;
+        }
+    }
 
-            for (const [key, value] of Object.entries(allData)) {
-                if (key.startsWith('amazon_archiver_hidden_order_') && value) {
-                    hiddenOrders.push(value);
+    /**
+     * Turn team mode on or off
+     * @param {boolean} enabled - Whether to enforce the UserSettings sheet's roles
+     */
+    async setTeamMode(enabled) {
+        try {
+            await configManager.set('team_mode', enabled);
+            this.teamMode = enabled;
+            this.pendingUnhide = null;
+            this.populateFilterPills(this.allOrders || []);
+            this.applyFilters();
+            this.showMessage(enabled ? 'Team mode on. Sync to load the team\'s roles.' : 'Team mode off', 'success');
+        } catch (error) {
+            log.error('Error saving team mode:', error);
+            this.showMessage('Error saving team mode', 'error');
+        }
+    }
+
+    /**
+     * Show the Google username option and the account it uses
+     * @param {Object} profile - Active profile
+     * @param {string} usernameSource - 'username_source' config
+     */
+    renderGoogleIdentity(profile, usernameSource) {
+        const checkbox = document.getElementById('username-from-google');
+        if (checkbox) {
+            checkbox.checked = usernameSource === 'google';
+        }
+
+        const status = document.getElementById('google-identity-status');
+        if (status && usernameSource === 'google') {
+            status.textContent = profile.email
+                ? `Signed in as ${profile.displayName || profile.email} (${profile.email})`
+                : 'Not read from Google yet. Turn the option off and on to try again.';
+        } else if (status) {
+            status.textContent = 'Your Google email becomes your username, so your changes carry the same name on every device';
+        }
+    }
+
+    /**
+     * Take the username from the Google account, or go back to the typed username
+     * @param {boolean} enabled - Whether to use the Google account
+     */
+    async setUsernameFromGoogle(enabled) {
+        try {
+            if (enabled) {
+                const response = await chrome.runtime.sendMessage({ type: 'DISCOVER_GOOGLE_IDENTITY' });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'No response from background script');
                 }
+                await configManager.set('username_source', 'google');
+                this.showMessage(`Username set to ${response.identity.email}`, 'success');
+            } else {
+                await configManager.set('username_source', 'manual');
+                this.showMessage('Type a username to use instead of your Google account', 'info');
             }
+        } catch (error) {
+            log.error('Error reading the Google account:', error);
+            this.showMessage(`Could not read your Google account: ${error.message}`, 'error');
+        }
+
+        // The background saves the account on the profile
+        await this.loadProfiles();
+        await this.loadUserSettings();
+    }
 
-            return hiddenOrders;
+    /**
+     * @returns {string|null} Username this browser's changes are attributed to, from the settings form
+     */
+    getActingUsername() {
+        const usernameInput = document.getElementById('username');
+        return usernameInput && usernameInput.value.trim() ? usernameInput.value.trim() : null;
+    }
+
+    async getAllHiddenOrders() {
+        try {
+            return await this.backend.getHiddenOrders();
         } catch (error) {
             log.error('Error getting all hidden orders:', error);
             return [];
         }
     }
 
+    /**
+     * Get all cached records whose storage key starts with a prefix
+     * @param {string} keyPrefix - One of KEY_PREFIXES, e.g. KEY_PREFIXES.actionLog
+     * @returns {Array} Stored records
+     */
+    async getStoredRecords(keyPrefix) {
+        try {
+            const allData = await chrome.storage.local.get(null);
+            return Object.entries(allData)
+                .filter(([key, value]) => isRecordKey(key, keyPrefix) && value)
+                .map(([, value]) => value);
+        } catch (error) {
+            log.error(`Error getting stored ${keyPrefix} records:`, error);
+            return [];
+        }
+    }
 
     populateFilterPills(hiddenOrders) {
         log.info('🔍 Populating filter pills with', hiddenOrders.length, 'orders');
@@ -289,18 +970,9 @@ export class PopupManager {
         if (tagPillsContainer) {
             tagPillsContainer.innerHTML = '';
 
-            // Add tag pills
-            Array.from(allTags).sort().forEach(tag => {
-                const pill = document.createElement('span');
-                pill.className = 'filter-pill tag-pill';
-                pill.textContent = tag;
-                pill.dataset.tag = tag;
-
-                pill.addEventListener('click', () => {
-                    this.toggleTagFilter(tag, pill);
-                });
-
-                tagPillsContainer.appendChild(pill);
+            // Add tag pills, nesting "category/subcategory" tags under their parent
+            buildTagTree(Array.from(allTags)).forEach(node => {
+                tagPillsContainer.appendChild(this.createTagTreeNode(node));
             });
             log.info('✅ Tag pills populated with', allTags.size, 'pills');
         } else {
@@ -312,12 +984,26 @@ export class PopupManager {
         if (userPillsContainer) {
             userPillsContainer.innerHTML = '';
 
-            // Add user pills
+            // Add user pills, with the user's role from the UserSettings sheet in team mode
             Array.from(allUsers).sort().forEach(user => {
                 const pill = document.createElement('span');
                 pill.className = 'filter-pill user-pill';
                 pill.textContent = `@${user}`;
                 pill.dataset.user = user;
+                const role = this.teamMode ? getTeamRole(this.teamUsers, user) : null;
+                if (role) {
+                    const badge = document.createElement('span');
+                    badge.className = `role-badge role-${role}`;
+                    badge.textContent = role;
+                    if (isInactiveUser(this.teamUsers, user)) {
+                        badge.classList.add('role-inactive');
+                        badge.title = 'Inactive';
+                    }
+                    pill.appendChild(badge);
+                }
+                if (this.selectedUser === user) {
+                    pill.classList.add('selected');
+                }
 
                 pill.addEventListener('click', () => {
                     this.toggleUserFilter(user, pill);
@@ -331,8 +1017,79 @@ export class PopupManager {
         }
     }
 
-    toggleTagFilter(tag, pillElement) {
-        if (this.selectedTags.has(tag)) {
+    /**
+     * Create the pill for a tag tree node, with a collapsible list of its children
+     * @param {Object} node - Tag tree node, see utils/tag-hierarchy.js
+     * @returns {Element} Tree node element
+     */
+    createTagTreeNode(node) {
+        const item = document.createElement('div');
+        item.className = 'tag-tree-node';
+
+        const row = document.createElement('div');
+        row.className = 'tag-tree-row';
+        item.appendChild(row);
+
+        const hasChildren = node.children.length > 0;
+        const isExpanded = this.expandedTagPaths.has(node.path);
+        let childList = null;
+
+        if (hasChildren) {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'tag-tree-toggle';
+            toggle.textContent = isExpanded ? '▾' : '▸';
+            toggle.setAttribute('aria-expanded', String(isExpanded));
+            toggle.setAttribute('aria-label', `Show tags under ${node.path}`);
+            toggle.addEventListener('click', () => {
+                this.toggleTagTreeNode(node.path, toggle, childList);
+            });
+            row.appendChild(toggle);
+        }
+
+        // Parents only used through their children still filter on the whole branch
+        const pill = document.createElement('span');
+        pill.className = node.isTag ? 'filter-pill tag-pill' : 'filter-pill tag-pill tag-pill-parent';
+        pill.textContent = node.name;
+        pill.title = node.path;
+        pill.dataset.tag = node.path;
+        this.applyTagColor(pill, node.path);
+        if (this.selectedTags.has(node.path)) {
+            pill.classList.add('selected');
+        }
+
+        pill.addEventListener('click', () => {
+            this.toggleTagFilter(node.path, pill);
+        });
+        row.appendChild(pill);
+
+        if (hasChildren) {
+            childList = document.createElement('div');
+            childList.className = isExpanded ? 'tag-tree-children' : 'tag-tree-children hidden';
+            node.children.forEach(child => {
+                childList.appendChild(this.createTagTreeNode(child));
+            });
+            item.appendChild(childList);
+        }
+
+        return item;
+    }
+
+    toggleTagTreeNode(path, toggle, childList) {
+        const isExpanded = !this.expandedTagPaths.has(path);
+        if (isExpanded) {
+            this.expandedTagPaths.add(path);
+        } else {
+            this.expandedTagPaths.delete(path);
+        }
+
+        toggle.textContent = isExpanded ? '▾' : '▸';
+        toggle.setAttribute('aria-expanded', String(isExpanded));
+        childList.classList.toggle('hidden', !isExpanded);
+    }
+
+    toggleTagFilter(tag, pillElement) {
+        if (this.selectedTags.has(tag)) {
             // Remove tag from selection
             this.selectedTags.delete(tag);
             pillElement.classList.remove('selected');
@@ -367,16 +1124,75 @@ export class PopupManager {
         this.applyFilters();
     }
 
+    /**
+     * Update the search query and refilter the orders
+     * @param {string} text - Search box text
+     */
+    setSearchText(text) {
+        this.searchQuery = parseSearchQuery(text);
+
+        const errors = document.getElementById('search-errors');
+        if (errors) {
+            errors.textContent = this.searchQuery.errors.join('; ');
+            errors.classList.toggle('hidden', this.searchQuery.errors.length === 0);
+        }
+
+        this.applyFilters();
+    }
+
+    /**
+     * Load the saved sort order and date ranges into the list controls
+     */
+    async loadListView() {
+        try {
+            const view = await configManager.get('popup_list_view');
+            this.listView = {
+                ...DEFAULT_ORDER_LIST_VIEW,
+                ...(view && typeof view === 'object' && !Array.isArray(view) ? view : {})
+            };
+        } catch (error) {
+            log.error('Error loading list view settings:', error);
+        }
+        this.renderListViewControls();
+    }
+
+    /**
+     * Show the current sort order and date ranges in the list controls
+     */
+    renderListViewControls() {
+        Object.entries(LIST_VIEW_CONTROLS).forEach(([id, setting]) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.value = this.listView[setting] || '';
+            }
+        });
+    }
+
+    /**
+     * Change the sort order or date ranges, refilter and save them for the next popup open
+     * @param {Object} changes - List view settings to change
+     */
+    async updateListView(changes) {
+        this.listView = { ...this.listView, ...changes };
+        this.applyFilters();
+
+        try {
+            await configManager.set('popup_list_view', this.listView);
+        } catch (error) {
+            log.error('Error saving list view settings:', error);
+        }
+    }
+
     applyFilters() {
         if (!this.allOrders) return;
 
         // Filter orders based on current filters
         this.filteredOrders = this.allOrders.filter(order => {
-            // Check tag filters (ALL selected tags must be present)
+            // Check tag filters (ALL selected tags must be present; a parent tag matches its children)
             if (this.selectedTags.size > 0) {
                 const orderTags = order.orderData?.tags || [];
                 const hasAllSelectedTags = Array.from(this.selectedTags).every(selectedTag =>
-                    orderTags.includes(selectedTag)
+                    matchesTagFilter(orderTags, selectedTag)
                 );
                 if (!hasAllSelectedTags) {
                     return false;
@@ -390,9 +1206,21 @@ export class PopupManager {
                 }
             }
 
+            // Check search box terms and operators
+            if (!matchesSearchQuery(order, this.searchQuery)) {
+                return false;
+            }
+
+            // Check order date and hidden date ranges
+            if (!matchesDateRanges(order, this.listView)) {
+                return false;
+            }
+
             return true;
         });
 
+        this.filteredOrders = sortOrders(this.filteredOrders, this.listView.sortBy, this.listView.sortDirection);
+
         // Reset to first page and update display
         this.currentPage = 1;
         this.updateOrderCount();
@@ -407,6 +1235,18 @@ export class PopupManager {
         // Clear selected user
         this.selectedUser = null;
 
+        // Clear search
+        const searchInput = document.getElementById('order-search');
+        if (searchInput) {
+            searchInput.value = '';
+        }
+        this.searchQuery = parseSearchQuery('');
+        const searchErrors = document.getElementById('search-errors');
+        if (searchErrors) {
+            searchErrors.textContent = '';
+            searchErrors.classList.add('hidden');
+        }
+
         // Reset pill visual states
         const allTagPills = document.querySelectorAll('.tag-pill');
         allTagPills.forEach(pill => pill.classList.remove('selected'));
@@ -416,8 +1256,68 @@ export class PopupManager {
 
         log.info('🧹 All filters cleared');
 
-        // Reapply filters (which will show all orders)
-        this.applyFilters();
+        // Clear date ranges, keeping the sort order, and reapply filters (which will show all orders)
+        this.updateListView({ orderDateFrom: null, orderDateTo: null, hiddenFrom: null, hiddenTo: null });
+        this.renderListViewControls();
+    }
+
+    /**
+     * Check whether any tag, user, search or date filter is narrowing the order list
+     * @returns {boolean} True if the list shows a subset of the hidden orders
+     */
+    hasActiveFilters() {
+        const { orderDateFrom, orderDateTo, hiddenFrom, hiddenTo } = this.listView;
+        return this.selectedTags.size > 0 ||
+            Boolean(this.selectedUser) ||
+            !isEmptySearchQuery(this.searchQuery) ||
+            Boolean(orderDateFrom || orderDateTo || hiddenFrom || hiddenTo);
+    }
+
+    /**
+     * Download the orders shown, with their audit log and the cached users
+     * When filters are active only the audit log entries of the listed orders are included
+     * @param {string} format - 'csv', 'json' or 'bundle'
+     */
+    async exportData(format) {
+        try {
+            const filtered = this.hasActiveFilters();
+            const actionLog = await this.getStoredRecords(KEY_PREFIXES.actionLog);
+            const files = buildExportFiles({
+                hiddenOrders: this.filteredOrders,
+                actionLog: filtered ? filterActionLogForOrders(actionLog, this.filteredOrders) : actionLog,
+                userSettings: await this.getStoredRecords(this.getProfileNamespace() + KEY_PREFIXES.userSettings),
+                filtered
+            }, format);
+
+            files.forEach(file => this.downloadFile(file));
+
+            const exportMenu = document.getElementById('export-menu');
+            if (exportMenu) {
+                exportMenu.open = false;
+            }
+
+            const total = this.filteredOrders.length;
+            this.showMessage(`Exported ${total} order${total !== 1 ? 's' : ''}${filtered ? ' matching the filters' : ''}`, 'success');
+        } catch (error) {
+            log.error('Error exporting data:', error);
+            this.showMessage('Error exporting data', 'error');
+        }
+    }
+
+    /**
+     * Save a generated file through the browser's downloads
+     * @param {Object} file - { filename, mimeType, content }
+     */
+    downloadFile({ filename, mimeType, content }) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download a moment to start before releasing the file
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     updateOrderCount() {
@@ -442,25 +1342,49 @@ export class PopupManager {
         const endIndex = startIndex + this.itemsPerPage;
         const pageOrders = this.filteredOrders.slice(startIndex, endIndex);
 
+        // Search matches are highlighted; everything else is escaped
+        const highlightTerms = getHighlightTerms(this.searchQuery);
+
         const ordersHTML = pageOrders.map(order => {
             const orderData = order.orderData || {};
             const tags = orderData.tags || [];
-            const tagsHTML = tags.map(tag =>
-                `<span class="tag">${tag}</span>`
-            ).join('');
+            const tagsHTML = tags.map(tag => {
+                const color = this.tagColors[tag];
+                const style = color ? ` style="--tag-color: ${color}; --tag-text-color: ${getTagTextColor(color)}"` : '';
+                return `<span class="tag"${style}>${highlightMatches(tag, highlightTerms)}</span>`;
+            }).join('');
 
             const usernameHTML = order.username ?
-                `<span class="username-tag">@${order.username}</span>` : '';
+                `<span class="username-tag">@${escapeHtml(order.username)}</span>` : '';
+
+            const archivedHTML = order.type === 'order' ?
+                '<span class="archived-badge">Archived</span>' : '';
+
+            // Item names are only shown when the search matched them; notes are always shown
+            const searchMatchesHTML = findHiddenFieldMatches(order, highlightTerms)
+                .filter(match => match.field === 'item')
+                .map(match =>
+                    `<div class="search-match"><span class="search-match-field">Item:</span> ${highlightMatches(match.text, highlightTerms)}</div>`
+                ).join('');
+
+            const notesHTML = this.renderOrderNotes(order, highlightTerms);
+
+            const confirmingUnhide = !!this.pendingUnhide &&
+                this.pendingUnhide.orderId === order.orderId && this.pendingUnhide.type === order.type;
+            const unhideLabel = confirmingUnhide ? 'Confirm Unhide' : (order.type === 'order' ? 'Unarchive Order' : 'Show Details');
 
             return `
                 <div class="hidden-order-item">
                     <div class="order-header">
-                        <div class="order-id">Order #${order.orderId}</div>
-                        <div class="order-date">${orderData.orderDate || 'Date unknown'}</div>
+                        <div class="order-id">Order #${highlightMatches(order.orderId, highlightTerms)}</div>
+                        <div class="order-date">${escapeHtml(orderData.orderDate || 'Date unknown')}</div>
+                        ${archivedHTML}
                     </div>
                     <div class="order-meta">
-                        <div class="order-price">${orderData.orderTotal || 'Total unknown'}</div>
+                        <div class="order-price">${highlightMatches(orderData.orderTotal || 'Total unknown', highlightTerms)}</div>
                     </div>
+                    ${searchMatchesHTML}
+                    ${notesHTML}
                     <div class="tags-container">
                         <div class="tags-list">
                             ${usernameHTML}
@@ -468,7 +1392,7 @@ export class PopupManager {
                         </div>
                     </div>
                     <div class="order-actions">
-                        <button class="show-details-btn" data-order-id="${order.orderId}" data-type="${order.type}">Show Details</button>
+                        <button class="show-details-btn${confirmingUnhide ? ' confirming' : ''}" data-order-id="${escapeHtml(order.orderId)}" data-type="${escapeHtml(order.type)}">${unhideLabel}</button>
                     </div>
                 </div>
             `;
@@ -484,6 +1408,127 @@ export class PopupManager {
                 this.showOrderDetails(orderId, type);
             });
         });
+
+        // Add event listeners for inline notes editing
+        container.querySelectorAll('.edit-notes-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.startEditingNotes(e.target.dataset.orderId, e.target.dataset.type);
+            });
+        });
+
+        container.querySelectorAll('.save-notes-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const notesInput = container.querySelector('.notes-input');
+                this.saveOrderNotes(e.target.dataset.orderId, e.target.dataset.type, notesInput ? notesInput.value : '');
+            });
+        });
+
+        container.querySelectorAll('.cancel-notes-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.cancelEditingNotes());
+        });
+
+        const notesInput = container.querySelector('.notes-input');
+        if (notesInput) {
+            notesInput.focus();
+        }
+    }
+
+    renderOrderNotes(order, highlightTerms) {
+        const notes = (order.orderData && order.orderData.notes) || '';
+        const dataAttributes = `data-order-id="${escapeHtml(order.orderId)}" data-type="${escapeHtml(order.type)}"`;
+
+        if (this.editingNotes && this.editingNotes.orderId === order.orderId && this.editingNotes.type === order.type) {
+            return `
+                <div class="order-notes editing">
+                    <textarea class="notes-input" rows="3" maxlength="${MAX_NOTES_LENGTH}" placeholder="Add a note">${escapeHtml(notes)}</textarea>
+                    <div class="notes-actions">
+                        <button class="save-notes-btn" ${dataAttributes}>Save</button>
+                        <button class="cancel-notes-btn">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="order-notes">
+                ${notes ? `<div class="notes-text">${highlightMatches(notes, highlightTerms)}</div>` : ''}
+                <button class="edit-notes-btn" ${dataAttributes}>${notes ? 'Edit note' : 'Add note'}</button>
+            </div>
+        `;
+    }
+
+    startEditingNotes(orderId, type) {
+        this.editingNotes = { orderId, type };
+        this.displayFilteredOrders();
+    }
+
+    cancelEditingNotes() {
+        this.editingNotes = null;
+        this.displayFilteredOrders();
+    }
+
+    async saveOrderNotes(orderId, type, notesText) {
+        const notes = (notesText || '').trim();
+        if (notes.length > MAX_NOTES_LENGTH) {
+            this.showMessage(`Notes cannot exceed ${MAX_NOTES_LENGTH} characters`, 'error');
+            return false;
+        }
+
+        try {
+            const key = hiddenOrderKey(orderId, type);
+            const hiddenOrder = await this.storage.get(key);
+            if (!hiddenOrder) {
+                this.showMessage('Order is no longer hidden', 'error');
+                return false;
+            }
+
+            const updatedOrder = {
+                ...hiddenOrder,
+                orderData: { ...(hiddenOrder.orderData || {}), notes },
+                lastModified: new Date().toISOString()
+            };
+            await this.storage.set(key, updatedOrder);
+
+            // Keep the tags the content script restores from in step with the hidden order
+            const storedTags = await this.storage.get(orderTagsKey(orderId));
+            if (storedTags) {
+                await this.storage.set(orderTagsKey(orderId), {
+                    ...storedTags,
+                    tagData: { ...(storedTags.tagData || {}), notes }
+                });
+            }
+
+            // The background queues the write if Google Sheets cannot be reached
+            try {
+                await chrome.runtime.sendMessage({ type: 'SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrderData: updatedOrder });
+            } catch (error) {
+                log.warning('⚠️ Could not sync notes to Google Sheets:', error);
+            }
+
+            await this.updateNotesOnPage(orderId, notes);
+
+            this.editingNotes = null;
+            await this.loadHiddenOrders();
+
+            this.showMessage('Notes saved', 'success');
+            return true;
+        } catch (error) {
+            log.error('Error saving order notes:', error);
+            this.showMessage('Error saving notes', 'error');
+            return false;
+        }
+    }
+
+    async updateNotesOnPage(orderId, notes) {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab && tab.url && getMarketplaceForUrl(tab.url)) {
+                await chrome.tabs.sendMessage(tab.id, { type: 'UPDATE_ORDER_NOTES', orderId, notes });
+            }
+        } catch (error) {
+            // The order page may not be open; the notes are shown the next time it loads
+            log.warning('⚠️ Could not update notes on the order page:', error);
+        }
     }
 
 
@@ -502,236 +1547,1303 @@ export class PopupManager {
             return;
         }
 
-        pagination.classList.remove('hidden');
+        pagination.classList.remove('hidden');
+
+        // Update button states
+        prevBtn.disabled = this.currentPage <= 1;
+        nextBtn.disabled = this.currentPage >= totalPages;
+
+        // Update page info
+        pageInfo.textContent = `Page ${this.currentPage} of ${totalPages}`;
+    }
+
+    goToPreviousPage() {
+        if (this.currentPage > 1) {
+            this.currentPage--;
+            this.displayFilteredOrders();
+            this.updatePagination();
+        }
+    }
+
+    goToNextPage() {
+        const totalPages = Math.ceil(this.filteredOrders.length / this.itemsPerPage);
+        if (this.currentPage < totalPages) {
+            this.currentPage++;
+            this.displayFilteredOrders();
+            this.updatePagination();
+        }
+    }
+
+    openSheetsUrl() {
+        const sheetUrlInput = document.getElementById('sheet-url');
+        if (sheetUrlInput && sheetUrlInput.value.trim()) {
+            chrome.tabs.create({ url: sheetUrlInput.value.trim() });
+        }
+    }
+
+    displayHiddenOrders(hiddenOrders) {
+        // This method is now replaced by displayFilteredOrders
+        // Keep for backward compatibility but redirect to new method
+        this.allOrders = hiddenOrders;
+        this.populateFilterPills(hiddenOrders);
+        this.applyFilters();
+    }
+
+    async showOrderDetails(orderId, type) {
+        if (!this.confirmUnhide(orderId, type)) {
+            return;
+        }
+
+        try {
+            // Send message to content script to show order details
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+            if (tab && tab.url && getMarketplaceForUrl(tab.url)) {
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'SHOW_ORDER_DETAILS',
+                    orderId: orderId,
+                    orderType: type
+                });
+
+                // Remove from hidden orders list
+                await this.unhideOrder(orderId, type);
+
+                this.showMessage(type === 'order' ? 'Order restored!' : 'Order details restored!', 'success');
+            } else {
+                this.showMessage('Please navigate to an Amazon order page first', 'error');
+            }
+        } catch (error) {
+            log.error('Error showing order details:', error);
+            this.showMessage('Error restoring order details', 'error');
+        }
+    }
+
+    /**
+     * In team mode, unhiding someone else's order without editor rights takes a second click
+     * @param {string} orderId - Order ID
+     * @param {string} type - Hidden type
+     * @returns {boolean} True if the order may be unhidden now
+     */
+    confirmUnhide(orderId, type) {
+        if (!this.teamMode) {
+            return true;
+        }
+
+        const order = (this.allOrders || []).find(hiddenOrder => hiddenOrder.orderId === orderId && hiddenOrder.type === type);
+        const hiddenBy = order ? order.username : null;
+        if (getUnhidePermission(this.teamUsers, this.getActingUsername(), hiddenBy) === 'allowed') {
+            return true;
+        }
+
+        // The first click asks for confirmation, the second unhides
+        const isPending = !!this.pendingUnhide && this.pendingUnhide.orderId === orderId && this.pendingUnhide.type === type;
+        if (!isPending) {
+            this.pendingUnhide = { orderId, type };
+            this.displayFilteredOrders();
+            this.showMessage(`Hidden by @${hiddenBy}. Click Confirm Unhide to unhide it without editor rights.`, 'info');
+            return false;
+        }
+
+        this.pendingUnhide = null;
+        return true;
+    }
+
+    async unhideOrder(orderId, type) {
+        try {
+            // The backend records the unhide in the audit log and, with Google Sheets, removes the row
+            await this.backend.unhide(orderId, type);
+
+            // Reload hidden orders
+            await this.loadHiddenOrders();
+
+            this.showMessage('Order unhidden successfully!', 'success');
+        } catch (error) {
+            log.error('Error unhiding order:', error);
+            this.showMessage('Error unhiding order', 'error');
+        }
+    }
+
+
+    showMessage(message, type = 'info') {
+        // Create a temporary message element
+        const messageEl = document.createElement('div');
+        messageEl.className = `message message-${type}`;
+        messageEl.textContent = message;
+
+        // Style the message with stacking support
+        messageEl.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 12px 16px;
+            border-radius: 6px;
+            color: white;
+            font-size: 14px;
+            font-weight: 500;
+            z-index: 1000;
+            animation: slideIn 0.3s ease;
+            max-width: 300px;
+            word-wrap: break-word;
+        `;
+
+        // Set background color based on type
+        if (type === 'success') {
+            messageEl.style.background = '#28a745';
+        } else if (type === 'error') {
+            messageEl.style.background = '#dc3545';
+        } else {
+            messageEl.style.background = '#17a2b8';
+        }
+
+        // Push existing toasts down
+        this.pushExistingToastsDown();
+
+        // Add to body
+        document.body.appendChild(messageEl);
+
+        // Remove after 3 seconds
+        setTimeout(() => {
+            if (messageEl.parentNode) {
+                messageEl.parentNode.removeChild(messageEl);
+                // Adjust remaining toasts when this one is removed
+                this.adjustRemainingToasts();
+            }
+        }, 3000);
+    }
+
+    pushExistingToastsDown() {
+        const existingToasts = document.querySelectorAll('.message');
+        existingToasts.forEach((toast, index) => {
+            // Each toast gets pushed down by 60px (height + margin)
+            toast.style.top = `${20 + (index + 1) * 60}px`;
+        });
+    }
+
+    adjustRemainingToasts() {
+        const existingToasts = document.querySelectorAll('.message');
+        existingToasts.forEach((toast, index) => {
+            // Recalculate positions after a toast is removed
+            toast.style.top = `${20 + index * 60}px`;
+        });
+    }
+
+    showResyncDialog() {
+        const dialog = document.getElementById('resync-dialog');
+        if (dialog) {
+            dialog.classList.remove('hidden');
+        }
+    }
+
+    hideResyncDialog() {
+        const dialog = document.getElementById('resync-dialog');
+        if (dialog) {
+            dialog.classList.add('hidden');
+        }
+    }
+
+    async executeResync() {
+        try {
+            log.info('🔄 Starting comprehensive resync process...');
+
+            // Snapshot local data first so the resync can be undone from Settings
+            log.info('🔄 Taking a backup snapshot...');
+            await backupManager.createSnapshot('resync', await configManager.get('backup_snapshot_limit'));
+
+            // Step 1: Clear all hidden order data from storage
+            log.info('🔄 Step 1: Clearing browser storage...');
+            await this.clearAllHiddenOrders();
+
+            // Step 2: Send message to content script to restore all hidden orders (clear page state)
+            log.info('🔄 Step 2: Clearing page hiding state...');
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab && tab.url && getMarketplaceForUrl(tab.url)) {
+                try {
+                    const response = await chrome.tabs.sendMessage(tab.id, { action: 'resync-orders' });
+                    if (response && response.success) {
+                        log.info(`✅ Content script restored ${response.restoredCount} hidden orders`);
+                    } else {
+                        log.warning('⚠️ Content script resync response:', response);
+                    }
+                } catch (error) {
+                    log.warning('⚠️ Could not communicate with content script (may not be on orders page):', error);
+                }
+            }
+
+            // Step 3: Fetch hidden orders from Google Sheets
+            log.info('🔄 Step 3: Fetching hidden orders from Google Sheets...');
+            const hiddenOrdersData = await this.fetchHiddenOrdersFromSheets();
+
+            if (hiddenOrdersData && hiddenOrdersData.length > 0) {
+                log.info(`📥 Fetched ${hiddenOrdersData.length} hidden orders from Google Sheets`);
+
+                // Step 4: Store fetched data in browser storage
+                log.info('🔄 Step 4: Storing fetched data in browser storage...');
+                await this.storeFetchedHiddenOrders(hiddenOrdersData);
+
+                // Step 5: Apply hiding to current page
+                log.info('🔄 Step 5: Applying hiding to current page...');
+                if (tab && tab.url && getMarketplaceForUrl(tab.url)) {
+                    try {
+                        const response = await chrome.tabs.sendMessage(tab.id, {
+                            action: 'apply-hidden-orders',
+                            hiddenOrders: hiddenOrdersData
+                        });
+                        if (response && response.success) {
+                            log.info(`✅ Applied hiding to ${response.hiddenCount} orders on page`);
+                        }
+                    } catch (error) {
+                        log.warning('⚠️ Could not apply hiding to page:', error);
+                    }
+                }
+            } else {
+                log.info('📥 No hidden orders found in Google Sheets');
+            }
+
+            // Hide the dialog
+            this.hideResyncDialog();
+
+            // Show success message
+            const message = hiddenOrdersData && hiddenOrdersData.length > 0
+                ? `Orders resynced successfully! Loaded ${hiddenOrdersData.length} hidden orders from Google Sheets.`
+                : 'Orders resynced successfully! No hidden orders found in Google Sheets.';
+            this.showMessage(message, 'success');
+
+            // Reload the hidden orders list
+            await this.loadHiddenOrders();
+            await this.loadBackupSnapshots();
+
+            log.info('✅ Comprehensive resync completed successfully');
+        } catch (error) {
+            log.error('❌ Error during resync:', error);
+            this.showMessage('Error during resync process: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Run an incremental two-way sync with Google Sheets and refresh the popup and page
+     */
+    async executeIncrementalSync() {
+        const syncNowBtn = document.getElementById('sync-now-btn');
+        try {
+            log.info('🔄 Starting incremental sync...');
+            if (syncNowBtn) {
+                syncNowBtn.disabled = true;
+                syncNowBtn.textContent = 'Syncing...';
+            }
+
+            const response = await chrome.runtime.sendMessage({ type: 'INCREMENTAL_SYNC' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+
+            const report = response.report;
+            this.renderSyncReport(report);
+            await this.loadTeam();
+            await this.loadHiddenOrders();
+            await this.loadOutboxStatus();
+
+            // Re-apply hiding on the current page so pulled changes show up immediately
+            await this.refreshOrdersOnPage();
+
+            const conflictText = report.conflicts.length > 0 ? ` (${report.conflicts.length} conflicts resolved)` : '';
+            if (report.rejected.length > 0) {
+                this.showMessage(`Sync complete, ${report.rejected.length} changes rejected: you are inactive in the team spreadsheet`, 'error');
+            } else {
+                this.showMessage(`Sync complete${conflictText}`, 'success');
+            }
+            log.info('✅ Incremental sync completed:', report);
+        } catch (error) {
+            log.error('❌ Error during incremental sync:', error);
+            this.showMessage('Error during sync: ' + error.message, 'error');
+        } finally {
+            if (syncNowBtn) {
+                syncNowBtn.disabled = false;
+                syncNowBtn.textContent = 'Sync Now';
+            }
+        }
+    }
+
+    /**
+     * Show how many Google Sheets writes are waiting to be retried, and why
+     */
+    /**
+     * Re-apply hiding on the current order page from the hidden orders in the popup
+     */
+    async refreshOrdersOnPage() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab || !tab.url || !getMarketplaceForUrl(tab.url)) {
+            return;
+        }
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type: 'SET_TAG_COLORS', tagColors: this.tagColors });
+            await chrome.tabs.sendMessage(tab.id, { action: 'resync-orders' });
+            await chrome.tabs.sendMessage(tab.id, {
+                action: 'apply-hidden-orders',
+                hiddenOrders: this.allOrders.map(order => ({
+                    orderId: order.orderId,
+                    type: order.type,
+                    hiddenBy: order.username,
+                    tags: order.orderData && order.orderData.tags ? order.orderData.tags.join(',') : '',
+                    notes: order.orderData ? order.orderData.notes || '' : ''
+                }))
+            });
+        } catch (error) {
+            log.warning('⚠️ Could not refresh order page:', error);
+        }
+    }
+
+    async loadOutboxStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SHEETS_OUTBOX_STATUS' });
+            if (response && response.success) {
+                this.renderOutboxStatus(response.status);
+            }
+        } catch (error) {
+            log.warning('⚠️ Could not load Sheets outbox status:', error);
+        }
+    }
+
+    /**
+     * Render the outbox status banner
+     * @param {Object} status - Outbox status ({ pendingCount, lastError, nextAttemptAt })
+     */
+    renderOutboxStatus(status) {
+        const container = document.getElementById('outbox-status');
+        if (!container) {
+            return;
+        }
+
+        if (!status || status.pendingCount === 0) {
+            container.classList.add('hidden');
+            container.textContent = '';
+            return;
+        }
+
+        container.textContent = '';
+
+        const summary = document.createElement('div');
+        const changes = status.pendingCount === 1 ? 'change' : 'changes';
+        summary.textContent = `${status.pendingCount} ${changes} waiting to sync to Google Sheets`;
+        if (status.nextAttemptAt) {
+            summary.textContent += ` (next retry ${new Date(status.nextAttemptAt).toLocaleTimeString()})`;
+        }
+        container.appendChild(summary);
+
+        if (status.lastError) {
+            const error = document.createElement('div');
+            error.className = 'outbox-status-error';
+            error.textContent = `Last error: ${status.lastError}`;
+            container.appendChild(error);
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Show the report from the most recent incremental sync, if there is one
+     */
+    async loadSyncReport() {
+        try {
+            const syncState = await this.storage.get(this.getProfileNamespace() + 'sync_state');
+            if (syncState && syncState.lastReport) {
+                this.renderSyncReport(syncState.lastReport);
+            }
+        } catch (error) {
+            log.error('Error loading sync report:', error);
+        }
+    }
+
+    /**
+     * Render a sync report into the settings view
+     * @param {Object} report - Report returned by the incremental sync
+     */
+    renderSyncReport(report) {
+        const container = document.getElementById('sync-report');
+        if (!container || !report) {
+            return;
+        }
+
+        const describe = (changes) =>
+            `${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`;
+
+        container.textContent = '';
+
+        const time = document.createElement('div');
+        time.className = 'sync-report-time';
+        time.textContent = `Last sync: ${new Date(report.timestamp).toLocaleString()}`;
+        container.appendChild(time);
+
+        const lines = [
+            `This browser: ${describe(report.local)}`,
+            `Google Sheets: ${describe(report.remote)}`,
+            `Conflicts: ${report.conflicts.length}`
+        ];
+        // Reports saved before team mode existed have no rejected list
+        const rejected = report.rejected || [];
+        if (rejected.length > 0) {
+            lines.push(`Rejected (inactive user): ${rejected.length}`);
+        }
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'sync-report-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+
+        if (report.conflicts.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'sync-report-conflicts';
+            report.conflicts.forEach(conflict => {
+                const item = document.createElement('li');
+                const winner = conflict.winner === 'local' ? 'this browser' : 'Google Sheets';
+                item.textContent = `${conflict.orderId} (${conflict.type}): kept ${winner}`;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Read a CSV or JSON file and preview what importing it would change
+     * @param {File} file - File chosen in the import section
+     */
+    async previewImportFile(file) {
+        try {
+            const records = parseImportFile(await file.text(), file.name);
+            this.importPreview = previewHiddenOrdersImport(records, await this.getAllHiddenOrders());
+        } catch (error) {
+            log.error('Error reading import file:', error);
+            this.importPreview = null;
+            this.showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+        this.renderImportPreview();
+    }
+
+    /**
+     * Show the import summary and the errors and warnings of each row
+     */
+    renderImportPreview() {
+        const container = document.getElementById('import-preview');
+        const applyBtn = document.getElementById('import-apply-btn');
+        const preview = this.importPreview;
+
+        if (applyBtn) {
+            // A file without a single valid row must never unhide everything in replace mode
+            applyBtn.disabled = !preview || preview.summary.new + preview.summary.update === 0;
+        }
+        if (!container) {
+            return;
+        }
+
+        container.textContent = '';
+        container.classList.toggle('hidden', !preview);
+        if (!preview) {
+            return;
+        }
+
+        const { total, invalid, duplicate, warnings } = preview.summary;
+        const removedCount = planHiddenOrdersImport(preview, this.allOrders, this.getImportMode()).remove.length;
+        const lines = [
+            `${total} row${total !== 1 ? 's' : ''}: ${preview.summary.new} new, ${preview.summary.update} updated, ${invalid} invalid, ${duplicate} duplicate`,
+            `${warnings} warning${warnings !== 1 ? 's' : ''}`
+        ];
+        if (removedCount > 0) {
+            lines.push(`${removedCount} hidden order${removedCount !== 1 ? 's' : ''} not in the file will be unhidden`);
+        }
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'import-preview-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+
+        const list = document.createElement('ul');
+        list.className = 'import-preview-rows';
+        preview.rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = `import-preview-row ${row.status}`;
+            item.textContent = `Row ${row.row}: ${row.orderId || 'no order ID'} (${row.status})`;
+
+            const messages = [...row.errors, ...row.warnings];
+            if (messages.length > 0) {
+                const messageList = document.createElement('ul');
+                messageList.className = 'import-preview-messages';
+                messages.forEach(message => {
+                    const messageItem = document.createElement('li');
+                    messageItem.textContent = message;
+                    messageList.appendChild(messageItem);
+                });
+                item.appendChild(messageList);
+            }
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    /**
+     * Get the import mode chosen in the import section
+     * @returns {string} 'merge' or 'replace'
+     */
+    getImportMode() {
+        const modeSelect = document.getElementById('import-mode');
+        return modeSelect && modeSelect.value === 'replace' ? 'replace' : 'merge';
+    }
+
+    /**
+     * Apply the previewed import to local storage, optionally writing it to Google Sheets
+     */
+    async applyImport() {
+        if (!this.importPreview || this.importPreview.summary.new + this.importPreview.summary.update === 0) {
+            return false;
+        }
+
+        try {
+            const pushCheckbox = document.getElementById('import-push-to-sheets');
+            const pushToSheets = Boolean(pushCheckbox && pushCheckbox.checked);
+            const plan = planHiddenOrdersImport(this.importPreview, await this.getAllHiddenOrders(), this.getImportMode());
+
+            const response = await chrome.runtime.sendMessage({ type: 'IMPORT_HIDDEN_ORDERS', plan, pushToSheets });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+
+            this.clearImport();
+            await this.loadHiddenOrders();
+            await this.refreshOrdersOnPage();
+
+            let message = `Imported ${response.importedCount} order${response.importedCount !== 1 ? 's' : ''}`;
+            if (response.removedCount > 0) {
+                message += `, unhid ${response.removedCount}`;
+            }
+            if (response.sheetsError) {
+                message += `, not written to Google Sheets: ${response.sheetsError}`;
+            } else if (response.queuedCount > 0) {
+                message += ', Google Sheets update queued';
+            }
+            this.showMessage(message, response.sheetsError ? 'error' : 'success');
+            return true;
+        } catch (error) {
+            log.error('Error importing hidden orders:', error);
+            this.showMessage('Error importing hidden orders: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Forget the chosen import file and hide the preview
+     */
+    clearImport() {
+        this.importPreview = null;
+        const importFile = document.getElementById('import-file');
+        if (importFile) {
+            importFile.value = '';
+        }
+        this.renderImportPreview();
+    }
+
+    /**
+     * Load the automatic backup snapshots and show them in the settings view
+     */
+    async loadBackupSnapshots() {
+        try {
+            this.backupSnapshots = await backupManager.getSnapshots();
+        } catch (error) {
+            log.error('Error loading backup snapshots:', error);
+            this.backupSnapshots = [];
+        }
+        this.renderBackupSnapshots();
+    }
+
+    /**
+     * Show each snapshot with what it holds and a button to restore it
+     */
+    renderBackupSnapshots() {
+        const container = document.getElementById('backup-snapshots');
+        if (!container) {
+            return;
+        }
+
+        container.textContent = '';
+
+        if (this.backupSnapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'rules-empty';
+            empty.textContent = 'No snapshots yet';
+            container.appendChild(empty);
+            return;
+        }
+
+        this.backupSnapshots.forEach(({ manifest }) => {
+            const item = document.createElement('div');
+            item.className = 'rule-item backup-snapshot';
+
+            const summary = document.createElement('div');
+            summary.className = 'rule-summary';
+            const name = document.createElement('div');
+            name.className = 'rule-name';
+            name.textContent = `${BACKUP_REASON_LABELS[manifest.reason] || manifest.reason}, ${new Date(manifest.createdAt).toLocaleString()}`;
+            const description = document.createElement('div');
+            description.className = 'rule-description';
+            description.textContent = describeBackup(manifest);
+            summary.appendChild(name);
+            summary.appendChild(description);
+            item.appendChild(summary);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'rule-action-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => this.restoreSnapshot(manifest.createdAt));
+            item.appendChild(restoreBtn);
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Download a backup of everything stored locally
+     */
+    async downloadBackup() {
+        try {
+            const backup = await backupManager.createBackup('manual');
+            this.downloadFile(buildBackupFile(backup));
+            this.showMessage(`Backup downloaded: ${describeBackup(backup.manifest)}`, 'success');
+        } catch (error) {
+            log.error('Error creating backup:', error);
+            this.showMessage('Error creating backup: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Read and check a backup file, then show what restoring it would bring back
+     * @param {File} file - File chosen in the backup section
+     */
+    async previewBackupFile(file) {
+        try {
+            this.pendingRestore = parseBackupFile(await file.text());
+        } catch (error) {
+            log.error('Error reading backup file:', error);
+            this.pendingRestore = null;
+            this.showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+        this.renderBackupPreview();
+    }
+
+    /**
+     * Show the manifest of the chosen backup file
+     */
+    renderBackupPreview() {
+        const container = document.getElementById('backup-preview');
+        const restoreBtn = document.getElementById('backup-restore-btn');
+        const backup = this.pendingRestore;
+
+        if (restoreBtn) {
+            restoreBtn.disabled = !backup;
+        }
+        if (!container) {
+            return;
+        }
+
+        container.textContent = '';
+        container.classList.toggle('hidden', !backup);
+        if (!backup) {
+            return;
+        }
+
+        const { manifest } = backup;
+        const version = manifest.extensionVersion ? `, Archizer ${manifest.extensionVersion}` : '';
+        [
+            `Backup from ${new Date(manifest.createdAt).toLocaleString()} (schema version ${manifest.schemaVersion}${version})`,
+            describeBackup(manifest),
+            'Restoring replaces everything stored in this browser. A snapshot of the current data is taken first.'
+        ].forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'import-preview-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+    }
+
+    /**
+     * Forget the chosen backup file and hide its preview
+     */
+    clearBackupFile() {
+        this.pendingRestore = null;
+        const backupFile = document.getElementById('backup-file');
+        if (backupFile) {
+            backupFile.value = '';
+        }
+        this.renderBackupPreview();
+    }
+
+    /**
+     * Restore one of the automatic snapshots
+     * @param {string} createdAt - The snapshot's manifest.createdAt
+     */
+    async restoreSnapshot(createdAt) {
+        const snapshot = await backupManager.getSnapshot(createdAt);
+        if (!snapshot) {
+            this.showMessage('That snapshot no longer exists', 'error');
+            await this.loadBackupSnapshots();
+            return false;
+        }
+        return this.restoreBackup(snapshot);
+    }
+
+    /**
+     * Replace all local data with a backup, after snapshotting the current data
+     * @param {Object} backup - Backup from a file or a snapshot
+     */
+    async restoreBackup(backup) {
+        try {
+            const { valid, errors } = validateBackup(backup);
+            if (!valid) {
+                throw new Error(errors.join('; '));
+            }
+
+            await backupManager.createSnapshot('restore', await configManager.get('backup_snapshot_limit'));
+            await backupManager.restoreBackup(backup);
+
+            this.clearBackupFile();
+            await this.reloadState();
+            await this.refreshOrdersOnPage();
+
+            this.showMessage(`Backup from ${new Date(backup.manifest.createdAt).toLocaleString()} restored: ${describeBackup(backup.manifest)}`, 'success');
+            return true;
+        } catch (error) {
+            log.error('Error restoring backup:', error);
+            this.showMessage('Error restoring backup: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Ask the background for a dry run of the sheet layout update and show it
+     */
+    async checkSheetsMigration() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'MIGRATE_SHEETS_SCHEMA', dryRun: true });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error');
+            }
+            this.sheetsMigrationReport = response.report;
+        } catch (error) {
+            log.error('Error checking the sheet layout:', error);
+            this.sheetsMigrationReport = null;
+            this.showMessage('Error checking the sheet layout: ' + error.message, 'error');
+        }
+        this.renderSheetsMigrationReport();
+    }
+
+    /**
+     * Show each migration the spreadsheet needs, with what every change would do
+     */
+    renderSheetsMigrationReport() {
+        const container = document.getElementById('sheets-migration-report');
+        const applyBtn = document.getElementById('sheets-migration-apply-btn');
+        const report = this.sheetsMigrationReport;
+
+        if (applyBtn) {
+            applyBtn.disabled = !report || report.upToDate || report.errors.length > 0;
+        }
+        if (!container) {
+            return;
+        }
+
+        container.textContent = '';
+        container.classList.toggle('hidden', !report);
+        if (!report) {
+            return;
+        }
+
+        const recorded = report.storedVersion === null ? 'not recorded' : `recorded as ${report.storedVersion}`;
+        const lines = [
+            `Layout version ${report.fromVersion ?? 'unknown'} (${recorded}), current version ${report.toVersion}`
+        ];
+        if (report.upToDate) {
+            lines.push('Up to date');
+        } else if (report.steps.length === 0 && report.errors.length === 0) {
+            lines.push(`No column changes needed, version ${report.toVersion} will be recorded`);
+        }
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'import-preview-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+
+        if (report.steps.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'import-preview-rows';
+            report.steps.forEach(step => {
+                step.changes.forEach(change => {
+                    const item = document.createElement('li');
+                    item.className = `import-preview-row ${change.status}`;
+                    const reason = change.reason ? `: ${change.reason}` : '';
+                    item.textContent = `Version ${step.version}: ${change.description} (${change.status}${reason})`;
+                    list.appendChild(item);
+                });
+            });
+            container.appendChild(list);
+        }
+
+        report.errors.forEach(error => {
+            const line = document.createElement('div');
+            line.className = 'import-preview-line import-preview-row invalid';
+            line.textContent = error;
+            container.appendChild(line);
+        });
+    }
+
+    /**
+     * Apply the checked sheet layout update
+     */
+    async applySheetsMigration() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'MIGRATE_SHEETS_SCHEMA', dryRun: false });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error');
+            }
+            this.sheetsMigrationReport = null;
+            this.renderSheetsMigrationReport();
+            this.showMessage(`Sheet layout updated to version ${response.report.toVersion}`, 'success');
+            return true;
+        } catch (error) {
+            log.error('Error updating the sheet layout:', error);
+            this.showMessage('Error updating the sheet layout: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Load auto-archive rules from config and show them in the settings view
+     */
+    async loadAutoArchiveRules() {
+        try {
+            const rules = await configManager.get('auto_archive_rules');
+            this.autoArchiveRules = Array.isArray(rules) ? rules : [];
+            this.renderAutoArchiveRules();
+        } catch (error) {
+            log.error('Error loading auto-archive rules:', error);
+        }
+    }
+
+    /**
+     * Describe a rule's conditions in plain words
+     * @param {Object} rule - Auto-archive rule
+     * @returns {string} Description
+     */
+    describeAutoArchiveRule(rule) {
+        const conditions = rule.conditions || {};
+        const parts = [];
+        if (conditions.olderThan) {
+            parts.push(`older than ${conditions.olderThan.amount} ${conditions.olderThan.unit}`);
+        }
+        if (conditions.totalUnder !== undefined) {
+            parts.push(`total under ${conditions.totalUnder}`);
+        }
+        if (conditions.itemPattern) {
+            parts.push(`items matching ${conditions.itemPattern}`);
+        }
+
+        let description = `Hide ${rule.hideType === 'order' ? 'order' : 'details'}: ${parts.join(', ')}`;
+        if (rule.tags && rule.tags.length > 0) {
+            description += ` (tags: ${rule.tags.join(', ')})`;
+        }
+        return description;
+    }
+
+    /**
+     * Render the list of auto-archive rules
+     */
+    renderAutoArchiveRules() {
+        const container = document.getElementById('auto-archive-rules-list');
+        if (!container) {
+            return;
+        }
+
+        container.textContent = '';
 
-        // Update button states
-        prevBtn.disabled = this.currentPage <= 1;
-        nextBtn.disabled = this.currentPage >= totalPages;
+        if (this.autoArchiveRules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'rules-empty';
+            empty.textContent = 'No rules yet';
+            container.appendChild(empty);
+            return;
+        }
 
-        // Update page info
-        pageInfo.textContent = `Page ${this.currentPage} of ${totalPages}`;
+        this.autoArchiveRules.forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'rule-item';
+            item.classList.toggle('disabled', rule.enabled === false);
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = rule.enabled !== false;
+            toggle.title = 'Enabled';
+            toggle.addEventListener('change', () => this.toggleAutoArchiveRule(rule.name, toggle.checked));
+            item.appendChild(toggle);
+
+            const summary = document.createElement('div');
+            summary.className = 'rule-summary';
+            const name = document.createElement('div');
+            name.className = 'rule-name';
+            name.textContent = rule.name;
+            const description = document.createElement('div');
+            description.className = 'rule-description';
+            description.textContent = this.describeAutoArchiveRule(rule);
+            summary.appendChild(name);
+            summary.appendChild(description);
+            item.appendChild(summary);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'rule-action-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.fillRuleForm(rule));
+            item.appendChild(editBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'rule-action-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteAutoArchiveRule(rule.name));
+            item.appendChild(deleteBtn);
+
+            container.appendChild(item);
+        });
     }
 
-    goToPreviousPage() {
-        if (this.currentPage > 1) {
-            this.currentPage--;
-            this.displayFilteredOrders();
-            this.updatePagination();
-        }
-    }
+    /**
+     * Build a rule from the rule form
+     * Empty fields are left out so they do not become conditions
+     * @returns {Object} Auto-archive rule
+     */
+    readRuleForm() {
+        const value = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value.trim() : '';
+        };
 
-    goToNextPage() {
-        const totalPages = Math.ceil(this.filteredOrders.length / this.itemsPerPage);
-        if (this.currentPage < totalPages) {
-            this.currentPage++;
-            this.displayFilteredOrders();
-            this.updatePagination();
+        const conditions = {};
+        if (value('rule-older-than') !== '') {
+            conditions.olderThan = { amount: Number(value('rule-older-than')), unit: value('rule-older-than-unit') || 'years' };
+        }
+        if (value('rule-total-under') !== '') {
+            conditions.totalUnder = Number(value('rule-total-under'));
         }
+        if (value('rule-item-pattern') !== '') {
+            conditions.itemPattern = value('rule-item-pattern');
+        }
+
+        return {
+            name: value('rule-name'),
+            enabled: true,
+            hideType: value('rule-hide-type') || 'details',
+            tags: value('rule-tags').split(',').map(tag => tag.trim()).filter(Boolean),
+            conditions
+        };
     }
 
-    openSheetsUrl() {
-        const sheetUrlInput = document.getElementById('sheet-url');
-        if (sheetUrlInput && sheetUrlInput.value.trim()) {
-            chrome.tabs.create({ url: sheetUrlInput.value.trim() });
-        }
+    /**
+     * Fill the rule form with an existing rule for editing
+     * @param {Object} rule - Auto-archive rule
+     */
+    fillRuleForm(rule) {
+        const conditions = rule.conditions || {};
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.value = value;
+            }
+        };
+
+        setValue('rule-name', rule.name);
+        setValue('rule-older-than', conditions.olderThan ? conditions.olderThan.amount : '');
+        setValue('rule-older-than-unit', conditions.olderThan ? conditions.olderThan.unit : 'years');
+        setValue('rule-total-under', conditions.totalUnder !== undefined ? conditions.totalUnder : '');
+        setValue('rule-item-pattern', conditions.itemPattern || '');
+        setValue('rule-tags', (rule.tags || []).join(', '));
+        setValue('rule-hide-type', rule.hideType || 'details');
+        this.editingRuleName = rule.name;
     }
 
-    displayHiddenOrders(hiddenOrders) {
-        // This method is now replaced by displayFilteredOrders
-        // Keep for backward compatibility but redirect to new method
-        this.allOrders = hiddenOrders;
-        this.populateFilterPills(hiddenOrders);
-        this.applyFilters();
+    /**
+     * Reset the rule form
+     */
+    clearRuleForm() {
+        this.fillRuleForm({ name: '', conditions: {} });
+        this.editingRuleName = null;
     }
 
-    async showOrderDetails(orderId, type) {
-        try {
-            // Send message to content script to show order details
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    /**
+     * Save the rule in the form, replacing the rule being edited
+     */
+    async saveAutoArchiveRule() {
+        const rule = this.readRuleForm();
+        const rules = [...this.autoArchiveRules];
+        const index = rules.findIndex(existing => existing.name === (this.editingRuleName || rule.name));
 
-            if (tab && tab.url && tab.url.includes('amazon.com')) {
-                chrome.tabs.sendMessage(tab.id, {
-                    type: 'SHOW_ORDER_DETAILS',
-                    orderId: orderId,
-                    orderType: type
-                });
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rule.enabled = rules[index].enabled !== false;
+            rules[index] = rule;
+        }
 
-                // Remove from hidden orders list
-                await this.unhideOrder(orderId, type);
+        if (await this.saveAutoArchiveRules(rules)) {
+            this.clearRuleForm();
+            this.showMessage(`Rule "${rule.name}" saved`, 'success');
+        }
+    }
 
-                this.showMessage('Order details restored!', 'success');
-            } else {
-                this.showMessage('Please navigate to an Amazon order page first', 'error');
+    /**
+     * Enable or disable a rule
+     * @param {string} name - Rule name
+     * @param {boolean} enabled - Whether the rule should run
+     */
+    async toggleAutoArchiveRule(name, enabled) {
+        const rules = this.autoArchiveRules.map(rule => (rule.name === name ? { ...rule, enabled } : rule));
+        await this.saveAutoArchiveRules(rules);
+    }
+
+    /**
+     * Delete a rule
+     * @param {string} name - Rule name
+     */
+    async deleteAutoArchiveRule(name) {
+        const rules = this.autoArchiveRules.filter(rule => rule.name !== name);
+        if (await this.saveAutoArchiveRules(rules)) {
+            if (this.editingRuleName === name) {
+                this.clearRuleForm();
             }
-        } catch (error) {
-            log.error('Error showing order details:', error);
-            this.showMessage('Error restoring order details', 'error');
+            this.showMessage(`Rule "${name}" deleted`, 'success');
         }
     }
 
-    async unhideOrder(orderId, type) {
+    /**
+     * Validate and store the full list of rules
+     * @param {Array} rules - Auto-archive rules
+     * @returns {boolean} Whether the rules were saved
+     */
+    async saveAutoArchiveRules(rules) {
         try {
-            // Remove from storage
-            await this.storage.remove(`hidden_order_${orderId}_${type}`);
+            await configManager.set('auto_archive_rules', rules);
+            this.autoArchiveRules = rules;
+            this.renderAutoArchiveRules();
+            return true;
+        } catch (error) {
+            log.error('Error saving auto-archive rules:', error);
+            this.showMessage(error.message, 'error');
+            this.renderAutoArchiveRules();
+            return false;
+        }
+    }
 
-            // Reload hidden orders
-            await this.loadHiddenOrders();
+    async loadTagColors() {
+        try {
+            this.tagColors = await configManager.get('tag_colors') || {};
+        } catch (error) {
+            log.error('Error loading tag colors:', error);
+            this.tagColors = {};
+        }
+    }
 
-            this.showMessage('Order unhidden successfully!', 'success');
+    async loadTagPolicy() {
+        try {
+            this.tagPolicy = resolveTagPolicy(await configManager.get('tag_policy'));
         } catch (error) {
-            log.error('Error unhiding order:', error);
-            this.showMessage('Error unhiding order', 'error');
+            log.error('Error loading tag policy:', error);
+            this.tagPolicy = resolveTagPolicy();
         }
     }
 
+    applyTagColor(element, tag) {
+        const color = this.tagColors[tag];
+        if (color) {
+            element.style.setProperty('--tag-color', color);
+            element.style.setProperty('--tag-text-color', getTagTextColor(color));
+        }
+    }
 
-    showMessage(message, type = 'info') {
-        // Create a temporary message element
-        const messageEl = document.createElement('div');
-        messageEl.className = `message message-${type}`;
-        messageEl.textContent = message;
+    renderTagManager() {
+        const container = document.getElementById('tag-manager-list');
+        if (!container) return;
 
-        // Style the message with stacking support
-        messageEl.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 12px 16px;
-            border-radius: 6px;
-            color: white;
-            font-size: 14px;
-            font-weight: 500;
-            z-index: 1000;
-            animation: slideIn 0.3s ease;
-            max-width: 300px;
-            word-wrap: break-word;
-        `;
+        const usage = collectTagUsage(this.allOrders);
+        container.innerHTML = '';
 
-        // Set background color based on type
-        if (type === 'success') {
-            messageEl.style.background = '#28a745';
-        } else if (type === 'error') {
-            messageEl.style.background = '#dc3545';
-        } else {
-            messageEl.style.background = '#17a2b8';
+        if (usage.length === 0) {
+            container.innerHTML = '<p class="no-orders-message">No tags found.</p>';
         }
 
-        // Push existing toasts down
-        this.pushExistingToastsDown();
+        usage.forEach(({ tag, count }) => {
+            const item = document.createElement('div');
+            item.className = 'tag-manager-item';
+            item.dataset.tag = tag;
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'tag-color-input';
+            colorInput.title = 'Tag color';
+            colorInput.value = this.tagColors[tag] || '#e7f3ff';
+            colorInput.addEventListener('change', () => this.setTagColor(tag, colorInput.value));
+
+            const name = document.createElement('span');
+            name.className = 'tag-manager-name';
+            name.textContent = tag;
+
+            const countLabel = document.createElement('span');
+            countLabel.className = 'tag-manager-count';
+            countLabel.textContent = `${count} ${count === 1 ? 'order' : 'orders'}`;
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'rename-tag-btn';
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', () => this.selectTagToRename(tag));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-tag-btn';
+            deleteBtn.textContent = this.pendingTagDelete === tag ? 'Confirm delete' : 'Delete';
+            deleteBtn.classList.toggle('confirming', this.pendingTagDelete === tag);
+            deleteBtn.addEventListener('click', () => this.deleteTag(tag));
+
+            item.append(colorInput, name, countLabel, renameBtn, deleteBtn);
+
+            if (this.tagColors[tag]) {
+                const resetColorBtn = document.createElement('button');
+                resetColorBtn.className = 'reset-tag-color-btn';
+                resetColorBtn.textContent = 'Reset color';
+                resetColorBtn.addEventListener('click', () => this.setTagColor(tag, null));
+                item.insertBefore(resetColorBtn, deleteBtn);
+            }
 
-        // Add to body
-        document.body.appendChild(messageEl);
+            container.appendChild(item);
+        });
 
-        // Remove after 3 seconds
-        setTimeout(() => {
-            if (messageEl.parentNode) {
-                messageEl.parentNode.removeChild(messageEl);
-                // Adjust remaining toasts when this one is removed
-                this.adjustRemainingToasts();
-            }
-        }, 3000);
+        // Rename form choices
+        const fromSelect = document.getElementById('tag-rename-from');
+        if (fromSelect) {
+            const selected = fromSelect.value;
+            fromSelect.innerHTML = '';
+            usage.forEach(({ tag }) => fromSelect.add(new Option(tag, tag, false, tag === selected)));
+        }
+
+        const tagNames = document.getElementById('tag-names');
+        if (tagNames) {
+            tagNames.innerHTML = '';
+            usage.forEach(({ tag }) => tagNames.appendChild(new Option(tag)));
+        }
     }
 
-    pushExistingToastsDown() {
-        const existingToasts = document.querySelectorAll('.message');
-        existingToasts.forEach((toast, index) => {
-            // Each toast gets pushed down by 60px (height + margin)
-            toast.style.top = `${20 + (index + 1) * 60}px`;
-        });
+    selectTagToRename(tag) {
+        const fromSelect = document.getElementById('tag-rename-from');
+        const toInput = document.getElementById('tag-rename-to');
+        if (fromSelect) {
+            fromSelect.value = tag;
+        }
+        if (toInput) {
+            toInput.value = tag;
+            toInput.focus();
+        }
     }
 
-    adjustRemainingToasts() {
-        const existingToasts = document.querySelectorAll('.message');
-        existingToasts.forEach((toast, index) => {
-            // Recalculate positions after a toast is removed
-            toast.style.top = `${20 + index * 60}px`;
-        });
+    async renameTag(from, to) {
+        const existingTags = collectTagUsage(this.allOrders).map(usage => usage.tag);
+        return this.applyTagChange(createRenameChange(from, normalizeTag(to, this.tagPolicy), existingTags));
     }
 
-    showResyncDialog() {
-        const dialog = document.getElementById('resync-dialog');
-        if (dialog) {
-            dialog.classList.remove('hidden');
+    async deleteTag(tag) {
+        // The first click asks for confirmation, the second deletes
+        if (this.pendingTagDelete !== tag) {
+            this.pendingTagDelete = tag;
+            this.renderTagManager();
+            return false;
         }
+
+        this.pendingTagDelete = null;
+        return this.applyTagChange({ action: 'delete', from: tag });
     }
 
-    hideResyncDialog() {
-        const dialog = document.getElementById('resync-dialog');
-        if (dialog) {
-            dialog.classList.add('hidden');
+    /**
+     * Rename, merge or delete a tag on every hidden order
+     * The background applies the change to storage and Google Sheets and writes the ActionLog
+     * @param {Object} change - Tag change ({ action, from, to }), see utils/tag-manager.js
+     * @returns {boolean} True if the change was applied
+     */
+    async applyTagChange(change) {
+        const errors = validateTagChange(change, this.tagPolicy);
+        if (errors.length > 0) {
+            this.showMessage(errors[0], 'error');
+            return false;
         }
-    }
 
-    async executeResync() {
         try {
-            log.info('🔄 Starting comprehensive resync process...');
-
-            // Step 1: Clear all hidden order data from storage
-            log.info('🔄 Step 1: Clearing browser storage...');
-            await this.clearAllHiddenOrders();
-
-            // Step 2: Send message to content script to restore all hidden orders (clear page state)
-            log.info('🔄 Step 2: Clearing page hiding state...');
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (tab && tab.url && tab.url.includes('amazon.com')) {
-                try {
-                    const response = await chrome.tabs.sendMessage(tab.id, { action: 'resync-orders' });
-                    if (response && response.success) {
-                        log.info(`✅ Content script restored ${response.restoredCount} hidden orders`);
-                    } else {
-                        log.warning('⚠️ Content script resync response:', response);
-                    }
-                } catch (error) {
-                    log.warning('⚠️ Could not communicate with content script (may not be on orders page):', error);
-                }
+            const response = await chrome.runtime.sendMessage({ type: 'APPLY_TAG_CHANGE', change });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
             }
 
-            // Step 3: Fetch hidden orders from Google Sheets
-            log.info('🔄 Step 3: Fetching hidden orders from Google Sheets...');
-            const hiddenOrdersData = await this.fetchHiddenOrdersFromSheets();
+            const colors = changeTagColors(this.tagColors, change);
+            if (JSON.stringify(colors) !== JSON.stringify(this.tagColors)) {
+                await configManager.set('tag_colors', colors);
+                this.tagColors = colors;
+            }
 
-            if (hiddenOrdersData && hiddenOrdersData.length > 0) {
-                log.info(`📥 Fetched ${hiddenOrdersData.length} hidden orders from Google Sheets`);
+            // Keep an active tag filter pointing at the tag's new name
+            if (this.selectedTags.delete(change.from) && change.action !== 'delete') {
+                this.selectedTags.add(change.to);
+            }
 
-                // Step 4: Store fetched data in browser storage
-                log.info('🔄 Step 4: Storing fetched data in browser storage...');
-                await this.storeFetchedHiddenOrders(hiddenOrdersData);
+            await this.loadHiddenOrders();
+            this.renderTagManager();
+            await this.refreshOrdersOnPage();
 
-                // Step 5: Apply hiding to current page
-                log.info('🔄 Step 5: Applying hiding to current page...');
-                if (tab && tab.url && tab.url.includes('amazon.com')) {
-                    try {
-                        const response = await chrome.tabs.sendMessage(tab.id, {
-                            action: 'apply-hidden-orders',
-                            hiddenOrders: hiddenOrdersData
-                        });
-                        if (response && response.success) {
-                            log.info(`✅ Applied hiding to ${response.hiddenCount} orders on page`);
-                        }
-                    } catch (error) {
-                        log.warning('⚠️ Could not apply hiding to page:', error);
-                    }
-                }
-            } else {
-                log.info('📥 No hidden orders found in Google Sheets');
+            const toInput = document.getElementById('tag-rename-to');
+            if (toInput) {
+                toInput.value = '';
             }
 
-            // Hide the dialog
-            this.hideResyncDialog();
+            const queuedText = response.queuedCount > 0 ? ', Google Sheets update queued' : '';
+            const orderCount = `${response.updatedCount} ${response.updatedCount === 1 ? 'order' : 'orders'}`;
+            this.showMessage(`${describeTagChange(change)} on ${orderCount}${queuedText}`, 'success');
+            return true;
+        } catch (error) {
+            log.error('Error applying tag change:', error);
+            this.showMessage('Error updating tag: ' + error.message, 'error');
+            return false;
+        }
+    }
 
-            // Show success message
-            const message = hiddenOrdersData && hiddenOrdersData.length > 0
-                ? `Orders resynced successfully! Loaded ${hiddenOrdersData.length} hidden orders from Google Sheets.`
-                : 'Orders resynced successfully! No hidden orders found in Google Sheets.';
-            this.showMessage(message, 'success');
+    /**
+     * Set or reset the color of a tag
+     * The background logs the recolor in the ActionLog of every order using the tag
+     * @param {string} tag - Tag name
+     * @param {string|null} color - "#rrggbb" color, or null to reset it
+     * @returns {boolean} True if the color was saved
+     */
+    async setTagColor(tag, color) {
+        const change = { action: 'recolor', from: tag, color: color || null };
 
-            // Reload the hidden orders list
-            await this.loadHiddenOrders();
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'APPLY_TAG_CHANGE', change });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
 
-            log.info('✅ Comprehensive resync completed successfully');
+            const colors = changeTagColors(this.tagColors, change);
+            await configManager.set('tag_colors', colors);
+            this.tagColors = colors;
+
+            this.populateFilterPills(this.allOrders);
+            this.applyFilters();
+            this.renderTagManager();
+            await this.refreshOrdersOnPage();
+            return true;
         } catch (error) {
-            log.error('❌ Error during resync:', error);
-            this.showMessage('Error during resync process: ' + error.message, 'error');
+            log.error('Error saving tag color:', error);
+            this.showMessage('Error saving tag color', 'error');
+            return false;
         }
     }
 
@@ -742,10 +2854,11 @@ export class PopupManager {
             // Get all storage data
             const allData = await chrome.storage.local.get(null);
             const keysToRemove = [];
+            const namespace = this.getProfileNamespace();
 
-            // Find all keys that start with our hidden order prefix
+            // Find all keys that start with the active profile's hidden order prefix
             for (const key of Object.keys(allData)) {
-                if (key.startsWith('amazon_archiver_hidden_order_')) {
+                if (isRecordKey(key, namespace + KEY_PREFIXES.hiddenOrder)) {
                     keysToRemove.push(key);
                 }
             }
@@ -763,8 +2876,14 @@ export class PopupManager {
                 const allData = await chrome.storage.local.get(null);
                 const tagKeysToRemove = [];
 
+                // Tags are stored per order, so keep the tags of orders another profile still hides
+                const keptOrderIds = new Set(Object.entries(allData)
+                    .filter(([key, value]) => value && !keysToRemove.includes(key) &&
+                        isRecordKey(stripProfileNamespace(key), KEY_PREFIXES.hiddenOrder))
+                    .map(([, value]) => value.orderId));
+
                 for (const key of Object.keys(allData)) {
-                    if (key.includes('order_tags_') && key.startsWith('amazon_archiver_')) {
+                    if (isRecordKey(key, KEY_PREFIXES.orderTags) && !keptOrderIds.has(key.slice(storageKey(KEY_PREFIXES.orderTags).length))) {
                         tagKeysToRemove.push(key);
                     }
                 }
@@ -777,6 +2896,20 @@ export class PopupManager {
                 log.warning('⚠️ Could not clear order tags from Chrome storage:', error);
             }
 
+            // Pending unhides are discarded too, since the sheet becomes the source of truth again
+            try {
+                const allData = await chrome.storage.local.get(null);
+                const tombstoneKeys = Object.keys(allData)
+                    .filter(key => isRecordKey(key, namespace + KEY_PREFIXES.syncTombstone));
+
+                if (tombstoneKeys.length > 0) {
+                    await chrome.storage.local.remove(tombstoneKeys);
+                    log.info(`🗑️ Cleared ${tombstoneKeys.length} pending unhide entries from Chrome storage`);
+                }
+            } catch (error) {
+                log.warning('⚠️ Could not clear pending unhides from Chrome storage:', error);
+            }
+
             return keysToRemove.length;
         } catch (error) {
             log.error('❌ Error clearing hidden orders:', error);
@@ -836,11 +2969,13 @@ export class PopupManager {
                         notes: orderData.notes || ''
                     },
                     username: orderData.hiddenBy || 'Unknown User',
-                    timestamp: orderData.hiddenAt || new Date().toISOString()
+                    marketplace: orderData.marketplace,
+                    timestamp: orderData.hiddenAt || new Date().toISOString(),
+                    lastModified: orderData.lastModified || orderData.hiddenAt || new Date().toISOString()
                 };
 
-                // Store in browser storage using the correct key format
-                const key = `amazon_archiver_hidden_order_${orderData.orderId}_${storageData.type}`;
+                // Store in browser storage using the correct key format, in the active profile
+                const key = storageKey(this.getProfileNamespace() + hiddenOrderKey(orderData.orderId, storageData.type));
 
                 // Check if this order already exists in storage
                 const existingData = await chrome.storage.local.get(key);
@@ -858,7 +2993,7 @@ export class PopupManager {
             // Debug: Check what was actually stored
             log.info(`🔍 Debug: Checking stored data...`);
             const storedKeys = Object.keys(await chrome.storage.local.get(null))
-                .filter(key => key.includes('hidden_order_'));
+                .filter(key => isRecordKey(key, this.getProfileNamespace() + KEY_PREFIXES.hiddenOrder));
             log.info(`📊 Stored hidden order keys:`, storedKeys);
 
             for (const key of storedKeys) {
@@ -876,8 +3011,8 @@ export class PopupManager {
         try {
             log.info('📥 Loading Google Sheets configuration...');
 
-            // Load from unified config manager
-            const config = await configManager.get('google_sheets');
+            // Load from unified config manager, with the active profile's sheet
+            const config = resolveGoogleSheetsConfig(await configManager.get('google_sheets'), this.getActiveProfile());
             if (config) {
                 this.populateConfigFields(config);
                 log.info('✅ Config loaded from unified config manager');
@@ -900,12 +3035,23 @@ export class PopupManager {
         if (oauthClientSecretInput && config.oauthClientSecret) {
             oauthClientSecretInput.value = config.oauthClientSecret;
         }
-        if (sheetUrlInput && config.sheetUrl) {
-            sheetUrlInput.value = config.sheetUrl;
+        if (sheetUrlInput) {
+            sheetUrlInput.value = config.sheetUrl || '';
         }
     }
 
 
+    /**
+     * Check whether Google sign-in has a client: the one entered, or the manifest oauth2 client
+     * The client secret is optional, sign-in uses PKCE
+     * @param {string} oauthClientId - Client ID entered in settings
+     * @returns {boolean} True if sign-in can start
+     */
+    hasOAuthClient(oauthClientId) {
+        const manifest = chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+        return !!oauthClientId || !!(manifest && manifest.oauth2 && manifest.oauth2.client_id);
+    }
+
     async testGoogleSheetsConnection() {
         try {
             log.info('🧪 Testing Google Sheets connection...');
@@ -914,8 +3060,8 @@ export class PopupManager {
             const oauthClientSecret = document.getElementById('oauth-client-secret').value.trim();
             const sheetUrl = document.getElementById('sheet-url').value.trim();
 
-            if (!oauthClientId || !oauthClientSecret || !sheetUrl) {
-                this.showMessage('Please enter OAuth Client ID, Client Secret, and Sheet URL first', 'error');
+            if (!this.hasOAuthClient(oauthClientId) || !sheetUrl) {
+                this.showMessage('Please enter OAuth Client ID and Sheet URL first', 'error');
                 return;
             }
 
@@ -959,6 +3105,9 @@ export class PopupManager {
                     if (setup.errors.length > 0) {
                         setupDetails += `\n\n❌ Errors: ${setup.errors.map(e => `${e.sheet}: ${e.error}`).join(', ')}`;
                     }
+                    if (setup.migrationPending) {
+                        setupDetails += '\n\n⚠️ The sheet layout is out of date. Use Check Layout to review the update.';
+                    }
                 }
 
                 // Show write test results
@@ -1129,8 +3278,8 @@ export class PopupManager {
             const oauthClientSecret = document.getElementById('oauth-client-secret').value.trim();
             const sheetUrl = document.getElementById('sheet-url').value.trim();
 
-            if (!oauthClientId || !oauthClientSecret || !sheetUrl) {
-                this.showMessage('Please enter OAuth Client ID, Client Secret, and Sheet URL first', 'error');
+            if (!this.hasOAuthClient(oauthClientId) || !sheetUrl) {
+                this.showMessage('Please enter OAuth Client ID and Sheet URL first', 'error');
                 return;
             }
 
@@ -1168,6 +3317,9 @@ export class PopupManager {
                     if (result.errors && result.errors.length > 0) {
                         setupDetails += `\n\n❌ Errors: ${result.errors.map(e => e.sheet + ': ' + e.error).join(', ')}`;
                     }
+                    if (result.migrationPending) {
+                        setupDetails += '\n\n⚠️ The sheet layout is out of date. Use Check Layout to review the update.';
+                    }
                 }
 
                 this.showMessage(successMsg + setupDetails, 'success');
@@ -1232,8 +3384,9 @@ export class PopupManager {
     async autoSaveConfig() {
         log.info('🔄 autoSaveConfig called');
         try {
-            // Get current configuration values
-            const username = document.getElementById('username').value.trim();
+            // Get current configuration values; a username from the Google account is not saved over the typed one
+            const usernameInput = document.getElementById('username');
+            const username = usernameInput.readOnly ? null : usernameInput.value.trim();
             const oauthClientId = document.getElementById('oauth-client-id').value.trim();
             const oauthClientSecret = document.getElementById('oauth-client-secret').value.trim();
             const sheetUrl = document.getElementById('sheet-url').value.trim();
@@ -1252,8 +3405,19 @@ export class PopupManager {
 
             log.info('✅ Configuration changed, proceeding with save');
 
+            // Profiles other than the default profile keep their own username and sheet
+            const profile = this.getActiveProfile();
+            const isDefaultProfile = profile.id === DEFAULT_PROFILE_ID;
+            if (!isDefaultProfile) {
+                await this.saveProfiles(updateProfile(this.profiles, profile.id, {
+                    username: usernameInput.readOnly ? undefined : username || null,
+                    sheetUrl: sheetUrl || null
+                }));
+                log.info(`💾 Profile ${profile.id} username and sheet auto-saved`);
+            }
+
             // Handle username auto-save (silent, no toast)
-            if (username) {
+            if (username && isDefaultProfile) {
                 log.info('💾 Saving username:', username);
                 await configManager.setLenient('username', username);
                 log.info('💾 Username auto-saved');
@@ -1270,7 +3434,12 @@ export class PopupManager {
             if (oauthClientId || oauthClientSecret || sheetUrl) {
                 log.info('✅ At least one Google Sheets field present, proceeding with save');
 
-                const config = { oauthClientId, oauthClientSecret, sheetUrl };
+                const storedConfig = isDefaultProfile ? null : await configManager.get('google_sheets');
+                const config = {
+                    oauthClientId,
+                    oauthClientSecret,
+                    sheetUrl: isDefaultProfile ? sheetUrl : (storedConfig && storedConfig.sheetUrl) || ''
+                };
                 log.info('📤 About to call configManager.setLenient with config:', { ...config, oauthClientId: '***', oauthClientSecret: '***' });
 
                 try {
@@ -128,6 +128,13 @@ describe('PopupStorageManager', () => {
             await expect(storageManager.set('username', 'testuser')).rejects.toThrow('Storage error');
             expect(specializedLogger.error).toHaveBeenCalledWith('Error setting storage:', error);
         });
+
+        it('should refuse to write storage left by a newer build', async () => {
+            mockChrome.storage.local.get.mockResolvedValueOnce({ amazon_archiver_schema_version: 99 });
+
+            await expect(storageManager.set('username', 'testuser')).rejects.toThrow(/^Stored data uses schema version 99/);
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+        });
     });
 
     describe('remove method', () => {
@@ -252,6 +259,8 @@ describe('PopupManager', () => {
 
     describe('getAllHiddenOrders method', () => {
         beforeEach(() => {
+            // The default profile is active
+            require('../utils/config-manager.js').configManager.get.mockResolvedValue(undefined);
             popupManager = new PopupManager();
         });
 
@@ -366,25 +375,279 @@ describe('PopupManager', () => {
         });
     });
 
-    describe('unhideOrder method', () => {
-        beforeEach(() => {
+    describe('search', () => {
+        const createOrders = (count) => Array.from({ length: count }, (_, index) => ({
+            orderId: `111-000000${index}`,
+            type: 'details',
+            username: index % 2 === 0 ? 'alice' : 'bob',
+            orderData: {
+                orderDate: `2023-0${(index % 9) + 1}-01`,
+                orderTotal: `$${index * 10}.00`,
+                orderItems: [{ name: index === 3 ? 'Amazon Gift Card' : 'Paper towels' }],
+                tags: index % 2 === 0 ? ['household'] : ['gifts']
+            }
+        }));
+
+        beforeEach(async () => {
+            document.getElementById('main-view').insertAdjacentHTML('afterbegin', `
+                <input id="order-search" type="search">
+                <div id="search-errors" class="hidden"></div>
+                <div id="order-count"></div>
+                <div id="pagination" class="hidden">
+                    <button id="prev-page"></button>
+                    <span id="page-info"></span>
+                    <button id="next-page"></button>
+                </div>
+            `);
             popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.allOrders = createOrders(12);
         });
 
-        it('should remove order from storage and reload list', async () => {
-            mockChrome.storage.local.remove.mockResolvedValue();
+        it('should filter orders by search operators', () => {
+            popupManager.setSearchText('user:alice total>=40');
+
+            expect(popupManager.filteredOrders.map(order => order.orderId)).toEqual(
+                ['111-0000004', '111-0000006', '111-0000008', '111-00000010']
+            );
+            expect(document.getElementById('order-count').textContent).toBe('4 orders');
+        });
+
+        it('should highlight matches and show matching item names', () => {
+            popupManager.setSearchText('gift card');
+
+            const container = document.getElementById('hidden-orders-list');
+            expect(popupManager.filteredOrders).toHaveLength(1);
+            expect(container.querySelector('.search-match').textContent).toBe('Item: Amazon Gift Card');
+            expect(Array.from(container.querySelectorAll('mark')).map(mark => mark.textContent)).toEqual(['Gift', 'Card', 'gift']);
+        });
+
+        it('should combine search with tag pills and paginate the results', () => {
+            popupManager.selectedTags.add('household');
+            popupManager.setSearchText('towels');
+
+            expect(popupManager.filteredOrders).toHaveLength(6);
+            expect(document.getElementById('page-info').textContent).toBe('Page 1 of 2');
+
+            popupManager.goToNextPage();
+            expect(document.querySelectorAll('.hidden-order-item')).toHaveLength(1);
+        });
+
+        it('should show operator errors', () => {
+            popupManager.setSearchText('before:someday');
+
+            const errors = document.getElementById('search-errors');
+            expect(errors.textContent).toBe('Invalid date: someday');
+            expect(errors.classList.contains('hidden')).toBe(false);
+        });
+
+        it('should escape order content', () => {
+            popupManager.allOrders = [{ orderId: '123', type: 'details', orderData: { tags: ['<img src=x>'] } }];
+            popupManager.setSearchText('');
+
+            expect(document.querySelector('.tag').textContent).toBe('<img src=x>');
+            expect(document.querySelector('.tag img')).toBeNull();
+        });
+
+        it('should clear the search with the other filters', () => {
+            document.getElementById('order-search').value = 'tag:gifts';
+            popupManager.setSearchText('tag:gifts');
+
+            popupManager.clearFilters();
+
+            expect(document.getElementById('order-search').value).toBe('');
+            expect(popupManager.filteredOrders).toHaveLength(12);
+        });
+    });
+
+    describe('sorting and date ranges', () => {
+        const orders = [
+            { orderId: '1', type: 'details', username: 'bob', timestamp: '2024-01-10T00:00:00.000Z', orderData: { orderDate: '2023-01-05', orderTotal: '$30.00', tags: ['gifts'] } },
+            { orderId: '2', type: 'details', username: 'alice', timestamp: '2024-03-10T00:00:00.000Z', orderData: { orderDate: '2023-06-05', orderTotal: '$10.00', tags: [] } },
+            { orderId: '3', type: 'order', username: 'alice', timestamp: '2024-02-10T00:00:00.000Z', orderData: { orderDate: '2022-11-05', orderTotal: '$20.00', tags: ['gifts'] } }
+        ];
+        const shownIds = () => popupManager.filteredOrders.map(order => order.orderId);
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(null);
+            configManager.set.mockResolvedValue(true);
+            document.getElementById('main-view').insertAdjacentHTML('afterbegin', `
+                <select id="sort-by">
+                    <option value="hiddenAt">Hidden date</option>
+                    <option value="orderDate">Order date</option>
+                    <option value="total">Total</option>
+                    <option value="hiddenBy">Hidden by</option>
+                </select>
+                <select id="sort-direction">
+                    <option value="desc">Descending</option>
+                    <option value="asc">Ascending</option>
+                </select>
+                <input type="date" id="order-date-from">
+                <input type="date" id="order-date-to">
+                <input type="date" id="hidden-from">
+                <input type="date" id="hidden-to">
+            `);
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.allOrders = orders;
+        });
+
+        it('should list the most recently hidden orders first by default', () => {
+            popupManager.applyFilters();
+
+            expect(shownIds()).toEqual(['2', '3', '1']);
+        });
+
+        it('should sort by the selected field and direction and save the choice', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            const sortBy = document.getElementById('sort-by');
+            const sortDirection = document.getElementById('sort-direction');
+
+            sortBy.value = 'total';
+            sortBy.dispatchEvent(new Event('change'));
+            sortDirection.value = 'asc';
+            sortDirection.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(shownIds()).toEqual(['2', '3', '1']);
+            expect(configManager.set).toHaveBeenLastCalledWith('popup_list_view', expect.objectContaining({ sortBy: 'total', sortDirection: 'asc' }));
+        });
+
+        it('should combine date ranges with tag filters', () => {
+            const orderDateFrom = document.getElementById('order-date-from');
+            orderDateFrom.value = '2023-01-01';
+            orderDateFrom.dispatchEvent(new Event('change'));
+            expect(shownIds()).toEqual(['2', '1']);
+
+            popupManager.selectedTags.add('gifts');
+            popupManager.applyFilters();
+            expect(shownIds()).toEqual(['1']);
+
+            popupManager.updateListView({ orderDateFrom: null, hiddenTo: '2024-02-10' });
+            expect(shownIds()).toEqual(['3', '1']);
+        });
+
+        it('should restore the saved view when the popup opens', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue({ sortBy: 'hiddenBy', sortDirection: 'asc', hiddenFrom: '2024-02-01' });
+
+            await popupManager.loadListView();
+            popupManager.applyFilters();
+
+            expect(document.getElementById('sort-by').value).toBe('hiddenBy');
+            expect(document.getElementById('hidden-from').value).toBe('2024-02-01');
+            expect(document.getElementById('order-date-to').value).toBe('');
+            expect(shownIds()).toEqual(['2', '3']);
+        });
+
+        it('should clear date ranges but keep the sort order when clearing filters', () => {
+            popupManager.listView = { ...popupManager.listView, sortBy: 'total', hiddenFrom: '2024-03-01' };
+
+            popupManager.clearFilters();
+
+            expect(popupManager.listView.sortBy).toBe('total');
+            expect(popupManager.listView.hiddenFrom).toBeNull();
+            expect(shownIds()).toEqual(['1', '3', '2']);
+        });
+    });
 
+    describe('order notes', () => {
+        const hiddenOrder = {
+            orderId: '111-0000001',
+            type: 'details',
+            username: 'alice',
+            timestamp: '2024-01-01T00:00:00.000Z',
+            lastModified: '2024-01-01T00:00:00.000Z',
+            orderData: { orderDate: '2023-12-01', orderTotal: '$10.00', tags: ['gifts'], notes: 'Old <note>' }
+        };
+
+        beforeEach(async () => {
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.allOrders = [hiddenOrder];
+            popupManager.applyFilters();
+            popupManager.loadHiddenOrders = jest.fn();
+            popupManager.showMessage = jest.fn();
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true }) };
+            mockChrome.tabs.query.mockResolvedValue([{ id: 7, url: 'https://www.amazon.com/your-orders/orders' }]);
+            mockChrome.tabs.sendMessage.mockResolvedValue({ success: true });
+            mockChrome.storage.local.set.mockResolvedValue();
+        });
+
+        afterEach(() => {
+            delete mockChrome.runtime;
+        });
+
+        it('should show escaped notes with an edit button', () => {
+            const container = document.getElementById('hidden-orders-list');
+
+            expect(container.querySelector('.notes-text').innerHTML).toBe('Old &lt;note&gt;');
+            expect(container.querySelector('.edit-notes-btn').textContent).toBe('Edit note');
+        });
+
+        it('should edit notes inline and cancel without saving', () => {
+            const container = document.getElementById('hidden-orders-list');
+            container.querySelector('.edit-notes-btn').click();
+
+            expect(container.querySelector('.notes-input').value).toBe('Old <note>');
+
+            container.querySelector('.cancel-notes-btn').click();
+
+            expect(container.querySelector('.notes-input')).toBeNull();
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        it('should save notes to the hidden order and stored tags, then sync them', async () => {
+            const stored = {
+                'amazon_archiver_hidden_order_111-0000001_details': hiddenOrder,
+                'amazon_archiver_order_tags_111-0000001': { orderId: '111-0000001', tagData: { tags: ['gifts'], notes: 'Old <note>' } }
+            };
+            mockChrome.storage.local.get.mockImplementation(async (key) => (stored[key] ? { [key]: stored[key] } : {}));
+
+            await expect(popupManager.saveOrderNotes('111-0000001', 'details', '  Returned the cable  ')).resolves.toBe(true);
+
+            const savedOrder = mockChrome.storage.local.set.mock.calls[0][0]['amazon_archiver_hidden_order_111-0000001_details'];
+            expect(savedOrder.orderData.notes).toBe('Returned the cable');
+            expect(savedOrder.lastModified).not.toBe(hiddenOrder.lastModified);
+            expect(mockChrome.storage.local.set).toHaveBeenCalledWith({
+                'amazon_archiver_order_tags_111-0000001': { orderId: '111-0000001', tagData: { tags: ['gifts'], notes: 'Returned the cable' } }
+            });
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SYNC_HIDDEN_ORDER_TO_SHEETS', hiddenOrderData: savedOrder });
+            expect(mockChrome.tabs.sendMessage).toHaveBeenCalledWith(7, { type: 'UPDATE_ORDER_NOTES', orderId: '111-0000001', notes: 'Returned the cable' });
+            expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Notes saved', 'success');
+        });
+
+        it('should reject notes that are too long', async () => {
+            await expect(popupManager.saveOrderNotes('111-0000001', 'details', 'a'.repeat(1001))).resolves.toBe(false);
+
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Notes cannot exceed 1000 characters', 'error');
+        });
+    });
+
+    describe('unhideOrder method', () => {
+        beforeEach(async () => {
+            popupManager = new PopupManager();
+            // Let init load the configured backend before replacing it
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.backend = { unhide: jest.fn().mockResolvedValue({ orderId: '123', type: 'details' }) };
+        });
+
+        it('should unhide the order through the backend and reload list', async () => {
             // Mock loadHiddenOrders to avoid complex setup
             popupManager.loadHiddenOrders = jest.fn();
 
             await popupManager.unhideOrder('123', 'details');
 
-            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith('amazon_archiver_hidden_order_123_details');
+            expect(popupManager.backend.unhide).toHaveBeenCalledWith('123', 'details');
+            // The backend records the sync tombstone; the popup never writes storage keys itself
+            expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
             expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
         });
 
         it('should show success message after unhiding', async () => {
-            mockChrome.storage.local.remove.mockResolvedValue();
             popupManager.loadHiddenOrders = jest.fn();
             popupManager.showMessage = jest.fn();
 
@@ -395,8 +658,7 @@ describe('PopupManager', () => {
 
         it('should handle errors gracefully', async () => {
             const error = new Error('Storage error');
-            // Mock the storage manager's remove method directly to throw an error
-            popupManager.storage.remove = jest.fn().mockRejectedValue(error);
+            popupManager.backend.unhide.mockRejectedValue(error);
             popupManager.showMessage = jest.fn();
 
             await popupManager.unhideOrder('123', 'details');
@@ -406,6 +668,76 @@ describe('PopupManager', () => {
         });
     });
 
+    describe('storage backend', () => {
+        let onChanged;
+
+        beforeEach(async () => {
+            onChanged = { addListener: jest.fn(), removeListener: jest.fn() };
+            mockChrome.storage.onChanged = onChanged;
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+        });
+
+        afterEach(() => {
+            delete mockChrome.storage.onChanged;
+            delete mockChrome.permissions;
+        });
+
+        it('should use the backend selected in config', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValueOnce('local');
+
+            await popupManager.loadBackend();
+
+            expect(configManager.get).toHaveBeenCalledWith('storage_backend');
+            expect(popupManager.backend.constructor.name).toBe('LocalStorageBackend');
+        });
+
+        it('should reload hidden orders when they change in another tab', async () => {
+            await popupManager.loadBackend();
+            popupManager.loadHiddenOrders = jest.fn();
+            const listener = onChanged.addListener.mock.calls[onChanged.addListener.mock.calls.length - 1][0];
+
+            listener({ amazon_archiver_config_tag_colors: { newValue: {} } }, 'local');
+            expect(popupManager.loadHiddenOrders).not.toHaveBeenCalled();
+
+            listener({ 'amazon_archiver_hidden_order_123_details': { oldValue: { orderId: '123' } } }, 'local');
+            expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
+        });
+
+        it('should stop watching the previous backend when reloading', async () => {
+            await popupManager.loadBackend();
+            const listener = onChanged.addListener.mock.calls[onChanged.addListener.mock.calls.length - 1][0];
+
+            await popupManager.loadBackend();
+
+            expect(onChanged.removeListener).toHaveBeenCalledWith(listener);
+        });
+
+        it('should ask for access to the REST backend server when its config is saved', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            mockChrome.permissions = { request: jest.fn().mockResolvedValue(true) };
+            popupManager.setupConfigCallbacks();
+            const [, onSave] = configManager.onAutoSave.mock.calls.find(([key]) => key === 'rest_backend');
+
+            onSave({ baseUrl: 'http://192.168.1.20:8787/archizer', apiKey: 'secret' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockChrome.permissions.request).toHaveBeenCalledWith({ origins: ['http://192.168.1.20:8787/*'] });
+        });
+
+        it('should warn when access to the REST backend server is refused', async () => {
+            mockChrome.permissions = { request: jest.fn().mockResolvedValue(false) };
+            popupManager.showMessage = jest.fn();
+
+            await expect(popupManager.requestRestBackendPermission({ baseUrl: 'http://localhost:8787', apiKey: null })).resolves.toBe(false);
+            await expect(popupManager.requestRestBackendPermission({ baseUrl: null, apiKey: null })).resolves.toBe(false);
+
+            expect(mockChrome.permissions.request).toHaveBeenCalledTimes(1);
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Archizer cannot reach the REST backend without access to http://localhost:8787/*', 'error');
+        });
+    });
+
     describe('showMessage method', () => {
         beforeEach(() => {
             popupManager = new PopupManager();
@@ -496,6 +828,40 @@ describe('PopupManager', () => {
             expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
         });
 
+        it('should snapshot local data before clearing it', async () => {
+            mockChrome.storage.local.get.mockImplementation(async (key) => (key === null
+                ? { 'amazon_archiver_hidden_order_123_details': { orderId: '123' } }
+                : {}));
+            mockChrome.storage.local.remove.mockResolvedValue();
+            mockChrome.tabs.query.mockResolvedValue([]);
+
+            popupManager.hideResyncDialog = jest.fn();
+            popupManager.showMessage = jest.fn();
+            popupManager.loadHiddenOrders = jest.fn();
+
+            await popupManager.executeResync();
+
+            const snapshotCall = mockChrome.storage.local.set.mock.calls.findIndex(([items]) => items.archizer_backup_snapshots);
+            expect(snapshotCall).toBeGreaterThanOrEqual(0);
+            const [snapshot] = mockChrome.storage.local.set.mock.calls[snapshotCall][0].archizer_backup_snapshots;
+            expect(snapshot.manifest.reason).toBe('resync');
+            expect(snapshot.data).toEqual({ 'amazon_archiver_hidden_order_123_details': { orderId: '123' } });
+            expect(mockChrome.storage.local.set.mock.invocationCallOrder[snapshotCall])
+                .toBeLessThan(mockChrome.storage.local.remove.mock.invocationCallOrder[0]);
+            mockChrome.storage.local.get.mockReset();
+        });
+
+        it('should not clear anything when the snapshot fails', async () => {
+            mockChrome.storage.local.get.mockResolvedValue({});
+            mockChrome.storage.local.set.mockRejectedValueOnce(new Error('Quota exceeded'));
+            popupManager.showMessage = jest.fn();
+
+            await popupManager.executeResync();
+
+            expect(mockChrome.storage.local.remove).not.toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Error during resync process: Quota exceeded', 'error');
+        });
+
         it('should handle non-Amazon pages gracefully', async () => {
             mockChrome.storage.local.get.mockResolvedValue({});
             mockChrome.storage.local.remove.mockResolvedValue();
@@ -541,6 +907,721 @@ describe('PopupManager', () => {
         });
     });
 
+    describe('incremental sync', () => {
+        const report = {
+            timestamp: '2024-02-01T00:00:00.000Z',
+            success: true,
+            local: { added: [{ orderId: '111', type: 'details' }], updated: [], removed: [] },
+            remote: { added: [], updated: [], removed: [{ orderId: '222', type: 'order' }] },
+            conflicts: [{ orderId: '333', type: 'details', winner: 'remote' }]
+        };
+
+        beforeEach(() => {
+            popupManager = new PopupManager();
+            const container = document.createElement('div');
+            container.id = 'sync-report';
+            container.className = 'sync-report hidden';
+            document.body.appendChild(container);
+        });
+
+        afterEach(() => {
+            delete mockChrome.runtime;
+        });
+
+        it('should render what changed on each side', () => {
+            popupManager.renderSyncReport(report);
+
+            const container = document.getElementById('sync-report');
+            expect(container.classList.contains('hidden')).toBe(false);
+            expect(container.textContent).toContain('This browser: 1 added, 0 updated, 0 removed');
+            expect(container.textContent).toContain('Google Sheets: 0 added, 0 updated, 1 removed');
+            expect(container.textContent).toContain('333 (details): kept Google Sheets');
+        });
+
+        it('should render changes rejected in team mode', () => {
+            popupManager.renderSyncReport({ ...report, rejected: [{ orderId: '444', type: 'details', change: 'added' }] });
+
+            expect(document.getElementById('sync-report').textContent).toContain('Rejected (inactive user): 1');
+        });
+
+        it('should run the sync through the background script', async () => {
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true, report: { ...report, rejected: [] } }) };
+            mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: 'https://google.com' }]);
+            popupManager.loadHiddenOrders = jest.fn();
+            popupManager.showMessage = jest.fn();
+
+            await popupManager.executeIncrementalSync();
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'INCREMENTAL_SYNC' });
+            expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Sync complete (1 conflicts resolved)', 'success');
+        });
+
+        it('should report sync failures', async () => {
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: false, error: 'Google Sheets not configured' }) };
+            popupManager.showMessage = jest.fn();
+
+            await popupManager.executeIncrementalSync();
+
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Error during sync: Google Sheets not configured', 'error');
+        });
+    });
+
+    describe('tag manager', () => {
+        const createOrder = (orderId, tags) => ({
+            orderId,
+            type: 'details',
+            username: 'alice',
+            orderData: { orderDate: '2023-01-01', orderTotal: '$10.00', tags }
+        });
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            configManager.set.mockResolvedValue();
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="tag-pills"></div>
+                <div id="tags-view" class="hidden">
+                    <div id="tag-manager-list"></div>
+                    <select id="tag-rename-from"></select>
+                    <input id="tag-rename-to">
+                    <datalist id="tag-names"></datalist>
+                </div>
+            `);
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.allOrders = [
+                createOrder('111-0000001', ['gift', 'books']),
+                createOrder('111-0000002', ['books'])
+            ];
+            popupManager.loadHiddenOrders = jest.fn();
+            popupManager.refreshOrdersOnPage = jest.fn();
+            popupManager.showMessage = jest.fn();
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true, updatedCount: 1, queuedCount: 0 }) };
+        });
+
+        afterEach(() => {
+            delete mockChrome.runtime;
+        });
+
+        it('should list every tag with its usage count', () => {
+            popupManager.showView('tags');
+
+            const items = Array.from(document.querySelectorAll('.tag-manager-item'));
+            expect(document.getElementById('tags-view').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('main-view').classList.contains('hidden')).toBe(true);
+            expect(items.map(item => item.textContent)).toEqual([
+                expect.stringContaining('books2 orders'),
+                expect.stringContaining('gift1 order')
+            ]);
+            expect(Array.from(document.getElementById('tag-rename-from').options).map(option => option.value)).toEqual(['books', 'gift']);
+        });
+
+        it('should rename a tag through the background and move its color', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            popupManager.tagColors = { gift: '#ff0000' };
+            popupManager.selectedTags.add('gift');
+
+            await expect(popupManager.renameTag('gift', 'gifts')).resolves.toBe(true);
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+                type: 'APPLY_TAG_CHANGE',
+                change: { action: 'rename', from: 'gift', to: 'gifts' }
+            });
+            expect(configManager.set).toHaveBeenCalledWith('tag_colors', { gifts: '#ff0000' });
+            expect(Array.from(popupManager.selectedTags)).toEqual(['gifts']);
+            expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
+            expect(popupManager.refreshOrdersOnPage).toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Renamed tag "gift" to "gifts" on 1 order', 'success');
+        });
+
+        it('should merge when renaming to an existing tag', async () => {
+            await popupManager.renameTag('gift', 'books');
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+                type: 'APPLY_TAG_CHANGE',
+                change: { action: 'merge', from: 'gift', to: 'books' }
+            });
+        });
+
+        it('should reject invalid names without contacting the background', async () => {
+            await expect(popupManager.renameTag('gift', 'a')).resolves.toBe(false);
+
+            expect(mockChrome.runtime.sendMessage).not.toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Tags must be at least 2 characters long', 'error');
+        });
+
+        it('should ask for confirmation before deleting a tag', async () => {
+            popupManager.showView('tags');
+
+            document.querySelector('[data-tag="gift"] .delete-tag-btn').click();
+            await Promise.resolve();
+
+            expect(mockChrome.runtime.sendMessage).not.toHaveBeenCalled();
+            expect(document.querySelector('[data-tag="gift"] .delete-tag-btn').textContent).toBe('Confirm delete');
+
+            await popupManager.deleteTag('gift');
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+                type: 'APPLY_TAG_CHANGE',
+                change: { action: 'delete', from: 'gift' }
+            });
+        });
+
+        it('should report background errors', async () => {
+            mockChrome.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Storage error' });
+
+            await expect(popupManager.renameTag('gift', 'gifts')).resolves.toBe(false);
+
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Error updating tag: Storage error', 'error');
+        });
+
+        it('should save tag colors and render them on pills', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+
+            await popupManager.setTagColor('gift', '#003366');
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+                type: 'APPLY_TAG_CHANGE',
+                change: { action: 'recolor', from: 'gift', color: '#003366' }
+            });
+            expect(configManager.set).toHaveBeenCalledWith('tag_colors', { gift: '#003366' });
+            const pill = document.querySelector('.tag-pill[data-tag="gift"]');
+            expect(pill.style.getPropertyValue('--tag-color')).toBe('#003366');
+            expect(pill.style.getPropertyValue('--tag-text-color')).toBe('#ffffff');
+            expect(popupManager.refreshOrdersOnPage).toHaveBeenCalled();
+        });
+
+        it('should keep the old color when the recolor cannot be logged', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            popupManager.tagColors = { gift: '#ff0000' };
+            mockChrome.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Storage error' });
+
+            await expect(popupManager.setTagColor('gift', null)).resolves.toBe(false);
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+                type: 'APPLY_TAG_CHANGE',
+                change: { action: 'recolor', from: 'gift', color: null }
+            });
+            expect(configManager.set).not.toHaveBeenCalledWith('tag_colors', expect.anything());
+            expect(popupManager.tagColors).toEqual({ gift: '#ff0000' });
+        });
+    });
+
+    describe('hierarchical tags', () => {
+        const createOrder = (orderId, tags) => ({
+            orderId,
+            type: 'details',
+            username: 'alice',
+            orderData: { orderDate: '2023-01-01', orderTotal: '$10.00', tags }
+        });
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="tag-pills"></div>
+                <div id="hidden-orders-list"></div>
+            `);
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.allOrders = [
+                createOrder('111-0000001', ['gifts/birthday']),
+                createOrder('111-0000002', ['gifts/wedding', 'books']),
+                createOrder('111-0000003', ['work/reimbursable']),
+                createOrder('111-0000004', ['gifts'])
+            ];
+            popupManager.populateFilterPills(popupManager.allOrders);
+        });
+
+        it('should render tags as a collapsed tree', () => {
+            const rootPills = Array.from(document.querySelectorAll('#tag-pills > .tag-tree-node > .tag-tree-row .tag-pill'));
+            expect(rootPills.map(pill => pill.dataset.tag)).toEqual(['books', 'gifts', 'work']);
+
+            const birthdayPill = document.querySelector('.tag-pill[data-tag="gifts/birthday"]');
+            expect(birthdayPill.textContent).toBe('birthday');
+            expect(birthdayPill.closest('.tag-tree-children').classList.contains('hidden')).toBe(true);
+            expect(document.querySelector('.tag-pill[data-tag="work"]').classList.contains('tag-pill-parent')).toBe(true);
+            expect(document.querySelector('.tag-pill[data-tag="gifts"]').classList.contains('tag-pill-parent')).toBe(false);
+        });
+
+        it('should expand and collapse children, keeping the state when pills are rebuilt', () => {
+            const toggle = () => document.querySelector('.tag-pill[data-tag="gifts"]').previousElementSibling;
+            const children = () => document.querySelector('.tag-pill[data-tag="gifts/birthday"]').closest('.tag-tree-children');
+
+            toggle().click();
+            expect(children().classList.contains('hidden')).toBe(false);
+            expect(toggle().getAttribute('aria-expanded')).toBe('true');
+
+            popupManager.populateFilterPills(popupManager.allOrders);
+            expect(children().classList.contains('hidden')).toBe(false);
+
+            toggle().click();
+            expect(children().classList.contains('hidden')).toBe(true);
+        });
+
+        it('should include child tags when filtering on a parent', () => {
+            document.querySelector('.tag-pill[data-tag="gifts"]').click();
+
+            expect(popupManager.filteredOrders.map(order => order.orderId).sort()).toEqual(['111-0000001', '111-0000002', '111-0000004']);
+
+            document.querySelector('.tag-pill[data-tag="gifts/wedding"]').click();
+
+            expect(popupManager.filteredOrders.map(order => order.orderId)).toEqual(['111-0000002']);
+        });
+    });
+
+    describe('export', () => {
+        const createOrder = (orderId, tags) => ({
+            orderId,
+            type: 'details',
+            username: 'alice',
+            timestamp: '2024-01-20T10:00:00.000Z',
+            orderData: { orderDate: '2024-01-15', orderTotal: '$10.00', tags }
+        });
+
+        let downloads;
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="tag-pills"></div>
+                <details id="export-menu" open>
+                    <button class="export-option" data-export-format="bundle">Single JSON bundle</button>
+                </details>
+            `);
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            mockChrome.storage.local.get.mockResolvedValue({
+                'amazon_archiver_action_log_111-0000001-0000001_1': { timestamp: '2024-01-20T10:00:00.000Z', orderId: '111-0000001-0000001', action: 'hide', type: 'details', username: 'alice' },
+                'amazon_archiver_action_log_222-0000002-0000002_2': { timestamp: '2024-01-21T10:00:00.000Z', orderId: '222-0000002-0000002', action: 'hide', type: 'details', username: 'alice' },
+                'amazon_archiver_user_settings_alice': { username: 'alice', createdAt: '2024-01-01', lastActive: '2024-01-21', isActive: true }
+            });
+            popupManager.allOrders = [
+                createOrder('111-0000001-0000001', ['gifts']),
+                createOrder('222-0000002-0000002', ['books'])
+            ];
+            popupManager.populateFilterPills(popupManager.allOrders);
+            popupManager.applyFilters();
+
+            downloads = [];
+            jest.spyOn(popupManager, 'downloadFile').mockImplementation(file => downloads.push(file));
+        });
+
+        it('should export all sheets as a bundle from the export menu', async () => {
+            document.querySelector('.export-option').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(downloads).toHaveLength(1);
+            const bundle = JSON.parse(downloads[0].content);
+            expect(bundle.filtered).toBe(false);
+            expect(bundle.sheets.HiddenOrders).toHaveLength(2);
+            expect(bundle.sheets.ActionLog).toHaveLength(2);
+            expect(bundle.sheets.UserSettings).toEqual([
+                { 'Username': 'alice', 'Created At': '2024-01-01', 'Last Active': '2024-01-21', 'Is Active': true, 'Role': 'editor', 'Display Name': '' }
+            ]);
+            expect(document.getElementById('export-menu').open).toBe(false);
+        });
+
+        it('should honor the current filters', async () => {
+            document.querySelector('.tag-pill[data-tag="gifts"]').click();
+
+            await popupManager.exportData('csv');
+
+            expect(downloads.map(file => file.filename)).toEqual([
+                expect.stringMatching(/^archizer-HiddenOrders-\d{4}-\d{2}-\d{2}\.csv$/),
+                expect.stringMatching(/^archizer-ActionLog-\d{4}-\d{2}-\d{2}\.csv$/),
+                expect.stringMatching(/^archizer-UserSettings-\d{4}-\d{2}-\d{2}\.csv$/)
+            ]);
+            expect(downloads[0].content.split('\n')).toHaveLength(2);
+            expect(downloads[0].content).toContain('111-0000001-0000001');
+            expect(downloads[1].content).not.toContain('222-0000002-0000002');
+        });
+    });
+
+    describe('import', () => {
+        const existingOrder = {
+            orderId: '111-0000001-0000001',
+            type: 'details',
+            username: 'alice',
+            timestamp: '2024-01-20T10:00:00.000Z',
+            orderData: { orderDate: '2024-01-15', tags: [], notes: '' }
+        };
+        const csvFile = (text) => ({ name: 'orders.csv', text: () => Promise.resolve(text) });
+        const CSV = [
+            'Order ID,Order Date,Hidden By,Hidden At,Hidden Type,Tags',
+            '222-0000002-0000002,2024-01-16,bob,2024-01-21T10:00:00.000Z,details,books',
+            ',2024-01-16,bob,2024-01-21T10:00:00.000Z,details,'
+        ].join('\n');
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            document.body.insertAdjacentHTML('beforeend', `
+                <select id="import-mode">
+                    <option value="merge">Keep them (merge)</option>
+                    <option value="replace">Unhide them (replace)</option>
+                </select>
+                <input type="checkbox" id="import-push-to-sheets" />
+                <div id="import-preview" class="hidden"></div>
+                <button id="import-apply-btn" disabled>Import</button>
+            `);
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            mockChrome.storage.local.get.mockResolvedValue({ 'amazon_archiver_hidden_order_111-0000001-0000001_details': existingOrder });
+            popupManager.allOrders = [existingOrder];
+            popupManager.loadHiddenOrders = jest.fn();
+            popupManager.refreshOrdersOnPage = jest.fn();
+            popupManager.showMessage = jest.fn();
+            mockChrome.runtime = {
+                sendMessage: jest.fn().mockResolvedValue({ success: true, importedCount: 1, removedCount: 1, queuedCount: 2, sheetsError: null })
+            };
+        });
+
+        afterEach(() => {
+            delete mockChrome.runtime;
+        });
+
+        it('should preview the rows of the chosen file', async () => {
+            await popupManager.previewImportFile(csvFile(CSV));
+
+            const preview = document.getElementById('import-preview');
+            expect(preview.classList.contains('hidden')).toBe(false);
+            expect(preview.textContent).toContain('2 rows: 1 new, 0 updated, 1 invalid, 0 duplicate');
+            expect(Array.from(preview.querySelectorAll('.import-preview-row')).map(row => row.className)).toEqual([
+                'import-preview-row new',
+                'import-preview-row invalid'
+            ]);
+            expect(preview.querySelector('.import-preview-row.invalid').textContent).toContain('Row 2: Order ID must be a non-empty string');
+            expect(document.getElementById('import-apply-btn').disabled).toBe(false);
+
+            document.getElementById('import-mode').value = 'replace';
+            popupManager.renderImportPreview();
+            expect(preview.textContent).toContain('1 hidden order not in the file will be unhidden');
+        });
+
+        it('should report files it cannot read', async () => {
+            await popupManager.previewImportFile(csvFile('name,price\nLego,25'));
+
+            expect(popupManager.importPreview).toBeNull();
+            expect(document.getElementById('import-apply-btn').disabled).toBe(true);
+            expect(popupManager.showMessage).toHaveBeenCalledWith(expect.stringMatching(/^Could not read orders.csv: Unrecognized CSV/), 'error');
+        });
+
+        it('should apply the import through the background', async () => {
+            await popupManager.previewImportFile(csvFile(CSV));
+            document.getElementById('import-mode').value = 'replace';
+            document.getElementById('import-push-to-sheets').checked = true;
+
+            await expect(popupManager.applyImport()).resolves.toBe(true);
+
+            const message = mockChrome.runtime.sendMessage.mock.calls[0][0];
+            expect(message).toMatchObject({ type: 'IMPORT_HIDDEN_ORDERS', pushToSheets: true });
+            expect(message.plan.upsert.map(order => order.orderId)).toEqual(['222-0000002-0000002']);
+            expect(message.plan.remove).toEqual([existingOrder]);
+            expect(popupManager.importPreview).toBeNull();
+            expect(popupManager.loadHiddenOrders).toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Imported 1 order, unhid 1, Google Sheets update queued', 'success');
+        });
+    });
+
+    describe('backup', () => {
+        const { createBackup } = require('../utils/backup.js');
+        const storedData = {
+            'amazon_archiver_hidden_order_111-0000001-0000001_details': { orderId: '111-0000001-0000001', type: 'details' },
+            'amazon_archiver_config_username': 'alice'
+        };
+        const backup = createBackup(storedData, { reason: 'manual', createdAt: new Date('2024-01-15T10:30:00.000Z') });
+        const jsonFile = (text) => ({ name: 'backup.json', text: () => Promise.resolve(text) });
+        let store;
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            document.body.insertAdjacentHTML('beforeend', `
+                <input type="file" id="backup-file" />
+                <div id="backup-preview" class="hidden"></div>
+                <button id="backup-restore-btn" disabled>Restore</button>
+                <div id="backup-snapshots"></div>
+            `);
+
+            store = { 'amazon_archiver_hidden_order_222-0000002-0000002_order': { orderId: '222-0000002-0000002', type: 'order' } };
+            mockChrome.storage.local.get.mockImplementation(async (key) => (key === null ? { ...store } : { [key]: store[key] }));
+            mockChrome.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+            mockChrome.storage.local.remove.mockImplementation(async (keys) => [].concat(keys).forEach(key => delete store[key]));
+
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.showMessage = jest.fn();
+            popupManager.refreshOrdersOnPage = jest.fn();
+        });
+
+        afterEach(() => {
+            mockChrome.storage.local.get.mockReset();
+            mockChrome.storage.local.set.mockReset();
+            mockChrome.storage.local.remove.mockReset();
+        });
+
+        it('should download a backup of everything stored', async () => {
+            popupManager.downloadFile = jest.fn();
+
+            await popupManager.downloadBackup();
+
+            const [file] = popupManager.downloadFile.mock.calls[0];
+            expect(file.filename).toMatch(/^archizer-backup-.*\.json$/);
+            expect(JSON.parse(file.content).data).toEqual(store);
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Backup downloaded: 1 hidden order, 0 action log entries, 0 users, 0 settings', 'success');
+        });
+
+        it('should show what a backup file holds before restoring it', async () => {
+            await popupManager.previewBackupFile(jsonFile(JSON.stringify(backup)));
+
+            const preview = document.getElementById('backup-preview');
+            expect(preview.classList.contains('hidden')).toBe(false);
+            expect(preview.textContent).toContain('schema version 1');
+            expect(preview.textContent).toContain('1 hidden order, 0 action log entries, 0 users, 1 setting');
+            expect(document.getElementById('backup-restore-btn').disabled).toBe(false);
+        });
+
+        it('should refuse a damaged backup file', async () => {
+            const damaged = JSON.parse(JSON.stringify(backup));
+            damaged.data['amazon_archiver_config_username'] = 'mallory';
+
+            await popupManager.previewBackupFile(jsonFile(JSON.stringify(damaged)));
+
+            expect(popupManager.pendingRestore).toBeNull();
+            expect(document.getElementById('backup-restore-btn').disabled).toBe(true);
+            expect(popupManager.showMessage).toHaveBeenCalledWith(
+                'Could not read backup.json: Checksum mismatch: the backup is damaged or was edited', 'error');
+        });
+
+        it('should snapshot the current data, restore the backup and reload', async () => {
+            await popupManager.previewBackupFile(jsonFile(JSON.stringify(backup)));
+
+            await expect(popupManager.restoreBackup(popupManager.pendingRestore)).resolves.toBe(true);
+
+            // The backup predates the storage schema version, so it is migrated after restoring
+            const { archizer_backup_snapshots: snapshots, amazon_archiver_schema_version: storageVersion, ...restored } = store;
+            expect(storageVersion).toBe(3);
+            expect(restored).toEqual({
+                ...storedData,
+                'amazon_archiver_hidden_order_111-0000001-0000001_details': { orderId: '111-0000001-0000001', type: 'details', marketplace: 'amazon.com' }
+            });
+            expect(snapshots).toHaveLength(1);
+            expect(snapshots[0].manifest.reason).toBe('restore');
+            expect(snapshots[0].data).toHaveProperty(['amazon_archiver_hidden_order_222-0000002-0000002_order']);
+            expect(popupManager.pendingRestore).toBeNull();
+            expect(popupManager.allOrders.map(order => order.orderId)).toEqual(['111-0000001-0000001']);
+            expect(document.querySelectorAll('#backup-snapshots .backup-snapshot')).toHaveLength(1);
+            expect(document.querySelector('#backup-snapshots .rule-name').textContent).toMatch(/^Before restore, /);
+        });
+
+        it('should restore a snapshot from the list', async () => {
+            store.archizer_backup_snapshots = [backup];
+            await popupManager.loadBackupSnapshots();
+
+            document.querySelector('#backup-snapshots .rule-action-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(store['amazon_archiver_hidden_order_111-0000001-0000001_details']).toBeDefined();
+            expect(store['amazon_archiver_hidden_order_222-0000002-0000002_order']).toBeUndefined();
+            expect(store.archizer_backup_snapshots.map(snapshot => snapshot.manifest.reason)).toEqual(['restore', 'manual']);
+        });
+    });
+
+    describe('sheet layout', () => {
+        const report = {
+            storedVersion: null,
+            fromVersion: 1,
+            toVersion: 2,
+            detected: true,
+            upToDate: false,
+            steps: [{
+                version: 2,
+                description: 'Record the Amazon storefront of each hidden order',
+                changes: [{
+                    sheet: 'HiddenOrders',
+                    type: 'addColumn',
+                    header: 'Marketplace',
+                    description: 'Add column "Marketplace" to HiddenOrders after "Last Modified"',
+                    status: 'pending',
+                    toIndex: 9
+                }]
+            }],
+            errors: []
+        };
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue(undefined);
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="sheets-migration-report" class="hidden"></div>
+                <button id="sheets-migration-apply-btn" disabled>Apply Update</button>
+            `);
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true, report }) };
+
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.showMessage = jest.fn();
+        });
+
+        afterEach(() => {
+            delete mockChrome.runtime;
+        });
+
+        it('should show the dry run before anything is changed', async () => {
+            await popupManager.checkSheetsMigration();
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'MIGRATE_SHEETS_SCHEMA', dryRun: true });
+            const container = document.getElementById('sheets-migration-report');
+            expect(container.classList.contains('hidden')).toBe(false);
+            expect(container.textContent).toContain('Layout version 1 (not recorded), current version 2');
+            expect(container.querySelector('.import-preview-row.pending').textContent)
+                .toBe('Version 2: Add column "Marketplace" to HiddenOrders after "Last Modified" (pending)');
+            expect(document.getElementById('sheets-migration-apply-btn').disabled).toBe(false);
+        });
+
+        it('should not offer to apply a plan with errors', async () => {
+            const error = 'The sheet headers do not match any known Archizer layout, so the layout version cannot be detected';
+            mockChrome.runtime.sendMessage.mockResolvedValue({ success: true, report: { ...report, fromVersion: null, steps: [], errors: [error] } });
+
+            await popupManager.checkSheetsMigration();
+
+            expect(document.getElementById('sheets-migration-report').textContent).toContain(error);
+            expect(document.getElementById('sheets-migration-apply-btn').disabled).toBe(true);
+        });
+
+        it('should apply the update and hide the report', async () => {
+            await popupManager.checkSheetsMigration();
+
+            await expect(popupManager.applySheetsMigration()).resolves.toBe(true);
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'MIGRATE_SHEETS_SCHEMA', dryRun: false });
+            expect(document.getElementById('sheets-migration-report').classList.contains('hidden')).toBe(true);
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Sheet layout updated to version 2', 'success');
+        });
+
+        it('should report a failed update', async () => {
+            mockChrome.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Google Sheets not configured' });
+
+            await expect(popupManager.applySheetsMigration()).resolves.toBe(false);
+
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Error updating the sheet layout: Google Sheets not configured', 'error');
+        });
+    });
+
+    describe('auto-archive rules', () => {
+        const oldOrdersRule = {
+            name: 'old-orders',
+            enabled: true,
+            hideType: 'order',
+            tags: [],
+            conditions: { olderThan: { amount: 2, unit: 'years' } }
+        };
+
+        beforeEach(async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue([]);
+            document.getElementById('settings-view').insertAdjacentHTML('beforeend', `
+                <div id="auto-archive-rules-list"></div>
+                <input id="rule-name">
+                <input id="rule-older-than">
+                <select id="rule-older-than-unit">
+                    <option value="days">days</option>
+                    <option value="months">months</option>
+                    <option value="years">years</option>
+                </select>
+                <input id="rule-total-under">
+                <input id="rule-item-pattern">
+                <input id="rule-tags">
+                <select id="rule-hide-type">
+                    <option value="details">details</option>
+                    <option value="order">order</option>
+                </select>
+            `);
+            popupManager = new PopupManager();
+            popupManager.showMessage = jest.fn();
+            await new Promise(resolve => setTimeout(resolve, 0));
+        });
+
+        it('should render stored rules', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.get.mockResolvedValue([oldOrdersRule]);
+
+            await popupManager.loadAutoArchiveRules();
+
+            const list = document.getElementById('auto-archive-rules-list');
+            expect(configManager.get).toHaveBeenCalledWith('auto_archive_rules');
+            expect(list.querySelector('.rule-name').textContent).toBe('old-orders');
+            expect(list.querySelector('.rule-description').textContent).toBe('Hide order: older than 2 years');
+        });
+
+        it('should save a rule built from the form', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.set.mockResolvedValue(true);
+            document.getElementById('rule-name').value = 'gift-cards';
+            document.getElementById('rule-item-pattern').value = '/gift card/i';
+            document.getElementById('rule-tags').value = 'gifts, holidays';
+
+            await popupManager.saveAutoArchiveRule();
+
+            expect(configManager.set).toHaveBeenCalledWith('auto_archive_rules', [{
+                name: 'gift-cards',
+                enabled: true,
+                hideType: 'details',
+                tags: ['gifts', 'holidays'],
+                conditions: { itemPattern: '/gift card/i' }
+            }]);
+            expect(document.getElementById('rule-name').value).toBe('');
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Rule "gift-cards" saved', 'success');
+        });
+
+        it('should replace the rule being edited', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.set.mockResolvedValue(true);
+            popupManager.autoArchiveRules = [oldOrdersRule];
+
+            popupManager.fillRuleForm(oldOrdersRule);
+            document.getElementById('rule-name').value = 'very-old-orders';
+            document.getElementById('rule-older-than').value = '5';
+            await popupManager.saveAutoArchiveRule();
+
+            const saved = configManager.set.mock.calls[0][1];
+            expect(saved).toHaveLength(1);
+            expect(saved[0]).toEqual(expect.objectContaining({
+                name: 'very-old-orders',
+                hideType: 'order',
+                conditions: { olderThan: { amount: 5, unit: 'years' } }
+            }));
+        });
+
+        it('should show validation errors and keep the existing rules', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.set.mockRejectedValue(new Error('Validation failed for auto_archive_rules: Rule 1 must have a name'));
+
+            await popupManager.saveAutoArchiveRule();
+
+            expect(popupManager.autoArchiveRules).toEqual([]);
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Validation failed for auto_archive_rules: Rule 1 must have a name', 'error');
+        });
+
+        it('should disable and delete rules', async () => {
+            const { configManager } = require('../utils/config-manager.js');
+            configManager.set.mockResolvedValue(true);
+            popupManager.autoArchiveRules = [oldOrdersRule];
+
+            await popupManager.toggleAutoArchiveRule('old-orders', false);
+            expect(configManager.set).toHaveBeenLastCalledWith('auto_archive_rules', [{ ...oldOrdersRule, enabled: false }]);
+
+            await popupManager.deleteAutoArchiveRule('old-orders');
+            expect(configManager.set).toHaveBeenLastCalledWith('auto_archive_rules', []);
+            expect(document.querySelector('.rules-empty').textContent).toBe('No rules yet');
+        });
+    });
+
     describe('clearAllHiddenOrders method', () => {
         beforeEach(() => {
             popupManager = new PopupManager();
@@ -588,6 +1669,242 @@ describe('PopupManager', () => {
         });
     });
 
+    describe('profiles', () => {
+        const { configManager } = require('../utils/config-manager.js');
+        const profiles = {
+            activeProfileId: 'sam',
+            profiles: [
+                { id: 'default', name: 'Default', amazonAccount: null, username: null, sheetUrl: null },
+                { id: 'sam', name: 'Sam', amazonAccount: 'Sam', username: 'sam', sheetUrl: 'https://docs.google.com/spreadsheets/d/SAM/edit' }
+            ]
+        };
+
+        beforeEach(async () => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <select id="profile-switcher"></select>
+                <button id="profile-delete-btn">Delete Profile</button>
+                <input id="oauth-client-id" value="client-id" />
+                <input id="oauth-client-secret" value="" />
+                <input id="sheet-url" value="https://docs.google.com/spreadsheets/d/SAM2/edit" />
+            `);
+            configManager.get.mockImplementation(async (key) => (key === 'profiles' ? profiles : null));
+            configManager.set.mockResolvedValue();
+            mockChrome.storage.local.remove.mockResolvedValue();
+            popupManager = new PopupManager();
+            await popupManager.loadProfiles();
+        });
+
+        it('should show the profiles in the header switcher', () => {
+            const switcher = document.getElementById('profile-switcher');
+
+            expect(Array.from(switcher.options).map(option => option.textContent)).toEqual(['Default', 'Sam']);
+            expect(switcher.value).toBe('sam');
+            expect(switcher.classList.contains('hidden')).toBe(false);
+            expect(popupManager.getProfileNamespace()).toBe('profile_sam_');
+        });
+
+        it('should switch profiles and reload the popup', async () => {
+            const reloadSpy = jest.spyOn(popupManager, 'reloadState').mockResolvedValue();
+
+            await expect(popupManager.switchProfile('default')).resolves.toBe(true);
+
+            expect(configManager.set).toHaveBeenCalledWith('profiles', { ...profiles, activeProfileId: 'default' });
+            expect(reloadSpy).toHaveBeenCalled();
+            expect(popupManager.getProfileNamespace()).toBe('');
+        });
+
+        it('should save the username and sheet of a profile in the profile', async () => {
+            document.getElementById('username').value = 'samantha';
+
+            await popupManager.autoSaveConfig();
+
+            expect(configManager.set).toHaveBeenCalledWith('profiles', {
+                ...profiles,
+                profiles: [profiles.profiles[0], { ...profiles.profiles[1], username: 'samantha', sheetUrl: 'https://docs.google.com/spreadsheets/d/SAM2/edit' }]
+            });
+            expect(configManager.setLenient).not.toHaveBeenCalledWith('username', expect.anything());
+            expect(configManager.setLenient).toHaveBeenCalledWith('google_sheets', { oauthClientId: 'client-id', oauthClientSecret: '', sheetUrl: '' });
+        });
+
+        it('should clear only the hidden orders of the active profile on resync', async () => {
+            mockChrome.storage.local.get.mockResolvedValue({
+                'amazon_archiver_hidden_order_123_details': { orderId: '123' },
+                'amazon_archiver_profile_sam_hidden_order_456_details': { orderId: '456' },
+                'amazon_archiver_order_tags_123': ['tag1'],
+                'amazon_archiver_order_tags_456': ['tag2']
+            });
+
+            await expect(popupManager.clearAllHiddenOrders()).resolves.toBe(1);
+
+            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith(['amazon_archiver_profile_sam_hidden_order_456_details']);
+            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith(['amazon_archiver_order_tags_456']);
+        });
+
+        it('should delete a profile with its data after confirmation', async () => {
+            jest.spyOn(popupManager, 'reloadState').mockResolvedValue();
+            mockChrome.storage.local.get.mockResolvedValue({
+                'amazon_archiver_hidden_order_123_details': { orderId: '123' },
+                'amazon_archiver_profile_sam_hidden_order_456_details': { orderId: '456' },
+                'amazon_archiver_profile_sam_sync_state': {}
+            });
+
+            await expect(popupManager.deleteActiveProfile()).resolves.toBe(false);
+            expect(document.getElementById('profile-delete-btn').textContent).toBe('Confirm Delete');
+
+            await expect(popupManager.deleteActiveProfile()).resolves.toBe(true);
+            expect(configManager.set).toHaveBeenCalledWith('profiles', { activeProfileId: 'default', profiles: [profiles.profiles[0]] });
+            expect(mockChrome.storage.local.remove).toHaveBeenCalledWith([
+                'amazon_archiver_profile_sam_hidden_order_456_details',
+                'amazon_archiver_profile_sam_sync_state',
+                'google_oauth_tokens_sam'
+            ]);
+        });
+    });
+
+    describe('team mode', () => {
+        const { configManager } = require('../utils/config-manager.js');
+        const createOrder = (orderId, username) => ({
+            orderId,
+            type: 'order',
+            username,
+            orderData: { orderDate: '2023-01-01', orderTotal: '$10.00', tags: [] }
+        });
+
+        beforeEach(async () => {
+            configManager.get.mockImplementation(async (key) => (key === 'team_mode' ? true : undefined));
+            mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: 'https://www.amazon.com/gp/css/order-history' }]);
+            mockChrome.tabs.sendMessage.mockImplementation(() => {});
+            document.body.insertAdjacentHTML('beforeend', '<div id="user-pills"></div>');
+            popupManager = new PopupManager();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            popupManager.teamMode = true;
+            popupManager.teamUsers = [
+                { username: 'sam', isActive: true, role: 'owner' },
+                { username: 'alex', isActive: true, role: 'viewer' },
+                { username: 'jo', isActive: false, role: 'editor' }
+            ];
+            popupManager.allOrders = [createOrder('111-0000001', 'sam'), createOrder('111-0000002', 'jo')];
+            popupManager.populateFilterPills(popupManager.allOrders);
+            popupManager.applyFilters();
+        });
+
+        it('should show each user\'s role on their pill', () => {
+            const samBadge = document.querySelector('.user-pill[data-user="sam"] .role-badge');
+            const joBadge = document.querySelector('.user-pill[data-user="jo"] .role-badge');
+
+            expect(samBadge.textContent).toBe('owner');
+            expect(samBadge.classList.contains('role-owner')).toBe(true);
+            expect(joBadge.classList.contains('role-inactive')).toBe(true);
+            expect(joBadge.title).toBe('Inactive');
+        });
+
+        it('should ask a viewer to confirm unhiding someone else\'s order', async () => {
+            document.getElementById('username').value = 'alex';
+            popupManager.unhideOrder = jest.fn();
+            popupManager.showMessage = jest.fn();
+
+            await popupManager.showOrderDetails('111-0000001', 'order');
+
+            expect(popupManager.unhideOrder).not.toHaveBeenCalled();
+            expect(popupManager.showMessage).toHaveBeenCalledWith(
+                'Hidden by @sam. Click Confirm Unhide to unhide it without editor rights.', 'info'
+            );
+            const button = document.querySelector('.show-details-btn[data-order-id="111-0000001"]');
+            expect(button.classList.contains('confirming')).toBe(true);
+            expect(button.textContent).toContain('Confirm Unhide');
+
+            await popupManager.showOrderDetails('111-0000001', 'order');
+
+            expect(popupManager.unhideOrder).toHaveBeenCalledWith('111-0000001', 'order');
+            expect(popupManager.pendingUnhide).toBeNull();
+        });
+
+        it('should let an editor unhide someone else\'s order straight away', async () => {
+            document.getElementById('username').value = 'jo';
+            popupManager.unhideOrder = jest.fn();
+            popupManager.showMessage = jest.fn();
+
+            await popupManager.showOrderDetails('111-0000001', 'order');
+
+            expect(popupManager.unhideOrder).toHaveBeenCalledWith('111-0000001', 'order');
+        });
+    });
+
+    describe('username from Google', () => {
+        const { configManager } = require('../utils/config-manager.js');
+        let config;
+
+        beforeEach(async () => {
+            config = {
+                username: 'sam',
+                username_source: 'google',
+                profiles: {
+                    activeProfileId: 'default',
+                    profiles: [{ id: 'default', name: 'Default', amazonAccount: null, username: null, sheetUrl: null, email: 'sam@example.com', displayName: 'Sam Hawalli' }]
+                }
+            };
+            configManager.get.mockImplementation(async (key) => config[key]);
+            configManager.set.mockImplementation(async (key, value) => { config[key] = value; });
+            document.body.insertAdjacentHTML('beforeend', `
+                <input type="checkbox" id="username-from-google" />
+                <p id="google-identity-status"></p>
+            `);
+            popupManager = new PopupManager();
+            popupManager.showMessage = jest.fn();
+            await popupManager.loadProfiles();
+        });
+
+        it('should show the Google email as a read-only username', async () => {
+            await popupManager.loadUserSettings();
+
+            const usernameInput = document.getElementById('username');
+            expect(usernameInput.value).toBe('sam@example.com');
+            expect(usernameInput.readOnly).toBe(true);
+            expect(document.getElementById('username-from-google').checked).toBe(true);
+            expect(document.getElementById('google-identity-status').textContent).toBe('Signed in as Sam Hawalli (sam@example.com)');
+        });
+
+        it('should bring back the typed username when turned off', async () => {
+            await popupManager.setUsernameFromGoogle(false);
+
+            expect(configManager.set).toHaveBeenCalledWith('username_source', 'manual');
+            const usernameInput = document.getElementById('username');
+            expect(usernameInput.value).toBe('sam');
+            expect(usernameInput.readOnly).toBe(false);
+        });
+
+        it('should read the Google account when turned on', async () => {
+            config.username_source = 'manual';
+            mockChrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true, identity: { email: 'sam@example.com', displayName: 'Sam Hawalli' } }) };
+
+            await popupManager.setUsernameFromGoogle(true);
+
+            expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'DISCOVER_GOOGLE_IDENTITY' });
+            expect(configManager.set).toHaveBeenCalledWith('username_source', 'google');
+            expect(popupManager.showMessage).toHaveBeenCalledWith('Username set to sam@example.com', 'success');
+            expect(document.getElementById('username').value).toBe('sam@example.com');
+        });
+
+        it('should keep the typed username when the Google account cannot be read', async () => {
+            config.username_source = 'manual';
+            mockChrome.runtime = {
+                sendMessage: jest.fn().mockResolvedValue({
+                    success: false,
+                    error: 'The Google sign-in does not include your email address. Sign in to Google again.'
+                })
+            };
+
+            await popupManager.setUsernameFromGoogle(true);
+
+            expect(configManager.set).not.toHaveBeenCalledWith('username_source', 'google');
+            expect(popupManager.showMessage).toHaveBeenCalledWith(
+                'Could not read your Google account: The Google sign-in does not include your email address. Sign in to Google again.', 'error'
+            );
+            expect(document.getElementById('username-from-google').checked).toBe(false);
+            expect(document.getElementById('username').value).toBe('sam');
+        });
+    });
+
     describe('event listeners', () => {
         beforeEach(() => {
             popupManager = new PopupManager();
@@ -0,0 +1,312 @@
+/**
+ * Auto-Archive Rules
+ * User-defined rules that hide orders automatically as the order history page loads,
+ * e.g. "hide any order older than 2 years" or "hide orders containing /gift card/i with tag gifts".
+ *
+ * A rule looks like:
+ * {
+ *     name: 'old-orders',
+ *     enabled: true,
+ *     hideType: 'details' | 'order',
+ *     tags: ['archive'],
+ *     conditions: {
+ *         olderThan: { amount: 2, unit: 'years' },
+ *         totalUnder: 10,
+ *         itemPattern: '/gift card/i'
+ *     }
+ * }
+ * Every condition present must match. Each order is only ever auto-archived once, so
+ * unhiding an order that a rule archived keeps it visible.
+ */
+
+import { specializedLogger as log } from './logger.js';
+import { getMarketplace, parsePriceAmount, DEFAULT_MARKETPLACE_ID } from './marketplaces.js';
+import { HIDDEN_TYPES } from '../backends/google-sheets/schema.js';
+
+export const RULE_AGE_UNITS = ['days', 'months', 'years'];
+
+// Prefix for the ActionLog "Performed By" column of rule-driven hides
+export const RULE_PERFORMER_PREFIX = 'rule:';
+
+/**
+ * Parse an item pattern, either a regex literal ("/gift card/i") or plain text matched case-insensitively
+ * @param {string} pattern - Pattern text
+ * @returns {RegExp} Compiled pattern
+ * @throws {SyntaxError} If the regex literal is invalid
+ */
+export function parseItemPattern(pattern) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (literal) {
+        return new RegExp(literal[1], literal[2]);
+    }
+    return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Validate a list of auto-archive rules (ConfigManager validator for 'auto_archive_rules')
+ * @param {Array} rules - Rules to validate
+ * @returns {Object} { valid, errors }
+ */
+export function validateAutoArchiveRules(rules) {
+    const errors = [];
+
+    if (!Array.isArray(rules)) {
+        return { valid: false, errors: ['auto_archive_rules must be an array'] };
+    }
+
+    const names = new Set();
+    rules.forEach((rule, index) => {
+        const label = rule && rule.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+            errors.push(`${label} must have a name`);
+        } else if (names.has(rule.name)) {
+            errors.push(`${label} is defined more than once`);
+        } else {
+            names.add(rule.name);
+        }
+
+        if (rule.hideType !== undefined && !HIDDEN_TYPES.includes(rule.hideType)) {
+            errors.push(`${label} hide type must be one of: ${HIDDEN_TYPES.join(', ')}`);
+        }
+
+        if (rule.tags !== undefined && (!Array.isArray(rule.tags) || rule.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push(`${label} tags must be a list of strings`);
+        }
+
+        const conditions = rule.conditions || {};
+        const { olderThan, totalUnder, itemPattern } = conditions;
+        if (olderThan === undefined && totalUnder === undefined && itemPattern === undefined) {
+            errors.push(`${label} must have at least one condition`);
+        }
+
+        if (olderThan !== undefined) {
+            if (!olderThan || typeof olderThan.amount !== 'number' || !(olderThan.amount > 0)) {
+                errors.push(`${label} age must be a positive number`);
+            }
+            if (!olderThan || !RULE_AGE_UNITS.includes(olderThan.unit)) {
+                errors.push(`${label} age unit must be one of: ${RULE_AGE_UNITS.join(', ')}`);
+            }
+        }
+
+        if (totalUnder !== undefined && (typeof totalUnder !== 'number' || !(totalUnder > 0))) {
+            errors.push(`${label} total must be a positive number`);
+        }
+
+        if (itemPattern !== undefined) {
+            if (typeof itemPattern !== 'string' || itemPattern === '') {
+                errors.push(`${label} item pattern must be a non-empty string`);
+            } else {
+                try {
+                    parseItemPattern(itemPattern);
+                } catch (error) {
+                    errors.push(`${label} item pattern is not a valid regular expression`);
+                }
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the date before which orders count as "older than" the given age
+ * @param {Object} olderThan - { amount, unit }
+ * @param {Date} now - Current time
+ * @returns {Date} Cutoff date
+ */
+function getAgeCutoff(olderThan, now) {
+    const cutoff = new Date(now.getTime());
+    if (olderThan.unit === 'years') {
+        cutoff.setFullYear(cutoff.getFullYear() - olderThan.amount);
+    } else if (olderThan.unit === 'months') {
+        cutoff.setMonth(cutoff.getMonth() - olderThan.amount);
+    } else {
+        cutoff.setDate(cutoff.getDate() - olderThan.amount);
+    }
+    return cutoff;
+}
+
+/**
+ * Check whether an order matches every condition of a rule
+ * Orders whose date, total or items could not be parsed never match the corresponding condition
+ * @param {Object} rule - Auto-archive rule
+ * @param {Object} orderData - Order data from OrderParser.parseOrderCard
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the rule matches
+ */
+export function evaluateRule(rule, orderData, now = new Date()) {
+    if (!rule || !orderData) {
+        return false;
+    }
+
+    const conditions = rule.conditions || {};
+    const { olderThan, totalUnder, itemPattern } = conditions;
+    if (olderThan === undefined && totalUnder === undefined && itemPattern === undefined) {
+        return false;
+    }
+
+    if (olderThan !== undefined) {
+        const orderTime = Date.parse(orderData.orderDate);
+        if (Number.isNaN(orderTime) || orderTime >= getAgeCutoff(olderThan, now).getTime()) {
+            return false;
+        }
+    }
+
+    if (totalUnder !== undefined) {
+        const marketplace = getMarketplace(orderData.marketplace) || getMarketplace(DEFAULT_MARKETPLACE_ID);
+        const total = parsePriceAmount(orderData.orderTotal, marketplace);
+        if (total === null || total >= totalUnder) {
+            return false;
+        }
+    }
+
+    if (itemPattern !== undefined) {
+        let pattern;
+        try {
+            pattern = parseItemPattern(itemPattern);
+        } catch (error) {
+            return false;
+        }
+        const items = Array.isArray(orderData.orderItems) ? orderData.orderItems : [];
+        if (!items.some(item => item && typeof item.name === 'string' && pattern.test(item.name))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Find the first enabled rule that matches an order
+ * @param {Array} rules - Auto-archive rules, in priority order
+ * @param {Object} orderData - Order data from OrderParser.parseOrderCard
+ * @param {Date} now - Current time
+ * @returns {Object|null} Matching rule or null
+ */
+export function findMatchingRule(rules, orderData, now = new Date()) {
+    if (!Array.isArray(rules)) {
+        return null;
+    }
+    return rules.find(rule => rule && rule.enabled !== false && evaluateRule(rule, orderData, now)) || null;
+}
+
+/**
+ * Applies auto-archive rules to order cards as the content script processes them
+ */
+export class AutoArchiver {
+    /**
+     * @param {DOMManipulator} domManipulator - DOM manipulator that hides the cards
+     * @param {OrderParser} orderParser - Parser that extracts order data from cards
+     * @param {StorageManager} storage - Storage manager instance
+     */
+    constructor(domManipulator, orderParser, storage) {
+        this.domManipulator = domManipulator;
+        this.orderParser = orderParser;
+        this.storage = storage;
+        this.rules = [];
+    }
+
+    /**
+     * Set the rules to apply
+     * @param {Array} rules - Auto-archive rules
+     */
+    setRules(rules) {
+        this.rules = Array.isArray(rules) ? rules.filter(rule => rule && rule.enabled !== false) : [];
+        log.info(`🤖 Loaded ${this.rules.length} auto-archive rules`);
+    }
+
+    /**
+     * Get the storage key that records a rule was applied to an order
+     * @param {string} orderId - Order ID
+     * @returns {string} Storage key (without the storage prefix)
+     */
+    _makeAppliedKey(orderId) {
+        return `rule_applied_${orderId}`;
+    }
+
+    /**
+     * Apply the first matching rule to an order card
+     * Orders that are already hidden, or that a rule has handled before, are left alone
+     * @param {Element} orderCard - The order card element
+     * @param {string} orderId - Order ID
+     * @returns {Object|null} The rule that was applied, or null
+     */
+    async applyToOrder(orderCard, orderId) {
+        if (this.rules.length === 0 || !orderCard || !orderId) {
+            return null;
+        }
+
+        try {
+            const domManipulator = this.domManipulator;
+            if (domManipulator.areDetailsHidden(orderId) || domManipulator.isOrderArchived(orderId)) {
+                return null;
+            }
+
+            if (await this.storage.get(this._makeAppliedKey(orderId))) {
+                return null;
+            }
+            for (const type of HIDDEN_TYPES) {
+                if (await this.storage.getHiddenOrder(orderId, type)) {
+                    return null;
+                }
+            }
+
+            const orderData = this.orderParser.parseOrderCard(orderCard);
+            const rule = findMatchingRule(this.rules, orderData);
+            if (!rule) {
+                return null;
+            }
+
+            const performedBy = `${RULE_PERFORMER_PREFIX}${rule.name}`;
+            log.info(`🤖 Rule "${rule.name}" matched order ${orderId}`);
+
+            // Record the rule first so a failed hide is not retried on every page load
+            await this.storage.set(this._makeAppliedKey(orderId), {
+                orderId,
+                ruleName: rule.name,
+                appliedAt: new Date().toISOString()
+            });
+
+            const tagData = {
+                orderNumber: orderId,
+                orderDate: orderData.orderDate,
+                tags: rule.tags || [],
+                performedBy,
+                timestamp: new Date().toISOString()
+            };
+            await domManipulator.storeOrderTags(orderId, tagData);
+            // The order is hidden by the user; the rule is only credited in the ActionLog
+            await domManipulator.performHideOperation(orderId, tagData, await this.storage.getUsername(), rule.hideType || 'details');
+
+            return rule;
+        } catch (error) {
+            log.error(`Error applying auto-archive rules to order ${orderId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply rules to every order card that has buttons injected
+     * Orders are handled concurrently so their Google Sheets writes share batches
+     * @returns {number} Number of orders archived by a rule
+     */
+    async applyToAllOrders() {
+        if (this.rules.length === 0) {
+            return 0;
+        }
+
+        const results = await Promise.all(
+            Array.from(this.domManipulator.injectedButtons.entries())
+                .map(([orderId, buttonInfo]) => this.applyToOrder(buttonInfo.orderCard, orderId))
+        );
+        const archived = results.filter(Boolean).length;
+        log.info(`🤖 Auto-archive rules hid ${archived} orders`);
+        return archived;
+    }
+}
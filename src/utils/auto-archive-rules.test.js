@@ -0,0 +1,260 @@
+/**
+ * Unit tests for auto-archive rules
+ * Tests rule validation, rule evaluation against parsed order data and the content script archiver
+ */
+
+import {
+    validateAutoArchiveRules,
+    parseItemPattern,
+    evaluateRule,
+    findMatchingRule,
+    AutoArchiver
+} from './auto-archive-rules.js';
+
+// Mock the logger module
+jest.mock('./logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        warning: jest.fn(),
+        success: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const createOrderData = (overrides = {}) => ({
+    orderNumber: '111-0000001-0000001',
+    orderDate: '2022-03-01',
+    orderTotal: '$25.00',
+    orderStatus: 'Delivered',
+    orderItems: [{ name: 'USB-C Cable', price: '$25.00', quantity: 1 }],
+    marketplace: 'amazon.com',
+    ...overrides
+});
+
+describe('validateAutoArchiveRules', () => {
+    it('should accept the example rules', () => {
+        const result = validateAutoArchiveRules([
+            { name: 'old-orders', hideType: 'order', conditions: { olderThan: { amount: 2, unit: 'years' } } },
+            { name: 'small-orders', conditions: { totalUnder: 10 } },
+            { name: 'gift-cards', tags: ['gifts'], conditions: { itemPattern: '/gift card/i' } }
+        ]);
+
+        expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject values that are not a list', () => {
+        expect(validateAutoArchiveRules({ name: 'old-orders' }).valid).toBe(false);
+    });
+
+    it('should require a unique name and at least one condition', () => {
+        const result = validateAutoArchiveRules([
+            { name: 'old-orders', conditions: { totalUnder: 10 } },
+            { name: 'old-orders', conditions: { totalUnder: 5 } },
+            { name: '', conditions: {} }
+        ]);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'Rule "old-orders" is defined more than once',
+            'Rule 3 must have a name',
+            'Rule 3 must have at least one condition'
+        ]);
+    });
+
+    it('should reject invalid condition values', () => {
+        const result = validateAutoArchiveRules([{
+            name: 'broken',
+            hideType: 'everything',
+            tags: 'gifts',
+            conditions: { olderThan: { amount: -1, unit: 'weeks' }, totalUnder: '10', itemPattern: '/gift[/' }
+        }]);
+
+        expect(result.errors).toEqual([
+            'Rule "broken" hide type must be one of: details, order',
+            'Rule "broken" tags must be a list of strings',
+            'Rule "broken" age must be a positive number',
+            'Rule "broken" age unit must be one of: days, months, years',
+            'Rule "broken" total must be a positive number',
+            'Rule "broken" item pattern is not a valid regular expression'
+        ]);
+    });
+});
+
+describe('parseItemPattern', () => {
+    it('should compile regex literals with their flags', () => {
+        const pattern = parseItemPattern('/gift card/i');
+
+        expect(pattern.test('Amazon.com Gift Card')).toBe(true);
+        expect(pattern.ignoreCase).toBe(true);
+    });
+
+    it('should match plain text literally and case-insensitively', () => {
+        const pattern = parseItemPattern('C++ (2nd ed.)');
+
+        expect(pattern.test('the c++ (2nd ed.) book')).toBe(true);
+        expect(pattern.test('C (2nd ed.)')).toBe(false);
+    });
+});
+
+describe('evaluateRule', () => {
+    it('should match orders older than the given age', () => {
+        const rule = { name: 'old', conditions: { olderThan: { amount: 2, unit: 'years' } } };
+
+        expect(evaluateRule(rule, createOrderData({ orderDate: '2023-06-14' }), NOW)).toBe(true);
+        expect(evaluateRule(rule, createOrderData({ orderDate: '2023-06-16' }), NOW)).toBe(false);
+        expect(evaluateRule({ name: 'recent', conditions: { olderThan: { amount: 30, unit: 'days' } } },
+            createOrderData({ orderDate: '2025-05-01' }), NOW)).toBe(true);
+    });
+
+    it('should never match on age when the order date could not be parsed', () => {
+        const rule = { name: 'old', conditions: { olderThan: { amount: 1, unit: 'days' } } };
+
+        expect(evaluateRule(rule, createOrderData({ orderDate: 'N/A' }), NOW)).toBe(false);
+    });
+
+    it('should compare totals using the order marketplace format', () => {
+        const rule = { name: 'small', conditions: { totalUnder: 10 } };
+
+        expect(evaluateRule(rule, createOrderData({ orderTotal: '$9.99' }), NOW)).toBe(true);
+        expect(evaluateRule(rule, createOrderData({ orderTotal: '$10.00' }), NOW)).toBe(false);
+        expect(evaluateRule(rule, createOrderData({ orderTotal: '9,50 €', marketplace: 'amazon.de' }), NOW)).toBe(true);
+        expect(evaluateRule(rule, createOrderData({ orderTotal: 'N/A' }), NOW)).toBe(false);
+    });
+
+    it('should match when any item name matches the pattern', () => {
+        const rule = { name: 'gifts', conditions: { itemPattern: '/gift card/i' } };
+
+        expect(evaluateRule(rule, createOrderData({
+            orderItems: [{ name: 'Book' }, { name: 'Amazon.com eGift Card' }]
+        }), NOW)).toBe(true);
+        expect(evaluateRule(rule, createOrderData(), NOW)).toBe(false);
+    });
+
+    it('should require every condition to match', () => {
+        const rule = { name: 'old-and-small', conditions: { olderThan: { amount: 2, unit: 'years' }, totalUnder: 10 } };
+
+        expect(evaluateRule(rule, createOrderData({ orderTotal: '$5.00' }), NOW)).toBe(true);
+        expect(evaluateRule(rule, createOrderData({ orderTotal: '$50.00' }), NOW)).toBe(false);
+    });
+
+    it('should not match rules without conditions', () => {
+        expect(evaluateRule({ name: 'empty', conditions: {} }, createOrderData(), NOW)).toBe(false);
+    });
+});
+
+describe('findMatchingRule', () => {
+    it('should return the first enabled matching rule', () => {
+        const rules = [
+            { name: 'disabled', enabled: false, conditions: { totalUnder: 100 } },
+            { name: 'large', conditions: { totalUnder: 5 } },
+            { name: 'old', conditions: { olderThan: { amount: 1, unit: 'years' } } },
+            { name: 'small', conditions: { totalUnder: 100 } }
+        ];
+
+        expect(findMatchingRule(rules, createOrderData(), NOW).name).toBe('old');
+        expect(findMatchingRule([], createOrderData(), NOW)).toBeNull();
+    });
+});
+
+describe('AutoArchiver', () => {
+    let archiver;
+    let domManipulator;
+    let orderParser;
+    let storage;
+    let orderCard;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        orderCard = document.createElement('div');
+        domManipulator = {
+            injectedButtons: new Map([['111-0000001-0000001', { orderCard }]]),
+            isOrderArchived: jest.fn().mockReturnValue(false),
+            areDetailsHidden: jest.fn().mockReturnValue(false),
+            storeOrderTags: jest.fn().mockResolvedValue(),
+            performHideOperation: jest.fn().mockResolvedValue()
+        };
+        orderParser = { parseOrderCard: jest.fn().mockReturnValue(createOrderData()) };
+        storage = {
+            get: jest.fn().mockResolvedValue(null),
+            set: jest.fn().mockResolvedValue(),
+            getHiddenOrder: jest.fn().mockResolvedValue(null),
+            getUsername: jest.fn().mockResolvedValue('alice')
+        };
+
+        archiver = new AutoArchiver(domManipulator, orderParser, storage);
+        archiver.setRules([
+            { name: 'gifts', tags: ['gifts'], hideType: 'order', conditions: { itemPattern: '/gift card/i' } },
+            { name: 'old-orders', conditions: { olderThan: { amount: 2, unit: 'years' } } }
+        ]);
+    });
+
+    it('should hide matching orders on behalf of the rule', async () => {
+        const rule = await archiver.applyToOrder(orderCard, '111-0000001-0000001');
+
+        expect(rule.name).toBe('old-orders');
+        expect(storage.set).toHaveBeenCalledWith('rule_applied_111-0000001-0000001', expect.objectContaining({ ruleName: 'old-orders' }));
+        expect(domManipulator.performHideOperation).toHaveBeenCalledWith(
+            '111-0000001-0000001',
+            expect.objectContaining({ tags: [], performedBy: 'rule:old-orders' }),
+            'alice',
+            'details'
+        );
+    });
+
+    it('should store the rule tags and hide type', async () => {
+        orderParser.parseOrderCard.mockReturnValue(createOrderData({
+            orderDate: '2025-01-01',
+            orderItems: [{ name: 'Amazon Gift Card' }]
+        }));
+
+        await archiver.applyToOrder(orderCard, '111-0000001-0000001');
+
+        expect(domManipulator.storeOrderTags).toHaveBeenCalledWith(
+            '111-0000001-0000001',
+            expect.objectContaining({ tags: ['gifts'], performedBy: 'rule:gifts' })
+        );
+        expect(domManipulator.performHideOperation).toHaveBeenCalledWith('111-0000001-0000001', expect.any(Object), 'alice', 'order');
+    });
+
+    it('should leave orders alone that a rule already handled', async () => {
+        storage.get.mockResolvedValue({ ruleName: 'old-orders' });
+
+        expect(await archiver.applyToOrder(orderCard, '111-0000001-0000001')).toBeNull();
+        expect(domManipulator.performHideOperation).not.toHaveBeenCalled();
+    });
+
+    it('should leave orders alone that are already hidden', async () => {
+        storage.getHiddenOrder.mockImplementation(async (orderId, type) => (type === 'order' ? { orderId } : null));
+
+        expect(await archiver.applyToOrder(orderCard, '111-0000001-0000001')).toBeNull();
+        expect(orderParser.parseOrderCard).not.toHaveBeenCalled();
+    });
+
+    it('should skip disabled rules', async () => {
+        archiver.setRules([{ name: 'old-orders', enabled: false, conditions: { olderThan: { amount: 2, unit: 'years' } } }]);
+
+        expect(await archiver.applyToOrder(orderCard, '111-0000001-0000001')).toBeNull();
+        expect(storage.get).not.toHaveBeenCalled();
+    });
+
+    it('should apply rules to every injected order', async () => {
+        domManipulator.injectedButtons.set('111-0000002-0000002', { orderCard: document.createElement('div') });
+        orderParser.parseOrderCard
+            .mockReturnValueOnce(createOrderData())
+            .mockReturnValueOnce(createOrderData({ orderDate: '2025-01-01' }));
+
+        expect(await archiver.applyToAllOrders()).toBe(1);
+        expect(domManipulator.performHideOperation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not throw when hiding fails', async () => {
+        domManipulator.performHideOperation.mockRejectedValue(new Error('boom'));
+
+        await expect(archiver.applyToOrder(orderCard, '111-0000001-0000001')).resolves.toBeNull();
+    });
+});
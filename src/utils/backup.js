@@ -0,0 +1,348 @@
+/**
+ * Backup
+ * Versioned snapshots of everything the extension keeps in chrome.storage.local: hidden orders,
+ * tags, the action log, user settings, config and error logs. Backups are taken automatically
+ * before a resync wipes the cache, can be downloaded as a file, and are checked before restoring.
+ *
+ * A backup looks like:
+ * {
+ *     manifest: {
+ *         format: 'archizer-backup',
+ *         schemaVersion: 1,                    // See BACKUP_SCHEMA_VERSION
+ *         createdAt: '2024-01-15T10:30:00.000Z',
+ *         reason: 'resync',                    // See BACKUP_REASONS
+ *         extensionVersion: '1.0.0',
+ *         keyCount: 42,
+ *         counts: { hiddenOrders: 12, orderTags: 10, actionLog: 15, userSettings: 1, config: 3, errorLogs: 1, other: 0 },
+ *         checksumAlgorithm: 'fnv1a-32',
+ *         checksum: '1f2e3d4c'                 // Of data, see computeBackupChecksum
+ *     },
+ *     data: {
+ *         'amazon_archiver_hidden_order_112-8383531-6014102_details': {...},
+ *         'error_logs': [...]
+ *     }
+ * }
+ *
+ * Automatic snapshots are kept under SNAPSHOTS_KEY, newest first. The key is outside the
+ * 'amazon_archiver_' prefix so clearing the cache keeps them and backups never contain backups.
+ */
+
+import {
+    STORAGE_SCHEMA_VERSION,
+    STORAGE_VERSION_KEY,
+    isStorageVersionSupported,
+    storageMigrator
+} from '../backends/local-storage/migrations.js';
+import { stripProfileNamespace } from '../backends/local-storage/keys.js';
+
+export const BACKUP_FORMAT = 'archizer-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+export const BACKUP_CHECKSUM_ALGORITHM = 'fnv1a-32';
+
+// Why a backup was taken
+// - manual: downloaded from the settings page
+// - resync: just before a resync cleared the cache
+// - restore: just before another backup was restored over the current data
+export const BACKUP_REASONS = ['manual', 'resync', 'restore'];
+
+export const BACKUP_STORAGE_PREFIX = 'amazon_archiver_';
+
+// Keys outside the prefix that belong in a backup
+export const BACKUP_EXTRA_KEYS = ['error_logs'];
+
+export const SNAPSHOTS_KEY = 'archizer_backup_snapshots';
+
+// Number of automatic snapshots kept, as the 'backup_snapshot_limit' config
+export const DEFAULT_SNAPSHOT_LIMIT = 3;
+export const MAX_SNAPSHOT_LIMIT = 20;
+
+// Manifest counts, by key suffix after the prefix
+const KEY_CATEGORIES = [
+    { name: 'hiddenOrders', prefix: 'hidden_order_' },
+    { name: 'orderTags', prefix: 'order_tags_' },
+    { name: 'actionLog', prefix: 'action_log_' },
+    { name: 'userSettings', prefix: 'user_settings_' },
+    { name: 'config', prefix: 'config_' }
+];
+
+/**
+ * Check whether a storage key belongs in a backup
+ * @param {string} key - chrome.storage.local key
+ * @returns {boolean} True for extension data keys
+ */
+export function isBackupKey(key) {
+    return key.startsWith(BACKUP_STORAGE_PREFIX) || BACKUP_EXTRA_KEYS.includes(key);
+}
+
+/**
+ * Count the backed up keys per kind of data
+ * @param {Object} data - Backup data keyed by storage key
+ * @returns {Object} { hiddenOrders, orderTags, actionLog, userSettings, config, errorLogs, other }
+ */
+export function countBackupKeys(data) {
+    const counts = Object.fromEntries([...KEY_CATEGORIES.map(({ name }) => [name, 0]), ['errorLogs', 0], ['other', 0]]);
+
+    Object.keys(data).forEach(key => {
+        if (BACKUP_EXTRA_KEYS.includes(key)) {
+            counts.errorLogs++;
+            return;
+        }
+        const suffix = stripProfileNamespace(key).slice(BACKUP_STORAGE_PREFIX.length);
+        const category = KEY_CATEGORIES.find(({ prefix }) => suffix.startsWith(prefix));
+        counts[category ? category.name : 'other']++;
+    });
+
+    return counts;
+}
+
+/**
+ * Checksum backup data so corrupted or hand-edited files are caught before restoring
+ * FNV-1a over the JSON of the data with object keys sorted, so key order does not matter
+ * @param {Object} data - Backup data keyed by storage key
+ * @returns {string} 8 hex digit checksum
+ */
+export function computeBackupChecksum(data) {
+    const text = stableStringify(data);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a backup from the contents of chrome.storage.local
+ * Keys that are not extension data, such as the snapshots themselves, are left out
+ * @param {Object} allData - Everything in storage, from chrome.storage.local.get(null)
+ * @param {Object} options - { reason, createdAt, extensionVersion }
+ * @returns {Object} Backup
+ */
+export function createBackup(allData, { reason = 'manual', createdAt = new Date(), extensionVersion = null } = {}) {
+    const data = Object.fromEntries(Object.keys(allData || {})
+        .filter(isBackupKey)
+        .sort()
+        .map(key => [key, allData[key]]));
+
+    return {
+        manifest: {
+            format: BACKUP_FORMAT,
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            createdAt: createdAt.toISOString(),
+            reason,
+            extensionVersion,
+            keyCount: Object.keys(data).length,
+            counts: countBackupKeys(data),
+            checksumAlgorithm: BACKUP_CHECKSUM_ALGORITHM,
+            checksum: computeBackupChecksum(data)
+        },
+        data
+    };
+}
+
+/**
+ * Check a backup before restoring it: format, schema version, keys and checksum
+ * @param {Object} backup - Backup, usually read from a file
+ * @returns {Object} { valid, errors }
+ */
+export function validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || !backup.manifest || typeof backup.manifest !== 'object') {
+        return { valid: false, errors: ['Not an Archizer backup: the manifest is missing'] };
+    }
+
+    const { manifest, data } = backup;
+    if (manifest.format !== BACKUP_FORMAT) {
+        return { valid: false, errors: [`Not an Archizer backup: unknown format ${manifest.format}`] };
+    }
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+        return { valid: false, errors: [`Invalid schema version: ${manifest.schemaVersion}`] };
+    }
+    if (manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        return {
+            valid: false,
+            errors: [`This backup is schema version ${manifest.schemaVersion}, newer than this extension supports (${BACKUP_SCHEMA_VERSION})`]
+        };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['The backup has no data'] };
+    }
+
+    const errors = [];
+    const keys = Object.keys(data);
+    const unknownKeys = keys.filter(key => !isBackupKey(key));
+    if (unknownKeys.length > 0) {
+        errors.push(`The backup contains keys that are not Archizer data: ${unknownKeys.join(', ')}`);
+    }
+    if (!isStorageVersionSupported(data[STORAGE_VERSION_KEY])) {
+        errors.push(`The backup holds storage schema version ${data[STORAGE_VERSION_KEY]}, newer than this extension supports (${STORAGE_SCHEMA_VERSION})`);
+    }
+    if (manifest.keyCount !== keys.length) {
+        errors.push(`The manifest lists ${manifest.keyCount} keys but the backup has ${keys.length}`);
+    }
+    if (manifest.checksumAlgorithm !== BACKUP_CHECKSUM_ALGORITHM) {
+        errors.push(`Unsupported checksum algorithm: ${manifest.checksumAlgorithm}`);
+    } else if (manifest.checksum !== computeBackupChecksum(data)) {
+        errors.push('Checksum mismatch: the backup is damaged or was edited');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read and check a backup file
+ * @param {string} text - File contents
+ * @returns {Object} Backup
+ */
+export function parseBackupFile(text) {
+    let backup;
+    try {
+        backup = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const { valid, errors } = validateBackup(backup);
+    if (!valid) {
+        throw new Error(errors.join('; '));
+    }
+    return backup;
+}
+
+/**
+ * Build the download for a backup
+ * @param {Object} backup - Backup
+ * @returns {Object} { filename, mimeType, content }
+ */
+export function buildBackupFile(backup) {
+    const timestamp = backup.manifest.createdAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    return {
+        filename: `archizer-backup-${timestamp}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(backup, null, 2)
+    };
+}
+
+/**
+ * Summarize what a backup holds, e.g. '12 hidden orders, 15 action log entries, 3 settings'
+ * @param {Object} manifest - Backup manifest
+ * @returns {string} Summary
+ */
+export function describeBackup(manifest) {
+    const { hiddenOrders = 0, actionLog = 0, userSettings = 0, config = 0 } = manifest.counts || {};
+    const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+    return [
+        plural(hiddenOrders, 'hidden order'),
+        plural(actionLog, 'action log entry', 'action log entries'),
+        plural(userSettings, 'user'),
+        plural(config, 'setting')
+    ].join(', ');
+}
+
+/**
+ * Validate the number of snapshots to keep (ConfigManager validator for 'backup_snapshot_limit')
+ * @param {number} limit - Snapshot limit
+ * @returns {Object} { valid, errors }
+ */
+export function validateSnapshotLimit(limit) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SNAPSHOT_LIMIT) {
+        return { valid: false, errors: [`backup_snapshot_limit must be a whole number from 1 to ${MAX_SNAPSHOT_LIMIT}`] };
+    }
+    return { valid: true, errors: [] };
+}
+
+export class BackupManager {
+    /**
+     * Back up the current storage contents
+     * @param {string} reason - One of BACKUP_REASONS
+     * @returns {Object} Backup
+     */
+    async createBackup(reason = 'manual') {
+        const allData = await chrome.storage.local.get(null);
+        const manifest = chrome.runtime && chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+        return createBackup(allData, { reason, extensionVersion: manifest ? manifest.version : null });
+    }
+
+    /**
+     * Get the stored automatic snapshots
+     * @returns {Array} Backups, newest first
+     */
+    async getSnapshots() {
+        const result = await chrome.storage.local.get(SNAPSHOTS_KEY);
+        const snapshots = result && result[SNAPSHOTS_KEY];
+        return Array.isArray(snapshots) ? snapshots : [];
+    }
+
+    /**
+     * Take a snapshot and drop the oldest ones beyond the limit
+     * @param {string} reason - One of BACKUP_REASONS
+     * @param {number} limit - Number of snapshots to keep
+     * @returns {Object} The new snapshot
+     */
+    async createSnapshot(reason, limit = DEFAULT_SNAPSHOT_LIMIT) {
+        const snapshot = await this.createBackup(reason);
+        const keep = validateSnapshotLimit(limit).valid ? limit : DEFAULT_SNAPSHOT_LIMIT;
+        const snapshots = [snapshot, ...await this.getSnapshots()].slice(0, keep);
+        await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+        return snapshot;
+    }
+
+    /**
+     * Find a stored snapshot
+     * @param {string} createdAt - The snapshot's manifest.createdAt
+     * @returns {Object|null} Snapshot
+     */
+    async getSnapshot(createdAt) {
+        const snapshots = await this.getSnapshots();
+        return snapshots.find(snapshot => snapshot.manifest && snapshot.manifest.createdAt === createdAt) || null;
+    }
+
+    /**
+     * Replace all extension data with a backup
+     * Nothing is changed unless the backup passes validateBackup, and older data is migrated afterwards
+     * @param {Object} backup - Backup
+     * @returns {Object} { restoredCount, removedCount }
+     */
+    async restoreBackup(backup) {
+        const { valid, errors } = validateBackup(backup);
+        if (!valid) {
+            throw new Error(`Cannot restore backup: ${errors.join('; ')}`);
+        }
+
+        const allData = await chrome.storage.local.get(null);
+        const staleKeys = Object.keys(allData || {}).filter(key => isBackupKey(key) && !(key in backup.data));
+        if (staleKeys.length > 0) {
+            await chrome.storage.local.remove(staleKeys);
+        }
+        await chrome.storage.local.set(backup.data);
+
+        // Backups from older builds hold older keys and records
+        await storageMigrator.run();
+
+        return { restoredCount: Object.keys(backup.data).length, removedCount: staleKeys.length };
+    }
+}
+
+/**
+ * JSON with object keys sorted at every level
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value.toJSON === 'function') {
+        return stableStringify(value.toJSON());
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Export a default instance
+export const backupManager = new BackupManager();
@@ -0,0 +1,265 @@
+/**
+ * Unit tests for backups
+ * Tests the manifest, checksum and schema checks, rolling snapshots and restore
+ */
+
+import {
+    BackupManager,
+    BACKUP_SCHEMA_VERSION,
+    SNAPSHOTS_KEY,
+    createBackup,
+    validateBackup,
+    parseBackupFile,
+    buildBackupFile,
+    computeBackupChecksum,
+    countBackupKeys,
+    describeBackup,
+    validateSnapshotLimit
+} from './backup.js';
+
+const storageContents = {
+    'amazon_archiver_hidden_order_112-8383531-6014102_details': { orderId: '112-8383531-6014102', type: 'details' },
+    'amazon_archiver_order_tags_112-8383531-6014102': { tags: ['gifts'], notes: '' },
+    'amazon_archiver_action_log_112-8383531-6014102_1705314600000': { action: 'hide' },
+    'amazon_archiver_user_settings_alice': { username: 'alice' },
+    'amazon_archiver_config_username': 'alice',
+    'amazon_archiver_sync_tombstone_111-0000001-0000001_order': { deletedAt: '2024-01-15T10:30:00.000Z' },
+    'error_logs': [{ message: 'Network error' }],
+    'unrelated_key': 'not ours'
+};
+
+const createdAt = new Date('2024-01-15T10:30:00.000Z');
+
+describe('createBackup', () => {
+    it('should back up only extension data with a manifest', () => {
+        const backup = createBackup(storageContents, { reason: 'resync', createdAt, extensionVersion: '1.0.0' });
+
+        expect(Object.keys(backup.data)).not.toContain('unrelated_key');
+        expect(backup.data.error_logs).toEqual([{ message: 'Network error' }]);
+        expect(backup.manifest).toEqual({
+            format: 'archizer-backup',
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            createdAt: '2024-01-15T10:30:00.000Z',
+            reason: 'resync',
+            extensionVersion: '1.0.0',
+            keyCount: 7,
+            counts: { hiddenOrders: 1, orderTags: 1, actionLog: 1, userSettings: 1, config: 1, errorLogs: 1, other: 1 },
+            checksumAlgorithm: 'fnv1a-32',
+            checksum: computeBackupChecksum(backup.data)
+        });
+    });
+
+    it('should leave out the stored snapshots', () => {
+        const backup = createBackup({ ...storageContents, [SNAPSHOTS_KEY]: [] }, { createdAt });
+
+        expect(backup.data[SNAPSHOTS_KEY]).toBeUndefined();
+        expect(backup.manifest.reason).toBe('manual');
+    });
+});
+
+describe('computeBackupChecksum', () => {
+    it('should ignore key order but not values', () => {
+        const checksum = computeBackupChecksum({ a: { x: 1, y: [1, 2] }, b: 'two' });
+
+        expect(checksum).toMatch(/^[0-9a-f]{8}$/);
+        expect(computeBackupChecksum({ b: 'two', a: { y: [1, 2], x: 1 } })).toBe(checksum);
+        expect(computeBackupChecksum({ a: { x: 1, y: [2, 1] }, b: 'two' })).not.toBe(checksum);
+    });
+});
+
+describe('countBackupKeys', () => {
+    it('should count keys that match no category as other', () => {
+        expect(countBackupKeys({ amazon_archiver_sheets_outbox: {} })).toMatchObject({ hiddenOrders: 0, other: 1 });
+    });
+
+    it('should count the hidden orders of every profile', () => {
+        expect(countBackupKeys({
+            'amazon_archiver_hidden_order_1_details': {},
+            'amazon_archiver_profile_sam_hidden_order_2_details': {}
+        })).toMatchObject({ hiddenOrders: 2, other: 0 });
+    });
+});
+
+describe('validateBackup', () => {
+    const backup = () => JSON.parse(JSON.stringify(createBackup(storageContents, { createdAt })));
+
+    it('should accept an untouched backup', () => {
+        expect(validateBackup(backup())).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject files that are not backups', () => {
+        expect(validateBackup({ format: 'archizer-export' }).errors).toEqual(['Not an Archizer backup: the manifest is missing']);
+        expect(validateBackup({ manifest: { format: 'other' }, data: {} }).errors).toEqual(['Not an Archizer backup: unknown format other']);
+    });
+
+    it('should reject schema versions it does not know', () => {
+        const newer = backup();
+        newer.manifest.schemaVersion = BACKUP_SCHEMA_VERSION + 1;
+        const broken = backup();
+        broken.manifest.schemaVersion = '1';
+
+        expect(validateBackup(newer).errors).toEqual([
+            `This backup is schema version ${BACKUP_SCHEMA_VERSION + 1}, newer than this extension supports (${BACKUP_SCHEMA_VERSION})`
+        ]);
+        expect(validateBackup(broken).errors).toEqual(['Invalid schema version: 1']);
+    });
+
+    it('should catch edited data', () => {
+        const edited = backup();
+        edited.data['amazon_archiver_config_username'] = 'mallory';
+
+        expect(validateBackup(edited)).toEqual({ valid: false, errors: ['Checksum mismatch: the backup is damaged or was edited'] });
+    });
+
+    it('should reject keys that are not extension data', () => {
+        const tampered = backup();
+        tampered.data.unrelated_key = 'x';
+        tampered.manifest.keyCount++;
+        tampered.manifest.checksum = computeBackupChecksum(tampered.data);
+
+        expect(validateBackup(tampered).errors).toEqual(['The backup contains keys that are not Archizer data: unrelated_key']);
+    });
+
+    it('should reject data from a newer storage schema', () => {
+        const newer = createBackup({ ...storageContents, amazon_archiver_schema_version: 99 }, { createdAt });
+
+        expect(validateBackup(newer).errors).toEqual([
+            'The backup holds storage schema version 99, newer than this extension supports (3)'
+        ]);
+    });
+
+    it('should catch a key count that does not match the manifest', () => {
+        const truncated = backup();
+        delete truncated.data.error_logs;
+        truncated.manifest.checksum = computeBackupChecksum(truncated.data);
+
+        expect(validateBackup(truncated).errors).toEqual(['The manifest lists 7 keys but the backup has 6']);
+    });
+});
+
+describe('backup files', () => {
+    it('should round-trip through a file', () => {
+        const backup = createBackup(storageContents, { createdAt });
+        const file = buildBackupFile(backup);
+
+        expect(file.filename).toBe('archizer-backup-2024-01-15T10-30-00Z.json');
+        expect(file.mimeType).toBe('application/json');
+        expect(parseBackupFile(`\uFEFF${file.content}`)).toEqual(backup);
+    });
+
+    it('should explain why a file cannot be restored', () => {
+        expect(() => parseBackupFile('{')).toThrow(/^Invalid JSON/);
+        expect(() => parseBackupFile('[]')).toThrow('Not an Archizer backup: the manifest is missing');
+    });
+});
+
+describe('describeBackup', () => {
+    it('should summarize the manifest counts', () => {
+        expect(describeBackup(createBackup(storageContents, { createdAt }).manifest))
+            .toBe('1 hidden order, 1 action log entry, 1 user, 1 setting');
+        expect(describeBackup({ counts: { hiddenOrders: 2, actionLog: 0, userSettings: 3, config: 4 } }))
+            .toBe('2 hidden orders, 0 action log entries, 3 users, 4 settings');
+    });
+});
+
+describe('validateSnapshotLimit', () => {
+    it('should accept whole numbers from 1 to 20', () => {
+        expect(validateSnapshotLimit(1).valid).toBe(true);
+        expect(validateSnapshotLimit(20).valid).toBe(true);
+        expect(validateSnapshotLimit(0).valid).toBe(false);
+        expect(validateSnapshotLimit(2.5).errors).toEqual(['backup_snapshot_limit must be a whole number from 1 to 20']);
+    });
+});
+
+describe('BackupManager', () => {
+    let manager;
+    let store;
+
+    beforeEach(() => {
+        store = JSON.parse(JSON.stringify(storageContents));
+
+        global.chrome = {
+            runtime: {
+                getManifest: () => ({ version: '1.2.3' })
+            },
+            storage: {
+                local: {
+                    get: jest.fn(async (key) => (key === null
+                        ? JSON.parse(JSON.stringify(store))
+                        : { [key]: store[key] })),
+                    set: jest.fn(async (items) => {
+                        Object.assign(store, JSON.parse(JSON.stringify(items)));
+                    }),
+                    remove: jest.fn(async (keys) => {
+                        [].concat(keys).forEach(key => delete store[key]);
+                    })
+                }
+            }
+        };
+
+        manager = new BackupManager();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.chrome;
+    });
+
+    it('should record the extension version', async () => {
+        const backup = await manager.createBackup();
+
+        expect(backup.manifest.extensionVersion).toBe('1.2.3');
+        expect(backup.manifest.keyCount).toBe(7);
+    });
+
+    it('should keep a rolling window of snapshots, newest first', async () => {
+        jest.useFakeTimers();
+        for (let minute = 0; minute < 4; minute++) {
+            jest.setSystemTime(new Date(Date.UTC(2024, 0, 15, 10, minute)));
+            await manager.createSnapshot('resync', 3);
+        }
+
+        const snapshots = await manager.getSnapshots();
+        expect(snapshots.map(snapshot => snapshot.manifest.createdAt)).toEqual([
+            '2024-01-15T10:03:00.000Z',
+            '2024-01-15T10:02:00.000Z',
+            '2024-01-15T10:01:00.000Z'
+        ]);
+        expect(snapshots[0].data[SNAPSHOTS_KEY]).toBeUndefined();
+        expect(await manager.getSnapshot('2024-01-15T10:02:00.000Z')).toEqual(snapshots[1]);
+        expect(await manager.getSnapshot('2024-01-15T10:00:00.000Z')).toBeNull();
+    });
+
+    it('should fall back to the default window for an invalid limit', async () => {
+        for (let i = 0; i < 5; i++) {
+            await manager.createSnapshot('resync', undefined);
+        }
+
+        expect(await manager.getSnapshots()).toHaveLength(3);
+    });
+
+    it('should replace extension data with the backup and keep everything else', async () => {
+        const backup = await manager.createBackup();
+        await manager.createSnapshot('resync');
+        store['amazon_archiver_hidden_order_113-0000000-0000000_order'] = { orderId: '113-0000000-0000000' };
+        delete store['amazon_archiver_config_username'];
+
+        const result = await manager.restoreBackup(backup);
+
+        expect(result).toEqual({ restoredCount: 7, removedCount: 1 });
+        expect(store.amazon_archiver_schema_version).toBe(3);
+        expect(store['amazon_archiver_hidden_order_113-0000000-0000000_order']).toBeUndefined();
+        expect(store['amazon_archiver_config_username']).toBe('alice');
+        expect(store.unrelated_key).toBe('not ours');
+        expect(store[SNAPSHOTS_KEY]).toHaveLength(1);
+    });
+
+    it('should not touch storage when the backup is invalid', async () => {
+        const backup = await manager.createBackup();
+        backup.manifest.schemaVersion = BACKUP_SCHEMA_VERSION + 1;
+
+        await expect(manager.restoreBackup(backup)).rejects.toThrow(/^Cannot restore backup: This backup is schema version/);
+        expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+});
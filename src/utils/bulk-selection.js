@@ -0,0 +1,456 @@
+/**
+ * Bulk Selection
+ * Selection mode for the order history page: a checkbox on every order card,
+ * shift-click range selection, "select all on page" and a toolbar that hides or
+ * unhides the whole selection at once. Hiding goes through a single TaggingDialog
+ * whose tags are applied to every selected order.
+ */
+
+import { specializedLogger as log } from './logger.js';
+
+// Pseudo order ID used for the shared tagging dialog
+export const BULK_DIALOG_ID = 'archizer-bulk-selection';
+
+export class BulkSelectionManager {
+    /**
+     * @param {DOMManipulator} domManipulator - DOM manipulator that owns the order cards
+     */
+    constructor(domManipulator) {
+        this.domManipulator = domManipulator;
+        this.selectionMode = false;
+        this.selectedOrders = new Set(); // Selected order IDs
+        this.checkboxes = new Map(); // Order ID -> { label, checkbox, orderCard }
+        this.lastToggledOrderId = null; // Anchor for shift-click range selection
+        this.toolbar = null;
+        this.dialogHost = null;
+        this.tagsSavedHandler = null;
+    }
+
+    /**
+     * Add the bulk toolbar to the page
+     * @returns {Element} The toolbar element
+     */
+    injectToolbar() {
+        if (this.toolbar && this.toolbar.isConnected) {
+            return this.toolbar;
+        }
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'archizer-bulk-toolbar';
+        toolbar.style.cssText = `
+            position: fixed;
+            bottom: 16px;
+            right: 16px;
+            z-index: 10000;
+            max-width: 720px;
+            max-height: 70vh;
+            overflow-y: auto;
+            padding: 8px 12px;
+            background: #fff;
+            border: 1px solid #7759b9;
+            border-radius: 8px;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+            font-size: 14px;
+            color: #444;
+        `;
+
+        // Host for the shared tagging dialog, shaped like an order card's delivery box
+        const dialogHost = document.createElement('div');
+        dialogHost.className = 'archizer-bulk-dialog-host';
+        const deliveryBox = document.createElement('div');
+        deliveryBox.className = 'delivery-box';
+        const boxInner = document.createElement('div');
+        boxInner.className = 'a-box-inner';
+        deliveryBox.appendChild(boxInner);
+        dialogHost.appendChild(deliveryBox);
+
+        const actions = document.createElement('div');
+        actions.className = 'archizer-bulk-actions';
+        actions.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 8px;
+        `;
+
+        const count = document.createElement('span');
+        count.className = 'archizer-bulk-count';
+        count.style.cssText = `
+            font-weight: 500;
+            margin-right: 4px;
+        `;
+
+        actions.appendChild(count);
+        actions.appendChild(this.createToolbarButton('select-all', 'Select all on page', () => this.selectAllOnPage()));
+        actions.appendChild(this.createToolbarButton('clear', 'Clear', () => this.clearSelection()));
+        actions.appendChild(this.createToolbarButton('hide-details', 'Hide details', () => this.openBulkTaggingDialog('details')));
+        actions.appendChild(this.createToolbarButton('hide-order', 'Archive orders', () => this.openBulkTaggingDialog('order')));
+        actions.appendChild(this.createToolbarButton('unhide', 'Unhide', () => this.unhideSelected()));
+        actions.appendChild(this.createToolbarButton('toggle-mode', 'Select orders', () => this.setSelectionMode(!this.selectionMode)));
+
+        toolbar.appendChild(dialogHost);
+        toolbar.appendChild(actions);
+        document.body.appendChild(toolbar);
+
+        this.toolbar = toolbar;
+        this.dialogHost = dialogHost;
+        this.updateToolbar();
+        return toolbar;
+    }
+
+    /**
+     * Create a toolbar button
+     * @param {string} action - Action name, stored in data-archizer-bulk-action
+     * @param {string} text - Button label
+     * @param {Function} onClick - Click handler
+     * @returns {Element} The button
+     */
+    createToolbarButton(action, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'a-button a-button-base archizer-bulk-button';
+        button.setAttribute('data-archizer-bulk-action', action);
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 4px 10px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Turn selection mode on or off; leaving it clears the selection
+     * @param {boolean} enabled - Whether selection mode should be on
+     */
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.clearSelection();
+        }
+
+        this.checkboxes.forEach(({ label }) => {
+            label.style.display = enabled ? 'inline-flex' : 'none';
+        });
+        this.updateToolbar();
+        log.info(`☑️ Selection mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Add a selection checkbox to an order card
+     * @param {Element} orderCard - The order card element
+     * @param {string} orderId - Order ID
+     */
+    attachCheckbox(orderCard, orderId) {
+        if (this.checkboxes.has(orderId)) {
+            return;
+        }
+
+        const label = document.createElement('label');
+        label.className = 'archizer-select-label';
+        label.style.cssText = `
+            display: ${this.selectionMode ? 'inline-flex' : 'none'};
+            align-items: center;
+            gap: 6px;
+            margin: 4px 0;
+            font-size: 13px;
+            cursor: pointer;
+        `;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'archizer-select-checkbox';
+        checkbox.setAttribute('data-archizer-order-id', orderId);
+        checkbox.addEventListener('click', (event) => this.handleCheckboxClick(orderId, event));
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode('Select'));
+        orderCard.insertBefore(label, orderCard.firstChild);
+
+        this.checkboxes.set(orderId, { label, checkbox, orderCard });
+    }
+
+    /**
+     * Remove the selection checkbox of an order card
+     * @param {string} orderId - Order ID
+     */
+    detachCheckbox(orderId) {
+        const entry = this.checkboxes.get(orderId);
+        if (!entry) {
+            return;
+        }
+
+        entry.label.remove();
+        this.checkboxes.delete(orderId);
+        this.selectedOrders.delete(orderId);
+        if (this.lastToggledOrderId === orderId) {
+            this.lastToggledOrderId = null;
+        }
+        this.updateToolbar();
+    }
+
+    /**
+     * Handle a checkbox click, extending the selection over a range when shift is held
+     * @param {string} orderId - Order ID of the clicked checkbox
+     * @param {Event} event - Click event (the checkbox is already toggled)
+     */
+    handleCheckboxClick(orderId, event) {
+        const entry = this.checkboxes.get(orderId);
+        if (!entry) {
+            return;
+        }
+
+        const selected = entry.checkbox.checked;
+        if (event && event.shiftKey && this.lastToggledOrderId && this.lastToggledOrderId !== orderId) {
+            this.selectRange(this.lastToggledOrderId, orderId, selected);
+        } else {
+            this.setSelected(orderId, selected);
+        }
+        this.lastToggledOrderId = orderId;
+    }
+
+    /**
+     * Select or deselect a single order
+     * @param {string} orderId - Order ID
+     * @param {boolean} selected - Whether the order should be selected
+     */
+    setSelected(orderId, selected) {
+        const entry = this.checkboxes.get(orderId);
+        if (!entry) {
+            return;
+        }
+
+        entry.checkbox.checked = selected;
+        if (selected) {
+            this.selectedOrders.add(orderId);
+        } else {
+            this.selectedOrders.delete(orderId);
+        }
+        this.updateToolbar();
+    }
+
+    /**
+     * Select or deselect every visible order between two orders, inclusive
+     * @param {string} fromOrderId - Order ID at one end of the range
+     * @param {string} toOrderId - Order ID at the other end of the range
+     * @param {boolean} selected - Whether the range should be selected
+     */
+    selectRange(fromOrderId, toOrderId, selected) {
+        const orderIds = this.getVisibleOrderIds();
+        const fromIndex = orderIds.indexOf(fromOrderId);
+        const toIndex = orderIds.indexOf(toOrderId);
+        if (fromIndex === -1 || toIndex === -1) {
+            this.setSelected(toOrderId, selected);
+            return;
+        }
+
+        const [start, end] = fromIndex < toIndex ? [fromIndex, toIndex] : [toIndex, fromIndex];
+        orderIds.slice(start, end + 1).forEach(orderId => this.setSelected(orderId, selected));
+    }
+
+    /**
+     * Get the order IDs of cards currently shown on the page, in page order
+     * Collapsed archived cards are skipped so range and select-all only touch what is visible
+     * @returns {Array<string>} Order IDs
+     */
+    getVisibleOrderIds() {
+        return Array.from(this.checkboxes.entries())
+            .filter(([, { orderCard }]) => orderCard.isConnected && orderCard.style.display !== 'none')
+            .sort(([, a], [, b]) =>
+                a.orderCard.compareDocumentPosition(b.orderCard) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+            )
+            .map(([orderId]) => orderId);
+    }
+
+    /**
+     * Select every visible order on the page
+     */
+    selectAllOnPage() {
+        this.getVisibleOrderIds().forEach(orderId => this.setSelected(orderId, true));
+    }
+
+    /**
+     * Deselect every order
+     */
+    clearSelection() {
+        Array.from(this.selectedOrders).forEach(orderId => this.setSelected(orderId, false));
+        this.selectedOrders.clear();
+        this.lastToggledOrderId = null;
+        this.updateToolbar();
+    }
+
+    /**
+     * Get the selected order IDs in page order
+     * @returns {Array<string>} Order IDs
+     */
+    getSelectedOrderIds() {
+        const visible = this.getVisibleOrderIds().filter(orderId => this.selectedOrders.has(orderId));
+        const others = Array.from(this.selectedOrders).filter(orderId => !visible.includes(orderId));
+        return [...visible, ...others];
+    }
+
+    /**
+     * Refresh the selection count and which toolbar buttons are usable
+     */
+    updateToolbar() {
+        if (!this.toolbar) {
+            return;
+        }
+
+        const count = this.selectedOrders.size;
+        this.toolbar.querySelector('.archizer-bulk-count').textContent = this.selectionMode
+            ? `${count} ${count === 1 ? 'order' : 'orders'} selected`
+            : '';
+
+        this.toolbar.querySelectorAll('[data-archizer-bulk-action]').forEach(button => {
+            const action = button.getAttribute('data-archizer-bulk-action');
+            if (action === 'toggle-mode') {
+                button.textContent = this.selectionMode ? 'Done' : 'Select orders';
+                return;
+            }
+            button.style.display = this.selectionMode ? '' : 'none';
+            if (action !== 'select-all') {
+                button.disabled = count === 0;
+            }
+        });
+    }
+
+    /**
+     * Open one tagging dialog for the whole selection
+     * Saving it hides every selected order with the same tags
+     * @param {string} hideType - 'details' or 'order'
+     * @returns {boolean} True if the dialog was opened
+     */
+    openBulkTaggingDialog(hideType = 'details') {
+        const orderIds = this.getSelectedOrderIds();
+        if (orderIds.length === 0) {
+            log.warning('⚠️ No orders selected');
+            return false;
+        }
+
+        const taggingDialogManager = window.taggingDialogManager;
+        if (!taggingDialogManager) {
+            log.warning('TaggingDialogManager instance not available - popup cannot be shown');
+            return false;
+        }
+
+        const dialogOpened = taggingDialogManager.openDialog({
+            orderNumber: BULK_DIALOG_ID,
+            orderDate: `${orderIds.length} selected ${orderIds.length === 1 ? 'order' : 'orders'}`,
+            tags: [],
+            notes: '',
+            tagPolicy: this.domManipulator.tagPolicy
+        }, this.dialogHost);
+        if (!dialogOpened) {
+            log.warning('Failed to open bulk tagging dialog');
+            return false;
+        }
+
+        // Suggestions arrive once storage has been read; the dialog works without them meanwhile
+        this.domManipulator.getTagIndex()
+            .then(tagIndex => taggingDialogManager.setTagIndex(BULK_DIALOG_ID, tagIndex));
+
+        // A cancelled dialog leaves its listener behind; replace it
+        const eventName = `tagsSaved-${BULK_DIALOG_ID}`;
+        if (this.tagsSavedHandler) {
+            document.removeEventListener(eventName, this.tagsSavedHandler);
+        }
+        this.tagsSavedHandler = async (event) => {
+            document.removeEventListener(eventName, this.tagsSavedHandler);
+            this.tagsSavedHandler = null;
+            await this.hideSelected(event.detail, hideType, orderIds);
+        };
+        document.addEventListener(eventName, this.tagsSavedHandler);
+
+        log.info(`✅ Bulk tagging dialog opened for ${orderIds.length} orders`);
+        return true;
+    }
+
+    /**
+     * Hide the selected orders with a shared tag set
+     * Hides run concurrently so their storage and Google Sheets writes share batches;
+     * each order still gets its own audit log entry
+     * @param {Object} tagData - Tag data saved in the bulk dialog
+     * @param {string} hideType - 'details' or 'order'
+     * @param {Array<string>} orderIds - Orders to hide (defaults to the current selection)
+     * @returns {number} Number of orders hidden
+     */
+    async hideSelected(tagData, hideType = 'details', orderIds = this.getSelectedOrderIds()) {
+        const domManipulator = this.domManipulator;
+        const storage = domManipulator.storage;
+
+        let username = 'Unknown User';
+        if (storage) {
+            try {
+                username = await storage.getUsername() || 'Unknown User';
+            } catch (error) {
+                log.error('Error getting username for bulk hide:', error);
+            }
+        }
+
+        const toHide = orderIds.filter(orderId => !domManipulator.hiddenOrders.has(`${orderId}-${hideType}`));
+        log.info(`🔍 Bulk hiding ${toHide.length} orders (${hideType}), ${orderIds.length - toHide.length} already hidden`);
+
+        await Promise.all(toHide.map(async (orderId) => {
+            const orderData = domManipulator.getOrderData(orderId);
+            const orderTagData = {
+                ...tagData,
+                orderNumber: orderId,
+                orderDate: orderData && orderData.orderDate ? orderData.orderDate : tagData.orderDate
+            };
+
+            await domManipulator.storeOrderTags(orderId, orderTagData);
+            await domManipulator.performHideOperation(orderId, orderTagData, username, hideType);
+        }));
+
+        this.clearSelection();
+        log.info(`✅ Bulk hid ${toHide.length} orders`);
+        return toHide.length;
+    }
+
+    /**
+     * Unhide every selected order, whether its details are hidden or it is archived
+     * @returns {number} Number of orders unhidden
+     */
+    async unhideSelected() {
+        const domManipulator = this.domManipulator;
+        const orderIds = this.getSelectedOrderIds();
+        let unhidden = 0;
+
+        await Promise.all(orderIds.map(async (orderId) => {
+            if (domManipulator.isOrderArchived(orderId) && await domManipulator.canUnhide(orderId, 'order')) {
+                await domManipulator.showEntireOrder(orderId);
+                unhidden++;
+            }
+            if (domManipulator.areDetailsHidden(orderId) && await domManipulator.canUnhide(orderId, 'details')) {
+                const buttonInfo = domManipulator.injectedButtons.get(orderId);
+                await domManipulator.showOrderDetails(orderId, buttonInfo ? buttonInfo.hideDetailsBtn : null);
+                unhidden++;
+            }
+        }));
+
+        this.clearSelection();
+        log.info(`✅ Bulk unhid ${unhidden} orders`);
+        return unhidden;
+    }
+
+    /**
+     * Remove the toolbar, checkboxes and listeners from the page
+     */
+    cleanup() {
+        Array.from(this.checkboxes.keys()).forEach(orderId => this.detachCheckbox(orderId));
+        if (this.tagsSavedHandler) {
+            document.removeEventListener(`tagsSaved-${BULK_DIALOG_ID}`, this.tagsSavedHandler);
+            this.tagsSavedHandler = null;
+        }
+        if (this.toolbar) {
+            this.toolbar.remove();
+            this.toolbar = null;
+            this.dialogHost = null;
+        }
+        this.selectionMode = false;
+    }
+}
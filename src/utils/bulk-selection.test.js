@@ -0,0 +1,275 @@
+/**
+ * Unit tests for bulk selection on the order history page
+ * Tests checkboxes, range selection, the bulk toolbar and bulk hide/unhide
+ */
+
+import { BulkSelectionManager, BULK_DIALOG_ID } from './bulk-selection.js';
+
+// Mock the logger module
+jest.mock('./logger.js', () => ({
+    specializedLogger: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        warning: jest.fn(),
+        success: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('BulkSelectionManager', () => {
+    let manager;
+    let domManipulator;
+    let cards;
+
+    const createCard = (orderId) => {
+        const card = document.createElement('div');
+        card.className = 'order-card js-order-card';
+        card.setAttribute('data-order-id', orderId);
+        document.body.appendChild(card);
+        return card;
+    };
+
+    const click = (orderId, shiftKey = false) => {
+        const { checkbox } = manager.checkboxes.get(orderId);
+        checkbox.checked = !checkbox.checked;
+        manager.handleCheckboxClick(orderId, { shiftKey });
+    };
+
+    const toolbarButton = (action) =>
+        manager.toolbar.querySelector(`[data-archizer-bulk-action="${action}"]`);
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        jest.clearAllMocks();
+
+        domManipulator = {
+            storage: { getUsername: jest.fn().mockResolvedValue('jane') },
+            hiddenOrders: new Set(),
+            injectedButtons: new Map(),
+            getOrderData: jest.fn(orderId => ({ orderId, orderDate: 'January 1, 2024' })),
+            storeOrderTags: jest.fn().mockResolvedValue(),
+            performHideOperation: jest.fn().mockResolvedValue(),
+            isOrderArchived: jest.fn(orderId => domManipulator.hiddenOrders.has(`${orderId}-order`)),
+            areDetailsHidden: jest.fn(orderId => domManipulator.hiddenOrders.has(`${orderId}-details`)),
+            showEntireOrder: jest.fn().mockResolvedValue(true),
+            showOrderDetails: jest.fn().mockResolvedValue(),
+            canUnhide: jest.fn().mockResolvedValue(true),
+            getTagIndex: jest.fn().mockResolvedValue([{ tag: 'gifts', count: 2, lastUsed: null }])
+        };
+
+        manager = new BulkSelectionManager(domManipulator);
+        manager.injectToolbar();
+
+        cards = ['111-0000001-0000001', '111-0000002-0000002', '111-0000003-0000003', '111-0000004-0000004']
+            .map(orderId => {
+                const card = createCard(orderId);
+                manager.attachCheckbox(card, orderId);
+                return card;
+            });
+    });
+
+    afterEach(() => {
+        delete window.taggingDialogManager;
+    });
+
+    describe('selection mode', () => {
+        it('should hide checkboxes until selection mode is turned on', () => {
+            const { label } = manager.checkboxes.get('111-0000001-0000001');
+            expect(label.style.display).toBe('none');
+            expect(toolbarButton('hide-details').style.display).toBe('none');
+
+            toolbarButton('toggle-mode').click();
+
+            expect(manager.selectionMode).toBe(true);
+            expect(label.style.display).toBe('inline-flex');
+            expect(toolbarButton('toggle-mode').textContent).toBe('Done');
+            expect(toolbarButton('hide-details').disabled).toBe(true);
+        });
+
+        it('should put the checkbox at the top of the order card', () => {
+            expect(cards[0].firstChild.querySelector('.archizer-select-checkbox')).not.toBeNull();
+        });
+
+        it('should clear the selection when leaving selection mode', () => {
+            manager.setSelectionMode(true);
+            click('111-0000001-0000001');
+
+            manager.setSelectionMode(false);
+
+            expect(manager.selectedOrders.size).toBe(0);
+            expect(manager.checkboxes.get('111-0000001-0000001').checkbox.checked).toBe(false);
+        });
+    });
+
+    describe('selecting orders', () => {
+        beforeEach(() => {
+            manager.setSelectionMode(true);
+        });
+
+        it('should toggle single orders and show the count', () => {
+            click('111-0000002-0000002');
+
+            expect(manager.getSelectedOrderIds()).toEqual(['111-0000002-0000002']);
+            expect(manager.toolbar.querySelector('.archizer-bulk-count').textContent).toBe('1 order selected');
+            expect(toolbarButton('hide-details').disabled).toBe(false);
+        });
+
+        it('should select a range with shift-click in either direction', () => {
+            click('111-0000004-0000004');
+            click('111-0000002-0000002', true);
+
+            expect(manager.getSelectedOrderIds()).toEqual(['111-0000002-0000002', '111-0000003-0000003', '111-0000004-0000004']);
+        });
+
+        it('should deselect a range when the shift-clicked box is unchecked', () => {
+            manager.selectAllOnPage();
+            click('111-0000001-0000001');
+            click('111-0000003-0000003', true);
+
+            expect(manager.getSelectedOrderIds()).toEqual(['111-0000004-0000004']);
+        });
+
+        it('should select all visible orders on the page', () => {
+            // A collapsed archived card is not visible
+            cards[2].style.display = 'none';
+
+            toolbarButton('select-all').click();
+
+            expect(manager.getSelectedOrderIds()).toEqual(['111-0000001-0000001', '111-0000002-0000002', '111-0000004-0000004']);
+            expect(manager.toolbar.querySelector('.archizer-bulk-count').textContent).toBe('3 orders selected');
+        });
+
+        it('should drop removed cards from the selection', () => {
+            manager.selectAllOnPage();
+
+            manager.detachCheckbox('111-0000001-0000001');
+
+            expect(manager.selectedOrders.has('111-0000001-0000001')).toBe(false);
+            expect(cards[0].querySelector('.archizer-select-label')).toBeNull();
+        });
+    });
+
+    describe('bulk hiding', () => {
+        beforeEach(() => {
+            manager.setSelectionMode(true);
+            click('111-0000001-0000001');
+            click('111-0000002-0000002');
+        });
+
+        it('should open one tagging dialog for the whole selection', () => {
+            window.taggingDialogManager = { openDialog: jest.fn().mockReturnValue(true), setTagIndex: jest.fn() };
+
+            toolbarButton('hide-details').click();
+
+            expect(window.taggingDialogManager.openDialog).toHaveBeenCalledTimes(1);
+            expect(window.taggingDialogManager.openDialog).toHaveBeenCalledWith(
+                expect.objectContaining({ orderNumber: BULK_DIALOG_ID, orderDate: '2 selected orders', tags: [] }),
+                manager.dialogHost
+            );
+            expect(manager.dialogHost.querySelector('.delivery-box .a-box-inner')).not.toBeNull();
+        });
+
+        it('should pass existing tags to the dialog for suggestions', async () => {
+            window.taggingDialogManager = { openDialog: jest.fn().mockReturnValue(true), setTagIndex: jest.fn() };
+
+            manager.openBulkTaggingDialog('details');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(window.taggingDialogManager.setTagIndex).toHaveBeenCalledWith(
+                BULK_DIALOG_ID,
+                [{ tag: 'gifts', count: 2, lastUsed: null }]
+            );
+        });
+
+        it('should hide every selected order with the shared tags when the dialog is saved', async () => {
+            window.taggingDialogManager = { openDialog: jest.fn().mockReturnValue(true), setTagIndex: jest.fn() };
+            manager.openBulkTaggingDialog('order');
+
+            document.dispatchEvent(new CustomEvent(`tagsSaved-${BULK_DIALOG_ID}`, {
+                detail: { orderNumber: BULK_DIALOG_ID, tags: ['2023', 'gifts'] }
+            }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(domManipulator.performHideOperation).toHaveBeenCalledTimes(2);
+            expect(domManipulator.performHideOperation).toHaveBeenCalledWith(
+                '111-0000001-0000001',
+                expect.objectContaining({ orderNumber: '111-0000001-0000001', tags: ['2023', 'gifts'], orderDate: 'January 1, 2024' }),
+                'jane',
+                'order'
+            );
+            expect(domManipulator.storeOrderTags).toHaveBeenCalledWith(
+                '111-0000002-0000002',
+                expect.objectContaining({ tags: ['2023', 'gifts'] })
+            );
+            expect(manager.selectedOrders.size).toBe(0);
+        });
+
+        it('should skip orders that are already hidden the same way', async () => {
+            domManipulator.hiddenOrders.add('111-0000001-0000001-details');
+
+            const hidden = await manager.hideSelected({ tags: [] }, 'details');
+
+            expect(hidden).toBe(1);
+            expect(domManipulator.performHideOperation).toHaveBeenCalledWith('111-0000002-0000002', expect.any(Object), 'jane', 'details');
+        });
+
+        it('should only act on the latest dialog after a cancelled one', async () => {
+            window.taggingDialogManager = { openDialog: jest.fn().mockReturnValue(true), setTagIndex: jest.fn() };
+            manager.openBulkTaggingDialog('details');
+            manager.openBulkTaggingDialog('order');
+
+            document.dispatchEvent(new CustomEvent(`tagsSaved-${BULK_DIALOG_ID}`, { detail: { tags: [] } }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(domManipulator.performHideOperation).toHaveBeenCalledTimes(2);
+            domManipulator.performHideOperation.mock.calls.forEach(call => expect(call[3]).toBe('order'));
+        });
+
+        it('should not open a dialog without a tagging dialog manager', () => {
+            expect(manager.openBulkTaggingDialog('details')).toBe(false);
+        });
+    });
+
+    describe('bulk unhiding', () => {
+        it('should unhide archived orders and hidden details', async () => {
+            manager.setSelectionMode(true);
+            manager.selectAllOnPage();
+            domManipulator.hiddenOrders.add('111-0000001-0000001-order');
+            domManipulator.hiddenOrders.add('111-0000002-0000002-details');
+            const hideDetailsBtn = document.createElement('button');
+            domManipulator.injectedButtons.set('111-0000002-0000002', { hideDetailsBtn });
+
+            const unhidden = await manager.unhideSelected();
+
+            expect(unhidden).toBe(2);
+            expect(domManipulator.showEntireOrder).toHaveBeenCalledWith('111-0000001-0000001');
+            expect(domManipulator.showOrderDetails).toHaveBeenCalledWith('111-0000002-0000002', hideDetailsBtn);
+            expect(manager.selectedOrders.size).toBe(0);
+        });
+
+        it('should skip orders the unhide guard stops', async () => {
+            manager.setSelectionMode(true);
+            manager.selectAllOnPage();
+            domManipulator.hiddenOrders.add('111-0000001-0000001-order');
+            domManipulator.hiddenOrders.add('111-0000002-0000002-order');
+            domManipulator.canUnhide.mockImplementation(async orderId => orderId !== '111-0000002-0000002');
+
+            const unhidden = await manager.unhideSelected();
+
+            expect(unhidden).toBe(1);
+            expect(domManipulator.canUnhide).toHaveBeenCalledWith('111-0000002-0000002', 'order');
+            expect(domManipulator.showEntireOrder).not.toHaveBeenCalledWith('111-0000002-0000002');
+        });
+    });
+
+    describe('cleanup', () => {
+        it('should remove the toolbar and checkboxes', () => {
+            manager.cleanup();
+
+            expect(document.querySelector('.archizer-bulk-toolbar')).toBeNull();
+            expect(document.querySelector('.archizer-select-checkbox')).toBeNull();
+            expect(manager.checkboxes.size).toBe(0);
+        });
+    });
+});
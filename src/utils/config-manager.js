@@ -4,6 +4,15 @@
  */
 
 import { specializedLogger as log } from './logger.js';
+import { validateAutoArchiveRules } from './auto-archive-rules.js';
+import { DEFAULT_ORDER_LIST_VIEW, validateOrderListView } from './order-search.js';
+import { validateTagColors } from './tag-manager.js';
+import { DEFAULT_TAG_POLICY, validateTagPolicy } from './tag-policy.js';
+import { DEFAULT_SNAPSHOT_LIMIT, validateSnapshotLimit } from './backup.js';
+import { DEFAULT_BACKEND_ID, validateBackendId } from '../backends/backend.js';
+import { DEFAULT_REST_BACKEND_CONFIG, validateRestBackendConfig } from '../backends/rest/config.js';
+import { DEFAULT_PROFILES_CONFIG, validateProfilesConfig } from './profiles.js';
+import { DEFAULT_USERNAME_SOURCE, validateUsernameSource } from './google-identity.js';
 
 export class ConfigManager {
     constructor() {
@@ -28,6 +37,15 @@ export class ConfigManager {
             description: 'User display name'
         });
 
+        // Where the username comes from, see utils/google-identity.js
+        this.registerConfig('username_source', {
+            type: 'string',
+            required: false,
+            default: DEFAULT_USERNAME_SOURCE,
+            description: 'Source of the username: "manual" (typed in Settings) or "google" (Google account email)',
+            validator: validateUsernameSource
+        });
+
         // Google Sheets configuration
         this.registerConfig('google_sheets', {
             type: 'object',
@@ -44,6 +62,86 @@ export class ConfigManager {
                 lastSync: { type: 'string', required: false, default: null }
             }
         });
+
+        // Auto-archive rules applied by the content script
+        this.registerConfig('auto_archive_rules', {
+            type: 'object',
+            required: false,
+            default: [],
+            description: 'Rules that hide matching orders automatically',
+            validator: validateAutoArchiveRules
+        });
+
+        // Popup hidden orders list sort order and date ranges
+        this.registerConfig('popup_list_view', {
+            type: 'object',
+            required: false,
+            default: DEFAULT_ORDER_LIST_VIEW,
+            description: 'Sort order and date filters of the popup hidden orders list',
+            validator: validateOrderListView
+        });
+
+        // Tag colors shown on collapsed order cards and popup pills
+        this.registerConfig('tag_colors', {
+            type: 'object',
+            required: false,
+            default: {},
+            description: 'Map of tag name to #rrggbb color',
+            validator: validateTagColors
+        });
+
+        // Tag rules shared by the tagging dialog, tag manager and Google Sheets import
+        this.registerConfig('tag_policy', {
+            type: 'object',
+            required: false,
+            default: DEFAULT_TAG_POLICY,
+            description: 'Tag length limits, allowed characters, blocklist, tags per order and case normalization',
+            validator: validateTagPolicy
+        });
+
+        // Automatic backups kept before a resync or restore replaces local data
+        this.registerConfig('backup_snapshot_limit', {
+            type: 'number',
+            required: false,
+            default: DEFAULT_SNAPSHOT_LIMIT,
+            description: 'Number of automatic backup snapshots to keep',
+            validator: validateSnapshotLimit
+        });
+
+        // Where hidden orders, tags and the audit log are kept, see backends/registry.js
+        this.registerConfig('storage_backend', {
+            type: 'string',
+            required: false,
+            default: DEFAULT_BACKEND_ID,
+            description: 'Storage backend for hidden orders: "google-sheets", "local" or "rest"',
+            validator: validateBackendId
+        });
+
+        // Server used by the "rest" storage backend, see backends/rest/protocol.js
+        this.registerConfig('rest_backend', {
+            type: 'object',
+            required: false,
+            default: DEFAULT_REST_BACKEND_CONFIG,
+            description: 'Base URL and optional API key of the REST storage backend server',
+            validator: validateRestBackendConfig
+        });
+
+        // Named profiles, each with its own Amazon account, Google sign-in, sheet and hidden orders
+        this.registerConfig('profiles', {
+            type: 'object',
+            required: false,
+            default: DEFAULT_PROFILES_CONFIG,
+            description: 'Profiles and the active profile, see utils/profiles.js',
+            validator: validateProfilesConfig
+        });
+
+        // Roles and active users from the UserSettings sheet, see utils/team-roles.js
+        this.registerConfig('team_mode', {
+            type: 'boolean',
+            required: false,
+            default: false,
+            description: 'Enforce the roles and active users of the spreadsheet\'s UserSettings sheet'
+        });
     }
 
     /**
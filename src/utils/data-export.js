@@ -0,0 +1,139 @@
+/**
+ * Data Export
+ * Turns the locally cached HiddenOrders, ActionLog and UserSettings into downloadable files,
+ * using the same columns as the Google Sheets so exports work without Sheets configured.
+ *
+ * Formats (see EXPORT_FORMATS):
+ * - csv: one CSV file per sheet
+ * - json: one JSON file per sheet, each row keyed by column header
+ * - bundle: a single JSON file holding all three sheets:
+ * {
+ *     format: 'archizer-export',
+ *     version: 1,
+ *     exportedAt: '2024-01-15T10:30:00.000Z',
+ *     filtered: false,          // True when the popup's filters limited the export
+ *     sheets: {
+ *         HiddenOrders: [{ 'Order ID': '112-8383531-6014102', ... }],
+ *         ActionLog: [...],
+ *         UserSettings: [...]
+ *     }
+ * }
+ */
+
+import { defaultImporter } from '../backends/google-sheets/importer.js';
+import { hiddenOrderToSheetRow } from '../backends/google-sheets/sync.js';
+import { teamUserToSheetRow } from './team-roles.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'bundle'];
+
+export const EXPORT_BUNDLE_FORMAT = 'archizer-export';
+export const EXPORT_BUNDLE_VERSION = 1;
+
+/**
+ * Build HiddenOrders sheet data from hidden order records
+ * @param {Array} hiddenOrders - Hidden order records from storage, in export order
+ * @returns {Object} { headers, rows }
+ */
+export function hiddenOrdersToSheetData(hiddenOrders) {
+    return {
+        headers: defaultImporter.getHiddenOrdersHeaders(),
+        rows: (hiddenOrders || []).map(hiddenOrderToSheetRow)
+    };
+}
+
+/**
+ * Build ActionLog sheet data from cached action log entries, oldest first
+ * @param {Array} actionLog - Action log entries from storage
+ * @returns {Object} { headers, rows }
+ */
+export function actionLogToSheetData(actionLog) {
+    const entries = [...(actionLog || [])].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    return {
+        headers: defaultImporter.getActionLogHeaders(),
+        rows: entries.map(entry => {
+            const orderData = entry.orderData || {};
+            return [
+                entry.timestamp || '',                              // Timestamp
+                entry.orderId || '',                                // Order ID
+                entry.action || '',                                 // Action
+                entry.type || '',                                   // Action Type
+                entry.username || '',                               // Performed By
+                Array.isArray(orderData.tags) ? orderData.tags.join(',') : '', // Tags
+                orderData.notes || '',                              // Notes
+                entry.browserInfo || ''                             // Browser Info
+            ];
+        })
+    };
+}
+
+/**
+ * Build UserSettings sheet data from cached user settings
+ * @param {Array} userSettings - User settings from storage
+ * @returns {Object} { headers, rows }
+ */
+export function userSettingsToSheetData(userSettings) {
+    return {
+        headers: defaultImporter.getUserSettingsHeaders(),
+        rows: (userSettings || []).map(teamUserToSheetRow)
+    };
+}
+
+/**
+ * Keep only the action log entries for the given hidden orders
+ * @param {Array} actionLog - Action log entries
+ * @param {Array} hiddenOrders - Hidden orders being exported
+ * @returns {Array} Matching action log entries
+ */
+export function filterActionLogForOrders(actionLog, hiddenOrders) {
+    const orderIds = new Set((hiddenOrders || []).map(order => order.orderId));
+    return (actionLog || []).filter(entry => orderIds.has(entry.orderId));
+}
+
+/**
+ * Build the files for an export
+ * @param {Object} data - { hiddenOrders, actionLog, userSettings, filtered }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Date} exportedAt - Export time, used in file names and the bundle
+ * @returns {Array} Files as { filename, mimeType, content }
+ */
+export function buildExportFiles(data, format, exportedAt = new Date()) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format: ${format}. Allowed values: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+
+    const sheets = getSheets(data);
+    const date = exportedAt.toISOString().split('T')[0];
+
+    if (format === 'bundle') {
+        const bundle = {
+            format: EXPORT_BUNDLE_FORMAT,
+            version: EXPORT_BUNDLE_VERSION,
+            exportedAt: exportedAt.toISOString(),
+            filtered: Boolean(data.filtered),
+            sheets: Object.fromEntries(sheets.map(({ name, sheetData }) => [name, JSON.parse(defaultImporter.generateJSON(sheetData))]))
+        };
+        return [{
+            filename: `archizer-export-${date}.json`,
+            mimeType: 'application/json',
+            content: JSON.stringify(bundle, null, 2)
+        }];
+    }
+
+    return sheets.map(({ name, sheetData }) => format === 'csv'
+        ? { filename: `archizer-${name}-${date}.csv`, mimeType: 'text/csv', content: defaultImporter.generateCSV(sheetData) }
+        : { filename: `archizer-${name}-${date}.json`, mimeType: 'application/json', content: defaultImporter.generateJSON(sheetData) });
+}
+
+/**
+ * Sheet data for each exported sheet, named like the Google Sheets tabs
+ * @param {Object} data - { hiddenOrders, actionLog, userSettings }
+ * @returns {Array} [{ name, sheetData }]
+ */
+function getSheets(data) {
+    const { sheets } = defaultImporter.schema;
+    return [
+        { name: sheets.hiddenOrders.name, sheetData: hiddenOrdersToSheetData(data.hiddenOrders) },
+        { name: sheets.actionLog.name, sheetData: actionLogToSheetData(data.actionLog) },
+        { name: sheets.userSettings.name, sheetData: userSettingsToSheetData(data.userSettings) }
+    ];
+}
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for data export
+ * Tests sheet data conversion and the CSV, JSON and bundle files
+ */
+
+import {
+    hiddenOrdersToSheetData,
+    actionLogToSheetData,
+    userSettingsToSheetData,
+    filterActionLogForOrders,
+    buildExportFiles,
+    EXPORT_BUNDLE_FORMAT,
+    EXPORT_BUNDLE_VERSION
+} from './data-export.js';
+
+const hiddenOrder = {
+    orderId: '112-8383531-6014102',
+    type: 'details',
+    username: 'alice',
+    timestamp: '2024-01-20T10:00:00.000Z',
+    lastModified: '2024-01-21T10:00:00.000Z',
+    marketplace: 'amazon.com',
+    orderData: { orderDate: '2024-01-15', orderTotal: '$25.99', tags: ['gifts', 'gifts/birthday'], notes: 'Paid with "Visa"' }
+};
+
+const actionLog = [
+    { timestamp: '2024-01-21T10:00:00.000Z', orderId: '112-8383531-6014102', action: 'unhide', type: 'details', username: 'bob', orderData: { tags: [], notes: '' } },
+    { timestamp: '2024-01-20T10:00:00.000Z', orderId: '112-8383531-6014102', action: 'hide', type: 'details', username: 'alice', orderData: { tags: ['gifts'], notes: '' }, browserInfo: 'Chrome 120.0.0.0' },
+    { timestamp: '2024-01-22T10:00:00.000Z', orderId: '113-0000000-0000000', action: 'hide', type: 'order', username: 'alice' }
+];
+
+const userSettings = [{ username: 'alice', createdAt: '2024-01-01', lastActive: '2024-01-21', isActive: false }];
+
+describe('sheet data', () => {
+    it('should build HiddenOrders rows like the Google Sheet', () => {
+        const { headers, rows } = hiddenOrdersToSheetData([hiddenOrder]);
+
+        expect(headers[0]).toBe('Order ID');
+        expect(rows).toEqual([[
+            '112-8383531-6014102', '2024-01-15', '$25.99', 'alice', '2024-01-20T10:00:00.000Z',
+            'details', 'gifts,gifts/birthday', 'Paid with "Visa"', '2024-01-21T10:00:00.000Z', 'amazon.com'
+        ]]);
+    });
+
+    it('should build ActionLog rows oldest first', () => {
+        const { headers, rows } = actionLogToSheetData(actionLog);
+
+        expect(headers).toEqual(['Timestamp', 'Order ID', 'Action', 'Action Type', 'Performed By', 'Tags', 'Notes', 'Browser Info']);
+        expect(rows.map(row => row[2])).toEqual(['hide', 'unhide', 'hide']);
+        expect(rows[0]).toEqual(['2024-01-20T10:00:00.000Z', '112-8383531-6014102', 'hide', 'details', 'alice', 'gifts', '', 'Chrome 120.0.0.0']);
+        expect(rows[2][5]).toBe('');
+    });
+
+    it('should build UserSettings rows', () => {
+        expect(userSettingsToSheetData(userSettings).rows).toEqual([['alice', '2024-01-01', '2024-01-21', false, 'editor', '']]);
+        expect(userSettingsToSheetData([{ ...userSettings[0], role: 'viewer' }]).rows[0][4]).toBe('viewer');
+        expect(userSettingsToSheetData([{ ...userSettings[0], displayName: 'Alice Smith' }]).rows[0][5]).toBe('Alice Smith');
+    });
+
+    it('should keep only action log entries of the exported orders', () => {
+        expect(filterActionLogForOrders(actionLog, [hiddenOrder])).toHaveLength(2);
+        expect(filterActionLogForOrders(actionLog, [])).toEqual([]);
+    });
+});
+
+describe('buildExportFiles', () => {
+    const data = { hiddenOrders: [hiddenOrder], actionLog, userSettings, filtered: true };
+    const exportedAt = new Date('2024-02-01T12:00:00.000Z');
+
+    it('should build one CSV file per sheet, quoting cells that need it', () => {
+        const files = buildExportFiles(data, 'csv', exportedAt);
+
+        expect(files.map(file => file.filename)).toEqual([
+            'archizer-HiddenOrders-2024-02-01.csv',
+            'archizer-ActionLog-2024-02-01.csv',
+            'archizer-UserSettings-2024-02-01.csv'
+        ]);
+        expect(files[0].mimeType).toBe('text/csv');
+        expect(files[0].content.split('\n')[1]).toBe(
+            '112-8383531-6014102,2024-01-15,$25.99,alice,2024-01-20T10:00:00.000Z,details,"gifts,gifts/birthday","Paid with ""Visa""",2024-01-21T10:00:00.000Z,amazon.com'
+        );
+    });
+
+    it('should build one JSON file per sheet keyed by column header', () => {
+        const files = buildExportFiles(data, 'json', exportedAt);
+
+        expect(files[2].filename).toBe('archizer-UserSettings-2024-02-01.json');
+        expect(JSON.parse(files[2].content)).toEqual([
+            { 'Username': 'alice', 'Created At': '2024-01-01', 'Last Active': '2024-01-21', 'Is Active': false, 'Role': 'editor', 'Display Name': '' }
+        ]);
+    });
+
+    it('should build a single bundle with all sheets', () => {
+        const [file] = buildExportFiles(data, 'bundle', exportedAt);
+        const bundle = JSON.parse(file.content);
+
+        expect(file.filename).toBe('archizer-export-2024-02-01.json');
+        expect(bundle).toMatchObject({
+            format: EXPORT_BUNDLE_FORMAT,
+            version: EXPORT_BUNDLE_VERSION,
+            exportedAt: '2024-02-01T12:00:00.000Z',
+            filtered: true
+        });
+        expect(Object.keys(bundle.sheets)).toEqual(['HiddenOrders', 'ActionLog', 'UserSettings']);
+        expect(bundle.sheets.HiddenOrders[0]['Tags']).toBe('gifts,gifts/birthday');
+        expect(bundle.sheets.ActionLog).toHaveLength(3);
+    });
+
+    it('should reject unknown formats', () => {
+        expect(() => buildExportFiles(data, 'xml')).toThrow('Unknown export format: xml. Allowed values: csv, json, bundle.');
+    });
+});
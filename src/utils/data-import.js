@@ -0,0 +1,305 @@
+/**
+ * Data Import
+ * Reads hidden orders from a local CSV or JSON file, including the files our own export
+ * produces, validates them with the Google Sheets validator and plans how to apply them.
+ *
+ * Accepted files:
+ * - CSV with a header row using the HiddenOrders column names ('Order ID', 'Hidden By', ...)
+ * - JSON list of rows keyed by those column names (the 'json' export)
+ * - JSON export bundle (the 'bundle' export), whose HiddenOrders sheet is imported
+ *
+ * A preview row looks like:
+ * {
+ *     row: 2,                          // Row number in the file, the header row not counted
+ *     orderId: '112-8383531-6014102',
+ *     type: 'details',
+ *     status: 'new',                   // See IMPORT_ROW_STATUSES
+ *     errors: [],
+ *     warnings: ['Row 2, Tag 1: ...'],
+ *     hiddenOrder: {...}               // Hidden order record to store, null unless new or update
+ * }
+ */
+
+import { defaultValidator } from '../backends/google-sheets/validation.js';
+import { defaultSchema } from '../backends/google-sheets/schema.js';
+import { sheetRowToHiddenOrder, makeSyncKey } from '../backends/google-sheets/sync.js';
+import { EXPORT_BUNDLE_FORMAT, EXPORT_BUNDLE_VERSION } from './data-export.js';
+
+// How an import treats hidden orders that are not in the file
+// - merge: keep them
+// - replace: remove them
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Preview status of each row
+// - new: not hidden in this browser yet
+// - update: replaces an order hidden in this browser
+// - duplicate: a later row has the same order and hidden type, so this row is skipped
+// - invalid: failed validation, so this row is skipped
+export const IMPORT_ROW_STATUSES = ['new', 'update', 'duplicate', 'invalid'];
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with commas, escaped quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of cell strings
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Invalid CSV: a quoted cell is never closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are not rows
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read the hidden order records from an import file
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used to tell JSON from CSV
+ * @returns {Array} Records keyed by column name
+ */
+export function parseImportFile(text, filename = '') {
+    const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (trimmed.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const isJSON = /\.json$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[');
+    return isJSON ? readJSONRecords(trimmed) : readCSVRecords(trimmed);
+}
+
+/**
+ * Convert an import record into a HiddenOrders sheet row
+ * Columns are matched by display name ('Order ID') or field name ('orderId')
+ * @param {Object} record - Record keyed by column name
+ * @returns {Array} Row values for columns A through J
+ */
+export function recordToSheetRow(record) {
+    return defaultSchema.sheets.hiddenOrders.columns.map(column => {
+        const value = record[column.displayName] ?? record[column.name];
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+/**
+ * Validate import records and compare them with the orders hidden in this browser
+ * @param {Array} records - Records from parseImportFile
+ * @param {Array} existingOrders - Hidden order records in storage
+ * @returns {Object} { rows, summary: { total, new, update, duplicate, invalid, warnings } }
+ */
+export function previewHiddenOrdersImport(records, existingOrders = []) {
+    const sheetRows = (records || []).map(recordToSheetRow);
+    const validatedRows = validateHiddenOrderRows(sheetRows);
+
+    const existingKeys = new Set(existingOrders.map(order => makeSyncKey(order.orderId, order.type)));
+    const rowsByKey = new Map();
+
+    const rows = sheetRows.map((sheetRow, index) => {
+        const { errors, warnings, hiddenOrder } = validatedRows[index];
+        const previewRow = {
+            row: index + 1,
+            orderId: sheetRow[0],
+            type: sheetRow[5],
+            status: 'invalid',
+            errors,
+            warnings,
+            hiddenOrder: null
+        };
+        if (!hiddenOrder) {
+            return previewRow;
+        }
+
+        const key = makeSyncKey(hiddenOrder.orderId, hiddenOrder.type);
+        const earlierRow = rowsByKey.get(key);
+        if (earlierRow) {
+            earlierRow.status = 'duplicate';
+            earlierRow.hiddenOrder = null;
+            earlierRow.warnings.push(`Row ${earlierRow.row}: Order ${hiddenOrder.orderId} (${hiddenOrder.type}) appears again in row ${index + 1}, skipping`);
+        }
+        rowsByKey.set(key, previewRow);
+
+        Object.assign(previewRow, {
+            orderId: hiddenOrder.orderId,
+            type: hiddenOrder.type,
+            status: existingKeys.has(key) ? 'update' : 'new',
+            hiddenOrder
+        });
+        return previewRow;
+    });
+
+    const summary = { total: rows.length, warnings: rows.reduce((count, row) => count + row.warnings.length, 0) };
+    IMPORT_ROW_STATUSES.forEach(status => {
+        summary[status] = rows.filter(row => row.status === status).length;
+    });
+
+    return { rows, summary };
+}
+
+/**
+ * Validate HiddenOrders sheet rows and convert the valid ones into hidden order records
+ * @param {Array} sheetRows - Row values for columns A through J, as strings
+ * @returns {Array} For each row: { errors, warnings, hiddenOrder }, with a null hiddenOrder for invalid rows
+ */
+export function validateHiddenOrderRows(sheetRows) {
+    // The validator reads Order ID, Order Date, Hidden By, Tags, Hidden Type and Hidden At
+    const validation = defaultValidator.validateHiddenOrders(
+        sheetRows.map(row => [row[0], row[1], row[3], row[6], row[5], row[4]])
+    );
+
+    return sheetRows.map((sheetRow, index) => {
+        const rowValidation = validation.rows[index];
+        const result = {
+            errors: [...rowValidation.errors],
+            warnings: [...rowValidation.warnings],
+            hiddenOrder: null
+        };
+        if (!rowValidation.isValid) {
+            return result;
+        }
+
+        result.hiddenOrder = toHiddenOrder(sheetRow, rowValidation.sanitizedData);
+        if (!result.hiddenOrder) {
+            result.errors.push(`Row ${index + 1}: Invalid order ID format: ${sheetRow[0]}`);
+        }
+        return result;
+    });
+}
+
+/**
+ * Work out the storage changes for an import
+ * Updated orders keep the item details only this browser knows about
+ * @param {Object} preview - Result of previewHiddenOrdersImport
+ * @param {Array} existingOrders - Hidden order records in storage
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {string} importedAt - ISO timestamp recorded as the orders' Last Modified
+ * @returns {Object} { upsert: [hidden orders to store], remove: [hidden orders to delete] }
+ */
+export function planHiddenOrdersImport(preview, existingOrders, mode, importedAt = new Date().toISOString()) {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}. Allowed values: ${IMPORT_MODES.join(', ')}.`);
+    }
+
+    const existingByKey = new Map(existingOrders.map(order => [makeSyncKey(order.orderId, order.type), order]));
+    const upsert = preview.rows
+        .filter(row => row.hiddenOrder)
+        .map(({ hiddenOrder }) => {
+            const existing = existingByKey.get(makeSyncKey(hiddenOrder.orderId, hiddenOrder.type));
+            const existingItems = existing && existing.orderData && existing.orderData.orderItems;
+            return {
+                ...hiddenOrder,
+                orderData: {
+                    ...hiddenOrder.orderData,
+                    orderItems: hiddenOrder.orderData.orderItems.length > 0 ? hiddenOrder.orderData.orderItems : (existingItems || [])
+                },
+                lastModified: importedAt
+            };
+        });
+
+    const importedKeys = new Set(upsert.map(order => makeSyncKey(order.orderId, order.type)));
+    const remove = mode === 'replace'
+        ? existingOrders.filter(order => !importedKeys.has(makeSyncKey(order.orderId, order.type)))
+        : [];
+
+    return { upsert, remove };
+}
+
+/**
+ * Build the hidden order record for a valid row, using the validator's cleaned up values
+ * @param {Array} sheetRow - HiddenOrders sheet row
+ * @param {Object} sanitized - Sanitized values from the validator
+ * @returns {Object|null} Hidden order record, or null if the order ID is not an Amazon order ID
+ */
+function toHiddenOrder(sheetRow, sanitized) {
+    const hiddenOrder = sheetRowToHiddenOrder([sanitized.orderId, ...sheetRow.slice(1)]);
+    if (!hiddenOrder) {
+        return null;
+    }
+
+    return {
+        ...hiddenOrder,
+        type: sanitized.hiddenType,
+        orderData: { ...hiddenOrder.orderData, tags: sanitized.tags },
+        username: sanitized.username,
+        timestamp: sanitized.timestamp
+    };
+}
+
+/**
+ * Read records from a JSON export: a list of rows or an export bundle
+ * @param {string} text - JSON text
+ * @returns {Array} Records
+ */
+function readJSONRecords(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (data && data.format === EXPORT_BUNDLE_FORMAT) {
+        if (data.version > EXPORT_BUNDLE_VERSION) {
+            throw new Error(`This export bundle is version ${data.version}, newer than this extension supports (${EXPORT_BUNDLE_VERSION})`);
+        }
+        data = data.sheets && data.sheets[defaultSchema.sheets.hiddenOrders.name];
+    }
+
+    if (!Array.isArray(data) || !data.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+        throw new Error('Unrecognized JSON: expected an export bundle or a list of hidden orders');
+    }
+    return data;
+}
+
+/**
+ * Read records from CSV, using the header row as column names
+ * @param {string} text - CSV text
+ * @returns {Array} Records
+ */
+function readCSVRecords(text) {
+    const [headers, ...rows] = parseCSV(text);
+    const knownHeaders = defaultSchema.sheets.hiddenOrders.columns.map(column => column.displayName);
+    if (!headers || !headers.some(header => knownHeaders.includes(header.trim()))) {
+        throw new Error(`Unrecognized CSV: the first row must name the columns (${knownHeaders.join(', ')})`);
+    }
+
+    return rows.map(cells => Object.fromEntries(headers.map((header, index) => [header.trim(), cells[index] ?? ''])));
+}
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for data import
+ * Tests file parsing, the import preview and merge/replace plans
+ */
+
+import {
+    parseCSV,
+    parseImportFile,
+    recordToSheetRow,
+    previewHiddenOrdersImport,
+    planHiddenOrdersImport
+} from './data-import.js';
+import { buildExportFiles } from './data-export.js';
+
+const HEADER = 'Order ID,Order Date,Order Total,Hidden By,Hidden At,Hidden Type,Tags,Notes,Last Modified,Marketplace';
+
+const existingOrder = {
+    orderId: '112-8383531-6014102',
+    type: 'details',
+    username: 'alice',
+    timestamp: '2024-01-20T10:00:00.000Z',
+    lastModified: '2024-01-20T10:00:00.000Z',
+    marketplace: 'amazon.com',
+    orderData: {
+        orderNumber: '112-8383531-6014102',
+        orderDate: 'January 15, 2024',
+        orderTotal: '$25.99',
+        orderItems: [{ name: 'Lego set' }],
+        tags: ['gifts'],
+        notes: ''
+    }
+};
+
+const otherOrder = { ...existingOrder, orderId: '113-0000000-0000000', orderData: { ...existingOrder.orderData, orderItems: [] } };
+
+describe('parseCSV', () => {
+    it('should split rows and cells, handling quotes and line breaks', () => {
+        expect(parseCSV('a,b\r\n"c,d","say ""hi""\nthere"\n\n')).toEqual([
+            ['a', 'b'],
+            ['c,d', 'say "hi"\nthere']
+        ]);
+    });
+
+    it('should reject unclosed quotes', () => {
+        expect(() => parseCSV('a,"b')).toThrow('Invalid CSV: a quoted cell is never closed');
+    });
+});
+
+describe('parseImportFile', () => {
+    it('should read CSV records by header', () => {
+        const records = parseImportFile(`\uFEFF${HEADER}\n112-8383531-6014102,2024-01-15,$25.99,alice,2024-01-20T10:00:00.000Z,details,"gifts,books",,,amazon.com`, 'orders.csv');
+
+        expect(records).toEqual([{
+            'Order ID': '112-8383531-6014102',
+            'Order Date': '2024-01-15',
+            'Order Total': '$25.99',
+            'Hidden By': 'alice',
+            'Hidden At': '2024-01-20T10:00:00.000Z',
+            'Hidden Type': 'details',
+            'Tags': 'gifts,books',
+            'Notes': '',
+            'Last Modified': '',
+            'Marketplace': 'amazon.com'
+        }]);
+    });
+
+    it('should read our own JSON and bundle exports', () => {
+        const data = { hiddenOrders: [existingOrder], actionLog: [], userSettings: [] };
+        const [jsonFile] = buildExportFiles(data, 'json');
+        const [bundleFile] = buildExportFiles(data, 'bundle');
+
+        expect(parseImportFile(jsonFile.content, jsonFile.filename)[0]['Order ID']).toBe('112-8383531-6014102');
+        expect(parseImportFile(bundleFile.content, bundleFile.filename)[0]['Tags']).toBe('gifts');
+    });
+
+    it('should reject files it cannot read', () => {
+        expect(() => parseImportFile('  ', 'orders.csv')).toThrow('The file is empty');
+        expect(() => parseImportFile('{"orders": [}', 'orders.json')).toThrow(/^Invalid JSON/);
+        expect(() => parseImportFile('{"orders": []}', 'orders.json')).toThrow('Unrecognized JSON: expected an export bundle or a list of hidden orders');
+        expect(() => parseImportFile('{"format": "archizer-export", "version": 2, "sheets": {}}')).toThrow(/newer than this extension supports/);
+        expect(() => parseImportFile('name,price\nLego,25', 'orders.csv')).toThrow(/^Unrecognized CSV/);
+    });
+});
+
+describe('recordToSheetRow', () => {
+    it('should accept display names and field names', () => {
+        expect(recordToSheetRow({ orderId: '112-8383531-6014102', 'Hidden By': 'alice', isActive: true })).toEqual([
+            '112-8383531-6014102', '', '', 'alice', '', '', '', '', '', ''
+        ]);
+    });
+});
+
+describe('previewHiddenOrdersImport', () => {
+    const record = (overrides) => ({
+        'Order ID': '112-8383531-6014102',
+        'Order Date': 'January 15, 2024',
+        'Order Total': '$30.00',
+        'Hidden By': 'bob',
+        'Hidden At': '2024-02-01T10:00:00.000Z',
+        'Hidden Type': 'details',
+        'Tags': 'gifts, gifts / kids',
+        'Notes': 'Birthday',
+        ...overrides
+    });
+
+    it('should report the status, errors and warnings of each row', () => {
+        const preview = previewHiddenOrdersImport([
+            record(),
+            record({ 'Order ID': '114-0000000-0000000', 'Hidden Type': 'order' }),
+            record({ 'Hidden By': '' }),
+            record({ 'Order ID': 'not-an-order' })
+        ], [existingOrder]);
+
+        expect(preview.rows.map(row => row.status)).toEqual(['update', 'new', 'invalid', 'invalid']);
+        expect(preview.rows[0].warnings).toEqual(['Row 1, Tag 2: Tag path "gifts / kids" normalized to "gifts/kids"']);
+        expect(preview.rows[2].errors).toEqual(['Row 3: Username must be a non-empty string']);
+        expect(preview.rows[3].errors).toEqual(['Row 4: Invalid order ID format: not-an-order']);
+        expect(preview.summary).toEqual({ total: 4, new: 1, update: 1, duplicate: 0, invalid: 2, warnings: 4 });
+
+        expect(preview.rows[0].hiddenOrder).toMatchObject({
+            orderId: '112-8383531-6014102',
+            type: 'details',
+            username: 'bob',
+            timestamp: '2024-02-01T10:00:00.000Z',
+            orderData: { orderDate: 'January 15, 2024', orderTotal: '$30.00', tags: ['gifts', 'gifts/kids'], notes: 'Birthday' }
+        });
+    });
+
+    it('should use the last of several rows for the same order', () => {
+        const preview = previewHiddenOrdersImport([record({ 'Notes': 'first' }), record({ 'Notes': 'second' })]);
+
+        expect(preview.rows.map(row => row.status)).toEqual(['duplicate', 'new']);
+        expect(preview.rows[0].warnings).toContain('Row 1: Order 112-8383531-6014102 (details) appears again in row 2, skipping');
+        expect(preview.rows[0].hiddenOrder).toBeNull();
+        expect(preview.rows[1].hiddenOrder.orderData.notes).toBe('second');
+    });
+});
+
+describe('planHiddenOrdersImport', () => {
+    const preview = previewHiddenOrdersImport([{
+        'Order ID': '112-8383531-6014102',
+        'Order Date': '2024-01-15',
+        'Hidden By': 'bob',
+        'Hidden At': '2024-02-01T10:00:00.000Z',
+        'Hidden Type': 'details',
+        'Tags': 'books'
+    }], [existingOrder, otherOrder]);
+    const importedAt = '2024-03-01T00:00:00.000Z';
+
+    it('should merge, keeping orders not in the file and known order items', () => {
+        const plan = planHiddenOrdersImport(preview, [existingOrder, otherOrder], 'merge', importedAt);
+
+        expect(plan.remove).toEqual([]);
+        expect(plan.upsert).toHaveLength(1);
+        expect(plan.upsert[0]).toMatchObject({ username: 'bob', lastModified: importedAt });
+        expect(plan.upsert[0].orderData).toMatchObject({ tags: ['books'], orderItems: [{ name: 'Lego set' }] });
+    });
+
+    it('should replace, removing orders not in the file', () => {
+        const plan = planHiddenOrdersImport(preview, [existingOrder, otherOrder], 'replace', importedAt);
+
+        expect(plan.upsert).toHaveLength(1);
+        expect(plan.remove).toEqual([otherOrder]);
+    });
+
+    it('should reject unknown modes', () => {
+        expect(() => planHiddenOrdersImport(preview, [], 'append')).toThrow('Unknown import mode: append. Allowed values: merge, replace.');
+    });
+});
@@ -5,6 +5,9 @@
 
 import { createElement, createButton, createContainer, safeAddEventListener, safeSetStyles, hideElementsBySelectors, containsEssentialInfo, isElementWithinContainer, safeModifyClasses, safeSetMultipleStyles } from './dom-utils.js';
 import { specializedLogger as log } from './logger.js';
+import { getAllMonthNames } from './marketplaces.js';
+import { getTagTextColor } from './tag-manager.js';
+import { buildTagIndex } from './tag-suggestions.js';
 
 
 export class DOMManipulator {
@@ -12,12 +15,35 @@ export class DOMManipulator {
         this.injectedButtons = new Map(); // Track injected buttons by order ID
         this.hiddenOrders = new Set(); // Track hidden order IDs
         this.orderUsernames = new Map(); // Track usernames for hidden orders
+        this.archivedOrders = new Map(); // Track fully hidden ("order" type) cards by order ID
+        this.archivedOrdersExpanded = false; // Whether archived cards are temporarily shown
         this.observer = null;
         this.isObserving = false;
         this.orderParser = null; // Reference to OrderParser for data extraction
         this.onOrderHidden = null; // Callback when orders are hidden
         this.onOrderShown = null; // Callback when orders are shown
-        this.storage = null; // Storage manager instance
+        this.storage = null; // Storage manager instance, for settings such as the username
+        this.backend = null; // StorageBackend hidden orders and tags are kept in, see backends/backend.js
+        this.bulkSelection = null; // BulkSelectionManager that adds selection checkboxes to cards
+        this.tagColors = {}; // Tag name to "#rrggbb" color, from the 'tag_colors' config
+        this.tagPolicy = null; // Tag rules from the 'tag_policy' config, passed on to tagging dialogs
+        this.unhideGuard = null; // Check run before the page buttons unhide an order, see setUnhideGuard
+    }
+
+    /**
+     * Set the tag policy that tagging dialogs enforce
+     * @param {Object} tagPolicy - Tag policy, see utils/tag-policy.js
+     */
+    setTagPolicy(tagPolicy) {
+        this.tagPolicy = tagPolicy || null;
+    }
+
+    /**
+     * Set the colors used to render tags on collapsed order cards
+     * @param {Object} tagColors - Map of tag name to color
+     */
+    setTagColors(tagColors) {
+        this.tagColors = tagColors || {};
     }
 
     /**
@@ -186,7 +212,20 @@ export class DOMManipulator {
                 });
             });
 
+            // Create "Archive order" button, which removes the whole card from the list
+            const hideOrderBtn = createButton('Archive order', {
+                attributes: {
+                    'data-archizer-type': 'hide-order',
+                    'data-archizer-order-id': orderId,
+                    'aria-label': `Archive order ${orderId}`
+                },
+                styles: {
+                    marginTop: '4px'
+                }
+            });
+
             hideDetailsLi.appendChild(hideDetailsBtn);
+            hideDetailsLi.appendChild(hideOrderBtn);
 
             // Add all buttons to the list
             buttonList.appendChild(hideDetailsLi);
@@ -195,44 +234,46 @@ export class DOMManipulator {
             buttonContainer.appendChild(buttonList);
 
             // Add click event listeners
-            safeAddEventListener(hideDetailsBtn, 'click', (event) => {
-                event.preventDefault();
-                event.stopPropagation();
-
-                // CRITICAL: Ensure this button click only affects the specific order
-                const clickedOrderId = hideDetailsBtn.getAttribute('data-archizer-order-id');
-                if (clickedOrderId !== orderId) {
-                    log.error(`❌ Button click order ID mismatch: expected ${orderId}, got ${clickedOrderId}`);
-                    return;
-                }
+            [hideDetailsBtn, hideOrderBtn].forEach(actionBtn => {
+                safeAddEventListener(actionBtn, 'click', (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+
+                    // CRITICAL: Ensure this button click only affects the specific order
+                    const clickedOrderId = actionBtn.getAttribute('data-archizer-order-id');
+                    if (clickedOrderId !== orderId) {
+                        log.error(`❌ Button click order ID mismatch: expected ${orderId}, got ${clickedOrderId}`);
+                        return;
+                    }
 
-                // CRITICAL: Verify the button is in the correct order card
-                const orderCard = hideDetailsBtn.closest('.order-card');
-                if (!orderCard) {
-                    log.error(`❌ Button not found within an order card`);
-                    return;
-                }
+                    // CRITICAL: Verify the button is in the correct order card
+                    const orderCard = actionBtn.closest('.order-card');
+                    if (!orderCard) {
+                        log.error(`❌ Button not found within an order card`);
+                        return;
+                    }
 
-                const orderCardOrderId = orderCard.querySelector('.yohtmlc-order-id span.a-color-secondary[dir="ltr"]')?.textContent;
-                if (orderCardOrderId !== orderId) {
-                    log.error(`❌ Order card order ID mismatch: expected ${orderId}, got ${orderCardOrderId}`);
-                    return;
-                }
+                    const orderCardOrderId = orderCard.querySelector('.yohtmlc-order-id span.a-color-secondary[dir="ltr"]')?.textContent;
+                    if (orderCardOrderId !== orderId) {
+                        log.error(`❌ Order card order ID mismatch: expected ${orderId}, got ${orderCardOrderId}`);
+                        return;
+                    }
 
-                // Add debugging to track button clicks
-                log.info(`🔍 Button clicked:`, {
-                    button: hideDetailsBtn,
-                    orderId: orderId,
-                    buttonType: hideDetailsBtn.getAttribute('data-archizer-type'),
-                    buttonClasses: hideDetailsBtn.className,
-                    buttonText: hideDetailsBtn.textContent,
-                    buttonParent: hideDetailsBtn.parentElement,
-                    orderCard: orderCard,
-                    orderCardOrderId: orderCardOrderId
-                });
+                    // Add debugging to track button clicks
+                    log.info(`🔍 Button clicked:`, {
+                        button: actionBtn,
+                        orderId: orderId,
+                        buttonType: actionBtn.getAttribute('data-archizer-type'),
+                        buttonClasses: actionBtn.className,
+                        buttonText: actionBtn.textContent,
+                        buttonParent: actionBtn.parentElement,
+                        orderCard: orderCard,
+                        orderCardOrderId: orderCardOrderId
+                    });
 
-                const buttonType = hideDetailsBtn.getAttribute('data-archizer-type');
-                this.handleButtonClick(buttonType, orderId, hideDetailsBtn);
+                    const buttonType = actionBtn.getAttribute('data-archizer-type');
+                    this.handleButtonClick(buttonType, orderId, actionBtn);
+                });
             });
 
             log.info(`✅ Buttons created successfully for order ${orderId}`);
@@ -241,6 +282,7 @@ export class DOMManipulator {
                 buttonContainer,
                 hideDetailsLi,
                 hideDetailsBtn,
+                hideOrderBtn,
             };
         } catch (error) {
             log.error(`Error creating buttons for order ${orderId}:`, error);
@@ -257,6 +299,45 @@ export class DOMManipulator {
         log.info('🔧 Storage manager set for DOM manipulator');
     }
 
+    /**
+     * Set the backend hidden orders and tags are read from and written to
+     * @param {StorageBackend} backend - Backend selected by the 'storage_backend' config
+     */
+    setBackend(backend) {
+        this.backend = backend;
+        log.info('🔧 Storage backend set for DOM manipulator');
+    }
+
+    /**
+     * Set the bulk selection manager that adds selection checkboxes to order cards
+     * @param {BulkSelectionManager} bulkSelection - Bulk selection manager instance
+     */
+    setBulkSelection(bulkSelection) {
+        this.bulkSelection = bulkSelection;
+    }
+
+    /**
+     * Set a check run before the order buttons or the bulk toolbar unhide an order,
+     * such as the team mode confirmation for unhiding someone else's order
+     * @param {Function|null} guard - async (orderId, type, hiddenBy) => boolean, false stops the unhide
+     */
+    setUnhideGuard(guard) {
+        this.unhideGuard = guard || null;
+    }
+
+    /**
+     * Run the unhide guard for an order
+     * @param {string} orderId - Order ID
+     * @param {string} type - Hidden type ('details' or 'order')
+     * @returns {Promise<boolean>} True if the order may be unhidden
+     */
+    async canUnhide(orderId, type) {
+        if (!this.unhideGuard) {
+            return true;
+        }
+        return await this.unhideGuard(orderId, type, this.orderUsernames.get(orderId) || null);
+    }
+
     /**
      * Handle button click events for different button types
      * @param {string} buttonType - Type of button clicked
@@ -276,8 +357,24 @@ export class DOMManipulator {
                     }
                     break;
                 case 'show-details':
+                    if (this.unhideGuard && !await this.canUnhide(orderId, 'details')) {
+                        break;
+                    }
                     await this.showOrderDetails(orderId, button);
                     break;
+                case 'hide-order':
+                    if (this.storage) {
+                        await this.hideEntireOrder(orderId, button, this.storage);
+                    } else {
+                        log.error('No storage manager available');
+                    }
+                    break;
+                case 'show-order':
+                    if (this.unhideGuard && !await this.canUnhide(orderId, 'order')) {
+                        break;
+                    }
+                    await this.showEntireOrder(orderId);
+                    break;
                 default:
                     log.warning(`Unknown button type: ${buttonType}`);
             }
@@ -291,8 +388,9 @@ export class DOMManipulator {
      * @param {string} orderId - Order ID to hide
      * @param {Element} button - The button that was clicked
      * @param {StorageManager} storage - Storage manager instance
+     * @param {string} hideType - Type of hiding to perform once tags are saved ('details' or 'order')
      */
-    async showTaggingDialogForHide(orderId, button, storage) {
+    async showTaggingDialogForHide(orderId, button, storage, hideType = 'details') {
         try {
             log.info(`🔍 Opening tagging dialog for order ${orderId}`);
 
@@ -312,8 +410,8 @@ export class DOMManipulator {
 
             // Get stored tags if available
             let storedTags = null;
-            if (this.storage) {
-                storedTags = await this.getOrderTags(orderId, this.storage);
+            if (this.backend) {
+                storedTags = await this.getOrderTags(orderId);
             }
 
             // Prepare order data for the dialog
@@ -321,7 +419,10 @@ export class DOMManipulator {
                 orderNumber: orderId,
                 orderDate: orderData.orderDate || 'Unknown',
                 tags: storedTags ? storedTags.tags || [] : (orderData.tags || []),
-                notes: storedTags ? storedTags.notes || '' : (orderData.notes || '')
+                notes: storedTags ? storedTags.notes || '' : (orderData.notes || ''),
+                orderItems: orderData.orderItems || [],
+                tagIndex: await this.getTagIndex(),
+                tagPolicy: this.tagPolicy
             };
 
             // Find the order card that contains this button
@@ -354,23 +455,19 @@ export class DOMManipulator {
                 log.info(`✅ Tags saved for order ${orderId}:`, tagData);
 
                 // Store the tag data
-                if (this.storage) {
-                    await this.storeOrderTags(orderId, tagData, this.storage);
-                } else {
-                    log.warning('No storage manager available for storing order tags');
-                }
+                await this.storeOrderTags(orderId, tagData);
 
-                // Get username from storage and pass it to performHideOperation
+                // Get the active profile's username and pass it to performHideOperation
                 try {
-                    const username = await storage.get('username') || 'Unknown User';
+                    const username = await storage.getUsername() || 'Unknown User';
                     log.info(`🔧 Retrieved username from storage: "${username}" for order ${orderId}`);
 
                     // Now perform the hide operation with the username
-                    await this.performHideOperation(orderId, tagData, username);
+                    await this.performHideOperation(orderId, tagData, username, hideType);
                 } catch (error) {
                     log.error(`Error getting username for order ${orderId}:`, error);
                     // Fallback to hiding without username
-                    await this.performHideOperation(orderId, tagData, 'Unknown User');
+                    await this.performHideOperation(orderId, tagData, 'Unknown User', hideType);
                 }
 
                 // Remove the event listener
@@ -417,16 +514,17 @@ export class DOMManipulator {
      * @param {string} orderId - Order ID to hide
      * @param {Object} tagData - Optional tag data if order was tagged before hiding
      * @param {string} username - Username for the order (optional, will use stored if not provided)
+     * @param {string} hideType - Type of hiding ('details' collapses the card, 'order' removes it)
      */
-    async performHideOperation(orderId, tagData = null, username = null) {
+    async performHideOperation(orderId, tagData = null, username = null, hideType = 'details') {
         try {
-            log.info(`🔍 performHideOperation called with:`, { orderId, tagData, username });
+            log.info(`🔍 performHideOperation called with:`, { orderId, tagData, username, hideType });
 
             // IMPORTANT: This function should ONLY be called when the user explicitly clicks "Save & Hide"
             // in the tagging dialog, NOT automatically when the dialog opens
 
             // DEBUG: Check if this order is already hidden
-            if (this.hiddenOrders.has(`${orderId}-details`)) {
+            if (this.hiddenOrders.has(`${orderId}-${hideType}`)) {
                 log.warning(`⚠️ Order ${orderId} is already hidden - this indicates incorrect flow!`);
                 log.warning(`⚠️ Current hidden orders:`, Array.from(this.hiddenOrders));
                 return;
@@ -452,8 +550,8 @@ export class DOMManipulator {
             // If no tag data provided, try to retrieve stored tags
             if (!tagData) {
                 log.info('🔍 No tagData provided, retrieving from storage...');
-                if (this.storage) {
-                    tagData = await this.getOrderTags(orderId, this.storage);
+                if (this.backend) {
+                    tagData = await this.getOrderTags(orderId);
                 }
                 log.info('🔍 Retrieved tagData from storage:', tagData);
             }
@@ -462,6 +560,12 @@ export class DOMManipulator {
             const finalUsername = this.getUsernameForOrder(orderId);
             log.info(`🔧 Final username verification for order ${orderId}: "${finalUsername}"`);
 
+            if (hideType === 'order') {
+                log.info('🔍 Calling performHideOrder with:', { orderId, tagData, username: finalUsername });
+                this.performHideOrder(orderId, tagData);
+                return;
+            }
+
             log.info('🔍 Calling performHideOrderDetails with:', { orderId, button: buttonInfo.hideDetailsBtn, tagData, username: finalUsername });
             this.performHideOrderDetails(orderId, buttonInfo.hideDetailsBtn, tagData);
         } catch (error) {
@@ -537,36 +641,34 @@ export class DOMManipulator {
     }
 
     /**
-     * Store order tags in storage
+     * Store order tags in the backend
      * @param {string} orderId - Order ID
      * @param {Object} tagData - Tag data to store
-     * @param {StorageManager} storage - Storage manager instance
      */
-    async storeOrderTags(orderId, tagData, storage) {
+    async storeOrderTags(orderId, tagData) {
         try {
-            if (!storage) {
-                log.warning('No storage manager provided for storeOrderTags');
+            if (!this.backend) {
+                log.warning('No storage backend available for storeOrderTags');
                 return;
             }
-            await storage.storeOrderTags(orderId, tagData);
+            await this.backend.setTags(orderId, tagData);
         } catch (error) {
             log.error(`Error storing tags for order ${orderId}:`, error);
         }
     }
 
     /**
-     * Retrieve order tags from storage
+     * Retrieve order tags from the backend
      * @param {string} orderId - Order ID
-     * @param {StorageManager} storage - Storage manager instance
      * @returns {Object|null} Tag data or null if not found
      */
-    async getOrderTags(orderId, storage) {
+    async getOrderTags(orderId) {
         try {
-            if (!storage) {
-                log.warning('No storage manager provided for getOrderTags');
+            if (!this.backend) {
+                log.warning('No storage backend available for getOrderTags');
                 return null;
             }
-            const tagData = await storage.getOrderTags(orderId);
+            const tagData = await this.backend.getTags(orderId);
             if (tagData) {
                 log.info(`Retrieved tags for order ${orderId}:`, tagData);
             }
@@ -577,6 +679,26 @@ export class DOMManipulator {
         }
     }
 
+    /**
+     * Build the tag index for tag suggestions from every stored hidden order and order tag list
+     * @returns {Array} Tag index ([{ tag, count, lastUsed }]), see utils/tag-suggestions.js
+     */
+    async getTagIndex() {
+        try {
+            if (!this.backend) {
+                return [];
+            }
+            const [hiddenOrders, orderTags] = await Promise.all([
+                this.backend.getHiddenOrders(),
+                this.backend.getAllTags()
+            ]);
+            return buildTagIndex(hiddenOrders, orderTags);
+        } catch (error) {
+            log.error('Error building tag index:', error);
+            return [];
+        }
+    }
+
     /**
      * Show tagging dialog for hiding order details
      * @param {string} orderId - Order ID to hide details for
@@ -597,6 +719,295 @@ export class DOMManipulator {
         }
     }
 
+    /**
+     * Show tagging dialog for archiving an entire order
+     * @param {string} orderId - Order ID to archive
+     * @param {Element} button - The button that was clicked
+     * @param {StorageManager} storage - Storage manager instance
+     */
+    async hideEntireOrder(orderId, button, storage) {
+        try {
+            log.info(`🔍 hideEntireOrder called for order ${orderId} - opening tagging dialog only`);
+
+            // As with details hiding, the card is only removed after "Save & Hide"
+            this.showTaggingDialogForHide(orderId, button, storage, 'order');
+        } catch (error) {
+            log.error(`Error showing tagging dialog for order ${orderId}:`, error);
+        }
+    }
+
+    /**
+     * Actually archive an entire order card - called after tagging
+     * @param {string} orderId - Order ID to archive
+     * @param {Object} tagData - Optional tag data if order was tagged before hiding
+     * @returns {boolean} True if the order card was archived
+     */
+    performHideOrder(orderId, tagData = null) {
+        try {
+            const buttonInfo = this.injectedButtons.get(orderId);
+            if (!buttonInfo) {
+                log.warning(`No button info found for order ${orderId}`);
+                return false;
+            }
+
+            const orderCard = buttonInfo.orderCard;
+
+            // Extract order data before the card is removed from view
+            const orderData = this.onOrderHidden ? this.extractOrderData(orderCard, orderId, tagData) : null;
+
+            const archived = this.performHideOrderWithCard(orderId, orderCard, tagData, this.getUsernameForOrder(orderId));
+            if (archived && this.onOrderHidden) {
+                this.onOrderHidden(orderId, 'order', orderData);
+            }
+            return archived;
+        } catch (error) {
+            log.error(`Error archiving order ${orderId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove an order card from the order list and fold it into the archived placeholder strip
+     * Used both for new archives and when restoring archived orders from storage
+     * @param {string} orderId - Order ID to archive
+     * @param {Element} orderCard - The order card element
+     * @param {Object} tagData - Optional tag data
+     * @param {string} username - Username who archived the order
+     * @returns {boolean} True if the order card was archived
+     */
+    performHideOrderWithCard(orderId, orderCard, tagData = null, username = null) {
+        try {
+            if (!orderCard) {
+                log.warning(`No order card provided for order ${orderId}`);
+                return false;
+            }
+
+            if (orderCard.classList.contains('archizer-order-hidden')) {
+                log.warning(`⚠️ Order ${orderId} is already archived, skipping`);
+                return false;
+            }
+
+            // Remember the inline display so the card can be shown again
+            orderCard.setAttribute('data-archizer-original-display', orderCard.style.display || '');
+            orderCard.classList.add('archizer-order-hidden');
+            orderCard.style.display = 'none';
+
+            const finalUsername = username || this.getUsernameForOrder(orderId);
+            if (finalUsername) {
+                this.setUsernameForOrder(orderId, finalUsername);
+            }
+
+            this.archivedOrders.set(orderId, {
+                orderCard,
+                tags: tagData && tagData.tags ? tagData.tags : [],
+                username: finalUsername
+            });
+            this.hiddenOrders.add(`${orderId}-order`);
+
+            // Update button state so the card can be unarchived while expanded
+            const archiveButton = orderCard.querySelector('button[data-archizer-type="hide-order"]');
+            if (archiveButton) {
+                archiveButton.textContent = 'Unarchive order';
+                archiveButton.setAttribute('data-archizer-type', 'show-order');
+            }
+
+            this.updateArchivedOrdersPlaceholder();
+
+            log.info(`✅ Archived order ${orderId}`);
+            return true;
+        } catch (error) {
+            log.error(`Error archiving order card for ${orderId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore an archived order card to the order list
+     * @param {string} orderId - Order ID to unarchive
+     * @param {boolean} persist - Whether to remove the archived state from storage
+     * @returns {boolean} True if the order card was restored
+     */
+    async showEntireOrder(orderId, persist = true) {
+        try {
+            if (!this.restoreArchivedOrderCard(orderId)) {
+                return false;
+            }
+
+            if (persist) {
+                // Notify callback, which removes the order from storage and syncs to Google Sheets
+                if (this.onOrderShown) {
+                    const archived = this.findOrderCardById(orderId);
+                    const orderData = archived ? this.extractOrderData(archived, orderId) : { orderId };
+                    this.onOrderShown(orderId, 'order', orderData);
+                } else if (this.backend) {
+                    await this.backend.unhide(orderId, 'order');
+                }
+            }
+
+            log.info(`✅ Unarchived order ${orderId}`);
+            return true;
+        } catch (error) {
+            log.error(`Error unarchiving order ${orderId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Show an archived order card again without touching storage
+     * @param {string} orderId - Order ID to restore
+     * @returns {boolean} True if the order card was restored
+     */
+    restoreArchivedOrderCard(orderId) {
+        const archived = this.archivedOrders.get(orderId);
+        if (!archived) {
+            log.warning(`No archived order found for ${orderId}`);
+            return false;
+        }
+
+        const { orderCard } = archived;
+        orderCard.style.display = orderCard.getAttribute('data-archizer-original-display') || '';
+        orderCard.style.opacity = '';
+        orderCard.removeAttribute('data-archizer-original-display');
+        orderCard.classList.remove('archizer-order-hidden', 'archizer-order-expanded');
+
+        const archiveButton = orderCard.querySelector('button[data-archizer-type="show-order"]');
+        if (archiveButton) {
+            archiveButton.textContent = 'Archive order';
+            archiveButton.setAttribute('data-archizer-type', 'hide-order');
+        }
+
+        this.archivedOrders.delete(orderId);
+        this.hiddenOrders.delete(`${orderId}-order`);
+        this.updateArchivedOrdersPlaceholder();
+        return true;
+    }
+
+    /**
+     * Create, move or remove the "N orders archived" placeholder strip
+     * The strip sits before the first archived card and expands/collapses all archived cards
+     * @returns {Element|null} The placeholder strip, or null when nothing is archived
+     */
+    updateArchivedOrdersPlaceholder() {
+        try {
+            let strip = document.querySelector('.archizer-archived-strip');
+
+            // Drop cards that Amazon removed from the page (e.g. pagination)
+            const archivedCards = Array.from(this.archivedOrders.values())
+                .map(archived => archived.orderCard)
+                .filter(orderCard => orderCard && orderCard.isConnected);
+
+            if (archivedCards.length === 0) {
+                if (strip) {
+                    strip.remove();
+                }
+                this.archivedOrdersExpanded = false;
+                return null;
+            }
+
+            if (!strip) {
+                strip = this.createArchivedOrdersPlaceholder();
+            }
+
+            // Keep the strip right before the first archived card in document order
+            const firstCard = archivedCards.reduce((first, orderCard) =>
+                first.compareDocumentPosition(orderCard) & Node.DOCUMENT_POSITION_PRECEDING ? orderCard : first
+            );
+            if (strip.nextSibling !== firstCard && firstCard.parentNode) {
+                firstCard.parentNode.insertBefore(strip, firstCard);
+            }
+
+            const count = archivedCards.length;
+            strip.querySelector('.archizer-archived-strip-label').textContent =
+                `${count} ${count === 1 ? 'order' : 'orders'} archived`;
+            strip.querySelector('.archizer-archived-strip-toggle').textContent =
+                this.archivedOrdersExpanded ? 'Collapse' : 'Show';
+
+            // Apply expanded/collapsed state to every archived card
+            archivedCards.forEach(orderCard => {
+                if (this.archivedOrdersExpanded) {
+                    orderCard.style.display = orderCard.getAttribute('data-archizer-original-display') || '';
+                    orderCard.style.opacity = '0.6';
+                    orderCard.classList.add('archizer-order-expanded');
+                } else {
+                    orderCard.style.display = 'none';
+                    orderCard.style.opacity = '';
+                    orderCard.classList.remove('archizer-order-expanded');
+                }
+            });
+
+            return strip;
+        } catch (error) {
+            log.error('Error updating archived orders placeholder:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create the archived orders placeholder strip element
+     * @returns {Element} The placeholder strip
+     */
+    createArchivedOrdersPlaceholder() {
+        const strip = document.createElement('div');
+        strip.className = 'archizer-archived-strip';
+        strip.style.cssText = `
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            margin: 8px 0;
+            padding: 8px 12px;
+            background: #f3effa;
+            border: 1px dashed #7759b9;
+            border-radius: 8px;
+            font-size: 14px;
+            color: #444;
+        `;
+
+        const label = document.createElement('span');
+        label.className = 'archizer-archived-strip-label';
+        label.style.cssText = `
+            font-weight: 500;
+        `;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'archizer-archived-strip-toggle';
+        toggle.style.cssText = `
+            background: none;
+            border: none;
+            color: #7759b9;
+            font-size: 14px;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+        toggle.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.toggleArchivedOrders();
+        });
+
+        strip.appendChild(label);
+        strip.appendChild(toggle);
+        return strip;
+    }
+
+    /**
+     * Expand or collapse all archived order cards
+     * @param {boolean} expanded - Desired state (toggles when omitted)
+     */
+    toggleArchivedOrders(expanded = !this.archivedOrdersExpanded) {
+        this.archivedOrdersExpanded = expanded;
+        this.updateArchivedOrdersPlaceholder();
+        log.info(`🔍 Archived orders ${expanded ? 'expanded' : 'collapsed'}`);
+    }
+
+    /**
+     * Check if an entire order is archived
+     * @param {string} orderId - Order ID to check
+     * @returns {boolean} True if the order card is archived
+     */
+    isOrderArchived(orderId) {
+        return this.hiddenOrders.has(`${orderId}-order`);
+    }
+
     /**
      * Actually hide order details (product info, images, links) - called after tagging
      * @param {string} orderId - Order ID to hide details for
@@ -789,7 +1200,7 @@ export class DOMManipulator {
 
                     const tags = tagData && tagData.tags ? tagData.tags : [];
                     log.info(`🔍 About to call addTagsToDeliveryStatus with username: "${username}"`);
-                    this.addTagsToDeliveryStatus(leftColumn, tags, username);
+                    this.addTagsToDeliveryStatus(leftColumn, tags, username, tagData && tagData.notes);
                 } else {
                     log.info('⚠️ Left column not found');
                 }
@@ -878,14 +1289,15 @@ export class DOMManipulator {
     }
 
     /**
-     * Add tags and username below the delivery status in the preserved left column
+     * Add tags, username and notes below the delivery status in the preserved left column
      * @param {Element} leftColumn - The left column element containing delivery status
      * @param {Array} tags - Array of tag strings to display
      * @param {string} username - Username to display
+     * @param {string} notes - Notes to display beside the tags
      */
-    addTagsToDeliveryStatus(leftColumn, tags, username = null) {
+    addTagsToDeliveryStatus(leftColumn, tags, username = null, notes = null) {
         try {
-            log.info('🔍 addTagsToDeliveryStatus called with:', { leftColumn, tags, username });
+            log.info('🔍 addTagsToDeliveryStatus called with:', { leftColumn, tags, username, notes });
             log.info(`🔍 Username parameter received: "${username}"`);
 
             // Check if tags container already exists
@@ -894,9 +1306,9 @@ export class DOMManipulator {
                 return;
             }
 
-            // Only create container if we have tags or username to show
-            if ((!tags || tags.length === 0) && !username) {
-                log.info('⚠️ No tags or username to display, skipping');
+            // Only create container if we have tags, username or notes to show
+            if ((!tags || tags.length === 0) && !username && !notes) {
+                log.info('⚠️ No tags, username or notes to display, skipping');
                 return;
             }
 
@@ -985,12 +1397,22 @@ export class DOMManipulator {
                         font-weight: 500;
                         border: 1px solid #cce7ff;
                     `;
+                    const color = this.tagColors[tag];
+                    if (color) {
+                        tagElement.style.background = color;
+                        tagElement.style.borderColor = color;
+                        tagElement.style.color = getTagTextColor(color);
+                    }
                     tagsList.appendChild(tagElement);
                 });
             }
 
             tagsContainer.appendChild(tagsList);
 
+            if (notes) {
+                tagsContainer.appendChild(this.createDeliveryStatusNotes(notes));
+            }
+
             // Insert tags directly below the delivery status text
             const deliveryStatusText = leftColumn.querySelector('.yohtmlc-shipment-status-secondaryText');
             log.info('🔍 Looking for delivery status text:', deliveryStatusText);
@@ -1013,13 +1435,74 @@ export class DOMManipulator {
                 }
             }
 
-            log.info(`Added ${tags.length} tags to delivery status for order`);
+            log.info(`Added ${tags ? tags.length : 0} tags to delivery status for order`);
 
         } catch (error) {
             log.error('Error adding tags to delivery status:', error);
         }
     }
 
+    /**
+     * Create the notes element shown beside the tags in the delivery status
+     * @param {string} notes - Notes text
+     * @returns {Element} Notes element
+     */
+    createDeliveryStatusNotes(notes) {
+        const notesElement = document.createElement('div');
+        notesElement.className = 'archizer-delivery-status-notes';
+        notesElement.textContent = notes;
+        notesElement.title = notes;
+        notesElement.style.cssText = `
+            margin-top: 4px;
+            font-size: 13px;
+            color: #555;
+            font-style: italic;
+            white-space: pre-wrap;
+            word-break: break-word;
+        `;
+        return notesElement;
+    }
+
+    /**
+     * Update the notes shown in the delivery status of a hidden order
+     * @param {string} orderId - Order ID
+     * @param {string} notes - New notes text, empty to remove the notes
+     * @returns {boolean} True if the order card was updated
+     */
+    updateDeliveryStatusNotes(orderId, notes) {
+        try {
+            const buttonInfo = this.injectedButtons.get(orderId);
+            if (!buttonInfo) {
+                log.warning(`No button info found for order ${orderId}`);
+                return false;
+            }
+
+            const tagsContainer = buttonInfo.orderCard.querySelector('.archizer-delivery-status-tags');
+            if (!tagsContainer) {
+                // Details are visible, notes will be rendered the next time they are hidden
+                return false;
+            }
+
+            const existingNotes = tagsContainer.querySelector('.archizer-delivery-status-notes');
+            if (!notes) {
+                if (existingNotes) {
+                    existingNotes.remove();
+                }
+            } else if (existingNotes) {
+                existingNotes.textContent = notes;
+                existingNotes.title = notes;
+            } else {
+                tagsContainer.appendChild(this.createDeliveryStatusNotes(notes));
+            }
+
+            log.info(`Updated notes in delivery status for order ${orderId}`);
+            return true;
+        } catch (error) {
+            log.error(`Error updating notes in delivery status for order ${orderId}:`, error);
+            return false;
+        }
+    }
+
     /**
      * Remove tags from the delivery status when showing details
      * @param {Element} orderCard - The order card element
@@ -1413,7 +1896,7 @@ export class DOMManipulator {
                     log.info(`🔍 About to call addTagsToDeliveryStatus with username: "${finalUsername}"`);
 
                     // Add tags and username to the delivery status
-                    this.addTagsToDeliveryStatus(leftColumn, tags, finalUsername);
+                    this.addTagsToDeliveryStatus(leftColumn, tags, finalUsername, tagData && tagData.notes);
                 }
             }
 
@@ -1503,6 +1986,11 @@ export class DOMManipulator {
      */
     showOrderDetailsById(orderId, orderType) {
         try {
+            // Archived orders only need their card put back in the list
+            if (orderType === 'order') {
+                return this.restoreArchivedOrderCard(orderId);
+            }
+
             const buttonInfo = this.injectedButtons.get(orderId);
             if (!buttonInfo) {
                 log.warning(`No button info found for order ${orderId}`);
@@ -1637,17 +2125,17 @@ export class DOMManipulator {
             // Remove from hidden state tracking
             this.hiddenOrders.delete(`${orderId}-details`);
 
-            // Remove from storage and sync to Google Sheets
-            if (this.storage) {
+            // Remove from the backend, which syncs to Google Sheets if it is the selected backend
+            if (this.backend) {
                 log.info(`🔧 Removing order ${orderId} from storage...`);
                 try {
-                    await this.storage.removeHiddenOrder(orderId, 'details');
+                    await this.backend.unhide(orderId, 'details');
                     log.info(`✅ Successfully removed order ${orderId} from storage`);
                 } catch (error) {
                     log.error(`❌ Error removing order ${orderId} from storage:`, error);
                 }
             } else {
-                log.warning(`⚠️ No storage manager available for order ${orderId}`);
+                log.warning(`⚠️ No storage backend available for order ${orderId}`);
             }
 
             // Reset the button info to ensure proper state for future hiding
@@ -1716,6 +2204,11 @@ export class DOMManipulator {
                 orderData.notes = tagData.notes;
             }
 
+            // Include who hid the order when it was not the user (e.g. an auto-archive rule)
+            if (tagData && tagData.performedBy) {
+                orderData.performedBy = tagData.performedBy;
+            }
+
             return orderData || { orderId };
 
         } catch (error) {
@@ -1836,6 +2329,10 @@ export class DOMManipulator {
                 totalInjectedButtons: this.injectedButtons.size
             });
 
+            if (this.bulkSelection) {
+                this.bulkSelection.attachCheckbox(orderCard, orderId);
+            }
+
             log.info(`✅ Successfully injected buttons for order ${orderId}`);
             return true;
 
@@ -1870,6 +2367,9 @@ export class DOMManipulator {
             }
 
             this.injectedButtons.delete(orderId);
+            if (this.bulkSelection) {
+                this.bulkSelection.detachCheckbox(orderId);
+            }
             log.info(`✅ Removed buttons for order ${orderId}`);
             return true;
 
@@ -2158,11 +2658,15 @@ export class DOMManipulator {
         log.info(`🔍 Trimmed text: "${trimmed}"`);
 
         // Reject common non-order ID text
+        const monthNames = getAllMonthNames().join('|');
         const rejectPatterns = [
             /^(Arriving|Delivered|Shipped|Ordered|Cancelled)/i,
-            /^(January|February|March|April|May|June|July|August|September|October|November|December)/i,
+            new RegExp(`^(${monthNames})(\\.|\\s|$)`, 'i'), // Month names for every storefront
+            new RegExp(`^\\d{1,2}\\.?\\s+(${monthNames})\\b`, 'i'), // Day-first dates (15 January, 15. Januar)
             /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)/i,
-            /^\d{1,2}\/\d{1,2}\/\d{4}$/, // Date format MM/DD/YYYY
+            /^\d{1,2}\/\d{1,2}\/\d{4}$/, // Date format MM/DD/YYYY or DD/MM/YYYY
+            /^\d{1,2}\.\d{1,2}\.\d{4}$/, // Date format DD.MM.YYYY
+            /^\d{4}年\d{1,2}月\d{1,2}日$/, // Japanese date format
             /^\d{1,2}\/\d{1,2}$/, // Date format MM/DD
             /^[A-Za-z\s]+$/ // Only letters and spaces (likely a description)
         ];
@@ -2227,6 +2731,8 @@ export class DOMManipulator {
         this.injectedButtons.clear();
         this.hiddenOrders.clear();
         this.orderUsernames.clear();
+        this.archivedOrders.clear();
+        this.updateArchivedOrdersPlaceholder();
 
         log.info('DOMManipulator: Cleanup completed');
     }
@@ -2332,6 +2838,13 @@ export class DOMManipulator {
                 }
             }
 
+            // Put archived (fully hidden) order cards back in the list
+            for (const orderId of Array.from(this.archivedOrders.keys())) {
+                if (this.restoreArchivedOrderCard(orderId)) {
+                    restoredCount++;
+                }
+            }
+
             // Now clear ALL stored data for any orders that might have data from previous sessions
             if (this.storage) {
                 try {
@@ -2340,10 +2853,11 @@ export class DOMManipulator {
                     // Get all Chrome storage data
                     const allData = await chrome.storage.local.get(null);
                     const keysToRemove = [];
+                    const namespace = await this.storage.getProfileNamespace();
 
-                    // Find all keys that contain order data
+                    // Find all keys that contain the active profile's order data
                     for (const key of Object.keys(allData)) {
-                        if (key.startsWith('amazon_archiver_hidden_order_')) {
+                        if (key.startsWith(`amazon_archiver_${namespace}hidden_order_`)) {
                             keysToRemove.push(key);
                         }
                     }
@@ -2389,20 +2903,20 @@ export class DOMManipulator {
 
     /**
      * Restore hidden orders from storage and hide them on the page
-     * @param {StorageManager} storage - The storage manager instance
+     * @param {StorageBackend} backend - The backend hidden orders are kept in
      * @returns {number} Number of orders successfully restored
      */
-    async restoreHiddenOrdersFromStorage(storage) {
+    async restoreHiddenOrdersFromStorage(backend) {
         try {
             log.info('🔄 Restoring hidden orders from storage...');
 
-            if (!storage) {
-                log.warning('No storage manager provided for restoration');
+            if (!backend) {
+                log.warning('No storage backend provided for restoration');
                 return 0;
             }
 
             // Get all hidden orders from storage
-            const hiddenOrders = await storage.getAllHiddenOrders();
+            const hiddenOrders = await backend.getHiddenOrders();
             log.info(`Found ${hiddenOrders.length} hidden orders in storage`);
 
             if (hiddenOrders.length === 0) {
@@ -2427,7 +2941,8 @@ export class DOMManipulator {
                     }
 
                     // Check if order is already hidden
-                    if (orderCard.classList.contains('archizer-details-hidden')) {
+                    const hiddenClass = type === 'order' ? 'archizer-order-hidden' : 'archizer-details-hidden';
+                    if (orderCard.classList.contains(hiddenClass)) {
                         log.info(`ℹ️ Order ${orderId} is already hidden, skipping restoration`);
                         continue;
                     }
@@ -2454,13 +2969,18 @@ export class DOMManipulator {
                     // Get stored tags for this order
                     let tagData = null;
                     try {
-                        tagData = await storage.getOrderTags(orderId);
+                        tagData = await backend.getTags(orderId);
                     } catch (error) {
                         log.warning(`⚠️ Could not retrieve tags for order ${orderId}:`, error);
                     }
 
-                    // Hide the order details - pass the order card directly and include username
-                    await this.performHideOrderDetailsWithCard(orderId, orderCard, tagData, username);
+                    if (type === 'order') {
+                        // Archive the entire order card
+                        this.performHideOrderWithCard(orderId, orderCard, tagData, username);
+                    } else {
+                        // Hide the order details - pass the order card directly and include username
+                        await this.performHideOrderDetailsWithCard(orderId, orderCard, tagData, username);
+                    }
 
                     restoredCount++;
                     log.info(`✅ Successfully restored hidden order ${orderId}`);
@@ -2548,6 +3068,15 @@ export class DOMManipulator {
      * @param {string} orderId - Order ID that was attempted to be opened
      */
     showDialogAlreadyOpenMessage(orderId) {
+        this.showPageMessage('Please close the existing tagging dialog before opening another one.');
+        log.info(`📢 Shown dialog already open message for order ${orderId}`);
+    }
+
+    /**
+     * Show a temporary warning message in the corner of the page
+     * @param {string} text - Message text
+     */
+    showPageMessage(text) {
         // Create a temporary message element
         const messageDiv = document.createElement('div');
         messageDiv.className = 'archizer-dialog-message';
@@ -2569,7 +3098,7 @@ export class DOMManipulator {
         messageDiv.innerHTML = `
             <div style="display: flex; align-items: center; gap: 8px;">
                 <span style="font-size: 16px;">⚠️</span>
-                <span>Please close the existing tagging dialog before opening another one.</span>
+                <span>${this.escapeHtml(text)}</span>
             </div>
         `;
 
@@ -2582,8 +3111,36 @@ export class DOMManipulator {
                 messageDiv.parentNode.removeChild(messageDiv);
             }
         }, 4000);
+    }
 
-        log.info(`📢 Shown dialog already open message for order ${orderId}`);
+    /**
+     * Put the page back after the backend failed to save a hide or unhide, and tell the user
+     * Nothing is written to the backend, so the page matches what was last saved. Details that
+     * failed to unhide cannot be hidden again without saving, so only the message is shown.
+     * @param {string} orderId - Order ID
+     * @param {string} type - Hidden type ('details' or 'order')
+     * @param {boolean} wasHide - True if the failed change was a hide
+     * @param {Object} orderData - Order data passed to the hide/show callback
+     * @returns {boolean} True if the page was put back
+     */
+    revertUnsavedChange(orderId, type, wasHide, orderData = null) {
+        let reverted = false;
+        try {
+            if (wasHide) {
+                reverted = type === 'order' ? this.restoreArchivedOrderCard(orderId) : this.showOrderDetailsById(orderId, type);
+            } else if (type === 'order') {
+                const orderCard = this.findOrderCardById(orderId);
+                const tagData = orderData && orderData.tags ? { tags: orderData.tags } : null;
+                reverted = !!orderCard && this.performHideOrderWithCard(orderId, orderCard, tagData);
+            }
+        } catch (error) {
+            log.error(`Error reverting unsaved change to order ${orderId}:`, error);
+        }
+
+        const change = wasHide ? 'hiding' : 'showing';
+        const outcome = reverted ? 'the change was undone' : `it will be ${wasHide ? 'shown' : 'hidden'} again when the page reloads`;
+        this.showPageMessage(`Could not save ${change} order ${orderId}, ${outcome}.`);
+        return reverted;
     }
 
     /**
@@ -2634,7 +3191,8 @@ export class DOMManipulator {
                     }
 
                     // Check if order is already hidden
-                    if (orderCard.classList.contains('archizer-details-hidden')) {
+                    const hiddenClass = orderData.type === 'order' ? 'archizer-order-hidden' : 'archizer-details-hidden';
+                    if (orderCard.classList.contains(hiddenClass)) {
                         log.info(`⚠️ Order ${orderId} is already hidden, skipping`);
                         continue;
                     }
@@ -2645,8 +3203,13 @@ export class DOMManipulator {
                         notes: orderData.notes || ''
                     };
 
-                    // Hide the order details
-                    this.performHideOrderDetailsWithCard(orderId, orderCard, tagData, orderData.hiddenBy);
+                    if (orderData.type === 'order') {
+                        // Archive the entire order card
+                        this.performHideOrderWithCard(orderId, orderCard, tagData, orderData.hiddenBy);
+                    } else {
+                        // Hide the order details
+                        this.performHideOrderDetailsWithCard(orderId, orderCard, tagData, orderData.hiddenBy);
+                    }
                     hiddenCount++;
 
                     log.info(`✅ Successfully hid order ${orderId}`);
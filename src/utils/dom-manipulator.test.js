@@ -499,6 +499,29 @@ describe('DOMManipulator', () => {
             expect(mockShowOrderDetails).toHaveBeenCalledWith(orderId, mockButton);
         });
 
+        test('should not unhide when the unhide guard stops it', async () => {
+            const orderId = '123-4567890-1234567';
+            const mockButton = { textContent: 'Show details' };
+            domManipulator.setUsernameForOrder(orderId, 'alex');
+            domManipulator.showOrderDetails = jest.fn();
+            domManipulator.showEntireOrder = jest.fn();
+            const guard = jest.fn().mockResolvedValue(false);
+            domManipulator.setUnhideGuard(guard);
+
+            await domManipulator.handleButtonClick('show-details', orderId, mockButton);
+            await domManipulator.handleButtonClick('show-order', orderId, mockButton);
+
+            expect(guard).toHaveBeenCalledWith(orderId, 'details', 'alex');
+            expect(guard).toHaveBeenCalledWith(orderId, 'order', 'alex');
+            expect(domManipulator.showOrderDetails).not.toHaveBeenCalled();
+            expect(domManipulator.showEntireOrder).not.toHaveBeenCalled();
+
+            guard.mockResolvedValue(true);
+            await domManipulator.handleButtonClick('show-details', orderId, mockButton);
+
+            expect(domManipulator.showOrderDetails).toHaveBeenCalledWith(orderId, mockButton);
+        });
+
         test('should show tagging dialog when hiding order details', () => {
             const orderId = '123-4567890-1234567';
             const mockButton = {
@@ -571,6 +594,40 @@ describe('DOMManipulator', () => {
             domManipulator.setStorage(mockStorage);
             expect(domManipulator.storage).toBe(mockStorage);
         });
+
+        test('should set storage backend', () => {
+            const mockBackend = { getHiddenOrders: jest.fn(), hide: jest.fn(), unhide: jest.fn() };
+            domManipulator.setBackend(mockBackend);
+            expect(domManipulator.backend).toBe(mockBackend);
+        });
+
+        test('should store and read order tags through the backend', async () => {
+            const tagData = { tags: ['gifts'], notes: '' };
+            const mockBackend = { setTags: jest.fn().mockResolvedValue(), getTags: jest.fn().mockResolvedValue(tagData) };
+            domManipulator.setBackend(mockBackend);
+
+            await domManipulator.storeOrderTags('111', tagData);
+
+            expect(mockBackend.setTags).toHaveBeenCalledWith('111', tagData);
+            expect(await domManipulator.getOrderTags('111')).toBe(tagData);
+        });
+
+        test('should unhide through the backend when no callback is set', async () => {
+            const mockBackend = { unhide: jest.fn().mockResolvedValue(null) };
+            domManipulator.setBackend(mockBackend);
+            domManipulator.onOrderShown = null;
+            jest.spyOn(domManipulator, 'restoreArchivedOrderCard').mockReturnValue(true);
+
+            await expect(domManipulator.showEntireOrder('111')).resolves.toBe(true);
+            expect(mockBackend.unhide).toHaveBeenCalledWith('111', 'order');
+        });
+
+        test('should restore hidden orders read from the backend', async () => {
+            const mockBackend = { getHiddenOrders: jest.fn().mockResolvedValue([]) };
+
+            await expect(domManipulator.restoreHiddenOrdersFromStorage(mockBackend)).resolves.toBe(0);
+            expect(mockBackend.getHiddenOrders).toHaveBeenCalled();
+        });
     });
 
     describe('Element Position Validation', () => {
@@ -850,6 +907,21 @@ describe('DOMManipulator', () => {
             const result = domManipulator.removeButtons(orderId);
             expect(result).toBeDefined();
         });
+
+        test('should remove the bulk selection checkbox with the buttons', () => {
+            const orderId = 'test-order-123';
+            const bulkSelection = { attachCheckbox: jest.fn(), detachCheckbox: jest.fn() };
+            domManipulator.setBulkSelection(bulkSelection);
+            domManipulator.injectedButtons.set(orderId, {
+                hideDetailsLi: { remove: jest.fn() },
+                orderCard: document.createElement('div')
+            });
+
+            const result = domManipulator.removeButtons(orderId);
+
+            expect(result).toBe(true);
+            expect(bulkSelection.detachCheckbox).toHaveBeenCalledWith(orderId);
+        });
     });
 
     describe('DOM Observation Processing', () => {
@@ -948,6 +1020,21 @@ describe('DOMManipulator', () => {
                 expect(result).toBe(false);
             });
         });
+
+        test('should reject localized dates from regional storefronts', () => {
+            const invalidOrderIds = [
+                '15 January 2025',
+                '3. März 2025',
+                'Dezember 2024',
+                '15.01.2025',
+                '2025年1月15日'
+            ];
+
+            invalidOrderIds.forEach(orderId => {
+                const result = domManipulator.isValidOrderId(orderId);
+                expect(result).toBe(false);
+            });
+        });
     });
 
     describe('Username Management', () => {
@@ -1002,6 +1089,52 @@ describe('DOMManipulator', () => {
             mockWarn.mockRestore();
             document.body.appendChild = originalAppendChild;
         });
+
+        test('should build the tag index from stored orders and tags', async () => {
+            domManipulator.setBackend({
+                getHiddenOrders: jest.fn().mockResolvedValue([
+                    { orderId: '111', orderData: { tags: ['gifts'] }, lastModified: '2024-01-01T00:00:00.000Z' }
+                ]),
+                getAllTags: jest.fn().mockResolvedValue([
+                    { orderId: '222', tagData: { tags: ['gifts', 'books'] }, timestamp: '2024-02-01T00:00:00.000Z' }
+                ])
+            });
+
+            expect(await domManipulator.getTagIndex()).toEqual([
+                { tag: 'gifts', count: 2, lastUsed: '2024-02-01T00:00:00.000Z' },
+                { tag: 'books', count: 1, lastUsed: '2024-02-01T00:00:00.000Z' }
+            ]);
+        });
+
+        test('should return an empty tag index without a backend', async () => {
+            domManipulator.backend = null;
+
+            expect(await domManipulator.getTagIndex()).toEqual([]);
+        });
+
+        test('should pass order items and the tag index to the tagging dialog', async () => {
+            const orderItems = [{ name: 'Birthday Candles' }];
+            domManipulator.setStorage({ get: jest.fn() });
+            domManipulator.setBackend({
+                getTags: jest.fn().mockResolvedValue(null),
+                getHiddenOrders: jest.fn().mockResolvedValue([]),
+                getAllTags: jest.fn().mockResolvedValue([
+                    { orderId: '222', tagData: { tags: ['birthday'] }, timestamp: '2024-02-01T00:00:00.000Z' }
+                ])
+            });
+            domManipulator.getOrderData = jest.fn().mockReturnValue({ orderNumber: '111', orderDate: 'January 1, 2024', orderItems });
+            window.taggingDialogManager = { openDialog: jest.fn().mockReturnValue(true) };
+            const button = { closest: jest.fn().mockReturnValue(mockOrderCard) };
+
+            await domManipulator.showTaggingDialogForHide('111', button, domManipulator.storage);
+
+            expect(window.taggingDialogManager.openDialog).toHaveBeenCalledWith(expect.objectContaining({
+                orderNumber: '111',
+                orderItems,
+                tagIndex: [{ tag: 'birthday', count: 1, lastUsed: '2024-02-01T00:00:00.000Z' }]
+            }), mockOrderCard);
+            delete window.taggingDialogManager;
+        });
     });
 
     describe('Button Removal', () => {
@@ -1260,6 +1393,75 @@ describe('DOMManipulator', () => {
             // Should not throw error
             expect(() => domManipulator.addTagsToDeliveryStatus(leftColumn, tags)).not.toThrow();
         });
+
+        test('should show notes beside the tags', () => {
+            const leftColumn = document.createElement('div');
+
+            domManipulator.addTagsToDeliveryStatus(leftColumn, ['gifts'], 'testuser', 'Birthday present');
+
+            const tagsContainer = leftColumn.appendChild.mock.calls[0][0];
+            const notesElement = tagsContainer.appendChild.mock.calls
+                .map(call => call[0])
+                .find(element => element.className === 'archizer-delivery-status-notes');
+            expect(notesElement.textContent).toBe('Birthday present');
+        });
+
+        test('should render tags in their configured colors', () => {
+            const leftColumn = document.createElement('div');
+            domManipulator.setTagColors({ gifts: '#003366' });
+
+            domManipulator.addTagsToDeliveryStatus(leftColumn, ['gifts', 'books'], null);
+
+            const tagsContainer = leftColumn.appendChild.mock.calls[0][0];
+            const tagsList = tagsContainer.appendChild.mock.calls
+                .map(call => call[0])
+                .find(element => element.className === 'archizer-tags-list');
+            const [giftsTag, booksTag] = tagsList.appendChild.mock.calls.map(call => call[0]);
+            expect(giftsTag.style.background).toBe('#003366');
+            expect(giftsTag.style.color).toBe('#ffffff');
+            expect(booksTag.style.background).toBeUndefined();
+        });
+
+        test('should show notes when there are no tags or username', () => {
+            const leftColumn = document.createElement('div');
+
+            domManipulator.addTagsToDeliveryStatus(leftColumn, [], null, 'Return by Friday');
+
+            expect(leftColumn.appendChild).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Update Notes in Delivery Status', () => {
+        test('should replace the notes shown on a hidden order', () => {
+            const notesElement = { textContent: 'Old note', remove: jest.fn() };
+            const tagsContainer = { querySelector: jest.fn().mockReturnValue(notesElement), appendChild: jest.fn() };
+            mockOrderCard.querySelector.mockReturnValue(tagsContainer);
+            domManipulator.injectedButtons.set('123-4567890-1234567', { orderCard: mockOrderCard });
+
+            expect(domManipulator.updateDeliveryStatusNotes('123-4567890-1234567', 'New note')).toBe(true);
+            expect(notesElement.textContent).toBe('New note');
+
+            domManipulator.updateDeliveryStatusNotes('123-4567890-1234567', '');
+            expect(notesElement.remove).toHaveBeenCalled();
+        });
+
+        test('should add notes to a hidden order without notes', () => {
+            const tagsContainer = { querySelector: jest.fn().mockReturnValue(null), appendChild: jest.fn() };
+            mockOrderCard.querySelector.mockReturnValue(tagsContainer);
+            domManipulator.injectedButtons.set('123-4567890-1234567', { orderCard: mockOrderCard });
+
+            domManipulator.updateDeliveryStatusNotes('123-4567890-1234567', 'New note');
+
+            expect(tagsContainer.appendChild.mock.calls[0][0].textContent).toBe('New note');
+        });
+
+        test('should skip orders whose details are visible', () => {
+            mockOrderCard.querySelector.mockReturnValue(null);
+            domManipulator.injectedButtons.set('123-4567890-1234567', { orderCard: mockOrderCard });
+
+            expect(domManipulator.updateDeliveryStatusNotes('123-4567890-1234567', 'New note')).toBe(false);
+            expect(domManipulator.updateDeliveryStatusNotes('unknown-order', 'New note')).toBe(false);
+        });
     });
 
     describe('Remove Tags from Delivery Status', () => {
@@ -1790,5 +1992,179 @@ describe('DOMManipulator', () => {
             expect(strategy.fallback).toBeNull();
         });
     });
-});
 
+    describe('Full Order Archiving', () => {
+        let mockStrip;
+        let mockLabel;
+        let mockToggle;
+
+        const createArchivableCard = () => {
+            const classes = new Set();
+            return {
+                style: { display: '' },
+                isConnected: true,
+                parentNode: { insertBefore: jest.fn() },
+                classList: {
+                    add: jest.fn((...names) => names.forEach(name => classes.add(name))),
+                    remove: jest.fn((...names) => names.forEach(name => classes.delete(name))),
+                    contains: jest.fn(name => classes.has(name))
+                },
+                setAttribute: jest.fn(),
+                getAttribute: jest.fn().mockReturnValue(''),
+                removeAttribute: jest.fn(),
+                querySelector: jest.fn().mockReturnValue(null),
+                compareDocumentPosition: jest.fn().mockReturnValue(0)
+            };
+        };
+
+        beforeEach(() => {
+            mockLabel = { textContent: '' };
+            mockToggle = { textContent: '' };
+            mockStrip = {
+                nextSibling: null,
+                remove: jest.fn(),
+                querySelector: jest.fn(selector =>
+                    selector === '.archizer-archived-strip-label' ? mockLabel : mockToggle
+                )
+            };
+            document.querySelector = jest.fn().mockReturnValue(null);
+            jest.spyOn(domManipulator, 'createArchivedOrdersPlaceholder').mockReturnValue(mockStrip);
+        });
+
+        test('should create an archive button next to hide details', () => {
+            const orderId = '123-4567890-1234567';
+            const buttons = domManipulator.createButtons(orderId);
+
+            expect(buttons.hideOrderBtn).toBeDefined();
+
+            const { createButton } = require('./dom-utils.js');
+            expect(createButton).toHaveBeenCalledWith('Archive order', expect.objectContaining({
+                attributes: {
+                    'data-archizer-type': 'hide-order',
+                    'data-archizer-order-id': orderId,
+                    'aria-label': `Archive order ${orderId}`
+                }
+            }));
+        });
+
+        test('should remove the whole card and show a placeholder strip', () => {
+            const orderCard = createArchivableCard();
+
+            const result = domManipulator.performHideOrderWithCard('123-4567890-1234567', orderCard, { tags: ['gift'] }, 'alice');
+
+            expect(result).toBe(true);
+            expect(orderCard.style.display).toBe('none');
+            expect(orderCard.classList.add).toHaveBeenCalledWith('archizer-order-hidden');
+            expect(domManipulator.isOrderArchived('123-4567890-1234567')).toBe(true);
+            expect(orderCard.parentNode.insertBefore).toHaveBeenCalledWith(mockStrip, orderCard);
+            expect(mockLabel.textContent).toBe('1 order archived');
+            expect(mockToggle.textContent).toBe('Show');
+        });
+
+        test('should count every archived order in the strip', () => {
+            domManipulator.performHideOrderWithCard('111-1111111-1111111', createArchivableCard());
+            document.querySelector = jest.fn().mockReturnValue(mockStrip);
+            domManipulator.performHideOrderWithCard('222-2222222-2222222', createArchivableCard());
+
+            expect(mockLabel.textContent).toBe('2 orders archived');
+        });
+
+        test('should not archive an order twice', () => {
+            const orderCard = createArchivableCard();
+            domManipulator.performHideOrderWithCard('123-4567890-1234567', orderCard);
+
+            expect(domManipulator.performHideOrderWithCard('123-4567890-1234567', orderCard)).toBe(false);
+        });
+
+        test('should expand and collapse archived cards', () => {
+            const orderCard = createArchivableCard();
+            domManipulator.performHideOrderWithCard('123-4567890-1234567', orderCard);
+            document.querySelector = jest.fn().mockReturnValue(mockStrip);
+
+            domManipulator.toggleArchivedOrders();
+            expect(orderCard.style.display).toBe('');
+            expect(orderCard.classList.add).toHaveBeenCalledWith('archizer-order-expanded');
+            expect(mockToggle.textContent).toBe('Collapse');
+
+            domManipulator.toggleArchivedOrders();
+            expect(orderCard.style.display).toBe('none');
+            expect(mockToggle.textContent).toBe('Show');
+        });
+
+        test('should restore archived card and remove the strip when none remain', () => {
+            const orderCard = createArchivableCard();
+            domManipulator.performHideOrderWithCard('123-4567890-1234567', orderCard);
+            document.querySelector = jest.fn().mockReturnValue(mockStrip);
+
+            const result = domManipulator.showOrderDetailsById('123-4567890-1234567', 'order');
+
+            expect(result).toBe(true);
+            expect(orderCard.style.display).toBe('');
+            expect(domManipulator.isOrderArchived('123-4567890-1234567')).toBe(false);
+            expect(mockStrip.remove).toHaveBeenCalled();
+        });
+
+        test('should put an archived card back when the hide could not be saved', () => {
+            const orderId = '123-4567890-1234567';
+            const orderCard = createArchivableCard();
+            const showPageMessage = jest.spyOn(domManipulator, 'showPageMessage').mockImplementation(() => { });
+            domManipulator.performHideOrderWithCard(orderId, orderCard);
+
+            expect(domManipulator.revertUnsavedChange(orderId, 'order', true)).toBe(true);
+
+            expect(orderCard.style.display).toBe('');
+            expect(domManipulator.isOrderArchived(orderId)).toBe(false);
+            expect(showPageMessage).toHaveBeenCalledWith(`Could not save hiding order ${orderId}, the change was undone.`);
+        });
+
+        test('should archive a card again when the unhide could not be saved', () => {
+            const orderId = '123-4567890-1234567';
+            const orderCard = createArchivableCard();
+            const showPageMessage = jest.spyOn(domManipulator, 'showPageMessage').mockImplementation(() => { });
+            jest.spyOn(domManipulator, 'findOrderCardById').mockReturnValue(orderCard);
+
+            expect(domManipulator.revertUnsavedChange(orderId, 'order', false, { orderId, tags: ['gift'] })).toBe(true);
+
+            expect(orderCard.style.display).toBe('none');
+            expect(domManipulator.archivedOrders.get(orderId).tags).toEqual(['gift']);
+            expect(showPageMessage).toHaveBeenCalledWith(`Could not save showing order ${orderId}, the change was undone.`);
+        });
+
+        test('should only warn when shown details could not be saved', () => {
+            const showPageMessage = jest.spyOn(domManipulator, 'showPageMessage').mockImplementation(() => { });
+
+            expect(domManipulator.revertUnsavedChange('123-4567890-1234567', 'details', false)).toBe(false);
+
+            expect(showPageMessage).toHaveBeenCalledWith(
+                'Could not save showing order 123-4567890-1234567, it will be hidden again when the page reloads.'
+            );
+        });
+
+        test('should notify callbacks with the order hide type', async () => {
+            const orderId = '123-4567890-1234567';
+            const orderCard = createArchivableCard();
+            const onHidden = jest.fn();
+            const onShown = jest.fn();
+            domManipulator.setCallbacks(onHidden, onShown);
+            jest.spyOn(domManipulator, 'extractOrderData').mockReturnValue({ orderId });
+            jest.spyOn(domManipulator, 'findOrderCardById').mockReturnValue(orderCard);
+            domManipulator.injectedButtons.set(orderId, { orderCard, hideDetailsBtn: {} });
+
+            await domManipulator.performHideOperation(orderId, { tags: ['gift'] }, 'alice', 'order');
+            expect(onHidden).toHaveBeenCalledWith(orderId, 'order', { orderId });
+
+            await domManipulator.showEntireOrder(orderId);
+            expect(onShown).toHaveBeenCalledWith(orderId, 'order', { orderId });
+        });
+
+        test('should open the tagging dialog when archive is clicked', async () => {
+            const hideSpy = jest.spyOn(domManipulator, 'hideEntireOrder').mockResolvedValue();
+            const mockStorage = { get: jest.fn() };
+            domManipulator.setStorage(mockStorage);
+
+            await domManipulator.handleButtonClick('hide-order', '123-4567890-1234567', {});
+
+            expect(hideSpy).toHaveBeenCalledWith('123-4567890-1234567', {}, mockStorage);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Google Identity
+ * Typed usernames drift ('sam', 'Sam', 'shawalli'), so with the 'username_source' config set
+ * to 'google' the username is the email of the profile's Google sign-in instead. The account
+ * is read from Google's userinfo endpoint:
+ * { sub: '1234', email: 'Sam.Hawalli@gmail.com', email_verified: true, name: 'Sam Hawalli' }
+ *
+ * and stored on the profile (see utils/profiles.js) next to the typed username, which comes
+ * back when the option is turned off:
+ * { id: 'sam', ..., username: 'sam', email: 'sam.hawalli@gmail.com', displayName: 'Sam Hawalli' }
+ *
+ * - manual: the username typed in Settings (default)
+ * - google: the Google account email, with its name recorded in the UserSettings sheet
+ */
+
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+export const USERNAME_SOURCES = ['manual', 'google'];
+
+export const DEFAULT_USERNAME_SOURCE = 'manual';
+
+/**
+ * Validate the username source (ConfigManager validator for 'username_source')
+ * @param {string} source - Username source
+ * @returns {Object} { valid, errors }
+ */
+export function validateUsernameSource(source) {
+    if (!USERNAME_SOURCES.includes(source)) {
+        return { valid: false, errors: [`username_source must be one of: ${USERNAME_SOURCES.join(', ')}`] };
+    }
+    return { valid: true, errors: [] };
+}
+
+/**
+ * Read the identity from a userinfo response
+ * @param {Object} userInfo - Response of Google's userinfo endpoint
+ * @returns {Object} { email, displayName }, the email lowercased
+ * @throws {Error} If the response has no verified email
+ */
+export function parseGoogleUserInfo(userInfo) {
+    const email = userInfo && typeof userInfo.email === 'string' ? userInfo.email.trim().toLowerCase() : '';
+    if (!email) {
+        throw new Error('The Google account did not share an email address');
+    }
+    if (userInfo.email_verified === false) {
+        throw new Error(`The email address of the Google account is not verified: ${email}`);
+    }
+
+    const name = typeof userInfo.name === 'string' ? userInfo.name.trim() : '';
+    return { email, displayName: name || email.split('@')[0] };
+}
+
+/**
+ * Get the username of a profile
+ * @param {Object} profile - Active profile
+ * @param {string} usernameSource - 'username_source' config
+ * @param {string} configUsername - 'username' config, used by the default profile
+ * @returns {string|null} The Google email when the source is 'google' and the profile has
+ *   discovered it, otherwise the profile's username (the 'username' config for the default profile)
+ */
+export function getProfileUsername(profile, usernameSource, configUsername) {
+    if (usernameSource === 'google' && profile && profile.email) {
+        return profile.email;
+    }
+    return (profile && profile.id !== DEFAULT_PROFILE_ID && profile.username) || configUsername || null;
+}
+
+/**
+ * Get the identity a user is recorded under in the UserSettings sheet
+ * The display name only belongs to the username when it is the profile's Google email
+ * @param {Object} profile - Active profile
+ * @param {string} username - Acting username
+ * @returns {Object} { username, displayName }
+ */
+export function getTeamIdentity(profile, username) {
+    const isGoogleEmail = !!(profile && profile.email && username) &&
+        profile.email.toLowerCase() === username.trim().toLowerCase();
+    return { username: username || null, displayName: isGoogleEmail ? profile.displayName || null : null };
+}
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for Google identity
+ * Tests the username source config and reading the Google account
+ */
+
+import {
+    DEFAULT_USERNAME_SOURCE,
+    validateUsernameSource,
+    parseGoogleUserInfo,
+    getProfileUsername,
+    getTeamIdentity
+} from './google-identity.js';
+
+describe('validateUsernameSource', () => {
+    it('should accept the known sources', () => {
+        expect(validateUsernameSource(DEFAULT_USERNAME_SOURCE)).toEqual({ valid: true, errors: [] });
+        expect(validateUsernameSource('google').valid).toBe(true);
+    });
+
+    it('should reject other values', () => {
+        expect(validateUsernameSource('email')).toEqual({ valid: false, errors: ['username_source must be one of: manual, google'] });
+    });
+});
+
+describe('parseGoogleUserInfo', () => {
+    it('should read the lowercased email and the account name', () => {
+        expect(parseGoogleUserInfo({ sub: '1', email: ' Sam.Hawalli@Gmail.com ', email_verified: true, name: 'Sam Hawalli' })).toEqual({
+            email: 'sam.hawalli@gmail.com',
+            displayName: 'Sam Hawalli'
+        });
+    });
+
+    it('should fall back to the start of the email without a name', () => {
+        expect(parseGoogleUserInfo({ email: 'jo@example.com' }).displayName).toBe('jo');
+    });
+
+    it('should refuse accounts without a verified email', () => {
+        expect(() => parseGoogleUserInfo({ sub: '1' })).toThrow('The Google account did not share an email address');
+        expect(() => parseGoogleUserInfo(null)).toThrow('did not share an email address');
+        expect(() => parseGoogleUserInfo({ email: 'jo@example.com', email_verified: false }))
+            .toThrow('The email address of the Google account is not verified: jo@example.com');
+    });
+});
+
+describe('getProfileUsername', () => {
+    const defaultProfile = { id: 'default', username: null, email: 'jo@example.com' };
+    const sam = { id: 'sam', username: 'sam', email: null };
+
+    it('should use the Google email when the source is google', () => {
+        expect(getProfileUsername(defaultProfile, 'google', 'jo')).toBe('jo@example.com');
+    });
+
+    it('should use the typed username otherwise', () => {
+        expect(getProfileUsername(defaultProfile, 'manual', 'jo')).toBe('jo');
+        expect(getProfileUsername(sam, 'google', 'jo')).toBe('sam');
+        expect(getProfileUsername({ ...sam, username: null }, 'manual', 'jo')).toBe('jo');
+        expect(getProfileUsername(defaultProfile, 'manual', null)).toBeNull();
+    });
+});
+
+describe('getTeamIdentity', () => {
+    const profile = { id: 'sam', email: 'sam@example.com', displayName: 'Sam Hawalli' };
+
+    it('should add the display name to the profile\'s Google email', () => {
+        expect(getTeamIdentity(profile, 'Sam@example.com')).toEqual({ username: 'Sam@example.com', displayName: 'Sam Hawalli' });
+    });
+
+    it('should not give a typed username the Google account name', () => {
+        expect(getTeamIdentity(profile, 'sam')).toEqual({ username: 'sam', displayName: null });
+        expect(getTeamIdentity({ id: 'default' }, null)).toEqual({ username: null, displayName: null });
+    });
+});
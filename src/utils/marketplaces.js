@@ -0,0 +1,326 @@
+/**
+ * Marketplace Registry
+ * Describes the Amazon storefronts Archizer supports and the locale details
+ * (URLs, date formats, currencies) needed to parse their order pages
+ */
+
+const ENGLISH_MONTHS = [
+    ['january', 'jan'],
+    ['february', 'feb'],
+    ['march', 'mar'],
+    ['april', 'apr'],
+    ['may'],
+    ['june', 'jun'],
+    ['july', 'jul'],
+    ['august', 'aug'],
+    ['september', 'sep', 'sept'],
+    ['october', 'oct'],
+    ['november', 'nov'],
+    ['december', 'dec']
+];
+
+const GERMAN_MONTHS = [
+    ['januar', 'jan'],
+    ['februar', 'feb'],
+    ['märz', 'mär', 'maerz'],
+    ['april', 'apr'],
+    ['mai'],
+    ['juni', 'jun'],
+    ['juli', 'jul'],
+    ['august', 'aug'],
+    ['september', 'sep', 'sept'],
+    ['oktober', 'okt'],
+    ['november', 'nov'],
+    ['dezember', 'dez']
+];
+
+// Order history paths are shared by every storefront
+const ORDER_HISTORY_PATHS = {
+    yourAccount: '/gp/your-account/order-history',
+    css: '/gp/css/order-history',
+    yourOrders: '/your-orders/orders'
+};
+
+export const DEFAULT_MARKETPLACE_ID = 'amazon.com';
+
+/**
+ * Supported storefronts keyed by marketplace ID (the registrable domain)
+ *
+ * - dateOrder: field order used for numeric dates such as 01/02/2025
+ * - currencySymbols: prefixes/suffixes that mark an amount in this currency
+ * - decimalSeparator: character separating the fractional part of an amount
+ * - totalLabels: localized labels that precede the order total
+ */
+export const MARKETPLACES = Object.freeze({
+    'amazon.com': {
+        id: 'amazon.com',
+        name: 'Amazon.com',
+        hostname: 'www.amazon.com',
+        locale: 'en-US',
+        currency: 'USD',
+        currencySymbols: ['US$', '$'],
+        decimalSeparator: '.',
+        dateOrder: 'MDY',
+        months: ENGLISH_MONTHS,
+        orderHistoryPaths: ORDER_HISTORY_PATHS,
+        totalLabels: ['Order Total', 'Grand Total', 'Total']
+    },
+    'amazon.co.uk': {
+        id: 'amazon.co.uk',
+        name: 'Amazon.co.uk',
+        hostname: 'www.amazon.co.uk',
+        locale: 'en-GB',
+        currency: 'GBP',
+        currencySymbols: ['£'],
+        decimalSeparator: '.',
+        dateOrder: 'DMY',
+        months: ENGLISH_MONTHS,
+        orderHistoryPaths: ORDER_HISTORY_PATHS,
+        totalLabels: ['Order Total', 'Grand Total', 'Total']
+    },
+    'amazon.de': {
+        id: 'amazon.de',
+        name: 'Amazon.de',
+        hostname: 'www.amazon.de',
+        locale: 'de-DE',
+        currency: 'EUR',
+        currencySymbols: ['EUR', '€'],
+        decimalSeparator: ',',
+        dateOrder: 'DMY',
+        months: GERMAN_MONTHS,
+        orderHistoryPaths: ORDER_HISTORY_PATHS,
+        totalLabels: ['Gesamtbetrag', 'Gesamtsumme', 'Summe', 'Gesamt']
+    },
+    'amazon.ca': {
+        id: 'amazon.ca',
+        name: 'Amazon.ca',
+        hostname: 'www.amazon.ca',
+        locale: 'en-CA',
+        currency: 'CAD',
+        currencySymbols: ['CA$', 'CDN$', 'C$', '$'],
+        decimalSeparator: '.',
+        dateOrder: 'DMY',
+        months: ENGLISH_MONTHS,
+        orderHistoryPaths: ORDER_HISTORY_PATHS,
+        totalLabels: ['Order Total', 'Grand Total', 'Total']
+    },
+    'amazon.co.jp': {
+        id: 'amazon.co.jp',
+        name: 'Amazon.co.jp',
+        hostname: 'www.amazon.co.jp',
+        locale: 'ja-JP',
+        currency: 'JPY',
+        currencySymbols: ['￥', '¥', '円'],
+        decimalSeparator: null,
+        dateOrder: 'YMD',
+        months: [],
+        orderHistoryPaths: ORDER_HISTORY_PATHS,
+        totalLabels: ['注文の合計', '合計']
+    }
+});
+
+/**
+ * Get a marketplace by ID
+ * @param {string} marketplaceId - Marketplace ID (e.g. 'amazon.de')
+ * @returns {Object|null} Marketplace definition or null if unknown
+ */
+export function getMarketplace(marketplaceId) {
+    return MARKETPLACES[marketplaceId] || null;
+}
+
+/**
+ * Get all registered marketplaces
+ * @returns {Array<Object>} Marketplace definitions
+ */
+export function getAllMarketplaces() {
+    return Object.values(MARKETPLACES);
+}
+
+/**
+ * Resolve the marketplace that serves a given URL
+ * @param {string} url - Page URL
+ * @returns {Object|null} Marketplace definition or null if the host is not a supported storefront
+ */
+export function getMarketplaceForUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+
+    return getAllMarketplaces().find(marketplace =>
+        hostname === marketplace.id || hostname.endsWith(`.${marketplace.id}`)
+    ) || null;
+}
+
+/**
+ * Resolve the marketplace of the current page, falling back to amazon.com
+ * @returns {Object} Marketplace definition
+ */
+export function getCurrentMarketplace() {
+    const url = typeof window !== 'undefined' && window.location ? window.location.href : '';
+    return getMarketplaceForUrl(url) || MARKETPLACES[DEFAULT_MARKETPLACE_ID];
+}
+
+/**
+ * Build the match patterns used by the manifest for content scripts and host permissions
+ * @returns {Array<string>} Match patterns such as 'https://www.amazon.de/*'
+ */
+export function getMarketplaceMatchPatterns() {
+    return getAllMarketplaces().map(marketplace => `https://${marketplace.hostname}/*`);
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get every localized month name across all marketplaces
+ * @returns {Array<string>} Lower-case month names and abbreviations
+ */
+export function getAllMonthNames() {
+    const names = new Set();
+    for (const marketplace of getAllMarketplaces()) {
+        marketplace.months.forEach(aliases => aliases.forEach(alias => names.add(alias)));
+    }
+    return Array.from(names);
+}
+
+function lookupMonth(name, marketplace) {
+    const normalized = name.toLowerCase().replace(/\.$/, '');
+    const index = marketplace.months.findIndex(aliases => aliases.includes(normalized));
+    return index === -1 ? null : index + 1;
+}
+
+function formatIsoDate(year, month, day) {
+    const y = Number(year);
+    const m = Number(month);
+    const d = Number(day);
+    if (!y || m < 1 || m > 12 || d < 1 || d > 31) {
+        return null;
+    }
+    return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a localized date into YYYY-MM-DD
+ * Supports "January 15, 2025", "15 January 2025", "15. Januar 2025",
+ * "2025年1月15日", ISO dates and numeric dates in the marketplace's field order
+ * @param {string} text - Text containing a date
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {string|null} ISO date or null if no date was found
+ */
+export function parseMarketplaceDate(text, marketplace = MARKETPLACES[DEFAULT_MARKETPLACE_ID]) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (match) {
+        return formatIsoDate(match[1], match[2], match[3]);
+    }
+
+    match = text.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+    if (match) {
+        return formatIsoDate(match[1], match[2], match[3]);
+    }
+
+    if (marketplace.months.length > 0) {
+        const names = marketplace.months.flat()
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+
+        // Month first: "January 15, 2025"
+        match = text.match(new RegExp(`(?:^|[^\\p{L}])(${names})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'iu'));
+        if (match) {
+            return formatIsoDate(match[3], lookupMonth(match[1], marketplace), match[2]);
+        }
+
+        // Day first: "15 January 2025", "15. Januar 2025"
+        match = text.match(new RegExp(`\\b(\\d{1,2})\\.?\\s+(${names})\\.?,?\\s+(\\d{4})`, 'iu'));
+        if (match) {
+            return formatIsoDate(match[3], lookupMonth(match[2], marketplace), match[1]);
+        }
+    }
+
+    match = text.match(/\b(\d{1,4})[/.](\d{1,2})[/.](\d{1,4})\b/);
+    if (match) {
+        const [, first, second, third] = match;
+        if (first.length === 4) {
+            return formatIsoDate(first, second, third);
+        }
+        if (third.length === 4) {
+            return marketplace.dateOrder === 'MDY'
+                ? formatIsoDate(third, first, second)
+                : formatIsoDate(third, second, first);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build a regular expression that matches an amount in the marketplace currency
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {RegExp} Pattern matching e.g. "$1,234.56", "1.234,56 €" or "￥2,980"
+ */
+export function getPricePattern(marketplace = MARKETPLACES[DEFAULT_MARKETPLACE_ID]) {
+    const number = marketplace.decimalSeparator === ','
+        ? '\\d[\\d.]*(?:,\\d{1,2})?'
+        : marketplace.decimalSeparator === '.'
+            ? '\\d[\\d,]*(?:\\.\\d{1,2})?'
+            : '\\d[\\d,]*';
+    const prefixes = marketplace.currencySymbols.filter(symbol => symbol !== '円').map(escapeRegExp).join('|');
+    const suffixes = marketplace.currencySymbols.filter(symbol => ['€', 'EUR', '円'].includes(symbol)).map(escapeRegExp).join('|');
+
+    const alternatives = [`(?:${prefixes})\\s?${number}`];
+    if (suffixes) {
+        alternatives.push(`${number}\\s?(?:${suffixes})`);
+    }
+    return new RegExp(`(?:${alternatives.join('|')})`);
+}
+
+/**
+ * Find the first amount in the marketplace currency within some text
+ * @param {string} text - Text to search
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {string|null} Matched amount as displayed on the page
+ */
+export function findPrice(text, marketplace = MARKETPLACES[DEFAULT_MARKETPLACE_ID]) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+    const match = text.match(getPricePattern(marketplace));
+    return match ? match[0].trim() : null;
+}
+
+/**
+ * Convert a displayed amount into a number
+ * @param {string} text - Amount such as "£1,234.56" or "1.234,56 €"
+ * @param {Object} marketplace - Marketplace definition used to interpret separators
+ * @returns {number|null} Numeric amount or null if unparseable
+ */
+export function parsePriceAmount(text, marketplace = MARKETPLACES[DEFAULT_MARKETPLACE_ID]) {
+    if (text === null || text === undefined) {
+        return null;
+    }
+    if (typeof text === 'number') {
+        return Number.isFinite(text) ? text : null;
+    }
+
+    let digits = String(text).replace(/[^\d.,-]/g, '');
+    if (!digits) {
+        return null;
+    }
+
+    if (marketplace.decimalSeparator === ',') {
+        digits = digits.replace(/\./g, '').replace(',', '.');
+    } else {
+        digits = digits.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(digits);
+    return Number.isNaN(amount) ? null : amount;
+}
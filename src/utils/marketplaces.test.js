@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the marketplace registry
+ */
+
+import {
+    MARKETPLACES,
+    DEFAULT_MARKETPLACE_ID,
+    getMarketplace,
+    getAllMarketplaces,
+    getMarketplaceForUrl,
+    getCurrentMarketplace,
+    getMarketplaceMatchPatterns,
+    getAllMonthNames,
+    parseMarketplaceDate,
+    findPrice,
+    parsePriceAmount
+} from './marketplaces.js';
+import manifest from '../../manifest.json';
+
+const { transformManifest } = require('../../scripts/build-manifest.js');
+
+describe('Marketplace Registry', () => {
+    describe('Registry contents', () => {
+        test('should register every supported storefront', () => {
+            expect(Object.keys(MARKETPLACES)).toEqual([
+                'amazon.com',
+                'amazon.co.uk',
+                'amazon.de',
+                'amazon.ca',
+                'amazon.co.jp'
+            ]);
+        });
+
+        test('should default to amazon.com', () => {
+            expect(DEFAULT_MARKETPLACE_ID).toBe('amazon.com');
+            expect(getMarketplace(DEFAULT_MARKETPLACE_ID).currency).toBe('USD');
+        });
+
+        test('should return null for unknown marketplaces', () => {
+            expect(getMarketplace('amazon.fr')).toBeNull();
+        });
+
+        test('should include localized month names', () => {
+            const monthNames = getAllMonthNames();
+            expect(monthNames).toContain('january');
+            expect(monthNames).toContain('märz');
+            expect(monthNames).toContain('dezember');
+        });
+    });
+
+    describe('Manifest', () => {
+        // The build fills the storefronts into manifest.json, see scripts/build-manifest.js
+        const builtManifest = JSON.parse(transformManifest(Buffer.from(JSON.stringify(manifest))));
+
+        test('should inject content scripts on every storefront', () => {
+            const patterns = getMarketplaceMatchPatterns();
+
+            builtManifest.content_scripts.forEach(contentScript => {
+                expect(contentScript.matches).toEqual(patterns);
+            });
+            builtManifest.web_accessible_resources.forEach(resource => {
+                expect(resource.matches).toEqual(patterns);
+            });
+        });
+
+        test('should request host permissions for every storefront', () => {
+            expect(builtManifest.host_permissions).toEqual([...getMarketplaceMatchPatterns(), ...manifest.host_permissions]);
+        });
+
+        test('should list storefronts only in the marketplace registry', () => {
+            expect(JSON.stringify(manifest)).not.toContain('amazon.');
+        });
+    });
+
+    describe('URL detection', () => {
+        test('should resolve storefronts from URLs', () => {
+            expect(getMarketplaceForUrl('https://www.amazon.com/gp/css/order-history').id).toBe('amazon.com');
+            expect(getMarketplaceForUrl('https://www.amazon.co.uk/your-orders/orders').id).toBe('amazon.co.uk');
+            expect(getMarketplaceForUrl('https://www.amazon.de/gp/your-account/order-history').id).toBe('amazon.de');
+            expect(getMarketplaceForUrl('https://www.amazon.ca/gp/css/order-history').id).toBe('amazon.ca');
+            expect(getMarketplaceForUrl('https://www.amazon.co.jp/gp/css/order-history').id).toBe('amazon.co.jp');
+        });
+
+        test('should not confuse similar domains', () => {
+            expect(getMarketplaceForUrl('https://www.amazon.com.au/gp/css/order-history')).toBeNull();
+            expect(getMarketplaceForUrl('https://notamazon.de/')).toBeNull();
+        });
+
+        test('should return null for invalid URLs', () => {
+            expect(getMarketplaceForUrl('')).toBeNull();
+            expect(getMarketplaceForUrl('not a url')).toBeNull();
+        });
+
+        test('should fall back to amazon.com for the current page', () => {
+            // jsdom runs on localhost, which is not a registered storefront
+            expect(getCurrentMarketplace().id).toBe('amazon.com');
+        });
+    });
+
+    describe('Date parsing', () => {
+        test('should parse US dates', () => {
+            expect(parseMarketplaceDate('Ordered on January 15, 2025', MARKETPLACES['amazon.com'])).toBe('2025-01-15');
+            expect(parseMarketplaceDate('01/02/2025', MARKETPLACES['amazon.com'])).toBe('2025-01-02');
+        });
+
+        test('should parse UK dates', () => {
+            expect(parseMarketplaceDate('Order placed 15 January 2025', MARKETPLACES['amazon.co.uk'])).toBe('2025-01-15');
+            expect(parseMarketplaceDate('01/02/2025', MARKETPLACES['amazon.co.uk'])).toBe('2025-02-01');
+        });
+
+        test('should parse German dates', () => {
+            expect(parseMarketplaceDate('Bestellung aufgegeben 3. März 2025', MARKETPLACES['amazon.de'])).toBe('2025-03-03');
+            expect(parseMarketplaceDate('Bestellt am 15. Dezember 2024', MARKETPLACES['amazon.de'])).toBe('2024-12-15');
+            expect(parseMarketplaceDate('15.01.2025', MARKETPLACES['amazon.de'])).toBe('2025-01-15');
+        });
+
+        test('should parse Canadian dates', () => {
+            expect(parseMarketplaceDate('Order placed January 15, 2025', MARKETPLACES['amazon.ca'])).toBe('2025-01-15');
+        });
+
+        test('should parse Japanese dates', () => {
+            expect(parseMarketplaceDate('注文日 2025年1月15日', MARKETPLACES['amazon.co.jp'])).toBe('2025-01-15');
+            expect(parseMarketplaceDate('2025/01/15', MARKETPLACES['amazon.co.jp'])).toBe('2025-01-15');
+        });
+
+        test('should parse ISO dates on every storefront', () => {
+            getAllMarketplaces().forEach(marketplace => {
+                expect(parseMarketplaceDate('2025-01-15', marketplace)).toBe('2025-01-15');
+            });
+        });
+
+        test('should return null when no date is present', () => {
+            expect(parseMarketplaceDate('No date here', MARKETPLACES['amazon.com'])).toBeNull();
+            expect(parseMarketplaceDate(null, MARKETPLACES['amazon.com'])).toBeNull();
+        });
+    });
+
+    describe('Currency handling', () => {
+        test('should find amounts in each storefront currency', () => {
+            expect(findPrice('Total $1,234.56', MARKETPLACES['amazon.com'])).toBe('$1,234.56');
+            expect(findPrice('Total £29.99', MARKETPLACES['amazon.co.uk'])).toBe('£29.99');
+            expect(findPrice('Summe 1.234,56 €', MARKETPLACES['amazon.de'])).toBe('1.234,56 €');
+            expect(findPrice('Summe EUR 29,99', MARKETPLACES['amazon.de'])).toBe('EUR 29,99');
+            expect(findPrice('Total CA$45.00', MARKETPLACES['amazon.ca'])).toBe('CA$45.00');
+            expect(findPrice('合計 ￥2,980', MARKETPLACES['amazon.co.jp'])).toBe('￥2,980');
+            expect(findPrice('合計 2,980円', MARKETPLACES['amazon.co.jp'])).toBe('2,980円');
+        });
+
+        test('should not match amounts in a different currency', () => {
+            expect(findPrice('Total $29.99', MARKETPLACES['amazon.co.uk'])).toBeNull();
+        });
+
+        test('should parse amounts using storefront separators', () => {
+            expect(parsePriceAmount('$1,234.56', MARKETPLACES['amazon.com'])).toBe(1234.56);
+            expect(parsePriceAmount('1.234,56 €', MARKETPLACES['amazon.de'])).toBe(1234.56);
+            expect(parsePriceAmount('￥2,980', MARKETPLACES['amazon.co.jp'])).toBe(2980);
+            expect(parsePriceAmount('N/A', MARKETPLACES['amazon.com'])).toBeNull();
+        });
+    });
+});
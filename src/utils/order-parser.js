@@ -3,6 +3,15 @@
  * Handles parsing of Amazon order data from different page formats
  */
 
+import {
+    MARKETPLACES,
+    DEFAULT_MARKETPLACE_ID,
+    getCurrentMarketplace,
+    getMarketplaceForUrl,
+    parseMarketplaceDate,
+    getPricePattern
+} from './marketplaces.js';
+
 export class OrderParser {
     constructor() {
         // Selectors for different page formats
@@ -57,16 +66,29 @@ export class OrderParser {
     detectPageFormat() {
         const url = window.location.href;
 
-        if (url.includes('/gp/your-account/order-history')) {
-            return 'yourAccount';
-        } else if (url.includes('/gp/css/order-history')) {
-            return 'css';
-        } else if (url.includes('/your-orders/orders')) {
-            return 'yourOrders';
+        // Only registered storefronts are supported
+        const marketplace = getMarketplaceForUrl(url);
+        if (!marketplace) {
+            return 'unknown';
+        }
+
+        const { pathname } = new URL(url);
+        for (const [format, path] of Object.entries(marketplace.orderHistoryPaths)) {
+            if (pathname.includes(path)) {
+                return format;
+            }
         }
         return 'unknown';
     }
 
+    /**
+     * Get the marketplace (storefront) of the current page
+     * @returns {Object} Marketplace definition, defaulting to amazon.com
+     */
+    getMarketplace() {
+        return getCurrentMarketplace();
+    }
+
     /**
      * Get the appropriate selectors for the current page format
      * @returns {Object} Selectors for the current page format
@@ -362,7 +384,8 @@ export class OrderParser {
                 orderStatus,
                 orderItems,
                 element: orderCard,
-                format: this.detectPageFormat()
+                format: this.detectPageFormat(),
+                marketplace: this.getMarketplace().id
             };
         } catch (error) {
             console.error('Error parsing order card:', error);
@@ -459,63 +482,25 @@ export class OrderParser {
      */
     extractOrderDate(orderCard, selectors) {
         try {
-            // Look for date patterns in the order card
-            const datePatterns = [
-                /\b(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/i,
-                /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},?\s+\d{4}\b/i,
-                /\b\d{1,2}\/\d{1,2}\/\d{4}\b/,
-                /\b\d{4}-\d{2}-\d{2}\b/,
-                /\b(?:Ordered|Delivered|Shipped)\s+on\s+([^,\n]+)/i
-            ];
-
-            for (const pattern of datePatterns) {
-                const match = orderCard.textContent.match(pattern);
-                if (match) {
-                    let dateStr = match[0];
-
-                    // Clean up the date string
-                    if (match[1]) {
-                        dateStr = match[1].trim();
-                    }
-
-                    // Handle month names more carefully
-                    if (/[A-Za-z]+\s+\d{1,2},?\s+\d{4}/.test(dateStr)) {
-                        // Convert month names to numbers for better parsing
-                        const monthMap = {
-                            'january': '01', 'february': '02', 'march': '03', 'april': '04',
-                            'may': '05', 'june': '06', 'july': '07', 'august': '08',
-                            'september': '09', 'october': '10', 'november': '11', 'december': '12'
-                        };
-
-                        const parts = dateStr.toLowerCase().replace(',', '').split(/\s+/);
-                        if (parts.length === 3) {
-                            const month = monthMap[parts[0]];
-                            const day = parts[1].padStart(2, '0');
-                            const year = parts[2];
-
-                            if (month && day && year) {
-                                return `${year}-${month}-${day}`;
-                            }
-                        }
-                    }
-
-                    // Try to parse and format the date
-                    const parsedDate = new Date(dateStr);
-                    if (!isNaN(parsedDate.getTime())) {
-                        return parsedDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-                    }
+            // Parse dates using the storefront's locale, falling back to amazon.com
+            // for English-language pages on non-US storefronts
+            const marketplace = this.getMarketplace();
+            const fallback = MARKETPLACES[DEFAULT_MARKETPLACE_ID];
+            const locales = marketplace.id === fallback.id ? [marketplace] : [marketplace, fallback];
+
+            for (const locale of locales) {
+                const orderDate = parseMarketplaceDate(orderCard.textContent, locale);
+                if (orderDate) {
+                    return orderDate;
                 }
             }
 
             // Look for date in specific elements
             const dateElements = orderCard.querySelectorAll('[class*="date"], [class*="Date"]');
             for (const element of dateElements) {
-                const dateMatch = element.textContent.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/);
-                if (dateMatch) {
-                    const parsedDate = new Date(dateMatch[0]);
-                    if (!isNaN(parsedDate.getTime())) {
-                        return parsedDate.toISOString().split('T')[0];
-                    }
+                const orderDate = parseMarketplaceDate(element.textContent, marketplace);
+                if (orderDate) {
+                    return orderDate;
                 }
             }
 
@@ -536,22 +521,19 @@ export class OrderParser {
      */
     extractOrderTotal(orderCard, selectors) {
         try {
-            // Enhanced currency patterns for Amazon's various formats
+            // Currency patterns for the current storefront ($, £, €, ¥, CA$)
+            const marketplace = this.getMarketplace();
+            const pricePattern = getPricePattern(marketplace);
+            const price = pricePattern.source;
+            const labels = [
+                ...marketplace.totalLabels,
+                'Subtotal', 'Amount', 'Price', 'Cost', 'Paid', 'Charged'
+            ];
             const currencyPatterns = [
-                /\$\d+\.\d{2}/,  // $XX.XX format
-                /\$\d+,\d{3}\.\d{2}/,  // $X,XXX.XX format
-                /\$\d+,\d{3}/,  // $X,XXX format
-                /\$\d+/,  // $XX format
-                /Total[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Order Total[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Subtotal[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Grand Total[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Amount[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Price[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Cost[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Paid[:\s]*(\$[\d,]+\.?\d*)/i,
-                /Charged[:\s]*(\$[\d,]+\.?\d*)/i
+                ...labels.map(label => new RegExp(`${label}[:：\\s]*(${price})`, 'i')),
+                pricePattern
             ];
+            const fullPricePattern = new RegExp(`^${price}$`);
 
             // First, try to find total in specific Amazon order elements
             const amazonTotalSelectors = [
@@ -577,7 +559,7 @@ export class OrderParser {
                 const elements = orderCard.querySelectorAll(selector);
                 for (const element of elements) {
                     const text = element.textContent.trim();
-                    const totalMatch = text.match(/\$[\d,]+\.?\d*/);
+                    const totalMatch = text.match(pricePattern);
                     if (totalMatch) {
                         console.log(`🔍 Found order total in ${selector}: ${totalMatch[0]}`);
                         return totalMatch[0];
@@ -589,7 +571,7 @@ export class OrderParser {
             const priceElements = orderCard.querySelectorAll('[class*="total"], [class*="Total"], [class*="price"], [class*="Price"], [class*="amount"], [class*="Amount"], [class*="cost"], [class*="Cost"]');
             for (const element of priceElements) {
                 const text = element.textContent.trim();
-                const totalMatch = text.match(/\$[\d,]+\.?\d*/);
+                const totalMatch = text.match(pricePattern);
                 if (totalMatch) {
                     console.log(`🔍 Found order total in price element: ${totalMatch[0]}`);
                     return totalMatch[0];
@@ -609,7 +591,7 @@ export class OrderParser {
                     total = total.trim();
 
                     // Validate it's a proper currency format
-                    if (/^\$[\d,]+\.?\d*$/.test(total)) {
+                    if (fullPricePattern.test(total)) {
                         console.log(`🔍 Found order total with pattern: ${total}`);
                         return total;
                     }
@@ -637,7 +619,7 @@ export class OrderParser {
                                 total = match[1];
                             }
                             total = total.trim();
-                            if (/^\$[\d,]+\.?\d*$/.test(total)) {
+                            if (fullPricePattern.test(total)) {
                                 console.log(`🔍 Found order total in ${selector}: ${total}`);
                                 return total;
                             }
@@ -805,15 +787,16 @@ export class OrderParser {
             }
 
             // Extract item price
+            const pricePattern = getPricePattern(this.getMarketplace());
             const priceElement = itemElement.querySelector('[class*="price"], [class*="Price"], [class*="cost"], [class*="Cost"]');
             if (priceElement) {
-                const priceMatch = priceElement.textContent.match(/\$[\d,]+\.?\d*/);
+                const priceMatch = priceElement.textContent.match(pricePattern);
                 if (priceMatch) {
                     item.price = priceMatch[0];
                 }
             } else {
                 // Look for price in the item element
-                const priceMatch = itemElement.textContent.match(/\$[\d,]+\.?\d*/);
+                const priceMatch = itemElement.textContent.match(pricePattern);
                 if (priceMatch) {
                     item.price = priceMatch[0];
                 }
@@ -3,6 +3,7 @@
  */
 
 import { OrderParser } from './order-parser.js';
+import { MARKETPLACES } from './marketplaces.js';
 
 // Mock data for testing
 const mockData = {
@@ -699,6 +700,83 @@ describe('OrderParser', () => {
         });
     });
 
+    describe('Regional Storefronts', () => {
+        const useMarketplace = (marketplaceId) => {
+            jest.spyOn(orderParser, 'getMarketplace').mockReturnValue(MARKETPLACES[marketplaceId]);
+        };
+
+        test('should default to amazon.com outside a registered storefront', () => {
+            expect(orderParser.getMarketplace().id).toBe('amazon.com');
+        });
+
+        test('should not detect order pages on unregistered hosts', () => {
+            window.history.pushState({}, '', '/gp/css/order-history');
+            expect(orderParser.detectPageFormat()).toBe('unknown');
+            window.history.pushState({}, '', '/');
+        });
+
+        test('should extract UK order date and total', () => {
+            useMarketplace('amazon.co.uk');
+            const mockCard = {
+                textContent: 'Order placed 15 January 2025 Total £29.99',
+                querySelectorAll: jest.fn().mockReturnValue([])
+            };
+
+            expect(orderParser.extractOrderDate(mockCard, orderParser.selectors.yourAccount)).toBe('2025-01-15');
+            expect(orderParser.extractOrderTotal(mockCard, orderParser.selectors.yourAccount)).toBe('£29.99');
+        });
+
+        test('should extract German order date and total', () => {
+            useMarketplace('amazon.de');
+            const mockCard = {
+                textContent: 'Bestellung aufgegeben 3. März 2025 Summe 1.234,56 €',
+                querySelectorAll: jest.fn().mockReturnValue([])
+            };
+
+            expect(orderParser.extractOrderDate(mockCard, orderParser.selectors.yourAccount)).toBe('2025-03-03');
+            expect(orderParser.extractOrderTotal(mockCard, orderParser.selectors.yourAccount)).toBe('1.234,56 €');
+        });
+
+        test('should fall back to English dates on non-US storefronts', () => {
+            useMarketplace('amazon.de');
+            const mockCard = {
+                textContent: 'Order placed March 3, 2025',
+                querySelectorAll: jest.fn().mockReturnValue([])
+            };
+
+            expect(orderParser.extractOrderDate(mockCard, orderParser.selectors.yourAccount)).toBe('2025-03-03');
+        });
+
+        test('should extract Canadian order total', () => {
+            useMarketplace('amazon.ca');
+            const mockCard = {
+                textContent: 'Order placed January 15, 2025 Total CA$45.00',
+                querySelectorAll: jest.fn().mockReturnValue([])
+            };
+
+            expect(orderParser.extractOrderTotal(mockCard, orderParser.selectors.yourAccount)).toBe('CA$45.00');
+        });
+
+        test('should extract Japanese order date and total', () => {
+            useMarketplace('amazon.co.jp');
+            const mockCard = {
+                textContent: '注文日 2025年1月15日 合計 ￥2,980',
+                querySelectorAll: jest.fn().mockReturnValue([])
+            };
+
+            expect(orderParser.extractOrderDate(mockCard, orderParser.selectors.yourAccount)).toBe('2025-01-15');
+            expect(orderParser.extractOrderTotal(mockCard, orderParser.selectors.yourAccount)).toBe('￥2,980');
+        });
+
+        test('should record the marketplace on parsed orders', () => {
+            useMarketplace('amazon.co.uk');
+            jest.spyOn(orderParser, 'detectPageFormat').mockReturnValue('yourOrders');
+
+            const orderData = orderParser.parseOrderCard(mockOrderCard);
+            expect(orderData.marketplace).toBe('amazon.co.uk');
+        });
+    });
+
     describe('Item Details Extraction', () => {
         test('should extract item details from item element', () => {
             const mockItemElement = {
@@ -0,0 +1,488 @@
+/**
+ * Order Search
+ * Parses and evaluates the popup's free-text search over hidden orders,
+ * and sorts and date-filters the popup's hidden orders list.
+ *
+ * Bare words (or "quoted phrases") must each appear in the order ID, an item name,
+ * the notes, a tag or the total. Operators narrow the search further:
+ *   tag:gifts        order has the tag or one of its children (gifts/birthday)
+ *   user:alice       hidden by the user
+ *   item:cable       an item name contains the text
+ *   note:return      the notes contain the text
+ *   id:114-          the order ID contains the text
+ *   type:order       hide type (details or order)
+ *   before:2024-01-01 / after:2023-06-30   order date, exclusive
+ *   total>50 total<=10 total=9.99          order total
+ * Every term must match. Operators with invalid values are reported in `errors` and ignored.
+ */
+
+import { getMarketplace, parsePriceAmount, DEFAULT_MARKETPLACE_ID } from './marketplaces.js';
+import { HIDDEN_TYPES } from '../backends/google-sheets/schema.js';
+import { matchesTagFilter } from './tag-hierarchy.js';
+
+const FIELD_OPERATORS = ['tag', 'user', 'item', 'note', 'id', 'type', 'before', 'after'];
+const TOTAL_OPERATOR_PATTERN = /^total(>=|<=|>|<|=|:)(.+)$/i;
+const TOKEN_PATTERN = /(\S+?:)?"([^"]*)"?|\S+/g;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create an empty parsed query
+ * @returns {Object} Parsed query
+ */
+function createEmptyQuery() {
+    return {
+        terms: [],
+        tags: [],
+        users: [],
+        items: [],
+        notes: [],
+        ids: [],
+        types: [],
+        before: null,
+        after: null,
+        totals: [],
+        errors: []
+    };
+}
+
+/**
+ * Normalize an order date to YYYY-MM-DD so dates can be compared as strings
+ * Accepts ISO dates and anything Date can parse (e.g. "January 5, 2024")
+ * @param {string} value - Date text
+ * @returns {string|null} Normalized date or null if it cannot be parsed
+ */
+export function normalizeSearchDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+
+    const text = value.trim();
+    if (ISO_DATE_PATTERN.test(text)) {
+        return text;
+    }
+
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse search box text into a query
+ * @param {string} text - Search text
+ * @returns {Object} Parsed query
+ */
+export function parseSearchQuery(text) {
+    const query = createEmptyQuery();
+    if (typeof text !== 'string') {
+        return query;
+    }
+
+    const tokens = text.match(TOKEN_PATTERN) || [];
+    tokens.forEach(rawToken => {
+        // Strip quotes from phrases, keeping any operator prefix
+        const token = rawToken.replace(/"/g, '');
+        if (token === '') {
+            return;
+        }
+
+        const totalMatch = TOTAL_OPERATOR_PATTERN.exec(token);
+        if (totalMatch) {
+            const op = totalMatch[1] === ':' ? '=' : totalMatch[1];
+            const value = Number(totalMatch[2]);
+            if (Number.isNaN(value)) {
+                query.errors.push(`Invalid total: ${totalMatch[2]}`);
+            } else {
+                query.totals.push({ op, value });
+            }
+            return;
+        }
+
+        const separator = token.indexOf(':');
+        const operator = separator > 0 ? token.slice(0, separator).toLowerCase() : null;
+        const value = separator > 0 ? token.slice(separator + 1) : token;
+
+        if (!operator || !FIELD_OPERATORS.includes(operator) || value === '') {
+            query.terms.push(token.toLowerCase());
+            return;
+        }
+
+        switch (operator) {
+            case 'tag':
+                query.tags.push(value.toLowerCase());
+                break;
+            case 'user':
+                query.users.push(value.replace(/^@/, '').toLowerCase());
+                break;
+            case 'item':
+                query.items.push(value.toLowerCase());
+                break;
+            case 'note':
+                query.notes.push(value.toLowerCase());
+                break;
+            case 'id':
+                query.ids.push(value.toLowerCase());
+                break;
+            case 'type':
+                if (HIDDEN_TYPES.includes(value.toLowerCase())) {
+                    query.types.push(value.toLowerCase());
+                } else {
+                    query.errors.push(`Invalid type: ${value} (use ${HIDDEN_TYPES.join(' or ')})`);
+                }
+                break;
+            case 'before':
+            case 'after': {
+                const date = normalizeSearchDate(value);
+                if (date) {
+                    query[operator] = date;
+                } else {
+                    query.errors.push(`Invalid date: ${value}`);
+                }
+                break;
+            }
+        }
+    });
+
+    return query;
+}
+
+/**
+ * Check whether a parsed query has anything to filter on
+ * @param {Object} query - Parsed query
+ * @returns {boolean} True if the query is empty
+ */
+export function isEmptySearchQuery(query) {
+    return !query || (
+        query.terms.length === 0 && query.tags.length === 0 && query.users.length === 0 &&
+        query.items.length === 0 && query.notes.length === 0 && query.ids.length === 0 &&
+        query.types.length === 0 && query.totals.length === 0 && !query.before && !query.after
+    );
+}
+
+/**
+ * Get the order total as a number
+ * @param {Object} order - Hidden order record
+ * @returns {number|null} Total or null if it cannot be parsed
+ */
+function getOrderTotalAmount(order) {
+    const orderData = order.orderData || {};
+    const marketplace = getMarketplace(order.marketplace || orderData.marketplace) || getMarketplace(DEFAULT_MARKETPLACE_ID);
+    return parsePriceAmount(orderData.orderTotal, marketplace);
+}
+
+/**
+ * Compare a number using a total operator
+ * @param {number} amount - Order total
+ * @param {Object} condition - { op, value }
+ * @returns {boolean} True if the comparison holds
+ */
+function compareTotal(amount, { op, value }) {
+    switch (op) {
+        case '>': return amount > value;
+        case '<': return amount < value;
+        case '>=': return amount >= value;
+        case '<=': return amount <= value;
+        default: return Math.abs(amount - value) < 0.005;
+    }
+}
+
+/**
+ * Get the searchable text of each field of a hidden order
+ * @param {Object} order - Hidden order record
+ * @returns {Object} Lower-cased field values
+ */
+function getSearchFields(order) {
+    const orderData = order.orderData || {};
+    const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : '');
+
+    return {
+        id: lower(order.orderId || orderData.orderNumber),
+        items: (Array.isArray(orderData.orderItems) ? orderData.orderItems : [])
+            .map(item => lower(item && item.name))
+            .filter(Boolean),
+        notes: lower(orderData.notes),
+        tags: (Array.isArray(orderData.tags) ? orderData.tags : []).map(lower),
+        total: lower(orderData.orderTotal),
+        user: lower(order.username)
+    };
+}
+
+/**
+ * Check whether a hidden order matches a parsed query
+ * @param {Object} order - Hidden order record from storage
+ * @param {Object} query - Parsed query from parseSearchQuery
+ * @returns {boolean} True if every term matches
+ */
+export function matchesSearchQuery(order, query) {
+    if (isEmptySearchQuery(query)) {
+        return true;
+    }
+    if (!order) {
+        return false;
+    }
+
+    const fields = getSearchFields(order);
+
+    const termMatches = query.terms.every(term =>
+        fields.id.includes(term) ||
+        fields.items.some(item => item.includes(term)) ||
+        fields.notes.includes(term) ||
+        fields.tags.some(tag => tag.includes(term)) ||
+        fields.total.includes(term)
+    );
+    if (!termMatches) {
+        return false;
+    }
+
+    if (!query.tags.every(tag => matchesTagFilter(fields.tags, tag))) {
+        return false;
+    }
+    if (query.users.length > 0 && !query.users.includes(fields.user)) {
+        return false;
+    }
+    if (!query.items.every(text => fields.items.some(item => item.includes(text)))) {
+        return false;
+    }
+    if (!query.notes.every(text => fields.notes.includes(text))) {
+        return false;
+    }
+    if (!query.ids.every(text => fields.id.includes(text))) {
+        return false;
+    }
+    if (query.types.length > 0 && !query.types.includes(order.type)) {
+        return false;
+    }
+
+    if (query.before || query.after) {
+        const date = normalizeSearchDate((order.orderData || {}).orderDate);
+        if (!date || (query.before && date >= query.before) || (query.after && date <= query.after)) {
+            return false;
+        }
+    }
+
+    if (query.totals.length > 0) {
+        const amount = getOrderTotalAmount(order);
+        if (amount === null || !query.totals.every(condition => compareTotal(amount, condition))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Get the text fragments to highlight for a query
+ * @param {Object} query - Parsed query
+ * @returns {Array<string>} Lower-cased fragments
+ */
+export function getHighlightTerms(query) {
+    if (!query) {
+        return [];
+    }
+    return [...query.terms, ...query.tags, ...query.items, ...query.notes, ...query.ids];
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and wrap every occurrence of the given terms in <mark>
+ * @param {*} value - Text to highlight
+ * @param {Array<string>} terms - Fragments to highlight (case-insensitive)
+ * @returns {string} HTML
+ */
+export function highlightMatches(value, terms) {
+    const text = String(value === null || value === undefined ? '' : value);
+    const fragments = (terms || []).filter(Boolean);
+    if (fragments.length === 0 || text === '') {
+        return escapeHtml(text);
+    }
+
+    // Longest first so "gift card" wins over "gift"
+    const pattern = new RegExp(
+        fragments
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'),
+        'gi'
+    );
+
+    let html = '';
+    let lastIndex = 0;
+    text.replace(pattern, (match, offset) => {
+        html += escapeHtml(text.slice(lastIndex, offset));
+        html += `<mark class="search-highlight">${escapeHtml(match)}</mark>`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+    html += escapeHtml(text.slice(lastIndex));
+    return html;
+}
+
+/**
+ * Find the item names and notes of an order that contain a highlight term
+ * These fields are not otherwise shown in the popup, so matches are listed separately
+ * @param {Object} order - Hidden order record
+ * @param {Array<string>} terms - Lower-cased fragments
+ * @returns {Array<Object>} Matches ({ field: 'item'|'note', text })
+ */
+export function findHiddenFieldMatches(order, terms) {
+    const fragments = (terms || []).filter(Boolean);
+    if (!order || fragments.length === 0) {
+        return [];
+    }
+
+    const orderData = order.orderData || {};
+    const contains = (text) => typeof text === 'string' && fragments.some(term => text.toLowerCase().includes(term));
+    const matches = [];
+
+    (Array.isArray(orderData.orderItems) ? orderData.orderItems : []).forEach(item => {
+        if (item && contains(item.name)) {
+            matches.push({ field: 'item', text: item.name });
+        }
+    });
+    if (contains(orderData.notes)) {
+        matches.push({ field: 'note', text: orderData.notes });
+    }
+
+    return matches;
+}
+
+// Fields the popup list can be sorted by
+export const ORDER_SORT_FIELDS = ['orderDate', 'hiddenAt', 'total', 'hiddenBy'];
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Sort order and date ranges of the popup list, stored in ConfigManager as 'popup_list_view'
+export const DEFAULT_ORDER_LIST_VIEW = {
+    sortBy: 'hiddenAt',
+    sortDirection: 'desc',
+    orderDateFrom: null,
+    orderDateTo: null,
+    hiddenFrom: null,
+    hiddenTo: null
+};
+
+const DATE_RANGE_FIELDS = ['orderDateFrom', 'orderDateTo', 'hiddenFrom', 'hiddenTo'];
+
+/**
+ * Validate popup list view settings (ConfigManager validator for 'popup_list_view')
+ * @param {Object} view - List view settings
+ * @returns {Object} { valid, errors }
+ */
+export function validateOrderListView(view) {
+    const errors = [];
+
+    if (!view || typeof view !== 'object' || Array.isArray(view)) {
+        return { valid: false, errors: ['popup_list_view must be an object'] };
+    }
+
+    if (view.sortBy !== undefined && !ORDER_SORT_FIELDS.includes(view.sortBy)) {
+        errors.push(`sortBy must be one of: ${ORDER_SORT_FIELDS.join(', ')}`);
+    }
+    if (view.sortDirection !== undefined && !SORT_DIRECTIONS.includes(view.sortDirection)) {
+        errors.push(`sortDirection must be one of: ${SORT_DIRECTIONS.join(', ')}`);
+    }
+    DATE_RANGE_FIELDS.forEach(field => {
+        const value = view[field];
+        if (value !== undefined && value !== null && !(typeof value === 'string' && ISO_DATE_PATTERN.test(value))) {
+            errors.push(`${field} must be a YYYY-MM-DD date`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check whether a hidden order falls within the list view's order date and hidden date ranges
+ * Bounds are inclusive; orders without a parseable date are excluded once a range is set
+ * @param {Object} order - Hidden order record
+ * @param {Object} view - List view settings
+ * @returns {boolean} True if the order is in range
+ */
+export function matchesDateRanges(order, view) {
+    if (!view) {
+        return true;
+    }
+
+    const inRange = (date, from, to) => {
+        if (!from && !to) {
+            return true;
+        }
+        return Boolean(date) && (!from || date >= from) && (!to || date <= to);
+    };
+
+    const orderDate = normalizeSearchDate((order.orderData || {}).orderDate);
+    const hiddenDate = normalizeSearchDate(order.timestamp);
+
+    return inRange(orderDate, view.orderDateFrom, view.orderDateTo) &&
+        inRange(hiddenDate, view.hiddenFrom, view.hiddenTo);
+}
+
+/**
+ * Get the value an order is sorted by
+ * @param {Object} order - Hidden order record
+ * @param {string} sortBy - One of ORDER_SORT_FIELDS
+ * @returns {string|number|null} Sort value, or null if unknown
+ */
+function getSortValue(order, sortBy) {
+    switch (sortBy) {
+        case 'orderDate':
+            return normalizeSearchDate((order.orderData || {}).orderDate);
+        case 'hiddenAt': {
+            const time = Date.parse(order.timestamp);
+            return Number.isNaN(time) ? null : time;
+        }
+        case 'total':
+            return getOrderTotalAmount(order);
+        case 'hiddenBy':
+            return typeof order.username === 'string' && order.username !== '' ? order.username.toLowerCase() : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Sort hidden orders for the popup list
+ * Orders with an unknown value always sort last; ties keep their existing order
+ * @param {Array<Object>} orders - Hidden order records
+ * @param {string} sortBy - One of ORDER_SORT_FIELDS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortOrders(orders, sortBy, direction = 'asc') {
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return orders
+        .map((order, index) => ({ order, index, value: getSortValue(order, sortBy) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                if (a.value === b.value) {
+                    return a.index - b.index;
+                }
+                return a.value === null ? 1 : -1;
+            }
+            if (a.value < b.value) {
+                return -factor;
+            }
+            if (a.value > b.value) {
+                return factor;
+            }
+            return a.index - b.index;
+        })
+        .map(entry => entry.order);
+}
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the popup's hidden order search
+ * Tests query parsing, matching against hidden order records and highlighting
+ */
+
+import {
+    parseSearchQuery,
+    isEmptySearchQuery,
+    matchesSearchQuery,
+    normalizeSearchDate,
+    getHighlightTerms,
+    highlightMatches,
+    escapeHtml,
+    findHiddenFieldMatches,
+    validateOrderListView,
+    matchesDateRanges,
+    sortOrders,
+    DEFAULT_ORDER_LIST_VIEW
+} from './order-search.js';
+
+const createOrder = (overrides = {}, orderDataOverrides = {}) => ({
+    orderId: '114-1234567-7654321',
+    type: 'details',
+    username: 'Alice',
+    marketplace: 'amazon.com',
+    orderData: {
+        orderDate: '2023-11-20',
+        orderTotal: '$64.50',
+        orderItems: [{ name: 'Amazon eGift Card' }, { name: 'USB-C Cable' }],
+        notes: 'Birthday present for Sam',
+        tags: ['gifts', '2023'],
+        ...orderDataOverrides
+    },
+    ...overrides
+});
+
+describe('parseSearchQuery', () => {
+    it('should split free text and operators', () => {
+        const query = parseSearchQuery('cable tag:Gifts user:@alice before:2024-01-01 after:2023-01-01 total>50 type:order');
+
+        expect(query.terms).toEqual(['cable']);
+        expect(query.tags).toEqual(['gifts']);
+        expect(query.users).toEqual(['alice']);
+        expect(query.before).toBe('2024-01-01');
+        expect(query.after).toBe('2023-01-01');
+        expect(query.totals).toEqual([{ op: '>', value: 50 }]);
+        expect(query.types).toEqual(['order']);
+        expect(query.errors).toEqual([]);
+    });
+
+    it('should keep quoted phrases together', () => {
+        const query = parseSearchQuery('"gift card" item:"usb-c cable"');
+
+        expect(query.terms).toEqual(['gift card']);
+        expect(query.items).toEqual(['usb-c cable']);
+    });
+
+    it('should support every total comparison', () => {
+        const query = parseSearchQuery('total>=10 total<=20 total<30 total=15 total:15');
+
+        expect(query.totals).toEqual([
+            { op: '>=', value: 10 },
+            { op: '<=', value: 20 },
+            { op: '<', value: 30 },
+            { op: '=', value: 15 },
+            { op: '=', value: 15 }
+        ]);
+    });
+
+    it('should report invalid operator values', () => {
+        const query = parseSearchQuery('before:someday total>lots type:everything');
+
+        expect(query.errors).toEqual([
+            'Invalid date: someday',
+            'Invalid total: lots',
+            'Invalid type: everything (use details or order)'
+        ]);
+        expect(isEmptySearchQuery(query)).toBe(true);
+    });
+
+    it('should treat unknown operators as free text', () => {
+        expect(parseSearchQuery('https://example.com').terms).toEqual(['https://example.com']);
+    });
+
+    it('should return an empty query for blank input', () => {
+        expect(isEmptySearchQuery(parseSearchQuery('   '))).toBe(true);
+        expect(isEmptySearchQuery(parseSearchQuery(undefined))).toBe(true);
+    });
+});
+
+describe('normalizeSearchDate', () => {
+    it('should normalize displayed dates to ISO dates', () => {
+        expect(normalizeSearchDate('2024-01-05')).toBe('2024-01-05');
+        expect(normalizeSearchDate('January 5, 2024')).toBe('2024-01-05');
+        expect(normalizeSearchDate('N/A')).toBeNull();
+    });
+});
+
+describe('matchesSearchQuery', () => {
+    const matches = (text, order = createOrder()) => matchesSearchQuery(order, parseSearchQuery(text));
+
+    it('should match free text against ID, items, notes, tags and total', () => {
+        expect(matches('1234567')).toBe(true);
+        expect(matches('egift')).toBe(true);
+        expect(matches('birthday')).toBe(true);
+        expect(matches('gifts')).toBe(true);
+        expect(matches('64.50')).toBe(true);
+        expect(matches('birthday cable')).toBe(true);
+        expect(matches('birthday kettle')).toBe(false);
+    });
+
+    it('should not match free text against the username', () => {
+        expect(matches('alice')).toBe(false);
+    });
+
+    it('should match tags and users exactly, ignoring case', () => {
+        expect(matches('tag:GIFTS user:alice')).toBe(true);
+        expect(matches('tag:gift')).toBe(false);
+        expect(matches('user:bob')).toBe(false);
+    });
+
+    it('should include child tags when searching for a parent tag', () => {
+        const order = createOrder({}, { tags: ['gifts/birthday'] });
+
+        expect(matches('tag:gifts', order)).toBe(true);
+        expect(matches('tag:gifts/birthday', order)).toBe(true);
+        expect(matches('tag:gifts/wedding', order)).toBe(false);
+    });
+
+    it('should filter by date range', () => {
+        expect(matches('before:2024-01-01')).toBe(true);
+        expect(matches('after:2023-11-20')).toBe(false);
+        expect(matches('before:2024-01-01', createOrder({}, { orderDate: 'December 1, 2023' }))).toBe(true);
+        expect(matches('before:2024-01-01', createOrder({}, { orderDate: 'N/A' }))).toBe(false);
+    });
+
+    it('should compare totals using the order marketplace', () => {
+        expect(matches('total>50')).toBe(true);
+        expect(matches('total>50 total<60')).toBe(false);
+        expect(matches('total=64.5')).toBe(true);
+        expect(matches('total<10', createOrder({ marketplace: 'amazon.de' }, { orderTotal: '9,99 €' }))).toBe(true);
+        expect(matches('total<10', createOrder({}, { orderTotal: undefined }))).toBe(false);
+    });
+
+    it('should filter by item, note, id and type', () => {
+        expect(matches('item:cable note:sam id:114- type:details')).toBe(true);
+        expect(matches('note:cable')).toBe(false);
+        expect(matches('type:order')).toBe(false);
+    });
+
+    it('should handle orders without order data', () => {
+        expect(matches('gifts', { orderId: '111', type: 'details' })).toBe(false);
+        expect(matches('', { orderId: '111', type: 'details' })).toBe(true);
+    });
+});
+
+describe('highlighting', () => {
+    it('should collect text terms to highlight', () => {
+        expect(getHighlightTerms(parseSearchQuery('cable tag:gifts user:alice total>5 item:card'))).toEqual(['cable', 'gifts', 'card']);
+    });
+
+    it('should escape HTML', () => {
+        expect(escapeHtml('<b>"Tom" & \'Jerry\'</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    });
+
+    it('should wrap matches in mark elements, preferring longer terms', () => {
+        expect(highlightMatches('Amazon Gift Card <2>', ['gift', 'gift card'])).toBe(
+            'Amazon <mark class="search-highlight">Gift Card</mark> &lt;2&gt;'
+        );
+        expect(highlightMatches('a.b', ['.'])).toBe('a<mark class="search-highlight">.</mark>b');
+        expect(highlightMatches('plain', [])).toBe('plain');
+    });
+
+    it('should list matching item names and notes', () => {
+        expect(findHiddenFieldMatches(createOrder(), ['card', 'sam'])).toEqual([
+            { field: 'item', text: 'Amazon eGift Card' },
+            { field: 'note', text: 'Birthday present for Sam' }
+        ]);
+        expect(findHiddenFieldMatches(createOrder(), [])).toEqual([]);
+    });
+});
+
+describe('list view', () => {
+    const orders = [
+        createOrder({ orderId: 'a', username: 'carol', timestamp: '2024-03-01T10:00:00.000Z' }, { orderDate: '2023-05-01', orderTotal: '$20.00' }),
+        createOrder({ orderId: 'b', username: 'Alice', timestamp: '2024-01-15T10:00:00.000Z' }, { orderDate: 'N/A', orderTotal: '$5.00' }),
+        createOrder({ orderId: 'c', username: 'bob', timestamp: '2024-02-10T10:00:00.000Z' }, { orderDate: '2022-12-24', orderTotal: undefined }),
+        createOrder({ orderId: 'd', username: '', timestamp: undefined }, { orderDate: '2024-01-02', orderTotal: '$120.00' })
+    ];
+    const ids = (list) => list.map(order => order.orderId);
+
+    it('should validate list view settings', () => {
+        expect(validateOrderListView(DEFAULT_ORDER_LIST_VIEW)).toEqual({ valid: true, errors: [] });
+        expect(validateOrderListView({ sortBy: 'price', sortDirection: 'up', hiddenFrom: '03/01/2024' }).errors).toEqual([
+            'sortBy must be one of: orderDate, hiddenAt, total, hiddenBy',
+            'sortDirection must be one of: asc, desc',
+            'hiddenFrom must be a YYYY-MM-DD date'
+        ]);
+        expect(validateOrderListView([]).valid).toBe(false);
+    });
+
+    it('should sort by each field with unknown values last', () => {
+        expect(ids(sortOrders(orders, 'orderDate', 'asc'))).toEqual(['c', 'a', 'd', 'b']);
+        expect(ids(sortOrders(orders, 'orderDate', 'desc'))).toEqual(['d', 'a', 'c', 'b']);
+        expect(ids(sortOrders(orders, 'hiddenAt', 'desc'))).toEqual(['a', 'c', 'b', 'd']);
+        expect(ids(sortOrders(orders, 'total', 'asc'))).toEqual(['b', 'a', 'd', 'c']);
+        expect(ids(sortOrders(orders, 'hiddenBy', 'asc'))).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should not modify the original list', () => {
+        sortOrders(orders, 'total', 'desc');
+
+        expect(ids(orders)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('should filter by inclusive order date and hidden date ranges', () => {
+        const inRange = (view) => ids(orders.filter(order => matchesDateRanges(order, { ...DEFAULT_ORDER_LIST_VIEW, ...view })));
+
+        expect(inRange({})).toEqual(['a', 'b', 'c', 'd']);
+        expect(inRange({ orderDateFrom: '2023-05-01', orderDateTo: '2024-01-02' })).toEqual(['a', 'd']);
+        expect(inRange({ hiddenFrom: '2024-02-01' })).toEqual(['a', 'c']);
+        expect(inRange({ orderDateTo: '2023-12-31', hiddenTo: '2024-02-28' })).toEqual(['c']);
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Profiles
+ * Named profiles let people who share one Chrome profile keep their Amazon orders apart.
+ * Each profile binds an Amazon account, a Google sign-in, a sheet URL and a username, and
+ * has its own hidden orders. Stored as the 'profiles' config:
+ * {
+ *     activeProfileId: 'sam',
+ *     profiles: [
+ *         { id: 'default', name: 'Default', amazonAccount: null, username: null, sheetUrl: null },
+ *         {
+ *             id: 'sam',
+ *             name: 'Sam',
+ *             amazonAccount: 'Sam',                        // Name Amazon greets the account with, see detectAmazonAccount
+ *             username: 'sam',
+ *             sheetUrl: 'https://docs.google.com/spreadsheets/d/SHEET_ID/edit',
+ *             email: 'sam@example.com',                   // Google account, see utils/google-identity.js (optional)
+ *             displayName: 'Sam Hawalli'
+ *         }
+ *     ]
+ * }
+ *
+ * The default profile owns the data stored before profiles existed: its records have no key
+ * namespace (see profileNamespace in backends/local-storage/keys.js), and its username and
+ * sheet URL are the 'username' and 'google_sheets' configs rather than profile fields.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const DEFAULT_PROFILES_CONFIG = {
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: [
+        { id: DEFAULT_PROFILE_ID, name: 'Default', amazonAccount: null, username: null, sheetUrl: null }
+    ]
+};
+
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Amazon's navigation bar greets the signed-in account by name
+const ACCOUNT_GREETING_SELECTORS = ['#nav-link-accountList-nav-line-1', '#nav-greeting-name'];
+
+/**
+ * Validate the profiles config (ConfigManager validator for 'profiles')
+ * @param {Object} config - { activeProfileId, profiles }
+ * @returns {Object} { valid, errors }
+ */
+export function validateProfilesConfig(config) {
+    if (!config || typeof config !== 'object' || !Array.isArray(config.profiles)) {
+        return { valid: false, errors: ['profiles must be an object with a profiles list'] };
+    }
+
+    const errors = [];
+    const ids = new Set();
+    config.profiles.forEach((profile, index) => {
+        const label = `Profile ${index + 1}`;
+        if (!profile || typeof profile !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id)) {
+            errors.push(`${label} needs an ID of lowercase letters, digits and dashes`);
+        } else if (ids.has(profile.id)) {
+            errors.push(`${label} has the same ID as another profile: ${profile.id}`);
+        }
+        ids.add(profile.id);
+
+        if (typeof profile.name !== 'string' || !profile.name.trim() || profile.name.length > MAX_PROFILE_NAME_LENGTH) {
+            errors.push(`${label} needs a name of 1 to ${MAX_PROFILE_NAME_LENGTH} characters`);
+        }
+        ['amazonAccount', 'username', 'sheetUrl', 'email', 'displayName'].forEach(field => {
+            if (profile[field] !== null && profile[field] !== undefined && typeof profile[field] !== 'string') {
+                errors.push(`${label} ${field} must be a string`);
+            }
+        });
+    });
+
+    if (!ids.has(DEFAULT_PROFILE_ID)) {
+        errors.push('The default profile cannot be removed');
+    }
+    if (!ids.has(config.activeProfileId)) {
+        errors.push(`Active profile does not exist: ${config.activeProfileId}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the active profile, falling back to the default profile
+ * @param {Object} config - Profiles config
+ * @returns {Object} Profile
+ */
+export function getActiveProfile(config) {
+    const profiles = getProfiles(config);
+    const activeProfileId = config ? config.activeProfileId : DEFAULT_PROFILE_ID;
+    return profiles.find(profile => profile.id === activeProfileId) ||
+        profiles.find(profile => profile.id === DEFAULT_PROFILE_ID) ||
+        DEFAULT_PROFILES_CONFIG.profiles[0];
+}
+
+/**
+ * Find the profile bound to an Amazon account
+ * @param {Object} config - Profiles config
+ * @param {string} amazonAccount - Account name from detectAmazonAccount
+ * @returns {Object|null} Profile, or null if no profile is bound to the account
+ */
+export function findProfileByAmazonAccount(config, amazonAccount) {
+    if (!amazonAccount) {
+        return null;
+    }
+    const account = normalizeAccount(amazonAccount);
+    return getProfiles(config).find(profile => profile.amazonAccount && normalizeAccount(profile.amazonAccount) === account) || null;
+}
+
+/**
+ * Add a profile
+ * @param {Object} config - Profiles config
+ * @param {string} name - Profile name
+ * @returns {Object} { config, profile } with the new profile, which is not made active
+ */
+export function addProfile(config, name) {
+    const profiles = getProfiles(config);
+    const trimmedName = (name || '').trim().slice(0, MAX_PROFILE_NAME_LENGTH) || 'Profile';
+
+    const baseId = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let id = baseId;
+    for (let suffix = 2; profiles.some(profile => profile.id === id); suffix++) {
+        id = `${baseId}-${suffix}`;
+    }
+
+    const profile = { id, name: trimmedName, amazonAccount: null, username: null, sheetUrl: null };
+    return { config: { ...config, profiles: [...profiles, profile] }, profile };
+}
+
+/**
+ * Change fields of a profile
+ * @param {Object} config - Profiles config
+ * @param {string} profileId - Profile ID
+ * @param {Object} changes - Any of { name, amazonAccount, username, sheetUrl, email, displayName }
+ * @returns {Object} Updated profiles config
+ */
+export function updateProfile(config, profileId, changes) {
+    const { name, amazonAccount, username, sheetUrl, email, displayName } = changes;
+    const fields = Object.fromEntries(
+        Object.entries({ name, amazonAccount, username, sheetUrl, email, displayName }).filter(([, value]) => value !== undefined)
+    );
+    return {
+        ...config,
+        profiles: getProfiles(config).map(profile => profile.id === profileId ? { ...profile, ...fields } : profile)
+    };
+}
+
+/**
+ * Remove a profile; the default profile cannot be removed
+ * Removing the active profile makes the default profile active
+ * @param {Object} config - Profiles config
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Updated profiles config
+ */
+export function removeProfile(config, profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) {
+        throw new Error('The default profile cannot be removed');
+    }
+    return {
+        ...config,
+        activeProfileId: config.activeProfileId === profileId ? DEFAULT_PROFILE_ID : config.activeProfileId,
+        profiles: getProfiles(config).filter(profile => profile.id !== profileId)
+    };
+}
+
+/**
+ * Make a profile active
+ * @param {Object} config - Profiles config
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Updated profiles config
+ */
+export function setActiveProfile(config, profileId) {
+    if (!getProfiles(config).some(profile => profile.id === profileId)) {
+        throw new Error(`Profile does not exist: ${profileId}`);
+    }
+    return { ...config, activeProfileId: profileId };
+}
+
+/**
+ * Get the Google Sheets settings a profile uses
+ * The OAuth client is shared; profiles other than the default profile use their own sheet
+ * @param {Object} sheetsConfig - 'google_sheets' config
+ * @param {Object} profile - Profile
+ * @returns {Object|null} Google Sheets config for the profile
+ */
+export function resolveGoogleSheetsConfig(sheetsConfig, profile) {
+    if (!sheetsConfig || !profile || profile.id === DEFAULT_PROFILE_ID) {
+        return sheetsConfig;
+    }
+    return { ...sheetsConfig, sheetUrl: profile.sheetUrl || null };
+}
+
+/**
+ * Read the name Amazon greets the signed-in account with, e.g. "Sam" from "Hello, Sam"
+ * @param {Document} doc - Amazon page
+ * @returns {string|null} Account name, or null when signed out or not found
+ */
+export function detectAmazonAccount(doc) {
+    for (const selector of ACCOUNT_GREETING_SELECTORS) {
+        const element = doc.querySelector(selector);
+        const text = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+        // "Hello, Sam" on amazon.com; other marketplaces greet in their own language
+        const name = text.includes(',') ? text.slice(text.indexOf(',') + 1).trim() : text;
+        if (name && !/sign in/i.test(name)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+function getProfiles(config) {
+    return config && Array.isArray(config.profiles) && config.profiles.length > 0
+        ? config.profiles
+        : DEFAULT_PROFILES_CONFIG.profiles;
+}
+
+function normalizeAccount(amazonAccount) {
+    return amazonAccount.trim().toLowerCase();
+}
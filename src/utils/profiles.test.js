@@ -0,0 +1,148 @@
+/**
+ * Unit tests for profiles
+ * Tests editing the profiles config, Amazon account detection and per-profile Google Sheets settings
+ */
+
+import {
+    DEFAULT_PROFILES_CONFIG,
+    validateProfilesConfig,
+    getActiveProfile,
+    findProfileByAmazonAccount,
+    addProfile,
+    updateProfile,
+    removeProfile,
+    setActiveProfile,
+    resolveGoogleSheetsConfig,
+    detectAmazonAccount
+} from './profiles.js';
+
+const sam = { id: 'sam', name: 'Sam', amazonAccount: 'Sam', username: 'sam', sheetUrl: 'https://docs.google.com/spreadsheets/d/SAM/edit' };
+const profiles = {
+    activeProfileId: 'sam',
+    profiles: [...DEFAULT_PROFILES_CONFIG.profiles, sam]
+};
+
+describe('validateProfilesConfig', () => {
+    it('should accept the default and edited configs', () => {
+        expect(validateProfilesConfig(DEFAULT_PROFILES_CONFIG)).toEqual({ valid: true, errors: [] });
+        expect(validateProfilesConfig(profiles)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report invalid profiles', () => {
+        expect(validateProfilesConfig(null)).toEqual({ valid: false, errors: ['profiles must be an object with a profiles list'] });
+        expect(validateProfilesConfig({
+            activeProfileId: 'alex',
+            profiles: [
+                { id: 'Sam', name: 'Sam' },
+                { id: 'sam', name: '' },
+                { id: 'sam', name: 'Sam 2', sheetUrl: 42 }
+            ]
+        }).errors).toEqual([
+            'Profile 1 needs an ID of lowercase letters, digits and dashes',
+            'Profile 2 needs a name of 1 to 40 characters',
+            'Profile 3 has the same ID as another profile: sam',
+            'Profile 3 sheetUrl must be a string',
+            'The default profile cannot be removed',
+            'Active profile does not exist: alex'
+        ]);
+    });
+});
+
+describe('getActiveProfile', () => {
+    it('should return the active profile, or the default profile', () => {
+        expect(getActiveProfile(profiles)).toBe(sam);
+        expect(getActiveProfile({ ...profiles, activeProfileId: 'alex' }).id).toBe('default');
+        expect(getActiveProfile(undefined).id).toBe('default');
+    });
+});
+
+describe('findProfileByAmazonAccount', () => {
+    it('should match the account name ignoring case and spacing', () => {
+        expect(findProfileByAmazonAccount(profiles, ' sam ')).toBe(sam);
+        expect(findProfileByAmazonAccount(profiles, 'Alex')).toBeNull();
+        expect(findProfileByAmazonAccount(profiles, null)).toBeNull();
+    });
+});
+
+describe('addProfile', () => {
+    it('should add a profile with an ID made from its name', () => {
+        const { config, profile } = addProfile(profiles, '  Alex Smith ');
+
+        expect(profile).toEqual({ id: 'alex-smith', name: 'Alex Smith', amazonAccount: null, username: null, sheetUrl: null });
+        expect(config.profiles).toHaveLength(3);
+        expect(config.activeProfileId).toBe('sam');
+        expect(validateProfilesConfig(config).valid).toBe(true);
+    });
+
+    it('should not reuse an existing ID', () => {
+        expect(addProfile(profiles, 'Sam').profile.id).toBe('sam-2');
+        expect(addProfile(profiles, '!!!').profile.id).toBe('profile');
+    });
+});
+
+describe('updateProfile', () => {
+    it('should change only the given fields', () => {
+        const config = updateProfile(profiles, 'sam', { username: 'samantha', amazonAccount: null, id: 'other' });
+
+        expect(getActiveProfile(config)).toEqual({ ...sam, username: 'samantha', amazonAccount: null });
+        expect(profiles.profiles[1]).toBe(sam);
+    });
+
+    it('should record the Google account of a profile', () => {
+        const config = updateProfile(profiles, 'default', { email: 'jo@example.com', displayName: 'Jo Smith' });
+
+        expect(getActiveProfile({ ...config, activeProfileId: 'default' })).toMatchObject({ email: 'jo@example.com', displayName: 'Jo Smith' });
+        expect(validateProfilesConfig(config).valid).toBe(true);
+    });
+});
+
+describe('removeProfile', () => {
+    it('should make the default profile active when removing the active profile', () => {
+        expect(removeProfile(profiles, 'sam')).toEqual(DEFAULT_PROFILES_CONFIG);
+    });
+
+    it('should not remove the default profile', () => {
+        expect(() => removeProfile(profiles, 'default')).toThrow('The default profile cannot be removed');
+    });
+});
+
+describe('setActiveProfile', () => {
+    it('should switch only to existing profiles', () => {
+        expect(setActiveProfile(profiles, 'default').activeProfileId).toBe('default');
+        expect(() => setActiveProfile(profiles, 'alex')).toThrow('Profile does not exist: alex');
+    });
+});
+
+describe('resolveGoogleSheetsConfig', () => {
+    const sheetsConfig = { oauthClientId: 'client-id', oauthClientSecret: '', sheetUrl: 'https://docs.google.com/spreadsheets/d/SHARED/edit' };
+
+    it('should use the sheet of the profile', () => {
+        expect(resolveGoogleSheetsConfig(sheetsConfig, sam)).toEqual({ ...sheetsConfig, sheetUrl: sam.sheetUrl });
+        expect(resolveGoogleSheetsConfig(sheetsConfig, { ...sam, sheetUrl: null }).sheetUrl).toBeNull();
+    });
+
+    it('should keep the stored settings for the default profile', () => {
+        expect(resolveGoogleSheetsConfig(sheetsConfig, getActiveProfile(DEFAULT_PROFILES_CONFIG))).toBe(sheetsConfig);
+        expect(resolveGoogleSheetsConfig(null, sam)).toBeNull();
+    });
+});
+
+describe('detectAmazonAccount', () => {
+    it('should read the name from the navigation greeting', () => {
+        document.body.innerHTML = '<span id="nav-link-accountList-nav-line-1">Hello,\n  Sam</span>';
+
+        expect(detectAmazonAccount(document)).toBe('Sam');
+    });
+
+    it('should fall back to the older greeting', () => {
+        document.body.innerHTML = '<span id="nav-greeting-name">Alex</span>';
+
+        expect(detectAmazonAccount(document)).toBe('Alex');
+    });
+
+    it('should not detect an account when signed out', () => {
+        document.body.innerHTML = '<span id="nav-link-accountList-nav-line-1">Hello, sign in</span>';
+
+        expect(detectAmazonAccount(document)).toBeNull();
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tag Hierarchy
+ * Helpers for hierarchical "category/subcategory" tags such as "gifts/birthday" or "work/reimbursable".
+ *
+ * A tag is stored, synced and shown with its full path; the hierarchy only exists when tags
+ * are grouped (the popup's tag tree) and filtered (a parent tag matches all of its children).
+ * A tag tree node looks like:
+ * {
+ *     name: 'birthday',          // Last level of the path
+ *     path: 'gifts/birthday',    // Full tag
+ *     isTag: true,               // False when only children of this path are in use
+ *     children: [...]
+ * }
+ */
+
+export const TAG_PATH_SEPARATOR = '/';
+
+/**
+ * Split a tag into its levels
+ * @param {string} tag - Tag, e.g. "gifts/birthday"
+ * @returns {Array} Levels, e.g. ['gifts', 'birthday']
+ */
+export function splitTagPath(tag) {
+    return String(tag).split(TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Tidy a tag path: trim each level and drop empty levels ("gifts / birthday/" becomes "gifts/birthday")
+ * @param {string} tag - Tag
+ * @returns {string} Normalized tag
+ */
+export function normalizeTagPath(tag) {
+    return splitTagPath(tag)
+        .map(level => level.trim())
+        .filter(level => level.length > 0)
+        .join(TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Check the levels of a tag path
+ * @param {string} tag - Tag
+ * @returns {string|null} Error message, or null if the path is valid
+ */
+export function validateTagPath(tag) {
+    const levels = splitTagPath(tag);
+    if (levels.length === 1) {
+        return null;
+    }
+    if (levels[0] === '' || levels[levels.length - 1] === '') {
+        return `Tags cannot start or end with "${TAG_PATH_SEPARATOR}"`;
+    }
+    if (levels.some(level => level.trim().length === 0)) {
+        return `Tags cannot contain empty levels ("${TAG_PATH_SEPARATOR}${TAG_PATH_SEPARATOR}")`;
+    }
+    if (levels.some(level => level !== level.trim())) {
+        return 'Tag levels cannot start or end with spaces';
+    }
+    return null;
+}
+
+/**
+ * Check whether a tag is the filter tag or one of its children
+ * @param {string} tag - Tag of an order
+ * @param {string} filterTag - Tag being filtered on
+ * @returns {boolean} True if the tag falls under the filter tag
+ */
+export function isTagWithin(tag, filterTag) {
+    return tag === filterTag || tag.startsWith(`${filterTag}${TAG_PATH_SEPARATOR}`);
+}
+
+/**
+ * Check whether any of an order's tags falls under a filter tag
+ * @param {Array} tags - Tags of an order
+ * @param {string} filterTag - Tag being filtered on
+ * @returns {boolean} True if the order matches
+ */
+export function matchesTagFilter(tags, filterTag) {
+    return (tags || []).some(tag => isTagWithin(tag, filterTag));
+}
+
+/**
+ * Parent paths of a tag, outermost first
+ * @param {string} tag - Tag, e.g. "gifts/birthday/kids"
+ * @returns {Array} Parent paths, e.g. ['gifts', 'gifts/birthday']
+ */
+export function getParentTagPaths(tag) {
+    const levels = splitTagPath(tag);
+    return levels.slice(0, -1).map((level, index) => levels.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+}
+
+/**
+ * Group tags into a tree by path
+ * @param {Array} tags - Tags in use
+ * @returns {Array} Root nodes sorted by name, each with sorted children
+ */
+export function buildTagTree(tags) {
+    const roots = [];
+    const nodes = new Map();
+
+    const getNode = (path) => {
+        if (!nodes.has(path)) {
+            const levels = splitTagPath(path);
+            const node = { name: levels[levels.length - 1], path, isTag: false, children: [] };
+            nodes.set(path, node);
+
+            const parents = getParentTagPaths(path);
+            const siblings = parents.length > 0 ? getNode(parents[parents.length - 1]).children : roots;
+            siblings.push(node);
+        }
+        return nodes.get(path);
+    };
+
+    (tags || []).forEach(tag => {
+        getNode(tag).isTag = true;
+    });
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+    return sortNodes(roots);
+}
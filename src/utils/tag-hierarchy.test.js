@@ -0,0 +1,82 @@
+/**
+ * Unit tests for hierarchical tags
+ * Tests path validation, parent filters and the tag tree
+ */
+
+import {
+    splitTagPath,
+    normalizeTagPath,
+    validateTagPath,
+    isTagWithin,
+    matchesTagFilter,
+    getParentTagPaths,
+    buildTagTree
+} from './tag-hierarchy.js';
+
+describe('tag paths', () => {
+    it('should split and normalize paths', () => {
+        expect(splitTagPath('gifts/birthday')).toEqual(['gifts', 'birthday']);
+        expect(normalizeTagPath(' gifts / birthday//kids/ ')).toBe('gifts/birthday/kids');
+        expect(normalizeTagPath('gifts')).toBe('gifts');
+    });
+
+    it('should validate path levels', () => {
+        expect(validateTagPath('gifts')).toBeNull();
+        expect(validateTagPath('gifts/birthday/kids')).toBeNull();
+        expect(validateTagPath('/gifts')).toBe('Tags cannot start or end with "/"');
+        expect(validateTagPath('gifts/')).toBe('Tags cannot start or end with "/"');
+        expect(validateTagPath('gifts//kids')).toBe('Tags cannot contain empty levels ("//")');
+        expect(validateTagPath('gifts/ /kids')).toBe('Tags cannot contain empty levels ("//")');
+        expect(validateTagPath('gifts /kids')).toBe('Tag levels cannot start or end with spaces');
+    });
+
+    it('should list parent paths', () => {
+        expect(getParentTagPaths('gifts/birthday/kids')).toEqual(['gifts', 'gifts/birthday']);
+        expect(getParentTagPaths('gifts')).toEqual([]);
+    });
+});
+
+describe('tag filters', () => {
+    it('should include children when filtering on a parent', () => {
+        expect(isTagWithin('gifts/birthday', 'gifts')).toBe(true);
+        expect(isTagWithin('gifts', 'gifts')).toBe(true);
+        expect(isTagWithin('giftscards', 'gifts')).toBe(false);
+        expect(isTagWithin('gifts', 'gifts/birthday')).toBe(false);
+    });
+
+    it('should match orders with any tag under the filter', () => {
+        expect(matchesTagFilter(['books', 'gifts/birthday/kids'], 'gifts/birthday')).toBe(true);
+        expect(matchesTagFilter(['books'], 'gifts')).toBe(false);
+        expect(matchesTagFilter(undefined, 'gifts')).toBe(false);
+    });
+});
+
+describe('buildTagTree', () => {
+    it('should group tags by path, adding parents that are not tags themselves', () => {
+        expect(buildTagTree(['work/reimbursable', 'gifts/birthday', 'gifts', 'books', 'gifts/anniversary'])).toEqual([
+            { name: 'books', path: 'books', isTag: true, children: [] },
+            {
+                name: 'gifts',
+                path: 'gifts',
+                isTag: true,
+                children: [
+                    { name: 'anniversary', path: 'gifts/anniversary', isTag: true, children: [] },
+                    { name: 'birthday', path: 'gifts/birthday', isTag: true, children: [] }
+                ]
+            },
+            {
+                name: 'work',
+                path: 'work',
+                isTag: false,
+                children: [{ name: 'reimbursable', path: 'work/reimbursable', isTag: true, children: [] }]
+            }
+        ]);
+    });
+
+    it('should handle deep paths and missing input', () => {
+        const [root] = buildTagTree(['a1/b1/c1']);
+
+        expect(root.children[0].children[0]).toEqual({ name: 'c1', path: 'a1/b1/c1', isTag: true, children: [] });
+        expect(buildTagTree(undefined)).toEqual([]);
+    });
+});
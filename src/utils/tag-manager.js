@@ -0,0 +1,200 @@
+/**
+ * Tag Manager
+ * Global tag operations for the popup tag manager: usage counts, rename, merge, delete and colors.
+ *
+ * A tag change looks like:
+ * {
+ *     action: 'rename' | 'merge' | 'delete' | 'recolor',
+ *     from: 'gift',
+ *     to: 'gifts',       // rename and merge only
+ *     color: '#003366'   // recolor only, null resets the color
+ * }
+ * Renaming a tag to a name that is already in use merges the two tags.
+ * Recoloring only changes the tag colors; it is logged against the orders using the tag.
+ * Tag colors are stored as the 'tag_colors' config, a map of tag name to "#rrggbb".
+ */
+
+// ActionLog "Action" values written for each tag change
+export const TAG_CHANGE_LOG_ACTIONS = {
+    rename: 'rename_tag',
+    merge: 'merge_tag',
+    delete: 'delete_tag',
+    recolor: 'recolor_tag'
+};
+
+import { validateTag } from './tag-policy.js';
+
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Count how many hidden orders use each tag
+ * An order hidden both as details and as a whole order is counted once
+ * @param {Array} hiddenOrders - Hidden order records from storage
+ * @returns {Array} [{ tag, count }] sorted by tag name
+ */
+export function collectTagUsage(hiddenOrders) {
+    const usage = new Map();
+
+    (hiddenOrders || []).forEach(order => {
+        const tags = order && order.orderData && Array.isArray(order.orderData.tags) ? order.orderData.tags : [];
+        tags.forEach(tag => {
+            if (!usage.has(tag)) {
+                usage.set(tag, new Set());
+            }
+            usage.get(tag).add(order.orderId);
+        });
+    });
+
+    return Array.from(usage.entries())
+        .map(([tag, orderIds]) => ({ tag, count: orderIds.size }))
+        .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Validate a new tag name
+ * @param {string} name - Tag name
+ * @param {Object} policy - Tag policy, see utils/tag-policy.js
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export function validateTagName(name, policy) {
+    return validateTag(name, policy);
+}
+
+/**
+ * Build the change for renaming a tag, which becomes a merge when the new name is already in use
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @param {Array} existingTags - Tags currently in use
+ * @returns {Object} Tag change
+ */
+export function createRenameChange(from, to, existingTags) {
+    return {
+        action: existingTags.includes(to) ? 'merge' : 'rename',
+        from,
+        to
+    };
+}
+
+/**
+ * Apply a tag change to a list of tags
+ * @param {Array} tags - Tags of one order
+ * @param {Object} change - Tag change
+ * @returns {Array} New list of tags without duplicates
+ */
+export function changeTags(tags, change) {
+    if (change.action === 'delete') {
+        return tags.filter(tag => tag !== change.from);
+    }
+
+    const renamed = tags.map(tag => (tag === change.from ? change.to : tag));
+    return renamed.filter((tag, index) => renamed.indexOf(tag) === index);
+}
+
+/**
+ * Apply a tag change to the tag colors
+ * A renamed or merged tag passes its color on unless the new name already has one
+ * @param {Object} colors - Map of tag name to color
+ * @param {Object} change - Tag change
+ * @returns {Object} New map of tag name to color
+ */
+export function changeTagColors(colors, change) {
+    const updated = { ...(colors || {}) };
+    if (change.action === 'recolor') {
+        if (change.color) {
+            updated[change.from] = change.color;
+        } else {
+            delete updated[change.from];
+        }
+        return updated;
+    }
+
+    const color = updated[change.from];
+    delete updated[change.from];
+
+    if (change.action !== 'delete' && color && !updated[change.to]) {
+        updated[change.to] = color;
+    }
+    return updated;
+}
+
+/**
+ * Describe a tag change for the ActionLog "Notes" column
+ * @param {Object} change - Tag change
+ * @returns {string} Description
+ */
+export function describeTagChange(change) {
+    switch (change.action) {
+        case 'rename':
+            return `Renamed tag "${change.from}" to "${change.to}"`;
+        case 'merge':
+            return `Merged tag "${change.from}" into "${change.to}"`;
+        case 'delete':
+            return `Deleted tag "${change.from}"`;
+        case 'recolor':
+            return change.color ? `Changed color of tag "${change.from}" to ${change.color}` : `Reset color of tag "${change.from}"`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Validate a tag change before applying it
+ * @param {Object} change - Tag change
+ * @param {Object} policy - Tag policy the new name must follow, see utils/tag-policy.js
+ * @returns {Array} Error messages, empty if the change is valid
+ */
+export function validateTagChange(change, policy) {
+    if (!change || !TAG_CHANGE_LOG_ACTIONS[change.action]) {
+        return [`Tag change action must be one of: ${Object.keys(TAG_CHANGE_LOG_ACTIONS).join(', ')}`];
+    }
+    if (typeof change.from !== 'string' || change.from.length === 0) {
+        return ['Tag change must name the tag to change'];
+    }
+    if (change.action === 'delete') {
+        return [];
+    }
+    if (change.action === 'recolor') {
+        return change.color === null || TAG_COLOR_PATTERN.test(change.color) ? [] : ['Tag color must be a #rrggbb color'];
+    }
+
+    const nameError = validateTagName(change.to, policy);
+    if (nameError) {
+        return [nameError];
+    }
+    if (change.to === change.from) {
+        return ['New tag name must be different'];
+    }
+    return [];
+}
+
+/**
+ * Validate tag colors (ConfigManager validator for 'tag_colors')
+ * @param {Object} colors - Map of tag name to color
+ * @returns {Object} { valid, errors }
+ */
+export function validateTagColors(colors) {
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        return { valid: false, errors: ['tag_colors must be an object'] };
+    }
+
+    const errors = Object.entries(colors)
+        .filter(([, color]) => typeof color !== 'string' || !TAG_COLOR_PATTERN.test(color))
+        .map(([tag]) => `Color for tag "${tag}" must be a #rrggbb color`);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Pick a readable text color for a tag background
+ * @param {string} color - Background color ("#rrggbb")
+ * @returns {string} '#000000' or '#ffffff'
+ */
+export function getTagTextColor(color) {
+    const red = parseInt(color.slice(1, 3), 16);
+    const green = parseInt(color.slice(3, 5), 16);
+    const blue = parseInt(color.slice(5, 7), 16);
+
+    // Perceived brightness (ITU-R BT.601)
+    const brightness = (red * 299 + green * 587 + blue * 114) / 1000;
+    return brightness > 150 ? '#000000' : '#ffffff';
+}
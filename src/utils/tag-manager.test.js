@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the tag manager
+ * Tests tag usage counts, rename/merge/delete changes and tag colors
+ */
+
+import {
+    collectTagUsage,
+    validateTagName,
+    createRenameChange,
+    changeTags,
+    changeTagColors,
+    describeTagChange,
+    validateTagChange,
+    validateTagColors,
+    getTagTextColor
+} from './tag-manager.js';
+
+const createOrder = (orderId, type, tags) => ({ orderId, type, orderData: { tags } });
+
+describe('collectTagUsage', () => {
+    it('should count orders per tag, sorted by name', () => {
+        const usage = collectTagUsage([
+            createOrder('111', 'details', ['gifts', 'books']),
+            createOrder('111', 'order', ['gifts']),
+            createOrder('222', 'details', ['gifts']),
+            { orderId: '333', type: 'details' }
+        ]);
+
+        expect(usage).toEqual([
+            { tag: 'books', count: 1 },
+            { tag: 'gifts', count: 2 }
+        ]);
+    });
+
+    it('should handle missing input', () => {
+        expect(collectTagUsage(undefined)).toEqual([]);
+    });
+});
+
+describe('validateTagName', () => {
+    it('should accept valid names and reject invalid ones', () => {
+        expect(validateTagName('gifts')).toBeNull();
+        expect(validateTagName('  ')).toBe('Tag cannot be empty');
+        expect(validateTagName(' gifts')).toBe('Tags cannot start or end with spaces');
+        expect(validateTagName('g')).toBe('Tags must be at least 2 characters long');
+        expect(validateTagName('g'.repeat(51))).toBe('Tags cannot exceed 50 characters');
+        expect(validateTagName('a,b')).toBe('Tags cannot contain invalid characters (< > : " \\ | ? * ,)');
+        expect(validateTagName('gifts/birthday')).toBeNull();
+        expect(validateTagName('gifts/')).toBe('Tags cannot start or end with "/"');
+    });
+});
+
+describe('tag changes', () => {
+    it('should turn a rename into a merge when the new name is in use', () => {
+        expect(createRenameChange('gift', 'presents', ['gift', 'books'])).toEqual({ action: 'rename', from: 'gift', to: 'presents' });
+        expect(createRenameChange('gift', 'books', ['gift', 'books'])).toEqual({ action: 'merge', from: 'gift', to: 'books' });
+    });
+
+    it('should rename tags in place', () => {
+        expect(changeTags(['a1', 'gift', 'b1'], { action: 'rename', from: 'gift', to: 'gifts' })).toEqual(['a1', 'gifts', 'b1']);
+    });
+
+    it('should not duplicate tags when merging', () => {
+        expect(changeTags(['gifts', 'gift'], { action: 'merge', from: 'gift', to: 'gifts' })).toEqual(['gifts']);
+    });
+
+    it('should delete tags', () => {
+        expect(changeTags(['gift', 'books'], { action: 'delete', from: 'gift' })).toEqual(['books']);
+    });
+
+    it('should describe each change', () => {
+        expect(describeTagChange({ action: 'rename', from: 'a1', to: 'b1' })).toBe('Renamed tag "a1" to "b1"');
+        expect(describeTagChange({ action: 'merge', from: 'a1', to: 'b1' })).toBe('Merged tag "a1" into "b1"');
+        expect(describeTagChange({ action: 'delete', from: 'a1' })).toBe('Deleted tag "a1"');
+        expect(describeTagChange({ action: 'recolor', from: 'a1', color: '#003366' })).toBe('Changed color of tag "a1" to #003366');
+        expect(describeTagChange({ action: 'recolor', from: 'a1', color: null })).toBe('Reset color of tag "a1"');
+    });
+
+    it('should validate changes', () => {
+        expect(validateTagChange({ action: 'rename', from: 'gift', to: 'gifts' })).toEqual([]);
+        expect(validateTagChange({ action: 'delete', from: 'gift' })).toEqual([]);
+        expect(validateTagChange({ action: 'recolor', from: 'gift', color: '#003366' })).toEqual([]);
+        expect(validateTagChange({ action: 'recolor', from: 'gift', color: null })).toEqual([]);
+        expect(validateTagChange({ action: 'recolor', from: 'gift' })).toEqual(['Tag color must be a #rrggbb color']);
+        expect(validateTagChange({ action: 'move', from: 'gift' })).toEqual(['Tag change action must be one of: rename, merge, delete, recolor']);
+        expect(validateTagChange({ action: 'delete', from: '' })).toEqual(['Tag change must name the tag to change']);
+        expect(validateTagChange({ action: 'rename', from: 'gift', to: 'gift' })).toEqual(['New tag name must be different']);
+        expect(validateTagChange({ action: 'rename', from: 'gift', to: '' })).toEqual(['Tag cannot be empty']);
+    });
+});
+
+describe('tag colors', () => {
+    it('should move a renamed tag color unless the new name has one', () => {
+        expect(changeTagColors({ gift: '#ff0000' }, { action: 'rename', from: 'gift', to: 'gifts' })).toEqual({ gifts: '#ff0000' });
+        expect(changeTagColors({ gift: '#ff0000', books: '#00ff00' }, { action: 'merge', from: 'gift', to: 'books' }))
+            .toEqual({ books: '#00ff00' });
+        expect(changeTagColors({ gift: '#ff0000' }, { action: 'delete', from: 'gift' })).toEqual({});
+        expect(changeTagColors(undefined, { action: 'delete', from: 'gift' })).toEqual({});
+    });
+
+    it('should set and reset colors on recolor', () => {
+        expect(changeTagColors({ gift: '#ff0000' }, { action: 'recolor', from: 'gift', color: '#003366' })).toEqual({ gift: '#003366' });
+        expect(changeTagColors({ gift: '#ff0000' }, { action: 'recolor', from: 'gift', color: null })).toEqual({});
+    });
+
+    it('should validate colors', () => {
+        expect(validateTagColors({ gift: '#FF0000' })).toEqual({ valid: true, errors: [] });
+        expect(validateTagColors({ gift: 'red' })).toEqual({ valid: false, errors: ['Color for tag "gift" must be a #rrggbb color'] });
+        expect(validateTagColors([]).valid).toBe(false);
+    });
+
+    it('should pick readable text colors', () => {
+        expect(getTagTextColor('#ffff00')).toBe('#000000');
+        expect(getTagTextColor('#003366')).toBe('#ffffff');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tag Policy
+ * The one set of rules for what makes a valid tag, shared by the tagging dialog, the popup
+ * tag manager, the Google Sheets validator and the importer so they never disagree.
+ *
+ * Stored as the 'tag_policy' config; missing settings fall back to DEFAULT_TAG_POLICY:
+ * {
+ *     minLength: 2,
+ *     maxLength: 50,
+ *     charset: 'any',              // 'any' | 'ascii' | 'alphanumeric', see TAG_CHARSETS
+ *     blocklist: ['order', ...],   // Rejected as a tag or as a level of a hierarchical tag, ignoring case
+ *     maxTagsPerOrder: 20,
+ *     caseNormalization: 'none'    // 'none' | 'lowercase' | 'uppercase', applied when a tag is added
+ * }
+ * Characters that break storage or the Sheets tags column (< > : " \ | ? * ,) are never allowed.
+ */
+
+import { validateTagPath, splitTagPath, normalizeTagPath } from './tag-hierarchy.js';
+
+export const DEFAULT_TAG_POLICY = {
+    minLength: 2,
+    maxLength: 50,
+    charset: 'any',
+    blocklist: ['tag', 'order', 'amazon', 'item', 'product', 'purchase'],
+    maxTagsPerOrder: 20,
+    caseNormalization: 'none'
+};
+
+// Allowed characters per charset, on top of the reserved characters always being rejected
+export const TAG_CHARSETS = {
+    any: { pattern: /^[^\p{Cc}]*$/u, description: 'printable characters' },
+    ascii: { pattern: /^[\x20-\x7e]*$/, description: 'ASCII letters, digits, spaces and punctuation' },
+    alphanumeric: { pattern: /^[\p{L}\p{N} _\-/.&']*$/u, description: 'letters, digits, spaces and - _ / . & \'' }
+};
+
+export const CASE_NORMALIZATIONS = ['none', 'lowercase', 'uppercase'];
+
+const RESERVED_TAG_CHARS = /[<>:"\\|?*,]/;
+const RESERVED_TAG_CHARS_LABEL = '< > : " \\ | ? * ,';
+const MAX_TAG_LENGTH_LIMIT = 100;
+const MAX_TAGS_PER_ORDER_LIMIT = 100;
+
+/**
+ * Fill in missing settings with the defaults
+ * @param {Object} policy - Stored tag policy, possibly partial or missing
+ * @returns {Object} Complete tag policy
+ */
+export function resolveTagPolicy(policy) {
+    return { ...DEFAULT_TAG_POLICY, ...(policy && typeof policy === 'object' ? policy : {}) };
+}
+
+/**
+ * Apply the policy's case normalization and trim surrounding spaces
+ * @param {string} tag - Tag as typed or imported
+ * @param {Object} policy - Tag policy
+ * @returns {string} Normalized tag
+ */
+export function normalizeTag(tag, policy = DEFAULT_TAG_POLICY) {
+    const trimmed = String(tag).trim();
+    switch (resolveTagPolicy(policy).caseNormalization) {
+        case 'lowercase':
+            return trimmed.toLowerCase();
+        case 'uppercase':
+            return trimmed.toUpperCase();
+        default:
+            return trimmed;
+    }
+}
+
+/**
+ * Check a single tag against the policy
+ * @param {string} tag - Tag
+ * @param {Object} policy - Tag policy
+ * @returns {string|null} Error message, or null if the tag is valid
+ */
+export function validateTag(tag, policy = DEFAULT_TAG_POLICY) {
+    const { minLength, maxLength, charset, blocklist } = resolveTagPolicy(policy);
+
+    if (typeof tag !== 'string' || tag.trim().length === 0) {
+        return 'Tag cannot be empty';
+    }
+    if (tag !== tag.trim()) {
+        return 'Tags cannot start or end with spaces';
+    }
+    if (tag.length < minLength) {
+        return `Tags must be at least ${minLength} characters long`;
+    }
+    if (tag.length > maxLength) {
+        return `Tags cannot exceed ${maxLength} characters`;
+    }
+    if (RESERVED_TAG_CHARS.test(tag)) {
+        return `Tags cannot contain invalid characters (${RESERVED_TAG_CHARS_LABEL})`;
+    }
+    const allowed = TAG_CHARSETS[charset] || TAG_CHARSETS[DEFAULT_TAG_POLICY.charset];
+    if (!allowed.pattern.test(tag)) {
+        return `Tags can only contain ${allowed.description}`;
+    }
+    if (/\s{2,}/.test(tag)) {
+        return 'Tags cannot contain multiple consecutive spaces';
+    }
+
+    const pathError = validateTagPath(tag);
+    if (pathError) {
+        return pathError;
+    }
+
+    const blocked = new Set((blocklist || []).map(word => word.toLowerCase()));
+    if (splitTagPath(tag).some(level => blocked.has(level.toLowerCase()))) {
+        return `"${tag}" is too generic. Please use a more specific tag.`;
+    }
+    return null;
+}
+
+/**
+ * Check the number of tags on one order
+ * @param {Array} tags - Tags of an order
+ * @param {Object} policy - Tag policy
+ * @returns {string|null} Error message, or null if the order may have this many tags
+ */
+export function validateTagCount(tags, policy = DEFAULT_TAG_POLICY) {
+    const { maxTagsPerOrder } = resolveTagPolicy(policy);
+    return tags.length > maxTagsPerOrder ? `Maximum of ${maxTagsPerOrder} tags allowed` : null;
+}
+
+/**
+ * Clean up a list of tags from outside the extension (Google Sheets rows, imports)
+ * Extra tags are dropped, long tags truncated, paths tidied and the case normalized;
+ * tags that still break the policy, and duplicates, are dropped
+ * @param {Array} tags - Tags of one order
+ * @param {Object} policy - Tag policy
+ * @returns {Object} { tags, warnings: [{ position, message }] }, position is null for list-wide warnings
+ */
+export function sanitizeTags(tags, policy = DEFAULT_TAG_POLICY) {
+    const { maxLength, maxTagsPerOrder } = resolveTagPolicy(policy);
+    const warnings = [];
+    const sanitized = [];
+
+    let list = (tags || []).map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+    if (list.length > maxTagsPerOrder) {
+        warnings.push({ position: null, message: `Too many tags (${list.length}), limiting to ${maxTagsPerOrder}` });
+        list = list.slice(0, maxTagsPerOrder);
+    }
+
+    list.forEach((tag, position) => {
+        const warn = (message) => warnings.push({ position, message });
+
+        // Hierarchical tags keep their full path; only empty levels and padding are removed
+        let path = normalizeTagPath(tag);
+        if (path.length === 0) {
+            warn('Tag has no name, skipping');
+            return;
+        }
+        if (path !== tag) {
+            warn(`Tag path "${tag}" normalized to "${path}"`);
+        }
+        if (path.length > maxLength) {
+            warn(`Tag exceeds maximum length (${maxLength}), truncating`);
+            // Cutting a path can leave a dangling separator
+            path = normalizeTagPath(path.substring(0, maxLength));
+        }
+
+        const normalized = normalizeTag(path, policy);
+        const error = validateTag(normalized, policy);
+        if (error) {
+            warn(`${error.replace(/\.$/, '')}, skipping`);
+            return;
+        }
+        if (sanitized.includes(normalized)) {
+            warn(`Duplicate tag "${normalized}", skipping`);
+            return;
+        }
+        sanitized.push(normalized);
+    });
+
+    return { tags: sanitized, warnings };
+}
+
+/**
+ * Validate a tag policy (ConfigManager validator for 'tag_policy')
+ * Settings left out fall back to the defaults, so a partial policy is valid
+ * @param {Object} policy - Tag policy
+ * @returns {Object} { valid, errors }
+ */
+export function validateTagPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return { valid: false, errors: ['tag_policy must be an object'] };
+    }
+
+    const errors = [];
+    const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    const resolved = resolveTagPolicy(policy);
+
+    if (!isWholeNumber(resolved.minLength, 1, MAX_TAG_LENGTH_LIMIT)) {
+        errors.push(`minLength must be a whole number from 1 to ${MAX_TAG_LENGTH_LIMIT}`);
+    }
+    if (!isWholeNumber(resolved.maxLength, 1, MAX_TAG_LENGTH_LIMIT)) {
+        errors.push(`maxLength must be a whole number from 1 to ${MAX_TAG_LENGTH_LIMIT}`);
+    } else if (Number.isInteger(resolved.minLength) && resolved.maxLength < resolved.minLength) {
+        errors.push('maxLength cannot be less than minLength');
+    }
+    if (!TAG_CHARSETS[resolved.charset]) {
+        errors.push(`charset must be one of: ${Object.keys(TAG_CHARSETS).join(', ')}`);
+    }
+    if (!Array.isArray(resolved.blocklist) || !resolved.blocklist.every(word => typeof word === 'string')) {
+        errors.push('blocklist must be a list of words');
+    }
+    if (!isWholeNumber(resolved.maxTagsPerOrder, 1, MAX_TAGS_PER_ORDER_LIMIT)) {
+        errors.push(`maxTagsPerOrder must be a whole number from 1 to ${MAX_TAGS_PER_ORDER_LIMIT}`);
+    }
+    if (!CASE_NORMALIZATIONS.includes(resolved.caseNormalization)) {
+        errors.push(`caseNormalization must be one of: ${CASE_NORMALIZATIONS.join(', ')}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
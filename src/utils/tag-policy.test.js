@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the tag policy
+ * Tests the shared tag rules used by the dialog, the tag manager and the Google Sheets layer
+ */
+
+import {
+    DEFAULT_TAG_POLICY,
+    resolveTagPolicy,
+    normalizeTag,
+    validateTag,
+    validateTagCount,
+    sanitizeTags,
+    validateTagPolicy
+} from './tag-policy.js';
+
+describe('resolveTagPolicy', () => {
+    it('should fill in missing settings with the defaults', () => {
+        expect(resolveTagPolicy()).toEqual(DEFAULT_TAG_POLICY);
+        expect(resolveTagPolicy('invalid')).toEqual(DEFAULT_TAG_POLICY);
+        expect(resolveTagPolicy({ minLength: 3 })).toEqual({ ...DEFAULT_TAG_POLICY, minLength: 3 });
+    });
+});
+
+describe('normalizeTag', () => {
+    it('should trim and apply the case normalization', () => {
+        expect(normalizeTag('  Gifts/Birthday ')).toBe('Gifts/Birthday');
+        expect(normalizeTag('Gifts/Birthday', { caseNormalization: 'lowercase' })).toBe('gifts/birthday');
+        expect(normalizeTag('Gifts/Birthday', { caseNormalization: 'uppercase' })).toBe('GIFTS/BIRTHDAY');
+    });
+});
+
+describe('validateTag', () => {
+    it('should accept valid tags with the default policy', () => {
+        expect(validateTag('electronics')).toBeNull();
+        expect(validateTag('gifts/birthday')).toBeNull();
+        expect(validateTag('café & bar')).toBeNull();
+        expect(validateTag('🎁 gifts')).toBeNull();
+    });
+
+    it('should enforce length limits', () => {
+        expect(validateTag('')).toBe('Tag cannot be empty');
+        expect(validateTag('a')).toBe('Tags must be at least 2 characters long');
+        expect(validateTag('a'.repeat(51))).toBe('Tags cannot exceed 50 characters');
+        expect(validateTag('abc', { minLength: 4 })).toBe('Tags must be at least 4 characters long');
+        expect(validateTag('abcdef', { maxLength: 5 })).toBe('Tags cannot exceed 5 characters');
+    });
+
+    it('should reject reserved characters and bad spacing', () => {
+        expect(validateTag('a,b')).toBe('Tags cannot contain invalid characters (< > : " \\ | ? * ,)');
+        expect(validateTag(' gifts')).toBe('Tags cannot start or end with spaces');
+        expect(validateTag('big  gifts')).toBe('Tags cannot contain multiple consecutive spaces');
+        expect(validateTag('gifts//kids')).toBe('Tags cannot contain empty levels ("//")');
+    });
+
+    it('should restrict characters to the charset', () => {
+        expect(validateTag('café', { charset: 'ascii' })).toBe('Tags can only contain ASCII letters, digits, spaces and punctuation');
+        expect(validateTag('gifts!', { charset: 'alphanumeric' })).toBe('Tags can only contain letters, digits, spaces and - _ / . & \'');
+        expect(validateTag('café/kids-2', { charset: 'alphanumeric' })).toBeNull();
+        expect(validateTag('tab\there')).toBe('Tags can only contain printable characters');
+    });
+
+    it('should reject blocklisted words at any level, ignoring case', () => {
+        expect(validateTag('Order')).toBe('"Order" is too generic. Please use a more specific tag.');
+        expect(validateTag('home/item')).toBe('"home/item" is too generic. Please use a more specific tag.');
+        expect(validateTag('orders')).toBeNull();
+        expect(validateTag('order', { blocklist: [] })).toBeNull();
+    });
+});
+
+describe('validateTagCount', () => {
+    it('should limit the tags per order', () => {
+        expect(validateTagCount(['a1', 'b1'], { maxTagsPerOrder: 2 })).toBeNull();
+        expect(validateTagCount(['a1', 'b1', 'c1'], { maxTagsPerOrder: 2 })).toBe('Maximum of 2 tags allowed');
+    });
+});
+
+describe('sanitizeTags', () => {
+    it('should keep valid tags untouched', () => {
+        expect(sanitizeTags(['gifts', 'work/reimbursable'])).toEqual({ tags: ['gifts', 'work/reimbursable'], warnings: [] });
+    });
+
+    it('should limit, truncate, normalize and drop tags with warnings', () => {
+        const policy = { maxTagsPerOrder: 5, maxLength: 10, caseNormalization: 'lowercase' };
+
+        expect(sanitizeTags(['Gifts / Kids', 'a'.repeat(12), 'x', 'GIFTS/kids', ' / ', 'extra'], policy)).toEqual({
+            tags: ['gifts/kids', 'a'.repeat(10)],
+            warnings: [
+                { position: null, message: 'Too many tags (6), limiting to 5' },
+                { position: 0, message: 'Tag path "Gifts / Kids" normalized to "Gifts/Kids"' },
+                { position: 1, message: 'Tag exceeds maximum length (10), truncating' },
+                { position: 2, message: 'Tags must be at least 2 characters long, skipping' },
+                { position: 3, message: 'Duplicate tag "gifts/kids", skipping' },
+                { position: 4, message: 'Tag has no name, skipping' }
+            ]
+        });
+    });
+
+    it('should not leave a dangling separator when truncating a path', () => {
+        expect(sanitizeTags(['gifts/birthday'], { maxLength: 6 }).tags).toEqual(['gifts']);
+    });
+
+    it('should handle missing input', () => {
+        expect(sanitizeTags(undefined)).toEqual({ tags: [], warnings: [] });
+    });
+});
+
+describe('validateTagPolicy', () => {
+    it('should accept the default and partial policies', () => {
+        expect(validateTagPolicy(DEFAULT_TAG_POLICY)).toEqual({ valid: true, errors: [] });
+        expect(validateTagPolicy({ caseNormalization: 'lowercase' })).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report invalid settings', () => {
+        expect(validateTagPolicy(null)).toEqual({ valid: false, errors: ['tag_policy must be an object'] });
+        expect(validateTagPolicy({
+            minLength: 0,
+            charset: 'latin',
+            blocklist: 'order',
+            maxTagsPerOrder: 1.5,
+            caseNormalization: 'title'
+        }).errors).toEqual([
+            'minLength must be a whole number from 1 to 100',
+            'charset must be one of: any, ascii, alphanumeric',
+            'blocklist must be a list of words',
+            'maxTagsPerOrder must be a whole number from 1 to 100',
+            'caseNormalization must be one of: none, lowercase, uppercase'
+        ]);
+        expect(validateTagPolicy({ minLength: 10, maxLength: 5 }).errors).toEqual(['maxLength cannot be less than minLength']);
+    });
+});
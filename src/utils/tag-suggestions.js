@@ -0,0 +1,268 @@
+/**
+ * Tag Suggestions
+ * Type-ahead and quick-pick suggestions for the tagging dialog.
+ *
+ * Suggestions come from a tag index built from stored hidden orders and order tags:
+ * [
+ *     { tag: 'gifts', count: 12, lastUsed: '2024-03-01T10:00:00.000Z' },
+ *     ...
+ * ]
+ * count is the number of distinct orders using the tag, lastUsed the most recent
+ * time any of those orders was tagged.
+ */
+
+const DEFAULT_SUGGESTION_LIMIT = 8;
+const DEFAULT_QUICK_PICK_LIMIT = 5;
+const MIN_KEYWORD_LENGTH = 4;
+
+// Match strength, strongest first
+const MATCH_SCORES = {
+    exact: 5,
+    prefix: 4,
+    wordPrefix: 3,
+    substring: 2,
+    fuzzy: 1,
+    none: 0
+};
+
+// Item name words that make poor tags
+const KEYWORD_STOPWORDS = new Set([
+    'with', 'without', 'from', 'that', 'this', 'your', 'into', 'over', 'for', 'and',
+    'pack', 'count', 'piece', 'pieces', 'inch', 'inches', 'size', 'large', 'small', 'medium',
+    'black', 'white', 'blue', 'green', 'grey', 'gray', 'pink', 'purple', 'yellow', 'orange',
+    'amazon', 'item', 'items', 'order', 'product', 'products', 'purchase', 'tag',
+    'compatible', 'premium', 'quality', 'new', 'edition', 'version', 'model'
+]);
+
+/**
+ * Build the tag index from stored records
+ * An order counts once per tag, whether it is hidden as details, as a whole order or only tagged
+ * @param {Array} hiddenOrders - Hidden order records ({ orderId, orderData: { tags }, lastModified, timestamp })
+ * @param {Array} orderTags - Order tag records ({ orderId, tagData: { tags }, timestamp })
+ * @returns {Array} [{ tag, count, lastUsed }] sorted by count, then most recently used
+ */
+export function buildTagIndex(hiddenOrders, orderTags) {
+    const index = new Map();
+
+    const addTags = (orderId, tags, usedAt) => {
+        if (!Array.isArray(tags)) {
+            return;
+        }
+        tags.forEach(tag => {
+            if (typeof tag !== 'string' || tag.length === 0) {
+                return;
+            }
+            if (!index.has(tag)) {
+                index.set(tag, { orderIds: new Set(), lastUsed: null });
+            }
+            const entry = index.get(tag);
+            entry.orderIds.add(orderId);
+            if (usedAt && (!entry.lastUsed || usedAt > entry.lastUsed)) {
+                entry.lastUsed = usedAt;
+            }
+        });
+    };
+
+    (hiddenOrders || []).forEach(order => {
+        if (order && order.orderData) {
+            addTags(order.orderId, order.orderData.tags, order.lastModified || order.timestamp);
+        }
+    });
+    (orderTags || []).forEach(record => {
+        if (record && record.tagData) {
+            addTags(record.orderId, record.tagData.tags, record.timestamp || record.tagData.timestamp);
+        }
+    });
+
+    return Array.from(index.entries())
+        .map(([tag, entry]) => ({ tag, count: entry.orderIds.size, lastUsed: entry.lastUsed }))
+        .sort(compareByUsage);
+}
+
+/**
+ * Score how well a tag matches typed text, ignoring case
+ * Fuzzy matches are tags containing the typed letters in order ("bdy" matches "birthday")
+ * or tags one typo away from it ("gfit" matches "gift")
+ * @param {string} tag - Existing tag
+ * @param {string} query - Typed text
+ * @returns {number} Match score, 0 if the tag does not match
+ */
+export function scoreTagMatch(tag, query) {
+    const text = tag.toLowerCase();
+    const typed = query.trim().toLowerCase();
+
+    if (typed.length === 0) {
+        return MATCH_SCORES.none;
+    }
+    if (text === typed) {
+        return MATCH_SCORES.exact;
+    }
+    if (text.startsWith(typed)) {
+        return MATCH_SCORES.prefix;
+    }
+    if (text.split(/[\s\-_/]+/).some(word => word.startsWith(typed))) {
+        return MATCH_SCORES.wordPrefix;
+    }
+    if (text.includes(typed)) {
+        return MATCH_SCORES.substring;
+    }
+    if (isSubsequence(typed, text) || (typed.length >= 3 && isTypoOfPrefix(typed, text))) {
+        return MATCH_SCORES.fuzzy;
+    }
+    return MATCH_SCORES.none;
+}
+
+/**
+ * Rank existing tags for the typed text
+ * @param {Array} index - Tag index from buildTagIndex
+ * @param {string} query - Typed text
+ * @param {Object} options - { exclude: tags already on the order, limit }
+ * @returns {Array} Matching tag names, best first
+ */
+export function rankTagSuggestions(index, query, { exclude = [], limit = DEFAULT_SUGGESTION_LIMIT } = {}) {
+    const excluded = toLowerCaseSet(exclude);
+
+    return (index || [])
+        .filter(entry => !excluded.has(entry.tag.toLowerCase()))
+        .map(entry => ({ entry, score: scoreTagMatch(entry.tag, query || '') }))
+        .filter(({ score }) => score > MATCH_SCORES.none)
+        .sort((a, b) => (b.score - a.score) || compareByUsage(a.entry, b.entry))
+        .slice(0, limit)
+        .map(({ entry }) => entry.tag);
+}
+
+/**
+ * Most recently used tags for the "Recently used" quick-pick row
+ * @param {Array} index - Tag index from buildTagIndex
+ * @param {Object} options - { exclude: tags already on the order, limit }
+ * @returns {Array} Tag names, most recent first
+ */
+export function getRecentTags(index, { exclude = [], limit = DEFAULT_QUICK_PICK_LIMIT } = {}) {
+    const excluded = toLowerCaseSet(exclude);
+
+    return (index || [])
+        .filter(entry => entry.lastUsed && !excluded.has(entry.tag.toLowerCase()))
+        .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed) || b.count - a.count)
+        .slice(0, limit)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Suggest tags from an order's item names
+ * Existing tags that appear as a word in an item name come first (plurals match singulars),
+ * followed by new keywords taken from the item names
+ * @param {Array} orderItems - Items from OrderParser.extractOrderItems ({ name })
+ * @param {Array} index - Tag index from buildTagIndex
+ * @param {Object} options - { exclude: tags already on the order, limit }
+ * @returns {Array} Tag names
+ */
+export function suggestTagsFromItems(orderItems, index, { exclude = [], limit = DEFAULT_QUICK_PICK_LIMIT } = {}) {
+    const excluded = toLowerCaseSet(exclude);
+    const keywords = new Map();
+
+    (orderItems || []).forEach(item => {
+        const name = item && typeof item.name === 'string' ? item.name : '';
+        name.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+            if (word.length >= MIN_KEYWORD_LENGTH && !/^\d+$/.test(word) && !KEYWORD_STOPWORDS.has(word)) {
+                keywords.set(word, (keywords.get(word) || 0) + 1);
+            }
+        });
+    });
+
+    const stems = new Set(Array.from(keywords.keys()).map(toSingular));
+    const existing = (index || [])
+        .filter(entry => stems.has(toSingular(entry.tag.toLowerCase())))
+        .map(entry => entry.tag);
+    const existingStems = new Set(existing.map(tag => toSingular(tag.toLowerCase())));
+
+    const newKeywords = Array.from(keywords.entries())
+        .filter(([word]) => !existingStems.has(toSingular(word)))
+        .sort((a, b) => b[1] - a[1])
+        .map(([word]) => word);
+
+    const suggestions = [];
+    [...existing, ...newKeywords].forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!excluded.has(key) && !suggestions.some(suggestion => suggestion.toLowerCase() === key)) {
+            suggestions.push(tag);
+        }
+    });
+    return suggestions.slice(0, limit);
+}
+
+/**
+ * Find the existing spelling of a tag typed in a different case
+ * @param {Array} tags - Existing tag names
+ * @param {string} text - Typed tag
+ * @returns {string|null} Existing tag, or null if there is none
+ */
+export function findExistingTag(tags, text) {
+    const key = (text || '').toLowerCase();
+    return (tags || []).find(tag => tag.toLowerCase() === key) || null;
+}
+
+function compareByUsage(a, b) {
+    return (b.count - a.count) ||
+        (b.lastUsed || '').localeCompare(a.lastUsed || '') ||
+        a.tag.localeCompare(b.tag);
+}
+
+function toLowerCaseSet(tags) {
+    return new Set((tags || []).map(tag => tag.toLowerCase()));
+}
+
+function toSingular(word) {
+    if (word.endsWith('ies') && word.length > 4) {
+        return `${word.slice(0, -3)}y`;
+    }
+    if (word.endsWith('s') && !word.endsWith('ss') && word.length > 3) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+function isSubsequence(typed, text) {
+    let position = 0;
+    for (const char of text) {
+        if (char === typed[position]) {
+            position++;
+            if (position === typed.length) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// True if the typed text is one typo away from the start of the tag
+function isTypoOfPrefix(typed, text) {
+    return isOneEditAway(typed, text.slice(0, typed.length)) || isOneEditAway(typed, text.slice(0, typed.length + 1));
+}
+
+// True if a and b differ by at most one insertion, deletion, substitution or swap of neighbours
+function isOneEditAway(a, b) {
+    if (Math.abs(a.length - b.length) > 1) {
+        return false;
+    }
+    if (a.length === b.length) {
+        const diffs = [];
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                diffs.push(i);
+            }
+        }
+        if (diffs.length <= 1) {
+            return true;
+        }
+        return diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+            a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]];
+    }
+
+    const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+    for (let i = 0; i < longer.length; i++) {
+        if (longer.slice(0, i) + longer.slice(i + 1) === shorter) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for tag suggestions
+ * Tests the tag index, fuzzy ranking, recently used tags and item name suggestions
+ */
+
+import {
+    buildTagIndex,
+    scoreTagMatch,
+    rankTagSuggestions,
+    getRecentTags,
+    suggestTagsFromItems,
+    findExistingTag
+} from './tag-suggestions.js';
+
+const createHiddenOrder = (orderId, tags, lastModified) => ({ orderId, type: 'details', orderData: { tags }, lastModified });
+const createOrderTags = (orderId, tags, timestamp) => ({ orderId, tagData: { tags }, timestamp });
+
+const index = [
+    { tag: 'gifts', count: 5, lastUsed: '2024-01-10T00:00:00.000Z' },
+    { tag: 'birthday', count: 2, lastUsed: '2024-03-01T00:00:00.000Z' },
+    { tag: 'work/gift-cards', count: 1, lastUsed: '2024-02-01T00:00:00.000Z' },
+    { tag: 'books', count: 3, lastUsed: null }
+];
+
+describe('buildTagIndex', () => {
+    it('should count orders per tag and keep the latest use', () => {
+        const tagIndex = buildTagIndex(
+            [
+                createHiddenOrder('111', ['gifts', 'books'], '2024-01-01T00:00:00.000Z'),
+                createHiddenOrder('222', ['gifts'], '2024-02-01T00:00:00.000Z'),
+                { orderId: '333', type: 'order' }
+            ],
+            [
+                createOrderTags('111', ['gifts'], '2024-03-01T00:00:00.000Z'),
+                createOrderTags('444', ['books'], '2023-12-01T00:00:00.000Z')
+            ]
+        );
+
+        expect(tagIndex).toEqual([
+            { tag: 'gifts', count: 2, lastUsed: '2024-03-01T00:00:00.000Z' },
+            { tag: 'books', count: 2, lastUsed: '2024-01-01T00:00:00.000Z' }
+        ]);
+    });
+
+    it('should handle missing input', () => {
+        expect(buildTagIndex(undefined, null)).toEqual([]);
+    });
+});
+
+describe('scoreTagMatch', () => {
+    it('should prefer exact, prefix, word and substring matches over fuzzy ones', () => {
+        expect(scoreTagMatch('Gifts', 'gifts')).toBeGreaterThan(scoreTagMatch('gifts', 'gif'));
+        expect(scoreTagMatch('gifts', 'gif')).toBeGreaterThan(scoreTagMatch('work/gift-cards', 'card'));
+        expect(scoreTagMatch('work/gift-cards', 'card')).toBeGreaterThan(scoreTagMatch('birthday', 'thd'));
+        expect(scoreTagMatch('birthday', 'thd')).toBeGreaterThan(scoreTagMatch('birthday', 'bdy'));
+        expect(scoreTagMatch('birthday', 'bdy')).toBeGreaterThan(0);
+    });
+
+    it('should match typos', () => {
+        expect(scoreTagMatch('gift', 'gfit')).toBeGreaterThan(0);
+        expect(scoreTagMatch('gifts', 'gifr')).toBeGreaterThan(0);
+        expect(scoreTagMatch('gifts', 'gifts!')).toBeGreaterThan(0);
+    });
+
+    it('should not match unrelated text', () => {
+        expect(scoreTagMatch('gifts', 'kettle')).toBe(0);
+        expect(scoreTagMatch('gifts', '  ')).toBe(0);
+    });
+});
+
+describe('rankTagSuggestions', () => {
+    it('should rank by match, then by frequency and recency', () => {
+        expect(rankTagSuggestions(index, 'gi')).toEqual(['gifts', 'work/gift-cards']);
+        expect(rankTagSuggestions(index, 'b')).toEqual(['books', 'birthday']);
+    });
+
+    it('should leave out tags already on the order, ignoring case', () => {
+        expect(rankTagSuggestions(index, 'gi', { exclude: ['Gifts'] })).toEqual(['work/gift-cards']);
+    });
+
+    it('should limit the number of suggestions', () => {
+        expect(rankTagSuggestions(index, 'b', { limit: 1 })).toEqual(['books']);
+        expect(rankTagSuggestions(undefined, 'b')).toEqual([]);
+    });
+});
+
+describe('getRecentTags', () => {
+    it('should list tags by most recent use', () => {
+        expect(getRecentTags(index)).toEqual(['birthday', 'work/gift-cards', 'gifts']);
+        expect(getRecentTags(index, { exclude: ['birthday'], limit: 1 })).toEqual(['work/gift-cards']);
+    });
+});
+
+describe('suggestTagsFromItems', () => {
+    const items = [
+        { name: 'Harry Potter Books 1-7 Boxed Set' },
+        { name: 'Birthday Candles, 24 Pack' },
+        { name: 'Candles with Holders' }
+    ];
+
+    it('should suggest existing tags first, then keywords from item names', () => {
+        expect(suggestTagsFromItems(items, index)).toEqual(['birthday', 'books', 'candles', 'harry', 'potter']);
+    });
+
+    it('should match plural item words to singular tags', () => {
+        expect(suggestTagsFromItems([{ name: 'Puzzle Gifts for Kids' }], [{ tag: 'gift', count: 1, lastUsed: null }]))
+            .toEqual(['gift', 'puzzle', 'kids']);
+    });
+
+    it('should leave out tags already on the order and stopwords', () => {
+        expect(suggestTagsFromItems(items, index, { exclude: ['Books', 'candles'], limit: 3 })).toEqual(['birthday', 'harry', 'potter']);
+        expect(suggestTagsFromItems([{ name: 'Amazon Black Cable 6 inch' }], [])).toEqual(['cable']);
+        expect(suggestTagsFromItems(undefined, index)).toEqual([]);
+    });
+});
+
+describe('findExistingTag', () => {
+    it('should find tags typed in a different case', () => {
+        expect(findExistingTag(['Gifts', 'books'], 'gifts')).toBe('Gifts');
+        expect(findExistingTag(['Gifts'], 'gift')).toBeNull();
+    });
+});
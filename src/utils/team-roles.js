@@ -0,0 +1,193 @@
+/**
+ * Team Roles
+ * In team mode (the 'team_mode' config) several people share one spreadsheet, and its
+ * UserSettings sheet says who they are and what they may do:
+ *   Username | Created At           | Last Active          | Is Active | Role   | Display Name
+ *   sam      | 2024-01-15T10:00:00Z | 2024-01-20T14:30:00Z | TRUE      | owner  |
+ *   alex     | 2024-01-16T09:00:00Z | 2024-01-19T08:00:00Z | TRUE      | viewer |
+ *   jo@x.com | 2024-01-16T09:00:00Z | 2024-01-18T12:00:00Z | FALSE     | editor | Jo Smith
+ *
+ * Cached in storage as user settings records:
+ * { username: 'alex', createdAt: '...', lastActive: '...', isActive: true, role: 'viewer', displayName: null }
+ *
+ * Users are added to the sheet on their first change and their Last Active kept current,
+ * see planTeamUserActivity.
+ *
+ * - owner, editor: may unhide any order
+ * - viewer: unhiding an order someone else hid needs a confirmation
+ * - Users whose Is Active is off have their changes rejected when syncing to the sheet
+ */
+
+export const TEAM_ROLES = ['owner', 'editor', 'viewer'];
+
+// Users listed before the Role column existed could already unhide anything
+export const DEFAULT_TEAM_ROLE = 'editor';
+
+const UNHIDE_ROLES = ['owner', 'editor'];
+
+// Last Active is rewritten at most this often, so a burst of changes costs one extra write
+export const LAST_ACTIVE_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Normalize a role read from the sheet
+ * @param {*} role - Cell value, e.g. ' Viewer '
+ * @returns {string} One of TEAM_ROLES, DEFAULT_TEAM_ROLE if blank or unknown
+ */
+export function normalizeTeamRole(role) {
+    const normalized = String(role || '').trim().toLowerCase();
+    return TEAM_ROLES.includes(normalized) ? normalized : DEFAULT_TEAM_ROLE;
+}
+
+/**
+ * Read an Is Active cell, which Sheets returns as TRUE/FALSE text
+ * A blank cell counts as active, so only users switched off explicitly are rejected
+ * @param {*} value - Cell value
+ * @returns {boolean} Whether the user is active
+ */
+export function parseActiveFlag(value) {
+    if (value === false || value === 0) {
+        return false;
+    }
+    return !['false', '0', 'no'].includes(String(value === undefined || value === null ? '' : value).trim().toLowerCase());
+}
+
+/**
+ * Parse a UserSettings row (Username, Created At, Last Active, Is Active, Role, Display Name)
+ * @param {Array} row - Sheet row
+ * @returns {Object|null} Team user, or null for rows without a username
+ */
+export function parseTeamUserRow(row) {
+    if (!Array.isArray(row) || !row[0] || !String(row[0]).trim()) {
+        return null;
+    }
+    return {
+        username: String(row[0]).trim(),
+        createdAt: row[1] || null,
+        lastActive: row[2] || null,
+        isActive: parseActiveFlag(row[3]),
+        role: normalizeTeamRole(row[4]),
+        displayName: row[5] ? String(row[5]).trim() : null
+    };
+}
+
+/**
+ * Build the UserSettings row of a team user
+ * @param {Object} user - Team user
+ * @returns {Array} Sheet row
+ */
+export function teamUserToSheetRow(user) {
+    return [
+        user.username || '',
+        user.createdAt || '',
+        user.lastActive || '',
+        user.isActive === true,
+        normalizeTeamRole(user.role),
+        user.displayName || ''
+    ];
+}
+
+/**
+ * Work out the UserSettings change for a user making a change
+ * Unlisted users are added as active with the default role; listed users get a new Last
+ * Active once LAST_ACTIVE_INTERVAL_MS has passed, or when their display name changed
+ * @param {Array} users - Team users
+ * @param {Object} identity - { username, displayName } of the user making the change
+ * @param {Date} now - Current time
+ * @returns {Object|null} { user, isNew } to write, or null if the sheet is up to date
+ */
+export function planTeamUserActivity(users, identity, now = new Date()) {
+    if (!identity || !identity.username) {
+        return null;
+    }
+
+    const timestamp = now.toISOString();
+    const displayName = identity.displayName || null;
+    const existing = findTeamUser(users, identity.username);
+    if (!existing) {
+        return {
+            user: {
+                username: identity.username,
+                createdAt: timestamp,
+                lastActive: timestamp,
+                isActive: true,
+                role: DEFAULT_TEAM_ROLE,
+                displayName
+            },
+            isNew: true
+        };
+    }
+
+    const lastActive = Date.parse(existing.lastActive);
+    const isRecent = !isNaN(lastActive) && now.getTime() - lastActive < LAST_ACTIVE_INTERVAL_MS;
+    const nameChanged = !!displayName && displayName !== existing.displayName;
+    if (isRecent && !nameChanged) {
+        return null;
+    }
+
+    return {
+        user: { ...existing, lastActive: timestamp, displayName: displayName || existing.displayName || null },
+        isNew: false
+    };
+}
+
+/**
+ * Find a team user by username, ignoring case
+ * @param {Array} users - Team users
+ * @param {string} username - Username
+ * @returns {Object|null} Team user, or null if not listed
+ */
+export function findTeamUser(users, username) {
+    if (!username) {
+        return null;
+    }
+    const name = username.trim().toLowerCase();
+    return (users || []).find(user => user && user.username && user.username.trim().toLowerCase() === name) || null;
+}
+
+/**
+ * Check whether a user is listed with Is Active switched off
+ * Users missing from the sheet are not rejected, so a team can adopt the sheet gradually
+ * @param {Array} users - Team users
+ * @param {string} username - Username
+ * @returns {boolean} True if the user's changes must be rejected
+ */
+export function isInactiveUser(users, username) {
+    const user = findTeamUser(users, username);
+    return !!user && user.isActive === false;
+}
+
+/**
+ * Get the role of a user
+ * @param {Array} users - Team users
+ * @param {string} username - Username
+ * @returns {string|null} Role, or null if the user is not listed
+ */
+export function getTeamRole(users, username) {
+    const user = findTeamUser(users, username);
+    return user ? normalizeTeamRole(user.role) : null;
+}
+
+/**
+ * Decide whether a user may unhide an order
+ * @param {Array} users - Team users
+ * @param {string} username - User unhiding the order
+ * @param {string} hiddenBy - User who hid the order
+ * @returns {string} 'allowed', or 'confirm' when the user has to confirm unhiding someone else's order
+ */
+export function getUnhidePermission(users, username, hiddenBy) {
+    const sameUser = !hiddenBy || (!!username && username.trim().toLowerCase() === hiddenBy.trim().toLowerCase());
+    if (sameUser || UNHIDE_ROLES.includes(getTeamRole(users, username))) {
+        return 'allowed';
+    }
+    return 'confirm';
+}
+
+/**
+ * Message asking a user to confirm unhiding someone else's order
+ * @param {string} orderId - Order ID
+ * @param {string} hiddenBy - User who hid the order
+ * @returns {string} Confirmation text
+ */
+export function describeUnhideConfirmation(orderId, hiddenBy) {
+    return `Order ${orderId} was hidden by @${hiddenBy}. Unhiding it needs editor rights in the team spreadsheet. Unhide it anyway?`;
+}
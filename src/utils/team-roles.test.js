@@ -0,0 +1,174 @@
+/**
+ * Unit tests for team roles
+ * Tests reading the UserSettings sheet, unhide permissions and inactive users
+ */
+
+import {
+    DEFAULT_TEAM_ROLE,
+    normalizeTeamRole,
+    parseActiveFlag,
+    parseTeamUserRow,
+    findTeamUser,
+    isInactiveUser,
+    getTeamRole,
+    getUnhidePermission,
+    describeUnhideConfirmation,
+    teamUserToSheetRow,
+    planTeamUserActivity,
+    LAST_ACTIVE_INTERVAL_MS
+} from './team-roles.js';
+
+const users = [
+    { username: 'sam', isActive: true, role: 'owner' },
+    { username: 'Alex', isActive: true, role: 'viewer' },
+    { username: 'jo', isActive: false, role: 'editor' }
+];
+
+describe('normalizeTeamRole', () => {
+    it('should accept known roles in any case', () => {
+        expect(normalizeTeamRole(' Viewer ')).toBe('viewer');
+        expect(normalizeTeamRole('OWNER')).toBe('owner');
+    });
+
+    it('should use the default role for blank or unknown roles', () => {
+        expect(normalizeTeamRole('')).toBe(DEFAULT_TEAM_ROLE);
+        expect(normalizeTeamRole(undefined)).toBe(DEFAULT_TEAM_ROLE);
+        expect(normalizeTeamRole('admin')).toBe(DEFAULT_TEAM_ROLE);
+    });
+});
+
+describe('parseActiveFlag', () => {
+    it('should read the TRUE/FALSE text Sheets returns', () => {
+        expect(parseActiveFlag('TRUE')).toBe(true);
+        expect(parseActiveFlag('FALSE')).toBe(false);
+        expect(parseActiveFlag(false)).toBe(false);
+        expect(parseActiveFlag('0')).toBe(false);
+    });
+
+    it('should treat a blank cell as active', () => {
+        expect(parseActiveFlag('')).toBe(true);
+        expect(parseActiveFlag(undefined)).toBe(true);
+    });
+});
+
+describe('parseTeamUserRow', () => {
+    it('should parse a UserSettings row', () => {
+        expect(parseTeamUserRow(['sam', '2024-01-15T10:00:00Z', '2024-01-20T14:30:00Z', 'TRUE', 'Owner'])).toEqual({
+            username: 'sam',
+            createdAt: '2024-01-15T10:00:00Z',
+            lastActive: '2024-01-20T14:30:00Z',
+            isActive: true,
+            role: 'owner',
+            displayName: null
+        });
+        expect(parseTeamUserRow(['jo@example.com', '', '', 'TRUE', '', ' Jo Smith ']).displayName).toBe('Jo Smith');
+    });
+
+    it('should read rows from before the Role column', () => {
+        expect(parseTeamUserRow(['jo', '', '', 'FALSE'])).toMatchObject({ username: 'jo', isActive: false, role: DEFAULT_TEAM_ROLE });
+    });
+
+    it('should skip rows without a username', () => {
+        expect(parseTeamUserRow(['', '2024-01-15T10:00:00Z'])).toBeNull();
+        expect(parseTeamUserRow(null)).toBeNull();
+    });
+});
+
+describe('findTeamUser', () => {
+    it('should match usernames ignoring case', () => {
+        expect(findTeamUser(users, 'alex')).toBe(users[1]);
+        expect(findTeamUser(users, 'casey')).toBeNull();
+        expect(findTeamUser(users, null)).toBeNull();
+    });
+});
+
+describe('isInactiveUser', () => {
+    it('should only reject users listed as inactive', () => {
+        expect(isInactiveUser(users, 'jo')).toBe(true);
+        expect(isInactiveUser(users, 'sam')).toBe(false);
+        expect(isInactiveUser(users, 'casey')).toBe(false);
+        expect(isInactiveUser([], 'jo')).toBe(false);
+    });
+});
+
+describe('getTeamRole', () => {
+    it('should return the role of listed users', () => {
+        expect(getTeamRole(users, 'ALEX')).toBe('viewer');
+        expect(getTeamRole([{ username: 'kim' }], 'kim')).toBe(DEFAULT_TEAM_ROLE);
+        expect(getTeamRole(users, 'casey')).toBeNull();
+    });
+});
+
+describe('getUnhidePermission', () => {
+    it('should let anyone unhide their own orders', () => {
+        expect(getUnhidePermission(users, 'alex', 'Alex')).toBe('allowed');
+        expect(getUnhidePermission(users, 'alex', null)).toBe('allowed');
+    });
+
+    it('should let owners and editors unhide anyone\'s orders', () => {
+        expect(getUnhidePermission(users, 'sam', 'alex')).toBe('allowed');
+        expect(getUnhidePermission(users, 'jo', 'alex')).toBe('allowed');
+    });
+
+    it('should ask viewers and unlisted users to confirm', () => {
+        expect(getUnhidePermission(users, 'alex', 'sam')).toBe('confirm');
+        expect(getUnhidePermission(users, 'casey', 'sam')).toBe('confirm');
+        expect(getUnhidePermission(users, null, 'sam')).toBe('confirm');
+    });
+});
+
+describe('describeUnhideConfirmation', () => {
+    it('should name the order and who hid it', () => {
+        expect(describeUnhideConfirmation('111-1111111-1111111', 'sam')).toBe(
+            'Order 111-1111111-1111111 was hidden by @sam. Unhiding it needs editor rights in the team spreadsheet. Unhide it anyway?'
+        );
+    });
+});
+
+describe('teamUserToSheetRow', () => {
+    it('should build a row in the UserSettings column order', () => {
+        expect(teamUserToSheetRow({ username: 'jo@example.com', createdAt: 'c', lastActive: 'l', isActive: true, role: 'Viewer', displayName: 'Jo Smith' }))
+            .toEqual(['jo@example.com', 'c', 'l', true, 'viewer', 'Jo Smith']);
+        expect(teamUserToSheetRow({ username: 'kim' })).toEqual(['kim', '', '', false, DEFAULT_TEAM_ROLE, '']);
+    });
+});
+
+describe('planTeamUserActivity', () => {
+    const now = new Date('2024-02-01T12:00:00.000Z');
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+    it('should add users missing from the sheet', () => {
+        expect(planTeamUserActivity(users, { username: 'kim@example.com', displayName: 'Kim Lee' }, now)).toEqual({
+            user: {
+                username: 'kim@example.com',
+                createdAt: now.toISOString(),
+                lastActive: now.toISOString(),
+                isActive: true,
+                role: DEFAULT_TEAM_ROLE,
+                displayName: 'Kim Lee'
+            },
+            isNew: true
+        });
+    });
+
+    it('should update Last Active once the interval has passed', () => {
+        const team = [{ username: 'sam', lastActive: minutesAgo(LAST_ACTIVE_INTERVAL_MS / 60000 + 1), isActive: true, role: 'owner' }];
+
+        expect(planTeamUserActivity(team, { username: 'SAM' }, now)).toEqual({
+            user: { ...team[0], lastActive: now.toISOString(), displayName: null },
+            isNew: false
+        });
+        expect(planTeamUserActivity([{ ...team[0], lastActive: minutesAgo(1) }], { username: 'sam' }, now)).toBeNull();
+    });
+
+    it('should record a new display name straight away', () => {
+        const team = [{ username: 'sam', lastActive: minutesAgo(1), displayName: 'Sam' }];
+
+        expect(planTeamUserActivity(team, { username: 'sam', displayName: 'Sam Hawalli' }, now).user.displayName).toBe('Sam Hawalli');
+    });
+
+    it('should do nothing without a username', () => {
+        expect(planTeamUserActivity(users, { username: null }, now)).toBeNull();
+        expect(planTeamUserActivity(users, null, now)).toBeNull();
+    });
+});
@@ -1,5 +1,6 @@
 const path = require('path');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
+const { transformManifest } = require('./scripts/build-manifest.js');
 
 module.exports = {
     mode: 'development',
@@ -48,7 +49,8 @@ module.exports = {
     plugins: [
         new CopyWebpackPlugin({
             patterns: [
-                { from: 'manifest.json', to: 'manifest.json' },
+                // Storefront match patterns come from the marketplace registry
+                { from: 'manifest.json', to: 'manifest.json', transform: transformManifest },
                 { from: 'src/popup/popup.html', to: 'popup/popup.html' },
                 { from: 'src/popup/popup.css', to: 'popup/popup.css' },
                 { from: 'src/content-scripts/amazon-orders.css', to: 'content-scripts/amazon-orders.css' },